@@ -0,0 +1,166 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/direct-messages', () => ({ deliverDirectMessage: jest.fn() }));
+
+const { pool } = require('../utils/db');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+const {
+  applyAutoReplies,
+  rankMatchingRules,
+  matchesKeywords,
+  isWithinOfficeHours
+} = require('../utils/auto-replies');
+
+const rule = (overrides) => ({
+  id: `rule-${overrides.rule_type}`,
+  creator_id: 'creator-1',
+  is_enabled: true,
+  message: 'Thanks for the message!',
+  keywords: [],
+  schedule: null,
+  priority: 0,
+  cooldown_hours: 24,
+  ...overrides
+});
+
+const weekdaySchedule = {
+  timezone: 'America/New_York',
+  windows: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }]
+};
+
+describe('Auto-Replies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('matchesKeywords', () => {
+    test('matches whole words case-insensitively', () => {
+      expect(matchesKeywords(['price'], 'What is your PRICE for a call?')).toBe(true);
+      expect(matchesKeywords(['custom video'], 'can I get a custom video?')).toBe(true);
+    });
+
+    test('ignores partial words and empty input', () => {
+      expect(matchesKeywords(['price'], 'priceless')).toBe(false);
+      expect(matchesKeywords(['price'], '')).toBe(false);
+      expect(matchesKeywords([], 'price')).toBe(false);
+    });
+
+    test('keeps looking past partial hits and treats keywords literally', () => {
+      expect(matchesKeywords(['price'], 'priceless, but what is the price?')).toBe(true);
+      expect(matchesKeywords(['c++'], 'do you teach c++ too')).toBe(true);
+      expect(matchesKeywords(['a.b'], 'axb')).toBe(false);
+    });
+  });
+
+  describe('isWithinOfficeHours', () => {
+    test('uses the schedule timezone', () => {
+      // Wednesday 14:00 UTC = 10:00 in New York
+      expect(isWithinOfficeHours(weekdaySchedule, new Date('2026-03-11T14:00:00Z'))).toBe(true);
+      // Wednesday 23:00 UTC = 19:00 in New York
+      expect(isWithinOfficeHours(weekdaySchedule, new Date('2026-03-11T23:00:00Z'))).toBe(false);
+      // Saturday
+      expect(isWithinOfficeHours(weekdaySchedule, new Date('2026-03-14T15:00:00Z'))).toBe(false);
+    });
+
+    test('supports windows that wrap past midnight', () => {
+      const overnight = { timezone: 'UTC', windows: [{ days: [5], start: '22:00', end: '02:00' }] };
+      expect(isWithinOfficeHours(overnight, new Date('2026-03-13T23:30:00Z'))).toBe(true); // Friday night
+      expect(isWithinOfficeHours(overnight, new Date('2026-03-14T01:30:00Z'))).toBe(true); // Saturday early
+      expect(isWithinOfficeHours(overnight, new Date('2026-03-14T23:30:00Z'))).toBe(false); // Saturday night
+    });
+  });
+
+  describe('rankMatchingRules', () => {
+    const rules = [
+      rule({ rule_type: 'away' }),
+      rule({ rule_type: 'keyword', keywords: ['price'] }),
+      rule({ rule_type: 'welcome' }),
+      rule({ rule_type: 'office_hours', schedule: weekdaySchedule })
+    ];
+
+    test('prefers welcome, then keyword, office hours and away', () => {
+      const ranked = rankMatchingRules(rules, {
+        content: 'price?',
+        isFirstMessage: true,
+        now: new Date('2026-03-14T15:00:00Z')
+      });
+      expect(ranked.map(r => r.rule_type)).toEqual(['welcome', 'keyword', 'office_hours', 'away']);
+    });
+
+    test('skips disabled rules and non-matching conditions', () => {
+      const ranked = rankMatchingRules(
+        rules.map(r => (r.rule_type === 'away' ? { ...r, is_enabled: false } : r)),
+        { content: 'hello', isFirstMessage: false, now: new Date('2026-03-11T14:00:00Z') }
+      );
+      expect(ranked).toEqual([]);
+    });
+  });
+
+  describe('applyAutoReplies', () => {
+    const fanMessage = {
+      id: 'msg-1',
+      conversation_id: 'conv-1',
+      sender_id: 'fan-1',
+      recipient_id: 'creator-1',
+      content: 'hey',
+      metadata: {}
+    };
+
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+    });
+
+    test('does not answer other auto-replies', async () => {
+      const result = await applyAutoReplies({ message: { ...fanMessage, metadata: { autoReply: true } } });
+      expect(result).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('sends the welcome reply with the attached PPV offer', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [rule({ rule_type: 'welcome', ppv_media_url: 'https://cdn/x.jpg', ppv_media_type: 'image', ppv_price: 25 })] })
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] })
+        .mockResolvedValue({ rows: [] });
+      client.query.mockResolvedValue({ rows: [{ id: 'delivery-1' }] });
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'reply-1' } });
+
+      const reply = await applyAutoReplies({ message: fanMessage });
+
+      expect(reply).toEqual({ id: 'reply-1' });
+      expect(deliverDirectMessage).toHaveBeenCalledWith(expect.objectContaining({
+        senderId: 'creator-1',
+        recipientId: 'fan-1',
+        mediaUrl: 'https://cdn/x.jpg',
+        unlockPrice: 25,
+        metadata: expect.objectContaining({ autoReply: true, ruleType: 'welcome' })
+      }));
+    });
+
+    test('falls through to the next rule when the first is rate limited', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [rule({ rule_type: 'away' }), rule({ rule_type: 'keyword', keywords: ['hey'] })] })
+        .mockResolvedValueOnce({ rows: [{ count: 3 }] })
+        .mockResolvedValue({ rows: [] });
+      client.query.mockImplementation((sql, params) => {
+        if (sql.startsWith('INSERT')) {
+          return Promise.resolve({ rows: params[0] === 'rule-keyword' ? [] : [{ id: 'delivery-2' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'reply-2' } });
+
+      await applyAutoReplies({ message: fanMessage });
+
+      expect(deliverDirectMessage).toHaveBeenCalledTimes(1);
+      expect(deliverDirectMessage.mock.calls[0][0].metadata.ruleType).toBe('away');
+    });
+
+    test('never throws when evaluation fails', async () => {
+      pool.query.mockRejectedValue(new Error('db down'));
+      await expect(applyAutoReplies({ message: fanMessage })).resolves.toBeNull();
+    });
+  });
+});
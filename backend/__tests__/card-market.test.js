@@ -0,0 +1,166 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+
+const { pool } = require('../utils/db');
+const { BusinessLogicError, ResourceConflictError } = require('../utils/app-errors');
+const { splitResale, buyListing, placeBid, cancelBid } = require('../utils/card-market');
+const { SPEND_ORDER } = require('../utils/token-ledger');
+const { journalLegs } = require('./helpers/ledger');
+
+const card = {
+  id: 'card-1',
+  user_id: 'seller-1',
+  edition_id: 'edition-1',
+  royalty_percent: 10,
+  edition_creator_id: 'creator-1'
+};
+
+const listing = {
+  id: 'listing-1',
+  card_id: 'card-1',
+  edition_id: 'edition-1',
+  seller_id: 'seller-1',
+  price_tokens: 250,
+  status: 'active'
+};
+
+/**
+ * Fake pg client that routes by SQL
+ */
+function mockClient({ listings = [listing], roundTrip = [], bid = null, balance = 1000, feePercent = 0 } = {}) {
+  const client = {
+    release: jest.fn(),
+    query: jest.fn((sql, params) => {
+      if (sql.startsWith('SELECT * FROM card_listings WHERE id')) return Promise.resolve({ rows: listings });
+      if (sql.includes('FROM fee_policy_rules')) {
+        return Promise.resolve({ rows: [{ id: 'rule-card', platform_fee_percent: String(feePercent), effective_from: '2020-01-01' }] });
+      }
+      if (sql.startsWith('SELECT * FROM card_listings')) return Promise.resolve({ rows: listings });
+      if (sql.includes('FOR UPDATE OF c')) return Promise.resolve({ rows: [card] });
+      if (sql.includes('hour_count')) return Promise.resolve({ rows: [{ hour_count: 0, hour_tokens: 0, day_count: 0 }] });
+      if (sql.includes('SELECT 1 FROM card_trades')) return Promise.resolve({ rows: roundTrip });
+      if (sql.includes('SELECT id FROM card_editions')) return Promise.resolve({ rows: [{ id: 'edition-1' }] });
+      if (sql.startsWith('SELECT * FROM card_bids')) return Promise.resolve({ rows: bid ? [bid] : [] });
+      if (sql.includes('SELECT balance FROM token_balances')) return Promise.resolve({ rows: [{ balance }] });
+      if (sql.includes('SET balance = balance -')) {
+        return Promise.resolve({ rowCount: 1, rows: [{ balance: balance - params[0] }] });
+      }
+      if (sql.includes('INSERT INTO card_bids')) {
+        return Promise.resolve({ rows: [{ id: 'bid-1', edition_id: 'edition-1', bidder_id: 'fan-1', price_tokens: params[2], status: 'open' }] });
+      }
+      if (sql.includes("SET status = 'cancelled'")) return Promise.resolve({ rows: [{ ...bid, status: 'cancelled' }] });
+      if (sql.includes('INSERT INTO card_trades')) {
+        return Promise.resolve({ rows: [{ id: 'trade-1', card_id: params[2], trade_value: params[3], royalty_tokens: params[5] }] });
+      }
+      return Promise.resolve({ rows: [] });
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+const statements = (client) => client.query.mock.calls.map(([sql]) => sql);
+const ledger = (client) => client.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO token_transactions'))
+  .map(([, params]) => [params[0], params[1], params[2]]);
+
+describe('Card Market', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  test('splitResale rounds the royalty down and caps it', () => {
+    expect(splitResale(250, 10)).toEqual({ royalty: 25, sellerProceeds: 225 });
+    expect(splitResale(99, 5)).toEqual({ royalty: 4, sellerProceeds: 95 });
+    expect(splitResale(100, 0)).toEqual({ royalty: 0, sellerProceeds: 100 });
+    expect(splitResale(100, 90)).toEqual({ royalty: 25, sellerProceeds: 75 });
+  });
+
+  test('buying a listing pays the seller and the creator royalty net of the card fee', async () => {
+    const client = mockClient({ feePercent: 10 });
+
+    const trade = await buyListing({ listingId: 'listing-1', buyerId: 'fan-1' });
+
+    expect(trade).toMatchObject({ id: 'trade-1', trade_value: 250, royalty_tokens: 25, seller_proceeds: 225 });
+    // The seller's proceeds are their own tokens, so only the royalty pays a fee
+    expect(ledger(client)).toEqual([
+      ['fan-1', 'card_resale_purchase', -250],
+      ['seller-1', 'card_resale', 225],
+      ['creator-1', 'card_royalty', 23]
+    ]);
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -250 },
+      { kind: 'fan_wallet', ownerId: 'seller-1', tokens: 225 },
+      { kind: 'creator_earnings', ownerId: 'creator-1', tokens: 23 },
+      { kind: 'platform_revenue', ownerId: null, tokens: 2 }
+    ]);
+    const transfer = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE cards SET user_id'));
+    expect(transfer[1]).toEqual(['card-1', 'fan-1', 250]);
+    expect(statements(client)).toContain('COMMIT');
+  });
+
+  test('blocks buying back a recently sold card without charging', async () => {
+    const client = mockClient({ roundTrip: [{ '?column?': 1 }] });
+
+    await expect(buyListing({ listingId: 'listing-1', buyerId: 'fan-1' }))
+      .rejects.toThrow(BusinessLogicError);
+    expect(ledger(client)).toEqual([]);
+    expect(statements(client)).toContain('ROLLBACK');
+    expect(pool.query).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO fraud_alerts'),
+      ['fan-1', 'card_wash_trading', expect.stringContaining('round_trip')]
+    );
+  });
+
+  test('a bid escrows, fills the cheapest ask and refunds the difference', async () => {
+    const client = mockClient();
+
+    const { bid, trade } = await placeBid({ editionId: 'edition-1', bidderId: 'fan-1', priceTokens: 300 });
+
+    expect(bid.status).toBe('filled');
+    expect(trade.trade_value).toBe(250);
+    expect(ledger(client)).toEqual([
+      ['fan-1', 'card_bid_escrow', -300],
+      ['seller-1', 'card_resale', 225],
+      ['creator-1', 'card_royalty', 25],
+      ['fan-1', 'card_bid_refund', 50]
+    ]);
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -300 },
+      { kind: 'escrow', ownerId: null, tokens: 300 },
+      { kind: 'escrow', ownerId: null, tokens: -300 },
+      { kind: 'fan_wallet', ownerId: 'seller-1', tokens: 225 },
+      { kind: 'creator_earnings', ownerId: 'creator-1', tokens: 25 },
+      { kind: 'fan_wallet', ownerId: 'fan-1', tokens: 50 }
+    ]);
+    const filled = client.query.mock.calls.find(([sql]) => sql.includes("SET status = 'filled'"));
+    expect(filled[1]).toEqual(['bid-1', 'card-1']);
+  });
+
+  test('cancelling a bid refunds its escrow once', async () => {
+    const open = { id: 'bid-1', bidder_id: 'fan-1', price_tokens: 300, status: 'open' };
+    const client = mockClient({ bid: open });
+
+    await cancelBid({ bidId: 'bid-1', bidderId: 'fan-1' });
+    expect(ledger(client)).toEqual([['fan-1', 'card_bid_refund', 300]]);
+    expect(journalLegs(client)).toEqual([
+      { kind: 'escrow', ownerId: null, tokens: -300 },
+      { kind: 'fan_wallet', ownerId: 'fan-1', tokens: 300 }
+    ]);
+
+    mockClient({ bid: { ...open, status: 'filled' } });
+    await expect(cancelBid({ bidId: 'bid-1', bidderId: 'fan-1' })).rejects.toThrow(ResourceConflictError);
+  });
+});
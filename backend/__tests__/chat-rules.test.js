@@ -0,0 +1,143 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../utils/db');
+const {
+  DEFAULT_RULES,
+  normalizeRules,
+  evaluateMessage,
+  checkChatMessage,
+  reviewHeldMessage
+} = require('../utils/chat-rules');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const viewer = {
+  isExempt: false,
+  isFollower: false,
+  isSubscriber: false,
+  accountCreatedAt: new Date('2025-01-01T00:00:00Z'),
+  lastMessageAt: null
+};
+
+describe('Stream Chat Rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('rule sets are validated before they are saved', () => {
+    const rules = normalizeRules({
+      blockedTerms: ['  Spoiler ', 'spoiler', ''],
+      blockedPatterns: ['b+uy\\s+followers'],
+      linkPolicy: 'allowlist',
+      allowedDomains: ['YouTube.com'],
+      actions: { links: 'hold' }
+    });
+    expect(rules).toMatchObject({
+      blocked_terms: ['spoiler'],
+      allowed_domains: ['youtube.com'],
+      link_policy: 'allowlist',
+      actions: { links: 'hold' },
+      slow_mode_seconds: 0
+    });
+
+    expect(() => normalizeRules({ blockedPatterns: ['[unclosed'] })).toThrow('not a supported regular expression');
+    expect(() => normalizeRules({ blockedPatterns: ['free(?=tokens)'] })).toThrow('not a supported regular expression');
+    expect(() => normalizeRules({ actions: { caps: 'shadowban' } })).toThrow('actions maps');
+    expect(() => normalizeRules({ slowModeSeconds: 3600 })).toThrow('between 0 and 600');
+  });
+
+  test('gates check chat mode, account age and slow mode', () => {
+    const rules = { ...DEFAULT_RULES, chat_mode: 'followers', min_account_age_hours: 24, slow_mode_seconds: 30 };
+
+    expect(evaluateMessage(rules, 'hi', viewer, now)).toMatchObject({ type: 'gate', rule: 'chat_mode' });
+    // Subscribers count as followers
+    expect(evaluateMessage(rules, 'hi', { ...viewer, isSubscriber: true }, now)).toBeNull();
+
+    const newAccount = { ...viewer, isFollower: true, accountCreatedAt: new Date('2026-10-18T06:00:00Z') };
+    expect(evaluateMessage(rules, 'hi', newAccount, now)).toMatchObject({ rule: 'min_account_age' });
+
+    const chatty = { ...viewer, isFollower: true, lastMessageAt: new Date('2026-10-18T11:59:50Z') };
+    expect(evaluateMessage(rules, 'hi', chatty, now)).toMatchObject({ rule: 'slow_mode', retryAfterSeconds: 20 });
+
+    // The creator is never gated
+    expect(evaluateMessage(rules, 'hi', { ...viewer, isExempt: true }, now)).toBeNull();
+  });
+
+  test('content rules match whole words, links, caps and emoji', () => {
+    const rules = {
+      ...DEFAULT_RULES,
+      blocked_terms: ['ass'],
+      blocked_patterns: ['f+r+e+\\s*tokens'],
+      link_policy: 'allowlist',
+      allowed_domains: ['youtube.com'],
+      caps_max_percent: 70,
+      emoji_max_count: 3,
+      actions: { blocked_terms: 'timeout', links: 'hold' }
+    };
+
+    expect(evaluateMessage(rules, 'Nice class today', viewer, now)).toBeNull();
+    expect(evaluateMessage(rules, 'what an ass!', viewer, now)).toMatchObject({ rule: 'blocked_terms', action: 'timeout' });
+    expect(evaluateMessage(rules, 'FRRREE tokens here', viewer, now)).toMatchObject({ rule: 'blocked_patterns', action: 'delete' });
+
+    expect(evaluateMessage(rules, 'watch https://www.youtube.com/watch?v=1', viewer, now)).toBeNull();
+    expect(evaluateMessage(rules, 'go to cheap-tokens.xyz/now', viewer, now))
+      .toMatchObject({ rule: 'links', detail: 'cheap-tokens.xyz', action: 'hold' });
+    expect(evaluateMessage(rules, 'THIS STREAM IS AMAZING', viewer, now)).toMatchObject({ rule: 'caps' });
+    expect(evaluateMessage(rules, 'OMG', viewer, now)).toBeNull();
+    expect(evaluateMessage(rules, '🔥🔥🔥🔥', viewer, now)).toMatchObject({ rule: 'emoji', detail: '4 emoji' });
+  });
+
+  test('patterns that backtrack catastrophically in RegExp run in linear time', () => {
+    const { blocked_patterns: patterns } = normalizeRules({ blockedPatterns: ['^(a|a)*$', '(a+)+$'] });
+    const rules = { ...DEFAULT_RULES, blocked_patterns: patterns };
+
+    const started = Date.now();
+    expect(evaluateMessage(rules, `${'a'.repeat(5000)}!`, viewer, now)).toBeNull();
+    expect(evaluateMessage(rules, 'a'.repeat(5000), viewer, now)).toMatchObject({ rule: 'blocked_patterns', detail: '^(a|a)*$' });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('a timeout violation is logged and times the sender out', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'stream-1', creator_id: 'creator-1', channel: 'chan-1' }] })
+      .mockResolvedValueOnce({ rows: [{ ...DEFAULT_RULES, blocked_terms: ['scam'], actions: { blocked_terms: 'timeout' }, timeout_minutes: 15 }] })
+      .mockResolvedValueOnce({ rows: [{ account_created_at: null, is_follower: true, is_subscriber: false, last_message_at: null }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'event-1' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const check = await checkChatMessage({ channel: 'chan-1', userId: 'fan-1', message: 'total scam' });
+
+    expect(check).toMatchObject({ allowed: false, type: 'violation', rule: 'blocked_terms', action: 'timeout' });
+    expect(pool.query.mock.calls[3][1]).toEqual(['chan-1', 'creator-1', 'fan-1', 'total scam', 'blocked_terms', 'scam', 'timeout', 'actioned']);
+    const [moderationSql, moderationParams] = pool.query.mock.calls[4];
+    expect(moderationSql).toContain('INSERT INTO stream_chat_moderation');
+    expect(moderationParams).toEqual(['chan-1', 'fan-1', 'timeout', 15, 'Chat rules: blocked_terms', 'creator-1']);
+  });
+
+  test('streams without rules let every message through', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'stream-1', creator_id: 'creator-1', channel: 'chan-1' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await checkChatMessage({ channel: 'chan-1', userId: 'fan-1', message: 'hello' })).toEqual({ allowed: true });
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('approving a held message posts it to the chat', async () => {
+    const client = { query: jest.fn() };
+    const held = { id: 'event-1', stream_id: 'chan-1', user_id: 'fan-1', message: 'see example.com' };
+    client.query
+      .mockResolvedValueOnce({ rows: [{ ...held, status: 'approved' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'msg-1' }] })
+      .mockResolvedValueOnce({ rows: [{ ...held, status: 'approved', chat_message_id: 'msg-1' }] });
+
+    const event = await reviewHeldMessage(client, { eventId: 'event-1', creatorId: 'creator-1', reviewerId: 'creator-1', approve: true });
+    expect(event.chat_message_id).toBe('msg-1');
+    expect(client.query.mock.calls[1][0]).toContain('INSERT INTO stream_chat_messages');
+    expect(client.query.mock.calls[1][1]).toEqual(['chan-1', 'fan-1', 'see example.com']);
+
+    client.query.mockReset().mockResolvedValueOnce({ rows: [] });
+    expect(await reviewHeldMessage(client, { eventId: 'event-2', creatorId: 'creator-1', reviewerId: 'creator-1', approve: false })).toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,157 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+
+const { BusinessLogicError, ResourceConflictError } = require('../utils/app-errors');
+const { parseRRule, formatRRule, expandRRule } = require('../utils/rrule');
+const { skipOccurrence, enrollInSeries } = require('../utils/class-series');
+const { SPEND_ORDER, PAYOUT_ORDER } = require('../utils/token-ledger');
+const { journalLegs } = require('./helpers/ledger');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+const series = {
+  id: 'series-1',
+  creator_id: 'creator-db-1',
+  bundle_price: 100,
+  exdates: []
+};
+
+/**
+ * Fake pg client that routes by SQL
+ */
+function mockClient({ upcoming = [], enrollees = [], balance = 1000 } = {}) {
+  return {
+    query: jest.fn((sql, params) => {
+      if (sql.includes('FROM class_series_enrollments WHERE series_id')) return Promise.resolve({ rows: [] });
+      if (sql.includes('COUNT(cp.id)')) return Promise.resolve({ rows: upcoming });
+      if (sql.includes('INSERT INTO class_series_enrollments')) {
+        return Promise.resolve({ rows: [{ id: 'enrollment-1', price_paid: params[2], occurrence_count: params[3] }] });
+      }
+      if (sql.includes('SELECT supabase_id FROM users')) return Promise.resolve({ rows: [{ supabase_id: 'creator-1' }] });
+      if (sql.includes('SELECT balance FROM token_balances')) return Promise.resolve({ rows: [{ balance }] });
+      if (sql.includes('SET balance = balance -')) {
+        return Promise.resolve({ rowCount: 1, rows: [{ balance: balance - params[0] }] });
+      }
+      if (sql.includes('SET skipped_at = NOW()')) return Promise.resolve({ rows: [{ id: params[0], skipped_at: new Date() }] });
+      if (sql.includes('JOIN class_series_enrollments e')) return Promise.resolve({ rows: enrollees });
+      return Promise.resolve({ rows: [], rowCount: 0 });
+    })
+  };
+}
+
+const ledger = (client) => client.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO token_transactions'))
+  .map(([, params]) => [params[0], params[1], params[2]]);
+
+describe('Class Series', () => {
+  test('expands BYDAY, INTERVAL, UNTIL and EXDATE', () => {
+    expect(iso(expandRRule({
+      rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261112',
+      dtstart: '2026-10-19T18:00:00Z',
+      exdates: ['2026-11-02T18:00:00Z']
+    }))).toEqual([
+      '2026-10-19T18:00:00.000Z',
+      '2026-10-22T18:00:00.000Z',
+      '2026-11-05T18:00:00.000Z'
+    ]);
+
+    expect(iso(expandRRule({ rrule: 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=2', dtstart: '2026-10-01T10:00:00Z' })))
+      .toEqual(['2026-10-30T10:00:00.000Z', '2026-11-27T10:00:00.000Z']);
+
+    expect(formatRRule(parseRRule('RRULE:freq=monthly;byday=1mo;count=3'))).toBe('FREQ=MONTHLY;BYDAY=1MO;COUNT=3');
+  });
+
+  test('keeps the local time of day across DST changes', () => {
+    expect(iso(expandRRule({
+      rrule: 'FREQ=WEEKLY;COUNT=3',
+      dtstart: '2026-10-26T17:00:00Z',
+      timezone: 'America/New_York'
+    }))).toEqual([
+      '2026-10-26T17:00:00.000Z',
+      '2026-11-02T18:00:00.000Z',
+      '2026-11-09T18:00:00.000Z'
+    ]);
+  });
+
+  test('rejects unbounded and unsupported rules', () => {
+    expect(() => parseRRule('FREQ=WEEKLY')).toThrow(/COUNT or UNTIL/);
+    expect(() => parseRRule('FREQ=YEARLY;COUNT=2')).toThrow(BusinessLogicError);
+    expect(() => parseRRule('FREQ=WEEKLY;BYDAY=2MO;COUNT=2')).toThrow(/monthly/);
+    expect(() => expandRRule({ rrule: 'FREQ=DAILY;COUNT=500', dtstart: '2026-10-19T18:00:00Z' }))
+      .toThrow(/at most 104/);
+  });
+
+  test('series enrollment charges the bundle once and prepays every upcoming class', async () => {
+    const client = mockClient({
+      upcoming: [
+        { id: 'class-1', max_participants: 10, participants: 3 },
+        { id: 'class-2', max_participants: 10, participants: 9 }
+      ]
+    });
+
+    const { classIds } = await enrollInSeries(client, { series, userDbId: 'fan-db-1', userSupabaseId: 'fan-1' });
+
+    expect(classIds).toEqual(['class-1', 'class-2']);
+    expect(ledger(client)).toEqual([
+      ['fan-1', 'class_series_purchase', -100],
+      ['creator-1', 'class_series_sale', 100]
+    ]);
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -100 },
+      { kind: 'creator_earnings', ownerId: 'creator-1', tokens: 100 }
+    ]);
+    const participants = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO class_participants'));
+    expect(participants[1]).toEqual([['class-1', 'class-2'], 'fan-db-1', 'enrollment-1']);
+    const fee = client.query.mock.calls.find(([sql]) => sql.includes('SET platform_fee_tokens'));
+    expect(fee[1]).toEqual(['enrollment-1', 0]);
+
+    const full = mockClient({ upcoming: [{ id: 'class-1', max_participants: 10, participants: 10 }] });
+    await expect(enrollInSeries(full, { series, userDbId: 'fan-db-1', userSupabaseId: 'fan-1' }))
+      .rejects.toThrow(ResourceConflictError);
+    expect(ledger(full)).toEqual([]);
+  });
+
+  test('skipping keeps enrollments and refunds the per-class share', async () => {
+    // 20 of the 100 token bundle went to the platform
+    const client = mockClient({
+      enrollees: [{ id: 'enrollment-1', price_paid: 100, occurrence_count: 3, platform_fee_tokens: 20, supabase_id: 'fan-1' }]
+    });
+    const classRow = {
+      id: 'class-2',
+      start_time: new Date(Date.now() + 86400000),
+      occurrence_start: new Date(Date.now() + 86400000),
+      skipped_at: null
+    };
+
+    const { refunded } = await skipOccurrence(client, series, classRow);
+
+    expect(refunded).toBe(1);
+    // The creator returns their net share, the platform its fee share
+    expect(ledger(client)).toEqual([
+      ['creator-1', 'class_series_refund', -27],
+      ['fan-1', 'class_series_refund', 33]
+    ]);
+    expect(journalLegs(client)).toEqual([
+      { userId: 'creator-1', order: PAYOUT_ORDER, tokens: -27 },
+      { kind: 'platform_revenue', ownerId: null, tokens: -6 },
+      { kind: 'fan_wallet', ownerId: 'fan-1', tokens: 33 }
+    ]);
+    const sql = client.query.mock.calls.map(([statement]) => statement);
+    expect(sql.some(statement => statement.includes('DELETE FROM class_participants'))).toBe(false);
+    expect(sql.some(statement => statement.includes('array_append(exdates'))).toBe(true);
+
+    await expect(skipOccurrence(client, series, { ...classRow, skipped_at: new Date() }))
+      .rejects.toThrow(/already skipped/);
+  });
+});
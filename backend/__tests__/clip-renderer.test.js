@@ -0,0 +1,168 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../utils/storage-manager', () => ({
+  buckets: { STREAM_RECORDINGS: 'stream-recordings', STREAM_CLIPS: 'stream-clips' },
+  uploadFile: jest.fn((bucket, filePath) => Promise.resolve({ path: filePath, isPrivate: true })),
+  generateSignedUrl: jest.fn((bucket, filePath) => Promise.resolve(`https://signed/${bucket}/${filePath}`)),
+  deleteFile: jest.fn()
+}));
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const { pool } = require('../utils/db');
+const { publishToChannel } = require('../utils/ably-adapter');
+const storageManager = require('../utils/storage-manager');
+const { createWorkDir, buildRenderCommands, renderClip, getClipMedia } = require('../utils/clip-renderer');
+const { processClipRenderQueue } = require('../jobs/clip-renders');
+
+const clip = {
+  id: 'clip-1',
+  recording_id: 'rec-1',
+  creator_id: 'creator-1',
+  created_by: 'fan-1',
+  title: 'Best moment',
+  start_time: 60,
+  end_time: 90,
+  attempts: 1,
+  status: 'processing'
+};
+const recording = { id: 'rec-1', title: 'Friday stream', file_url: 'https://cdn/rec-1.mp4' };
+
+/**
+ * Fake ffmpeg: writes the output file (last argument) and exits with `code`
+ */
+function fakeFfmpeg(code = 0) {
+  spawn.mockImplementation((bin, args) => {
+    const child = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn();
+    setImmediate(() => {
+      if (code === 0) {
+        fs.writeFileSync(args[args.length - 1], 'media');
+      } else {
+        child.stderr.emit('data', 'Invalid data found when processing input');
+      }
+      child.emit('close', code);
+    });
+    return child;
+  });
+}
+
+/**
+ * Route pool.query by SQL for the render job
+ */
+function mockQueue({ claimed = [clip], failStatus = 'queued' } = {}) {
+  const queue = [...claimed];
+  pool.query.mockImplementation((sql) => {
+    if (sql.includes('attempts = attempts + 1')) return Promise.resolve({ rows: queue.splice(0, 1) });
+    if (sql.includes('FROM stream_recordings')) return Promise.resolve({ rows: [recording] });
+    if (sql.includes("SET status = 'ready'")) return Promise.resolve({ rows: [{ id: clip.id }] });
+    if (sql.includes('CASE WHEN attempts')) return Promise.resolve({ rows: [{ status: failStatus }] });
+    return Promise.resolve({ rows: [] });
+  });
+}
+
+const queries = (fragment) => pool.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+describe('Clip Renderer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('cuts the segment, a mid-clip thumbnail and a short preview', () => {
+    const commands = buildRenderCommands({ input: 'https://cdn/rec.mp4', startTime: 60, duration: 30, workDir: '/tmp/w' });
+
+    expect(commands.clip).toEqual(expect.arrayContaining(['-ss', '60', '-i', 'https://cdn/rec.mp4', '-t', '30']));
+    expect(commands.clip[commands.clip.length - 1]).toBe('/tmp/w/clip.mp4');
+    expect(commands.thumbnail).toEqual(expect.arrayContaining(['-ss', '75', '-frames:v', '1']));
+    expect(commands.thumbnail[commands.thumbnail.length - 1]).toBe('/tmp/w/thumb.jpg');
+    expect(commands.preview).toEqual(expect.arrayContaining(['-t', '3', '-an']));
+    expect(commands.preview[commands.preview.length - 1]).toBe('/tmp/w/preview.gif');
+  });
+
+  test('uploads the rendered media to the clips bucket and cleans up', async () => {
+    fakeFfmpeg();
+
+    const media = await renderClip(clip, recording);
+
+    expect(media).toEqual({
+      clipPath: 'creator-1/clips/clip-1/clip.mp4',
+      thumbnailPath: 'creator-1/clips/clip-1/thumb.jpg',
+      previewPath: 'creator-1/clips/clip-1/preview.gif',
+      fileSize: 5
+    });
+    expect(spawn).toHaveBeenCalledTimes(3);
+    expect(storageManager.uploadFile.mock.calls.map(([bucket, , , options]) => [bucket, options.contentType]))
+      .toEqual([['stream-clips', 'video/mp4'], ['stream-clips', 'image/jpeg'], ['stream-clips', 'image/gif']]);
+
+    const workDir = spawn.mock.calls[0][1].slice(-1)[0].replace(/\/clip\.mp4$/, '');
+    expect(fs.existsSync(workDir)).toBe(false);
+  });
+
+  test('work directories only resolve plain file names', async () => {
+    await expect(createWorkDir('../clip-')).rejects.toThrow(/Invalid work directory/);
+
+    const work = await createWorkDir('clip-test-');
+    try {
+      expect(work.file('clip.mp4')).toBe(`${work.dir}/clip.mp4`);
+      for (const name of ['..', '.', '../secret', 'a/b', '/etc/passwd', '']) {
+        expect(() => work.file(name)).toThrow(/Invalid work file name/);
+      }
+      await expect(work.read('../../etc/passwd')).rejects.toThrow(/Invalid work file name/);
+    } finally {
+      await work.remove();
+    }
+    expect(fs.existsSync(work.dir)).toBe(false);
+  });
+
+  test('ready clips get signed URLs; others get none', async () => {
+    const ready = { ...clip, status: 'ready', clip_path: 'c/clip.mp4', thumbnail_path: 'c/thumb.jpg', preview_path: 'c/preview.gif' };
+
+    expect(await getClipMedia(ready)).toEqual({
+      clipUrl: 'https://signed/stream-clips/c/clip.mp4',
+      thumbnailUrl: 'https://signed/stream-clips/c/thumb.jpg',
+      previewUrl: 'https://signed/stream-clips/c/preview.gif'
+    });
+    expect(await getClipMedia({ ...clip, status: 'queued' })).toEqual({ clipUrl: null, thumbnailUrl: null, previewUrl: null });
+  });
+
+  test('renders claimed clips to ready and notifies both users', async () => {
+    fakeFfmpeg();
+    mockQueue();
+
+    expect(await processClipRenderQueue()).toEqual({ rendered: 1, retried: 0, failed: 0 });
+
+    const [, params] = queries("SET status = 'ready'")[0];
+    expect(params.slice(0, 5)).toEqual([
+      'clip-1',
+      'creator-1/clips/clip-1/clip.mp4',
+      'creator-1/clips/clip-1/thumb.jpg',
+      'creator-1/clips/clip-1/preview.gif',
+      5
+    ]);
+    expect(queries('INSERT INTO notifications').map(([, p]) => [p[0], p[1]])).toEqual([
+      ['fan-1', 'clip_ready'],
+      ['creator-1', 'clip_created']
+    ]);
+    expect(publishToChannel).toHaveBeenCalledWith('user:fan-1', 'clip_ready', expect.objectContaining({ clipId: 'clip-1' }));
+  });
+
+  test('failed renders are requeued, then failed after the last attempt', async () => {
+    fakeFfmpeg(1);
+    mockQueue();
+
+    expect(await processClipRenderQueue()).toEqual({ rendered: 0, retried: 1, failed: 0 });
+    const [, params] = queries('CASE WHEN attempts')[0];
+    expect(params[2]).toMatch(/Invalid data found/);
+    expect(queries('INSERT INTO notifications')).toHaveLength(0);
+
+    pool.query.mockClear();
+    mockQueue({ claimed: [{ ...clip, attempts: 3 }], failStatus: 'failed' });
+
+    expect(await processClipRenderQueue()).toEqual({ rendered: 0, retried: 0, failed: 1 });
+    expect(queries('INSERT INTO notifications').map(([, p]) => p[1])).toEqual(['clip_failed']);
+  });
+});
@@ -0,0 +1,140 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+
+const { pool } = require('../utils/db');
+const { InsufficientFundsError, ResourceConflictError } = require('../utils/app-errors');
+const {
+  validatePerk,
+  purchaseCard,
+  getCallDiscountPercent,
+  applyCallDiscount
+} = require('../utils/collectible-cards');
+const { SPEND_ORDER } = require('../utils/token-ledger');
+const { journalLegs } = require('./helpers/ledger');
+
+const edition = {
+  id: 'edition-1',
+  creator_id: 'creator-1',
+  title: 'Founders',
+  rarity: 'epic',
+  category: 'Music',
+  supply_cap: 100,
+  minted_count: 42,
+  price_tokens: 500,
+  status: 'active'
+};
+
+/**
+ * Fake pg client that routes by SQL
+ */
+function mockClient({ claimed = [edition], existing = [], balance = 1000, feePercent = 0 } = {}) {
+  const client = {
+    release: jest.fn(),
+    query: jest.fn((sql) => {
+      if (sql.includes('SET minted_count = minted_count + 1')) return Promise.resolve({ rows: claimed });
+      if (sql.includes('FROM fee_policy_rules')) {
+        return Promise.resolve({ rows: [{ id: 'rule-card', platform_fee_percent: String(feePercent), effective_from: '2020-01-01' }] });
+      }
+      if (sql.startsWith('SELECT creator_id, status')) return Promise.resolve({ rows: existing });
+      if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [{ balance }] });
+      if (sql.includes('SET balance = balance -')) {
+        return Promise.resolve({ rowCount: 1, rows: [{ balance: balance - edition.price_tokens }] });
+      }
+      if (sql.includes('AS name')) return Promise.resolve({ rows: [{ name: 'Alex Melody' }] });
+      if (sql.includes('INSERT INTO cards')) return Promise.resolve({ rows: [{ id: 'card-1', card_number: 42 }] });
+      return Promise.resolve({ rows: [] });
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+const statements = (client) => client.query.mock.calls.map(([sql]) => sql);
+
+describe('Collectible Cards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('validatePerk checks discount bounds and stream ids', () => {
+    expect(validatePerk({ perk_type: 'call_discount', config: { percent: 20 } })).toBeNull();
+    expect(validatePerk({ perk_type: 'call_discount', config: { percent: 80 } })).toMatch(/between 1 and 50/);
+    expect(validatePerk({ perk_type: 'private_stream_access', config: {} })).toBeNull();
+    expect(validatePerk({ perk_type: 'private_stream_access', config: { stream_id: 'abc' } })).toMatch(/stream id/);
+    expect(validatePerk({ perk_type: 'free_money' })).toMatch(/perk_type/);
+  });
+
+  test('mints the claimed serial and pays the creator net of the card fee', async () => {
+    const client = mockClient({ feePercent: 10 });
+
+    const card = await purchaseCard({ editionId: 'edition-1', buyerId: 'fan-1' });
+
+    expect(card.id).toBe('card-1');
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO cards'));
+    expect(insert[1]).toEqual(['fan-1', 'creator-1', 'Alex Melody', 42, 'epic', 'Music', 500, 'edition-1']);
+
+    const ledger = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO token_transactions'));
+    expect(ledger.map(([, params]) => [params[0], params[1], params[2]])).toEqual([
+      ['fan-1', 'card_purchase', -500],
+      ['creator-1', 'card_sale', 450]
+    ]);
+    expect(JSON.parse(ledger[1][1][5])).toMatchObject({ revenueType: 'card', platformFeeTokens: 50, policyId: 'rule-card' });
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -500 },
+      { kind: 'creator_earnings', ownerId: 'creator-1', tokens: 450 },
+      { kind: 'platform_revenue', ownerId: null, tokens: 50 }
+    ]);
+    expect(statements(client)).toContain('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('reports a sold out edition without charging', async () => {
+    const client = mockClient({
+      claimed: [],
+      existing: [{ creator_id: 'creator-1', status: 'active', minted_count: 100, supply_cap: 100 }]
+    });
+
+    await expect(purchaseCard({ editionId: 'edition-1', buyerId: 'fan-1' }))
+      .rejects.toThrow(ResourceConflictError);
+    expect(statements(client).some(sql => sql.includes('token_balances'))).toBe(false);
+    expect(statements(client)).toContain('ROLLBACK');
+  });
+
+  test('rolls back the serial claim when the fan cannot pay', async () => {
+    const client = mockClient({ balance: 100 });
+
+    await expect(purchaseCard({ editionId: 'edition-1', buyerId: 'fan-1' }))
+      .rejects.toThrow(InsufficientFundsError);
+    expect(statements(client).some(sql => sql.includes('INSERT INTO cards'))).toBe(false);
+    expect(statements(client)).toContain('ROLLBACK');
+    expect(statements(client)).not.toContain('COMMIT');
+  });
+
+  test('uses the largest call discount without stacking', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [
+        { perk_type: 'call_discount', config: { percent: 10 } },
+        { perk_type: 'call_discount', config: { percent: 25 } },
+        { perk_type: 'private_stream_access', config: {} }
+      ]
+    });
+
+    const percent = await getCallDiscountPercent('fan-1', 'creator-1');
+
+    expect(percent).toBe(25);
+    expect(applyCallDiscount(40, percent)).toBe(30);
+    expect(applyCallDiscount(1, 50)).toBe(1);
+    expect(applyCallDiscount(40, 0)).toBe(40);
+  });
+});
@@ -0,0 +1,138 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../utils/db');
+const {
+  localProvider,
+  createOpenAIProvider,
+  registerProvider
+} = require('../utils/moderation-providers');
+const {
+  DEFAULT_THRESHOLDS,
+  decide,
+  moderateContent,
+  fileAppeal,
+  resolveAppeal
+} = require('../utils/content-moderation');
+
+const originalFetch = global.fetch;
+
+describe('Content Moderation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('the local provider scores text per category', async () => {
+    const clean = await localProvider.moderateText('Great stream, thanks for the tips!');
+    expect(Object.values(clean.categories).every(score => score === 0)).toBe(true);
+
+    const threat = await localProvider.moderateText("I'll find you after the stream");
+    expect(threat.categories.threats_violence).toBe(85);
+
+    const spam = await localProvider.moderateText('buy followers now now now at discord.gg/x');
+    expect(spam.categories.spam).toBe(100);
+    expect(spam.reasons).toContain('Repeated characters or words');
+  });
+
+  test('thresholds decide between approve, review and block', () => {
+    const scores = (overrides) => ({ provider: 'local', categories: { spam: 0, harassment: 0, ...overrides }, reasons: [] });
+
+    expect(decide(scores({ spam: 45 }), DEFAULT_THRESHOLDS)).toMatchObject({ action: 'none', confidence: 45 });
+    expect(decide(scores({ harassment: 45 }), DEFAULT_THRESHOLDS))
+      .toMatchObject({ action: 'review', severity: 'medium', categories: ['harassment'] });
+    expect(decide(scores({ harassment: 96, spam: 60 }), DEFAULT_THRESHOLDS))
+      .toMatchObject({ action: 'block', severity: 'critical', categories: ['spam', 'harassment'] });
+
+    // An admin lowering the spam thresholds changes the outcome
+    const strict = { ...DEFAULT_THRESHOLDS, spam: { review: 20, block: 40 } };
+    expect(decide(scores({ spam: 45 }), strict)).toMatchObject({ action: 'block', severity: 'high' });
+  });
+
+  test('the OpenAI adapter maps its categories onto ours', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        results: [{
+          categories: { 'harassment/threatening': true, sexual: false },
+          category_scores: { 'harassment/threatening': 0.91, violence: 0.4, sexual: 0.02 }
+        }]
+      })
+    });
+
+    const result = await createOpenAIProvider({ apiKey: 'sk-test' }).moderateImage('https://cdn.example.com/a.jpg');
+
+    expect(result.categories).toMatchObject({ threats_violence: 91, adult_content: 2, spam: 0 });
+    expect(result.reasons).toEqual(['Flagged by OpenAI: harassment/threatening']);
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/moderations');
+    expect(JSON.parse(request.body).input).toEqual([{ type: 'image_url', image_url: { url: 'https://cdn.example.com/a.jpg' } }]);
+  });
+
+  test('held content is persisted and queued for review', async () => {
+    registerProvider('fixed', () => ({
+      name: 'fixed',
+      moderateText: async () => ({ provider: 'fixed', categories: { harassment: 50 }, reasons: ['test'] })
+    }));
+    process.env.MODERATION_PROVIDER = 'fixed';
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 7, content_type: 'message', user_id: 'fan-1' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const { record, decision } = await moderateContent({
+      contentType: 'message',
+      contentId: 'msg-1',
+      userId: 'fan-1',
+      kind: 'text',
+      content: 'you are the worst'
+    });
+
+    expect(record.id).toBe(7);
+    expect(decision.action).toBe('review');
+    const insertParams = pool.query.mock.calls[1][1];
+    expect(insertParams.slice(9, 12)).toEqual(['pending_review', 'pending', 'fixed']);
+    expect(pool.query.mock.calls[2][0]).toContain('INSERT INTO moderation_queue');
+
+    delete process.env.MODERATION_PROVIDER;
+  });
+
+  test('only removed content can be appealed, once', async () => {
+    const client = { query: jest.fn() };
+
+    await expect(fileAppeal(client, { moderationId: 7, userId: 'fan-1', reason: '  ' }))
+      .rejects.toThrow('why the decision was wrong');
+
+    client.query.mockResolvedValueOnce({ rows: [{ id: 7, action_taken: 'pending_review' }] });
+    await expect(fileAppeal(client, { moderationId: 7, userId: 'fan-1', reason: 'It was a joke' }))
+      .rejects.toThrow('Only removed content');
+
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 7, action_taken: 'content_removed' }] })
+      .mockResolvedValueOnce({ rows: [] });
+    await expect(fileAppeal(client, { moderationId: 7, userId: 'fan-1', reason: 'It was a joke' }))
+      .rejects.toThrow('already been appealed');
+  });
+
+  test('overturning an appeal restores the content and lifts penalties', async () => {
+    const client = { query: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({ rows: [{ id: 3, moderation_id: 7, user_id: 'fan-1', status: 'overturned' }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 7, content_type: 'message', content_id: 'msg-1', user_id: 'fan-1' }] })
+      .mockResolvedValue({ rows: [] });
+
+    const { appeal } = await resolveAppeal(client, { appealId: 3, adminId: 'admin-1', overturn: true });
+
+    expect(appeal.status).toBe('overturned');
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements[3]).toContain('UPDATE chat_messages SET is_blocked = false');
+    expect(statements[4]).toContain('UPDATE user_penalties');
+    expect(client.query.mock.calls[4][1]).toEqual([7, 'admin-1']);
+    expect(statements[5]).toContain('is_suspended = false');
+  });
+});
@@ -0,0 +1,117 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/supabase', () => ({ supabase: { rpc: jest.fn() } }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../utils/token-transfers', () => ({ debitTokens: jest.fn(), creditCreator: jest.fn() }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+
+const { pool } = require('../utils/db');
+const { supabase } = require('../utils/supabase');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { InsufficientFundsError } = require('../utils/app-errors');
+const { debitTokens, creditCreator } = require('../utils/token-transfers');
+const { createJournal } = require('../utils/token-ledger');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+
+/**
+ * Fake pg client that routes by SQL. existing is a message already delivered
+ * for the same scheduled row
+ */
+function mockClient({ messagePrice = 12, existing = null } = {}) {
+  const client = {
+    release: jest.fn(),
+    query: jest.fn((sql, params) => {
+      if (sql.includes('SELECT message_price')) return Promise.resolve({ rows: [{ message_price: messagePrice }] });
+      if (sql.includes('INSERT INTO messages')) {
+        return Promise.resolve({ rows: existing ? [] : [{ id: 'msg-1', sender_id: params[1], tokens_spent: 0 }] });
+      }
+      if (sql.includes('SET tokens_spent')) return Promise.resolve({ rows: [{ id: params[0], tokens_spent: params[1] }] });
+      return Promise.resolve({ rows: [] });
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  pool.query.mockImplementation((sql) => {
+    if (sql.includes('AS blocked')) return Promise.resolve({ rows: [{ blocked: false }] });
+    if (sql.includes('WHERE scheduled_message_id')) return Promise.resolve({ rows: [existing] });
+    return Promise.resolve({ rows: [{ id: 'fan-1', username: 'fan' }] });
+  });
+  supabase.rpc.mockResolvedValue({ data: 'conv-1', error: null });
+  return client;
+}
+
+const sqlCalls = (client) => client.query.mock.calls.map(([sql]) => sql);
+
+const premium = { senderId: 'fan-1', recipientId: 'creator-1', content: 'hi', isPremium: true };
+
+describe('Direct Message Delivery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('charges a premium message through the token helpers in one transaction', async () => {
+    const client = mockClient();
+
+    const result = await deliverDirectMessage(premium);
+
+    expect(result.success).toBe(true);
+    expect(result.message).toMatchObject({ id: 'msg-1', tokens_spent: 12, sender: { username: 'fan' } });
+    const journal = createJournal.mock.results[0].value;
+    expect(debitTokens).toHaveBeenCalledWith(client, 'fan-1', 12, expect.objectContaining({ journal, relatedUserId: 'creator-1' }));
+    expect(creditCreator).toHaveBeenCalledWith(client, 'creator-1', 12, expect.objectContaining({
+      revenueType: 'ppv',
+      journal,
+      relatedUserId: 'fan-1'
+    }));
+    expect(journal.post).toHaveBeenCalledWith(client);
+    expect(sqlCalls(client)).toEqual(expect.arrayContaining(['BEGIN', 'COMMIT']));
+    expect(client.release).toHaveBeenCalled();
+    expect(publishToChannel).toHaveBeenCalledWith('user:creator-1', 'message:new', expect.any(Object));
+  });
+
+  test('refuses a premium message the sender cannot pay for without sending it', async () => {
+    const client = mockClient();
+    debitTokens.mockRejectedValueOnce(new InsufficientFundsError('Insufficient token balance', 12, 3));
+
+    const result = await deliverDirectMessage(premium);
+
+    expect(result).toEqual({ success: false, error: 'INSUFFICIENT_TOKENS', required: 12, balance: 3 });
+    expect(creditCreator).not.toHaveBeenCalled();
+    expect(sqlCalls(client)).toContain('ROLLBACK');
+    expect(sqlCalls(client)).not.toContain('COMMIT');
+    expect(publishToChannel).not.toHaveBeenCalled();
+  });
+
+  test('does not charge for a regular message', async () => {
+    const client = mockClient();
+
+    const result = await deliverDirectMessage({ ...premium, isPremium: false });
+
+    expect(result.success).toBe(true);
+    expect(debitTokens).not.toHaveBeenCalled();
+    expect(sqlCalls(client)).toContain('COMMIT');
+  });
+
+  test('a scheduled message delivered twice is neither sent nor charged again', async () => {
+    const client = mockClient({ existing: { id: 'msg-1', scheduled_message_id: 'sched-1', tokens_spent: 12 } });
+
+    const result = await deliverDirectMessage({ ...premium, scheduledMessageId: 'sched-1' });
+
+    expect(result).toMatchObject({ success: true, duplicate: true, message: { id: 'msg-1' } });
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO messages'));
+    expect(insert[0]).toContain('ON CONFLICT (scheduled_message_id) DO NOTHING');
+    expect(insert[1][11]).toBe('sched-1');
+    expect(debitTokens).not.toHaveBeenCalled();
+    expect(sqlCalls(client)).not.toContain('COMMIT');
+    expect(publishToChannel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../utils/db');
+const { resolveFeePercent, calculateFees, addOverride, addRule } = require('../utils/fee-policy');
+const { creditCreator } = require('../utils/token-transfers');
+const { createJournal } = require('../utils/token-ledger');
+
+const at = new Date('2026-10-18T12:00:00Z');
+
+/**
+ * Fake db that answers the override and rule lookups
+ */
+function mockDb({ override = null, rule = null } = {}) {
+  return {
+    query: jest.fn((sql) => {
+      if (sql.includes('FROM creator_fee_overrides')) return Promise.resolve({ rows: override ? [override] : [] });
+      if (sql.includes('FROM fee_policy_rules')) return Promise.resolve({ rows: rule ? [rule] : [] });
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    })
+  };
+}
+
+describe('Fee Policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('a negotiated override beats the platform rule', async () => {
+    const db = mockDb({
+      override: { id: 'ovr-1', platform_fee_percent: '5.00', effective_from: '2026-01-01' },
+      rule: { id: 'rule-1', platform_fee_percent: '20.00', effective_from: '2020-01-01' }
+    });
+
+    const policy = await resolveFeePercent(db, { creatorId: 'creator-1', revenueType: 'gift', at });
+
+    expect(policy).toEqual({ percent: 5, source: 'override', id: 'ovr-1', effectiveFrom: '2026-01-01' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual(['creator-1', 'gift', at]);
+  });
+
+  test('falls back to the rule for the revenue type, then to the default', async () => {
+    const ruled = await resolveFeePercent(
+      mockDb({ rule: { id: 'rule-1', platform_fee_percent: '20.00', effective_from: '2020-01-01' } }),
+      { creatorId: 'creator-1', revenueType: 'shop', at }
+    );
+    expect(ruled).toMatchObject({ percent: 20, source: 'rule', id: 'rule-1' });
+
+    const unset = await resolveFeePercent(mockDb(), { creatorId: 'creator-1', revenueType: 'shop', at });
+    expect(unset).toMatchObject({ percent: 0, source: 'default', id: null });
+
+    await expect(resolveFeePercent(mockDb(), { creatorId: 'creator-1', revenueType: 'bribe', at }))
+      .rejects.toThrow('revenueType must be one of');
+  });
+
+  test('fees round down in the creator\'s favour', async () => {
+    const db = mockDb({ rule: { id: 'rule-1', platform_fee_percent: '12.50', effective_from: '2020-01-01' } });
+
+    const fees = await calculateFees(db, { creatorId: 'creator-1', revenueType: 'tip', grossTokens: 33, at });
+
+    expect(fees).toEqual({
+      revenueType: 'tip',
+      grossTokens: 33,
+      platformFeePercent: 12.5,
+      platformFeeTokens: 4,
+      creatorNetTokens: 29,
+      policySource: 'rule',
+      policyId: 'rule-1',
+      policyEffectiveFrom: '2020-01-01',
+      calculatedAt: at.toISOString()
+    });
+  });
+
+  test('creditCreator credits the net amount and stores the breakdown', async () => {
+    const client = mockDb({ rule: { id: 'rule-1', platform_fee_percent: '20.00', effective_from: '2020-01-01' } });
+
+    const journal = createJournal('ticket_purchase');
+
+    const fees = await creditCreator(client, 'creator-1', 50, {
+      type: 'ticket_sale',
+      revenueType: 'ticket',
+      journal,
+      relatedUserId: 'fan-1'
+    });
+
+    expect(fees).toMatchObject({ platformFeeTokens: 10, creatorNetTokens: 40 });
+    const [balanceSql, balanceParams] = client.query.mock.calls[2];
+    expect(balanceSql).toContain('INSERT INTO token_balances');
+    expect(balanceParams).toEqual(['creator-1', 40]);
+
+    const [txSql, txParams] = client.query.mock.calls[3];
+    expect(txSql).toContain('fee_breakdown');
+    expect(txParams.slice(0, 5)).toEqual(['creator-1', 'ticket_sale', 40, 2, 'fan-1']);
+    expect(JSON.parse(txParams[5])).toMatchObject({ grossTokens: 50, platformFeePercent: 20, policyId: 'rule-1' });
+
+    // The fee lands in platform revenue, so the legs add up to the gross
+    expect(journal.legs).toEqual([
+      { kind: 'creator_earnings', ownerId: 'creator-1', tokens: 40 },
+      { kind: 'platform_revenue', ownerId: null, tokens: 10 }
+    ]);
+  });
+
+  test('overrides need a reason, a creator and a valid window', async () => {
+    const base = { creatorId: 'creator-1', platformFeePercent: 5, adminId: 'admin-1' };
+
+    await expect(addOverride({ ...base, reason: ' ' })).rejects.toThrow('reason is required');
+    await expect(addOverride({
+      ...base,
+      reason: 'Launch partner',
+      effectiveFrom: '2026-11-01',
+      effectiveUntil: '2026-10-01'
+    })).rejects.toThrow('effectiveUntil must be after effectiveFrom');
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(addOverride({ ...base, reason: 'Launch partner' })).rejects.toThrow('only be set for creators');
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'ovr-1' }] });
+    await addOverride({ ...base, revenueType: null, reason: ' Launch partner ' });
+    const params = pool.query.mock.calls[2][1];
+    expect(params[1]).toBeNull();
+    expect(params[5]).toBe('Launch partner');
+  });
+
+  test('rules validate the rate before scheduling', async () => {
+    await expect(addRule({ revenueType: 'gift', platformFeePercent: 120, adminId: 'admin-1' }))
+      .rejects.toThrow('between 0 and 100');
+
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'rule-2' }] });
+    await addRule({ revenueType: 'gift', platformFeePercent: '15.555', effectiveFrom: '2027-01-01', adminId: 'admin-1' });
+    expect(pool.query.mock.calls[0][1].slice(0, 2)).toEqual(['gift', 15.56]);
+  });
+});
@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { supabase_id: 'fan-1' };
+    next();
+  },
+  requireCreator: (req, res, next) => next()
+}));
+
+const { pool } = require('../utils/db');
+const { SPEND_ORDER } = require('../utils/token-ledger');
+const { journalLegs } = require('./helpers/ledger');
+const giftRoutes = require('../routes/gifts');
+
+const app = express();
+app.use(express.json());
+app.use('/api/gifts', giftRoutes);
+
+const member = (userId, role, sharePercent = null) => ({
+  user_id: userId,
+  role,
+  share_percent: sharePercent,
+  left_at: null,
+  on_air_since: null,
+  on_air_seconds: 0
+});
+
+/**
+ * Fake pg client that routes by SQL. balances are after process_gift_send,
+ * which credits the host the whole gift.
+ */
+function mockClient({ agreement = null, members = [], balances = { 'host-1': 1100, 'cohost-1': 0 } } = {}) {
+  const state = { balances: { ...balances } };
+
+  const client = {
+    state,
+    release: jest.fn(),
+    query: jest.fn((sql, params) => {
+      if (sql.includes('SELECT id FROM users')) return Promise.resolve({ rows: [{ id: 7 }] });
+      if (sql.includes('process_gift_send')) {
+        return Promise.resolve({ rows: [{ success: true, sent_id: 'sent-1', new_balance: 400, error_message: null }] });
+      }
+      if (sql.includes('SELECT gs.amount')) return Promise.resolve({ rows: [{ amount: 100, creator_supabase_id: 'host-1' }] });
+      if (sql.includes('FROM fee_policy_rules')) {
+        return Promise.resolve({ rows: [{ id: 'rule-gift', platform_fee_percent: '20.00', effective_from: '2026-01-01' }] });
+      }
+      if (sql.includes('FROM revenue_split_agreements')) return Promise.resolve({ rows: agreement ? [agreement] : [] });
+      if (sql.includes('SELECT * FROM revenue_split_members')) return Promise.resolve({ rows: members });
+      if (sql.includes('UPDATE token_balances')) {
+        const change = sql.includes('balance - $1') ? -params[0] : params[0];
+        state.balances[params[1]] += change;
+        return Promise.resolve({ rows: [{ balance: state.balances[params[1]] }] });
+      }
+      if (sql.includes('FROM gifts_sent gs')) return Promise.resolve({ rows: [{ sent_id: 'sent-1', gift_name: 'Rose' }] });
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+const params = (client, fragment) => client.query.mock.calls
+  .filter(([sql]) => sql.includes(fragment))
+  .map(([, values]) => values);
+
+describe('Gifts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('a gift without a revenue split goes to the host net of the fee', async () => {
+    const client = mockClient();
+
+    const res = await request(app)
+      .post('/api/gifts/send')
+      .send({ creatorId: 12, giftId: 'rose', streamId: 'stream-1' });
+
+    expect(res.status).toBe(200);
+    expect(client.state.balances).toEqual({ 'host-1': 1080, 'cohost-1': 0 });
+    expect(params(client, 'INSERT INTO revenue_split_allocations')).toEqual([]);
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -100 },
+      { kind: 'creator_earnings', ownerId: 'host-1', tokens: 80 },
+      { kind: 'platform_revenue', ownerId: null, tokens: 20 }
+    ]);
+  });
+
+  test('a gift during an active co-host agreement is split with the co-host', async () => {
+    const client = mockClient({
+      agreement: { id: 'agr-1', mode: 'fixed', host_id: 'host-1', ended_at: null },
+      members: [member('host-1', 'host'), member('cohost-1', 'co_host', '25.00')]
+    });
+
+    const res = await request(app)
+      .post('/api/gifts/send')
+      .send({ creatorId: 12, giftId: 'rose', streamId: 'stream-1' });
+
+    expect(res.status).toBe(200);
+    const [, lookupParams] = client.query.mock.calls.find(([sql]) => sql.includes('FROM revenue_split_agreements'));
+    expect(lookupParams).toEqual(['host-1', 'stream-1']);
+
+    // 75 to the host and 25 to the co-host, 20% off each
+    expect(client.state.balances).toEqual({ 'host-1': 1060, 'cohost-1': 20 });
+    expect(params(client, 'INSERT INTO revenue_split_allocations').map(values => values.slice(0, 10))).toEqual([
+      ['agr-1', 'host-1', 'gift', 'sent-1', 'fan-1', 100, 75, 75, 15, 60],
+      ['agr-1', 'cohost-1', 'gift', 'sent-1', 'fan-1', 100, 25, 25, 5, 20]
+    ]);
+
+    const [hostRow] = params(client, 'UPDATE token_transactions');
+    expect(hostRow.slice(0, 2)).toEqual([60, 1060]);
+    const [cohostRow] = params(client, 'INSERT INTO token_transactions');
+    expect(cohostRow.slice(0, 4)).toEqual(['cohost-1', 20, 20, 'sent-1']);
+
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -100 },
+      { kind: 'creator_earnings', ownerId: 'host-1', tokens: 60 },
+      { kind: 'platform_revenue', ownerId: null, tokens: 15 },
+      { kind: 'creator_earnings', ownerId: 'cohost-1', tokens: 20 },
+      { kind: 'platform_revenue', ownerId: null, tokens: 5 }
+    ]);
+    expect(client.query.mock.calls.map(([sql]) => sql)).toContain('COMMIT');
+  });
+});
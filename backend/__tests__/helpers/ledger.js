@@ -0,0 +1,18 @@
+/**
+ * Ledger helpers for tests that mock utils/token-ledger's createJournal so
+ * each journal's post is a jest.fn
+ */
+
+/**
+ * Legs of the most recent ledger journal, which must have been posted
+ */
+const journalLegs = (client) => {
+  const { createJournal } = require('../../utils/token-ledger');
+  const journal = createJournal.mock.results[createJournal.mock.results.length - 1].value;
+  expect(journal.post).toHaveBeenCalledWith(client);
+  return journal.legs;
+};
+
+module.exports = {
+  journalLegs
+};
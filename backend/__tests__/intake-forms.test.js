@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { supabase_id: req.headers['x-user'] || '11111111-1111-4111-8111-111111111111' };
+    next();
+  },
+  requireCreator: (req, res, next) => next()
+}));
+
+const { pool } = require('../utils/db');
+const { validateFormFields, validateAnswers } = require('../utils/intake-forms');
+const intakeFormRoutes = require('../routes/intake-forms');
+
+const CREATOR = '11111111-1111-4111-8111-111111111111';
+const FAN = '22222222-2222-4222-8222-222222222222';
+const FORM = '33333333-3333-4333-8333-333333333333';
+
+const app = express();
+app.use(express.json());
+app.use('/api/intake-forms', intakeFormRoutes);
+
+const fields = [
+  { id: 'goal', type: 'select', label: 'Main goal', required: true, options: ['Strength', 'Rehab'] },
+  { id: 'injury', type: 'textarea', label: 'Describe the injury', required: true, show_if: { field: 'goal', equals: 'Rehab' } },
+  { id: 'consent', type: 'consent', label: 'Consent', required: true }
+];
+
+describe('Intake Forms', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('validateFormFields rejects duplicate ids, missing options and forward conditions', () => {
+    const errors = validateFormFields([
+      { id: 'goal', type: 'select', label: 'Goal' },
+      { id: 'goal', type: 'text', label: 'Again', show_if: { field: 'later', equals: 'x' } },
+      { id: 'later', type: 'text', label: 'Later' }
+    ]);
+
+    expect(errors).toEqual([
+      'fields[0].options must be a non-empty list of strings',
+      'fields[1].id "goal" is used more than once',
+      'fields[1].show_if must reference a field defined before it'
+    ]);
+    expect(validateFormFields(fields)).toEqual([]);
+  });
+
+  test('validateAnswers only requires and keeps visible fields', () => {
+    const hidden = validateAnswers(fields, { goal: 'Strength', injury: 'knee', consent: true });
+    expect(hidden).toEqual({ errors: [], answers: { goal: 'Strength', consent: true } });
+
+    const shown = validateAnswers(fields, { goal: 'Rehab', consent: false });
+    expect(shown.errors.map(e => e.field)).toEqual(['injury', 'consent']);
+  });
+
+  test('editing fields that already have responses creates a new version', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql.includes('FOR UPDATE OF f')) {
+        return Promise.resolve({
+          rows: [{ id: FORM, title: 'Intake', description: null, is_archived: false, current_version: 1, version_id: 'v1', fields }]
+        });
+      }
+      if (sql.includes('FROM intake_form_responses')) return Promise.resolve({ rows: [{ '?column?': 1 }] });
+      if (sql.includes('UPDATE intake_forms')) {
+        return Promise.resolve({ rows: [{ id: FORM, title: 'Intake', current_version: 2, is_archived: false }] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    const res = await request(app)
+      .put(`/api/intake-forms/${FORM}`)
+      .send({ fields: fields.slice(0, 1) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.versioned).toBe(true);
+    expect(res.body.form.version).toBe(2);
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO intake_form_versions'));
+    expect(insert[1]).toEqual([FORM, 2, JSON.stringify(fields.slice(0, 1))]);
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE intake_form_versions'))).toBe(false);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('stores validated answers against the current version', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ form_id: FORM, creator_id: CREATOR, fan_id: FAN, status: 'pending' }] })
+      .mockResolvedValueOnce({ rows: [{ id: FORM, title: 'Intake', description: null, version_id: 'v2', version: 2, fields }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'response-1', submitted_at: '2026-03-01T10:00:00.000Z' }] });
+
+    const res = await request(app)
+      .post('/api/intake-forms/responses')
+      .set('x-user', FAN)
+      .send({ subject_type: 'session_invite', subject_id: 'invite-1', answers: { goal: 'Strength', consent: true, extra: 'x' } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.response).toMatchObject({ version: 2, answers: { goal: 'Strength', consent: true } });
+
+    const params = pool.query.mock.calls[2][1];
+    expect(params).toEqual([FORM, 'v2', CREATOR, FAN, 'session_invite', 'invite-1', JSON.stringify({ goal: 'Strength', consent: true })]);
+  });
+
+  test('only the invited fan can answer a session invite form', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ form_id: FORM, creator_id: CREATOR, fan_id: FAN, status: 'pending' }] })
+      .mockResolvedValueOnce({ rows: [{ id: FORM, title: 'Intake', version_id: 'v1', version: 1, fields }] });
+
+    const res = await request(app)
+      .post('/api/intake-forms/responses')
+      .set('x-user', '44444444-4444-4444-8444-444444444444')
+      .send({ subject_type: 'session_invite', subject_id: 'invite-1', answers: {} });
+
+    expect(res.status).toBe(403);
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+});
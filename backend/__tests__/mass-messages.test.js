@@ -0,0 +1,132 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../utils/direct-messages', () => ({ deliverDirectMessage: jest.fn() }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+
+const { pool } = require('../utils/db');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+const { buildAudienceQuery } = require('../utils/mass-messaging');
+const { processMassMessageQueue } = require('../jobs/mass-message-campaigns');
+
+const campaign = {
+  id: 'campaign-1',
+  creator_id: 'creator-1',
+  template_id: null,
+  content: 'Hi {{fan_name}}, new drop for {{tier}} members!',
+  media_url: null,
+  media_type: null,
+  unlock_price: 0,
+  status: 'sending'
+};
+
+const recipient = (id, overrides = {}) => ({
+  id: `row-${id}`,
+  campaign_id: 'campaign-1',
+  recipient_id: id,
+  status: 'processing',
+  attempts: 1,
+  ...overrides
+});
+
+/**
+ * Route pool.query calls by SQL so the batch order does not matter
+ */
+function mockDatabase({ claimed, eligible, contexts = [] }) {
+  pool.query.mockImplementation((sql) => {
+    if (sql.includes('SET status = \'processing\'')) return Promise.resolve({ rows: claimed });
+    if (sql.includes('SET status = \'sending\'')) return Promise.resolve({ rows: [campaign] });
+    if (sql.includes('unnest($2::uuid[])')) return Promise.resolve({ rows: eligible.map(fan_id => ({ fan_id })) });
+    if (sql.includes('AS fan_name')) return Promise.resolve({ rows: contexts });
+    return Promise.resolve({ rows: [] });
+  });
+}
+
+const recipientUpdates = () => pool.query.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE mass_message_recipients') && sql.includes('processed_at'))
+  .map(([, params]) => params);
+
+describe('Mass Messages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildAudienceQuery', () => {
+    test('always excludes blocked and opted-out fans', () => {
+      const { text, values } = buildAudienceQuery('creator-1');
+      expect(values).toEqual(['creator-1']);
+      expect(text).toContain('creator_blocked_users');
+      expect(text).toContain('user_blocks');
+      expect(text).toContain("np.preferences->>'messages' = 'false'");
+      expect(text).toContain('announcement_notifications = FALSE');
+      expect(text).not.toContain('spend.total');
+    });
+
+    test('adds a parameter per filter', () => {
+      const { text, values } = buildAudienceQuery('creator-1', {
+        membership_tier_ids: ['tier-1'],
+        gifter_tiers: ['Knight', 'Duke'],
+        last_active_after: '2026-01-01',
+        min_spend: 100,
+        max_spend: 500
+      });
+
+      expect(values).toEqual(['creator-1', ['tier-1'], ['Knight', 'Duke'], '2026-01-01', 100, 500]);
+      expect(text).toContain('m.tier_id = ANY($2::uuid[])');
+      expect(text).toContain("COALESCE(u.gifter_tier, 'Supporter') = ANY($3::text[])");
+      expect(text).toContain('spend.total >= $5');
+      expect(text).toContain('spend.total <= $6');
+      // Spend comes from the signed tokens column that utils/token-transfers.js writes
+      expect(text).toContain('SUM(-tt.tokens) FILTER (WHERE tt.tokens < 0)');
+    });
+  });
+
+  describe('processMassMessageQueue', () => {
+    test('renders per recipient and skips fans who became ineligible', async () => {
+      mockDatabase({
+        claimed: [recipient('fan-1'), recipient('fan-2')],
+        eligible: ['fan-1'],
+        contexts: [{ recipient_id: 'fan-1', fan_name: 'Sam', tier: 'Gold' }]
+      });
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'msg-1' } });
+
+      const summary = await processMassMessageQueue();
+
+      expect(summary).toMatchObject({ claimed: 2, sent: 1, skipped: 1 });
+      expect(deliverDirectMessage).toHaveBeenCalledTimes(1);
+      expect(deliverDirectMessage).toHaveBeenCalledWith(expect.objectContaining({
+        senderId: 'creator-1',
+        recipientId: 'fan-1',
+        content: 'Hi Sam, new drop for Gold members!',
+        metadata: { massMessageCampaignId: 'campaign-1' }
+      }));
+      expect(recipientUpdates()).toEqual(expect.arrayContaining([
+        ['row-fan-2', 'skipped', null, 'INELIGIBLE'],
+        ['row-fan-1', 'sent', 'msg-1', null]
+      ]));
+    });
+
+    test('requeues transient failures and fails them after the last attempt', async () => {
+      mockDatabase({
+        claimed: [recipient('fan-1'), recipient('fan-2', { attempts: 3 })],
+        eligible: ['fan-1', 'fan-2']
+      });
+      deliverDirectMessage.mockRejectedValue(new Error('connection reset'));
+
+      const summary = await processMassMessageQueue();
+
+      expect(summary).toMatchObject({ retry: 1, failed: 1 });
+      expect(pool.query.mock.calls.some(([sql, params]) =>
+        sql.includes("SET status = 'queued'") && params[0] === 'row-fan-1')).toBe(true);
+      expect(recipientUpdates()).toEqual([['row-fan-2', 'failed', null, 'connection reset']]);
+    });
+
+    test('does nothing when the queue is empty', async () => {
+      mockDatabase({ claimed: [], eligible: [] });
+
+      const summary = await processMassMessageQueue();
+
+      expect(summary.claimed).toBe(0);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
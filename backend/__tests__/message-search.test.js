@@ -0,0 +1,121 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../utils/supabase', () => ({ supabase: {} }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { supabase_id: '11111111-1111-4111-8111-111111111111' };
+    next();
+  }
+}));
+
+const { pool } = require('../utils/db');
+const searchRoutes = require('../routes/message-search');
+
+const ME = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+const CONVERSATION = '33333333-3333-4333-8333-333333333333';
+
+const app = express();
+app.use('/api/messages/search', searchRoutes);
+
+const row = (id, overrides = {}) => ({
+  id,
+  conversation_id: CONVERSATION,
+  sender_id: OTHER,
+  recipient_id: ME,
+  content: 'new <b>set</b> drops friday',
+  media_url: null,
+  media_type: null,
+  unlock_price: 0,
+  is_unlocked: true,
+  created_at: '2026-03-01T10:00:00.000Z',
+  created_at_key: '2026-03-01 10:00:00.123456+00',
+  rank: 0.0607927,
+  snippet: 'new <b><mark>set</mark></b> drops friday',
+  ...overrides
+});
+
+describe('Message Search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('requires a query', async () => {
+    const res = await request(app).get('/api/messages/search');
+    expect(res.status).toBe(400);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('rejects conversations the user is not part of', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ user1_id: OTHER, user2_id: '44444444-4444-4444-8444-444444444444' }] });
+
+    const res = await request(app)
+      .get('/api/messages/search')
+      .query({ q: 'set', conversation_id: CONVERSATION });
+
+    expect(res.status).toBe(403);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('scopes to the user, escapes snippets and paginates with a cursor', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [
+        row('aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa'),
+        row('bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb', {
+          media_url: 'https://cdn/locked.jpg',
+          unlock_price: 20,
+          is_unlocked: false
+        })
+      ]
+    });
+
+    const res = await request(app)
+      .get('/api/messages/search')
+      .query({ q: 'set', limit: 1, has_attachment: 'false' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toHaveLength(1);
+    expect(res.body.results[0].snippet).toBe('new &lt;b&gt;<mark>set</mark>&lt;/b&gt; drops friday');
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('(c.user1_id = $1 OR c.user2_id = $1)');
+    expect(sql).toContain('m.media_url IS NULL');
+    expect(params.slice(0, 2)).toEqual([ME, 'set']);
+
+    const cursor = JSON.parse(Buffer.from(res.body.nextCursor, 'base64url').toString('utf8'));
+    expect(cursor).toEqual({ t: '2026-03-01 10:00:00.123456+00', id: 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', r: 0.0607927 });
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await request(app)
+      .get('/api/messages/search')
+      .query({ q: 'set', cursor: res.body.nextCursor });
+
+    const [nextSql, nextParams] = pool.query.mock.calls[1];
+    expect(nextSql).toContain('rank < $5::float8');
+    expect(nextParams.slice(2, 5)).toEqual(['2026-03-01 10:00:00.123456+00', 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa', 0.0607927]);
+  });
+
+  test('hides media of locked PPV results from the recipient', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [row('bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb', {
+        media_url: 'https://cdn/locked.jpg',
+        unlock_price: 20,
+        is_unlocked: false
+      })]
+    });
+
+    const res = await request(app).get('/api/messages/search').query({ q: 'set', ppv_only: 'true' });
+
+    expect(res.body.results[0].mediaUrl).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toContain('m.unlock_price > 0');
+  });
+
+  test('rejects malformed cursors', async () => {
+    const res = await request(app).get('/api/messages/search').query({ q: 'set', cursor: 'not-a-cursor' });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,98 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../utils/direct-messages', () => ({ deliverDirectMessage: jest.fn() }));
+
+const { pool } = require('../utils/db');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+const {
+  renderTemplate,
+  findUnknownPlaceholders,
+  sendTemplateToRecipients
+} = require('../utils/message-templates');
+
+const template = {
+  id: 'tpl-1',
+  creator_id: 'creator-1',
+  content: 'Hey {{fan_name}}! As a {{ tier }} member you get first look.',
+  media_url: 'https://cdn/teaser.mp4',
+  media_type: 'video',
+  unlock_price: 30
+};
+
+describe('Message Templates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('renderTemplate', () => {
+    test('fills placeholders per recipient', () => {
+      expect(renderTemplate(template.content, { fan_name: 'Sam', tier: 'VIP' }))
+        .toBe('Hey Sam! As a VIP member you get first look.');
+    });
+
+    test('uses fallbacks for missing values and keeps unknown placeholders', () => {
+      expect(renderTemplate('Hi {{fan_name}}, thanks for {{last_purchase}} {{mood}}', { fan_name: '  ' }))
+        .toBe('Hi there, thanks for your last unlock {{mood}}');
+    });
+  });
+
+  test('findUnknownPlaceholders reports unsupported names once', () => {
+    expect(findUnknownPlaceholders('{{fan_name}} {{city}} {{city}} {{TIER}}')).toEqual(['city']);
+  });
+
+  describe('sendTemplateToRecipients', () => {
+    test('renders each recipient separately and logs successful sends', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [
+            { recipient_id: 'fan-1', fan_name: 'Sam', tier: 'VIP', last_purchase_type: null },
+            { recipient_id: 'fan-2', fan_name: 'Alex', tier: null, last_purchase_type: null }
+          ]
+        })
+        .mockResolvedValue({ rows: [] });
+      deliverDirectMessage
+        .mockResolvedValueOnce({ success: true, message: { id: 'msg-1' } })
+        .mockResolvedValueOnce({ success: false, error: 'RECIPIENT_BLOCKED' });
+
+      const summary = await sendTemplateToRecipients({ template, recipientIds: ['fan-1', 'fan-2'], source: 'broadcast' });
+
+      expect(summary).toEqual({ sent: 1, failed: [{ recipientId: 'fan-2', error: 'RECIPIENT_BLOCKED' }] });
+      expect(deliverDirectMessage.mock.calls[0][0]).toMatchObject({
+        senderId: 'creator-1',
+        recipientId: 'fan-1',
+        content: 'Hey Sam! As a VIP member you get first look.',
+        unlockPrice: 30,
+        metadata: { templateId: 'tpl-1' }
+      });
+      expect(deliverDirectMessage.mock.calls[1][0].content).toBe('Hey Alex! As a fan member you get first look.');
+
+      const inserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO message_template_sends'));
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1]).toEqual(['tpl-1', 'creator-1', 'fan-1', 'msg-1', 'broadcast']);
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('last_used_at = NOW()'))).toBe(true);
+    });
+
+    test('describes the last purchase from the spend type, not its description', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [
+            { recipient_id: 'fan-1', fan_name: 'Sam', tier: null, last_purchase_type: 'ticket_purchase' },
+            { recipient_id: 'fan-2', fan_name: 'Alex', tier: null, last_purchase_type: 'some_new_type' }
+          ]
+        })
+        .mockResolvedValue({ rows: [] });
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'msg-1' } });
+
+      await sendTemplateToRecipients({
+        template: { ...template, content: 'Thanks for {{last_purchase}}!' },
+        recipientIds: ['fan-1', 'fan-2']
+      });
+
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('SELECT tt.type');
+      expect(sql).toContain('tt.tokens < 0');
+      expect(deliverDirectMessage.mock.calls[0][0].content).toBe('Thanks for your show ticket!');
+      expect(deliverDirectMessage.mock.calls[1][0].content).toBe('Thanks for your last unlock!');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/supabase', () => ({ supabase: {}, getSupabaseAdmin: jest.fn() }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../utils/token-transfers', () => ({ debitTokens: jest.fn(), creditCreator: jest.fn() }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { supabase_id: 'fan-1' };
+    next();
+  }
+}));
+
+const { pool } = require('../utils/db');
+const { InsufficientFundsError } = require('../utils/app-errors');
+const { debitTokens, creditCreator } = require('../utils/token-transfers');
+const { createJournal } = require('../utils/token-ledger');
+const messageRoutes = require('../routes/messages');
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messageRoutes);
+
+const lockedMessage = {
+  id: 'msg-1',
+  sender_id: 'creator-1',
+  recipient_id: 'fan-1',
+  media_url: 'https://cdn.example.com/set.jpg',
+  unlock_price: 30,
+  is_unlocked: false
+};
+
+function mockClient(message) {
+  return {
+    release: jest.fn(),
+    query: jest.fn((sql) => {
+      if (sql.includes('FROM messages WHERE id = $1 FOR UPDATE')) {
+        return Promise.resolve({ rows: message ? [message] : [] });
+      }
+      return Promise.resolve({ rows: [] });
+    })
+  };
+}
+
+const sqlCalls = (client) => client.query.mock.calls.map(([sql]) => sql);
+
+describe('Direct Message Unlock', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('charges the fan, credits the creator net of the PPV fee and posts a journal', async () => {
+    const client = mockClient(lockedMessage);
+    pool.connect.mockResolvedValue(client);
+
+    const res = await request(app).post('/api/messages/msg-1/unlock');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, content_url: lockedMessage.media_url, tokens_spent: 30 });
+
+    const journal = createJournal.mock.results[0].value;
+    expect(debitTokens).toHaveBeenCalledWith(client, 'fan-1', 30, expect.objectContaining({ journal, relatedUserId: 'creator-1' }));
+    expect(creditCreator).toHaveBeenCalledWith(client, 'creator-1', 30, expect.objectContaining({ revenueType: 'ppv', journal }));
+    expect(journal.post).toHaveBeenCalledWith(client);
+
+    const calls = sqlCalls(client);
+    expect(calls.some(sql => sql.includes('SET is_unlocked = TRUE'))).toBe(true);
+    expect(calls[calls.length - 1]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('rolls back without unlocking when the fan cannot pay', async () => {
+    const client = mockClient(lockedMessage);
+    pool.connect.mockResolvedValue(client);
+    debitTokens.mockRejectedValueOnce(new InsufficientFundsError('Insufficient token balance', 30, 10));
+
+    const res = await request(app).post('/api/messages/msg-1/unlock');
+
+    expect(res.status).toBe(402);
+    expect(creditCreator).not.toHaveBeenCalled();
+    const calls = sqlCalls(client);
+    expect(calls).toContain('ROLLBACK');
+    expect(calls.some(sql => sql.includes('SET is_unlocked = TRUE'))).toBe(false);
+  });
+
+  test('only the recipient can unlock and paid messages are not charged twice', async () => {
+    pool.connect.mockResolvedValue(mockClient({ ...lockedMessage, recipient_id: 'fan-2' }));
+    let res = await request(app).post('/api/messages/msg-1/unlock');
+    expect(res.status).toBe(404);
+
+    pool.connect.mockResolvedValue(mockClient({ ...lockedMessage, is_unlocked: true }));
+    res = await request(app).post('/api/messages/msg-1/unlock');
+    expect(res.status).toBe(200);
+    expect(res.body.tokens_spent).toBe(0);
+
+    expect(debitTokens).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,339 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('stripe', () => {
+  const stripe = {
+    webhooks: { constructEvent: jest.fn(body => JSON.parse(body)) },
+    disputes: { update: jest.fn().mockResolvedValue({}) }
+  };
+  return () => stripe;
+});
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const stripe = require('stripe')();
+const { pool } = require('../utils/db');
+const { ResourceConflictError } = require('../utils/app-errors');
+const { createJournal, SPEND_ORDER, PAYOUT_ORDER } = require('../utils/token-ledger');
+const { traceEarnings, openDispute, closeDispute, submitEvidence } = require('../utils/payment-disputes');
+const webhookRoutes = require('../routes/webhook');
+const { journalLegs } = require('./helpers/ledger');
+
+// Recorded Stripe events
+const created = require('./fixtures/stripe/charge.dispute.created.json');
+const won = require('./fixtures/stripe/charge.dispute.closed.won.json');
+const lost = require('./fixtures/stripe/charge.dispute.closed.lost.json');
+
+const app = express();
+app.use('/webhooks', webhookRoutes);
+
+const purchase = { id: 41, user_id: 'fan-1', type: 'purchase', tokens: 500, created_at: '2026-10-01T18:00:00.000Z' };
+
+// Since the purchase the fan tipped creator-1 300 tokens (240 after the fee)
+// and gifted creator-2 200
+const credits = [
+  { user_id: 'creator-1', tokens: 240, fee_breakdown: { grossTokens: 300, platformFeeTokens: 60 } },
+  { user_id: 'creator-2', tokens: 200, fee_breakdown: null }
+];
+
+/**
+ * Fake pg client that routes by SQL and keeps balances, the dispute and its holds.
+ * Balances keep the balance >= 0 check on token_balances.
+ */
+function mockClient({ balances = { 'fan-1': 100, 'creator-1': 1000, 'creator-2': 40 }, found = purchase } = {}) {
+  const state = { balances: { ...balances }, record: null, holds: [] };
+
+  const client = {
+    state,
+    release: jest.fn(),
+    query: jest.fn((sql, params) => {
+      if (sql.includes('WHERE stripe_payment_intent_id = $1')) {
+        return Promise.resolve({ rows: found && params[1].includes(found.type) ? [found] : [] });
+      }
+      if (sql.includes('INSERT INTO payment_disputes')) {
+        if (state.record) return Promise.resolve({ rows: [] });
+        state.record = { id: 'dispute-1', fan_id: params[3], tokens_disputed: params[8], tokens_spent: 0, tokens_owed: 0, status: 'open', evidence: {} };
+        return Promise.resolve({ rows: [{ ...state.record }] });
+      }
+      if (sql.includes('SELECT * FROM payment_disputes')) return Promise.resolve({ rows: state.record ? [{ ...state.record }] : [] });
+      if (sql.includes('UPDATE payment_disputes')) {
+        Object.assign(state.record, sql.includes('tokens_spent')
+          ? { tokens_spent: params[1], tokens_owed: params[1], evidence: JSON.parse(params[2]) }
+          : { status: params[1], stripe_status: params[2], tokens_owed: params[3] });
+        return Promise.resolve({ rows: [{ ...state.record }] });
+      }
+      if (sql.includes('SELECT balance FROM token_balances')) {
+        return Promise.resolve({ rows: [{ balance: state.balances[params[0]] || 0 }] });
+      }
+      if (sql.includes('INSERT INTO token_balances')) {
+        const balance = (state.balances[params[0]] || 0) + params[1];
+        if (balance < 0) return Promise.reject(new Error('violates check constraint "chk_balance_non_negative"'));
+        state.balances[params[0]] = balance;
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('related_user_id::text')) return Promise.resolve({ rows: credits });
+      if (sql.includes('INSERT INTO payment_dispute_holds')) {
+        state.holds.push({ creator_id: params[1], tokens_earned: params[2], tokens_held: params[3], status: 'held' });
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM payment_dispute_holds')) return Promise.resolve({ rows: state.holds.filter(h => h.status === 'held') });
+      if (sql.includes('UPDATE payment_dispute_holds')) {
+        state.holds.forEach((hold) => { hold.status = params[1]; });
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('FROM users WHERE supabase_id')) {
+        return Promise.resolve({ rows: [{ email: 'fan@example.com', username: 'fan1', display_name: 'Sam Fan', created_at: '2025-02-11T08:00:00.000Z' }] });
+      }
+      if (sql.includes('FROM sessions s')) {
+        return Promise.resolve({ rows: [{ type: 'video', start_time: '2026-10-03T20:00:00.000Z', duration_minutes: 12, total_count: '1' }] });
+      }
+      if (sql.includes('COUNT(*) OVER ()')) {
+        return Promise.resolve({
+          rows: [
+            { type: 'tip', tokens: -300, created_at: '2026-10-02T21:15:00.000Z', total_count: '2', total_tokens: '500' },
+            { type: 'gift_sent', tokens: -200, created_at: '2026-10-05T19:30:00.000Z', total_count: '2', total_tokens: '500' }
+          ]
+        });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+}
+
+const ledger = (client) => client.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO token_transactions'))
+  .map(([, params]) => [params[0], params[1], params[2]]);
+
+const params = (client, fragment) => client.query.mock.calls
+  .filter(([sql]) => sql.includes(fragment))
+  .map(([, values]) => values);
+
+describe('Payment Disputes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('traces spent tokens to what creators earned, oldest first', () => {
+    expect(traceEarnings(credits, 400)).toEqual([
+      { creatorId: 'creator-1', tokensEarned: 240 },
+      { creatorId: 'creator-2', tokensEarned: 100 }
+    ]);
+    expect(traceEarnings(credits, 150)).toEqual([{ creatorId: 'creator-1', tokensEarned: 120 }]);
+    expect(traceEarnings(credits, 0)).toEqual([]);
+  });
+
+  test('a dispute claws the purchase back and holds what the spent tokens earned', async () => {
+    const client = mockClient();
+
+    const record = await openDispute(client, created.data.object);
+
+    expect(record).toMatchObject({ fan_id: 'fan-1', tokens_disputed: 500, tokens_spent: 400, tokens_owed: 400 });
+    const [inserted] = params(client, 'INSERT INTO payment_disputes');
+    expect(inserted.slice(0, 8)).toEqual([
+      'dp_1QdRk2Lm8cV3aZ0bX7yT4nPq', 'ch_3QdQz8Lm8cV3aZ0b1H2kR9sW', 'pi_3QdQz8Lm8cV3aZ0b1xC4vB7n',
+      'fan-1', 2500, 'usd', 'fraudulent', 'needs_response'
+    ]);
+    expect(inserted[9]).toEqual(new Date('2026-10-26T23:59:59Z'));
+
+    // The wallet only covers 100 and the 400 spent become debt; creator-2 only
+    // has 40 of the 100 left to hold
+    expect(ledger(client)).toEqual([
+      ['fan-1', 'chargeback', -100],
+      ['creator-1', 'chargeback_hold', -240],
+      ['creator-2', 'chargeback_hold', -40]
+    ]);
+    expect(client.state.balances).toEqual({ 'fan-1': 0, 'creator-1': 760, 'creator-2': 0 });
+    expect(client.state.holds).toEqual([
+      { creator_id: 'creator-1', tokens_earned: 240, tokens_held: 240, status: 'held' },
+      { creator_id: 'creator-2', tokens_earned: 100, tokens_held: 40, status: 'held' }
+    ]);
+    expect(journalLegs(client)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -100 },
+      { kind: 'escrow', ownerId: null, tokens: 100 },
+      { userId: 'creator-1', order: PAYOUT_ORDER, tokens: -240 },
+      { kind: 'escrow', ownerId: null, tokens: 240 },
+      { userId: 'creator-2', order: PAYOUT_ORDER, tokens: -40 },
+      { kind: 'escrow', ownerId: null, tokens: 40 }
+    ]);
+
+    // Creator alerts carry creator_id, which utils/payout-risk.js counts
+    const alerts = params(client, 'INSERT INTO fraud_alerts').map(([userId, details]) => [userId, JSON.parse(details)]);
+    expect(alerts.map(([userId, details]) => [userId, details.creator_id])).toEqual([
+      ['creator-1', 'creator-1'],
+      ['creator-2', 'creator-2'],
+      ['fan-1', undefined]
+    ]);
+    expect(alerts[2][1]).toMatchObject({ dispute_id: 'dp_1QdRk2Lm8cV3aZ0bX7yT4nPq', tokens: 500, tokens_spent: 400 });
+    expect(params(client, 'UPDATE users')).toEqual([['fan-1', 400]]);
+
+    expect(record.evidence).toMatchObject({
+      customer_email_address: 'fan@example.com',
+      customer_name: 'Sam Fan',
+      service_date: '2026-10-01',
+      access_activity_log: [
+        '2026-10-02T21:15:00.000Z tip: 300 tokens',
+        '2026-10-03T20:00:00.000Z video session: 12 min',
+        '2026-10-05T19:30:00.000Z gift_sent: 200 tokens'
+      ].join('\n')
+    });
+    expect(record.evidence.uncategorized_text).toContain('spent 500 tokens in 2 transactions and joined 1 sessions');
+  });
+
+  test('a replayed created event changes nothing', async () => {
+    const client = mockClient();
+    await openDispute(client, created.data.object);
+    client.query.mockClear();
+
+    expect(await openDispute(client, created.data.object)).toBeNull();
+    expect(ledger(client)).toEqual([]);
+  });
+
+  test('winning the dispute returns the fan tokens and releases the held earnings', async () => {
+    const client = mockClient();
+    await openDispute(client, created.data.object);
+    client.query.mockClear();
+
+    const record = await closeDispute(client, won.data.object);
+
+    expect(record).toMatchObject({ status: 'won', stripe_status: 'won', tokens_owed: 0 });
+    expect(ledger(client)).toEqual([
+      ['fan-1', 'chargeback_reversal', 100],
+      ['creator-1', 'chargeback_release', 240],
+      ['creator-2', 'chargeback_release', 40]
+    ]);
+    expect(client.state.balances).toEqual({ 'fan-1': 100, 'creator-1': 1000, 'creator-2': 40 });
+    expect(client.state.holds.map(hold => hold.status)).toEqual(['released', 'released']);
+    expect(params(client, 'UPDATE users')).toEqual([['fan-1', -400]]);
+    expect(params(client, 'UPDATE payments')).toEqual([['ch_3QdQz8Lm8cV3aZ0b1H2kR9sW', 'completed']]);
+  });
+
+  test('losing voids the purchase and the held earnings, which pays down the debt', async () => {
+    const client = mockClient();
+    await openDispute(client, created.data.object);
+    client.query.mockClear();
+
+    const record = await closeDispute(client, lost.data.object);
+
+    // 120 is still owed: the platform fee and what creator-2 had paid out
+    expect(record).toMatchObject({ status: 'lost', tokens_owed: 120 });
+    expect(ledger(client)).toEqual([]);
+    expect(client.state.balances).toEqual({ 'fan-1': 0, 'creator-1': 760, 'creator-2': 0 });
+    expect(journalLegs(client)).toEqual([
+      { kind: 'escrow', ownerId: null, tokens: -100 },
+      { kind: 'token_issuance', ownerId: null, tokens: 100 },
+      { kind: 'escrow', ownerId: null, tokens: -240 },
+      { kind: 'token_issuance', ownerId: null, tokens: 240 },
+      { kind: 'escrow', ownerId: null, tokens: -40 },
+      { kind: 'token_issuance', ownerId: null, tokens: 40 }
+    ]);
+    expect(client.state.holds.map(hold => hold.status)).toEqual(['reversed', 'reversed']);
+    expect(params(client, 'UPDATE users')).toEqual([['fan-1', -280]]);
+
+    client.query.mockClear();
+    expect(await closeDispute(client, lost.data.object)).toBeNull();
+    expect(ledger(client)).toEqual([]);
+  });
+
+  test('a closed event for a dispute never opened claws back first', async () => {
+    const client = mockClient();
+
+    const record = await closeDispute(client, lost.data.object);
+
+    expect(record).toMatchObject({ status: 'lost', tokens_owed: 120 });
+    expect(ledger(client)[0]).toEqual(['fan-1', 'chargeback', -100]);
+    expect(client.state.balances['fan-1']).toBe(0);
+  });
+
+  test.each(['purchase', 'quick_purchase', 'smart_refill'])('a disputed %s is clawed back', async (type) => {
+    const client = mockClient({ found: { ...purchase, type } });
+
+    const record = await openDispute(client, created.data.object);
+
+    expect(record).toMatchObject({ fan_id: 'fan-1', tokens_disputed: 500 });
+    expect(ledger(client)[0]).toEqual(['fan-1', 'chargeback', -100]);
+  });
+
+  test('a fan who still has the tokens owes nothing and no earnings are held', async () => {
+    const client = mockClient({ balances: { 'fan-1': 800 } });
+
+    const record = await openDispute(client, created.data.object);
+
+    expect(record).toMatchObject({ tokens_spent: 0, tokens_owed: 0 });
+    expect(ledger(client)).toEqual([['fan-1', 'chargeback', -500]]);
+    expect(client.state.balances['fan-1']).toBe(300);
+    expect(client.state.holds).toEqual([]);
+    expect(params(client, 'UPDATE users')).toEqual([]);
+  });
+
+  test('charges that are not token purchases only raise an alert', async () => {
+    const client = mockClient({ found: null });
+
+    const record = await openDispute(client, created.data.object);
+
+    expect(record).toMatchObject({ fan_id: null, tokens_disputed: 0 });
+    expect(ledger(client)).toEqual([]);
+    expect(createJournal).not.toHaveBeenCalled();
+    const [[details]] = params(client, 'INSERT INTO fraud_alerts');
+    expect(JSON.parse(details)).toMatchObject({ dispute_id: 'dp_1QdRk2Lm8cV3aZ0bX7yT4nPq', charge_id: 'ch_3QdQz8Lm8cV3aZ0b1H2kR9sW' });
+  });
+
+  test('the webhook opens and closes disputes in one transaction each', async () => {
+    const client = mockClient();
+
+    for (const event of [created, lost]) {
+      const res = await request(app)
+        .post('/webhooks/stripe')
+        .set('stripe-signature', 't=1792228365,v1=recorded')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(event));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true, type: event.type });
+    }
+
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements.filter(sql => sql === 'BEGIN')).toHaveLength(2);
+    expect(statements.filter(sql => sql === 'COMMIT')).toHaveLength(2);
+    expect(client.state.record).toMatchObject({ status: 'lost', tokens_owed: 120 });
+    expect(client.state.balances['fan-1']).toBe(0);
+  });
+
+  test('evidence goes to Stripe once, without empty fields', async () => {
+    const dispute = {
+      id: 'dispute-1',
+      stripe_dispute_id: 'dp_1QdRk2Lm8cV3aZ0bX7yT4nPq',
+      status: 'open',
+      evidence_submitted_at: null,
+      evidence: { customer_email_address: 'fan@example.com', customer_name: null, service_date: '2026-10-01' }
+    };
+    pool.query
+      .mockResolvedValueOnce({ rows: [dispute] })
+      .mockResolvedValueOnce({ rows: [{ ...dispute, evidence_submitted_at: new Date() }] });
+
+    await submitEvidence('dispute-1', { adminId: 'admin-1', evidence: { product_description: 'Tokens' } });
+
+    expect(stripe.disputes.update).toHaveBeenCalledWith('dp_1QdRk2Lm8cV3aZ0bX7yT4nPq', {
+      evidence: { customer_email_address: 'fan@example.com', service_date: '2026-10-01', product_description: 'Tokens' },
+      submit: true
+    });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ ...dispute, evidence_submitted_at: new Date() }] });
+    await expect(submitEvidence('dispute-1', { adminId: 'admin-1' })).rejects.toThrow(ResourceConflictError);
+    expect(stripe.disputes.update).toHaveBeenCalledTimes(1);
+  });
+});
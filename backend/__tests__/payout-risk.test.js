@@ -0,0 +1,170 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../config/payout-config', () => ({
+  config: {
+    platform: { defaultCurrency: 'usd' },
+    payout: { reservePercent: 0, reserveHoldDays: 30, minThresholdCents: 1000 }
+  }
+}));
+
+const { config } = require('../config/payout-config');
+const {
+  scoreRisk,
+  tierForScore,
+  assessCreatorRisk,
+  withholdReserve,
+  setOverride,
+  releaseHold
+} = require('../utils/payout-risk');
+
+const at = new Date('2026-10-18T12:00:00Z');
+
+const established = {
+  accountAgeDays: 400,
+  kycStatus: 'verified',
+  earnedTokens: 50000,
+  refundedTokens: 100,
+  recentTokens: 4000,
+  baselineWeeklyTokens: 3500,
+  chargebacks: 0,
+  openFraudAlerts: 0
+};
+
+// users row as gatherRiskSignals() selects it
+const signalRow = (signals) => ({
+  account_age_days: String(signals.accountAgeDays),
+  kyc_status: signals.kycStatus,
+  earned_tokens: String(signals.earnedTokens),
+  refunded_tokens: String(signals.refundedTokens),
+  recent_tokens: String(signals.recentTokens),
+  baseline_weekly_tokens: String(signals.baselineWeeklyTokens),
+  chargebacks: String(signals.chargebacks),
+  open_fraud_alerts: String(signals.openFraudAlerts)
+});
+
+/**
+ * Fake pg client that routes by SQL
+ */
+function mockClient({ signals = established, override = null, released = [] } = {}) {
+  return {
+    query: jest.fn((sql) => {
+      if (sql.includes('FROM users u')) return Promise.resolve({ rows: [signalRow(signals)] });
+      if (sql.includes('FROM payout_reserve_overrides')) return Promise.resolve({ rows: override ? [override] : [] });
+      if (sql.includes('INSERT INTO payout_risk_assessments')) return Promise.resolve({ rows: [{ id: 'asm-1' }] });
+      if (sql.includes('UPDATE payout_reserve_holds')) return Promise.resolve({ rows: released });
+      if (sql.includes('INSERT INTO payout_reserve_holds')) return Promise.resolve({ rows: [{ id: 'hold-1' }] });
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    })
+  };
+}
+
+describe('Payout Risk', () => {
+  afterEach(() => {
+    config.payout.reservePercent = 0;
+  });
+
+  test('an established, verified creator carries no reserve', () => {
+    const { score, factors } = scoreRisk(established);
+
+    expect(score).toBe(0);
+    expect(factors).toEqual([]);
+    expect(tierForScore(score)).toMatchObject({ tier: 'low', reservePercent: 0, holdDays: 0 });
+  });
+
+  test('each signal adds to the score', () => {
+    const { score, factors } = scoreRisk({
+      accountAgeDays: 12.7,
+      kycStatus: 'pending',
+      earnedTokens: 10000,
+      refundedTokens: 600,
+      recentTokens: 9000,
+      baselineWeeklyTokens: 0,
+      chargebacks: 3,
+      openFraudAlerts: 1
+    });
+
+    expect(factors).toEqual([
+      { factor: 'account_age', points: 20, value: 12 },
+      { factor: 'kyc', points: 10, value: 'pending' },
+      { factor: 'refund_rate', points: 15, value: 6 },
+      { factor: 'chargebacks', points: 20, value: 3 },
+      { factor: 'earnings_spike', points: 20, value: null },
+      { factor: 'fraud_alerts', points: 10, value: 1 }
+    ]);
+    expect(score).toBe(95);
+    expect(tierForScore(score).tier).toBe('severe');
+
+    // Unknown KYC states count as unverified; a 3x week is a smaller spike
+    expect(scoreRisk({ ...established, kycStatus: null, baselineWeeklyTokens: 1000 }).factors).toEqual([
+      { factor: 'kyc', points: 20, value: 'not_started' },
+      { factor: 'earnings_spike', points: 10, value: 4 }
+    ]);
+  });
+
+  test('the global reserve is a floor, and an override replaces the scored terms', async () => {
+    const risky = { ...established, kycStatus: 'failed' };
+
+    const scored = await assessCreatorRisk(mockClient({ signals: risky }), 'creator-1', { at });
+    expect(scored).toMatchObject({ score: 30, tier: 'elevated', reservePercent: 10, holdDays: 14, source: 'score' });
+
+    config.payout.reservePercent = 15;
+    const floored = await assessCreatorRisk(mockClient({ signals: risky }), 'creator-1', { at });
+    expect(floored).toMatchObject({ reservePercent: 15, holdDays: 30 });
+
+    const client = mockClient({
+      signals: risky,
+      override: { id: 'ovr-1', reserve_percent: '0.00', hold_days: 0 }
+    });
+    const overridden = await assessCreatorRisk(client, 'creator-1', { at });
+    expect(overridden).toMatchObject({ tier: 'elevated', reservePercent: 0, holdDays: 0, source: 'override', overrideId: 'ovr-1' });
+
+    const [, recorded] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payout_risk_assessments'));
+    expect(recorded.slice(0, 6)).toEqual(['creator-1', 30, 'elevated', 0, 0, 'ovr-1']);
+  });
+
+  test('a payout holds its reserve and picks up released holds', async () => {
+    const client = mockClient({
+      signals: { ...established, accountAgeDays: 45, kycStatus: 'pending' },
+      released: [{ amount: '12.50' }, { amount: '7.25' }]
+    });
+
+    const reserve = await withholdReserve(client, { creatorId: 'creator-1', payoutId: 42, amount: '100.05', at });
+
+    // Score 20: 10% of 100.05 is held for 14 days, rounded down to the cent
+    expect(reserve).toMatchObject({
+      reserveAmount: 10,
+      releasedAmount: 19.75,
+      payoutAmount: 109.8,
+      holdId: 'hold-1'
+    });
+
+    const [, claimParams] = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE payout_reserve_holds'));
+    expect(claimParams).toEqual(['creator-1', 42]);
+
+    const [, holdParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO payout_reserve_holds'));
+    expect(holdParams).toEqual(['creator-1', 42, 'asm-1', 10, 10, new Date('2026-11-01T12:00:00Z')]);
+  });
+
+  test('nothing is held for low-risk creators', async () => {
+    const client = mockClient();
+
+    const reserve = await withholdReserve(client, { creatorId: 'creator-1', payoutId: 42, amount: 80, at });
+
+    expect(reserve).toMatchObject({ payoutAmount: 80, reserveAmount: 0, holdId: null });
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO payout_reserve_holds'))).toBe(false);
+  });
+
+  test('admin actions need a reason and valid terms', async () => {
+    const base = { creatorId: 'creator-1', reservePercent: 25, holdDays: 30, adminId: 'admin-1' };
+
+    await expect(setOverride({ ...base, reason: '' })).rejects.toThrow('reason is required');
+    await expect(setOverride({ ...base, reason: 'Chargeback wave', reservePercent: 101 }))
+      .rejects.toThrow('between 0 and 100');
+    await expect(setOverride({ ...base, reason: 'Chargeback wave', holdDays: 7.5 }))
+      .rejects.toThrow('whole number');
+    await expect(setOverride({ ...base, reason: 'Chargeback wave', effectiveUntil: '2020-01-01' }))
+      .rejects.toThrow('in the future');
+
+    await expect(releaseHold('hold-1', { adminId: 'admin-1', reason: '  ' })).rejects.toThrow('reason is required');
+  });
+});
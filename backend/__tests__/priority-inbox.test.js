@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+
+// Mock dependencies
+jest.mock('../utils/db', () => ({ query: jest.fn(), pool: { query: jest.fn() } }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { supabase_id: 'creator-1' };
+    next();
+  }
+}));
+
+const db = require('../utils/db');
+const { HIGH_VALUE_TOKENS, scoreConversation, rankConversations } = require('../utils/priority-inbox');
+const { fanSpendSql } = require('../utils/mass-messaging');
+const conversationRoutes = require('../routes/conversations');
+
+const app = express();
+app.use('/api/conversations', conversationRoutes);
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+describe('Priority Inbox', () => {
+  test('explains every component of the score', () => {
+    const result = scoreConversation({
+      lifetimeTokens: 999,
+      tierLevel: 2,
+      tierName: 'Gold',
+      isVIP: true,
+      waitingSince: hoursAgo(24),
+      paidTokens: 25
+    }, NOW);
+
+    const points = Object.fromEntries(result.components.map(c => [c.key, c.points]));
+    expect(points).toEqual({
+      lifetime_tokens: 21,
+      subscription: 10,
+      vip: 20,
+      waiting: 7.5,
+      paid_messages: 5
+    });
+    expect(result.score).toBe(63.5);
+    expect(result.priority).toBe('high');
+    expect(result.components.find(c => c.key === 'subscription').label).toBe('Gold subscriber');
+  });
+
+  test('caps each component at its maximum', () => {
+    const result = scoreConversation({
+      lifetimeTokens: 10000000,
+      tierLevel: 9,
+      isVIP: true,
+      waitingSince: hoursAgo(500),
+      paidTokens: 1000
+    }, NOW);
+
+    expect(result.score).toBe(100);
+    expect(result.priority).toBe('urgent');
+    result.components.forEach(c => expect(c.points).toBe(c.maxPoints));
+  });
+
+  test('scores a new fan with nothing pending as low priority', () => {
+    const result = scoreConversation({}, NOW);
+    expect(result.score).toBe(0);
+    expect(result.priority).toBe('low');
+  });
+
+  test('ranks by score and breaks ties by the longest wait', () => {
+    // Both waits round to zero points, so only the wait order separates them
+    const ranked = rankConversations([
+      { id: 'recent', signals: { waitingSince: hoursAgo(0) } },
+      { id: 'whale', signals: { lifetimeTokens: HIGH_VALUE_TOKENS, waitingSince: hoursAgo(1) } },
+      { id: 'older', signals: { waitingSince: hoursAgo(0.1) } },
+      { id: 'vip', signals: { isVIP: true } }
+    ], NOW);
+
+    expect(ranked.map(c => c.id)).toEqual(['whale', 'vip', 'older', 'recent']);
+  });
+
+  test('lifetime spend comes from the signed tokens column, so helper spends count', async () => {
+    // Spends through utils/token-transfers.js set tokens and leave amount NULL
+    db.query.mockImplementation((sql) => {
+      if (sql.includes('SELECT is_creator')) return Promise.resolve({ rows: [{ is_creator: true }] });
+      return Promise.resolve({
+        rows: [{
+          conversation_id: 'conv-1',
+          fan_id: 'fan-1',
+          last_message_at: hoursAgo(1),
+          username: 'fan1',
+          unanswered_count: '1',
+          unread_count: '1',
+          paid_tokens: '0',
+          is_vip: false,
+          lifetime_tokens: '2400'
+        }]
+      });
+    });
+
+    const res = await request(app).get('/api/conversations/priority?filter=high-value');
+
+    expect(res.status).toBe(200);
+    const [sql] = db.query.mock.calls.find(([text]) => text.includes('WITH threads'));
+    expect(sql).toContain(fanSpendSql('t.fan_id'));
+    expect(sql).toContain('SUM(-tt.tokens) FILTER (WHERE tt.tokens < 0)');
+    expect(res.body.conversations.map(c => [c.userId, c.totalSpent])).toEqual([['fan-1', 2400]]);
+  });
+});
@@ -0,0 +1,176 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { ResourceConflictError } = require('../utils/app-errors');
+const {
+  validateFixedShares,
+  computeShares,
+  allocateTokens,
+  creditSplitRevenue,
+  addCoHost
+} = require('../utils/revenue-splits');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const minutesAgo = (n) => new Date(now.getTime() - n * 60000);
+
+const member = (userId, role, extra = {}) => ({
+  user_id: userId,
+  role,
+  share_percent: null,
+  left_at: null,
+  on_air_since: null,
+  on_air_seconds: 0,
+  ...extra
+});
+
+/**
+ * Fake pg client that routes by SQL
+ */
+function mockClient({ agreement = null, members = [], coHostTotal = 0 } = {}) {
+  return {
+    query: jest.fn((sql, params) => {
+      if (sql.includes('FROM revenue_split_agreements')) return Promise.resolve({ rows: agreement ? [agreement] : [] });
+      if (sql.includes('SELECT * FROM revenue_split_members')) return Promise.resolve({ rows: members });
+      if (sql.includes('SUM(share_percent)')) return Promise.resolve({ rows: [{ total: coHostTotal }] });
+      if (sql.includes('INSERT INTO revenue_split_members')) {
+        return Promise.resolve({ rows: [{ user_id: params[1], share_percent: params[2] }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    })
+  };
+}
+
+const feesFor = (tokens, percent = 10) => {
+  const platformFeeTokens = Math.floor(tokens * percent / 100);
+  return { grossTokens: tokens, platformFeeTokens, creatorNetTokens: tokens - platformFeeTokens };
+};
+
+describe('Revenue Splits', () => {
+  test('fixed splits cover every participant and add up to 100', () => {
+    const ids = ['host-1', 'guest-1'];
+
+    expect(() => validateFixedShares({ 'host-1': 60 }, ids)).toThrow('Missing revenue sharing percentage');
+    expect(() => validateFixedShares({ 'host-1': 60, 'guest-1': 30 }, ids)).toThrow('add up to 100%');
+    expect(() => validateFixedShares({ 'host-1': 50, 'guest-1': 40, 'fan-1': 10 }, ids))
+      .toThrow('not a participant');
+    expect(validateFixedShares({ 'host-1': '66.667', 'guest-1': 33.333 }, ids))
+      .toEqual({ 'host-1': 66.67, 'guest-1': 33.33 });
+  });
+
+  test('fixed co-host shares leave the rest to the host, and stop when they leave', () => {
+    const agreement = { mode: 'fixed', host_id: 'host-1' };
+    const members = [
+      member('host-1', 'host'),
+      member('cohost-1', 'co_host', { share_percent: '30.00' }),
+      member('cohost-2', 'co_host', { share_percent: '20.00', left_at: minutesAgo(5) })
+    ];
+
+    expect(computeShares(agreement, members, now)).toEqual([
+      { userId: 'host-1', role: 'host', percent: 70 },
+      { userId: 'cohost-1', role: 'co_host', percent: 30 }
+    ]);
+  });
+
+  test('time-weighted splits follow on-air time', () => {
+    const agreement = { mode: 'time_weighted', host_id: 'host-1' };
+    const live = [
+      member('host-1', 'host', { on_air_since: minutesAgo(30) }),
+      member('cohost-1', 'co_host', { on_air_since: minutesAgo(10) }),
+      // Off air: earns nothing from revenue while away
+      member('cohost-2', 'co_host', { on_air_seconds: 1200 })
+    ];
+
+    expect(computeShares(agreement, live, now)).toEqual([
+      { userId: 'host-1', role: 'host', percent: 75 },
+      { userId: 'cohost-1', role: 'co_host', percent: 25 }
+    ]);
+
+    // After the stream ends everyone is off air; recordings split on the totals
+    const ended = [
+      member('host-1', 'host', { on_air_seconds: 1800 }),
+      member('cohost-1', 'co_host', { on_air_seconds: 600 }),
+      member('cohost-2', 'co_host', { on_air_seconds: 1200 })
+    ];
+    expect(computeShares(agreement, ended, now).map(share => share.percent)).toEqual([50, 16.67, 33.33]);
+  });
+
+  test('rounding remainders go to the host', () => {
+    const allocations = allocateTokens(10, [
+      { userId: 'host-1', role: 'host', percent: 33.34 },
+      { userId: 'guest-1', role: 'collaborator', percent: 33.33 },
+      { userId: 'guest-2', role: 'collaborator', percent: 33.33 }
+    ]);
+
+    expect(allocations.map(a => [a.userId, a.tokens])).toEqual([['host-1', 4], ['guest-1', 3], ['guest-2', 3]]);
+    expect(allocateTokens(1, [
+      { userId: 'host-1', role: 'host', percent: 50 },
+      { userId: 'guest-1', role: 'collaborator', percent: 50 }
+    ])).toEqual([{ userId: 'host-1', role: 'host', percent: 50, tokens: 1 }]);
+  });
+
+  test('without an agreement the host is credited the whole amount', async () => {
+    const client = mockClient();
+    const credit = jest.fn(async (userId, tokens) => feesFor(tokens));
+
+    const split = await creditSplitRevenue(client, { hostId: 'host-1', grossTokens: 100, revenueType: 'tip', credit });
+
+    expect(credit).toHaveBeenCalledWith('host-1', 100);
+    expect(split).toMatchObject({ agreementId: null, platformFeeTokens: 10, creatorNetTokens: 90 });
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('revenue_split_allocations'))).toBe(false);
+  });
+
+  test('an active agreement splits the payment and logs each slice', async () => {
+    const client = mockClient({
+      agreement: { id: 'agr-1', mode: 'fixed', host_id: 'host-1', ended_at: null },
+      members: [member('host-1', 'host'), member('cohost-1', 'co_host', { share_percent: '25.00' })]
+    });
+    const credit = jest.fn(async (userId, tokens) => feesFor(tokens));
+
+    const split = await creditSplitRevenue(client, {
+      hostId: 'host-1',
+      grossTokens: 101,
+      revenueType: 'gift',
+      payerId: 'fan-1',
+      streamId: 'stream-1',
+      sourceRef: 'gift-1',
+      credit
+    });
+
+    expect(credit.mock.calls).toEqual([['host-1', 76], ['cohost-1', 25]]);
+    expect(split.agreementId).toBe('agr-1');
+    expect(split.creatorNetTokens).toBe(69 + 23);
+
+    const [lookupSql, lookupParams] = client.query.mock.calls[0];
+    expect(lookupSql).toContain('FOR SHARE OF a');
+    expect(lookupParams).toEqual(['host-1', 'stream-1']);
+
+    const logged = client.query.mock.calls
+      .filter(([sql]) => sql.includes('INSERT INTO revenue_split_allocations'))
+      .map(([, params]) => params.slice(0, 10));
+    expect(logged).toEqual([
+      ['agr-1', 'host-1', 'gift', 'gift-1', 'fan-1', 101, 75, 76, 7, 69],
+      ['agr-1', 'cohost-1', 'gift', 'gift-1', 'fan-1', 101, 25, 25, 2, 23]
+    ]);
+  });
+
+  test('co-hosts join the stream agreement on its terms', async () => {
+    const agreement = { id: 'agr-1', mode: 'fixed', host_id: 'host-1' };
+
+    await expect(addCoHost(mockClient({ agreement }), {
+      streamId: 'stream-1', hostId: 'host-1', coHostId: 'cohost-2', mode: 'time_weighted'
+    })).rejects.toThrow(ResourceConflictError);
+
+    await expect(addCoHost(mockClient({ agreement, coHostTotal: '80.00' }), {
+      streamId: 'stream-1', hostId: 'host-1', coHostId: 'cohost-2', mode: 'fixed', sharePercent: 30
+    })).rejects.toThrow('more than 100%');
+
+    // No terms and no agreement: the host keeps everything, as before
+    expect(await addCoHost(mockClient(), { streamId: 'stream-1', hostId: 'host-1', coHostId: 'cohost-2' })).toBeNull();
+
+    const client = mockClient({ agreement, coHostTotal: '30.00' });
+    const joined = await addCoHost(client, {
+      streamId: 'stream-1', hostId: 'host-1', coHostId: 'cohost-2', sharePercent: '20'
+    });
+    expect(joined.member).toEqual({ user_id: 'cohost-2', share_percent: 20 });
+  });
+});
@@ -0,0 +1,153 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../utils/direct-messages', () => ({ deliverDirectMessage: jest.fn() }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+
+const { pool } = require('../utils/db');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { processDueScheduledMessages, getNextOccurrence } = require('../jobs/scheduled-messages');
+
+const baseRow = {
+  id: 'sched-1',
+  sender_id: 'creator-1',
+  recipient_id: 'fan-1',
+  content: 'Hello!',
+  media_url: null,
+  media_type: null,
+  message_type: 'text',
+  metadata: {},
+  is_premium: false,
+  unlock_price: 0,
+  scheduled_at: '2026-01-31T10:00:00.000Z',
+  repeat_interval: 'none',
+  series_id: null,
+  attempts: 1
+};
+
+describe('Scheduled Messages Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getNextOccurrence', () => {
+    test('returns null for non-repeating messages', () => {
+      expect(getNextOccurrence(baseRow.scheduled_at, 'none')).toBeNull();
+    });
+
+    test('adds one day / one week', () => {
+      expect(getNextOccurrence('2026-01-01T08:00:00Z', 'daily').toISOString()).toBe('2026-01-02T08:00:00.000Z');
+      expect(getNextOccurrence('2026-01-01T08:00:00Z', 'weekly').toISOString()).toBe('2026-01-08T08:00:00.000Z');
+    });
+
+    test('clamps monthly repeats to the end of shorter months', () => {
+      expect(getNextOccurrence('2026-01-31T10:00:00Z', 'monthly').toISOString()).toBe('2026-02-28T10:00:00.000Z');
+      expect(getNextOccurrence('2026-12-15T10:00:00Z', 'monthly').toISOString()).toBe('2027-01-15T10:00:00.000Z');
+    });
+
+    test('monthly repeats return to the anchor day after clamping', () => {
+      expect(getNextOccurrence('2026-02-28T10:00:00Z', 'monthly', 31).toISOString()).toBe('2026-03-31T10:00:00.000Z');
+      expect(getNextOccurrence('2026-04-30T10:00:00Z', 'monthly', 31).toISOString()).toBe('2026-05-31T10:00:00.000Z');
+    });
+  });
+
+  describe('processDueScheduledMessages', () => {
+    test('marks delivered messages as sent', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [baseRow] }) // claim
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 }); // mark sent
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'msg-1' } });
+
+      const summary = await processDueScheduledMessages();
+
+      expect(summary).toMatchObject({ claimed: 1, sent: 1 });
+      expect(deliverDirectMessage).toHaveBeenCalledWith(expect.objectContaining({
+        senderId: 'creator-1',
+        recipientId: 'fan-1',
+        metadata: { scheduledMessageId: 'sched-1' },
+        scheduledMessageId: 'sched-1'
+      }));
+      expect(pool.query.mock.calls[1][0]).toContain("status = 'sent'");
+      expect(pool.query.mock.calls[1][1]).toEqual(['sched-1', 'msg-1']);
+    });
+
+    test('queues the next occurrence of repeating messages', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...baseRow, repeat_interval: 'weekly' }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'sched-2' }] });
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'msg-1' } });
+
+      await processDueScheduledMessages();
+
+      const [sql, params] = pool.query.mock.calls[2];
+      expect(sql).toContain('INSERT INTO scheduled_messages');
+      expect(params[9].toISOString()).toBe('2026-02-07T10:00:00.000Z');
+      expect(params[11]).toBe('sched-1'); // series_id
+    });
+
+    test('carries the anchor day through a series of monthly repeats', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...baseRow, repeat_interval: 'monthly' }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'sched-2' }] })
+        .mockResolvedValueOnce({
+          rows: [{ ...baseRow, id: 'sched-2', series_id: 'sched-1', repeat_interval: 'monthly', scheduled_at: '2026-02-28T10:00:00.000Z', anchor_day: 31 }]
+        })
+        .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'sched-3' }] });
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'msg-1' } });
+
+      await processDueScheduledMessages();
+      let [, params] = pool.query.mock.calls[2];
+      expect(params[9].toISOString()).toBe('2026-02-28T10:00:00.000Z');
+      expect(params[12]).toBe(31);
+
+      await processDueScheduledMessages();
+      [, params] = pool.query.mock.calls[5];
+      expect(params[9].toISOString()).toBe('2026-03-31T10:00:00.000Z');
+      expect(params[12]).toBe(31);
+    });
+
+    test('does not queue the next occurrence twice when a reclaimed row was already sent', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ ...baseRow, repeat_interval: 'weekly', attempts: 2 }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // first worker already marked it sent
+      deliverDirectMessage.mockResolvedValue({ success: true, message: { id: 'msg-1' }, duplicate: true });
+
+      const summary = await processDueScheduledMessages();
+
+      expect(summary).toMatchObject({ claimed: 1, sent: 1 });
+      expect(pool.query.mock.calls[1][0]).toContain("AND status = 'processing'");
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops the series when the recipient has blocked the sender', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      pool.query.mockResolvedValueOnce({ rows: [{ ...baseRow, repeat_interval: 'daily' }] });
+      deliverDirectMessage.mockResolvedValue({ success: false, error: 'RECIPIENT_BLOCKED' });
+
+      const summary = await processDueScheduledMessages();
+
+      expect(summary).toMatchObject({ claimed: 1, blocked: 1, sent: 0 });
+      expect(pool.query.mock.calls[1][1]).toEqual(['sched-1', 'blocked', 'RECIPIENT_BLOCKED']);
+      expect(pool.query.mock.calls[2][0]).toContain("SET status = 'cancelled'");
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+      expect(publishToChannel).toHaveBeenCalledWith('user:creator-1', 'scheduled_message:blocked', expect.any(Object));
+    });
+
+    test('retries transient errors until attempts run out', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      pool.query.mockResolvedValueOnce({ rows: [baseRow, { ...baseRow, id: 'sched-3', attempts: 3 }] });
+      deliverDirectMessage.mockRejectedValue(new Error('connection reset'));
+
+      const summary = await processDueScheduledMessages();
+
+      expect(summary).toMatchObject({ claimed: 2, retry: 1, failed: 1 });
+      expect(pool.query.mock.calls[1][0]).toContain("status = 'pending'");
+      expect(pool.query.mock.calls[1][0]).toContain('next_attempt_at');
+      expect(pool.query.mock.calls[1][0]).not.toContain('scheduled_at');
+      expect(pool.query.mock.calls[2][0]).toContain("status = 'failed'");
+    });
+  });
+});
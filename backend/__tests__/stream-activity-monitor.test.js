@@ -0,0 +1,120 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../utils/redis-counters', () => ({
+  streamViewers: {
+    addViewer: jest.fn(),
+    removeViewer: jest.fn(),
+    getViewerCount: jest.fn(),
+    clear: jest.fn()
+  }
+}));
+
+const { pool } = require('../utils/db');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { streamViewers } = require('../utils/redis-counters');
+const streamActivityMonitor = require('../utils/stream-activity-monitor');
+const { evaluateStream } = streamActivityMonitor;
+
+const now = new Date('2026-10-18T12:00:00Z');
+const minutesAgo = (n) => new Date(now.getTime() - n * 60000);
+
+const stream = {
+  id: 'stream-1',
+  creator_id: 'creator-1',
+  viewer_count: 0,
+  started_at: minutesAgo(60),
+  last_fan_interaction_at: null,
+  creator_keepalive_at: null,
+  warning_sent_at: null,
+  auto_end_minutes: 10,
+  auto_end_warning_minutes: 5
+};
+
+const sqlCalls = () => pool.query.mock.calls.map(([sql, params]) => [sql.replace(/\s+/g, ' ').trim(), params]);
+
+describe('Stream Activity Monitor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  test('warns before the deadline and ends at it', () => {
+    expect(evaluateStream({ ...stream, last_fan_interaction_at: minutesAgo(4) }, now)).toBeNull();
+    expect(evaluateStream({ ...stream, last_fan_interaction_at: minutesAgo(6) }, now)).toEqual({
+      action: 'warn',
+      reason: 'no_viewers',
+      autoEndAt: new Date(now.getTime() + 4 * 60000)
+    });
+    expect(evaluateStream({ ...stream, last_fan_interaction_at: minutesAgo(6), warning_sent_at: now }, now)).toBeNull();
+    expect(evaluateStream({ ...stream, last_fan_interaction_at: minutesAgo(10) }, now).action).toBe('end');
+
+    // A keep-alive restarts the clock; viewers stretch it to 15 minutes
+    expect(evaluateStream({ ...stream, creator_keepalive_at: minutesAgo(2) }, now)).toBeNull();
+    expect(evaluateStream({ ...stream, viewer_count: 3, last_fan_interaction_at: minutesAgo(12) }, now))
+      .toMatchObject({ action: 'warn', reason: 'no_interaction' });
+
+    // Startup grace and opt-out
+    expect(evaluateStream({ ...stream, started_at: minutesAgo(3) }, now)).toBeNull();
+    expect(evaluateStream({ ...stream, auto_end_enabled: false }, now)).toBeNull();
+  });
+
+  test('viewer counts come from the shared set, with a SQL fallback', async () => {
+    streamViewers.addViewer.mockResolvedValueOnce(4);
+    await streamActivityMonitor.logActivity('stream-1', 'fan_joined', 'fan-1');
+
+    streamViewers.removeViewer.mockResolvedValueOnce(null);
+    await streamActivityMonitor.logActivity('stream-1', 'fan_left', 'fan-1');
+
+    const updates = sqlCalls().filter(([sql]) => sql.includes('SET viewer_count'));
+    expect(updates).toEqual([
+      ['UPDATE streams SET viewer_count = $1 WHERE id = $2', [4, 'stream-1']],
+      ['UPDATE streams SET viewer_count = GREATEST(COALESCE(viewer_count, 0) + $1, 0) WHERE id = $2', [-1, 'stream-1']]
+    ]);
+  });
+
+  test('warnings and auto-ends are claimed once across instances', async () => {
+    const decision = { autoEndAt: new Date(now.getTime() + 4 * 60000) };
+
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'stream-1' }] });
+    expect(await streamActivityMonitor.sendInactivityWarning(stream, decision, now)).toBe(true);
+    expect(publishToChannel).toHaveBeenCalledWith('user:creator-1', 'stream_inactivity_warning', expect.objectContaining({
+      minutesRemaining: 4,
+      autoEndAt: decision.autoEndAt.toISOString()
+    }));
+
+    // Another instance already claimed it
+    publishToChannel.mockClear();
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    expect(await streamActivityMonitor.sendInactivityWarning(stream, decision, now)).toBe(false);
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    expect(await streamActivityMonitor.autoEndStream(stream, 'no_viewers')).toBe(false);
+    expect(publishToChannel).not.toHaveBeenCalled();
+    expect(streamViewers.clear).not.toHaveBeenCalled();
+  });
+
+  test('only the advisory lock holder sweeps', async () => {
+    const client = {
+      query: jest.fn(sql => Promise.resolve(
+        sql.includes('pg_try_advisory_xact_lock') ? { rows: [{ acquired: false }] } : { rows: [] }
+      )),
+      release: jest.fn()
+    };
+    pool.connect.mockResolvedValue(client);
+
+    expect(await streamActivityMonitor.checkInactiveStreams(now)).toEqual({ skipped: true });
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+
+    client.query.mockImplementation(sql => Promise.resolve(
+      sql.includes('pg_try_advisory_xact_lock') ? { rows: [{ acquired: true }] } : { rows: [] }
+    ));
+    streamViewers.getViewerCount.mockResolvedValue(0);
+    pool.query.mockImplementation(sql => Promise.resolve(
+      sql.includes('FROM streams s') ? { rows: [{ ...stream, last_fan_interaction_at: minutesAgo(20) }] } : { rows: [{ id: 'stream-1' }] }
+    ));
+
+    expect(await streamActivityMonitor.checkInactiveStreams(now)).toEqual({ checked: 1, warned: 0, ended: 1 });
+    expect(streamViewers.clear).toHaveBeenCalledWith('stream-1');
+  });
+});
@@ -0,0 +1,81 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../utils/db');
+const { InsufficientPermissionsError } = require('../utils/app-errors');
+const {
+  PERMISSIONS,
+  getModerationRole,
+  authorizeModeration,
+  recordModerationAction,
+  appointModerator
+} = require('../utils/stream-moderators');
+
+describe('Stream Moderators', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('the creator holds every permission without a lookup', async () => {
+    expect(await getModerationRole('creator-1', 'creator-1', 'stream-1'))
+      .toEqual({ role: 'creator', permissions: PERMISSIONS });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('moderators are limited to their granted permissions', async () => {
+    pool.query.mockResolvedValue({ rows: [{ permission: 'delete_messages' }, { permission: 'timeout' }] });
+
+    await expect(authorizeModeration('mod-1', { creatorId: 'creator-1', streamId: 'stream-1' }, 'timeout'))
+      .resolves.toBe('moderator');
+    expect(pool.query.mock.calls[0][1]).toEqual(['creator-1', 'mod-1', 'stream-1']);
+
+    await expect(authorizeModeration('mod-1', { creatorId: 'creator-1', streamId: 'stream-1' }, 'ban'))
+      .rejects.toBeInstanceOf(InsufficientPermissionsError);
+  });
+
+  test('viewers without an appointment are refused', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(authorizeModeration('fan-1', { creatorId: 'creator-1' }, 'delete_messages'))
+      .rejects.toThrow('delete_messages');
+    expect(pool.query.mock.calls[0][1]).toEqual(['creator-1', 'fan-1', null]);
+  });
+
+  test('appointments are validated and replace the permissions of the same scope', async () => {
+    await expect(appointModerator({ creatorId: 'creator-1', moderatorId: 'creator-1' }))
+      .rejects.toThrow('your own streams');
+    await expect(appointModerator({ creatorId: 'creator-1', moderatorId: 'mod-1', permissions: ['kick'] }))
+      .rejects.toThrow('permissions must be');
+    expect(pool.query).not.toHaveBeenCalled();
+
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'appt-1', permissions: ['ban', 'pin'] }] });
+    const moderator = await appointModerator({
+      creatorId: 'creator-1',
+      moderatorId: 'mod-1',
+      permissions: ['ban', 'pin', 'ban']
+    });
+
+    expect(moderator.id).toBe('appt-1');
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).toContain('UPDATE creator_moderators');
+    expect(pool.query.mock.calls[0][1]).toEqual(['creator-1', 'mod-1', null, ['ban', 'pin']]);
+  });
+
+  test('actions are audited with the actor role and never fail the action', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await recordModerationAction({
+      creatorId: 'creator-1',
+      actorId: 'mod-1',
+      action: 'timeout',
+      targetUserId: 'fan-1',
+      channel: 'chan-1',
+      details: { durationMinutes: 10 }
+    });
+    expect(pool.query.mock.calls[0][1])
+      .toEqual(['creator-1', 'mod-1', 'moderator', 'timeout', 'fan-1', 'chan-1', '{"durationMinutes":10}']);
+
+    pool.query.mockRejectedValueOnce(new Error('connection lost'));
+    await expect(recordModerationAction({ creatorId: 'creator-1', actorId: 'creator-1', action: 'ban' }))
+      .resolves.toBeUndefined();
+  });
+});
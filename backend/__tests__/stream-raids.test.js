@@ -0,0 +1,171 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../utils/redis-counters', () => ({
+  streamViewers: { getViewerCount: jest.fn(), countWatching: jest.fn() }
+}));
+
+const { pool } = require('../utils/db');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { streamViewers } = require('../utils/redis-counters');
+const {
+  validateCountdown,
+  createRaid,
+  respondToRaid,
+  announceRaid,
+  getRaidAnalytics
+} = require('../utils/stream-raids');
+const { completeRaid } = require('../jobs/stream-raids');
+
+const source = {
+  id: 'stream-1', channel: 'stream_raider_1', status: 'live', creator_id: 'raider-1',
+  viewer_count: 3, username: 'raider', display_name: 'Raider', profile_pic_url: null
+};
+const target = {
+  id: 'stream-2', channel: 'stream_target_2', status: 'live', creator_id: 'target-1',
+  viewer_count: 40, username: 'target', display_name: 'Target', profile_pic_url: null
+};
+
+describe('Stream Raids', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn() };
+    streamViewers.getViewerCount.mockResolvedValue(25);
+  });
+
+  test('countdown must be between 5 and 30 seconds', () => {
+    expect(validateCountdown(undefined)).toBeNull();
+    expect(validateCountdown(10)).toBeNull();
+    expect(validateCountdown(3)).toMatch(/between 5 and 30/);
+    expect(validateCountdown('10')).toMatch(/whole number/);
+  });
+
+  test('raids from creators the target follows start right away', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [source] })
+      .mockResolvedValueOnce({ rows: [target] })
+      .mockResolvedValueOnce({ rows: [] }) // default settings: auto-accept followed
+      .mockResolvedValueOnce({ rows: [] }) // no open raid
+      .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] }) // target follows raider
+      .mockImplementationOnce((sql, params) => Promise.resolve({ rows: [{ id: 'raid-1', params }] }));
+
+    const { raid } = await createRaid(client, { raiderId: 'raider-1', streamId: 'stream-1', target: 'target' });
+
+    const [followSql, followParams] = client.query.mock.calls[4];
+    expect(followSql).toContain('FROM follows f');
+    expect(followParams).toEqual(['target-1', 'raider-1']);
+    // source, raider, target channel, target creator, target stream, viewers, autoAccepted, countdown, response window
+    expect(raid.params).toEqual(['stream-1', 'raider-1', 'stream_target_2', 'target-1', 'stream-2', 25, true, 10, 60]);
+  });
+
+  test('raids need a live target that accepts raids', async () => {
+    client.query
+      .mockResolvedValueOnce({ rows: [source] })
+      .mockResolvedValueOnce({ rows: [] });
+    await expect(createRaid(client, { raiderId: 'raider-1', streamId: 'stream-1', target: 'offline' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    client.query
+      .mockResolvedValueOnce({ rows: [source] })
+      .mockResolvedValueOnce({ rows: [target] })
+      .mockResolvedValueOnce({ rows: [{ allow_raids: false, auto_accept: 'followed' }] });
+    await expect(createRaid(client, { raiderId: 'raider-1', streamId: 'stream-1', target: 'target' }))
+      .rejects.toThrow('This creator is not accepting raids');
+
+    client.query.mockResolvedValueOnce({ rows: [{ ...source, status: 'ended' }] });
+    await expect(createRaid(client, { raiderId: 'raider-1', streamId: 'stream-1', target: 'target' }))
+      .rejects.toThrow('You can only raid from a live stream');
+  });
+
+  test('accepting an expired request expires it instead', async () => {
+    const pending = {
+      id: 'raid-1', status: 'pending', creator_id: 'raider-1', target_creator_id: 'target-1',
+      stream_id: 'stream-1', target_stream_id: 'stream-2', expires_at: new Date(Date.now() - 1000)
+    };
+    client.query
+      .mockResolvedValueOnce({ rows: [pending] })
+      .mockResolvedValueOnce({ rows: [source, target] })
+      .mockResolvedValueOnce({ rows: [{ ...pending, status: 'expired' }] });
+
+    const outcome = await respondToRaid(client, { raidId: 'raid-1', creatorId: 'target-1', accept: true });
+    expect(outcome.raid.status).toBe('expired');
+    expect(client.query.mock.calls[2][0]).toContain("SET status = 'expired'");
+
+    client.query.mockResolvedValueOnce({ rows: [pending] });
+    await expect(respondToRaid(client, { raidId: 'raid-1', creatorId: 'someone-else', accept: true }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('an accepted raid starts the countdown on every channel viewers use', async () => {
+    const launchAt = new Date('2026-10-18T12:00:10Z');
+    await announceRaid({
+      raid: {
+        id: 'raid-1', status: 'accepted', creator_id: 'raider-1', target_creator_id: 'target-1',
+        countdown_seconds: 10, launch_at: launchAt, viewers_sent: 25, auto_accepted: true
+      },
+      source,
+      target
+    });
+
+    const events = publishToChannel.mock.calls.map(([channel, event]) => `${channel} ${event}`);
+    expect(events).toEqual([
+      'stream:stream_raider_1 raid_countdown',
+      'stream:stream-1 raid_countdown',
+      'stream:stream_target_2 raid_incoming',
+      'stream:stream-2 raid_incoming',
+      'user:raider-1 raid_accepted'
+    ]);
+    expect(publishToChannel.mock.calls[0][2]).toMatchObject({
+      raidId: 'raid-1',
+      launchAt,
+      to: { streamId: 'stream-2', channel: 'stream_target_2', displayName: 'Target' }
+    });
+  });
+
+  test('completing a raid records retention and follows for both creators', async () => {
+    const raid = {
+      id: 'raid-1', creator_id: 'raider-1', target_creator_id: 'target-1',
+      target_stream_id: 'stream-2', launch_at: new Date(), minutes_since_launch: '15.2'
+    };
+    streamViewers.countWatching.mockResolvedValue(7);
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ status: 'live' }] })
+      .mockResolvedValueOnce({ rows: Array.from({ length: 12 }, (_, i) => ({ viewer_id: `fan-${i}` })) })
+      .mockResolvedValueOnce({ rows: [{ follows: '4' }] })
+      .mockResolvedValueOnce({ rows: [{
+        ...raid, viewers_sent: 20, viewers_arrived: '12', viewers_retained_5m: 9,
+        viewers_retained_15m: 7, follows_gained: 4
+      }] });
+
+    expect(await completeRaid(raid)).toBe(true);
+    expect(pool.query.mock.calls[3][1]).toEqual(['raid-1', 7, 4]);
+    expect(publishToChannel).toHaveBeenCalledTimes(2);
+    expect(publishToChannel).toHaveBeenCalledWith('user:target-1', 'raid_completed', {
+      raidId: 'raid-1', viewersSent: 20, viewersArrived: 12, retained5m: 9, retained15m: 7, followsGained: 4
+    });
+
+    // Without viewer presence the checkpoint waits for the next run
+    jest.clearAllMocks();
+    streamViewers.countWatching.mockResolvedValue(null);
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ status: 'live' }] })
+      .mockResolvedValueOnce({ rows: [{ viewer_id: 'fan-1' }] });
+    expect(await completeRaid(raid)).toBe(false);
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('analytics report retention against the viewers who arrived', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{
+      id: 'raid-1', status: 'completed', creator_id: 'raider-1', target_creator_id: 'target-1',
+      viewer_count: 22, viewers_sent: 20, viewers_arrived: '16', viewers_retained_5m: 12,
+      viewers_retained_15m: 8, follows_gained: 3, raider_username: 'raider', target_username: 'target'
+    }] });
+
+    const { raids, totals } = await getRaidAnalytics('raider-1', { direction: 'outgoing' });
+    expect(pool.query.mock.calls[0][0]).toContain('WHERE r.creator_id = $1');
+    expect(raids[0]).toMatchObject({ viewersSent: 20, viewersArrived: 16, retention5m: 75, retention15m: 50, followsGained: 3 });
+    expect(totals.outgoing).toEqual({ raids: 1, viewersSent: 20, viewersArrived: 16, retained15m: 8, followsGained: 3 });
+  });
+});
@@ -0,0 +1,245 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/token-ledger', () => {
+  const actual = jest.requireActual('../utils/token-ledger');
+  return {
+    ...actual,
+    createJournal: jest.fn((type, options) => {
+      const journal = new actual.Journal(type, options);
+      journal.post = jest.fn().mockResolvedValue(1);
+      return journal;
+    })
+  };
+});
+
+const { BusinessLogicError, ResourceConflictError } = require('../utils/app-errors');
+const { createJournal, SPEND_ORDER, PAYOUT_ORDER } = require('../utils/token-ledger');
+const { journalLegs } = require('./helpers/ledger');
+const {
+  validateSchedule,
+  getSalesClosedReason,
+  getWaitingRoomState,
+  chargeTicket,
+  purchaseTicket,
+  transferTicket,
+  quoteRefund,
+  refundTicket,
+  settleShowTickets,
+  cancelAndRefundShow,
+  bindScheduledShows
+} = require('../utils/ticketed-shows');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const minutes = (n) => new Date(now.getTime() + n * 60 * 1000);
+
+/**
+ * Fake pg client that routes by SQL
+ */
+function mockClient({ tickets = [], balance = 1000, lockedShow = null, holders = [] } = {}) {
+  return {
+    query: jest.fn((sql, params) => {
+      if (sql.includes('FOR UPDATE OF ts')) return Promise.resolve({ rows: lockedShow ? [lockedShow] : [] });
+      if (sql.includes('SELECT supabase_id FROM users')) return Promise.resolve({ rows: [{ supabase_id: params[0] }] });
+      if (sql.includes("SELECT id FROM show_tickets")) {
+        return Promise.resolve({ rows: holders.includes(params[1]) ? [{ id: 'ticket-x' }] : [] });
+      }
+      if (sql.includes('check_ticket_availability')) return Promise.resolve({ rows: [{ available: true }] });
+      if (sql.includes('get_current_ticket_price')) return Promise.resolve({ rows: [{ price: 80 }] });
+      if (sql.includes('INSERT INTO show_tickets')) return Promise.resolve({ rows: [{ id: 'ticket-2', params }] });
+      if (sql.includes('SELECT balance FROM token_balances')) return Promise.resolve({ rows: [{ balance }] });
+      if (sql.includes('SET balance = balance -')) {
+        return Promise.resolve({ rowCount: 1, rows: [{ balance: balance - params[0] }] });
+      }
+      if (sql.includes('UPDATE show_tickets')) return Promise.resolve({ rows: tickets.length ? tickets : [{ id: params[0] }] });
+      if (sql.includes('UPDATE ticketed_shows') && sql.includes('RETURNING')) {
+        return Promise.resolve({ rows: [{ id: 'show-1', stream_id: params[1] }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 0 });
+    })
+  };
+}
+
+const ledger = (client) => client.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO token_transactions'))
+  .map(([, params]) => [params[0], params[1], params[2]]);
+
+const show = { id: 'show-1', creator_id: 'creator-1', status: 'announced', title: 'Late show' };
+
+describe('Ticketed Shows', () => {
+  beforeEach(() => {
+    createJournal.mockClear();
+  });
+
+  test('validates scheduled shows', () => {
+    const valid = { tokenPrice: 100, startTime: minutes(120).toISOString() };
+
+    expect(validateSchedule(valid, now)).toBeNull();
+    expect(validateSchedule({ ...valid, startTime: minutes(-5).toISOString() }, now)).toMatch(/future/);
+    expect(validateSchedule({ ...valid, presaleStartsAt: minutes(180).toISOString() }, now))
+      .toMatch(/presaleStartsAt/);
+    expect(validateSchedule({ ...valid, earlyBirdPrice: 150, earlyBirdDeadline: minutes(60) }, now))
+      .toMatch(/lower than tokenPrice/);
+    expect(validateSchedule({ ...valid, earlyBirdPrice: 50 }, now)).toMatch(/earlyBirdDeadline/);
+    expect(validateSchedule({ ...valid, gracePeriodMinutes: 1 }, now)).toMatch(/gracePeriodMinutes/);
+    expect(validateSchedule({ ...valid, startTime: minutes(91 * 24 * 60).toISOString() }, now))
+      .toMatch(/90 days/);
+  });
+
+  test('sales open with the presale and the waiting room before start', () => {
+    const scheduled = {
+      ...show,
+      presale_starts_at: minutes(30),
+      start_time: minutes(60),
+      waiting_room_minutes: 15
+    };
+
+    expect(getSalesClosedReason(scheduled, now)).toMatch(/not opened/);
+    expect(getSalesClosedReason(scheduled, minutes(31))).toBeNull();
+    expect(getSalesClosedReason({ ...scheduled, status: 'cancelled' }, minutes(31))).toMatch(/not available/);
+
+    expect(getWaitingRoomState(scheduled, now).state).toBe('scheduled');
+    expect(getWaitingRoomState(scheduled, minutes(45))).toEqual({
+      state: 'open',
+      opensAt: minutes(45),
+      startsAt: minutes(60)
+    });
+    expect(getWaitingRoomState({ ...scheduled, status: 'started' }, now).state).toBe('live');
+  });
+
+  test('holds ticket tokens until the show starts', async () => {
+    const presale = mockClient();
+    expect(await chargeTicket(presale, show, 'fan-1', 80)).toBe(false);
+    expect(ledger(presale)).toEqual([['fan-1', 'ticket_purchase', -80]]);
+    expect(journalLegs(presale)).toEqual([
+      { userId: 'fan-1', order: SPEND_ORDER, tokens: -80 },
+      { kind: 'escrow', ownerId: null, tokens: 80 }
+    ]);
+
+    const live = mockClient();
+    expect(await chargeTicket(live, { ...show, status: 'started' }, 'fan-1', 100)).toBe(true);
+    expect(ledger(live)).toEqual([
+      ['fan-1', 'ticket_purchase', -100],
+      ['creator-1', 'ticket_sale', 100]
+    ]);
+
+    const start = mockClient({ tickets: [{ viewer_id: 'fan-1', token_price: 80 }, { viewer_id: 'fan-2', token_price: 100 }] });
+    expect(await settleShowTickets(start, show)).toBe(180);
+    expect(ledger(start)).toEqual([['creator-1', 'ticket_sale', 180]]);
+    expect(journalLegs(start)).toEqual([
+      { kind: 'escrow', ownerId: null, tokens: -180 },
+      { kind: 'creator_earnings', ownerId: 'creator-1', tokens: 180 }
+    ]);
+  });
+
+  test('cancelling refunds held tickets from escrow and settled ones from the creator', async () => {
+    const client = mockClient({
+      tickets: [
+        { viewer_id: 'fan-1', token_price: 80, settled_at: null },
+        { viewer_id: 'fan-2', token_price: 100, settled_at: now }
+      ]
+    });
+
+    const refunded = await cancelAndRefundShow(client, show, 'not_started');
+
+    expect(refunded).toHaveLength(2);
+    expect(ledger(client)).toEqual([
+      ['fan-1', 'ticket_refund', 80],
+      ['creator-1', 'ticket_refund', -100],
+      ['fan-2', 'ticket_refund', 100]
+    ]);
+    expect(journalLegs(client)).toEqual([
+      { kind: 'escrow', ownerId: null, tokens: -80 },
+      { kind: 'fan_wallet', ownerId: 'fan-1', tokens: 80 },
+      { userId: 'creator-1', order: PAYOUT_ORDER, tokens: -100 },
+      { kind: 'fan_wallet', ownerId: 'fan-2', tokens: 100 }
+    ]);
+    const cancel = client.query.mock.calls.find(([sql]) => sql.includes("SET status = 'cancelled'"));
+    expect(cancel[1]).toEqual(['show-1', 'not_started']);
+  });
+
+  test('binds only shows inside the waiting room and grace period', async () => {
+    const client = mockClient();
+
+    const bound = await bindScheduledShows(client, { creatorId: 'creator-1', streamId: 'stream-1' });
+
+    expect(bound).toEqual([{ id: 'show-1', stream_id: 'stream-1' }]);
+    const [sql, params] = client.query.mock.calls[0];
+    expect(params).toEqual(['creator-1', 'stream-1']);
+    expect(sql).toContain('stream_id IS NULL');
+    expect(sql).toContain('make_interval(mins => waiting_room_minutes) <= NOW()');
+    expect(sql).toContain('make_interval(mins => grace_period_minutes) > NOW()');
+  });
+
+  test('gifts are paid by the gifter and refunded to them', async () => {
+    const client = mockClient({ lockedShow: { ...show, presale_starts_at: null } });
+
+    const { ticket } = await purchaseTicket(client, { showId: 'show-1', buyerId: 'fan-1', recipientId: 'fan-2' });
+
+    // show_id, viewer_id, token_price, purchase_type, gifted_by, settled_at
+    expect(ticket.params).toEqual(['show-1', 'fan-2', 80, 'gift', 'fan-1', null]);
+    expect(ledger(client)).toEqual([['fan-1', 'ticket_purchase', -80]]);
+
+    const taken = mockClient({ lockedShow: show, holders: ['fan-2'] });
+    await expect(purchaseTicket(taken, { showId: 'show-1', buyerId: 'fan-1', recipientId: 'fan-2' }))
+      .rejects.toThrow(ResourceConflictError);
+    expect(ledger(taken)).toEqual([]);
+
+    const refundable = { ...show, refund_policy: 'full', refund_cutoff_hours: 24, start_time: minutes(3 * 24 * 60) };
+    const refund = mockClient();
+    await refundTicket(refund, refundable, {
+      id: 'ticket-2', status: 'active', viewer_id: 'fan-2', gifted_by: 'fan-1', token_price: 80, settled_at: null
+    }, now);
+    expect(ledger(refund)).toEqual([['fan-1', 'ticket_refund', 80]]);
+  });
+
+  test('refund policy sets the amount, the cutoff and who pays it back', async () => {
+    const partial = {
+      ...show,
+      refund_policy: 'partial',
+      refund_percent: 75,
+      refund_cutoff_hours: 24,
+      start_time: minutes(48 * 60)
+    };
+    const ticket = { id: 'ticket-1', status: 'active', viewer_id: 'fan-1', gifted_by: null, token_price: 101 };
+
+    expect(quoteRefund(partial, ticket, now)).toBe(75);
+    expect(() => quoteRefund(partial, ticket, minutes(25 * 60))).toThrow(/close 24 hours/);
+    expect(() => quoteRefund({ ...partial, refund_policy: 'none' }, ticket, now)).toThrow(BusinessLogicError);
+    expect(() => quoteRefund(partial, { ...ticket, status: 'transferred' }, now)).toThrow(ResourceConflictError);
+    expect(() => quoteRefund(partial, { ...ticket, settled_at: now }, now)).toThrow(/close once the show starts/);
+
+    // Refunded from escrow: the kept share is released to the creator
+    const held = mockClient();
+    await refundTicket(held, partial, { ...ticket, settled_at: null }, now);
+    expect(ledger(held)).toEqual([
+      ['creator-1', 'ticket_sale', 26],
+      ['fan-1', 'ticket_refund', 75]
+    ]);
+
+    // Already paid out: not refundable
+    const settled = mockClient();
+    await expect(refundTicket(settled, partial, { ...ticket, settled_at: now }, now)).rejects.toThrow(BusinessLogicError);
+    expect(ledger(settled)).toEqual([]);
+  });
+
+  test('transfers move the ticket without touching balances', async () => {
+    const ticket = {
+      id: 'ticket-1', status: 'active', viewer_id: 'fan-1', token_price: 100,
+      purchase_type: 'early_bird', gifted_by: null, settled_at: null, joined_at: null
+    };
+    const client = mockClient();
+
+    const transferred = await transferTicket(client, { ...show, allow_transfers: true }, ticket, 'fan-2');
+
+    // show_id, viewer_id, token_price, purchase_type, gifted_by, settled_at, transferred_from
+    expect(transferred.params).toEqual(['show-1', 'fan-2', 100, 'early_bird', null, null, 'ticket-1']);
+    expect(ledger(client)).toEqual([]);
+
+    await expect(transferTicket(mockClient(), { ...show, allow_transfers: false }, ticket, 'fan-2'))
+      .rejects.toThrow(/cannot be transferred/);
+    await expect(transferTicket(mockClient({ holders: ['fan-2'] }), { ...show, allow_transfers: true }, ticket, 'fan-2'))
+      .rejects.toThrow(ResourceConflictError);
+    await expect(transferTicket(mockClient(), { ...show, allow_transfers: true }, { ...ticket, joined_at: now }, 'fan-2'))
+      .rejects.toThrow(/already been used/);
+  });
+});
@@ -0,0 +1,142 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../utils/db');
+const { TransactionError, BusinessLogicError } = require('../utils/app-errors');
+const {
+  createJournal,
+  runReconciliation,
+  resolveDrift,
+  PAYOUT_ORDER
+} = require('../utils/token-ledger');
+
+/**
+ * Fake pg client that routes by SQL. accounts: { [userId]: { fan_wallet, creator_earnings } }
+ */
+function mockClient({ accounts = {}, drift = [], totals = {} } = {}) {
+  let nextId = 1;
+  const rows = Object.entries(accounts).flatMap(([ownerId, balances]) =>
+    Object.entries(balances).map(([kind, balance]) => ({ id: nextId++, kind, owner_id: ownerId, balance: String(balance) }))
+  );
+
+  return {
+    release: jest.fn(),
+    query: jest.fn((sql) => {
+      if (sql.includes('FOR UPDATE') && sql.includes('token_ledger_accounts')) return Promise.resolve({ rows });
+      if (sql.includes('INSERT INTO token_ledger_journals')) return Promise.resolve({ rows: [{ id: 77 }] });
+      if (sql.includes('WHERE owner_id IS NULL AND kind')) {
+        return Promise.resolve({ rows: [{ id: 901, kind: 'platform_revenue' }, { id: 902, kind: 'token_issuance' }] });
+      }
+      if (sql.includes('FULL OUTER JOIN')) return Promise.resolve({ rows: drift });
+      if (sql.includes('AS accounts_checked')) {
+        return Promise.resolve({ rows: [{ accounts_checked: '3', ledger_sum: '0', unbalanced_journals: '0', ...totals }] });
+      }
+      return Promise.resolve({ rows: [] });
+    })
+  };
+}
+
+const call = (client, fragment) => client.query.mock.calls.find(([sql]) => sql.includes(fragment));
+
+describe('Token Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockImplementation((sql) => {
+      if (sql.includes('INSERT INTO token_ledger_reconciliations')) return Promise.resolve({ rows: [{ id: 5 }] });
+      if (sql.includes('UPDATE token_ledger_reconciliations')) return Promise.resolve({ rows: [{ id: 5 }] });
+      return Promise.resolve({ rows: [] });
+    });
+  });
+
+  test('rejects journals that do not balance before writing anything', async () => {
+    const client = mockClient();
+    const journal = createJournal('tip').debitUser('fan-1', 100).creditUser('creator-1', 90, { account: 'creator_earnings' });
+
+    await expect(journal.post(client)).rejects.toThrow(TransactionError);
+    expect(client.query).not.toHaveBeenCalled();
+
+    expect(() => createJournal('tip').debitUser('fan-1', 1.5)).toThrow(/whole tokens/);
+    expect(() => createJournal('tip').credit('fan_wallet', 10)).toThrow(/Unknown platform account/);
+    expect(await createJournal('tip').debitUser('fan-1', 0).post(client)).toBeNull();
+  });
+
+  test('spending draws the wallet first and creator earnings after', async () => {
+    const client = mockClient({
+      accounts: {
+        'fan-1': { fan_wallet: 30, creator_earnings: 200 },
+        'creator-1': { fan_wallet: 0, creator_earnings: 0 }
+      }
+    });
+
+    const journalId = await createJournal('tip', { reference: 'tips:9' })
+      .debitUser('fan-1', 100)
+      .creditUser('creator-1', 80, { account: 'creator_earnings' })
+      .credit('platform_revenue', 20)
+      .post(client);
+
+    expect(journalId).toBe(77);
+    expect(call(client, 'INSERT INTO token_ledger_journals')[1]).toEqual(['tip', 'tips:9', null, null]);
+
+    // fan_wallet 1, creator_earnings 2, then creator-1's accounts 3 and 4
+    const [, [id, accountIds, tokens, balancesAfter]] = call(client, 'INSERT INTO token_ledger_entries');
+    expect(id).toBe(77);
+    expect(accountIds).toEqual([1, 2, 4, 901]);
+    expect(tokens).toEqual([-30, -70, 80, 20]);
+    expect(balancesAfter).toEqual([0, 130, 80, null]);
+
+    const [, balanceParams] = call(client, 'UPDATE token_ledger_accounts');
+    expect(balanceParams).toEqual([[1, 2, 4], [0, 130, 80]]);
+  });
+
+  test('payouts draw earnings first and an overdraw leaves the first account negative', async () => {
+    const client = mockClient({ accounts: { 'creator-1': { fan_wallet: 10, creator_earnings: 50 } } });
+
+    await createJournal('chargeback')
+      .debitUser('creator-1', 80, { order: PAYOUT_ORDER })
+      .credit('token_issuance', 80)
+      .post(client);
+
+    const [, [, accountIds, tokens, balancesAfter]] = call(client, 'INSERT INTO token_ledger_entries');
+    expect(accountIds).toEqual([2, 1, 902]);
+    expect(tokens).toEqual([-70, -10, 80]);
+    expect(balancesAfter).toEqual([-20, 0, null]);
+  });
+
+  test('reconciliation records drift and marks the run', async () => {
+    const client = mockClient({
+      drift: [
+        { user_id: 'fan-1', ledger_tokens: '100', balance_tokens: '120' },
+        { user_id: 'fan-2', ledger_tokens: '40', balance_tokens: '0' }
+      ]
+    });
+    pool.connect.mockResolvedValue(client);
+
+    await runReconciliation();
+
+    expect(call(client, 'BEGIN')[0]).toContain('REPEATABLE READ');
+    const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO token_ledger_drift'));
+    expect(insert[1]).toEqual([5, ['fan-1', 'fan-2'], [100, 40], [120, 0]]);
+    const finish = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE token_ledger_reconciliations'));
+    expect(finish[1]).toEqual([5, 'drift', '3', 2, 60, '0', '0']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('an unbalanced ledger is drift even when every user matches', async () => {
+    pool.connect.mockResolvedValue(mockClient({ totals: { ledger_sum: '0', unbalanced_journals: '1' } }));
+    await runReconciliation();
+    let finish = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE token_ledger_reconciliations'));
+    expect(finish[1][1]).toBe('drift');
+
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(mockClient());
+    await runReconciliation();
+    finish = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE token_ledger_reconciliations'));
+    expect(finish[1][1]).toBe('balanced');
+    expect(pool.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO token_ledger_drift'))).toBe(false);
+  });
+
+  test('resolving drift needs a note', async () => {
+    await expect(resolveDrift(1, { adminId: 'admin-1', note: '  ' })).rejects.toThrow(BusinessLogicError);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,173 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../utils/ably-adapter', () => ({ publishToChannel: jest.fn() }));
+jest.mock('../utils/storage-manager', () => ({
+  buckets: { STREAM_RECORDINGS: 'stream-recordings', VOD_HLS: 'vod-hls' },
+  uploadFile: jest.fn(),
+  generateSignedUrl: jest.fn()
+}));
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+process.env.VOD_SIGNING_SECRET = 'test-vod-secret';
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const { pool } = require('../utils/db');
+const storageManager = require('../utils/storage-manager');
+const { selectLadder, buildHlsCommand, packageRecording } = require('../utils/hls-packager');
+const {
+  getVodAccess,
+  createPlaybackToken,
+  verifyPlaybackToken,
+  verifySegmentSignature,
+  buildMasterPlaylist,
+  signMediaPlaylist
+} = require('../utils/vod-playback');
+const { packageClaimedRecording } = require('../jobs/vod-packaging');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const hours = (n) => new Date(now.getTime() + n * 60 * 60 * 1000);
+
+const playlist = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  '#EXT-X-TARGETDURATION:6',
+  '#EXT-X-PLAYLIST-TYPE:VOD',
+  '#EXTINF:6.000000,',
+  'seg_00000.ts',
+  '#EXTINF:4.500000,',
+  'seg_00001.ts',
+  '#EXT-X-ENDLIST',
+  ''
+].join('\n');
+
+describe('VOD HLS playback', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('the ladder never upscales the source', () => {
+    expect(selectLadder({ width: 1280, height: 720 }).map(r => [r.name, r.width, r.height])).toEqual([
+      ['720p', 1280, 720],
+      ['480p', 854, 480],
+      ['360p', 640, 360]
+    ]);
+    expect(selectLadder({ width: 320, height: 240 }).map(r => r.name)).toEqual(['360p']);
+
+    const [rendition] = selectLadder({ width: 1920, height: 1080 });
+    const args = buildHlsCommand({ input: 'https://cdn/rec.mp4', rendition, outDir: '/tmp/hls/1080p' });
+    expect(args).toEqual(expect.arrayContaining(['-b:v', '5000k', '-hls_playlist_type', 'vod', '-f', 'hls']));
+    expect(args[args.length - 1]).toBe('/tmp/hls/1080p/index.m3u8');
+  });
+
+  test('packaging uploads the segments each playlist lists and cleans up', async () => {
+    const outDirs = [];
+    spawn.mockImplementation((bin, args) => {
+      const child = new EventEmitter();
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.kill = jest.fn();
+      setImmediate(() => {
+        if (bin === 'ffprobe') {
+          child.stdout.emit('data', JSON.stringify({ streams: [{ width: 640, height: 360 }] }));
+        } else {
+          // Fake ffmpeg: the playlist, its segments and a stray file
+          const outDir = path.dirname(args[args.length - 1]);
+          outDirs.push(outDir);
+          fs.writeFileSync(path.join(outDir, 'index.m3u8'), playlist);
+          fs.writeFileSync(path.join(outDir, 'seg_00000.ts'), 'ts0');
+          fs.writeFileSync(path.join(outDir, 'seg_00001.ts'), 'ts1');
+          fs.writeFileSync(path.join(outDir, 'seg_00002.ts.tmp'), 'partial');
+        }
+        child.emit('close', 0);
+      });
+      return child;
+    });
+
+    const renditions = await packageRecording({ id: 'rec-1', file_url: 'https://cdn/rec-1.mp4' });
+
+    expect(renditions).toEqual([expect.objectContaining({ name: '360p', playlist, segmentCount: 2 })]);
+    expect(storageManager.uploadFile.mock.calls.map(([bucket, filePath, buffer]) => [bucket, filePath, buffer.toString()]))
+      .toEqual([
+        ['vod-hls', 'rec-1/360p/seg_00000.ts', 'ts0'],
+        ['vod-hls', 'rec-1/360p/seg_00001.ts', 'ts1']
+      ]);
+    expect(outDirs.every(dir => !fs.existsSync(dir))).toBe(true);
+  });
+
+  test('purchases, rentals and ownership grant access', async () => {
+    const row = { id: 'rec-1', creator_id: 'creator-1', is_free: false, hls_status: 'ready', rental_expires_at: null, is_purchased: false };
+
+    pool.query.mockResolvedValueOnce({ rows: [{ ...row, is_purchased: true }] });
+    expect(await getVodAccess('fan-1', 'rec-1')).toMatchObject({ hasAccess: true, accessExpiresAt: null });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ ...row, rental_expires_at: hours(2) }] });
+    expect(await getVodAccess('fan-1', 'rec-1')).toMatchObject({ hasAccess: true, accessExpiresAt: hours(2) });
+
+    pool.query.mockResolvedValueOnce({ rows: [row] });
+    expect((await getVodAccess('fan-1', 'rec-1')).hasAccess).toBe(false);
+    pool.query.mockResolvedValueOnce({ rows: [row] });
+    expect((await getVodAccess('creator-1', 'rec-1')).hasAccess).toBe(true);
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    expect(await getVodAccess('fan-1', 'rec-missing')).toBeNull();
+  });
+
+  test('playback tokens expire with the rental and are bound to the recording', () => {
+    const { token, expiresAt } = createPlaybackToken({ userId: 'fan-1', recordingId: 'rec-1', accessExpiresAt: hours(1) }, now);
+
+    expect(expiresAt).toEqual(hours(1));
+    expect(verifyPlaybackToken(token, 'rec-1', now)).toEqual({
+      userId: 'fan-1',
+      recordingId: 'rec-1',
+      exp: hours(1).getTime() / 1000
+    });
+    expect(verifyPlaybackToken(token, 'rec-2', now)).toBeNull();
+    expect(verifyPlaybackToken(token, 'rec-1', hours(1))).toBeNull();
+
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ u: 'fan-2', r: 'rec-1', exp: 9999999999 })).toString('base64url');
+    expect(verifyPlaybackToken(`${forged}.${signature}`, 'rec-1', now)).toBeNull();
+    expect(verifyPlaybackToken(`${payload}.`, 'rec-1', now)).toBeNull();
+
+    // Permanent access still gets a short-lived token
+    expect(createPlaybackToken({ userId: 'fan-1', recordingId: 'rec-1' }, now).expiresAt).toEqual(hours(4));
+  });
+
+  test('playlists sign every segment until the token expires', () => {
+    const master = buildMasterPlaylist([
+      { name: '360p', width: 640, height: 360, bandwidth: 984000 },
+      { name: '720p', width: 1280, height: 720, bandwidth: 3124000 }
+    ], 'tok.en');
+    expect(master.split('\n').filter(line => !line.startsWith('#') && line)).toEqual([
+      '720p/index.m3u8?token=tok.en',
+      '360p/index.m3u8?token=tok.en'
+    ]);
+
+    const exp = Math.floor(hours(1).getTime() / 1000);
+    const signed = signMediaPlaylist(playlist, { recordingId: 'rec-1', rendition: '720p', exp });
+    const uris = signed.split('\n').filter(line => line && !line.startsWith('#'));
+    expect(uris).toHaveLength(2);
+
+    const url = new URL(uris[1], 'https://api.test/');
+    const segment = { recordingId: 'rec-1', rendition: '720p', segment: 'seg_00001.ts', exp: url.searchParams.get('exp'), sig: url.searchParams.get('sig') };
+    expect(url.pathname).toBe('/seg_00001.ts');
+    expect(verifySegmentSignature(segment, now)).toBe(true);
+    expect(verifySegmentSignature({ ...segment, segment: 'seg_00000.ts' }, now)).toBe(false);
+    expect(verifySegmentSignature({ ...segment, rendition: '360p' }, now)).toBe(false);
+    expect(verifySegmentSignature({ ...segment, exp: String(exp + 3600) }, now)).toBe(false);
+    expect(verifySegmentSignature(segment, hours(2))).toBe(false);
+  });
+
+  test('failed packaging is retried, then marked failed', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ hls_status: 'pending' }] });
+
+    // No media to read
+    expect(await packageClaimedRecording({ id: 'rec-1', creator_id: 'creator-1', hls_attempts: 1 })).toBe('pending');
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("CASE WHEN hls_attempts >= $2 THEN 'failed' ELSE 'pending' END");
+    expect(params).toEqual(['rec-1', 3, 'Recording has no stored media']);
+  });
+});
@@ -0,0 +1,92 @@
+// Mock dependencies
+jest.mock('../utils/db', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+const { pool } = require('../utils/db');
+const {
+  minutesPlayed,
+  getResumePosition,
+  recordProgress,
+  buildRetentionCurve,
+  getRetention
+} = require('../utils/vod-progress');
+
+describe('VOD Watch Progress', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [{ last_position_seconds: 0 }] });
+  });
+
+  test('marks the minutes played since the last report', () => {
+    expect(minutesPlayed(130, 15)).toEqual([1, 2]);
+    expect(minutesPlayed(45, 15)).toEqual([0, 0]);
+    // A seek with no playback marks nothing
+    expect(minutesPlayed(600, 0)).toBeNull();
+    // The end of a 10:30 recording is minute 10, not 11
+    expect(minutesPlayed(630, 30, 630)).toEqual([10, 10]);
+    expect(minutesPlayed(660, 30, 600)).toEqual([9, 9]);
+  });
+
+  test('resumes where the viewer left off unless they finished', () => {
+    expect(getResumePosition(null)).toBe(0);
+    expect(getResumePosition({ last_position_seconds: 5, duration_seconds: 600 })).toBe(0);
+    expect(getResumePosition({ last_position_seconds: 312, duration_seconds: 600 })).toBe(312);
+    expect(getResumePosition({ last_position_seconds: 590, duration_seconds: 600 })).toBe(0);
+    expect(getResumePosition({ last_position_seconds: 312, duration_seconds: null })).toBe(312);
+  });
+
+  test('caps reported playback and flags completion near the end', async () => {
+    await recordProgress({ userId: 'fan-1', recordingId: 'rec-1', position: 575, elapsedSeconds: 3600, durationSeconds: 600 });
+
+    const [[minutesSql, minutesParams], [progressSql, progressParams]] = pool.query.mock.calls;
+    expect(minutesSql).toContain('INSERT INTO vod_watch_minutes');
+    // 60 seconds at most: minutes 8 and 9, not the whole recording
+    expect(minutesParams).toEqual(['rec-1', 'fan-1', 8, 9]);
+    expect(progressSql).toContain('ON CONFLICT (user_id, recording_id) DO UPDATE');
+    // user, recording, position, elapsed, duration, completed, total minutes
+    expect(progressParams).toEqual(['fan-1', 'rec-1', 575, 60, 600, true, 10]);
+
+    pool.query.mockClear();
+    await recordProgress({ userId: 'fan-1', recordingId: 'rec-1', position: 900, elapsedSeconds: 0, durationSeconds: 600 });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    // Seeking to the end clamps the position but doesn't complete the recording
+    expect(pool.query.mock.calls[0][1]).toEqual(['fan-1', 'rec-1', 600, 0, 600, false, 10]);
+  });
+
+  test('retention curves cover every minute of the recording', async () => {
+    expect(buildRetentionCurve([{ minute: 0, viewers: '4' }, { minute: 2, viewers: '1' }], 4, 200)).toEqual([
+      { minute: 0, viewers: 4, retention: 100 },
+      { minute: 1, viewers: 0, retention: 0 },
+      { minute: 2, viewers: 1, retention: 25 },
+      { minute: 3, viewers: 0, retention: 0 }
+    ]);
+    expect(buildRetentionCurve([], 0, null)).toEqual([]);
+
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ recording_id: 'rec-1', viewers: '3', completions: '1', average_percent: '58.333' }] })
+      .mockResolvedValueOnce({ rows: [
+        { recording_id: 'rec-1', minute: 0, viewers: '3' },
+        { recording_id: 'rec-1', minute: 1, viewers: '2' }
+      ] });
+
+    const retention = await getRetention([
+      { id: 'rec-1', duration_seconds: 120 },
+      { id: 'rec-2', duration_seconds: 60 }
+    ]);
+
+    expect(retention['rec-1']).toEqual({
+      viewers: 3,
+      completionRate: 33.3,
+      averagePercentWatched: 58.3,
+      curve: [
+        { minute: 0, viewers: 3, retention: 100 },
+        { minute: 1, viewers: 2, retention: 66.7 }
+      ]
+    });
+    expect(retention['rec-2']).toEqual({
+      viewers: 0,
+      completionRate: 0,
+      averagePercentWatched: 0,
+      curve: [{ minute: 0, viewers: 0, retention: 0 }]
+    });
+  });
+});
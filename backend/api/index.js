@@ -217,6 +217,11 @@ try {
   const pollRoutes = require('../routes/polls');
   const questionRoutes = require('../routes/questions');
   const messageRoutes = require('../routes/messages');
+  const scheduledMessageRoutes = require('../routes/scheduled-messages');
+  const autoReplyRoutes = require('../routes/auto-replies');
+  const messageTemplateRoutes = require('../routes/message-templates');
+  const massMessageRoutes = require('../routes/mass-messages');
+  const messageSearchRoutes = require('../routes/message-search');
   const chatRoutes = require('../routes/chat');
   const ppvMessagesRoutes = require('../routes/ppv-messages');
   const notificationRoutes = require('../routes/notifications');
@@ -228,6 +233,7 @@ try {
   const collaborationRoutes = require('../routes/collaborations');
   const membershipTiersRoutes = require('../routes/membership-tiers');
   const offersRoutes = require('../routes/offers');
+  const cardsRoutes = require('../routes/cards');
   const classesRoutes = require('../routes/classes');
   const creatorsRoutes = require('../routes/creators');
   const tvSubscriptionRoutes = require('../routes/tv-subscription');
@@ -240,7 +246,13 @@ try {
   const contentRoutes = require('../routes/content-supabase'); // Using Supabase Storage
   const experiencesRoutes = require('../routes/experiences');
   const sessionsRoutes = require('../routes/sessions');
+  const intakeFormsRoutes = require('../routes/intake-forms');
   const streamChatRoutes = require('../routes/stream-chat');
+  const streamModeratorRoutes = require('../routes/stream-moderators');
+  const feePolicyRoutes = require('../routes/fee-policy');
+  const payoutReserveRoutes = require('../routes/payout-reserves');
+  const tokenLedgerRoutes = require('../routes/token-ledger');
+  const paymentDisputeRoutes = require('../routes/payment-disputes');
   const streamFeaturesRoutes = require('../routes/stream-features');
   const earningsAnalyticsRoutes = require('../routes/earnings-analytics-v2'); // Using v2 with better schema
   const publicConnectRoutes = require('../routes/public-connect');
@@ -345,6 +357,11 @@ try {
   app.use('/api/tips', rateLimiters.api || ((req, res, next) => next()), tipRoutes);
   app.use('/api/polls', rateLimiters.api || ((req, res, next) => next()), pollRoutes);
   app.use('/api/questions', rateLimiters.api || ((req, res, next) => next()), questionRoutes);
+  app.use('/api/messages/scheduled', rateLimiters.api || ((req, res, next) => next()), scheduledMessageRoutes);
+  app.use('/api/messages/auto-replies', rateLimiters.api || ((req, res, next) => next()), autoReplyRoutes);
+  app.use('/api/messages/templates', rateLimiters.api || ((req, res, next) => next()), messageTemplateRoutes);
+  app.use('/api/messages/mass', rateLimiters.api || ((req, res, next) => next()), massMessageRoutes);
+  app.use('/api/messages/search', rateLimiters.api || ((req, res, next) => next()), messageSearchRoutes);
   app.use('/api/messages', rateLimiters.api || ((req, res, next) => next()), messageRoutes);
   app.use('/api/chat', rateLimiters.streaming || ((req, res, next) => next()), chatRoutes);
   app.use('/api/ppv-messages', rateLimiters.api || ((req, res, next) => next()), ppvMessagesRoutes);
@@ -360,12 +377,18 @@ try {
   app.use('/api/analytics', rateLimiters.analytics || ((req, res, next) => next()), analyticsRoutes);
   app.use('/api/moderation', rateLimiters.api || ((req, res, next) => next()), moderationRoutes);
   app.use('/api/offers', rateLimiters.api || ((req, res, next) => next()), offersRoutes);
+  app.use('/api/cards', rateLimiters.api || ((req, res, next) => next()), cardsRoutes);
   app.use('/api/streaming', rateLimiters.streaming || ((req, res, next) => next()), streamingRoutes);
   app.use('/api/ticketed-shows', rateLimiters.api || ((req, res, next) => next()), ticketedShowsRoutes);
   app.use('/api/collaborations', rateLimiters.api || ((req, res, next) => next()), collaborationRoutes);
   app.use('/api/membership-tiers', rateLimiters.api || ((req, res, next) => next()), membershipTiersRoutes);
   app.use('/api/classes', rateLimiters.api || ((req, res, next) => next()), classesRoutes);
   app.use('/api/stream-chat', rateLimiters.streaming || ((req, res, next) => next()), streamChatRoutes);
+  app.use('/api/stream-moderators', rateLimiters.api || ((req, res, next) => next()), streamModeratorRoutes);
+  app.use('/api/fee-policy', rateLimiters.api || ((req, res, next) => next()), feePolicyRoutes);
+  app.use('/api/payout-reserves', rateLimiters.api || ((req, res, next) => next()), payoutReserveRoutes);
+  app.use('/api/token-ledger', rateLimiters.api || ((req, res, next) => next()), tokenLedgerRoutes);
+  app.use('/api/payment-disputes', rateLimiters.api || ((req, res, next) => next()), paymentDisputeRoutes);
   app.use('/api/stream-features', rateLimiters.streaming || ((req, res, next) => next()), streamFeaturesRoutes);
   app.use('/api/earnings', rateLimiters.analytics || ((req, res, next) => next()), earningsAnalyticsRoutes);
   app.use('/api/public', rateLimiters.public || ((req, res, next) => next()), publicConnectRoutes);
@@ -388,6 +411,7 @@ try {
   app.use('/api/content', rateLimiters.upload || ((req, res, next) => next()), contentRoutes);
   app.use('/api/experiences', rateLimiters.api || ((req, res, next) => next()), experiencesRoutes);
   app.use('/api/sessions', rateLimiters.api || ((req, res, next) => next()), sessionsRoutes);
+  app.use('/api/intake-forms', rateLimiters.api || ((req, res, next) => next()), intakeFormsRoutes);
   app.use('/api/schedule', rateLimiters.api || ((req, res, next) => next()), require('../routes/schedule'));
   app.use('/api/wallet', rateLimiters.api || ((req, res, next) => next()), tokenRoutes); // Wallet endpoints are in tokens route
   app.use('/api/saved-creators', rateLimiters.api || ((req, res, next) => next()), require('../routes/saved-creators')); // Saved creators/bookmarks
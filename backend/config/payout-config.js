@@ -15,7 +15,6 @@ const config = {
   // Platform Defaults
   platform: {
     defaultCurrency: process.env.PLATFORM_DEFAULT_CURRENCY || 'usd',
-    platformFeePercent: parseFloat(process.env.PLATFORM_FEE_PERCENT || '10'), // 10%
   },
 
   // Payout Policy
@@ -23,9 +22,13 @@ const config = {
     // Minimum payout amount in cents ($10 default)
     minThresholdCents: parseInt(process.env.PAYOUT_MIN_THRESHOLD_CENTS || '1000', 10),
 
-    // Reserve percentage (0-100) to hold for chargebacks/refunds
+    // Minimum reserve percentage (0-100) to hold for chargebacks/refunds;
+    // utils/payout-risk.js raises it per creator
     reservePercent: parseFloat(process.env.PAYOUT_RESERVE_PERCENT || '0'),
 
+    // Days a reserve held only because of the floor is kept before release
+    reserveHoldDays: parseInt(process.env.PAYOUT_RESERVE_HOLD_DAYS || '30', 10),
+
     // Payout schedule (1st and 15th of month)
     scheduleDay1: 1,
     scheduleDay2: 15,
@@ -107,6 +110,10 @@ function validateConfig() {
     throw new Error('PAYOUT_RESERVE_PERCENT must be between 0 and 100');
   }
 
+  if (config.payout.reserveHoldDays < 0) {
+    throw new Error('PAYOUT_RESERVE_HOLD_DAYS must be >= 0');
+  }
+
   // Warn about missing webhook secret
   if (!config.stripe.webhookSecret) {
     console.warn('⚠️  STRIPE_WEBHOOK_SECRET not set - webhook signature verification disabled');
@@ -125,11 +132,10 @@ function getConfigSummary() {
   return {
     platform: {
       currency: config.platform.defaultCurrency,
-      platformFee: `${config.platform.platformFeePercent}%`,
     },
     payout: {
       minThreshold: `$${(config.payout.minThresholdCents / 100).toFixed(2)}`,
-      reserve: `${config.payout.reservePercent}%`,
+      reserve: `${config.payout.reservePercent}% minimum, held ${config.payout.reserveHoldDays} days`,
       schedule: `Day ${config.payout.scheduleDay1} & ${config.payout.scheduleDay2} of month`,
       timezone: config.payout.timezone,
     },
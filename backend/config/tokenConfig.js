@@ -15,20 +15,14 @@ const DEFAULT_MESSAGE_PRICES = {
   video: parseInt(process.env.DEFAULT_VIDEO_MESSAGE_PRICE || '5')
 };
 
-// Platform fee percentage (0-100)
-const PLATFORM_FEE_PERCENTAGE = parseInt(process.env.PLATFORM_FEE_PERCENTAGE || '0');
-
 module.exports = {
   TOKEN_TO_USD,
   USD_TO_TOKEN,
   DEFAULT_MESSAGE_PRICES,
-  PLATFORM_FEE_PERCENTAGE,
 
   // Helper functions
   usdToTokens: (usd) => Math.ceil(usd * USD_TO_TOKEN),
-  tokensToUsd: (tokens) => tokens * TOKEN_TO_USD,
+  tokensToUsd: (tokens) => tokens * TOKEN_TO_USD
 
-  // Calculate platform fee
-  calculatePlatformFee: (amount) => Math.floor(amount * PLATFORM_FEE_PERCENTAGE / 100),
-  calculateCreatorEarnings: (amount) => Math.floor(amount * (100 - PLATFORM_FEE_PERCENTAGE) / 100)
+  // Platform fees on creator revenue live in utils/fee-policy.js
 };
\ No newline at end of file
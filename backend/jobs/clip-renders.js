@@ -0,0 +1,206 @@
+/**
+ * Clip Render Job
+ *
+ * Runs every minute from jobs/cron-config.js on long-running servers; hosts
+ * with ffmpeg can also trigger it through POST /api/cron/clip-renders.
+ *
+ * Clips are queued by POST /streaming/create-clip and rendered here one at a
+ * time (utils/clip-renderer.js). A clip is claimed with FOR UPDATE SKIP LOCKED,
+ * so overlapping runs never render the same clip. A clip whose renderer died
+ * mid-job is reclaimed once it has been 'processing' longer than
+ * STALE_AFTER_MINUTES; after MAX_ATTEMPTS the clip is marked failed.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { renderClip, deleteClipMedia } = require('../utils/clip-renderer');
+
+const MAX_ATTEMPTS = 3;
+const STALE_AFTER_MINUTES = 15;
+// Rendering is slow; keep each run short so new clips are picked up promptly
+const DEFAULT_LIMIT = 3;
+
+/**
+ * Claim the oldest clip that needs rendering
+ *
+ * @returns {Promise<Object|null>} The claimed recording_clips row
+ */
+async function claimNextClip() {
+  const result = await pool.query(
+    `UPDATE recording_clips
+     SET status = 'processing',
+         attempts = attempts + 1,
+         processing_started_at = NOW()
+     WHERE id = (
+       SELECT id FROM recording_clips
+       WHERE attempts < $1
+         AND (
+           status = 'queued'
+           OR (status = 'processing' AND processing_started_at < NOW() - make_interval(mins => $2))
+         )
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [MAX_ATTEMPTS, STALE_AFTER_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Fail clips whose last allowed attempt never finished
+ *
+ * @returns {Promise<number>} Clips marked failed
+ */
+async function failAbandonedClips() {
+  const result = await pool.query(
+    `UPDATE recording_clips
+     SET status = 'failed',
+         last_error = COALESCE(last_error, 'Render did not finish')
+     WHERE status = 'processing'
+       AND attempts >= $1
+       AND processing_started_at < NOW() - make_interval(mins => $2)
+     RETURNING id`,
+    [MAX_ATTEMPTS, STALE_AFTER_MINUTES]
+  );
+
+  return result.rows.length;
+}
+
+async function notify(userId, type, title, message, data) {
+  try {
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, type, title, message, data]
+    );
+    await publishToChannel(`user:${userId}`, type, { ...data, message });
+  } catch (error) {
+    logger.error('Failed to send clip notification:', { clipId: data.clipId, error: error.message });
+  }
+}
+
+/**
+ * Render one claimed clip and record the outcome
+ *
+ * @returns {Promise<string>} The clip's new status
+ */
+async function renderClaimedClip(clip) {
+  try {
+    const recordingResult = await pool.query(
+      'SELECT * FROM stream_recordings WHERE id = $1',
+      [clip.recording_id]
+    );
+    const recording = recordingResult.rows[0];
+    if (!recording) {
+      throw new Error('Recording no longer exists');
+    }
+
+    const media = await renderClip(clip, recording);
+
+    const updated = await pool.query(
+      `UPDATE recording_clips
+       SET status = 'ready',
+           clip_path = $2,
+           thumbnail_path = $3,
+           preview_path = $4,
+           file_size = $5,
+           processing_result = $6,
+           last_error = NULL,
+           completed_at = NOW()
+       WHERE id = $1 AND status = 'processing'
+       RETURNING id`,
+      [
+        clip.id,
+        media.clipPath,
+        media.thumbnailPath,
+        media.previewPath,
+        media.fileSize,
+        JSON.stringify({ format: 'mp4', preview: 'gif', attempts: clip.attempts })
+      ]
+    );
+    // Deleted while rendering; don't leave its media behind
+    if (updated.rows.length === 0) {
+      await deleteClipMedia({
+        clip_path: media.clipPath,
+        thumbnail_path: media.thumbnailPath,
+        preview_path: media.previewPath
+      });
+      return 'deleted';
+    }
+
+    const data = { clipId: clip.id, recordingId: clip.recording_id, title: clip.title };
+    await notify(clip.created_by, 'clip_ready', 'Clip Ready', `Your clip "${clip.title}" is ready to watch`, data);
+    if (clip.created_by !== clip.creator_id) {
+      await notify(
+        clip.creator_id,
+        'clip_created',
+        'New Clip Created',
+        `A clip was created from your recording "${recording.title}"`,
+        { ...data, createdBy: clip.created_by }
+      );
+    }
+
+    return 'ready';
+  } catch (error) {
+    const result = await pool.query(
+      `UPDATE recording_clips
+       SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'queued' END,
+           last_error = $3
+       WHERE id = $1 AND status = 'processing'
+       RETURNING status`,
+      [clip.id, MAX_ATTEMPTS, error.message.slice(0, 1000)]
+    );
+    const status = result.rows[0]?.status || 'deleted';
+
+    logger.error('Clip render failed:', { clipId: clip.id, attempt: clip.attempts, status, error: error.message });
+
+    if (status === 'failed') {
+      await notify(
+        clip.created_by,
+        'clip_failed',
+        'Clip Failed',
+        `We couldn't create your clip "${clip.title}"`,
+        { clipId: clip.id, recordingId: clip.recording_id, title: clip.title }
+      );
+    }
+
+    return status;
+  }
+}
+
+/**
+ * Render queued clips
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Most clips to render in this run
+ * @returns {Promise<Object>} { rendered, retried, failed }
+ */
+async function processClipRenderQueue({ limit = DEFAULT_LIMIT } = {}) {
+  const summary = { rendered: 0, retried: 0, failed: await failAbandonedClips() };
+
+  for (let i = 0; i < limit; i++) {
+    const clip = await claimNextClip();
+    if (!clip) break;
+
+    const status = await renderClaimedClip(clip);
+    if (status === 'ready') summary.rendered++;
+    else if (status === 'queued') summary.retried++;
+    else if (status === 'failed') summary.failed++;
+  }
+
+  if (summary.rendered > 0 || summary.retried > 0 || summary.failed > 0) {
+    logger.info('Clip renders processed', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  processClipRenderQueue,
+  claimNextClip,
+  renderClaimedClip
+};
@@ -62,6 +62,44 @@ const scheduleRetries = () => {
   logger.info('Failed payout retry scheduled daily at 10 AM UTC');
 };
 
+// Release due payout reserves daily at 1 AM UTC, before the payout run
+const scheduleReserveReleases = () => {
+  const { processReserveReleases } = require('./payout-reserves');
+
+  cron.schedule('0 1 * * *', async () => {
+    logger.info('Running payout reserve releases');
+    try {
+      await processReserveReleases();
+    } catch (error) {
+      logger.error('Payout reserve release failed', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  logger.info('Payout reserve releases scheduled daily at 1 AM UTC');
+};
+
+// Reconcile token balances against the ledger nightly at 3:30 AM UTC
+const scheduleLedgerReconciliation = () => {
+  const { processLedgerReconciliation } = require('./ledger-reconciliation');
+
+  cron.schedule('30 3 * * *', async () => {
+    logger.info('Running token ledger reconciliation');
+    try {
+      await processLedgerReconciliation();
+    } catch (error) {
+      logger.error('Token ledger reconciliation failed', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  logger.info('Token ledger reconciliation scheduled daily at 3:30 AM UTC');
+};
+
 // Schedule hourly account status updates
 const scheduleAccountUpdates = () => {
   cron.schedule('0 * * * *', async () => {
@@ -79,13 +117,66 @@ const scheduleAccountUpdates = () => {
   logger.info('Account status updates scheduled hourly');
 };
 
+// Render queued clips every minute. ffmpeg needs a long-running host, so clips
+// are rendered here rather than from the serverless cron routes.
+const scheduleClipRenders = () => {
+  const { processClipRenderQueue } = require('./clip-renders');
+  let running = false;
+
+  cron.schedule('* * * * *', async () => {
+    // A long render can outlast the minute; never run two sweeps at once
+    if (running) return;
+    running = true;
+    try {
+      await processClipRenderQueue();
+    } catch (error) {
+      logger.error('Clip render processing failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  logger.info('Clip rendering scheduled every minute');
+};
+
+// Package completed recordings as HLS every minute, one at a time
+const scheduleVodPackaging = () => {
+  const { processVodPackaging } = require('./vod-packaging');
+  let running = false;
+
+  cron.schedule('* * * * *', async () => {
+    // A transcode takes far longer than a minute; never run two at once
+    if (running) return;
+    running = true;
+    try {
+      await processVodPackaging();
+    } catch (error) {
+      logger.error('VOD packaging failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }, {
+    scheduled: true,
+    timezone: "UTC"
+  });
+
+  logger.info('VOD packaging scheduled every minute');
+};
+
 // Initialize all scheduled jobs
 const initializeScheduledJobs = () => {
   logger.info('Initializing scheduled jobs');
   
   schedulePayouts();
   scheduleRetries();
+  scheduleReserveReleases();
+  scheduleLedgerReconciliation();
   scheduleAccountUpdates();
+  scheduleClipRenders();
+  scheduleVodPackaging();
   
   logger.info('All scheduled jobs initialized');
 };
@@ -94,5 +185,9 @@ module.exports = {
   initializeScheduledJobs,
   schedulePayouts,
   scheduleRetries,
-  scheduleAccountUpdates
+  scheduleReserveReleases,
+  scheduleLedgerReconciliation,
+  scheduleAccountUpdates,
+  scheduleClipRenders,
+  scheduleVodPackaging
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+/**
+ * Token Ledger Reconciliation
+ *
+ * Runs nightly (POST /api/cron/ledger-reconciliation): checks every user's
+ * token_balances.balance against their ledger accounts and that every
+ * journal balances. Drift is recorded for admins to review at
+ * GET /api/token-ledger/reconciliations/:id.
+ */
+
+const { logger } = require('../utils/secureLogger');
+const { runReconciliation } = require('../utils/token-ledger');
+
+/**
+ * @returns {Promise<Object>} { runId, status, driftCount, driftTokens }
+ */
+async function processLedgerReconciliation() {
+  const run = await runReconciliation();
+
+  const summary = {
+    runId: run.id,
+    status: run.status,
+    driftCount: run.drift_count,
+    driftTokens: Number(run.drift_tokens)
+  };
+
+  if (run.status === 'drift') {
+    logger.warn('Token ledger drift found', {
+      ...summary,
+      ledgerSum: Number(run.ledger_sum),
+      unbalancedJournals: run.unbalanced_journals
+    });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  processLedgerReconciliation
+};
@@ -0,0 +1,214 @@
+/**
+ * Mass Message Campaign Delivery
+ *
+ * Drains mass_message_recipients in batches and delivers each fan a personal
+ * copy of the campaign through the shared direct message path. Placeholders
+ * ({{fan_name}}, {{tier}}, {{last_purchase}}) are rendered per recipient.
+ * Triggered every minute by the Vercel cron route POST /api/cron/mass-messages.
+ *
+ * Claiming uses FOR UPDATE SKIP LOCKED so overlapping cron invocations never
+ * deliver to the same fan twice.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { filterEligibleRecipients } = require('../utils/mass-messaging');
+const {
+  renderTemplate,
+  loadRecipientContexts,
+  sendTemplatedMessage
+} = require('../utils/message-templates');
+
+const BATCH_SIZE = 200;
+const MAX_ATTEMPTS = 3;
+// A claim older than this belongs to a worker that died mid-batch
+const STALE_CLAIM_MINUTES = 10;
+
+/**
+ * Atomically claim a batch of queued recipients from active campaigns
+ */
+async function claimRecipients(limit) {
+  const result = await pool.query(
+    `UPDATE mass_message_recipients
+     SET status = 'processing',
+         attempts = attempts + 1,
+         claimed_at = NOW()
+     WHERE id IN (
+       SELECT r.id
+       FROM mass_message_recipients r
+       JOIN mass_message_campaigns c ON c.id = r.campaign_id
+       WHERE c.status IN ('queued', 'sending')
+         AND (r.status = 'queued'
+           OR (r.status = 'processing' AND r.claimed_at < NOW() - ($2 || ' minutes')::INTERVAL))
+       ORDER BY c.created_at, r.id
+       LIMIT $1
+       FOR UPDATE OF r SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, STALE_CLAIM_MINUTES]
+  );
+
+  return result.rows;
+}
+
+async function markRecipient(id, status, { messageId = null, error = null } = {}) {
+  await pool.query(
+    `UPDATE mass_message_recipients
+     SET status = $2, message_id = $3, last_error = $4, processed_at = NOW()
+     WHERE id = $1`,
+    [id, status, messageId, error]
+  );
+}
+
+/**
+ * Deliver one campaign copy to one fan
+ *
+ * @returns {Promise<Object>} deliverDirectMessage result
+ */
+function deliverCampaignMessage(campaign, recipientId, context) {
+  const metadata = { massMessageCampaignId: campaign.id };
+
+  // Template sends are logged for template usage stats
+  if (campaign.template_id) {
+    return sendTemplatedMessage({
+      template: { ...campaign, id: campaign.template_id },
+      recipientId,
+      context,
+      source: 'mass',
+      metadata
+    });
+  }
+
+  return deliverDirectMessage({
+    senderId: campaign.creator_id,
+    recipientId,
+    content: renderTemplate(campaign.content, context),
+    mediaUrl: campaign.media_url || undefined,
+    mediaType: campaign.media_type || undefined,
+    messageType: campaign.media_url ? 'media' : 'text',
+    metadata,
+    unlockPrice: campaign.unlock_price
+  });
+}
+
+/**
+ * Deliver the claimed recipients of one campaign
+ */
+async function processCampaignBatch(campaign, rows, summary) {
+  const recipientIds = rows.map(row => row.recipient_id);
+  const [eligible, contexts] = await Promise.all([
+    filterEligibleRecipients(campaign.creator_id, recipientIds),
+    loadRecipientContexts(campaign.creator_id, recipientIds)
+  ]);
+
+  for (const row of rows) {
+    if (!eligible.has(row.recipient_id)) {
+      await markRecipient(row.id, 'skipped', { error: 'INELIGIBLE' });
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      const result = await deliverCampaignMessage(campaign, row.recipient_id, contexts.get(row.recipient_id));
+
+      if (result.success) {
+        await markRecipient(row.id, 'sent', { messageId: result.message.id });
+        summary.sent += 1;
+      } else if (result.error === 'RECIPIENT_BLOCKED') {
+        await markRecipient(row.id, 'skipped', { error: result.error });
+        summary.skipped += 1;
+      } else {
+        await markRecipient(row.id, 'failed', { error: result.error });
+        summary.failed += 1;
+      }
+    } catch (error) {
+      // Transient failure (database, network) - leave it queued for the next run
+      if (row.attempts < MAX_ATTEMPTS) {
+        await pool.query(
+          `UPDATE mass_message_recipients SET status = 'queued', last_error = $2 WHERE id = $1`,
+          [row.id, error.message]
+        );
+        summary.retry += 1;
+      } else {
+        await markRecipient(row.id, 'failed', { error: error.message });
+        summary.failed += 1;
+      }
+    }
+  }
+}
+
+/**
+ * Mark campaigns with nothing left in their queue as completed
+ */
+async function completeFinishedCampaigns(campaignIds) {
+  const result = await pool.query(
+    `UPDATE mass_message_campaigns c
+     SET status = 'completed', completed_at = NOW()
+     WHERE c.id = ANY($1::uuid[])
+       AND c.status = 'sending'
+       AND NOT EXISTS (
+         SELECT 1 FROM mass_message_recipients r
+         WHERE r.campaign_id = c.id AND r.status IN ('queued', 'processing')
+       )
+     RETURNING c.id, c.creator_id`,
+    [campaignIds]
+  );
+
+  for (const campaign of result.rows) {
+    try {
+      await publishToChannel(`user:${campaign.creator_id}`, 'mass_message:completed', {
+        campaignId: campaign.id
+      });
+    } catch (error) {
+      logger.warn('Failed to notify creator about mass message', {
+        campaignId: campaign.id,
+        error: error.message
+      });
+    }
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Deliver the next batch of queued mass message recipients
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=200] - Maximum recipients claimed per run
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function processMassMessageQueue({ batchSize = BATCH_SIZE } = {}) {
+  const rows = await claimRecipients(batchSize);
+  const summary = { claimed: rows.length, sent: 0, skipped: 0, failed: 0, retry: 0, completed: 0 };
+
+  if (rows.length === 0) return summary;
+
+  const campaignIds = [...new Set(rows.map(row => row.campaign_id))];
+  const campaigns = await pool.query(
+    `UPDATE mass_message_campaigns
+     SET status = 'sending', started_at = COALESCE(started_at, NOW())
+     WHERE id = ANY($1::uuid[])
+       AND status IN ('queued', 'sending')
+     RETURNING *`,
+    [campaignIds]
+  );
+
+  for (const campaign of campaigns.rows) {
+    await processCampaignBatch(
+      campaign,
+      rows.filter(row => row.campaign_id === campaign.id),
+      summary
+    );
+  }
+
+  summary.completed = await completeFinishedCampaigns(campaignIds);
+  logger.info('Mass message queue processed', summary);
+
+  return summary;
+}
+
+module.exports = {
+  processMassMessageQueue
+};
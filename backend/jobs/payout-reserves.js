@@ -0,0 +1,43 @@
+/**
+ * Payout Reserve Releases
+ *
+ * Runs daily (POST /api/cron/payout-reserves), ahead of the 2 AM payout run:
+ * releases reserve holds whose release_at has passed and tells each creator
+ * how much will be added to their next payout.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { releaseDueReserves } = require('../utils/payout-risk');
+
+/**
+ * @returns {Promise<Object>} { released: holds released, creators: creators notified }
+ */
+async function processReserveReleases() {
+  const holds = await releaseDueReserves(pool);
+
+  const byCreator = new Map();
+  for (const hold of holds) {
+    byCreator.set(hold.creator_id, (byCreator.get(hold.creator_id) || 0) + Number(hold.amount));
+  }
+
+  for (const [creatorId, amount] of byCreator) {
+    try {
+      await pool.query(
+        `INSERT INTO payout_notifications
+         (creator_id, notification_type, title, message)
+         VALUES ($1, 'reserve_released', 'Reserve Released',
+                 '$' || $2 || ' held in reserve has been released and will be added to your next payout.')`,
+        [creatorId, (amount / 100).toFixed(2)]
+      );
+    } catch (error) {
+      logger.error('Failed to notify creator of reserve release:', { creatorId, error: error.message });
+    }
+  }
+
+  return { released: holds.length, creators: byCreator.size };
+}
+
+module.exports = {
+  processReserveReleases
+};
@@ -0,0 +1,238 @@
+/**
+ * Scheduled Direct Message Delivery
+ *
+ * Claims due rows from scheduled_messages and delivers them through the
+ * shared direct message path (same pricing, PPV and realtime publish as
+ * POST /api/messages/send). Triggered every minute by the Vercel cron route
+ * POST /api/cron/scheduled-messages.
+ *
+ * Claiming uses FOR UPDATE SKIP LOCKED so overlapping cron invocations never
+ * claim the same row twice. A stale claim can be reclaimed while its first
+ * worker is still running; delivery is keyed on the scheduled row, so the
+ * message is inserted and charged at most once either way.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { deliverDirectMessage } = require('../utils/direct-messages');
+const { publishToChannel } = require('../utils/ably-adapter');
+
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5;
+// A claim older than this belongs to a worker that died mid-batch
+const STALE_CLAIM_MINUTES = 10;
+
+/**
+ * Compute the next occurrence for a repeating message
+ *
+ * @param {Date|string} from - Current occurrence time
+ * @param {string} repeatInterval - 'none', 'daily', 'weekly' or 'monthly'
+ * @param {number} [anchorDay] - Day of month monthly repeats aim for; defaults to the day of `from`
+ * @returns {Date|null} Next occurrence, or null when the message does not repeat
+ */
+function getNextOccurrence(from, repeatInterval, anchorDay) {
+  const next = new Date(from);
+
+  switch (repeatInterval) {
+    case 'daily':
+      next.setUTCDate(next.getUTCDate() + 1);
+      return next;
+    case 'weekly':
+      next.setUTCDate(next.getUTCDate() + 7);
+      return next;
+    case 'monthly': {
+      // Clamp to the last day of the month (Jan 31 -> Feb 28/29), but aim for
+      // the anchor day again afterwards so Feb 28 is followed by Mar 31
+      const day = anchorDay || next.getUTCDate();
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+      next.setUTCDate(Math.min(day, lastDay));
+      return next;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Atomically claim a batch of due messages
+ */
+async function claimDueMessages(limit) {
+  const result = await pool.query(
+    `UPDATE scheduled_messages
+     SET status = 'processing',
+         attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM scheduled_messages
+       WHERE (status = 'pending' AND COALESCE(next_attempt_at, scheduled_at) <= NOW())
+          OR (status = 'processing' AND updated_at < NOW() - ($2 || ' minutes')::INTERVAL)
+       ORDER BY scheduled_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, STALE_CLAIM_MINUTES]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Queue the next occurrence of a repeating message
+ */
+async function scheduleNextOccurrence(row) {
+  const anchorDay = row.anchor_day || new Date(row.scheduled_at).getUTCDate();
+  const nextAt = getNextOccurrence(row.scheduled_at, row.repeat_interval, anchorDay);
+  if (!nextAt) return null;
+
+  const result = await pool.query(
+    `INSERT INTO scheduled_messages (
+       sender_id, recipient_id, content, media_url, media_type, message_type,
+       metadata, is_premium, unlock_price, scheduled_at, repeat_interval, series_id, anchor_day
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING id`,
+    [
+      row.sender_id, row.recipient_id, row.content, row.media_url, row.media_type,
+      row.message_type, row.metadata, row.is_premium, row.unlock_price,
+      nextAt, row.repeat_interval, row.series_id || row.id, anchorDay
+    ]
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Tell the sender a scheduled message could not be delivered
+ */
+async function notifySender(row, event, reason) {
+  try {
+    await publishToChannel(`user:${row.sender_id}`, event, {
+      scheduledMessageId: row.id,
+      recipientId: row.recipient_id,
+      reason
+    });
+  } catch (error) {
+    logger.warn('Failed to notify sender about scheduled message', {
+      scheduledMessageId: row.id,
+      event,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Deliver one claimed row and record the outcome
+ *
+ * @returns {Promise<string>} Final outcome: 'sent', 'blocked', 'failed' or 'retry'
+ */
+async function deliverScheduledMessage(row) {
+  let result;
+
+  try {
+    result = await deliverDirectMessage({
+      senderId: row.sender_id,
+      recipientId: row.recipient_id,
+      content: row.content,
+      mediaUrl: row.media_url,
+      mediaType: row.media_type,
+      messageType: row.message_type,
+      metadata: { ...(row.metadata || {}), scheduledMessageId: row.id },
+      isPremium: row.is_premium,
+      unlockPrice: row.unlock_price,
+      scheduledMessageId: row.id
+    });
+  } catch (error) {
+    // Transient failure (database, network) - retry with backoff. scheduled_at
+    // stays put so the next occurrence is still computed from the planned time
+    if (row.attempts < MAX_ATTEMPTS) {
+      await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'pending',
+             last_error = $2,
+             next_attempt_at = NOW() + ($3 || ' minutes')::INTERVAL
+         WHERE id = $1`,
+        [row.id, error.message, RETRY_DELAY_MINUTES * row.attempts]
+      );
+      return 'retry';
+    }
+
+    await pool.query(
+      `UPDATE scheduled_messages SET status = 'failed', last_error = $2 WHERE id = $1`,
+      [row.id, error.message]
+    );
+    await notifySender(row, 'scheduled_message:failed', 'DELIVERY_ERROR');
+    return 'failed';
+  }
+
+  if (!result.success) {
+    // Blocked recipients end the whole series; other refusals only this occurrence
+    const status = result.error === 'RECIPIENT_BLOCKED' ? 'blocked' : 'failed';
+
+    await pool.query(
+      `UPDATE scheduled_messages SET status = $2, last_error = $3 WHERE id = $1`,
+      [row.id, status, result.error]
+    );
+
+    if (status === 'blocked') {
+      await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'cancelled', last_error = 'RECIPIENT_BLOCKED'
+         WHERE series_id = $1 AND status = 'pending'`,
+        [row.series_id || row.id]
+      );
+      await notifySender(row, 'scheduled_message:blocked', result.error);
+      return 'blocked';
+    }
+
+    await notifySender(row, 'scheduled_message:failed', result.error);
+    await scheduleNextOccurrence(row);
+    return 'failed';
+  }
+
+  // Only the worker that moves the row out of processing queues the next
+  // occurrence, so a reclaimed row does not repeat the series twice
+  const marked = await pool.query(
+    `UPDATE scheduled_messages
+     SET status = 'sent',
+         sent_at = NOW(),
+         sent_message_id = $2,
+         last_error = NULL
+     WHERE id = $1 AND status = 'processing'`,
+    [row.id, result.message.id]
+  );
+  if (marked.rowCount > 0) {
+    await scheduleNextOccurrence(row);
+  }
+
+  return 'sent';
+}
+
+/**
+ * Deliver every scheduled message that is due
+ *
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=100] - Maximum rows claimed per run
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function processDueScheduledMessages({ batchSize = BATCH_SIZE } = {}) {
+  const rows = await claimDueMessages(batchSize);
+  const summary = { claimed: rows.length, sent: 0, blocked: 0, failed: 0, retry: 0 };
+
+  for (const row of rows) {
+    const outcome = await deliverScheduledMessage(row);
+    summary[outcome] += 1;
+  }
+
+  if (rows.length > 0) {
+    logger.info('Scheduled messages processed', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  processDueScheduledMessages,
+  getNextOccurrence
+};
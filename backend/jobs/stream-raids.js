@@ -0,0 +1,167 @@
+/**
+ * Stream Raids Job
+ *
+ * Runs every minute (POST /api/cron/stream-raids):
+ *
+ *   - expires raid requests the target never answered
+ *   - 5 minutes after launch, records how many arrivals are still watching
+ *   - 15 minutes after launch, records retention again plus the follows the
+ *     target gained from arrivals, marks the raid completed and sends both
+ *     creators the results
+ *
+ * Retention comes from the target's live viewer set in Redis. When Redis is
+ * unavailable the checkpoint is retried on the next run, and given up on
+ * (left NULL) after GIVE_UP_MINUTES.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { publishToChannel } = require('../utils/ably-adapter');
+const {
+  RETENTION_CHECKPOINTS,
+  announceRaid,
+  countRetainedViewers,
+  countFollowsGained
+} = require('../utils/stream-raids');
+
+const [FIRST_CHECKPOINT, FINAL_CHECKPOINT] = RETENTION_CHECKPOINTS;
+const GIVE_UP_MINUTES = 60;
+
+/**
+ * Expire pending raids past their response window
+ *
+ * @returns {Promise<number>} Raids expired
+ */
+async function expireRaidRequests() {
+  const result = await pool.query(
+    `UPDATE stream_raids
+     SET status = 'expired'
+     WHERE status = 'pending' AND expires_at <= NOW()
+     RETURNING *`
+  );
+
+  for (const raid of result.rows) {
+    await announceRaid({ raid });
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Accepted raids launched at least `minutes` ago
+ */
+async function findLaunchedRaids(minutes, extraCondition) {
+  const result = await pool.query(
+    `SELECT *, EXTRACT(EPOCH FROM (NOW() - launch_at)) / 60 AS minutes_since_launch
+     FROM stream_raids
+     WHERE status = 'accepted'
+       AND launch_at <= NOW() - make_interval(mins => $1)
+       AND ${extraCondition}
+     ORDER BY launch_at
+     LIMIT 50`,
+    [minutes]
+  );
+  return result.rows;
+}
+
+/**
+ * Retained viewers, or undefined if the checkpoint should be retried later
+ */
+async function snapshotRetention(raid) {
+  const retained = await countRetainedViewers(raid);
+  if (retained === null && Number(raid.minutes_since_launch) < GIVE_UP_MINUTES) {
+    return undefined;
+  }
+  return retained;
+}
+
+async function recordFirstCheckpoint(raid) {
+  const retained = await snapshotRetention(raid);
+  if (retained === undefined) return false;
+
+  await pool.query(
+    `UPDATE stream_raids SET viewers_retained_5m = $2 WHERE id = $1 AND viewers_retained_5m IS NULL`,
+    [raid.id, retained]
+  );
+  return true;
+}
+
+async function completeRaid(raid) {
+  const retained = await snapshotRetention(raid);
+  if (retained === undefined) return false;
+
+  const followsGained = await countFollowsGained(raid);
+  const result = await pool.query(
+    `UPDATE stream_raids
+     SET status = 'completed',
+         viewers_retained_15m = $2,
+         follows_gained = $3,
+         completed_at = NOW()
+     WHERE id = $1 AND status = 'accepted'
+     RETURNING *,
+       (SELECT COUNT(*) FROM stream_raid_viewers WHERE raid_id = $1) AS viewers_arrived`,
+    [raid.id, retained, followsGained]
+  );
+  const completed = result.rows[0];
+  if (!completed) return false;
+
+  const analytics = {
+    raidId: completed.id,
+    viewersSent: completed.viewers_sent,
+    viewersArrived: Number(completed.viewers_arrived),
+    retained5m: completed.viewers_retained_5m,
+    retained15m: completed.viewers_retained_15m,
+    followsGained: completed.follows_gained
+  };
+  for (const creatorId of [completed.creator_id, completed.target_creator_id]) {
+    try {
+      await publishToChannel(`user:${creatorId}`, 'raid_completed', analytics);
+    } catch (error) {
+      logger.error('Failed to publish raid_completed:', { raidId: completed.id, error: error.message });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Expire stale requests and record raid analytics
+ *
+ * @returns {Promise<Object>} { expired, checkpoints, completed }
+ */
+async function processStreamRaids() {
+  const summary = { expired: await expireRaidRequests(), checkpoints: 0, completed: 0 };
+
+  const firstDue = await findLaunchedRaids(
+    FIRST_CHECKPOINT,
+    `viewers_retained_5m IS NULL AND launch_at > NOW() - make_interval(mins => ${FINAL_CHECKPOINT})`
+  );
+  for (const raid of firstDue) {
+    try {
+      if (await recordFirstCheckpoint(raid)) summary.checkpoints++;
+    } catch (error) {
+      logger.error('Raid retention checkpoint failed:', { raidId: raid.id, error: error.message });
+    }
+  }
+
+  const finalDue = await findLaunchedRaids(FINAL_CHECKPOINT, 'true');
+  for (const raid of finalDue) {
+    try {
+      if (await completeRaid(raid)) summary.completed++;
+    } catch (error) {
+      logger.error('Raid completion failed:', { raidId: raid.id, error: error.message });
+    }
+  }
+
+  if (summary.expired > 0 || summary.checkpoints > 0 || summary.completed > 0) {
+    logger.info('Stream raids processed', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  processStreamRaids,
+  expireRaidRequests,
+  completeRaid
+};
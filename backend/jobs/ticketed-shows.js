@@ -0,0 +1,185 @@
+/**
+ * Scheduled Ticketed Show Jobs
+ *
+ * Triggered every minute by the Vercel cron route POST /api/cron/ticketed-shows.
+ *
+ *   - Reminders: ticket holders are reminded an hour before a scheduled show
+ *     ('last_chance') and when its waiting room opens ('starting_soon'). Each
+ *     reminder is claimed by inserting its show_announcements row, which is
+ *     unique per show and type, so overlapping runs never send it twice.
+ *   - Expiry: scheduled shows that have not started by start_time plus their
+ *     grace period are cancelled and every ticket is refunded.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { cancelAndRefundShow } = require('../utils/ticketed-shows');
+
+const BATCH_SIZE = 50;
+
+// lead: SQL interval before start_time at which the reminder is due
+const REMINDERS = [
+  {
+    type: 'last_chance',
+    lead: "interval '1 hour'",
+    message: (show) => `"${show.title}" starts in one hour`
+  },
+  {
+    type: 'starting_soon',
+    lead: 'make_interval(mins => ts.waiting_room_minutes)',
+    message: (show) => `The waiting room for "${show.title}" is open`
+  }
+];
+
+async function notifyTicketHolders(show, ticketStatus, { type, title, message }) {
+  const holders = await pool.query(
+    'SELECT viewer_id FROM show_tickets WHERE show_id = $1 AND status = $2',
+    [show.id, ticketStatus]
+  );
+
+  for (const { viewer_id: viewerId } of holders.rows) {
+    try {
+      await pool.query(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [viewerId, type, title, message, { showId: show.id, startTime: show.start_time }]
+      );
+      await publishToChannel(`user:${viewerId}`, type, { showId: show.id, message });
+    } catch (error) {
+      logger.error('Failed to notify ticket holder:', { showId: show.id, error: error.message });
+    }
+  }
+
+  return holders.rows.length;
+}
+
+/**
+ * Send reminders that have come due
+ *
+ * @returns {Promise<number>} Reminders sent (one per show and type)
+ */
+async function processShowReminders({ batchSize = BATCH_SIZE } = {}) {
+  let sent = 0;
+
+  for (const reminder of REMINDERS) {
+    const claimed = await pool.query(
+      `INSERT INTO show_announcements (show_id, message, announcement_type)
+       SELECT ts.id, ts.title, $1
+       FROM ticketed_shows ts
+       WHERE ts.status = 'announced'
+         AND ts.start_time IS NOT NULL
+         AND ts.start_time > NOW()
+         AND ts.start_time - ${reminder.lead} <= NOW()
+       LIMIT $2
+       ON CONFLICT (show_id, announcement_type)
+         WHERE announcement_type IN ('last_chance', 'starting_soon')
+         DO NOTHING
+       RETURNING show_id`,
+      [reminder.type, batchSize]
+    );
+
+    for (const { show_id: showId } of claimed.rows) {
+      const show = await pool.query('SELECT * FROM ticketed_shows WHERE id = $1', [showId]);
+      const message = reminder.message(show.rows[0]);
+
+      await notifyTicketHolders(show.rows[0], 'active', {
+        type: `ticketed_show_${reminder.type}`,
+        title: 'Show reminder',
+        message
+      });
+
+      try {
+        await publishToChannel(`show:${showId}`, 'show_reminder', { showId, type: reminder.type, message });
+      } catch (error) {
+        logger.error('Failed to publish show reminder:', { showId, error: error.message });
+      }
+      sent += 1;
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Cancel and refund shows that never started within their grace period
+ *
+ * @returns {Promise<{ cancelled: number, refundedTickets: number }>}
+ */
+async function processExpiredShows({ batchSize = BATCH_SIZE } = {}) {
+  const summary = { cancelled: 0, refundedTickets: 0 };
+
+  for (let i = 0; i < batchSize; i++) {
+    const client = await pool.connect();
+    let show;
+    let refunded;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT * FROM ticketed_shows
+         WHERE status = 'announced'
+           AND start_time IS NOT NULL
+           AND start_time + make_interval(mins => grace_period_minutes) <= NOW()
+         ORDER BY start_time
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED`
+      );
+      show = result.rows[0];
+
+      if (!show) {
+        await client.query('ROLLBACK');
+        break;
+      }
+
+      refunded = await cancelAndRefundShow(client, show, 'not_started');
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Failed to cancel expired ticketed show:', { showId: show?.id, error: error.message });
+      break;
+    } finally {
+      client.release();
+    }
+
+    summary.cancelled += 1;
+    summary.refundedTickets += refunded.length;
+
+    await notifyTicketHolders(show, 'refunded', {
+      type: 'ticketed_show_cancelled',
+      title: 'Show cancelled',
+      message: `"${show.title}" did not start and your tokens have been refunded`
+    });
+    try {
+      await publishToChannel(`show:${show.id}`, 'show_cancelled', { showId: show.id, reason: 'not_started' });
+    } catch (error) {
+      logger.error('Failed to publish show cancellation:', { showId: show.id, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Run every ticketed show job
+ *
+ * @returns {Promise<Object>} { reminders, cancelled, refundedTickets }
+ */
+async function processTicketedShows(options = {}) {
+  const reminders = await processShowReminders(options);
+  const expired = await processExpiredShows(options);
+  const summary = { reminders, ...expired };
+
+  if (reminders > 0 || expired.cancelled > 0) {
+    logger.info('Ticketed show jobs processed', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  processTicketedShows,
+  processShowReminders,
+  processExpiredShows
+};
@@ -0,0 +1,191 @@
+/**
+ * VOD Packaging Job
+ *
+ * Runs every minute from jobs/cron-config.js on long-running servers; hosts
+ * with ffmpeg can also trigger it through POST /api/cron/vod-packaging.
+ *
+ * Packages completed recordings as adaptive HLS (utils/hls-packager.js), one
+ * recording per run. A recording is claimed with FOR UPDATE SKIP LOCKED; one
+ * whose packager died is reclaimed after STALE_AFTER_MINUTES, and after
+ * MAX_ATTEMPTS it is marked failed.
+ */
+
+const { pool } = require('../utils/db');
+const { logger } = require('../utils/secureLogger');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { packageRecording } = require('../utils/hls-packager');
+
+const MAX_ATTEMPTS = 3;
+// Longer than the transcode timeout for a full ladder
+const STALE_AFTER_MINUTES = 9 * 60;
+
+/**
+ * Claim the oldest completed recording that needs packaging
+ *
+ * @returns {Promise<Object|null>} The claimed stream_recordings row
+ */
+async function claimNextRecording() {
+  const result = await pool.query(
+    `UPDATE stream_recordings
+     SET hls_status = 'processing',
+         hls_attempts = hls_attempts + 1,
+         hls_started_at = NOW()
+     WHERE id = (
+       SELECT id FROM stream_recordings
+       WHERE status = 'completed'
+         AND hls_attempts < $1
+         AND (
+           hls_status = 'pending'
+           OR (hls_status = 'processing' AND hls_started_at < NOW() - make_interval(mins => $2))
+         )
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [MAX_ATTEMPTS, STALE_AFTER_MINUTES]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Fail recordings whose last allowed attempt never finished
+ */
+async function failAbandonedRecordings() {
+  const result = await pool.query(
+    `UPDATE stream_recordings
+     SET hls_status = 'failed',
+         hls_error = COALESCE(hls_error, 'Packaging did not finish')
+     WHERE hls_status = 'processing'
+       AND hls_attempts >= $1
+       AND hls_started_at < NOW() - make_interval(mins => $2)
+     RETURNING id`,
+    [MAX_ATTEMPTS, STALE_AFTER_MINUTES]
+  );
+
+  return result.rows.length;
+}
+
+/**
+ * Store the renditions and mark the recording ready
+ *
+ * @returns {Promise<boolean>} false if the recording was reclaimed or deleted meanwhile
+ */
+async function saveRenditions(recording, renditions) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const updated = await client.query(
+      `UPDATE stream_recordings
+       SET hls_status = 'ready', hls_error = NULL, hls_packaged_at = NOW()
+       WHERE id = $1 AND hls_status = 'processing' AND hls_attempts = $2
+       RETURNING id`,
+      [recording.id, recording.hls_attempts]
+    );
+    if (updated.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await client.query('DELETE FROM recording_renditions WHERE recording_id = $1', [recording.id]);
+    for (const rendition of renditions) {
+      await client.query(
+        `INSERT INTO recording_renditions
+         (recording_id, name, width, height, bandwidth, playlist, segment_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          recording.id,
+          rendition.name,
+          rendition.width,
+          rendition.height,
+          rendition.bandwidth,
+          rendition.playlist,
+          rendition.segmentCount
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Package one claimed recording and record the outcome
+ *
+ * @returns {Promise<string>} The recording's new hls_status
+ */
+async function packageClaimedRecording(recording) {
+  try {
+    const renditions = await packageRecording(recording);
+
+    if (!(await saveRenditions(recording, renditions))) return 'reclaimed';
+
+    try {
+      await publishToChannel(`user:${recording.creator_id}`, 'recording_playback_ready', {
+        recordingId: recording.id,
+        renditions: renditions.map(r => r.name)
+      });
+    } catch (ablyError) {
+      logger.error('Failed to publish recording_playback_ready:', { recordingId: recording.id, error: ablyError.message });
+    }
+
+    return 'ready';
+  } catch (error) {
+    const result = await pool.query(
+      `UPDATE stream_recordings
+       SET hls_status = CASE WHEN hls_attempts >= $2 THEN 'failed' ELSE 'pending' END,
+           hls_error = $3
+       WHERE id = $1 AND hls_status = 'processing'
+       RETURNING hls_status`,
+      [recording.id, MAX_ATTEMPTS, error.message.slice(0, 1000)]
+    );
+    const status = result.rows[0]?.hls_status || 'reclaimed';
+
+    logger.error('VOD packaging failed:', {
+      recordingId: recording.id,
+      attempt: recording.hls_attempts,
+      status,
+      error: error.message
+    });
+
+    return status;
+  }
+}
+
+/**
+ * Package the next recording in the queue
+ *
+ * @returns {Promise<Object>} { packaged, retried, failed }
+ */
+async function processVodPackaging() {
+  const summary = { packaged: 0, retried: 0, failed: await failAbandonedRecordings() };
+
+  const recording = await claimNextRecording();
+  if (recording) {
+    const status = await packageClaimedRecording(recording);
+    if (status === 'ready') summary.packaged++;
+    else if (status === 'pending') summary.retried++;
+    else if (status === 'failed') summary.failed++;
+  }
+
+  if (summary.packaged > 0 || summary.retried > 0 || summary.failed > 0) {
+    logger.info('VOD packaging processed', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  processVodPackaging,
+  claimNextRecording,
+  packageClaimedRecording
+};
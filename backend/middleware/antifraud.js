@@ -30,42 +30,66 @@ const tipRateLimiter = rateLimit({
   keyGenerator: (req) => req.user.uid
 });
 
+// Amounts above this are compared against the user's own history
+const LARGE_AMOUNT_THRESHOLD = 10000;
+
+// Transfers to the same counterparty allowed per hour
+const RAPID_TRANSFER_MAX_COUNT = 20;
+const RAPID_TRANSFER_MAX_TOKENS = 50000;
+
+/**
+ * Log a fraud alert for review
+ */
+const recordFraudAlert = async (userId, alertType, details) => {
+  await pool.query(`
+    INSERT INTO fraud_alerts (user_id, alert_type, details, created_at)
+    VALUES ($1, $2, $3, NOW())
+  `, [userId, alertType, JSON.stringify(details)]);
+};
+
+/**
+ * Flag large amounts far outside a user's history for a transaction type
+ * (over 10x their average and 2x their largest)
+ *
+ * @returns {Promise<{ suspicious: boolean, average: number, max: number }>}
+ */
+const checkAmountAnomaly = async (userId, type, amount) => {
+  if (amount <= LARGE_AMOUNT_THRESHOLD) {
+    return { suspicious: false, average: 0, max: 0 };
+  }
+
+  const userHistory = await pool.query(`
+    SELECT AVG(ABS(tokens)) as avg_amount, MAX(ABS(tokens)) as max_amount
+    FROM token_transactions 
+    WHERE user_id = $1 AND type = $2
+  `, [userId, type]);
+
+  const average = parseFloat(userHistory.rows[0]?.avg_amount) || 0;
+  const max = parseInt(userHistory.rows[0]?.max_amount) || 0;
+
+  return { suspicious: amount > average * 10 && amount > max * 2, average, max };
+};
+
 // Fraud detection middleware
 const fraudDetection = async (req, res, next) => {
   try {
     const { tokenAmount } = req.body;
     
     // Check for suspiciously large amounts
-    if (tokenAmount > 10000) {
-      const userHistory = await pool.query(`
-        SELECT AVG(tokens) as avg_tip, MAX(tokens) as max_tip
-        FROM token_transactions 
-        WHERE user_id = $1 AND type = 'tip'
-      `, [req.user.uid]);
+    if (tokenAmount > LARGE_AMOUNT_THRESHOLD) {
+      const { suspicious, average: avgTip, max: maxTip } = await checkAmountAnomaly(req.user.uid, 'tip', tokenAmount);
       
-      if (userHistory.rows.length > 0) {
-        const avgTip = parseFloat(userHistory.rows[0].avg_tip) || 0;
-        const maxTip = parseInt(userHistory.rows[0].max_tip) || 0;
+      if (suspicious) {
+        console.warn(`🚨 Suspicious tip amount: ${tokenAmount} tokens from user ${req.user.uid}`);
+        
+        // Add to fraud log
+        await recordFraudAlert(req.user.uid, 'suspicious_tip', { amount: tokenAmount, avgTip, maxTip });
         
-        if (tokenAmount > avgTip * 10 && tokenAmount > maxTip * 2) {
-          console.warn(`🚨 Suspicious tip amount: ${tokenAmount} tokens from user ${req.user.uid}`);
-          
-          // Add to fraud log
-          await pool.query(`
-            INSERT INTO fraud_alerts (user_id, alert_type, details, created_at)
-            VALUES ($1, $2, $3, NOW())
-          `, [
-            req.user.uid, 
-            'suspicious_tip', 
-            JSON.stringify({ amount: tokenAmount, avgTip, maxTip })
-          ]);
-          
-          return res.status(429).json({
-            error: 'This tip amount requires additional verification',
-            requiresVerification: true,
-            timestamp: new Date().toISOString()
-          });
-        }
+        return res.status(429).json({
+          error: 'This tip amount requires additional verification',
+          requiresVerification: true,
+          timestamp: new Date().toISOString()
+        });
       }
     }
     
@@ -86,7 +110,7 @@ const fraudDetection = async (req, res, next) => {
       const tipCount = parseInt(recentTipsToCreator.rows[0].tip_count);
       const totalTokens = parseInt(recentTipsToCreator.rows[0].total_tokens);
       
-      if (tipCount > 20 || totalTokens > 50000) {
+      if (tipCount > RAPID_TRANSFER_MAX_COUNT || totalTokens > RAPID_TRANSFER_MAX_TOKENS) {
         console.warn(`🚨 Excessive tipping detected: ${tipCount} tips, ${totalTokens} tokens from user ${req.user.uid}`);
         
         return res.status(429).json({
@@ -104,4 +128,12 @@ const fraudDetection = async (req, res, next) => {
   }
 };
 
-module.exports = { tipRateLimiter, fraudDetection };
\ No newline at end of file
+module.exports = {
+  LARGE_AMOUNT_THRESHOLD,
+  RAPID_TRANSFER_MAX_COUNT,
+  RAPID_TRANSFER_MAX_TOKENS,
+  tipRateLimiter,
+  fraudDetection,
+  recordFraudAlert,
+  checkAmountAnomaly
+};
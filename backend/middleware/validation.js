@@ -88,6 +88,7 @@ const validateSessionInvite = [
   body('sessionType').optional().isIn(['instant', 'scheduled']).withMessage('Invalid session type'),
   body('fanId').optional().isUUID().withMessage('Invalid fan ID'),
   body('duration').optional().isInt({ min: 1 }).withMessage('Invalid duration'),
+  body('intakeFormId').optional({ nullable: true }).isUUID().withMessage('Invalid intake form ID'),
   handleValidationErrors
 ];
 
@@ -0,0 +1,90 @@
+-- Migration: Scheduled Direct Messages
+--
+-- Persisted queue behind ScheduledMessageModal. Creators schedule a DM for a
+-- future time; the scheduled-messages cron job claims due rows and delivers
+-- them through the same path as POST /api/messages/send.
+
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sender_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  recipient_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+
+  -- Message payload (mirrors POST /messages/send)
+  content TEXT,
+  media_url TEXT,
+  media_type VARCHAR(50),
+  message_type VARCHAR(50) NOT NULL DEFAULT 'text',
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_premium BOOLEAN NOT NULL DEFAULT FALSE,
+  unlock_price INTEGER NOT NULL DEFAULT 0 CHECK (unlock_price >= 0),
+
+  -- Scheduling
+  scheduled_at TIMESTAMPTZ NOT NULL,
+  repeat_interval TEXT NOT NULL DEFAULT 'none'
+    CHECK (repeat_interval IN ('none', 'daily', 'weekly', 'monthly')),
+  -- Day of month monthly repeats aim for; NULL means the day of scheduled_at
+  anchor_day SMALLINT CHECK (anchor_day BETWEEN 1 AND 31),
+
+  -- Delivery state
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'sent', 'cancelled', 'failed', 'blocked')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ, -- Retry time after a transient failure
+  last_error TEXT,
+  sent_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  sent_at TIMESTAMPTZ,
+  series_id UUID, -- Shared by every occurrence of a repeating message
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT scheduled_messages_has_body CHECK (content IS NOT NULL OR media_url IS NOT NULL),
+  CONSTRAINT scheduled_messages_no_self CHECK (sender_id != recipient_id)
+);
+
+-- Messages delivered from the queue are keyed on their scheduled row, so a
+-- reclaimed stale claim finds the message already sent instead of sending
+-- and charging again
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS scheduled_message_id UUID UNIQUE;
+
+-- Worker lookup: due pending rows, oldest first
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due
+  ON scheduled_messages((COALESCE(next_attempt_at, scheduled_at)))
+  WHERE status = 'pending';
+
+-- Stale claims (worker crashed mid-batch)
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_processing
+  ON scheduled_messages(updated_at)
+  WHERE status = 'processing';
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_sender
+  ON scheduled_messages(sender_id, scheduled_at DESC);
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_scheduled_messages_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_scheduled_messages_updated_at ON scheduled_messages;
+
+CREATE TRIGGER trigger_scheduled_messages_updated_at
+  BEFORE UPDATE ON scheduled_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_scheduled_messages_updated_at();
+
+-- RLS: senders manage their own queue; the backend uses the service role
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS scheduled_messages_own ON scheduled_messages;
+CREATE POLICY scheduled_messages_own ON scheduled_messages
+  FOR ALL USING (sender_id = auth.uid()) WITH CHECK (sender_id = auth.uid());
+
+COMMENT ON TABLE scheduled_messages IS
+  'Queue of direct messages scheduled for future delivery (ScheduledMessageModal).';
+
+COMMENT ON COLUMN scheduled_messages.status IS
+  'pending: waiting, processing: claimed by worker, sent: delivered, cancelled: by sender, failed: delivery error after retries, blocked: recipient blocked sender before delivery';
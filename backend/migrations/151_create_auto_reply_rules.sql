@@ -0,0 +1,98 @@
+-- Migration: Creator Auto-Reply Rules
+--
+-- Server-side auto-replies behind AutoReplySettings. Rules are evaluated when
+-- a fan message lands in POST /api/messages/send (see utils/auto-replies.js).
+--
+-- Rule types:
+--   welcome      - first message a fan ever sends the creator
+--   keyword      - fan message contains one of the keywords
+--   office_hours - fan message arrives outside the configured windows
+--   away         - creator is away; replies to any fan message
+
+CREATE TABLE IF NOT EXISTS auto_reply_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  rule_type TEXT NOT NULL CHECK (rule_type IN ('welcome', 'keyword', 'office_hours', 'away')),
+  name VARCHAR(100),
+  is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  message TEXT NOT NULL CHECK (char_length(message) BETWEEN 1 AND 500),
+
+  -- keyword rules
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+
+  -- office_hours rules: { "timezone": "America/New_York",
+  --   "windows": [{ "days": [1,2,3,4,5], "start": "09:00", "end": "17:00" }] }
+  schedule JSONB,
+
+  -- Optional PPV offer attached to the reply
+  ppv_media_url TEXT,
+  ppv_media_type VARCHAR(50),
+  ppv_price INTEGER CHECK (ppv_price IS NULL OR ppv_price >= 1),
+
+  -- A fan receives a given rule at most once per cooldown window
+  cooldown_hours INTEGER NOT NULL DEFAULT 24 CHECK (cooldown_hours BETWEEN 1 AND 8760),
+  priority INTEGER NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT auto_reply_keyword_has_keywords
+    CHECK (rule_type != 'keyword' OR cardinality(keywords) > 0),
+  CONSTRAINT auto_reply_office_hours_has_schedule
+    CHECK (rule_type != 'office_hours' OR schedule IS NOT NULL),
+  CONSTRAINT auto_reply_ppv_complete
+    CHECK ((ppv_media_url IS NULL) = (ppv_price IS NULL))
+);
+
+-- One welcome and one away rule per creator
+CREATE UNIQUE INDEX IF NOT EXISTS uq_auto_reply_rules_singleton
+  ON auto_reply_rules(creator_id, rule_type)
+  WHERE rule_type IN ('welcome', 'away');
+
+CREATE INDEX IF NOT EXISTS idx_auto_reply_rules_creator_enabled
+  ON auto_reply_rules(creator_id)
+  WHERE is_enabled = TRUE;
+
+-- Delivery log used for per-fan rate limiting and stats
+CREATE TABLE IF NOT EXISTS auto_reply_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id UUID NOT NULL REFERENCES auto_reply_rules(id) ON DELETE CASCADE,
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  fan_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  trigger_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  reply_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auto_reply_deliveries_rule_fan
+  ON auto_reply_deliveries(rule_id, fan_id, sent_at DESC);
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_auto_reply_rules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_auto_reply_rules_updated_at ON auto_reply_rules;
+
+CREATE TRIGGER trigger_auto_reply_rules_updated_at
+  BEFORE UPDATE ON auto_reply_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_auto_reply_rules_updated_at();
+
+ALTER TABLE auto_reply_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auto_reply_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS auto_reply_rules_own ON auto_reply_rules;
+CREATE POLICY auto_reply_rules_own ON auto_reply_rules
+  FOR ALL USING (creator_id = auth.uid()) WITH CHECK (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS auto_reply_deliveries_own ON auto_reply_deliveries;
+CREATE POLICY auto_reply_deliveries_own ON auto_reply_deliveries
+  FOR SELECT USING (creator_id = auth.uid());
+
+COMMENT ON TABLE auto_reply_rules IS
+  'Creator auto-reply rules evaluated on incoming fan DMs (AutoReplySettings).';
@@ -0,0 +1,97 @@
+-- Migration: Creator Message Templates
+--
+-- Server-side storage for MessageTemplatesModal. Templates may contain
+-- placeholders that are rendered per recipient at send time
+-- (see utils/message-templates.js):
+--   {{fan_name}}      - recipient display name (falls back to username)
+--   {{tier}}          - recipient's active membership tier with the creator
+--   {{last_purchase}} - recipient's most recent purchase from the creator
+--
+-- Every rendered send is logged in message_template_sends so templates can
+-- report sent count, reply rate and PPV unlock rate.
+--
+-- Also adds the missing unlock path for pay-to-unlock rows in messages
+-- (unlock_price > 0), which the unlock rate is measured against.
+
+CREATE TABLE IF NOT EXISTS message_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  title VARCHAR(100) NOT NULL CHECK (char_length(title) >= 1),
+  content TEXT NOT NULL CHECK (char_length(content) BETWEEN 1 AND 2000),
+  category TEXT NOT NULL DEFAULT 'general'
+    CHECK (category IN ('general', 'greeting', 'announcement', 'promotion', 'faq', 'schedule', 'custom')),
+  tags TEXT[] NOT NULL DEFAULT '{}',
+
+  -- Optional PPV offer attached to every send of the template
+  media_url TEXT,
+  media_type VARCHAR(50),
+  unlock_price INTEGER NOT NULL DEFAULT 0 CHECK (unlock_price >= 0),
+
+  is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT message_templates_ppv_has_media
+    CHECK (unlock_price = 0 OR media_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_templates_creator
+  ON message_templates(creator_id, updated_at DESC)
+  WHERE is_archived = FALSE;
+
+-- One row per rendered message, used for usage stats
+CREATE TABLE IF NOT EXISTS message_template_sends (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_id UUID NOT NULL REFERENCES message_templates(id) ON DELETE CASCADE,
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  recipient_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  source TEXT NOT NULL DEFAULT 'direct' CHECK (source IN ('direct', 'mass', 'broadcast')),
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_template_sends_template
+  ON message_template_sends(template_id, sent_at DESC);
+
+-- Reply-rate lookups: fan -> creator messages after the send
+CREATE INDEX IF NOT EXISTS idx_messages_sender_recipient_created
+  ON messages(sender_id, recipient_id, created_at);
+
+-- Pay-to-unlock direct messages
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS unlocked_at TIMESTAMPTZ;
+
+-- Messages are unlocked only by POST /api/v1/messages/:messageId/unlock, which
+-- charges through the shared token helpers (row locks, fee policy, ledger
+-- journal). Drop the plpgsql unlock so nothing can bypass them
+DROP FUNCTION IF EXISTS unlock_direct_message(UUID, UUID);
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_message_templates_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_message_templates_updated_at ON message_templates;
+
+CREATE TRIGGER trigger_message_templates_updated_at
+  BEFORE UPDATE ON message_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_message_templates_updated_at();
+
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_template_sends ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS message_templates_own ON message_templates;
+CREATE POLICY message_templates_own ON message_templates
+  FOR ALL USING (creator_id = auth.uid()) WITH CHECK (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS message_template_sends_own ON message_template_sends;
+CREATE POLICY message_template_sends_own ON message_template_sends
+  FOR SELECT USING (creator_id = auth.uid());
+
+COMMENT ON TABLE message_templates IS
+  'Reusable creator message templates with per-recipient placeholders (MessageTemplatesModal).';
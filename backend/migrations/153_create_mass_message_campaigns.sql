@@ -0,0 +1,102 @@
+-- Migration: Segmented Mass Messaging
+--
+-- Backend for MassMessageModal / BroadcastMessageModal. A campaign snapshots
+-- its audience into mass_message_recipients when it is created; the
+-- mass-message cron worker (jobs/mass-message-campaigns.js) then delivers the
+-- queue in batches through the regular messages table.
+--
+-- Audience filters (mass_message_campaigns.audience):
+--   { "membership_tier_ids": [uuid], "gifter_tiers": ["Knight"],
+--     "loyalty_levels": ["gold"], "last_active_after": "2026-01-01",
+--     "last_active_before": "2026-03-01", "min_spend": 100, "max_spend": 5000 }
+--
+-- The delivery report (queued/sent/failed/read/unlocked) is derived from the
+-- recipient rows joined with the delivered messages.
+
+CREATE TABLE IF NOT EXISTS mass_message_campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  template_id UUID REFERENCES message_templates(id) ON DELETE SET NULL,
+
+  -- Message snapshot; placeholders are rendered per recipient at send time
+  content TEXT NOT NULL CHECK (char_length(content) BETWEEN 1 AND 2000),
+  media_url TEXT,
+  media_type VARCHAR(50),
+  unlock_price INTEGER NOT NULL DEFAULT 0 CHECK (unlock_price >= 0),
+
+  audience JSONB NOT NULL DEFAULT '{}',
+  total_recipients INTEGER NOT NULL DEFAULT 0,
+
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'sending', 'completed', 'cancelled')),
+
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT mass_message_ppv_has_media
+    CHECK (unlock_price = 0 OR media_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mass_message_campaigns_creator
+  ON mass_message_campaigns(creator_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS mass_message_recipients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES mass_message_campaigns(id) ON DELETE CASCADE,
+  recipient_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+
+  -- skipped: fan blocked/opted out between queueing and delivery
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'processing', 'sent', 'failed', 'skipped', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  claimed_at TIMESTAMPTZ,
+  processed_at TIMESTAMPTZ,
+
+  UNIQUE (campaign_id, recipient_id)
+);
+
+-- Worker queue scan
+CREATE INDEX IF NOT EXISTS idx_mass_message_recipients_pending
+  ON mass_message_recipients(campaign_id, claimed_at)
+  WHERE status IN ('queued', 'processing');
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_mass_message_campaigns_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_mass_message_campaigns_updated_at ON mass_message_campaigns;
+
+CREATE TRIGGER trigger_mass_message_campaigns_updated_at
+  BEFORE UPDATE ON mass_message_campaigns
+  FOR EACH ROW
+  EXECUTE FUNCTION update_mass_message_campaigns_updated_at();
+
+ALTER TABLE mass_message_campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mass_message_recipients ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS mass_message_campaigns_own ON mass_message_campaigns;
+CREATE POLICY mass_message_campaigns_own ON mass_message_campaigns
+  FOR SELECT USING (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS mass_message_recipients_own ON mass_message_recipients;
+CREATE POLICY mass_message_recipients_own ON mass_message_recipients
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM mass_message_campaigns c
+      WHERE c.id = campaign_id AND c.creator_id = auth.uid()
+    )
+  );
+
+COMMENT ON TABLE mass_message_campaigns IS
+  'Segmented creator mass messages (MassMessageModal) delivered in batches by the mass-messages cron.';
+COMMENT ON TABLE mass_message_recipients IS
+  'Per-fan delivery queue and report rows for mass_message_campaigns.';
@@ -0,0 +1,13 @@
+-- Migration: Message Full-Text Search
+--
+-- Backs GET /api/messages/search (MessageSearch). An expression index rather
+-- than a stored tsvector column keeps SELECT * payloads of messages unchanged;
+-- queries must use the exact same expression to hit it:
+--   to_tsvector('english', COALESCE(content, ''))
+
+CREATE INDEX IF NOT EXISTS idx_messages_content_search
+  ON messages USING GIN (to_tsvector('english', COALESCE(content, '')))
+  WHERE is_deleted = FALSE;
+
+COMMENT ON INDEX idx_messages_content_search IS
+  'English full-text index of messages.content, used by GET /api/messages/search.';
@@ -0,0 +1,129 @@
+-- Migration: Client Intake Forms
+--
+-- Creator-defined intake forms (IntakeFormsManager / ClientIntakeForm) that
+-- fans fill in before a session, class or offer is confirmed.
+--
+-- Field definitions are versioned: editing a form that already has responses
+-- creates a new row in intake_form_versions, so every response is shown
+-- against the exact fields the fan answered (see utils/intake-forms.js for the
+-- field schema and conditional-field rules).
+--
+-- Forms are attached to:
+--   session_type - target_id 'video' or 'voice' (creator session invites)
+--   class        - target_id classes.id
+--   offer        - target_id creator_offers.id
+
+CREATE TABLE IF NOT EXISTS intake_forms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  title VARCHAR(150) NOT NULL CHECK (char_length(title) >= 1),
+  description TEXT,
+  current_version INTEGER NOT NULL DEFAULT 1 CHECK (current_version >= 1),
+  is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_forms_creator
+  ON intake_forms(creator_id, updated_at DESC)
+  WHERE is_archived = FALSE;
+
+CREATE TABLE IF NOT EXISTS intake_form_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  form_id UUID NOT NULL REFERENCES intake_forms(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version >= 1),
+  fields JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(fields) = 'array'),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (form_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS intake_form_attachments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  form_id UUID NOT NULL REFERENCES intake_forms(id) ON DELETE CASCADE,
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  target_type TEXT NOT NULL CHECK (target_type IN ('session_type', 'class', 'offer')),
+  target_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- One form per session type / class / offer
+  UNIQUE (creator_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_form_attachments_form
+  ON intake_form_attachments(form_id);
+
+CREATE TABLE IF NOT EXISTS intake_form_responses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  form_id UUID NOT NULL REFERENCES intake_forms(id) ON DELETE CASCADE,
+  form_version_id UUID NOT NULL REFERENCES intake_form_versions(id) ON DELETE CASCADE,
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  fan_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  -- What the response gates: a session invite, a class enrollment or an offer purchase
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('session_invite', 'class', 'offer')),
+  subject_id TEXT NOT NULL,
+  answers JSONB NOT NULL DEFAULT '{}' CHECK (jsonb_typeof(answers) = 'object'),
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (subject_type, subject_id, fan_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_intake_form_responses_form
+  ON intake_form_responses(form_id, submitted_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_intake_form_responses_version
+  ON intake_form_responses(form_version_id);
+
+-- The form a creator picked when sending a session invite with
+-- request_intake_form = true
+ALTER TABLE session_invites
+  ADD COLUMN IF NOT EXISTS intake_form_id UUID REFERENCES intake_forms(id) ON DELETE SET NULL;
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_intake_forms_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_intake_forms_updated_at ON intake_forms;
+
+CREATE TRIGGER trigger_intake_forms_updated_at
+  BEFORE UPDATE ON intake_forms
+  FOR EACH ROW
+  EXECUTE FUNCTION update_intake_forms_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_intake_form_responses_updated_at ON intake_form_responses;
+
+CREATE TRIGGER trigger_intake_form_responses_updated_at
+  BEFORE UPDATE ON intake_form_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_intake_forms_updated_at();
+
+ALTER TABLE intake_forms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE intake_form_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE intake_form_attachments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE intake_form_responses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS intake_forms_own ON intake_forms;
+CREATE POLICY intake_forms_own ON intake_forms
+  FOR ALL USING (creator_id = auth.uid()) WITH CHECK (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS intake_form_versions_own ON intake_form_versions;
+CREATE POLICY intake_form_versions_own ON intake_form_versions
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM intake_forms f WHERE f.id = form_id AND f.creator_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS intake_form_attachments_own ON intake_form_attachments;
+CREATE POLICY intake_form_attachments_own ON intake_form_attachments
+  FOR ALL USING (creator_id = auth.uid()) WITH CHECK (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS intake_form_responses_participants ON intake_form_responses;
+CREATE POLICY intake_form_responses_participants ON intake_form_responses
+  FOR SELECT USING (creator_id = auth.uid() OR fan_id = auth.uid());
+
+COMMENT ON TABLE intake_forms IS
+  'Creator intake form definitions; fields live in intake_form_versions.';
+COMMENT ON TABLE intake_form_responses IS
+  'Fan answers collected before a session invite, class enrollment or offer purchase is confirmed.';
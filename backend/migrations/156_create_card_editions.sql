@@ -0,0 +1,101 @@
+-- Migration: Collectible Card Editions
+--
+-- Creators mint limited card editions (CollectibleCardsMarketplace). Each
+-- purchase mints the next serial of the edition into the existing `cards`
+-- inventory table (migration 109), so profile card stats keep working.
+--
+-- Overselling is prevented by claiming serials with a conditional
+-- UPDATE ... SET minted_count = minted_count + 1 WHERE minted_count < supply_cap
+-- inside the purchase transaction (see utils/collectible-cards.js).
+--
+-- Editions can grant perks to holders:
+--   call_discount          - config { "percent": 1-50 } off the creator's per-minute call rate
+--   private_stream_access  - config { "stream_id": uuid | null } join the creator's private
+--                            streams (all of them when stream_id is null)
+
+CREATE TABLE IF NOT EXISTS card_editions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  title VARCHAR(100) NOT NULL CHECK (char_length(title) >= 1),
+  description TEXT,
+  image_url TEXT,
+  category VARCHAR(50),
+  rarity VARCHAR(20) NOT NULL DEFAULT 'common'
+    CHECK (rarity IN ('common', 'rare', 'epic', 'legendary')),
+  supply_cap INTEGER NOT NULL CHECK (supply_cap BETWEEN 1 AND 100000),
+  minted_count INTEGER NOT NULL DEFAULT 0,
+  price_tokens INTEGER NOT NULL CHECK (price_tokens > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'paused', 'retired')),
+  sale_ends_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT card_editions_supply CHECK (minted_count BETWEEN 0 AND supply_cap)
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_editions_creator
+  ON card_editions(creator_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_card_editions_available
+  ON card_editions(created_at DESC)
+  WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS card_edition_perks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  edition_id UUID NOT NULL REFERENCES card_editions(id) ON DELETE CASCADE,
+  perk_type VARCHAR(30) NOT NULL
+    CHECK (perk_type IN ('call_discount', 'private_stream_access')),
+  config JSONB NOT NULL DEFAULT '{}',
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_edition_perks_edition
+  ON card_edition_perks(edition_id);
+
+-- Link minted cards to their edition
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS edition_id UUID REFERENCES card_editions(id) ON DELETE SET NULL;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS purchase_price INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_edition_serial
+  ON cards(edition_id, card_number)
+  WHERE edition_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_cards_owner_creator
+  ON cards(user_id, creator_id);
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_card_editions_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_card_editions_updated_at ON card_editions;
+
+CREATE TRIGGER trigger_card_editions_updated_at
+  BEFORE UPDATE ON card_editions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_card_editions_updated_at();
+
+ALTER TABLE card_editions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE card_edition_perks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS card_editions_read ON card_editions;
+CREATE POLICY card_editions_read ON card_editions
+  FOR SELECT USING (status = 'active' OR creator_id = auth.uid());
+
+DROP POLICY IF EXISTS card_editions_own ON card_editions;
+CREATE POLICY card_editions_own ON card_editions
+  FOR ALL USING (creator_id = auth.uid()) WITH CHECK (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS card_edition_perks_read ON card_edition_perks;
+CREATE POLICY card_edition_perks_read ON card_edition_perks
+  FOR SELECT USING (TRUE);
+
+COMMENT ON TABLE card_editions IS
+  'Limited collectible card editions minted by creators; serials are minted into cards on purchase.';
+COMMENT ON TABLE card_edition_perks IS
+  'Perks granted to holders of a card edition (call discounts, private stream access).';
@@ -0,0 +1,116 @@
+-- Migration: Card Resale Market
+--
+-- Fans list owned cards for resale and place bids per card edition. Each
+-- edition has an order book: asks are active card_listings, bids are open
+-- card_bids. Bid tokens are escrowed out of token_balances when the bid is
+-- placed and refunded when it is cancelled or filled below its price.
+--
+-- Every resale pays the edition creator a royalty (card_editions.royalty_percent,
+-- 0-25%, rounded down) and the seller the rest. Settled trades are recorded in
+-- the existing card_trades table (migration 109), which feeds price history.
+--
+-- Matching and settlement live in utils/card-market.js.
+
+ALTER TABLE card_editions ADD COLUMN IF NOT EXISTS royalty_percent INTEGER NOT NULL DEFAULT 5;
+
+ALTER TABLE card_editions DROP CONSTRAINT IF EXISTS card_editions_royalty;
+ALTER TABLE card_editions ADD CONSTRAINT card_editions_royalty
+  CHECK (royalty_percent BETWEEN 0 AND 25);
+
+CREATE TABLE IF NOT EXISTS card_listings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  edition_id UUID NOT NULL REFERENCES card_editions(id) ON DELETE CASCADE,
+  seller_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  price_tokens INTEGER NOT NULL CHECK (price_tokens > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'sold', 'cancelled')),
+  buyer_id UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  sold_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A card can only be listed once at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_card_listings_active_card
+  ON card_listings(card_id)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_card_listings_book
+  ON card_listings(edition_id, price_tokens, created_at)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_card_listings_seller
+  ON card_listings(seller_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS card_bids (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  edition_id UUID NOT NULL REFERENCES card_editions(id) ON DELETE CASCADE,
+  bidder_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  price_tokens INTEGER NOT NULL CHECK (price_tokens > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'filled', 'cancelled')),
+  card_id UUID REFERENCES cards(id) ON DELETE SET NULL,
+  filled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_bids_book
+  ON card_bids(edition_id, price_tokens DESC, created_at)
+  WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_card_bids_bidder
+  ON card_bids(bidder_id, created_at DESC);
+
+-- Link settled resales to the edition and the order that filled them
+ALTER TABLE card_trades ADD COLUMN IF NOT EXISTS edition_id UUID REFERENCES card_editions(id) ON DELETE CASCADE;
+ALTER TABLE card_trades ADD COLUMN IF NOT EXISTS royalty_tokens INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE card_trades ADD COLUMN IF NOT EXISTS listing_id UUID REFERENCES card_listings(id) ON DELETE SET NULL;
+ALTER TABLE card_trades ADD COLUMN IF NOT EXISTS bid_id UUID REFERENCES card_bids(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_card_trades_edition_time
+  ON card_trades(edition_id, traded_at DESC)
+  WHERE status = 'completed';
+
+CREATE INDEX IF NOT EXISTS idx_card_trades_pair
+  ON card_trades(from_user_id, to_user_id, traded_at DESC);
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_card_market_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_card_listings_updated_at ON card_listings;
+CREATE TRIGGER trigger_card_listings_updated_at
+  BEFORE UPDATE ON card_listings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_card_market_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_card_bids_updated_at ON card_bids;
+CREATE TRIGGER trigger_card_bids_updated_at
+  BEFORE UPDATE ON card_bids
+  FOR EACH ROW
+  EXECUTE FUNCTION update_card_market_updated_at();
+
+ALTER TABLE card_listings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE card_bids ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS card_listings_read ON card_listings;
+CREATE POLICY card_listings_read ON card_listings
+  FOR SELECT USING (status = 'active' OR seller_id = auth.uid() OR buyer_id = auth.uid());
+
+DROP POLICY IF EXISTS card_bids_read ON card_bids;
+CREATE POLICY card_bids_read ON card_bids
+  FOR SELECT USING (status = 'open' OR bidder_id = auth.uid());
+
+COMMENT ON TABLE card_listings IS
+  'Resale asks for owned cards; at most one active listing per card.';
+COMMENT ON TABLE card_bids IS
+  'Resale bids per card edition; price_tokens is held in escrow while the bid is open.';
+COMMENT ON COLUMN card_editions.royalty_percent IS
+  'Share of each resale paid to the creator (0-25%, rounded down to whole tokens).';
@@ -0,0 +1,110 @@
+-- Migration: Recurring Class Series
+--
+-- Replaces the copy-N-times POST /classes/recurring with RFC 5545 recurrence.
+-- A class_series holds the RRULE (FREQ, INTERVAL, COUNT/UNTIL, BYDAY,
+-- BYMONTHDAY), the timezone it repeats in, EXDATEs and the class template.
+-- Occurrences are still materialized as rows in `classes`, so enrollment,
+-- attendance payments, streams and calendar sync keep working per class.
+--
+-- classes.occurrence_start is the RRULE instance a row was generated for
+-- (the iCalendar RECURRENCE-ID); it stays fixed when a single occurrence is
+-- moved, which sets is_exception.
+--
+-- Skipped occurrences keep their row and participants (skipped_at is set and
+-- the start is added to exdates), so existing enrollments are never deleted.
+--
+-- Fans can enroll in a whole series at bundle_price tokens. Series enrollment
+-- creates class_participants rows for every upcoming occurrence, linked by
+-- series_enrollment_id, and those are not charged again on attendance.
+
+CREATE TABLE IF NOT EXISTS class_series (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Set when a "this and following" edit splits a series
+  parent_series_id UUID REFERENCES class_series(id) ON DELETE SET NULL,
+  rrule TEXT NOT NULL,
+  dtstart TIMESTAMPTZ NOT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  exdates TIMESTAMPTZ[] NOT NULL DEFAULT '{}',
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  category VARCHAR(50) NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 60 CHECK (duration_minutes BETWEEN 5 AND 600),
+  max_participants INTEGER NOT NULL DEFAULT 20 CHECK (max_participants > 0),
+  token_price DECIMAL(10, 2) NOT NULL DEFAULT 15,
+  tags JSONB DEFAULT '[]',
+  requirements TEXT,
+  what_to_expect TEXT,
+  cover_image_url TEXT,
+  bundle_price INTEGER CHECK (bundle_price IS NULL OR bundle_price > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'ended')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_series_creator
+  ON class_series(creator_id, created_at DESC);
+
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES class_series(id) ON DELETE SET NULL;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMPTZ;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS is_exception BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE classes ADD COLUMN IF NOT EXISTS skipped_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_classes_series
+  ON classes(series_id, occurrence_start)
+  WHERE series_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS class_series_enrollments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  series_id UUID NOT NULL REFERENCES class_series(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  price_paid INTEGER NOT NULL CHECK (price_paid >= 0),
+  -- Occurrences covered at purchase; a skipped one refunds price_paid / occurrence_count
+  occurrence_count INTEGER NOT NULL CHECK (occurrence_count > 0),
+  -- Platform fee taken from price_paid; a skip refunds its share from platform revenue
+  platform_fee_tokens INTEGER NOT NULL DEFAULT 0 CHECK (platform_fee_tokens >= 0),
+  refunded_tokens INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(series_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_series_enrollments_user
+  ON class_series_enrollments(user_id);
+
+ALTER TABLE class_participants ADD COLUMN IF NOT EXISTS series_enrollment_id UUID
+  REFERENCES class_series_enrollments(id) ON DELETE SET NULL;
+
+-- updated_at trigger
+CREATE OR REPLACE FUNCTION update_class_series_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_class_series_updated_at ON class_series;
+
+CREATE TRIGGER trigger_class_series_updated_at
+  BEFORE UPDATE ON class_series
+  FOR EACH ROW
+  EXECUTE FUNCTION update_class_series_updated_at();
+
+ALTER TABLE class_series ENABLE ROW LEVEL SECURITY;
+ALTER TABLE class_series_enrollments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS class_series_read ON class_series;
+CREATE POLICY class_series_read ON class_series
+  FOR SELECT USING (TRUE);
+
+DROP POLICY IF EXISTS class_series_enrollments_own ON class_series_enrollments;
+CREATE POLICY class_series_enrollments_own ON class_series_enrollments
+  FOR SELECT USING (user_id IN (SELECT id FROM users WHERE supabase_id = auth.uid()));
+
+COMMENT ON TABLE class_series IS
+  'Recurring class definitions (RFC 5545 RRULE + EXDATE); occurrences are materialized into classes.';
+COMMENT ON COLUMN classes.occurrence_start IS
+  'RRULE instance this class was generated for (RECURRENCE-ID); unchanged when the class is moved.';
+COMMENT ON TABLE class_series_enrollments IS
+  'Whole-series purchases at the bundle price; linked class_participants are prepaid.';
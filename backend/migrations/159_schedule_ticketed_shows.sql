@@ -0,0 +1,111 @@
+-- Migration: Pre-scheduled Ticketed Shows
+--
+-- Ticketed shows (migration 122) could only be announced during a live
+-- stream. Shows can now be scheduled ahead of time without a stream:
+--
+--   presale_starts_at     tickets go on sale (NULL = immediately)
+--   waiting_room_minutes  ticket holders can enter the waiting room this long
+--                         before start_time
+--   grace_period_minutes  if the show has not started by start_time + grace,
+--                         it is cancelled and every ticket refunded
+--
+-- The show is bound to the creator's stream automatically when they go live
+-- (stream_id stays NULL until then). Ticket revenue is held until the show
+-- starts: show_tickets.settled_at marks tickets whose tokens were released to
+-- the creator, so unstarted shows refund from escrow.
+--
+-- Reminders are recorded as show_announcements ('last_chance' an hour
+-- before start, 'starting_soon' when the waiting room opens); the unique
+-- index below keeps each one to a single send.
+
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS presale_starts_at TIMESTAMPTZ;
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS waiting_room_minutes INTEGER NOT NULL DEFAULT 15;
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS grace_period_minutes INTEGER NOT NULL DEFAULT 30;
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS cancel_reason VARCHAR(30);
+
+ALTER TABLE ticketed_shows DROP CONSTRAINT IF EXISTS ticketed_shows_schedule_windows;
+ALTER TABLE ticketed_shows ADD CONSTRAINT ticketed_shows_schedule_windows CHECK (
+  waiting_room_minutes BETWEEN 0 AND 120
+  AND grace_period_minutes BETWEEN 5 AND 240
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticketed_shows_scheduled
+  ON ticketed_shows(start_time)
+  WHERE status = 'announced' AND start_time IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ticketed_shows_unbound
+  ON ticketed_shows(creator_id, start_time)
+  WHERE status = 'announced' AND stream_id IS NULL;
+
+ALTER TABLE show_tickets ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active';
+ALTER TABLE show_tickets ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+ALTER TABLE show_tickets ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+
+ALTER TABLE show_tickets DROP CONSTRAINT IF EXISTS show_tickets_status_check;
+ALTER TABLE show_tickets ADD CONSTRAINT show_tickets_status_check
+  CHECK (status IN ('active', 'refunded'));
+
+-- Tickets bought before this migration were paid to the creator immediately
+UPDATE show_tickets SET settled_at = purchased_at WHERE settled_at IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_show_announcements_reminders
+  ON show_announcements(show_id, announcement_type)
+  WHERE announcement_type IN ('last_chance', 'starting_soon');
+
+-- Only active tickets count towards stats and the ticket cap
+CREATE OR REPLACE FUNCTION update_show_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_show_id UUID := COALESCE(NEW.show_id, OLD.show_id);
+BEGIN
+  UPDATE ticketed_shows
+  SET
+    total_tickets_sold = (
+      SELECT COUNT(*) FROM show_tickets WHERE show_id = v_show_id AND status = 'active'
+    ),
+    total_revenue = (
+      SELECT COALESCE(SUM(token_price), 0) FROM show_tickets WHERE show_id = v_show_id AND status = 'active'
+    ),
+    updated_at = NOW()
+  WHERE id = v_show_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_show_stats_trigger ON show_tickets;
+CREATE TRIGGER update_show_stats_trigger
+AFTER INSERT OR UPDATE OF status OR DELETE ON show_tickets
+FOR EACH ROW
+EXECUTE FUNCTION update_show_stats();
+
+CREATE OR REPLACE FUNCTION check_ticket_availability(p_show_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_max_tickets INTEGER;
+  v_sold_tickets INTEGER;
+BEGIN
+  SELECT max_tickets INTO v_max_tickets
+  FROM ticketed_shows
+  WHERE id = p_show_id;
+
+  -- If no limit, always available
+  IF v_max_tickets IS NULL THEN
+    RETURN true;
+  END IF;
+
+  SELECT COUNT(*) INTO v_sold_tickets
+  FROM show_tickets
+  WHERE show_id = p_show_id AND status = 'active';
+
+  RETURN v_sold_tickets < v_max_tickets;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN ticketed_shows.presale_starts_at IS
+  'When tickets go on sale for a scheduled show; NULL means on sale immediately.';
+COMMENT ON COLUMN ticketed_shows.grace_period_minutes IS
+  'Minutes after start_time before an unstarted show is cancelled and refunded.';
+COMMENT ON COLUMN show_tickets.settled_at IS
+  'When the ticket price was released to the creator; NULL while held until the show starts.';
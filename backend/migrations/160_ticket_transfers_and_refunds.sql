@@ -0,0 +1,60 @@
+-- Migration: Ticket Transfers, Gifting and Refunds
+--
+-- Show tickets were bound to the buyer forever. Fans can now:
+--
+--   gift      buy a ticket for another user (purchase_type 'gift', gifted_by
+--             is the payer)
+--   transfer  hand an unused ticket to another user; the old row is kept as
+--             'transferred' and the recipient gets a new active row
+--   refund    hand a ticket back before the show under the creator's policy
+--
+-- Refund policy (per show):
+--   refund_policy        'none', 'full' or 'partial'
+--   refund_percent       share of the ticket price returned for 'partial'
+--   refund_cutoff_hours  refunds close this long before start_time
+--
+-- A user can hold several inactive rows for a show (e.g. refunded, then
+-- bought again), so the one-ticket-per-viewer rule only applies to active
+-- tickets.
+
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS refund_policy VARCHAR(20) NOT NULL DEFAULT 'none';
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS refund_percent INTEGER NOT NULL DEFAULT 100;
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS refund_cutoff_hours INTEGER NOT NULL DEFAULT 24;
+ALTER TABLE ticketed_shows ADD COLUMN IF NOT EXISTS allow_transfers BOOLEAN NOT NULL DEFAULT true;
+
+ALTER TABLE ticketed_shows DROP CONSTRAINT IF EXISTS ticketed_shows_refund_policy_check;
+ALTER TABLE ticketed_shows ADD CONSTRAINT ticketed_shows_refund_policy_check CHECK (
+  refund_policy IN ('none', 'full', 'partial')
+  AND refund_percent BETWEEN 0 AND 100
+  AND refund_cutoff_hours BETWEEN 0 AND 720
+);
+
+ALTER TABLE show_tickets ADD COLUMN IF NOT EXISTS refund_tokens INTEGER;
+ALTER TABLE show_tickets ADD COLUMN IF NOT EXISTS transferred_from UUID REFERENCES show_tickets(id);
+ALTER TABLE show_tickets ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMPTZ;
+
+ALTER TABLE show_tickets DROP CONSTRAINT IF EXISTS show_tickets_status_check;
+ALTER TABLE show_tickets ADD CONSTRAINT show_tickets_status_check
+  CHECK (status IN ('active', 'refunded', 'transferred'));
+
+ALTER TABLE show_tickets DROP CONSTRAINT IF EXISTS show_tickets_show_id_viewer_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_show_tickets_active_viewer
+  ON show_tickets(show_id, viewer_id)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_show_tickets_transferred_from
+  ON show_tickets(transferred_from)
+  WHERE transferred_from IS NOT NULL;
+
+-- Tickets refunded by cancellation (migration 159) returned the full price
+UPDATE show_tickets SET refund_tokens = token_price
+WHERE status = 'refunded' AND refund_tokens IS NULL;
+
+COMMENT ON COLUMN ticketed_shows.refund_policy IS
+  'Fan refunds before the show: none, full, or partial (refund_percent of the price).';
+COMMENT ON COLUMN ticketed_shows.refund_cutoff_hours IS
+  'Fan refunds close this many hours before start_time.';
+COMMENT ON COLUMN show_tickets.refund_tokens IS
+  'Tokens returned when the ticket was refunded.';
+COMMENT ON COLUMN show_tickets.transferred_from IS
+  'Ticket this one was transferred from; the original row is kept as transferred.';
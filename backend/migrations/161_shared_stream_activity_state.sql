@@ -0,0 +1,30 @@
+-- Migration: Shared Stream Activity State
+--
+-- The stream activity monitor (utils/stream-activity-monitor.js) kept viewer
+-- counts and warning state in process memory, so every backend instance had
+-- its own view. All of it now lives in shared storage: viewer presence in
+-- Redis (utils/redis-counters.js, mirrored to streams.viewer_count) and the
+-- timestamps below in Postgres. Sweeps run under a Postgres advisory lock and
+-- claim warnings and auto-ends with conditional updates, so each happens once
+-- whichever instance or cron invocation gets there first.
+--
+--   creator_keepalive_at      last "I'm still here" from the creator; resets the
+--                             inactivity clock like a fan interaction
+--   auto_end_warning_minutes  how long before auto-end the warning is sent
+
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS creator_keepalive_at TIMESTAMP;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS auto_end_warning_minutes INTEGER DEFAULT 5;
+
+ALTER TABLE streams DROP CONSTRAINT IF EXISTS streams_auto_end_windows;
+ALTER TABLE streams ADD CONSTRAINT streams_auto_end_windows CHECK (
+  auto_end_minutes IS NULL OR auto_end_minutes BETWEEN 5 AND 240
+) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_streams_live_auto_end
+  ON streams(id)
+  WHERE status = 'live' AND auto_end_enabled IS DISTINCT FROM false;
+
+COMMENT ON COLUMN streams.creator_keepalive_at IS
+  'Last creator keep-alive; the inactivity clock runs from the later of this and last_fan_interaction_at.';
+COMMENT ON COLUMN streams.auto_end_warning_minutes IS
+  'Minutes before auto-end that the creator is warned.';
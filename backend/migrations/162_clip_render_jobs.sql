@@ -0,0 +1,54 @@
+-- Migration: Clip Render Jobs
+--
+-- POST /streaming/create-clip only recorded the request and, three seconds
+-- later, marked the clip 'completed' with made-up URLs. Clips are now rendered
+-- by jobs/clip-renders.js (cron POST /api/cron/clip-renders), which cuts the
+-- segment out of the recording with ffmpeg and stores an MP4, a JPEG thumbnail
+-- and an animated GIF preview in the private 'stream-clips' storage bucket.
+--
+-- Status lifecycle:
+--   queued      waiting for a renderer
+--   processing  claimed by a renderer (processing_started_at); reclaimed if the
+--               renderer dies mid-job
+--   ready       rendered and playable
+--   failed      gave up after too many attempts (last_error says why)
+--
+-- Stored media is addressed by storage path; the API signs URLs per request.
+
+ALTER TABLE recording_clips ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE recording_clips ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE recording_clips ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE recording_clips ADD COLUMN IF NOT EXISTS clip_path TEXT;
+ALTER TABLE recording_clips ADD COLUMN IF NOT EXISTS thumbnail_path TEXT;
+ALTER TABLE recording_clips ADD COLUMN IF NOT EXISTS preview_path TEXT;
+
+ALTER TABLE recording_clips DROP CONSTRAINT IF EXISTS recording_clips_status_check;
+
+UPDATE recording_clips SET status = 'ready' WHERE status = 'completed';
+-- Clips left 'processing' by the old fake renderer never got any media
+UPDATE recording_clips SET status = 'queued' WHERE status = 'processing';
+
+ALTER TABLE recording_clips ALTER COLUMN status SET DEFAULT 'queued';
+ALTER TABLE recording_clips ADD CONSTRAINT recording_clips_status_check
+  CHECK (status IN ('queued', 'processing', 'ready', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_recording_clips_render_queue
+  ON recording_clips(created_at)
+  WHERE status IN ('queued', 'processing');
+
+-- Private bucket for rendered clips (Supabase only)
+DO $$
+BEGIN
+  IF to_regclass('storage.buckets') IS NOT NULL THEN
+    INSERT INTO storage.buckets (id, name, public)
+    VALUES ('stream-clips', 'stream-clips', false)
+    ON CONFLICT (id) DO NOTHING;
+  END IF;
+END $$;
+
+COMMENT ON COLUMN recording_clips.status IS
+  'Render status: queued, processing, ready or failed.';
+COMMENT ON COLUMN recording_clips.attempts IS
+  'Render attempts so far; the clip fails once the renderer gives up.';
+COMMENT ON COLUMN recording_clips.clip_path IS
+  'MP4 path in the stream-clips bucket; thumbnail_path and preview_path sit next to it.';
@@ -0,0 +1,61 @@
+-- Migration: Adaptive HLS Packaging for VOD
+--
+-- Replays were served as the single uploaded file. Every completed recording
+-- is now packaged by jobs/vod-packaging.js into an HLS ladder (one rendition
+-- per row in recording_renditions) stored in the private 'vod-hls' bucket at
+-- <recording_id>/<rendition>/seg_NNNNN.ts.
+--
+-- GET /api/vod/watch/:recordingId checks access and returns a signed master
+-- playlist URL. The media playlists are built from recording_renditions.playlist
+-- with every segment URL signed and expiring; segments redirect to short-lived
+-- storage URLs.
+--
+-- hls_status lifecycle: pending -> processing -> ready | failed
+
+-- Older schemas created stream_recordings without a status; their rows are
+-- saved once the recording has finished
+ALTER TABLE stream_recordings ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'completed';
+
+ALTER TABLE stream_recordings ADD COLUMN IF NOT EXISTS hls_status VARCHAR(20) NOT NULL DEFAULT 'pending';
+ALTER TABLE stream_recordings ADD COLUMN IF NOT EXISTS hls_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE stream_recordings ADD COLUMN IF NOT EXISTS hls_error TEXT;
+ALTER TABLE stream_recordings ADD COLUMN IF NOT EXISTS hls_started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stream_recordings ADD COLUMN IF NOT EXISTS hls_packaged_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE stream_recordings DROP CONSTRAINT IF EXISTS stream_recordings_hls_status_check;
+ALTER TABLE stream_recordings ADD CONSTRAINT stream_recordings_hls_status_check
+  CHECK (hls_status IN ('pending', 'processing', 'ready', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_stream_recordings_hls_queue
+  ON stream_recordings(created_at)
+  WHERE hls_status IN ('pending', 'processing');
+
+CREATE TABLE IF NOT EXISTS recording_renditions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  recording_id UUID NOT NULL REFERENCES stream_recordings(id) ON DELETE CASCADE,
+  name VARCHAR(20) NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  bandwidth INTEGER NOT NULL,
+  playlist TEXT NOT NULL,
+  segment_count INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(recording_id, name)
+);
+
+-- Private bucket for HLS segments (Supabase only)
+DO $$
+BEGIN
+  IF to_regclass('storage.buckets') IS NOT NULL THEN
+    INSERT INTO storage.buckets (id, name, public)
+    VALUES ('vod-hls', 'vod-hls', false)
+    ON CONFLICT (id) DO NOTHING;
+  END IF;
+END $$;
+
+COMMENT ON COLUMN stream_recordings.hls_status IS
+  'HLS packaging status: pending, processing, ready or failed.';
+COMMENT ON TABLE recording_renditions IS
+  'HLS renditions of a recording; playlist holds the media playlist with unsigned segment names.';
+COMMENT ON COLUMN recording_renditions.bandwidth IS
+  'Peak bits per second, as advertised in the master playlist.';
@@ -0,0 +1,50 @@
+-- Migration: VOD Watch Progress
+--
+-- POST /api/vod/watch/:recordingId only bumped a counter on vod_purchases.
+-- The player now reports progress every few seconds (POST /api/vod/progress/:id)
+-- which feeds:
+--
+--   vod_watch_progress  one row per viewer and recording: resume position,
+--                       furthest point, share of the recording watched and
+--                       whether it was finished (fan dashboard "continue
+--                       watching" and watch history)
+--   vod_watch_minutes   which minutes of a recording each viewer has watched;
+--                       the retention curve in /earnings-analytics-v2/vod-analytics
+--                       is the share of viewers per minute
+
+CREATE TABLE IF NOT EXISTS vod_watch_progress (
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  recording_id UUID NOT NULL REFERENCES stream_recordings(id) ON DELETE CASCADE,
+  last_position_seconds INTEGER NOT NULL DEFAULT 0,
+  max_position_seconds INTEGER NOT NULL DEFAULT 0,
+  watched_seconds INTEGER NOT NULL DEFAULT 0,
+  duration_seconds INTEGER,
+  percent_watched NUMERIC(5,2) NOT NULL DEFAULT 0,
+  completed BOOLEAN NOT NULL DEFAULT false,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, recording_id),
+  CHECK (percent_watched BETWEEN 0 AND 100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vod_watch_progress_continue
+  ON vod_watch_progress(user_id, updated_at DESC)
+  WHERE completed = false;
+
+CREATE INDEX IF NOT EXISTS idx_vod_watch_progress_recording
+  ON vod_watch_progress(recording_id);
+
+CREATE TABLE IF NOT EXISTS vod_watch_minutes (
+  recording_id UUID NOT NULL REFERENCES stream_recordings(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  minute INTEGER NOT NULL CHECK (minute >= 0),
+  PRIMARY KEY (recording_id, user_id, minute)
+);
+
+COMMENT ON COLUMN vod_watch_progress.percent_watched IS
+  'Share of the recording''s minutes the viewer has watched, 0-100.';
+COMMENT ON COLUMN vod_watch_progress.watched_seconds IS
+  'Total playback time reported, including rewatches.';
+COMMENT ON TABLE vod_watch_minutes IS
+  'Minutes of a recording each viewer has watched; source of the retention curve.';
@@ -0,0 +1,81 @@
+-- Migration: Stream Raid Flow
+--
+-- POST /api/streaming/raid only inserted a stream_raids row; no viewer was
+-- moved anywhere. Raids are now a handshake between two live creators:
+--
+--   pending    the raider picked a live target; the target has
+--              RAID_RESPONSE_SECONDS to accept or decline
+--   accepted   countdown running on the raider's stream; at launch_at the
+--              viewers are sent to the target channel
+--   declined / expired / cancelled
+--   completed  analytics finalized RAID_ANALYTICS_MINUTES after launch
+--
+-- Targets can auto-accept raids from creators they follow (or from anyone)
+-- via creator_raid_settings. Viewers that land on the target report it, which
+-- fills stream_raid_viewers; jobs/stream-raids.js snapshots how many of them
+-- are still watching after 5 and 15 minutes and how many followed the target.
+
+ALTER TABLE stream_raids
+  ADD COLUMN IF NOT EXISTS target_stream_id UUID REFERENCES streams(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS auto_accepted BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS countdown_seconds INTEGER NOT NULL DEFAULT 10,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS responded_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS launch_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS viewers_sent INTEGER,
+  ADD COLUMN IF NOT EXISTS viewers_retained_5m INTEGER,
+  ADD COLUMN IF NOT EXISTS viewers_retained_15m INTEGER,
+  ADD COLUMN IF NOT EXISTS follows_gained INTEGER,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+-- Raids recorded before this migration never went anywhere
+UPDATE stream_raids
+SET status = 'completed', completed_at = created_at
+WHERE target_stream_id IS NULL AND status = 'pending';
+
+ALTER TABLE stream_raids DROP CONSTRAINT IF EXISTS stream_raids_status_check;
+ALTER TABLE stream_raids ADD CONSTRAINT stream_raids_status_check
+  CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'cancelled', 'completed'));
+
+ALTER TABLE stream_raids DROP CONSTRAINT IF EXISTS stream_raids_countdown_check;
+ALTER TABLE stream_raids ADD CONSTRAINT stream_raids_countdown_check
+  CHECK (countdown_seconds BETWEEN 5 AND 30);
+
+-- One open raid per outgoing stream
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stream_raids_one_open
+  ON stream_raids(stream_id)
+  WHERE status IN ('pending', 'accepted');
+
+CREATE INDEX IF NOT EXISTS idx_stream_raids_target_creator
+  ON stream_raids(target_creator_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_stream_raids_open
+  ON stream_raids(status, launch_at)
+  WHERE status IN ('pending', 'accepted');
+
+CREATE TABLE IF NOT EXISTS stream_raid_viewers (
+  raid_id UUID NOT NULL REFERENCES stream_raids(id) ON DELETE CASCADE,
+  viewer_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (raid_id, viewer_id)
+);
+
+CREATE TABLE IF NOT EXISTS creator_raid_settings (
+  creator_id UUID PRIMARY KEY REFERENCES users(supabase_id) ON DELETE CASCADE,
+  allow_raids BOOLEAN NOT NULL DEFAULT true,
+  auto_accept VARCHAR(20) NOT NULL DEFAULT 'followed'
+    CHECK (auto_accept IN ('none', 'followed', 'everyone')),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN stream_raids.viewer_count IS
+  'Viewers on the raiding stream when the raid was requested.';
+COMMENT ON COLUMN stream_raids.viewers_sent IS
+  'Viewers on the raiding stream when the countdown started.';
+COMMENT ON COLUMN stream_raids.viewers_retained_5m IS
+  'Raid viewers still watching the target 5 minutes after launch.';
+COMMENT ON COLUMN stream_raids.follows_gained IS
+  'Raid viewers who followed the target creator within 15 minutes of launch.';
+COMMENT ON COLUMN creator_raid_settings.auto_accept IS
+  'none: every raid needs a response; followed: raids from creators the target follows start right away; everyone: all raids start right away.';
@@ -0,0 +1,80 @@
+-- Migration: Stream Chat Rules
+--
+-- Creators define their own chat rules, either as a default for all their
+-- streams (stream_id NULL) or for one stream, which replaces the default.
+-- POST /api/stream-chat/message checks every message against them before it
+-- is inserted (and so before Supabase Realtime broadcasts it):
+--
+--   gates       chat_mode (everyone / followers / subscribers),
+--               min_account_age_hours, slow_mode_seconds
+--   content     blocked_terms, blocked_patterns (RE2 regex), link_policy,
+--               caps_max_percent, emoji_max_count
+--
+-- A content violation takes the action configured for its category in
+-- `actions`: delete (drop the message), timeout, ban, or hold (queue it for
+-- review; approving it posts it). Every violation is recorded in
+-- stream_chat_automod_events, whose 'held' rows are the moderator queue.
+
+CREATE TABLE IF NOT EXISTS stream_chat_rule_sets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  stream_id UUID REFERENCES streams(id) ON DELETE CASCADE,
+  blocked_terms TEXT[] NOT NULL DEFAULT '{}',
+  blocked_patterns TEXT[] NOT NULL DEFAULT '{}',
+  link_policy VARCHAR(20) NOT NULL DEFAULT 'allow'
+    CHECK (link_policy IN ('allow', 'block', 'allowlist')),
+  allowed_domains TEXT[] NOT NULL DEFAULT '{}',
+  slow_mode_seconds INTEGER NOT NULL DEFAULT 0
+    CHECK (slow_mode_seconds BETWEEN 0 AND 600),
+  chat_mode VARCHAR(20) NOT NULL DEFAULT 'everyone'
+    CHECK (chat_mode IN ('everyone', 'followers', 'subscribers')),
+  min_account_age_hours INTEGER NOT NULL DEFAULT 0
+    CHECK (min_account_age_hours >= 0),
+  caps_max_percent INTEGER CHECK (caps_max_percent BETWEEN 1 AND 100),
+  caps_min_length INTEGER NOT NULL DEFAULT 10,
+  emoji_max_count INTEGER CHECK (emoji_max_count >= 0),
+  actions JSONB NOT NULL DEFAULT '{}',
+  timeout_minutes INTEGER NOT NULL DEFAULT 10
+    CHECK (timeout_minutes BETWEEN 1 AND 10080),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stream_chat_rule_sets_default
+  ON stream_chat_rule_sets(creator_id)
+  WHERE stream_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stream_chat_rule_sets_stream
+  ON stream_chat_rule_sets(stream_id)
+  WHERE stream_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS stream_chat_automod_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stream_id VARCHAR(255) NOT NULL,
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  rule VARCHAR(30) NOT NULL,
+  detail TEXT,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('delete', 'timeout', 'ban', 'hold')),
+  status VARCHAR(20) NOT NULL DEFAULT 'actioned'
+    CHECK (status IN ('actioned', 'held', 'approved', 'rejected')),
+  reviewed_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  chat_message_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stream_chat_automod_queue
+  ON stream_chat_automod_events(stream_id, created_at)
+  WHERE status = 'held';
+
+CREATE INDEX IF NOT EXISTS idx_stream_chat_automod_creator
+  ON stream_chat_automod_events(creator_id, created_at DESC);
+
+COMMENT ON COLUMN stream_chat_rule_sets.stream_id IS
+  'NULL for the creator''s default rules; set for rules that replace the default on one stream.';
+COMMENT ON COLUMN stream_chat_rule_sets.actions IS
+  'Action per content rule: {"blocked_terms": "delete|timeout|ban|hold", "blocked_patterns": ..., "links": ..., "caps": ..., "emoji": ...}. Missing rules default to delete.';
+COMMENT ON TABLE stream_chat_automod_events IS
+  'Chat messages stopped by creator rules; rows with status ''held'' are the moderator review queue.';
@@ -0,0 +1,66 @@
+-- Migration: Delegated Stream Moderators
+--
+-- Only the creator could moderate their chat. Creators can now appoint
+-- moderators, either for all their streams (stream_id NULL) or for one
+-- stream, with a subset of:
+--
+--   delete_messages  delete chat messages and review held messages
+--   timeout          mute/time out viewers
+--   ban              ban viewers from the chat
+--   pin              pin messages
+--   manage_polls     start and end polls
+--
+-- Every moderation action, by the creator or a moderator, and every
+-- appointment change is written to moderation_audit_log.
+--
+-- utils/stream-access.js already looked for moderators in a stream_moderators
+-- table that was never created; it now reads creator_moderators.
+
+CREATE TABLE IF NOT EXISTS creator_moderators (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  moderator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  stream_id UUID REFERENCES streams(id) ON DELETE CASCADE,
+  permissions TEXT[] NOT NULL DEFAULT '{delete_messages,timeout}',
+  appointed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  CHECK (creator_id <> moderator_id),
+  CHECK (permissions <@ ARRAY['delete_messages', 'timeout', 'ban', 'pin', 'manage_polls']::TEXT[])
+);
+
+-- One active appointment per creator, moderator and scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_creator_moderators_global
+  ON creator_moderators(creator_id, moderator_id)
+  WHERE stream_id IS NULL AND revoked_at IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_creator_moderators_stream
+  ON creator_moderators(creator_id, moderator_id, stream_id)
+  WHERE stream_id IS NOT NULL AND revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_creator_moderators_moderator
+  ON creator_moderators(moderator_id)
+  WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  actor_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('creator', 'moderator')),
+  action VARCHAR(50) NOT NULL,
+  target_user_id UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  channel VARCHAR(255),
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_creator
+  ON moderation_audit_log(creator_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_actor
+  ON moderation_audit_log(actor_id, created_at DESC);
+
+COMMENT ON COLUMN creator_moderators.stream_id IS
+  'NULL: moderates all of the creator''s streams; set: only that stream.';
+COMMENT ON TABLE moderation_audit_log IS
+  'Moderation actions taken in a creator''s streams and changes to their moderators.';
@@ -0,0 +1,69 @@
+-- Migration: Moderation Providers, Thresholds, Review Queue and Appeals
+--
+-- routes/moderation.js now scores content through a pluggable provider
+-- (utils/moderation-providers.js) and decides what to do with per-category
+-- thresholds admins can change (moderation_thresholds):
+--
+--   score >= block_threshold   content removed, decision can be appealed
+--   score >= review_threshold  held in moderation_queue for an admin
+--
+-- Appeals (moderation_appeals) go back into moderation_queue with high
+-- priority; an overturned decision restores the content and lifts the
+-- penalty that came with it.
+--
+-- The old route wrote status 'flagged' and actions 'block' / 'review', which
+-- the content_moderation checks from 105 reject, so nothing was persisted.
+
+ALTER TABLE content_moderation
+  ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS category_scores JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS moderation_thresholds (
+  category VARCHAR(50) PRIMARY KEY,
+  review_threshold INTEGER NOT NULL CHECK (review_threshold BETWEEN 1 AND 100),
+  block_threshold INTEGER NOT NULL CHECK (block_threshold BETWEEN 1 AND 100),
+  updated_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (review_threshold <= block_threshold)
+);
+
+INSERT INTO moderation_thresholds (category, review_threshold, block_threshold) VALUES
+  ('hate_speech', 40, 80),
+  ('harassment', 40, 80),
+  ('threats_violence', 35, 75),
+  ('self_harm', 30, 90),
+  ('adult_content', 40, 80),
+  ('spam', 50, 90)
+ON CONFLICT (category) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS moderation_appeals (
+  id SERIAL PRIMARY KEY,
+  moderation_id INTEGER NOT NULL UNIQUE REFERENCES content_moderation(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'upheld', 'overturned')),
+  resolved_by UUID REFERENCES users(supabase_id),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolution_notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_appeals_pending
+  ON moderation_appeals(created_at)
+  WHERE status = 'pending';
+
+ALTER TABLE moderation_queue
+  ADD COLUMN IF NOT EXISTS appeal_id INTEGER REFERENCES moderation_appeals(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES users(supabase_id),
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_moderation_queue_open
+  ON moderation_queue(priority, created_at)
+  WHERE status IN ('pending', 'in_review', 'escalated');
+
+COMMENT ON COLUMN content_moderation.category_scores IS
+  'Provider score (0-100) per category; confidence_score is the highest of them.';
+COMMENT ON TABLE moderation_thresholds IS
+  'Per-category scores at which content is held for review or removed. Admins edit these.';
+COMMENT ON COLUMN moderation_queue.appeal_id IS
+  'Set when the queue item is an appeal rather than an automated hold.';
@@ -0,0 +1,84 @@
+-- Migration: Unified Fee Policy
+--
+-- Platform fees were defined in several places that disagreed:
+-- config/tokenConfig.js (0%), config/payout-config.js (10%),
+-- utils/giftCatalog.js (20%), routes/shop.js (0% but logged as 80/20), and
+-- hardcoded 10% / 20% cuts in private calls, live shopping and stream gifts.
+-- utils/fee-policy.js now prices all creator revenue from these tables.
+--
+-- Rules are seeded with the cuts already taken, and shown by the frontend
+-- (APP_CONFIG.PLATFORM_FEE_PERCENTAGE, shopHelpers): 20% on shop sales (live
+-- shopping), 20% on gifts (stream gifts, gift catalog) and 10% on private
+-- calls. Everything else was free for creators and stays at 0%: Digis earns
+-- on token sales there. A few paths priced the same revenue type differently
+-- (e.g. 0% token gifts in routes/tokens.js, 10% stream tips); they now follow
+-- their type's rule.
+--
+-- Admins change a rate by adding a rule with a future effective_from; rows
+-- are never edited, so every stored fee_breakdown can be traced to the rule
+-- that produced it.
+
+CREATE TABLE IF NOT EXISTS fee_policy_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  revenue_type VARCHAR(20) NOT NULL
+    CHECK (revenue_type IN ('tip', 'gift', 'ppv', 'shop', 'call', 'subscription', 'ticket', 'card')),
+  platform_fee_percent NUMERIC(5,2) NOT NULL CHECK (platform_fee_percent BETWEEN 0 AND 100),
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  notes TEXT,
+  created_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (revenue_type, effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_policy_rules_lookup
+  ON fee_policy_rules(revenue_type, effective_from DESC);
+
+INSERT INTO fee_policy_rules (revenue_type, platform_fee_percent, effective_from, notes)
+SELECT t.revenue_type, t.percent, '2020-01-01T00:00:00Z', t.notes
+FROM (VALUES
+  ('tip', 0, 'Initial policy: creators keep 100%'),
+  ('gift', 20, 'Initial policy: 20% platform fee, as on stream gifts'),
+  ('ppv', 0, 'Initial policy: creators keep 100%'),
+  ('shop', 20, 'Initial policy: 20% platform fee, as on live shopping'),
+  ('call', 10, 'Initial policy: 10% platform fee, as on private calls'),
+  ('subscription', 0, 'Initial policy: creators keep 100%'),
+  ('ticket', 0, 'Initial policy: creators keep 100%'),
+  ('card', 0, 'Initial policy: creators keep 100% of card sales and resale royalties')
+) AS t(revenue_type, percent, notes)
+ON CONFLICT (revenue_type, effective_from) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS creator_fee_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  -- NULL: applies to every revenue type without a more specific override
+  revenue_type VARCHAR(20)
+    CHECK (revenue_type IN ('tip', 'gift', 'ppv', 'shop', 'call', 'subscription', 'ticket', 'card')),
+  platform_fee_percent NUMERIC(5,2) NOT NULL CHECK (platform_fee_percent BETWEEN 0 AND 100),
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  effective_until TIMESTAMP WITH TIME ZONE,
+  reason TEXT NOT NULL,
+  created_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  CHECK (effective_until IS NULL OR effective_until > effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_fee_overrides_lookup
+  ON creator_fee_overrides(creator_id, effective_from DESC)
+  WHERE revoked_at IS NULL;
+
+-- Superseded by fee_policy_rules; nothing reads it
+DELETE FROM system_config WHERE key = 'platform_fee_percentage';
+
+ALTER TABLE token_transactions
+  ADD COLUMN IF NOT EXISTS fee_breakdown JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_token_transactions_fee_revenue_type
+  ON token_transactions((fee_breakdown->>'revenueType'), created_at)
+  WHERE fee_breakdown IS NOT NULL;
+
+COMMENT ON COLUMN token_transactions.fee_breakdown IS
+  'On creator credits: gross, platform fee, net and the rule or override that priced it (utils/fee-policy.js).';
+COMMENT ON TABLE creator_fee_overrides IS
+  'Negotiated platform fee rates for a creator. Revoke rather than delete so history stays auditable.';
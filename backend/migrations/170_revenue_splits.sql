@@ -0,0 +1,132 @@
+-- Migration: Revenue Split Agreements
+--
+-- Collaborations and co-hosted streams credited every tip, gift, ticket and
+-- recording sale to the host alone; collaboration_participants.revenue_percentage
+-- was only applied to the per-minute session fee when the host ended it.
+-- utils/revenue-splits.js now divides that revenue between the creators on
+-- air, under terms agreed before the session starts:
+--
+--   * collaborations: collaborators accept a specific version of the split
+--     (collaborations.split_version); revising it resets their acceptance
+--   * co-hosted streams: the requester proposes terms on /co-host-request and
+--     the host confirms or adjusts them on /co-host-accept
+--
+-- An agreement is either 'fixed' (each member keeps a percentage) or
+-- 'time_weighted' (members on air share in proportion to on-air time).
+-- Every split payment is logged per member in revenue_split_allocations.
+
+-- routes/collaborations.js has always written these columns, but
+-- 009_create_connect_features.sql created collaborations for the Connect
+-- board without them
+ALTER TABLE collaborations
+  ADD COLUMN IF NOT EXISTS session_type VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS revenue_sharing TEXT,
+  ADD COLUMN IF NOT EXISTS is_public BOOLEAN DEFAULT true,
+  ADD COLUMN IF NOT EXISTS max_duration_minutes INTEGER,
+  ADD COLUMN IF NOT EXISTS price_per_minute NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS session_id INTEGER,
+  ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS final_revenue NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS split_mode VARCHAR(20) NOT NULL DEFAULT 'fixed'
+    CHECK (split_mode IN ('fixed', 'time_weighted')),
+  ADD COLUMN IF NOT EXISTS split_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS collaboration_participants (
+  id SERIAL PRIMARY KEY,
+  collaboration_id INTEGER NOT NULL REFERENCES collaborations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'collaborator',
+  status VARCHAR(20) NOT NULL DEFAULT 'invited',
+  revenue_percentage NUMERIC(5,2),
+  invited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  response_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (collaboration_id, user_id)
+);
+
+-- The split_version the participant accepted; NULL until they accept
+ALTER TABLE collaboration_participants
+  ADD COLUMN IF NOT EXISTS accepted_split_version INTEGER;
+
+-- Terms proposed by the creator asking to co-host
+ALTER TABLE co_host_requests
+  ADD COLUMN IF NOT EXISTS proposed_split_mode VARCHAR(20)
+    CHECK (proposed_split_mode IN ('fixed', 'time_weighted')),
+  ADD COLUMN IF NOT EXISTS proposed_share_percent NUMERIC(5,2)
+    CHECK (proposed_share_percent BETWEEN 0 AND 100);
+
+CREATE TABLE IF NOT EXISTS revenue_split_agreements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('collaboration', 'co_host')),
+  collaboration_id INTEGER REFERENCES collaborations(id) ON DELETE CASCADE,
+  stream_id UUID REFERENCES streams(id) ON DELETE CASCADE,
+  host_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  mode VARCHAR(20) NOT NULL CHECK (mode IN ('fixed', 'time_weighted')),
+  -- collaborations.split_version the members agreed to
+  terms_version INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended')),
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMP WITH TIME ZONE,
+  CHECK (source_type <> 'collaboration' OR collaboration_id IS NOT NULL),
+  CHECK (source_type <> 'co_host' OR stream_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revenue_split_agreements_host_active
+  ON revenue_split_agreements(host_id)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_revenue_split_agreements_collaboration
+  ON revenue_split_agreements(collaboration_id);
+
+CREATE INDEX IF NOT EXISTS idx_revenue_split_agreements_stream
+  ON revenue_split_agreements(stream_id);
+
+-- One live co-host agreement per stream; co-hosts joining later are added to it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_revenue_split_agreements_one_active_stream
+  ON revenue_split_agreements(stream_id)
+  WHERE status = 'active' AND source_type = 'co_host';
+
+CREATE TABLE IF NOT EXISTS revenue_split_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_id UUID NOT NULL REFERENCES revenue_split_agreements(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('host', 'collaborator', 'co_host')),
+  -- Fixed mode only. NULL for a co-hosted stream's host, who keeps the remainder
+  share_percent NUMERIC(5,2) CHECK (share_percent BETWEEN 0 AND 100),
+  joined_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  left_at TIMESTAMP WITH TIME ZONE,
+  -- Set while on air; folded into on_air_seconds when they go off air
+  on_air_since TIMESTAMP WITH TIME ZONE,
+  on_air_seconds INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (agreement_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS revenue_split_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agreement_id UUID NOT NULL REFERENCES revenue_split_agreements(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  revenue_type VARCHAR(20) NOT NULL
+    CHECK (revenue_type IN ('tip', 'gift', 'ticket', 'ppv', 'session')),
+  -- Tip, gift, ticket or recording id the revenue came from
+  source_ref TEXT,
+  payer_id UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  event_gross_tokens INTEGER NOT NULL,
+  share_percent NUMERIC(5,2) NOT NULL,
+  gross_tokens INTEGER NOT NULL,
+  platform_fee_tokens INTEGER NOT NULL DEFAULT 0,
+  net_tokens INTEGER NOT NULL,
+  fee_breakdown JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_revenue_split_allocations_member
+  ON revenue_split_allocations(agreement_id, user_id);
+
+COMMENT ON TABLE revenue_split_agreements IS
+  'Revenue sharing for a collaboration session or co-hosted stream (utils/revenue-splits.js).';
+COMMENT ON TABLE revenue_split_allocations IS
+  'One row per member per split payment: their slice of the gross, platform fee and net credit.';
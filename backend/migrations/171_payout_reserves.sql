@@ -0,0 +1,88 @@
+-- Migration: Risk-Based Payout Reserves
+--
+-- Payouts held back one global PAYOUT_RESERVE_PERCENT (default 0) for every
+-- creator and never released it on a schedule. utils/payout-risk.js now
+-- scores each creator before a payout from account age, KYC status, refund
+-- and chargeback rate, earnings spikes and open fraud alerts. The score's
+-- tier sets the percentage held and how long each hold lasts:
+--
+--   * every payout records its reserve as a hold with its own release_at
+--   * jobs/payout-reserves.js releases holds as they come due
+--   * released holds are added to the creator's next payout
+--
+-- Admins can pin a creator's reserve with an override or release a hold
+-- early; both record who did it and why. PAYOUT_RESERVE_PERCENT remains the
+-- floor for scored reserves.
+
+CREATE TABLE IF NOT EXISTS payout_reserve_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  reserve_percent NUMERIC(5,2) NOT NULL CHECK (reserve_percent BETWEEN 0 AND 100),
+  hold_days INTEGER NOT NULL CHECK (hold_days BETWEEN 0 AND 180),
+  reason TEXT NOT NULL,
+  effective_until TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL
+);
+
+-- A new override revokes the previous one
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_reserve_overrides_one_active
+  ON payout_reserve_overrides(creator_id)
+  WHERE revoked_at IS NULL;
+
+-- One row per scoring; the latest is the creator's current policy
+CREATE TABLE IF NOT EXISTS payout_risk_assessments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+  tier VARCHAR(20) NOT NULL CHECK (tier IN ('low', 'elevated', 'high', 'severe')),
+  -- What was applied: the tier's terms, or the override's when one was active
+  reserve_percent NUMERIC(5,2) NOT NULL,
+  hold_days INTEGER NOT NULL,
+  override_id UUID REFERENCES payout_reserve_overrides(id) ON DELETE SET NULL,
+  factors JSONB NOT NULL DEFAULT '[]',
+  assessed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_risk_assessments_creator
+  ON payout_risk_assessments(creator_id, assessed_at DESC);
+
+CREATE TABLE IF NOT EXISTS payout_reserve_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  -- The payout the reserve was withheld from
+  payout_id INTEGER NOT NULL REFERENCES creator_payouts(id) ON DELETE CASCADE,
+  assessment_id UUID REFERENCES payout_risk_assessments(id) ON DELETE SET NULL,
+  -- Same unit as creator_payouts.net_payout_amount
+  amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+  reserve_percent NUMERIC(5,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'released', 'paid_out')),
+  release_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  released_at TIMESTAMP WITH TIME ZONE,
+  -- Set when an admin releases the hold before release_at
+  released_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  release_reason TEXT,
+  -- The payout the released funds were added to
+  paid_payout_id INTEGER REFERENCES creator_payouts(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_reserve_holds_due
+  ON payout_reserve_holds(release_at)
+  WHERE status = 'held';
+
+CREATE INDEX IF NOT EXISTS idx_payout_reserve_holds_creator
+  ON payout_reserve_holds(creator_id, status);
+
+ALTER TABLE creator_payouts
+  ADD COLUMN IF NOT EXISTS reserve_held_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS reserve_released_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+COMMENT ON TABLE payout_reserve_holds IS
+  'Funds withheld from a payout under the creator''s risk reserve, released at release_at (utils/payout-risk.js).';
+COMMENT ON TABLE payout_reserve_overrides IS
+  'Admin-pinned reserve terms for a creator. Revoke rather than delete so history stays auditable.';
+COMMENT ON COLUMN creator_payouts.reserve_released_amount IS
+  'Previously held reserve added to this payout; net_payout_amount excludes it.';
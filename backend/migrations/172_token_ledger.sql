@@ -0,0 +1,184 @@
+-- Migration: Double-Entry Token Ledger
+--
+-- Token movements were only recorded as token_balances updates plus loose
+-- token_transactions rows, so nothing proved a balance was right or showed
+-- where a token came from. utils/token-ledger.js now posts a balanced journal
+-- in the same transaction as every token_balances write, and
+-- jobs/ledger-reconciliation.js compares the two nightly.
+--
+-- 400_create_double_entry_ledger.sql is not reused: it was never wired up,
+-- tracks USD cents rather than tokens, and its balance trigger rejects the
+-- first entry of every journal.
+--
+-- users.token_balance is a legacy column and is not reconciled.
+
+CREATE TABLE IF NOT EXISTS token_ledger_accounts (
+  id BIGSERIAL PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN (
+    'fan_wallet', 'creator_earnings',
+    'platform_revenue', 'escrow', 'refunds', 'token_issuance', 'adjustments'
+  )),
+  -- token_balances.user_id; no foreign key, ledger history outlives deleted users
+  owner_id TEXT,
+  -- Running balance of user accounts; platform accounts are summed instead
+  balance BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((kind IN ('fan_wallet', 'creator_earnings')) = (owner_id IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_token_ledger_accounts_user
+  ON token_ledger_accounts(owner_id, kind)
+  WHERE owner_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_token_ledger_accounts_platform
+  ON token_ledger_accounts(kind)
+  WHERE owner_id IS NULL;
+
+INSERT INTO token_ledger_accounts (kind)
+SELECT kind
+FROM (VALUES ('platform_revenue'), ('escrow'), ('refunds'), ('token_issuance'), ('adjustments')) AS t(kind)
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS token_ledger_journals (
+  id BIGSERIAL PRIMARY KEY,
+  -- Usually the token_transactions.type of the event: tip, gift_sent, ...
+  type VARCHAR(40) NOT NULL,
+  -- What the journal is for, e.g. 'token_transactions:123'
+  reference TEXT,
+  memo TEXT,
+  -- Admin who posted a manual journal
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_journals_reference
+  ON token_ledger_journals(reference)
+  WHERE reference IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS token_ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  journal_id BIGINT NOT NULL REFERENCES token_ledger_journals(id),
+  account_id BIGINT NOT NULL REFERENCES token_ledger_accounts(id),
+  -- Positive adds tokens to the account, negative removes them
+  tokens BIGINT NOT NULL CHECK (tokens <> 0),
+  -- NULL for platform accounts
+  balance_after BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_entries_account
+  ON token_ledger_entries(account_id, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_entries_journal
+  ON token_ledger_entries(journal_id);
+
+-- Checked at COMMIT, once every leg of the journal is in
+CREATE OR REPLACE FUNCTION check_token_ledger_journal_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (SELECT SUM(tokens) FROM token_ledger_entries WHERE journal_id = NEW.journal_id) <> 0 THEN
+    RAISE EXCEPTION 'Token ledger journal % does not balance', NEW.journal_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS token_ledger_journal_balanced ON token_ledger_entries;
+CREATE CONSTRAINT TRIGGER token_ledger_journal_balanced
+  AFTER INSERT ON token_ledger_entries
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW
+  EXECUTE FUNCTION check_token_ledger_journal_balanced();
+
+-- Entries are append-only; corrections are new journals
+CREATE OR REPLACE FUNCTION reject_token_ledger_entry_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Token ledger entries cannot be changed; post an adjustment instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS token_ledger_entries_append_only ON token_ledger_entries;
+CREATE TRIGGER token_ledger_entries_append_only
+  BEFORE UPDATE OR DELETE ON token_ledger_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION reject_token_ledger_entry_change();
+
+CREATE TABLE IF NOT EXISTS token_ledger_reconciliations (
+  id BIGSERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'balanced', 'drift', 'failed')),
+  -- NULL for the nightly run
+  triggered_by UUID,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+  accounts_checked INTEGER,
+  drift_count INTEGER,
+  -- Sum of |balance - ledger| over drifting users
+  drift_tokens BIGINT,
+  -- Sum of every entry; anything but 0 means an unbalanced journal got in
+  ledger_sum BIGINT,
+  unbalanced_journals INTEGER,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_reconciliations_started
+  ON token_ledger_reconciliations(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS token_ledger_drift (
+  id BIGSERIAL PRIMARY KEY,
+  reconciliation_id BIGINT NOT NULL REFERENCES token_ledger_reconciliations(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  ledger_tokens BIGINT NOT NULL,
+  balance_tokens BIGINT NOT NULL,
+  drift_tokens BIGINT GENERATED ALWAYS AS (balance_tokens - ledger_tokens) STORED,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolved_by UUID,
+  resolution_note TEXT,
+  adjustment_journal_id BIGINT REFERENCES token_ledger_journals(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_drift_run
+  ON token_ledger_drift(reconciliation_id);
+
+-- Opening balances: existing balances enter the ledger from token_issuance,
+-- as creator earnings for creators and wallet tokens for everyone else
+DO $$
+DECLARE
+  v_journal_id BIGINT;
+BEGIN
+  IF EXISTS (SELECT 1 FROM token_ledger_journals WHERE type = 'opening_balance') THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO token_ledger_journals (type, memo)
+  VALUES ('opening_balance', 'token_balances when the ledger was introduced')
+  RETURNING id INTO v_journal_id;
+
+  INSERT INTO token_ledger_accounts (kind, owner_id, balance)
+  SELECT CASE WHEN u.is_creator THEN 'creator_earnings' ELSE 'fan_wallet' END,
+         tb.user_id::text,
+         tb.balance
+  FROM token_balances tb
+  LEFT JOIN users u ON u.supabase_id::text = tb.user_id::text
+  WHERE tb.balance <> 0
+  ON CONFLICT DO NOTHING;
+
+  INSERT INTO token_ledger_entries (journal_id, account_id, tokens, balance_after)
+  SELECT v_journal_id, a.id, a.balance, a.balance
+  FROM token_ledger_accounts a
+  WHERE a.owner_id IS NOT NULL AND a.balance <> 0;
+
+  INSERT INTO token_ledger_entries (journal_id, account_id, tokens)
+  SELECT v_journal_id, a.id, -SUM(u.balance)
+  FROM token_ledger_accounts a,
+       token_ledger_accounts u
+  WHERE a.kind = 'token_issuance' AND a.owner_id IS NULL
+    AND u.owner_id IS NOT NULL AND u.balance <> 0
+  GROUP BY a.id;
+END $$;
+
+COMMENT ON TABLE token_ledger_journals IS
+  'One balanced token movement; its entries sum to zero (utils/token-ledger.js).';
+COMMENT ON TABLE token_ledger_drift IS
+  'Users whose token_balances.balance differed from their ledger accounts in a reconciliation run.';
@@ -0,0 +1,75 @@
+-- Migration: Chargeback and Dispute Handling
+--
+-- charge.dispute.created only logged a fraud alert with no user attached, and
+-- charge.dispute.closed was ignored, so a fan could charge back a token
+-- purchase and keep spending the tokens. utils/payment-disputes.js now:
+--
+--   * claws the purchase's tokens back from the fan into escrow when the
+--     dispute opens, as far as the wallet covers them; tokens already spent
+--     become debt (users.debt_amount), as refunds do in routes/payments.js
+--   * holds the creator earnings those spent tokens paid for in escrow
+--   * assembles evidence from the purchase, the account and its usage
+--   * flags the fan (fraud alert, debt status) and each affected creator
+--     (chargeback alerts feed utils/payout-risk.js)
+--
+-- When the dispute closes the fan's tokens come back if it was won. If it was
+-- lost, the purchase's tokens are voided along with the held creator
+-- earnings, which pays down the fan's debt.
+
+CREATE TABLE IF NOT EXISTS payment_disputes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stripe_dispute_id VARCHAR(255) NOT NULL UNIQUE,
+  stripe_charge_id VARCHAR(255),
+  stripe_payment_intent_id VARCHAR(255),
+  -- NULL when the charge was not a token purchase
+  fan_id UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  amount_cents INTEGER NOT NULL,
+  currency VARCHAR(3),
+  reason VARCHAR(50),
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'won', 'lost')),
+  -- Stripe's own status as of the last event
+  stripe_status VARCHAR(40),
+  -- The purchase's tokens; those still in the wallet are taken into escrow
+  tokens_disputed INTEGER NOT NULL DEFAULT 0,
+  -- How many of them the fan had already spent
+  tokens_spent INTEGER NOT NULL DEFAULT 0,
+  -- What the fan still owes for this dispute; also counted in users.debt_amount
+  tokens_owed INTEGER NOT NULL DEFAULT 0 CHECK (tokens_owed >= 0),
+  -- Stripe evidence fields, ready to submit
+  evidence JSONB NOT NULL DEFAULT '{}',
+  evidence_due_by TIMESTAMP WITH TIME ZONE,
+  evidence_submitted_at TIMESTAMP WITH TIME ZONE,
+  evidence_submitted_by UUID REFERENCES users(supabase_id) ON DELETE SET NULL,
+  opened_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_fan
+  ON payment_disputes(fan_id, opened_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_open
+  ON payment_disputes(evidence_due_by)
+  WHERE status = 'open';
+
+-- Creator earnings paid for with disputed tokens, held while the dispute is open
+CREATE TABLE IF NOT EXISTS payment_dispute_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  dispute_id UUID NOT NULL REFERENCES payment_disputes(id) ON DELETE CASCADE,
+  creator_id UUID NOT NULL REFERENCES users(supabase_id) ON DELETE CASCADE,
+  -- What the creator earned from the disputed tokens
+  tokens_earned INTEGER NOT NULL CHECK (tokens_earned > 0),
+  -- Taken into escrow; less than tokens_earned if they had been paid out
+  tokens_held INTEGER NOT NULL CHECK (tokens_held >= 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'released', 'reversed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  settled_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (dispute_id, creator_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_dispute_holds_creator
+  ON payment_dispute_holds(creator_id, status);
+
+COMMENT ON TABLE payment_disputes IS
+  'Stripe disputes and the tokens clawed back for them (utils/payment-disputes.js).';
+COMMENT ON TABLE payment_dispute_holds IS
+  'Creator earnings held in escrow while a dispute is open: released if won, voided if lost.';
@@ -10,6 +10,7 @@ const router = express.Router();
 const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { getUserId } = require('../utils/auth-helpers');
+const { createJournal } = require('../utils/token-ledger');
 
 // ============================================================================
 // IMPORT ALL SECURITY MIDDLEWARES
@@ -304,28 +305,40 @@ router.post('/users/:userId/grant-tokens',
       return res.status(400).json({ error: 'Invalid token amount' });
     }
 
+    const client = await pool.connect();
     try {
+      await client.query('BEGIN');
+
       // Update token balance
-      await pool.query(`
+      await client.query(`
         INSERT INTO token_balances (user_id, balance)
         VALUES ($1, $2)
         ON CONFLICT (user_id)
         DO UPDATE SET balance = token_balances.balance + $2
       `, [userId, amount]);
+      await createJournal('admin_grant', { memo: reason || null, createdBy: req.user.supabase_id })
+        .debit('adjustments', Number(amount))
+        .creditUser(userId, Number(amount))
+        .post(client);
 
       // Log transaction
-      await pool.query(`
+      await client.query(`
         INSERT INTO transactions (user_id, type, amount, description, created_at)
         VALUES ($1, 'admin_grant', $2, $3, NOW())
       `, [userId, amount, reason || 'Admin token grant']);
 
+      await client.query('COMMIT');
+
       res.json({
         success: true,
         message: `Granted ${amount} tokens to user`
       });
     } catch (error) {
+      await client.query('ROLLBACK');
       console.error('Error granting tokens:', error);
       res.status(500).json({ error: 'Failed to grant tokens' });
+    } finally {
+      client.release();
     }
   }
 );
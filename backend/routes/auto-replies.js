@@ -0,0 +1,264 @@
+// routes/auto-replies.js
+// Creator auto-reply rules (AutoReplySettings)
+// Rules are applied in POST /api/messages/send via utils/auto-replies.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { param, body, validationResult } = require('express-validator');
+const { logger } = require('../utils/secureLogger');
+
+const RULE_TYPES = ['welcome', 'keyword', 'office_hours', 'away'];
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate an office-hours schedule payload
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return 'schedule is required for office_hours rules';
+  if (schedule.timezone && !isValidTimezone(schedule.timezone)) return 'schedule.timezone is not a valid IANA timezone';
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) return 'schedule.windows must be a non-empty array';
+
+  for (const window of schedule.windows) {
+    if (!CLOCK_PATTERN.test(window.start) || !CLOCK_PATTERN.test(window.end)) {
+      return 'schedule window start/end must be HH:MM';
+    }
+    if (window.days && (!Array.isArray(window.days) || window.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return 'schedule window days must be integers 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  return null;
+}
+
+const ruleValidators = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    ...(isUpdate ? [] : [body('rule_type').isIn(RULE_TYPES)]),
+    body('name').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('is_enabled').optional().isBoolean().toBoolean(),
+    optionalIfUpdate(body('message').isString().trim().isLength({ min: 1, max: 500 })),
+    body('keywords').optional().isArray({ max: 50 }),
+    body('keywords.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    body('schedule').optional({ nullable: true }).isObject(),
+    body('ppv_media_url').optional({ nullable: true }).isURL(),
+    body('ppv_media_type').optional({ nullable: true }).isIn(['image', 'video', 'audio', 'file']),
+    body('ppv_price').optional({ nullable: true }).isInt({ min: 1, max: 100000 }).toInt(),
+    body('cooldown_hours').optional().isInt({ min: 1, max: 8760 }).toInt(),
+    body('priority').optional().isInt({ min: -100, max: 100 }).toInt()
+  ];
+};
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    ruleType: row.rule_type,
+    name: row.name,
+    isEnabled: row.is_enabled,
+    message: row.message,
+    keywords: row.keywords,
+    schedule: row.schedule,
+    ppvOffer: row.ppv_media_url
+      ? { mediaUrl: row.ppv_media_url, mediaType: row.ppv_media_type, price: row.ppv_price }
+      : null,
+    cooldownHours: row.cooldown_hours,
+    priority: row.priority,
+    stats: row.deliveries_total !== undefined
+      ? { total: parseInt(row.deliveries_total, 10), last30Days: parseInt(row.deliveries_30d, 10) }
+      : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Check rule-type specific requirements against the merged rule
+ * @returns {string|null}
+ */
+function validateRuleShape(rule) {
+  if (rule.rule_type === 'keyword' && (!rule.keywords || rule.keywords.length === 0)) {
+    return 'keyword rules need at least one keyword';
+  }
+  if (rule.rule_type === 'office_hours') {
+    const scheduleError = validateSchedule(rule.schedule);
+    if (scheduleError) return scheduleError;
+  }
+  if (Boolean(rule.ppv_media_url) !== Boolean(rule.ppv_price)) {
+    return 'ppv_media_url and ppv_price must be set together';
+  }
+  return null;
+}
+
+/**
+ * GET /api/messages/auto-replies
+ * List the creator's auto-reply rules with delivery counts
+ */
+router.get('/', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.*,
+              COUNT(d.id) AS deliveries_total,
+              COUNT(d.id) FILTER (WHERE d.sent_at > NOW() - INTERVAL '30 days') AS deliveries_30d
+       FROM auto_reply_rules r
+       LEFT JOIN auto_reply_deliveries d ON d.rule_id = r.id
+       WHERE r.creator_id = $1
+       GROUP BY r.id
+       ORDER BY r.rule_type, r.priority DESC, r.created_at`,
+      [req.user.supabase_id]
+    );
+
+    res.json({ success: true, rules: result.rows.map(formatRule) });
+  } catch (error) {
+    logger.error('Error fetching auto-reply rules:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch auto-reply rules' });
+  }
+});
+
+/**
+ * POST /api/messages/auto-replies
+ * Create an auto-reply rule
+ */
+router.post('/', authenticateToken, requireCreator, ...ruleValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const rule = {
+    rule_type: req.body.rule_type,
+    name: req.body.name || null,
+    is_enabled: req.body.is_enabled !== undefined ? req.body.is_enabled : true,
+    message: req.body.message,
+    keywords: req.body.keywords || [],
+    schedule: req.body.schedule || null,
+    ppv_media_url: req.body.ppv_media_url || null,
+    ppv_media_type: req.body.ppv_media_type || null,
+    ppv_price: req.body.ppv_price || null,
+    cooldown_hours: req.body.cooldown_hours || 24,
+    priority: req.body.priority || 0
+  };
+
+  const shapeError = validateRuleShape(rule);
+  if (shapeError) {
+    return res.status(400).json({ success: false, error: shapeError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO auto_reply_rules (
+         creator_id, rule_type, name, is_enabled, message, keywords, schedule,
+         ppv_media_url, ppv_media_type, ppv_price, cooldown_hours, priority
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        req.user.supabase_id, rule.rule_type, rule.name, rule.is_enabled, rule.message,
+        rule.keywords, rule.schedule, rule.ppv_media_url, rule.ppv_media_type,
+        rule.ppv_price, rule.cooldown_hours, rule.priority
+      ]
+    );
+
+    res.status(201).json({ success: true, rule: formatRule(result.rows[0]) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: `You already have a ${rule.rule_type} rule - update it instead`
+      });
+    }
+    logger.error('Error creating auto-reply rule:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create auto-reply rule' });
+  }
+});
+
+/**
+ * PUT /api/messages/auto-replies/:ruleId
+ * Update an auto-reply rule (partial updates allowed)
+ */
+router.put('/:ruleId', authenticateToken, requireCreator, param('ruleId').isUUID(), ...ruleValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const existing = await pool.query(
+      'SELECT * FROM auto_reply_rules WHERE id = $1 AND creator_id = $2',
+      [req.params.ruleId, req.user.supabase_id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Auto-reply rule not found' });
+    }
+
+    const fields = [
+      'name', 'is_enabled', 'message', 'keywords', 'schedule', 'ppv_media_url',
+      'ppv_media_type', 'ppv_price', 'cooldown_hours', 'priority'
+    ];
+    const rule = { ...existing.rows[0] };
+    for (const field of fields) {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    }
+
+    const shapeError = validateRuleShape(rule);
+    if (shapeError) {
+      return res.status(400).json({ success: false, error: shapeError });
+    }
+
+    const result = await pool.query(
+      `UPDATE auto_reply_rules
+       SET name = $3, is_enabled = $4, message = $5, keywords = $6, schedule = $7,
+           ppv_media_url = $8, ppv_media_type = $9, ppv_price = $10,
+           cooldown_hours = $11, priority = $12
+       WHERE id = $1 AND creator_id = $2
+       RETURNING *`,
+      [
+        req.params.ruleId, req.user.supabase_id, rule.name, rule.is_enabled, rule.message,
+        rule.keywords, rule.schedule, rule.ppv_media_url, rule.ppv_media_type,
+        rule.ppv_price, rule.cooldown_hours, rule.priority
+      ]
+    );
+
+    res.json({ success: true, rule: formatRule(result.rows[0]) });
+  } catch (error) {
+    logger.error('Error updating auto-reply rule:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update auto-reply rule' });
+  }
+});
+
+/**
+ * DELETE /api/messages/auto-replies/:ruleId
+ * Delete an auto-reply rule
+ */
+router.delete('/:ruleId', authenticateToken, requireCreator, param('ruleId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM auto_reply_rules WHERE id = $1 AND creator_id = $2 RETURNING id',
+      [req.params.ruleId, req.user.supabase_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Auto-reply rule not found' });
+    }
+
+    res.json({ success: true, deleted: result.rows[0].id });
+  } catch (error) {
+    logger.error('Error deleting auto-reply rule:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete auto-reply rule' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const { logger } = require('../utils/secureLogger');
 const { generateStableAgoraUid } = require('../utils/agoraUid');
 const { requireFeature } = require('../utils/featureFlags');
 const { publish } = require('../utils/ably-publish');
+const { getCallDiscountPercent, applyCallDiscount } = require('../utils/collectible-cards');
 const router = express.Router();
 
 // Call cooldown: prevent spam calling (1 call per 60 seconds to same fan)
@@ -214,7 +215,11 @@ router.post('/initiate', requireFeature('CALLS'), authenticateToken, async (req,
       [creatorId]
     );
     const ratePerMinute = rateResult.rows[0]?.price_per_min || 1.00;
-    const tokensPerMinute = Math.ceil(ratePerMinute / 0.05); // Convert $ to tokens (0.05 per token)
+    const cardDiscountPercent = await getCallDiscountPercent(fanId, creatorId);
+    const tokensPerMinute = applyCallDiscount(
+      Math.ceil(ratePerMinute / 0.05), // Convert $ to tokens (0.05 per token)
+      cardDiscountPercent
+    );
 
     // Generate unique channel name
     const channel = `call_${creatorId.substring(0, 8)}_${fanId.substring(0, 8)}_${Date.now()}`;
@@ -0,0 +1,748 @@
+// routes/cards.js
+// Collectible card editions (CollectibleCardsMarketplace) and owned cards
+// Minting, supply caps and perks live in utils/collectible-cards.js,
+// resale order books and settlement in utils/card-market.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { param, body, query, validationResult } = require('express-validator');
+const { logger } = require('../utils/secureLogger');
+const { AppError } = require('../utils/app-errors');
+const {
+  RARITIES,
+  PERK_TYPES,
+  validatePerk,
+  purchaseCard,
+  getHolderPerks
+} = require('../utils/collectible-cards');
+const {
+  MAX_ROYALTY_PERCENT,
+  PRICE_HISTORY_INTERVALS,
+  createListing,
+  buyListing,
+  placeBid,
+  cancelListing,
+  cancelBid,
+  getOrderBook,
+  getPriceHistory
+} = require('../utils/card-market');
+
+const MAX_PERKS = 5;
+
+function formatPerk(row) {
+  return {
+    id: row.id,
+    type: row.perk_type,
+    config: row.config,
+    description: row.description
+  };
+}
+
+// Shape expected by CollectibleCardsMarketplace
+function formatEdition(row) {
+  const minted = parseInt(row.minted_count, 10);
+  const supply = parseInt(row.supply_cap, 10);
+  return {
+    id: row.id,
+    creatorId: row.creator_id,
+    creatorUsername: row.creator_username,
+    creatorName: row.creator_name || row.creator_username,
+    title: row.title,
+    description: row.description,
+    category: row.category,
+    imageUrl: row.image_url,
+    rarity: row.rarity,
+    price: row.price_tokens,
+    royaltyPercent: row.royalty_percent,
+    totalSupply: supply,
+    minted,
+    remaining: supply - minted,
+    // Serial the next buyer receives
+    cardNumber: minted < supply ? minted + 1 : null,
+    status: row.status,
+    saleEndsAt: row.sale_ends_at,
+    isAvailable: row.status === 'active' && minted < supply &&
+      (!row.sale_ends_at || new Date(row.sale_ends_at) > new Date()),
+    perks: (row.perks || []).map(formatPerk),
+    mintedAt: row.created_at
+  };
+}
+
+function formatCard(row) {
+  return {
+    id: row.id,
+    editionId: row.edition_id,
+    creatorId: row.creator_id,
+    creatorName: row.creator_name,
+    title: row.title,
+    imageUrl: row.image_url,
+    rarity: row.rarity,
+    category: row.category,
+    cardNumber: row.card_number,
+    totalSupply: row.supply_cap,
+    purchasePrice: row.purchase_price,
+    perks: (row.perks || []).map(formatPerk),
+    acquiredAt: row.acquired_at
+  };
+}
+
+const PERKS_JSON = `COALESCE((
+  SELECT json_agg(p ORDER BY p.created_at)
+  FROM card_edition_perks p
+  WHERE p.edition_id = e.id
+), '[]')`;
+
+const editionValidators = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalIfUpdate(body('title').isString().trim().isLength({ min: 1, max: 100 })),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    body('image_url').optional({ nullable: true }).isURL(),
+    body('category').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+    optionalIfUpdate(body('rarity').isIn(RARITIES)),
+    optionalIfUpdate(body('supply_cap').isInt({ min: 1, max: 100000 }).toInt()),
+    optionalIfUpdate(body('price_tokens').isInt({ min: 1, max: 10000000 }).toInt()),
+    body('sale_ends_at').optional({ nullable: true }).isISO8601(),
+    body('royalty_percent').optional().isInt({ min: 0, max: MAX_ROYALTY_PERCENT }).toInt(),
+    body('perks').optional().isArray({ max: MAX_PERKS }),
+    body('perks.*.perk_type').optional().isIn(PERK_TYPES),
+    body('perks.*.description').optional({ nullable: true }).isString().isLength({ max: 200 })
+  ];
+};
+
+function validatePerks(perks) {
+  for (const perk of perks || []) {
+    const error = validatePerk(perk);
+    if (error) return error;
+  }
+  return null;
+}
+
+async function replacePerks(client, editionId, perks) {
+  await client.query('DELETE FROM card_edition_perks WHERE edition_id = $1', [editionId]);
+  for (const perk of perks) {
+    await client.query(
+      `INSERT INTO card_edition_perks (edition_id, perk_type, config, description)
+       VALUES ($1, $2, $3, $4)`,
+      [editionId, perk.perk_type, JSON.stringify(perk.config || {}), perk.description || null]
+    );
+  }
+}
+
+/**
+ * GET /api/cards/available
+ * Editions that can still be bought
+ */
+router.get('/available', authenticateToken, [
+  query('creator_id').optional().isUUID(),
+  query('rarity').optional().isIn(RARITIES),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const params = [];
+    let filters = '';
+
+    if (req.query.creator_id) {
+      params.push(req.query.creator_id);
+      filters += ` AND e.creator_id = $${params.length}`;
+    }
+    if (req.query.rarity) {
+      params.push(req.query.rarity);
+      filters += ` AND e.rarity = $${params.length}`;
+    }
+
+    params.push(req.query.limit || 50, req.query.offset || 0);
+
+    const result = await pool.query(
+      `SELECT e.*, u.username AS creator_username, u.display_name AS creator_name,
+              ${PERKS_JSON} AS perks
+       FROM card_editions e
+       JOIN users u ON u.supabase_id = e.creator_id
+       WHERE e.status = 'active'
+         AND e.minted_count < e.supply_cap
+         AND (e.sale_ends_at IS NULL OR e.sale_ends_at > NOW())${filters}
+       ORDER BY e.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json({ success: true, cards: result.rows.map(formatEdition) });
+  } catch (error) {
+    logger.error('Error fetching available cards:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch cards' });
+  }
+});
+
+/**
+ * POST /api/cards/purchase
+ * Buy the next serial of an edition with tokens
+ *
+ * Body: cardId (the edition id listed by /available)
+ */
+router.post('/purchase',
+  authenticateToken,
+  idempotency({ prefix: 'card_purchase', ttlSec: 24 * 60 * 60 }),
+  body('cardId').isUUID(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const card = await purchaseCard({ editionId: req.body.cardId, buyerId: req.user.supabase_id });
+
+      logger.info('Card purchased', {
+        editionId: card.edition_id,
+        cardNumber: card.card_number,
+        buyerId: req.user.supabase_id
+      });
+
+      res.status(201).json({
+        success: true,
+        card: formatCard({ ...card, title: card.edition.title, image_url: card.edition.image_url, supply_cap: card.edition.supply_cap })
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+      }
+      logger.error('Error purchasing card:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to purchase card' });
+    }
+  }
+);
+
+/**
+ * GET /api/cards/mine
+ * Cards the user owns (MyCollections)
+ */
+router.get('/mine', authenticateToken, [
+  query('creator_id').optional().isUUID()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const params = [req.user.supabase_id];
+    let filters = '';
+    if (req.query.creator_id) {
+      params.push(req.query.creator_id);
+      filters = ` AND c.creator_id = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT c.*, e.title, e.image_url, e.supply_cap, ${PERKS_JSON} AS perks
+       FROM cards c
+       LEFT JOIN card_editions e ON e.id = c.edition_id
+       WHERE c.user_id = $1${filters}
+       ORDER BY c.acquired_at DESC`,
+      params
+    );
+
+    res.json({ success: true, cards: result.rows.map(formatCard) });
+  } catch (error) {
+    logger.error('Error fetching owned cards:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch cards' });
+  }
+});
+
+/**
+ * GET /api/cards/perks/:creatorId
+ * Perks the user holds for a creator through owned cards
+ */
+router.get('/perks/:creatorId', authenticateToken, param('creatorId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const perks = await getHolderPerks(req.user.supabase_id, req.params.creatorId);
+    res.json({
+      success: true,
+      perks: perks.map(perk => ({ ...formatPerk(perk), editionId: perk.edition_id, editionTitle: perk.title }))
+    });
+  } catch (error) {
+    logger.error('Error fetching card perks:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch card perks' });
+  }
+});
+
+/**
+ * GET /api/cards/editions
+ * The creator's editions with sales progress
+ */
+router.get('/editions', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT e.*, ${PERKS_JSON} AS perks
+       FROM card_editions e
+       WHERE e.creator_id = $1
+       ORDER BY e.created_at DESC`,
+      [req.user.supabase_id]
+    );
+
+    res.json({ success: true, editions: result.rows.map(formatEdition) });
+  } catch (error) {
+    logger.error('Error fetching card editions:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch card editions' });
+  }
+});
+
+/**
+ * POST /api/cards/editions
+ * Mint a limited edition
+ */
+router.post('/editions', authenticateToken, requireCreator, ...editionValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const perks = req.body.perks || [];
+  const perkError = validatePerks(perks);
+  if (perkError) {
+    return res.status(400).json({ success: false, error: perkError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO card_editions (
+         creator_id, title, description, image_url, category, rarity,
+         supply_cap, price_tokens, sale_ends_at, royalty_percent
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, 5))
+       RETURNING *`,
+      [
+        req.user.supabase_id, req.body.title, req.body.description || null,
+        req.body.image_url || null, req.body.category || null, req.body.rarity,
+        req.body.supply_cap, req.body.price_tokens, req.body.sale_ends_at || null,
+        req.body.royalty_percent ?? null
+      ]
+    );
+    const edition = result.rows[0];
+
+    await replacePerks(client, edition.id, perks);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      edition: formatEdition({ ...edition, perks: perks.map(perk => ({ ...perk, id: null })) })
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating card edition:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create card edition' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/cards/editions/:editionId
+ * Update an edition. Rarity and supply are fixed once a card has sold;
+ * the supply cap can still be lowered down to the number already minted.
+ */
+router.put('/editions/:editionId', authenticateToken, requireCreator, [
+  param('editionId').isUUID(),
+  body('status').optional().isIn(['active', 'paused', 'retired']),
+  ...editionValidators(true)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const perkError = validatePerks(req.body.perks);
+  if (perkError) {
+    return res.status(400).json({ success: false, error: perkError });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query(
+      'SELECT * FROM card_editions WHERE id = $1 AND creator_id = $2 FOR UPDATE',
+      [req.params.editionId, req.user.supabase_id]
+    );
+    const existing = existingResult.rows[0];
+
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Edition not found' });
+    }
+
+    if (existing.minted_count > 0) {
+      if (req.body.rarity !== undefined && req.body.rarity !== existing.rarity) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, error: 'Rarity cannot change after cards have sold' });
+      }
+      if (req.body.supply_cap !== undefined && req.body.supply_cap > existing.supply_cap) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, error: 'Supply cannot be raised after cards have sold' });
+      }
+    }
+
+    if (req.body.supply_cap !== undefined && req.body.supply_cap < existing.minted_count) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Supply cannot be lower than the ${existing.minted_count} cards already minted`
+      });
+    }
+
+    if (existing.status === 'retired' && req.body.status && req.body.status !== 'retired') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: 'Retired editions cannot be reopened' });
+    }
+
+    const fields = [
+      'title', 'description', 'image_url', 'category', 'rarity', 'supply_cap',
+      'price_tokens', 'status', 'sale_ends_at', 'royalty_percent'
+    ];
+    const edition = { ...existing };
+    for (const field of fields) {
+      if (req.body[field] !== undefined) edition[field] = req.body[field];
+    }
+
+    const result = await client.query(
+      `UPDATE card_editions
+       SET title = $2, description = $3, image_url = $4, category = $5, rarity = $6,
+           supply_cap = $7, price_tokens = $8, status = $9, sale_ends_at = $10, royalty_percent = $11
+       WHERE id = $1
+       RETURNING *`,
+      [
+        existing.id, edition.title, edition.description, edition.image_url, edition.category,
+        edition.rarity, edition.supply_cap, edition.price_tokens, edition.status, edition.sale_ends_at,
+        edition.royalty_percent
+      ]
+    );
+
+    if (req.body.perks) {
+      await replacePerks(client, existing.id, req.body.perks);
+    }
+
+    const perks = await client.query(
+      'SELECT * FROM card_edition_perks WHERE edition_id = $1 ORDER BY created_at',
+      [existing.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, edition: formatEdition({ ...result.rows[0], perks: perks.rows }) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error updating card edition:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update card edition' });
+  } finally {
+    client.release();
+  }
+});
+
+function formatListing(row) {
+  return {
+    id: row.id,
+    cardId: row.card_id,
+    editionId: row.edition_id,
+    sellerId: row.seller_id,
+    price: row.price_tokens,
+    status: row.status,
+    buyerId: row.buyer_id,
+    soldAt: row.sold_at,
+    createdAt: row.created_at
+  };
+}
+
+function formatBid(row) {
+  return {
+    id: row.id,
+    editionId: row.edition_id,
+    price: row.price_tokens,
+    status: row.status,
+    cardId: row.card_id,
+    filledAt: row.filled_at,
+    createdAt: row.created_at
+  };
+}
+
+function formatTrade(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    cardId: row.card_id,
+    editionId: row.edition_id,
+    sellerId: row.from_user_id,
+    buyerId: row.to_user_id,
+    price: row.trade_value,
+    royalty: row.royalty_tokens,
+    sellerProceeds: row.seller_proceeds,
+    tradedAt: row.traded_at
+  };
+}
+
+/**
+ * GET /api/cards/market/orders
+ * The user's active listings and open bids
+ */
+router.get('/market/orders', authenticateToken, async (req, res) => {
+  try {
+    const [listings, bids] = await Promise.all([
+      pool.query(
+        `SELECT * FROM card_listings
+         WHERE seller_id = $1 AND status = 'active'
+         ORDER BY created_at DESC`,
+        [req.user.supabase_id]
+      ),
+      pool.query(
+        `SELECT * FROM card_bids
+         WHERE bidder_id = $1 AND status = 'open'
+         ORDER BY created_at DESC`,
+        [req.user.supabase_id]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      listings: listings.rows.map(formatListing),
+      bids: bids.rows.map(formatBid)
+    });
+  } catch (error) {
+    logger.error('Error fetching card market orders:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch orders' });
+  }
+});
+
+/**
+ * GET /api/cards/market/:editionId
+ * Order book and recent resales for an edition
+ */
+router.get('/market/:editionId', authenticateToken, [
+  param('editionId').isUUID(),
+  query('depth').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const edition = await pool.query(
+      'SELECT id, title, royalty_percent FROM card_editions WHERE id = $1',
+      [req.params.editionId]
+    );
+    if (edition.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Edition not found' });
+    }
+
+    const [book, trades] = await Promise.all([
+      getOrderBook(req.params.editionId, req.query.depth || 20),
+      pool.query(
+        `SELECT * FROM card_trades
+         WHERE edition_id = $1 AND status = 'completed'
+         ORDER BY traded_at DESC
+         LIMIT 20`,
+        [req.params.editionId]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      editionId: edition.rows[0].id,
+      royaltyPercent: edition.rows[0].royalty_percent,
+      asks: book.asks,
+      bids: book.bids,
+      lastPrice: trades.rows[0]?.trade_value ?? null,
+      recentTrades: trades.rows.map(formatTrade)
+    });
+  } catch (error) {
+    logger.error('Error fetching card order book:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch order book' });
+  }
+});
+
+/**
+ * GET /api/cards/market/:editionId/history
+ * Bucketed resale prices for charts
+ *
+ * Query: interval (hour, day, week), days (1-365)
+ */
+router.get('/market/:editionId/history', authenticateToken, [
+  param('editionId').isUUID(),
+  query('interval').optional().isIn(PRICE_HISTORY_INTERVALS),
+  query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const interval = req.query.interval || 'day';
+    const history = await getPriceHistory(req.params.editionId, { interval, days: req.query.days || 30 });
+    res.json({ success: true, interval, history });
+  } catch (error) {
+    logger.error('Error fetching card price history:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch price history' });
+  }
+});
+
+/**
+ * POST /api/cards/listings
+ * List an owned card for resale. Fills immediately against the best bid at
+ * or above the asking price.
+ *
+ * Body: cardId, price
+ */
+router.post('/listings',
+  authenticateToken,
+  idempotency({ prefix: 'card_listing', ttlSec: 24 * 60 * 60 }),
+  body('cardId').isUUID(),
+  body('price').isInt({ min: 1, max: 10000000 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { listing, trade } = await createListing({
+        cardId: req.body.cardId,
+        sellerId: req.user.supabase_id,
+        priceTokens: req.body.price
+      });
+
+      res.status(201).json({ success: true, listing: formatListing(listing), trade: formatTrade(trade) });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+      }
+      logger.error('Error listing card:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to list card' });
+    }
+  }
+);
+
+/**
+ * POST /api/cards/listings/:listingId/buy
+ * Buy a listed card at its asking price
+ */
+router.post('/listings/:listingId/buy',
+  authenticateToken,
+  idempotency({ prefix: 'card_resale', ttlSec: 24 * 60 * 60 }),
+  param('listingId').isUUID(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const trade = await buyListing({ listingId: req.params.listingId, buyerId: req.user.supabase_id });
+
+      logger.info('Card resold', { tradeId: trade.id, cardId: trade.card_id, price: trade.trade_value });
+
+      res.status(201).json({ success: true, trade: formatTrade(trade) });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+      }
+      logger.error('Error buying card listing:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to buy card' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/cards/listings/:listingId
+ * Withdraw an active listing
+ */
+router.delete('/listings/:listingId', authenticateToken, param('listingId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const listing = await cancelListing({ listingId: req.params.listingId, sellerId: req.user.supabase_id });
+    res.json({ success: true, listing: formatListing(listing) });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    logger.error('Error cancelling card listing:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to cancel listing' });
+  }
+});
+
+/**
+ * POST /api/cards/bids
+ * Bid on any card of an edition. The bid is escrowed from the token balance
+ * and fills immediately against the cheapest listing at or below it.
+ *
+ * Body: editionId, price
+ */
+router.post('/bids',
+  authenticateToken,
+  idempotency({ prefix: 'card_bid', ttlSec: 24 * 60 * 60 }),
+  body('editionId').isUUID(),
+  body('price').isInt({ min: 1, max: 10000000 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { bid, trade } = await placeBid({
+        editionId: req.body.editionId,
+        bidderId: req.user.supabase_id,
+        priceTokens: req.body.price
+      });
+
+      res.status(201).json({ success: true, bid: formatBid(bid), trade: formatTrade(trade) });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+      }
+      logger.error('Error placing card bid:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to place bid' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/cards/bids/:bidId
+ * Cancel an open bid and refund its escrow
+ */
+router.delete('/bids/:bidId', authenticateToken, param('bidId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const bid = await cancelBid({ bidId: req.params.bidId, bidderId: req.user.supabase_id });
+    res.json({ success: true, bid: formatBid(bid) });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    logger.error('Error cancelling card bid:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to cancel bid' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const { Pool } = require('pg');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { createJournal } = require('../utils/token-ledger');
 
 // Database connection
 const pool = new Pool({
@@ -231,6 +232,7 @@ router.get('/available', authenticateToken, async (req, res) => {
 
 // Update challenge progress
 router.post('/progress', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
   try {
     const userId = req.user.supabase_id;
     const { challengeId, progressIncrement = 1, metadata = {} } = req.body;
@@ -239,14 +241,18 @@ router.post('/progress', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Challenge ID is required' });
     }
 
+    await client.query('BEGIN');
+
     // Get current challenge
-    const challengeQuery = await pool.query(`
+    const challengeQuery = await client.query(`
       SELECT * FROM user_challenges 
       WHERE user_id = $1 AND challenge_id = $2 AND status = 'active'
       ORDER BY date_assigned DESC LIMIT 1
+      FOR UPDATE
     `, [userId, challengeId]);
 
     if (challengeQuery.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Active challenge not found' });
     }
 
@@ -260,7 +266,7 @@ router.post('/progress', authenticateToken, async (req, res) => {
       Math.min(...Object.values(targetValue)) : targetValue);
 
     // Update progress
-    await pool.query(`
+    await client.query(`
       UPDATE user_challenges 
       SET progress = $1, status = $2, completed_at = $3, metadata = $4
       WHERE id = $5
@@ -275,7 +281,7 @@ router.post('/progress', authenticateToken, async (req, res) => {
     // Award rewards if completed
     if (isCompleted && challenge.status !== 'completed') {
       // Add tokens to user balance
-      await pool.query(`
+      await client.query(`
         INSERT INTO token_transactions (user_id, type, tokens, description, status, session_id, created_at)
         VALUES ($1, 'challenge_reward', $2, $3, 'completed', NULL, NOW())
       `, [
@@ -285,15 +291,19 @@ router.post('/progress', authenticateToken, async (req, res) => {
       ]);
 
       // Update user token balance
-      await pool.query(`
+      await client.query(`
         INSERT INTO token_balances (user_id, balance)
         VALUES ($1, $2)
         ON CONFLICT (user_id)
         DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()
       `, [userId, challenge.reward_tokens]);
+      await createJournal('challenge_reward', { reference: `challenges:${challenge.challenge_id}` })
+        .debit('token_issuance', Number(challenge.reward_tokens))
+        .creditUser(userId, Number(challenge.reward_tokens))
+        .post(client);
 
       // Log achievement
-      await pool.query(`
+      await client.query(`
         INSERT INTO achievements (user_id, type, title, description, points, metadata, created_at)
         VALUES ($1, 'challenge', $2, $3, $4, $5, NOW())
       `, [
@@ -309,6 +319,8 @@ router.post('/progress', authenticateToken, async (req, res) => {
       ]);
     }
 
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       challenge: {
@@ -328,8 +340,11 @@ router.post('/progress', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Error updating challenge progress:', error);
     res.status(500).json({ error: 'Failed to update challenge progress' });
+  } finally {
+    client.release();
   }
 });
 
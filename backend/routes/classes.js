@@ -3,6 +3,21 @@ const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { logger: sharedLogger } = require('../utils/secureLogger');
 const { sendClassEnrollmentConfirmationEmail } = require('../services/emailService');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
+const { checkIntakeRequirement } = require('../utils/intake-forms');
+const { AppError } = require('../utils/app-errors');
+const { isValidTimezone } = require('../utils/rrule');
+const {
+  EDIT_SCOPES,
+  templateFromBody,
+  createSeries,
+  lockSeries,
+  getOccurrence,
+  skipOccurrence,
+  updateOccurrences,
+  enrollInSeries
+} = require('../utils/class-series');
 const router = express.Router();
 
 // Use shared logger instead of creating a new one (serverless-friendly)
@@ -61,6 +76,7 @@ router.get('/', async (req, res) => {
       LEFT JOIN class_reviews cr ON c.creator_id = cr.creator_id
       LEFT JOIN class_participants cp ON c.id = cp.class_id
       WHERE c.start_time >= $1 AND c.start_time <= $2
+        AND c.skipped_at IS NULL
     `;
     
     const params = [startDate || new Date().toISOString(), endDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()];
@@ -102,6 +118,7 @@ router.get('/', async (req, res) => {
       tags: row.tags || [],
       coverImage: row.cover_image_url,
       isLive: row.is_live,
+      seriesId: row.series_id,
       creator: {
         id: row.creator_id,
         username: row.creator_username,
@@ -277,6 +294,11 @@ router.post('/:classId/join', authenticateToken, async (req, res) => {
 
     const classData = classResult.rows[0];
 
+    if (classData.skipped_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This class has been skipped' });
+    }
+
     // Check if user already enrolled
     const existingParticipant = await client.query(
       'SELECT id FROM class_participants WHERE class_id = $1 AND user_id = $2',
@@ -288,6 +310,17 @@ router.post('/:classId/join', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Already enrolled in this class' });
     }
 
+    // Classes with an attached intake form need a response before enrollment
+    const intake = await checkIntakeRequirement('class', classId, userId);
+    if (!intake.completed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Please complete the intake form before enrolling',
+        intakeRequired: true,
+        intakeFormId: intake.formId
+      });
+    }
+
     // Add user to class participants (FREE enrollment)
     await client.query(`
       INSERT INTO class_participants (class_id, user_id, status, joined_at)
@@ -568,7 +601,9 @@ router.delete('/:classId', authenticateToken, async (req, res) => {
       WHERE cp.class_id = $1 AND cp.attended = true
     `, [classId]);
 
-    // Refund tokens only to participants who actually paid
+    // Refund tokens only to participants who actually paid. The creator
+    // keeps what they earned, so the platform funds the refunds.
+    const journal = createJournal('class_refund', { reference: `classes:${classId}` });
     for (const participant of paidParticipants.rows) {
       const tokenPrice = parseFloat(participant.token_price);
 
@@ -585,7 +620,9 @@ router.delete('/:classId', authenticateToken, async (req, res) => {
         INSERT INTO token_transactions (user_id, amount, type, description, created_at)
         VALUES ($1, $2, 'credit', $3, NOW())
       `, [participant.user_id, tokenPrice, `Refund for cancelled class`]);
+      journal.debit('refunds', tokenPrice).creditUser(participant.user_id, tokenPrice);
     }
+    await journal.post(client);
 
     // Delete participants
     await client.query('DELETE FROM class_participants WHERE class_id = $1', [classId]);
@@ -997,6 +1034,11 @@ router.post('/:classId/mark-attendance', authenticateToken, async (req, res) =>
       return res.status(403).json({ error: 'Not enrolled in this class' });
     }
 
+    if (classData.skipped_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This class has been skipped' });
+    }
+
     // Check if already paid (attended before)
     if (enrollment.rows[0].attended) {
       // Already paid, just return success
@@ -1008,6 +1050,22 @@ router.post('/:classId/mark-attendance', authenticateToken, async (req, res) =>
       });
     }
 
+    // Series enrollments were paid up front at the bundle price
+    if (enrollment.rows[0].series_enrollment_id) {
+      await client.query(
+        `UPDATE class_participants
+         SET attended = true, attended_at = NOW(), status = 'attended'
+         WHERE class_id = $1 AND user_id = $2`,
+        [classId, userDbId]
+      );
+      await client.query('COMMIT');
+      return res.json({
+        success: true,
+        alreadyPaid: true,
+        message: 'Welcome! This class is included in your series enrollment.'
+      });
+    }
+
     // Get current token balance
     const balanceResult = await client.query(
       'SELECT balance FROM token_balances WHERE user_id = $1',
@@ -1049,7 +1107,12 @@ router.post('/:classId/mark-attendance', authenticateToken, async (req, res) =>
       [classId, userDbId]
     );
 
-    // Transfer tokens to creator (credit creator account)
+    // Transfer tokens to creator (credit creator account), net of the platform fee
+    const fees = await calculateFees(client, {
+      creatorId: classData.creator_id,
+      revenueType: 'ticket',
+      grossTokens: tokenPrice
+    });
     await client.query(`
       INSERT INTO token_balances (user_id, balance, updated_at)
       VALUES ($1, COALESCE((SELECT balance FROM token_balances WHERE user_id = $1), 0) + $2, NOW())
@@ -1057,13 +1120,18 @@ router.post('/:classId/mark-attendance', authenticateToken, async (req, res) =>
       DO UPDATE SET
         balance = token_balances.balance + $2,
         updated_at = NOW()
-    `, [classData.creator_id, tokenPrice]);
+    `, [classData.creator_id, fees.creatorNetTokens]);
 
     // Record creator's earning
     await client.query(`
-      INSERT INTO token_transactions (user_id, amount, type, description, created_at)
-      VALUES ($1, $2, 'credit', $3, NOW())
-    `, [classData.creator_id, tokenPrice, `Class revenue: ${classData.title}`]);
+      INSERT INTO token_transactions (user_id, amount, type, description, fee_breakdown, created_at)
+      VALUES ($1, $2, 'credit', $3, $4, NOW())
+    `, [classData.creator_id, fees.creatorNetTokens, `Class revenue: ${classData.title}`, JSON.stringify(fees)]);
+    await createJournal('class_attendance', { reference: `classes:${classId}` })
+      .debitUser(userDbId, tokenPrice)
+      .creditUser(classData.creator_id, fees.creatorNetTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
 
     await client.query('COMMIT');
 
@@ -1089,29 +1157,73 @@ router.post('/:classId/mark-attendance', authenticateToken, async (req, res) =>
   }
 });
 
-// Create recurring classes
+function formatSeries(series) {
+  return {
+    id: series.id,
+    parentSeriesId: series.parent_series_id,
+    rrule: series.rrule,
+    startTime: series.dtstart,
+    timezone: series.timezone,
+    exdates: series.exdates || [],
+    title: series.title,
+    duration: series.duration_minutes,
+    maxParticipants: series.max_participants,
+    tokenPrice: parseFloat(series.token_price),
+    bundlePrice: series.bundle_price,
+    status: series.status
+  };
+}
+
+function formatOccurrence(classRow) {
+  return {
+    id: classRow.id,
+    title: classRow.title,
+    startTime: classRow.start_time,
+    duration: classRow.duration_minutes,
+    occurrenceStart: classRow.occurrence_start,
+    isException: classRow.is_exception,
+    skipped: Boolean(classRow.skipped_at),
+    tokenPrice: parseFloat(classRow.token_price)
+  };
+}
+
+function sendSeriesError(res, error, logMessage, publicMessage) {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  logger.error(logMessage, error);
+  return res.status(500).json({ error: publicMessage });
+}
+
+// Create a recurring class series from an RFC 5545 rule
+// Legacy clients may still send recurrence ('weekly' / 'monthly') + occurrences
 router.post('/recurring', authenticateToken, async (req, res) => {
+  const { startTime, timezone = 'UTC', exdates = [], bundlePrice, recurrence, occurrences } = req.body;
+  let { rrule } = req.body;
+
+  if (!rrule && ['weekly', 'monthly'].includes(recurrence)) {
+    rrule = `FREQ=${recurrence.toUpperCase()};COUNT=${parseInt(occurrences, 10) || 1}`;
+  }
+
+  if (!rrule || !startTime || !req.body.title || !req.body.category) {
+    return res.status(400).json({ error: 'title, category, startTime and rrule are required' });
+  }
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+  }
+  if (!Array.isArray(exdates)) {
+    return res.status(400).json({ error: 'exdates must be an array of start times' });
+  }
+  if (bundlePrice !== undefined && bundlePrice !== null && (!Number.isInteger(bundlePrice) || bundlePrice < 1)) {
+    return res.status(400).json({ error: 'bundlePrice must be a positive whole number of tokens' });
+  }
+
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
     const userId = req.user.supabase_id;
-    const {
-      title,
-      description,
-      category,
-      startTime,
-      duration,
-      maxParticipants,
-      tokenPrice,
-      tags,
-      requirements,
-      whatToExpect,
-      coverImage,
-      recurrence, // 'weekly' or 'monthly'
-      occurrences // number of classes to create
-    } = req.body;
 
     // Verify user is a creator
     const userResult = await client.query(
@@ -1125,79 +1237,244 @@ router.post('/recurring', authenticateToken, async (req, res) => {
     }
 
     const creatorId = userResult.rows[0].id;
-    const createdClasses = [];
 
-    // Create multiple classes based on recurrence pattern
-    for (let i = 0; i < occurrences; i++) {
-      const classStartTime = new Date(startTime);
+    const { series, classes } = await createSeries(client, {
+      creatorId,
+      rrule,
+      startTime,
+      timezone,
+      exdates,
+      bundlePrice: bundlePrice || null,
+      template: templateFromBody(req.body)
+    });
 
-      if (recurrence === 'weekly') {
-        classStartTime.setDate(classStartTime.getDate() + (i * 7));
-      } else if (recurrence === 'monthly') {
-        classStartTime.setMonth(classStartTime.getMonth() + i);
-      }
+    await client.query('COMMIT');
 
-      const result = await client.query(
-        `INSERT INTO classes (
-          creator_id, title, description, category, start_time,
-          duration_minutes, max_participants, token_price, tags,
-          requirements, what_to_expect, cover_image_url, created_at
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
-        RETURNING *`,
-        [
-          creatorId, title, description, category, classStartTime.toISOString(),
-          duration, maxParticipants, tokenPrice, JSON.stringify(tags),
-          requirements || '', whatToExpect || '', coverImage || null
-        ]
-      );
+    res.status(201).json({
+      success: true,
+      series: formatSeries(series),
+      classes: classes.map(formatOccurrence),
+      count: classes.length
+    });
 
-      createdClasses.push(result.rows[0]);
-
-      // Add to calendar
-      try {
-        const scheduledDate = classStartTime.toISOString().split('T')[0];
-        const scheduledTime = classStartTime.toTimeString().split(' ')[0].substring(0, 5);
-
-        await client.query(
-          `INSERT INTO calendar_events (
-            creator_id, event_type, title, description,
-            scheduled_date, scheduled_time, duration_minutes,
-            status, reference_id, reference_type
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-          [
-            creatorId, 'class', title, description,
-            scheduledDate, scheduledTime, duration,
-            'scheduled', result.rows[0].id, 'class'
-          ]
-        );
-      } catch (calendarError) {
-        logger.error('Error syncing recurring class to calendar:', calendarError);
+    logger.info(`Created class series ${series.id} with ${classes.length} classes`, {
+      creatorId,
+      rrule: series.rrule
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendSeriesError(res, error, 'Error creating recurring classes:', 'Failed to create recurring classes');
+  } finally {
+    client.release();
+  }
+});
+
+// Get a class series with its occurrences
+router.get('/series/:seriesId', authenticateToken, async (req, res) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id FROM users WHERE supabase_id = $1',
+      [req.user.supabase_id]
+    );
+
+    if (!userResult.rows[0]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userDbId = userResult.rows[0].id;
+
+    const seriesResult = await pool.query(
+      'SELECT * FROM class_series WHERE id = $1',
+      [req.params.seriesId]
+    );
+
+    if (!seriesResult.rows[0]) {
+      return res.status(404).json({ error: 'Class series not found' });
+    }
+
+    const [classes, enrollment] = await Promise.all([
+      pool.query(
+        `SELECT * FROM classes
+         WHERE series_id = $1
+         ORDER BY start_time ASC`,
+        [req.params.seriesId]
+      ),
+      pool.query(
+        'SELECT id, price_paid, refunded_tokens, created_at FROM class_series_enrollments WHERE series_id = $1 AND user_id = $2',
+        [req.params.seriesId, userDbId]
+      )
+    ]);
+
+    res.json({
+      series: formatSeries(seriesResult.rows[0]),
+      classes: classes.rows.map(formatOccurrence),
+      enrollment: enrollment.rows[0] || null
+    });
+
+  } catch (error) {
+    logger.error('Error fetching class series:', error);
+    res.status(500).json({ error: 'Failed to fetch class series' });
+  }
+});
+
+// Edit this occurrence, this and following occurrences, or all of a series
+router.put('/series/:seriesId/occurrences/:classId', authenticateToken, async (req, res) => {
+  const { scope, startTime, rrule, timezone } = req.body;
+
+  if (!EDIT_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of ${EDIT_SCOPES.join(', ')}` });
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT id FROM users WHERE supabase_id = $1',
+      [req.user.supabase_id]
+    );
+
+    if (!userResult.rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const series = await lockSeries(client, req.params.seriesId, userResult.rows[0].id);
+
+    const result = await updateOccurrences(client, {
+      series,
+      classId: req.params.classId,
+      scope,
+      template: templateFromBody(req.body),
+      startTime,
+      rrule,
+      timezone
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      series: formatSeries(result.series),
+      classes: result.classes.map(formatOccurrence)
+    });
+
+    logger.info(`Class series ${series.id} updated`, { scope, classId: req.params.classId });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendSeriesError(res, error, 'Error updating class series:', 'Failed to update class series');
+  } finally {
+    client.release();
+  }
+});
+
+// Skip one occurrence; enrollments are kept and series enrollees get their share back
+router.post('/series/:seriesId/occurrences/:classId/skip', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT id FROM users WHERE supabase_id = $1',
+      [req.user.supabase_id]
+    );
+
+    if (!userResult.rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const series = await lockSeries(client, req.params.seriesId, userResult.rows[0].id);
+    const classRow = await getOccurrence(client, series, req.params.classId);
+    const { class: skipped, refunded } = await skipOccurrence(client, series, classRow);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      class: formatOccurrence(skipped),
+      refundedEnrollments: refunded
+    });
+
+    logger.info(`Class ${skipped.id} skipped in series ${series.id}`, { refunded });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendSeriesError(res, error, 'Error skipping class:', 'Failed to skip class');
+  } finally {
+    client.release();
+  }
+});
+
+// Enroll in every upcoming class of a series at the bundle price
+router.post('/series/:seriesId/enroll', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userId = req.user.supabase_id;
+
+    const userResult = await client.query(
+      'SELECT id FROM users WHERE supabase_id = $1',
+      [userId]
+    );
+
+    if (!userResult.rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const series = await lockSeries(client, req.params.seriesId);
+
+    // Intake forms are attached per class, so check every class being bought
+    const upcoming = await client.query(
+      `SELECT id FROM classes
+       WHERE series_id = $1 AND skipped_at IS NULL AND start_time > NOW()
+       ORDER BY start_time ASC`,
+      [series.id]
+    );
+
+    for (const { id: classId } of upcoming.rows) {
+      const intake = await checkIntakeRequirement('class', classId, userId);
+      if (!intake.completed) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Please complete the intake form before enrolling',
+          intakeRequired: true,
+          intakeFormId: intake.formId,
+          classId
+        });
       }
     }
 
+    const { enrollment, classIds } = await enrollInSeries(client, {
+      series,
+      userDbId: userResult.rows[0].id,
+      userSupabaseId: userId
+    });
+
     await client.query('COMMIT');
 
     res.status(201).json({
       success: true,
-      classes: createdClasses.map(c => ({
-        id: c.id,
-        title: c.title,
-        startTime: c.start_time,
-        duration: c.duration_minutes
-      })),
-      count: createdClasses.length
+      enrollmentId: enrollment.id,
+      pricePaid: enrollment.price_paid,
+      classIds
     });
 
-    logger.info(`Created ${createdClasses.length} recurring classes`, {
-      creatorId,
-      recurrence
-    });
+    logger.info(`User ${userId} enrolled in class series ${series.id}`, { classes: classIds.length });
 
   } catch (error) {
     await client.query('ROLLBACK');
-    logger.error('Error creating recurring classes:', error);
-    res.status(500).json({ error: 'Failed to create recurring classes' });
+    sendSeriesError(res, error, 'Error enrolling in class series:', 'Failed to enroll in class series');
   } finally {
     client.release();
   }
@@ -3,6 +3,17 @@ const { Pool } = require('pg');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { TOKEN_VALUE } = require('../utils/token-transfers');
+const { createJournal } = require('../utils/token-ledger');
+const {
+  SPLIT_MODES,
+  validateFixedShares,
+  createAgreement,
+  creditSplitRevenue,
+  endAgreement,
+  setOnAir,
+  getMemberEarnings
+} = require('../utils/revenue-splits');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -15,7 +26,8 @@ router.post('/create', [
   body('title').isLength({ min: 3, max: 100 }),
   body('description').optional().isLength({ max: 500 }),
   body('scheduledFor').optional().isISO8601(),
-  body('revenueSharing').isObject(),
+  body('revenueSharing').optional().isObject(),
+  body('splitMode').optional().isIn(SPLIT_MODES),
   body('sessionType').isIn(['video', 'voice', 'stream'])
 ], authenticateToken, async (req, res) => {
   try {
@@ -34,7 +46,8 @@ router.post('/create', [
       sessionType,
       isPublic = true,
       maxDuration,
-      pricePerMinute
+      pricePerMinute,
+      splitMode = 'fixed'
     } = req.body;
 
     // Verify user is a creator
@@ -59,19 +72,14 @@ router.post('/create', [
       return res.status(400).json({ error: 'One or more collaborators not found or not creators' });
     }
 
-    // Validate revenue sharing percentages add up to 100%
-    const totalPercentage = Object.values(revenueSharing).reduce((sum, pct) => sum + pct, 0);
-    if (Math.abs(totalPercentage - 100) > 0.01) {
-      return res.status(400).json({ error: 'Revenue sharing percentages must add up to 100%' });
-    }
-
-    // Ensure all collaborators are included in revenue sharing
-    const allParticipants = [creatorId, ...collaboratorIds];
-    for (const participant of allParticipants) {
-      if (!(participant in revenueSharing)) {
-        return res.status(400).json({ 
-          error: `Missing revenue sharing percentage for participant: ${participant}` 
-        });
+    // A fixed split needs a percentage per participant adding up to 100%;
+    // a time-weighted one is worked out from on-air time during the session
+    let shares = null;
+    if (splitMode === 'fixed') {
+      try {
+        shares = validateFixedShares(revenueSharing, [creatorId, ...collaboratorIds]);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
     }
 
@@ -83,8 +91,8 @@ router.post('/create', [
       const collaborationQuery = await client.query(`
         INSERT INTO collaborations 
         (creator_id, title, description, session_type, scheduled_for, revenue_sharing, 
-         is_public, max_duration_minutes, price_per_minute, status, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+         is_public, max_duration_minutes, price_per_minute, status, split_mode, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
         RETURNING *
       `, [
         creatorId, 
@@ -92,11 +100,12 @@ router.post('/create', [
         description, 
         sessionType, 
         scheduledFor ? new Date(scheduledFor) : null,
-        JSON.stringify(revenueSharing),
+        shares && JSON.stringify(shares),
         isPublic,
         maxDuration,
         pricePerMinute,
-        'pending'
+        'pending',
+        splitMode
       ]);
 
       const collaboration = collaborationQuery.rows[0];
@@ -112,7 +121,7 @@ router.post('/create', [
           collaboratorId,
           'collaborator',
           'invited',
-          revenueSharing[collaboratorId]
+          shares && shares[collaboratorId]
         ]);
 
         // Send notification to collaborator
@@ -130,22 +139,25 @@ router.post('/create', [
             inviterName: creatorQuery.rows[0].username,
             title,
             sessionType,
-            revenuePercentage: revenueSharing[collaboratorId]
+            splitMode,
+            splitVersion: collaboration.split_version,
+            revenuePercentage: shares && shares[collaboratorId]
           })
         ]);
       }
 
-      // Add creator as host participant
+      // Add creator as host participant; proposing the split counts as accepting it
       await client.query(`
         INSERT INTO collaboration_participants 
-        (collaboration_id, user_id, role, status, revenue_percentage, invited_at)
-        VALUES ($1, $2, $3, $4, $5, NOW())
+        (collaboration_id, user_id, role, status, revenue_percentage, accepted_split_version, invited_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
       `, [
         collaboration.id,
         creatorId,
         'host',
         'accepted',
-        revenueSharing[creatorId]
+        shares && shares[creatorId],
+        collaboration.split_version
       ]);
 
       await client.query('COMMIT');
@@ -158,13 +170,15 @@ router.post('/create', [
           description: collaboration.description,
           sessionType: collaboration.session_type,
           scheduledFor: collaboration.scheduled_for,
-          revenueSharing: JSON.parse(collaboration.revenue_sharing),
+          revenueSharing: shares,
+          splitMode: collaboration.split_mode,
+          splitVersion: collaboration.split_version,
           status: collaboration.status,
           createdAt: collaboration.created_at,
           collaborators: collaboratorsQuery.rows.map(c => ({
             id: c.supabase_id,
             username: c.username,
-            revenuePercentage: revenueSharing[c.supabase_id]
+            revenuePercentage: shares && shares[c.supabase_id]
           }))
         }
       });
@@ -182,9 +196,11 @@ router.post('/create', [
   }
 });
 
-// Respond to collaboration invitation
+// Respond to collaboration invitation. Accepting agrees to the current
+// revenue split; pass splitVersion to make sure it's the one you were shown.
 router.post('/:collaborationId/respond', [
-  body('response').isIn(['accept', 'decline'])
+  body('response').isIn(['accept', 'decline']),
+  body('splitVersion').optional().isInt({ min: 1 }).toInt()
 ], authenticateToken, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -194,99 +210,253 @@ router.post('/:collaborationId/respond', [
 
     const userId = req.user.supabase_id;
     const { collaborationId } = req.params;
-    const { response } = req.body;
+    const { response, splitVersion } = req.body;
 
-    // Get collaboration and participant details
-    const participantQuery = await pool.query(`
-      SELECT 
-        cp.*,
-        c.title as collaboration_title,
-        c.creator_id,
-        c.status as collaboration_status,
-        host.username as host_username
-      FROM collaboration_participants cp
-      JOIN collaborations c ON cp.collaboration_id = c.id
-      JOIN users host ON c.creator_id = host.id
-      WHERE cp.collaboration_id = $1 AND cp.user_id = $2 AND cp.status = 'invited'
-    `, [collaborationId, userId]);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    if (participantQuery.rows.length === 0) {
-      return res.status(404).json({ error: 'Collaboration invitation not found' });
-    }
+      // Lock the collaboration so the host can't revise the split mid-response
+      const participantQuery = await client.query(`
+        SELECT 
+          cp.*,
+          c.title as collaboration_title,
+          c.creator_id,
+          c.status as collaboration_status,
+          c.split_mode,
+          c.split_version,
+          host.username as host_username
+        FROM collaboration_participants cp
+        JOIN collaborations c ON cp.collaboration_id = c.id
+        JOIN users host ON c.creator_id = host.supabase_id
+        WHERE cp.collaboration_id = $1 AND cp.user_id = $2 AND cp.status = 'invited'
+        FOR UPDATE OF c, cp
+      `, [collaborationId, userId]);
+
+      if (participantQuery.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Collaboration invitation not found' });
+      }
 
-    const participant = participantQuery.rows[0];
+      const participant = participantQuery.rows[0];
+
+      if (response === 'accept' && splitVersion && splitVersion !== participant.split_version) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'The revenue split has changed. Review the new terms before accepting.',
+          split: {
+            mode: participant.split_mode,
+            version: participant.split_version,
+            revenuePercentage: participant.revenue_percentage == null ? null : parseFloat(participant.revenue_percentage)
+          }
+        });
+      }
 
-    // Update participant status
-    const newStatus = response === 'accept' ? 'accepted' : 'declined';
-    await pool.query(`
-      UPDATE collaboration_participants 
-      SET status = $1, response_at = NOW()
-      WHERE collaboration_id = $2 AND user_id = $3
-    `, [newStatus, collaborationId, userId]);
+      // Update participant status
+      const newStatus = response === 'accept' ? 'accepted' : 'declined';
+      await client.query(`
+        UPDATE collaboration_participants 
+        SET status = $1, response_at = NOW(), accepted_split_version = $4
+        WHERE collaboration_id = $2 AND user_id = $3
+      `, [newStatus, collaborationId, userId, response === 'accept' ? participant.split_version : null]);
+
+      // Check if all participants have responded
+      const allParticipantsQuery = await client.query(`
+        SELECT 
+          COUNT(*) as total,
+          COUNT(*) FILTER (WHERE status = 'accepted') as accepted,
+          COUNT(*) FILTER (WHERE status = 'declined') as declined
+        FROM collaboration_participants 
+        WHERE collaboration_id = $1
+      `, [collaborationId]);
+
+      const stats = allParticipantsQuery.rows[0];
+      let collaborationStatus = 'pending';
+
+      if (parseInt(stats.declined) > 0) {
+        collaborationStatus = 'cancelled';
+      } else if (parseInt(stats.accepted) === parseInt(stats.total)) {
+        collaborationStatus = 'confirmed';
+      }
 
-    // Check if all participants have responded
-    const allParticipantsQuery = await pool.query(`
-      SELECT 
-        COUNT(*) as total,
-        COUNT(*) FILTER (WHERE status = 'accepted') as accepted,
-        COUNT(*) FILTER (WHERE status = 'declined') as declined
-      FROM collaboration_participants 
-      WHERE collaboration_id = $1
-    `, [collaborationId]);
+      // Update collaboration status if needed
+      if (collaborationStatus !== 'pending') {
+        await client.query(`
+          UPDATE collaborations 
+          SET status = $1, confirmed_at = $2
+          WHERE id = $3
+        `, [
+          collaborationStatus,
+          collaborationStatus === 'confirmed' ? new Date() : null,
+          collaborationId
+        ]);
+
+        // Notify host about status change
+        await client.query(`
+          INSERT INTO notifications 
+          (recipient_id, type, title, content, data, created_at)
+          VALUES ($1, 'collaboration_status', 'Collaboration Update', 
+                  $2, $3, NOW())
+        `, [
+          participant.creator_id,
+          collaborationStatus === 'confirmed' 
+            ? `All collaborators accepted! "${participant.collaboration_title}" is ready to go.`
+            : `Collaboration "${participant.collaboration_title}" was cancelled due to declined invitations.`,
+          JSON.stringify({
+            collaborationId,
+            status: collaborationStatus,
+            responderId: userId
+          })
+        ]);
+      }
+
+      await client.query('COMMIT');
+
+      res.json({
+        success: true,
+        message: `Collaboration invitation ${response}ed`,
+        collaboration: {
+          id: collaborationId,
+          status: collaborationStatus,
+          userResponse: newStatus,
+          splitMode: participant.split_mode,
+          splitVersion: participant.split_version
+        }
+      });
 
-    const stats = allParticipantsQuery.rows[0];
-    let collaborationStatus = 'pending';
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('❌ Error responding to collaboration:', error);
+    res.status(500).json({ error: 'Failed to respond to collaboration' });
+  }
+});
 
-    if (parseInt(stats.declined) > 0) {
-      collaborationStatus = 'cancelled';
-    } else if (parseInt(stats.accepted) === parseInt(stats.total)) {
-      collaborationStatus = 'confirmed';
+// Revise the revenue split before the session starts (host only). Every
+// collaborator has to accept the new terms again.
+router.put('/:collaborationId/split', [
+  body('splitMode').isIn(SPLIT_MODES),
+  body('revenueSharing').optional().isObject()
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Update collaboration status if needed
-    if (collaborationStatus !== 'pending') {
-      await pool.query(`
+    const userId = req.user.supabase_id;
+    const { collaborationId } = req.params;
+    const { splitMode, revenueSharing } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const collaborationQuery = await client.query(`
+        SELECT * FROM collaborations 
+        WHERE id = $1 AND creator_id = $2
+        FOR UPDATE
+      `, [collaborationId, userId]);
+
+      if (collaborationQuery.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Collaboration not found' });
+      }
+
+      const collaboration = collaborationQuery.rows[0];
+
+      if (!['pending', 'confirmed'].includes(collaboration.status)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'The revenue split can only change before the session starts' });
+      }
+
+      const participantsQuery = await client.query(`
+        SELECT user_id, role FROM collaboration_participants 
+        WHERE collaboration_id = $1
+      `, [collaborationId]);
+      const participants = participantsQuery.rows;
+
+      let shares = null;
+      if (splitMode === 'fixed') {
+        try {
+          shares = validateFixedShares(revenueSharing, participants.map(p => p.user_id));
+        } catch (error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const updated = await client.query(`
         UPDATE collaborations 
-        SET status = $1, confirmed_at = $2
+        SET split_mode = $1, revenue_sharing = $2, split_version = split_version + 1,
+            status = 'pending', confirmed_at = NULL
         WHERE id = $3
-      `, [
-        collaborationStatus,
-        collaborationStatus === 'confirmed' ? new Date() : null,
-        collaborationId
-      ]);
+        RETURNING split_version
+      `, [splitMode, shares && JSON.stringify(shares), collaborationId]);
+      const splitVersion = updated.rows[0].split_version;
 
-      // Notify host about status change
-      await pool.query(`
-        INSERT INTO notifications 
-        (recipient_id, type, title, content, data, created_at)
-        VALUES ($1, 'collaboration_status', 'Collaboration Update', 
-                $2, $3, NOW())
-      `, [
-        participant.creator_id,
-        collaborationStatus === 'confirmed' 
-          ? `All collaborators accepted! "${participant.collaboration_title}" is ready to go.`
-          : `Collaboration "${participant.collaboration_title}" was cancelled due to declined invitations.`,
-        JSON.stringify({
+      // The host agrees to their own terms; everyone else is asked again
+      for (const participant of participants) {
+        const isHost = participant.role === 'host';
+        await client.query(`
+          UPDATE collaboration_participants 
+          SET revenue_percentage = $1, status = $2, accepted_split_version = $3, response_at = NULL
+          WHERE collaboration_id = $4 AND user_id = $5
+        `, [
+          shares && shares[participant.user_id],
+          isHost ? 'accepted' : 'invited',
+          isHost ? splitVersion : null,
           collaborationId,
-          status: collaborationStatus,
-          responderId: userId
-        })
-      ]);
-    }
+          participant.user_id
+        ]);
 
-    res.json({
-      success: true,
-      message: `Collaboration invitation ${response}ed`,
-      collaboration: {
-        id: collaborationId,
-        status: collaborationStatus,
-        userResponse: newStatus
+        if (!isHost) {
+          await client.query(`
+            INSERT INTO notifications 
+            (recipient_id, type, title, content, data, created_at)
+            VALUES ($1, 'collaboration_split_changed', 'Revenue Split Changed', 
+                    $2, $3, NOW())
+          `, [
+            participant.user_id,
+            `The revenue split for "${collaboration.title}" changed. Please review and accept the new terms.`,
+            JSON.stringify({
+              collaborationId,
+              splitMode,
+              splitVersion,
+              revenuePercentage: shares && shares[participant.user_id]
+            })
+          ]);
+        }
       }
-    });
+
+      await client.query('COMMIT');
+
+      res.json({
+        success: true,
+        collaboration: {
+          id: collaboration.id,
+          status: 'pending',
+          splitMode,
+          splitVersion,
+          revenueSharing: shares
+        }
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
   } catch (error) {
-    console.error('❌ Error responding to collaboration:', error);
-    res.status(500).json({ error: 'Failed to respond to collaboration' });
+    console.error('❌ Error updating collaboration split:', error);
+    res.status(500).json({ error: 'Failed to update revenue split' });
   }
 });
 
@@ -359,6 +529,8 @@ router.get('/my-collaborations', authenticateToken, async (req, res) => {
         maxDuration: collab.max_duration_minutes,
         pricePerMinute: parseFloat(collab.price_per_minute) || 0,
         revenueSharing: JSON.parse(collab.revenue_sharing),
+        splitMode: collab.split_mode,
+        splitVersion: collab.split_version,
         userRole: collab.user_role,
         userStatus: collab.user_status,
         userRevenuePercentage: parseFloat(collab.revenue_percentage),
@@ -454,6 +626,21 @@ router.post('/:collaborationId/start', authenticateToken, async (req, res) => {
         ]);
       }
 
+      // Everyone accepted this version of the split; it covers the host's
+      // tips, gifts and ticket sales until the session ends
+      const agreement = await createAgreement(client, {
+        sourceType: 'collaboration',
+        collaborationId: collaboration.id,
+        hostId: collaboration.creator_id,
+        mode: collaboration.split_mode,
+        termsVersion: collaboration.split_version,
+        members: participants.map(p => ({
+          userId: p.user_id,
+          role: p.role === 'host' ? 'host' : 'collaborator',
+          sharePercent: p.revenue_percentage
+        }))
+      });
+
       // Update collaboration status
       await client.query(`
         UPDATE collaborations 
@@ -492,6 +679,11 @@ router.post('/:collaborationId/start', authenticateToken, async (req, res) => {
           sessionType: session.type,
           status: 'active',
           startTime: session.start_time,
+          revenueSplit: {
+            agreementId: agreement.id,
+            mode: agreement.mode,
+            termsVersion: agreement.terms_version
+          },
           participants: participants.map(p => ({
             userId: p.user_id,
             username: p.username,
@@ -526,7 +718,9 @@ router.post('/:collaborationId/end', authenticateToken, async (req, res) => {
       SELECT 
         s.*,
         c.title as collaboration_title,
-        c.revenue_sharing,
+        c.creator_id as host_id,
+        c.split_mode,
+        c.split_version,
         cp.role as user_role
       FROM sessions s
       JOIN collaborations c ON s.collaboration_id = c.id
@@ -548,6 +742,7 @@ router.post('/:collaborationId/end', authenticateToken, async (req, res) => {
     const endTime = new Date();
     const durationMinutes = Math.ceil((endTime - new Date(session.start_time)) / (1000 * 60));
     const totalRevenue = durationMinutes * (parseFloat(session.price_per_min) || 0);
+    const totalTokens = Math.floor(totalRevenue / TOKEN_VALUE);
 
     const client = await pool.connect();
     try {
@@ -560,38 +755,83 @@ router.post('/:collaborationId/end', authenticateToken, async (req, res) => {
         WHERE id = $4
       `, [endTime, durationMinutes, totalRevenue, session.id]);
 
-      // Distribute revenue to participants
-      const revenueSharing = JSON.parse(session.revenue_sharing);
       const participantsQuery = await client.query(`
-        SELECT user_id, revenue_percentage 
+        SELECT user_id, role, revenue_percentage 
         FROM session_participants 
         WHERE session_id = $1
       `, [session.id]);
 
-      for (const participant of participantsQuery.rows) {
-        const participantRevenue = totalRevenue * (parseFloat(participant.revenue_percentage) / 100);
-        const participantTokens = Math.floor(participantRevenue * 20); // $0.05 per token
-
-        // Add earnings to participant
-        await client.query(`
-          INSERT INTO token_balances (user_id, balance)
-          VALUES ($1, $2)
-          ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2
-        `, [participant.user_id, participantTokens]);
+      // Sessions started before split agreements existed get one on the
+      // percentages they were started with
+      const agreementQuery = await client.query(`
+        SELECT id FROM revenue_split_agreements 
+        WHERE collaboration_id = $1 AND status = 'active'
+        ORDER BY started_at DESC
+        LIMIT 1
+      `, [collaborationId]);
+      const agreementId = agreementQuery.rows[0]?.id || (await createAgreement(client, {
+        sourceType: 'collaboration',
+        collaborationId: parseInt(collaborationId),
+        hostId: session.host_id,
+        mode: 'fixed',
+        termsVersion: session.split_version,
+        members: participantsQuery.rows.map(p => ({
+          userId: p.user_id,
+          role: p.role === 'host' ? 'host' : 'collaborator',
+          sharePercent: p.revenue_percentage
+        }))
+      })).id;
+
+      // Stop the on-air clocks first so a time-weighted split covers the
+      // whole session, not just whoever is still on air
+      await endAgreement(client, agreementId);
+
+      // Session revenue is billed in USD, so its tokens are newly issued
+      const journal = createJournal('collaboration_earning', { reference: `sessions:${session.id}` });
+      journal.debit('token_issuance', totalTokens);
+      const split = await creditSplitRevenue(client, {
+        hostId: session.host_id,
+        grossTokens: totalTokens,
+        revenueType: 'session',
+        agreementId,
+        sourceRef: session.id,
+        credit: async (participantId, tokens) => {
+          await client.query(`
+            INSERT INTO token_balances (user_id, balance)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2
+          `, [participantId, tokens]);
 
-        // Record transaction
-        await client.query(`
-          INSERT INTO token_transactions 
-          (user_id, type, tokens, amount_usd, status, session_id, collaboration_id, created_at)
-          VALUES ($1, 'collaboration_earning', $2, $3, 'completed', $4, $5, NOW())
-        `, [participant.user_id, participantTokens, participantRevenue, session.id, collaborationId]);
+          await client.query(`
+            INSERT INTO token_transactions 
+            (user_id, type, tokens, amount_usd, status, session_id, collaboration_id, created_at)
+            VALUES ($1, 'collaboration_earning', $2, $3, 'completed', $4, $5, NOW())
+          `, [participantId, tokens, tokens * TOKEN_VALUE, session.id, collaborationId]);
+          journal.creditUser(participantId, tokens, { account: 'creator_earnings' });
+
+          // Nobody is charged per minute here, so there's no platform fee to take
+          return { revenueType: 'session', grossTokens: tokens, platformFeeTokens: 0, creatorNetTokens: tokens };
+        }
+      });
+      await journal.post(client);
+
+      const distribution = participantsQuery.rows.map(p => {
+        const allocation = split.allocations.find(a => a.userId === p.user_id);
+        return {
+          userId: p.user_id,
+          percentage: allocation ? allocation.sharePercent : 0,
+          tokens: allocation ? allocation.netTokens : 0,
+          amount: allocation ? allocation.netTokens * TOKEN_VALUE : 0
+        };
+      });
 
+      for (const participant of distribution) {
         // Update user earnings
         await client.query(`
           UPDATE users 
           SET total_earnings = total_earnings + $1, total_sessions = total_sessions + 1
           WHERE supabase_id = $2
-        `, [participantRevenue, participant.user_id]);
+        `, [participant.amount, participant.userId]);
       }
 
       // Update collaboration status
@@ -602,22 +842,20 @@ router.post('/:collaborationId/end', authenticateToken, async (req, res) => {
       `, [endTime, totalRevenue, collaborationId]);
 
       // Notify all participants
-      for (const participant of participantsQuery.rows) {
-        const participantRevenue = totalRevenue * (parseFloat(participant.revenue_percentage) / 100);
-        
+      for (const participant of distribution) {
         await client.query(`
           INSERT INTO notifications 
           (recipient_id, type, title, content, data, created_at)
           VALUES ($1, 'collaboration_ended', 'Collaboration Completed!', 
                   $2, $3, NOW())
         `, [
-          participant.user_id,
-          `Collaboration "${session.collaboration_title}" has ended. You earned $${participantRevenue.toFixed(2)}!`,
+          participant.userId,
+          `Collaboration "${session.collaboration_title}" has ended. You earned $${participant.amount.toFixed(2)}!`,
           JSON.stringify({
             collaborationId,
             sessionId: session.id,
             duration: durationMinutes,
-            revenue: participantRevenue,
+            revenue: participant.amount,
             totalRevenue
           })
         ]);
@@ -633,11 +871,7 @@ router.post('/:collaborationId/end', authenticateToken, async (req, res) => {
           duration: durationMinutes,
           totalRevenue,
           endTime,
-          revenueDistribution: participantsQuery.rows.map(p => ({
-            userId: p.user_id,
-            percentage: parseFloat(p.revenue_percentage),
-            amount: totalRevenue * (parseFloat(p.revenue_percentage) / 100)
-          }))
+          revenueDistribution: distribution
         }
       });
 
@@ -654,6 +888,51 @@ router.post('/:collaborationId/end', authenticateToken, async (req, res) => {
   }
 });
 
+// Go on or off air during an active session. Time-weighted splits share
+// revenue by on-air time.
+router.post('/:collaborationId/presence', [
+  body('onAir').isBoolean().toBoolean()
+], authenticateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.supabase_id;
+    const { collaborationId } = req.params;
+
+    const agreementQuery = await pool.query(`
+      SELECT id FROM revenue_split_agreements 
+      WHERE collaboration_id = $1 AND status = 'active'
+    `, [collaborationId]);
+
+    if (agreementQuery.rows.length === 0) {
+      return res.status(404).json({ error: 'Active collaboration session not found' });
+    }
+
+    const member = await setOnAir(pool, {
+      agreementId: agreementQuery.rows[0].id,
+      userId,
+      onAir: req.body.onAir
+    });
+
+    if (!member) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      onAir: Boolean(member.on_air_since),
+      onAirSeconds: member.on_air_seconds
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating collaboration presence:', error);
+    res.status(500).json({ error: 'Failed to update presence' });
+  }
+});
+
 // Get collaboration analytics
 router.get('/:collaborationId/analytics', authenticateToken, async (req, res) => {
   try {
@@ -703,6 +982,17 @@ router.get('/:collaborationId/analytics', authenticateToken, async (req, res) =>
 
     const analytics = analyticsQuery.rows[0];
 
+    // What each participant actually earned under the split, from every
+    // tip, gift, ticket and the session fee shared during the session
+    const agreementQuery = await pool.query(`
+      SELECT * FROM revenue_split_agreements 
+      WHERE collaboration_id = $1
+      ORDER BY started_at DESC
+      LIMIT 1
+    `, [collaborationId]);
+    const agreement = agreementQuery.rows[0];
+    const splitParticipants = agreement ? await getMemberEarnings(pool, agreement) : [];
+
     res.json({
       success: true,
       analytics: {
@@ -713,7 +1003,9 @@ router.get('/:collaborationId/analytics', authenticateToken, async (req, res) =>
           sessionType: analytics.session_type,
           createdAt: analytics.created_at,
           startedAt: analytics.started_at,
-          endedAt: analytics.ended_at
+          endedAt: analytics.ended_at,
+          splitMode: analytics.split_mode,
+          splitVersion: analytics.split_version
         },
         session: analytics.duration_minutes ? {
           duration: analytics.duration_minutes,
@@ -729,6 +1021,20 @@ router.get('/:collaborationId/analytics', authenticateToken, async (req, res) =>
           avgRevenueShare: parseFloat(analytics.avg_revenue_share) || 0,
           earnings: analytics.participant_earnings || []
         },
+        revenueSplit: agreement ? {
+          agreementId: agreement.id,
+          mode: agreement.mode,
+          termsVersion: agreement.terms_version,
+          status: agreement.status,
+          startedAt: agreement.started_at,
+          endedAt: agreement.ended_at,
+          totals: {
+            grossTokens: splitParticipants.reduce((sum, p) => sum + p.grossTokens, 0),
+            platformFeeTokens: splitParticipants.reduce((sum, p) => sum + p.platformFeeTokens, 0),
+            netTokens: splitParticipants.reduce((sum, p) => sum + p.netTokens, 0)
+          },
+          participants: splitParticipants
+        } : null,
         performance: {
           isSuccessful: analytics.status === 'completed',
           durationVsPlanned: analytics.max_duration_minutes && analytics.duration_minutes
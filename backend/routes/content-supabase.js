@@ -3,6 +3,8 @@ const router = express.Router();
 const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
 const multer = require('multer');
 const { createClient } = require('@supabase/supabase-js');
 
@@ -509,11 +511,35 @@ router.post('/purchase', authenticateToken, async (req, res) => {
       'content_purchase'
     ]);
 
-    // Credit creator
+    // Credit creator, net of the platform fee
+    const fees = await calculateFees(client, {
+      creatorId: content.creator_id,
+      revenueType: 'ppv',
+      grossTokens: content.price
+    });
     await client.query(
       'UPDATE token_balances SET balance = balance + $1 WHERE supabase_user_id = $2',
-      [content.price, content.creator_id]
+      [fees.creatorNetTokens, content.creator_id]
     );
+    await client.query(`
+      INSERT INTO token_transactions (
+        id, user_id, transaction_type, amount, description,
+        related_id, related_type, fee_breakdown, created_at
+      ) VALUES ($1, $2, 'content_sale', $3, $4, $5, $6, $7, NOW())
+    `, [
+      uuidv4(),
+      content.creator_id,
+      fees.creatorNetTokens,
+      `Sold ${content.content_type}: ${content.title}`,
+      purchaseId,
+      'content_purchase',
+      JSON.stringify(fees)
+    ]);
+    await createJournal('content_purchase', { reference: `content_purchases:${purchaseId}` })
+      .debitUser(userId, Number(content.price))
+      .creditUser(content.creator_id, fees.creatorNetTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
 
     // Update content stats
     await client.query(
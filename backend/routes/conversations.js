@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const db = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
+const { HIGH_VALUE_TOKENS, rankConversations } = require('../utils/priority-inbox');
+const { fanSpendSql } = require('../utils/mass-messaging');
+
+// Conversations with no activity in this window drop out of the priority inbox
+const PRIORITY_INBOX_WINDOW_DAYS = 90;
 
 // Get all conversations for a user
 router.get('/', authenticateToken, async (req, res) => {
@@ -149,6 +154,145 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the creator's conversations ranked by fan value (PriorityInboxModal)
+// Each entry carries the score components so creators can see why it ranks there
+router.get('/priority', authenticateToken, async (req, res) => {
+  try {
+    const creatorId = req.user.supabase_id;
+    const { filter = 'all' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (!['all', 'unread', 'vip', 'high-value', 'unanswered'].includes(filter)) {
+      return res.status(400).json({ error: 'Invalid filter' });
+    }
+
+    const userResult = await db.query(
+      'SELECT is_creator FROM users WHERE supabase_id = $1',
+      [creatorId]
+    );
+
+    if (!userResult.rows[0]?.is_creator) {
+      return res.status(403).json({ error: 'Creator access required' });
+    }
+
+    const threadsResult = await db.query(`
+      WITH threads AS (
+        SELECT
+          m.conversation_id,
+          CASE WHEN m.sender_id = $1 THEN m.recipient_id ELSE m.sender_id END AS fan_id,
+          MAX(m.created_at) FILTER (WHERE m.sender_id = $1) AS last_reply_at,
+          MAX(m.created_at) AS last_message_at
+        FROM messages m
+        WHERE (m.sender_id = $1 OR m.recipient_id = $1)
+          AND COALESCE(m.is_deleted, false) = false
+          AND m.created_at > NOW() - make_interval(days => $2::int)
+        GROUP BY 1, 2
+      ),
+      pending AS (
+        SELECT
+          t.conversation_id,
+          MIN(m.created_at) AS waiting_since,
+          COUNT(*) AS unanswered_count,
+          COUNT(*) FILTER (WHERE m.is_read = false) AS unread_count,
+          COALESCE(SUM(m.tokens_spent), 0) AS paid_tokens
+        FROM threads t
+        JOIN messages m ON m.conversation_id = t.conversation_id AND m.sender_id = t.fan_id
+        WHERE m.created_at > COALESCE(t.last_reply_at, '-infinity'::timestamptz)
+          AND COALESCE(m.is_deleted, false) = false
+        GROUP BY t.conversation_id
+      )
+      SELECT
+        t.conversation_id,
+        t.fan_id,
+        t.last_message_at,
+        u.username,
+        u.display_name,
+        u.profile_pic_url,
+        u.is_online,
+        p.waiting_since,
+        COALESCE(p.unanswered_count, 0) AS unanswered_count,
+        COALESCE(p.unread_count, 0) AS unread_count,
+        COALESCE(p.paid_tokens, 0) AS paid_tokens,
+        EXISTS (
+          SELECT 1 FROM vip_fans v WHERE v.creator_id = $1 AND v.fan_id = t.fan_id
+        ) AS is_vip,
+        ${fanSpendSql('t.fan_id')} AS lifetime_tokens,
+        tier.name AS tier_name,
+        tier.tier_level,
+        lm.content AS last_message_content,
+        lm.sender_id AS last_message_sender
+      FROM threads t
+      JOIN users u ON u.supabase_id = t.fan_id
+      LEFT JOIN pending p ON p.conversation_id = t.conversation_id
+      LEFT JOIN LATERAL (
+        SELECT mt.name, mt.tier_level
+        FROM memberships ms
+        JOIN membership_tiers mt ON ms.tier_id = mt.id
+        WHERE ms.user_id = t.fan_id AND ms.creator_id = $1 AND ms.status = 'active'
+        ORDER BY mt.tier_level DESC
+        LIMIT 1
+      ) tier ON true
+      LEFT JOIN LATERAL (
+        SELECT content, sender_id
+        FROM messages
+        WHERE conversation_id = t.conversation_id AND COALESCE(is_deleted, false) = false
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) lm ON true
+    `, [creatorId, PRIORITY_INBOX_WINDOW_DAYS]);
+
+    const ranked = rankConversations(threadsResult.rows.map(row => ({
+      row,
+      signals: {
+        lifetimeTokens: Math.round(parseFloat(row.lifetime_tokens) || 0),
+        tierLevel: row.tier_level || 0,
+        tierName: row.tier_name,
+        isVIP: row.is_vip,
+        waitingSince: row.waiting_since,
+        paidTokens: parseInt(row.paid_tokens, 10) || 0
+      }
+    })));
+
+    const conversations = ranked
+      .map(({ row, signals, score, priority, components }) => ({
+        id: row.conversation_id,
+        userId: row.fan_id,
+        username: row.username,
+        displayName: row.display_name,
+        avatar: row.profile_pic_url,
+        isOnline: row.is_online || false,
+        lastMessage: row.last_message_content,
+        lastMessageFromFan: row.last_message_sender === row.fan_id,
+        timestamp: row.last_message_at,
+        unread: parseInt(row.unread_count, 10) > 0,
+        unreadCount: parseInt(row.unread_count, 10),
+        unansweredCount: parseInt(row.unanswered_count, 10),
+        waitingSince: row.waiting_since,
+        isVIP: row.is_vip,
+        totalSpent: signals.lifetimeTokens,
+        tier: row.tier_name,
+        score,
+        priority,
+        components
+      }))
+      .filter(conversation => {
+        switch (filter) {
+          case 'unread': return conversation.unread;
+          case 'vip': return conversation.isVIP;
+          case 'high-value': return conversation.totalSpent >= HIGH_VALUE_TOKENS;
+          case 'unanswered': return conversation.unansweredCount > 0;
+          default: return true;
+        }
+      })
+      .slice(0, limit);
+
+    res.json({ conversations, highValueThreshold: HIGH_VALUE_TOKENS });
+  } catch (error) {
+    console.error('Error fetching priority inbox:', error);
+    res.status(500).json({ error: 'Failed to fetch priority inbox' });
+  }
+});
+
 // Get messages for a conversation
 router.get('/:conversationId/messages', authenticateToken, async (req, res) => {
   try {
@@ -90,6 +90,47 @@ router.post('/payout-retry', async (req, res) => {
   }
 });
 
+/**
+ * Release payout reserve holds that have come due (daily at 1 AM UTC,
+ * before the payout run)
+ *
+ * Cron: 0 1 * * *
+ */
+router.post('/payout-reserves', async (req, res) => {
+  logger.info('Cron job started: payout-reserves');
+
+  try {
+    const payoutReserves = require('../../jobs/payout-reserves');
+    const result = await payoutReserves.processReserveReleases();
+
+    logger.info('Cron job completed: payout-reserves', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: payout-reserves', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Reconcile token balances against the ledger (nightly at 3:30 AM UTC)
+ *
+ * Cron: 30 3 * * *
+ */
+router.post('/ledger-reconciliation', async (req, res) => {
+  logger.info('Cron job started: ledger-reconciliation');
+
+  try {
+    const ledgerReconciliation = require('../../jobs/ledger-reconciliation');
+    const result = await ledgerReconciliation.processLedgerReconciliation();
+
+    logger.info('Cron job completed: ledger-reconciliation', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: ledger-reconciliation', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Daily loyalty perks (10 AM UTC)
  *
@@ -151,9 +192,11 @@ router.post('/loyalty-perks-monthly', async (req, res) => {
 });
 
 /**
- * Stream activity check (every 5 minutes)
+ * Stream activity check (every minute)
+ *
+ * Only one instance sweeps at a time; see utils/stream-activity-monitor.js.
  *
- * Cron: */5 * * * *
+ * Cron: * * * * *
  */
 router.post('/stream-activity-check', async (req, res) => {
   logger.info('Cron job started: stream-activity-check');
@@ -170,6 +213,132 @@ router.post('/stream-activity-check', async (req, res) => {
   }
 });
 
+/**
+ * Scheduled direct messages (every minute)
+ *
+ * Cron: * * * * *
+ */
+router.post('/scheduled-messages', async (req, res) => {
+  logger.info('Cron job started: scheduled-messages');
+
+  try {
+    const scheduledMessages = require('../../jobs/scheduled-messages');
+    const result = await scheduledMessages.processDueScheduledMessages();
+
+    logger.info('Cron job completed: scheduled-messages', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: scheduled-messages', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Mass message campaign delivery (every minute)
+ *
+ * Cron: * * * * *
+ */
+router.post('/mass-messages', async (req, res) => {
+  logger.info('Cron job started: mass-messages');
+
+  try {
+    const massMessageCampaigns = require('../../jobs/mass-message-campaigns');
+    const result = await massMessageCampaigns.processMassMessageQueue();
+
+    logger.info('Cron job completed: mass-messages', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: mass-messages', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Ticketed show reminders and unstarted show refunds (every minute)
+ *
+ * Cron: * * * * *
+ */
+router.post('/ticketed-shows', async (req, res) => {
+  logger.info('Cron job started: ticketed-shows');
+
+  try {
+    const ticketedShows = require('../../jobs/ticketed-shows');
+    const result = await ticketedShows.processTicketedShows();
+
+    logger.info('Cron job completed: ticketed-shows', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: ticketed-shows', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Clip rendering
+ *
+ * Not scheduled on Vercel: rendering needs ffmpeg and more than the function
+ * timeout. Long-running servers render from jobs/cron-config.js; this route is
+ * for external schedulers on hosts that have ffmpeg.
+ *
+ * Cron: * * * * *
+ */
+router.post('/clip-renders', async (req, res) => {
+  logger.info('Cron job started: clip-renders');
+
+  try {
+    const clipRenders = require('../../jobs/clip-renders');
+    const result = await clipRenders.processClipRenderQueue();
+
+    logger.info('Cron job completed: clip-renders', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: clip-renders', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * VOD HLS packaging
+ *
+ * Not scheduled on Vercel for the same reason as clip rendering.
+ *
+ * Cron: * * * * *
+ */
+router.post('/vod-packaging', async (req, res) => {
+  logger.info('Cron job started: vod-packaging');
+
+  try {
+    const vodPackaging = require('../../jobs/vod-packaging');
+    const result = await vodPackaging.processVodPackaging();
+
+    logger.info('Cron job completed: vod-packaging', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: vod-packaging', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Stream raid request expiry and retention/follow analytics (every minute)
+ *
+ * Cron: * * * * *
+ */
+router.post('/stream-raids', async (req, res) => {
+  logger.info('Cron job started: stream-raids');
+
+  try {
+    const streamRaids = require('../../jobs/stream-raids');
+    const result = await streamRaids.processStreamRaids();
+
+    logger.info('Cron job completed: stream-raids', { result });
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Cron job failed: stream-raids', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Cleanup tasks (hourly)
  *
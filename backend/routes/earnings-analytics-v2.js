@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
+const { getRetention } = require('../utils/vod-progress');
 
 // Get comprehensive earnings analytics including VOD
 router.get('/analytics', authenticateToken, async (req, res) => {
@@ -234,10 +235,30 @@ router.get('/vod-analytics', authenticateToken, async (req, res) => {
     `;
     
     const topVODsResult = await pool.query(topVODsQuery, [userId, startDate]);
+
+    // Retention curves (drop-off by minute) over all viewers of each recording
+    const retentionRecordings = [...topVODsResult.rows];
+    const { recordingId } = req.query;
+    if (recordingId && !retentionRecordings.some(vod => vod.id === recordingId)) {
+      const recordingResult = await pool.query(
+        'SELECT id, duration_seconds FROM stream_recordings WHERE id = $1 AND creator_id = $2',
+        [recordingId, userId]
+      );
+      if (recordingResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      retentionRecordings.push(recordingResult.rows[0]);
+    }
+
+    const retention = await getRetention(retentionRecordings);
     
     res.json({
       stats: statsResult.rows[0],
-      topVODs: topVODsResult.rows,
+      topVODs: topVODsResult.rows.map(vod => ({
+        ...vod,
+        retention: retention[vod.id]
+      })),
+      ...(recordingId && { recordingRetention: retention[recordingId] }),
       period
     });
     
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db');
+const { createJournal } = require('../utils/token-ledger');
 const { authenticateToken } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
 
@@ -193,6 +194,11 @@ router.post('/:experienceId/join', authenticateToken, async (req, res) => {
       'UPDATE token_balances SET balance = balance - $1 WHERE supabase_user_id = $2',
       [experience.token_cost, userId]
     );
+    // Nothing pays the host yet; the platform holds the tokens
+    await createJournal('experience_join', { reference: `experiences:${experienceId}` })
+      .debitUser(userId, Number(experience.token_cost))
+      .credit('platform_revenue', Number(experience.token_cost))
+      .post(client);
     
     // Add participant
     await client.query(`
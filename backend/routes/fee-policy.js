@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireCreator, requireSuperAdmin } = require('../middleware/auth');
+const { auditLog } = require('../middleware/adminAudit');
+const { logger } = require('../utils/secureLogger');
+const { AppError, ResourceNotFoundError, ResourceConflictError } = require('../utils/app-errors');
+const {
+  REVENUE_TYPES,
+  getEffectiveFees,
+  listRules,
+  addRule,
+  deleteScheduledRule,
+  listOverrides,
+  addOverride,
+  revokeOverride
+} = require('../utils/fee-policy');
+
+function sendError(res, error, fallback) {
+  res.status(error instanceof AppError ? error.statusCode : 500).json({
+    error: error instanceof AppError ? error.message : fallback
+  });
+}
+
+// Fee rates that currently apply to the signed-in creator
+router.get('/mine', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const fees = await getEffectiveFees(req.user.supabase_id);
+    res.json({ success: true, fees });
+  } catch (error) {
+    logger.error('Error fetching creator fees:', error);
+    res.status(500).json({ error: 'Failed to fetch fees' });
+  }
+});
+
+// Platform rules, including scheduled ones (admin)
+router.get('/admin/rules', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const rules = await listRules();
+    res.json({ success: true, rules, revenueTypes: REVENUE_TYPES });
+  } catch (error) {
+    logger.error('Error fetching fee rules:', error);
+    res.status(500).json({ error: 'Failed to fetch fee rules' });
+  }
+});
+
+// Schedule a platform rate (admin): { revenueType, platformFeePercent, effectiveFrom?, notes? }
+router.post('/admin/rules', authenticateToken, requireSuperAdmin, auditLog('ADMIN_ADD_FEE_RULE'), async (req, res) => {
+  try {
+    const rule = await addRule({
+      revenueType: req.body.revenueType,
+      platformFeePercent: req.body.platformFeePercent,
+      effectiveFrom: req.body.effectiveFrom,
+      notes: req.body.notes,
+      adminId: req.user.supabase_id
+    });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    if (error.code === '23505') {
+      return sendError(res, new ResourceConflictError('A rule for this revenue type already starts at that time'));
+    }
+    logger.error('Error adding fee rule:', error);
+    sendError(res, error, 'Failed to add fee rule');
+  }
+});
+
+// Cancel a rule that hasn't taken effect (admin)
+router.delete('/admin/rules/:ruleId', authenticateToken, requireSuperAdmin, auditLog('ADMIN_DELETE_FEE_RULE'), async (req, res) => {
+  try {
+    const deleted = await deleteScheduledRule(req.params.ruleId);
+    if (!deleted) {
+      throw new ResourceConflictError('Only rules that have not taken effect can be deleted');
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting fee rule:', error);
+    sendError(res, error, 'Failed to delete fee rule');
+  }
+});
+
+// Negotiated rates (admin), optionally for one creator
+router.get('/admin/overrides', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const overrides = await listOverrides(req.query.creatorId || null);
+    res.json({ success: true, overrides });
+  } catch (error) {
+    logger.error('Error fetching fee overrides:', error);
+    res.status(500).json({ error: 'Failed to fetch fee overrides' });
+  }
+});
+
+// Record a negotiated rate (admin):
+// { creatorId, revenueType?, platformFeePercent, effectiveFrom?, effectiveUntil?, reason }
+router.post('/admin/overrides', authenticateToken, requireSuperAdmin, auditLog('ADMIN_ADD_FEE_OVERRIDE'), async (req, res) => {
+  try {
+    const override = await addOverride({
+      creatorId: req.body.creatorId,
+      revenueType: req.body.revenueType || null,
+      platformFeePercent: req.body.platformFeePercent,
+      effectiveFrom: req.body.effectiveFrom,
+      effectiveUntil: req.body.effectiveUntil,
+      reason: req.body.reason,
+      adminId: req.user.supabase_id
+    });
+    res.status(201).json({ success: true, override });
+  } catch (error) {
+    logger.error('Error adding fee override:', error);
+    sendError(res, error, 'Failed to add fee override');
+  }
+});
+
+router.delete('/admin/overrides/:overrideId', authenticateToken, requireSuperAdmin, auditLog('ADMIN_REVOKE_FEE_OVERRIDE'), async (req, res) => {
+  try {
+    const override = await revokeOverride(req.params.overrideId, req.user.supabase_id);
+    if (!override) throw new ResourceNotFoundError('Active fee override');
+    res.json({ success: true, override });
+  } catch (error) {
+    logger.error('Error revoking fee override:', error);
+    sendError(res, error, 'Failed to revoke fee override');
+  }
+});
+
+// What a creator pays today and the overrides behind it (admin)
+router.get('/admin/creators/:creatorId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const [fees, overrides] = await Promise.all([
+      getEffectiveFees(req.params.creatorId),
+      listOverrides(req.params.creatorId)
+    ]);
+    res.json({ success: true, fees, overrides });
+  } catch (error) {
+    logger.error('Error fetching creator fees:', error);
+    res.status(500).json({ error: 'Failed to fetch creator fees' });
+  }
+});
+
+module.exports = router;
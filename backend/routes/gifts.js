@@ -1,6 +1,9 @@
 const express = require('express');
 const { pool } = require('../utils/db');
 const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
+const { creditSplitRevenue } = require('../utils/revenue-splits');
 // const { v4: uuidv4 } = require('uuid'); // TODO: Use when implementing gift IDs
 const router = express.Router();
 
@@ -93,6 +96,8 @@ router.post('/send', authenticateToken, async (req, res) => {
     
     const fanId = fanResult.rows[0].id;
     
+    await client.query('BEGIN');
+
     // Call the stored procedure to process the gift
     const result = await client.query(
       'SELECT * FROM process_gift_send($1, $2, $3, $4, $5, $6, $7, $8)',
@@ -102,12 +107,79 @@ router.post('/send', authenticateToken, async (req, res) => {
     const { success, sent_id, new_balance, error_message } = result.rows[0];
     
     if (!success) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         success: false,
         error: error_message,
         current_balance: new_balance
       });
     }
+
+    // process_gift_send credits the creator the full amount; take it back
+    // and credit it again net of the platform fee, shared with their
+    // co-hosts or collaborators when a revenue split is active
+    const sent = await client.query(
+      `SELECT gs.amount, u.supabase_id AS creator_supabase_id
+       FROM gifts_sent gs
+       JOIN users u ON gs.creator_id = u.id
+       WHERE gs.sent_id = $1`,
+      [sent_id]
+    );
+    const { amount, creator_supabase_id: creatorSupabaseId } = sent.rows[0];
+    const grossTokens = Number(amount);
+
+    await client.query(
+      'UPDATE token_balances SET balance = balance - $1, updated_at = NOW() WHERE supabase_user_id = $2',
+      [grossTokens, creatorSupabaseId]
+    );
+    const journal = createJournal('gift', { reference: `gifts_sent:${sent_id}` })
+      .debitUser(userId, grossTokens);
+
+    await creditSplitRevenue(client, {
+      hostId: creatorSupabaseId,
+      grossTokens,
+      revenueType: 'gift',
+      payerId: userId,
+      streamId,
+      sourceRef: sent_id,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'gift', grossTokens: tokens });
+        const balance = await client.query(
+          `UPDATE token_balances SET balance = balance + $1, updated_at = NOW()
+           WHERE supabase_user_id = $2
+           RETURNING balance`,
+          [fees.creatorNetTokens, memberId]
+        );
+        const balanceAfter = balance.rows[0]?.balance ?? null;
+
+        // The host's gift_received row was written by process_gift_send
+        if (memberId === creatorSupabaseId) {
+          await client.query(
+            `UPDATE token_transactions
+             SET amount = $1, balance_after = $2, fee_breakdown = $3
+             WHERE reference_id = $4 AND reference_type = 'gift' AND type = 'gift_received'
+               AND supabase_user_id = $5`,
+            [fees.creatorNetTokens, balanceAfter, JSON.stringify(fees), String(sent_id), memberId]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO token_transactions (
+               transaction_id, supabase_user_id, type, amount,
+               balance_after, description, reference_id, reference_type, fee_breakdown
+             ) VALUES (gen_random_uuid(), $1, 'gift_received', $2, $3, 'Shared gift', $4, 'gift', $5)`,
+            [memberId, fees.creatorNetTokens, balanceAfter, String(sent_id), JSON.stringify(fees)]
+          );
+        }
+
+        journal
+          .creditUser(memberId, fees.creatorNetTokens, { account: 'creator_earnings' })
+          .credit('platform_revenue', fees.platformFeeTokens);
+        return fees;
+      }
+    });
+    await journal.post(client);
+
+    await client.query('COMMIT');
     
     // Get gift details for response
     const giftResult = await client.query(
@@ -133,6 +205,7 @@ router.post('/send', authenticateToken, async (req, res) => {
     });
     
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Send gift error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,584 @@
+// routes/intake-forms.js
+// Creator intake forms (IntakeFormsManager) and fan responses (ClientIntakeForm)
+// Field schema and conditional rules live in utils/intake-forms.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { param, body, query, validationResult } = require('express-validator');
+const { logger } = require('../utils/secureLogger');
+const {
+  FIELD_TYPES,
+  SUBJECT_TYPES,
+  TARGET_TYPES,
+  SESSION_TYPES,
+  validateFormFields,
+  validateAnswers,
+  resolveIntakeForm,
+  getIntakeResponse
+} = require('../utils/intake-forms');
+
+function formatForm(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    version: row.current_version,
+    fields: row.fields,
+    isArchived: row.is_archived,
+    responseCount: row.response_count !== undefined ? parseInt(row.response_count, 10) : undefined,
+    attachments: row.attachments,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function findOwnForm(formId, creatorId) {
+  const result = await pool.query(
+    `SELECT f.*, v.fields
+     FROM intake_forms f
+     JOIN intake_form_versions v ON v.form_id = f.id AND v.version = f.current_version
+     WHERE f.id = $1 AND f.creator_id = $2`,
+    [formId, creatorId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Check that a creator owns the class or offer a form is being attached to
+ */
+async function ownsTarget(creatorId, targetType, targetId) {
+  if (targetType === 'session_type') return SESSION_TYPES.includes(targetId);
+
+  const table = targetType === 'class' ? 'classes' : 'creator_offers';
+  const result = await pool.query(
+    `SELECT 1 FROM ${table} WHERE id::text = $1 AND creator_id::text = $2`,
+    [targetId, creatorId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * GET /api/intake-forms
+ * List the creator's forms with response counts and attachments
+ */
+router.get('/', authenticateToken, requireCreator, [
+  query('include_archived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT f.*, v.fields,
+              (SELECT COUNT(*) FROM intake_form_responses r WHERE r.form_id = f.id) AS response_count,
+              COALESCE((
+                SELECT json_agg(json_build_object('id', a.id, 'targetType', a.target_type, 'targetId', a.target_id))
+                FROM intake_form_attachments a
+                WHERE a.form_id = f.id
+              ), '[]') AS attachments
+       FROM intake_forms f
+       JOIN intake_form_versions v ON v.form_id = f.id AND v.version = f.current_version
+       WHERE f.creator_id = $1${req.query.include_archived ? '' : ' AND f.is_archived = FALSE'}
+       ORDER BY f.updated_at DESC`,
+      [req.user.supabase_id]
+    );
+
+    res.json({ success: true, forms: result.rows.map(formatForm), fieldTypes: FIELD_TYPES });
+  } catch (error) {
+    logger.error('Error fetching intake forms:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch intake forms' });
+  }
+});
+
+/**
+ * POST /api/intake-forms
+ * Create a form
+ */
+router.post('/', authenticateToken, requireCreator, [
+  body('title').isString().trim().isLength({ min: 1, max: 150 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('fields').isArray({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const fieldErrors = validateFormFields(req.body.fields);
+  if (fieldErrors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid form fields', details: fieldErrors });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const formResult = await client.query(
+      `INSERT INTO intake_forms (creator_id, title, description)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [req.user.supabase_id, req.body.title, req.body.description || null]
+    );
+    const form = formResult.rows[0];
+
+    await client.query(
+      'INSERT INTO intake_form_versions (form_id, version, fields) VALUES ($1, 1, $2)',
+      [form.id, JSON.stringify(req.body.fields)]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      form: formatForm({ ...form, fields: req.body.fields, response_count: 0, attachments: [] })
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating intake form:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create intake form' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/intake-forms/requirement
+ * The form a fan must fill in before a session invite, class or offer is
+ * confirmed, with their existing response if any
+ */
+router.get('/requirement', authenticateToken, [
+  query('subject_type').isIn(SUBJECT_TYPES),
+  query('subject_id').isString().trim().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { subject_type: subjectType, subject_id: subjectId } = req.query;
+    const form = await resolveIntakeForm(subjectType, subjectId);
+
+    if (form && form.fanId && form.fanId !== req.user.supabase_id) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    if (!form) {
+      return res.json({ success: true, required: false, form: null, response: null });
+    }
+
+    const response = await getIntakeResponse(subjectType, subjectId, req.user.supabase_id);
+
+    res.json({
+      success: true,
+      required: true,
+      form: {
+        id: form.formId,
+        title: form.title,
+        description: form.description,
+        version: form.version,
+        fields: form.fields
+      },
+      response
+    });
+  } catch (error) {
+    logger.error('Error fetching intake requirement:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch intake form' });
+  }
+});
+
+/**
+ * POST /api/intake-forms/responses
+ * Submit (or resubmit) a fan's answers against the current form version
+ */
+router.post('/responses', authenticateToken, [
+  body('subject_type').isIn(SUBJECT_TYPES),
+  body('subject_id').isString().trim().isLength({ min: 1, max: 100 }),
+  body('answers').isObject()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const fanId = req.user.supabase_id;
+  const { subject_type: subjectType, subject_id: subjectId } = req.body;
+
+  try {
+    const form = await resolveIntakeForm(subjectType, subjectId);
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'No intake form is required' });
+    }
+
+    if (form.fanId && form.fanId !== fanId) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    if (form.creatorId === fanId) {
+      return res.status(400).json({ success: false, error: 'Creators cannot answer their own intake form' });
+    }
+
+    if (subjectType === 'session_invite' && form.subjectStatus !== 'pending') {
+      return res.status(409).json({ success: false, error: 'Invite has already been processed' });
+    }
+
+    const { errors: answerErrors, answers } = validateAnswers(form.fields, req.body.answers);
+    if (answerErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid answers', details: answerErrors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO intake_form_responses (
+         form_id, form_version_id, creator_id, fan_id, subject_type, subject_id, answers
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (subject_type, subject_id, fan_id) DO UPDATE
+       SET form_id = EXCLUDED.form_id,
+           form_version_id = EXCLUDED.form_version_id,
+           answers = EXCLUDED.answers,
+           submitted_at = NOW()
+       RETURNING id, submitted_at`,
+      [form.formId, form.versionId, form.creatorId, fanId, subjectType, String(subjectId), JSON.stringify(answers)]
+    );
+
+    res.status(201).json({
+      success: true,
+      response: {
+        id: result.rows[0].id,
+        formId: form.formId,
+        version: form.version,
+        answers,
+        submittedAt: result.rows[0].submitted_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error submitting intake response:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to submit intake response' });
+  }
+});
+
+/**
+ * GET /api/intake-forms/:formId
+ * Get a form; ?version=N returns the fields of an earlier version
+ */
+router.get('/:formId', authenticateToken, requireCreator, [
+  param('formId').isUUID(),
+  query('version').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const form = await findOwnForm(req.params.formId, req.user.supabase_id);
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+
+    const versions = await pool.query(
+      `SELECT v.version, v.fields, v.created_at, COUNT(r.id) AS response_count
+       FROM intake_form_versions v
+       LEFT JOIN intake_form_responses r ON r.form_version_id = v.id
+       WHERE v.form_id = $1
+       GROUP BY v.id
+       ORDER BY v.version DESC`,
+      [form.id]
+    );
+
+    const requested = req.query.version || form.current_version;
+    const selected = versions.rows.find(v => v.version === requested);
+    if (!selected) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      form: { ...formatForm(form), version: selected.version, fields: selected.fields },
+      currentVersion: form.current_version,
+      versions: versions.rows.map(v => ({
+        version: v.version,
+        createdAt: v.created_at,
+        responseCount: parseInt(v.response_count, 10)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching intake form:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch intake form' });
+  }
+});
+
+/**
+ * PUT /api/intake-forms/:formId
+ * Update a form. Changing the fields of a version that already has responses
+ * creates a new version; earlier responses keep pointing at their own fields.
+ */
+router.put('/:formId', authenticateToken, requireCreator, [
+  param('formId').isUUID(),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 150 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('fields').optional().isArray({ min: 1 }),
+  body('is_archived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  if (req.body.fields) {
+    const fieldErrors = validateFormFields(req.body.fields);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid form fields', details: fieldErrors });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query(
+      `SELECT f.*, v.id AS version_id, v.fields
+       FROM intake_forms f
+       JOIN intake_form_versions v ON v.form_id = f.id AND v.version = f.current_version
+       WHERE f.id = $1 AND f.creator_id = $2
+       FOR UPDATE OF f`,
+      [req.params.formId, req.user.supabase_id]
+    );
+
+    const existing = existingResult.rows[0];
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+
+    let version = existing.current_version;
+    let fields = existing.fields;
+    let versioned = false;
+
+    if (req.body.fields && JSON.stringify(req.body.fields) !== JSON.stringify(existing.fields)) {
+      fields = req.body.fields;
+
+      const answered = await client.query(
+        'SELECT 1 FROM intake_form_responses WHERE form_version_id = $1 LIMIT 1',
+        [existing.version_id]
+      );
+
+      if (answered.rows.length > 0) {
+        version += 1;
+        versioned = true;
+        await client.query(
+          'INSERT INTO intake_form_versions (form_id, version, fields) VALUES ($1, $2, $3)',
+          [existing.id, version, JSON.stringify(fields)]
+        );
+      } else {
+        await client.query(
+          'UPDATE intake_form_versions SET fields = $2 WHERE id = $1',
+          [existing.version_id, JSON.stringify(fields)]
+        );
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE intake_forms
+       SET title = $2, description = $3, is_archived = $4, current_version = $5
+       WHERE id = $1
+       RETURNING *`,
+      [
+        existing.id,
+        req.body.title !== undefined ? req.body.title : existing.title,
+        req.body.description !== undefined ? req.body.description : existing.description,
+        req.body.is_archived !== undefined ? req.body.is_archived : existing.is_archived,
+        version
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, form: formatForm({ ...result.rows[0], fields }), versioned });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error updating intake form:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update intake form' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/intake-forms/:formId
+ * Archive a form and detach it. Responses are kept for session history.
+ */
+router.delete('/:formId', authenticateToken, requireCreator, param('formId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE intake_forms SET is_archived = TRUE
+       WHERE id = $1 AND creator_id = $2
+       RETURNING id`,
+      [req.params.formId, req.user.supabase_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+
+    await pool.query('DELETE FROM intake_form_attachments WHERE form_id = $1', [req.params.formId]);
+
+    res.json({ success: true, archived: result.rows[0].id });
+  } catch (error) {
+    logger.error('Error archiving intake form:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to archive intake form' });
+  }
+});
+
+/**
+ * POST /api/intake-forms/:formId/attachments
+ * Attach a form to a session type ('video' | 'voice'), class or offer.
+ * Replaces whichever form was attached to that target before.
+ */
+router.post('/:formId/attachments', authenticateToken, requireCreator, [
+  param('formId').isUUID(),
+  body('target_type').isIn(TARGET_TYPES),
+  body('target_id').isString().trim().isLength({ min: 1, max: 100 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const creatorId = req.user.supabase_id;
+  const { target_type: targetType, target_id: targetId } = req.body;
+
+  try {
+    const form = await findOwnForm(req.params.formId, creatorId);
+    if (!form || form.is_archived) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+
+    if (!(await ownsTarget(creatorId, targetType, targetId))) {
+      return res.status(404).json({ success: false, error: 'Attachment target not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO intake_form_attachments (form_id, creator_id, target_type, target_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (creator_id, target_type, target_id) DO UPDATE
+       SET form_id = EXCLUDED.form_id, created_at = NOW()
+       RETURNING *`,
+      [form.id, creatorId, targetType, targetId]
+    );
+
+    const attachment = result.rows[0];
+    res.status(201).json({
+      success: true,
+      attachment: {
+        id: attachment.id,
+        formId: attachment.form_id,
+        targetType: attachment.target_type,
+        targetId: attachment.target_id
+      }
+    });
+  } catch (error) {
+    logger.error('Error attaching intake form:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to attach intake form' });
+  }
+});
+
+/**
+ * DELETE /api/intake-forms/:formId/attachments/:attachmentId
+ * Detach a form
+ */
+router.delete('/:formId/attachments/:attachmentId', authenticateToken, requireCreator, [
+  param('formId').isUUID(),
+  param('attachmentId').isUUID()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM intake_form_attachments
+       WHERE id = $1 AND form_id = $2 AND creator_id = $3
+       RETURNING id`,
+      [req.params.attachmentId, req.params.formId, req.user.supabase_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    res.json({ success: true, deleted: result.rows[0].id });
+  } catch (error) {
+    logger.error('Error detaching intake form:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to detach intake form' });
+  }
+});
+
+/**
+ * GET /api/intake-forms/:formId/responses
+ * All responses to a form, each with the fields of the version it answered
+ */
+router.get('/:formId/responses', authenticateToken, requireCreator, [
+  param('formId').isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const form = await findOwnForm(req.params.formId, req.user.supabase_id);
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT r.id, r.fan_id, r.subject_type, r.subject_id, r.answers, r.submitted_at,
+              v.version, v.fields,
+              u.username, u.display_name, u.profile_pic_url
+       FROM intake_form_responses r
+       JOIN intake_form_versions v ON v.id = r.form_version_id
+       LEFT JOIN users u ON u.supabase_id = r.fan_id
+       WHERE r.form_id = $1
+       ORDER BY r.submitted_at DESC
+       LIMIT $2 OFFSET $3`,
+      [form.id, req.query.limit || 50, req.query.offset || 0]
+    );
+
+    res.json({
+      success: true,
+      currentVersion: form.current_version,
+      responses: result.rows.map(row => ({
+        id: row.id,
+        fan: {
+          id: row.fan_id,
+          username: row.username,
+          displayName: row.display_name,
+          avatar: row.profile_pic_url
+        },
+        subjectType: row.subject_type,
+        subjectId: row.subject_id,
+        version: row.version,
+        isOutdated: row.version < form.current_version,
+        fields: row.fields,
+        answers: row.answers,
+        submittedAt: row.submitted_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching intake responses:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch intake responses' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const { authenticateToken } = require('../middleware/auth');
 const { pool } = require('../utils/db');
 const { validationResult } = require('express-validator');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
 
 // Get products for a stream
 router.get('/streams/:streamId/products', async (req, res) => {
@@ -396,8 +398,12 @@ router.post('/live-purchases', authenticateToken, async (req, res) => {
     );
 
     // Add tokens to creator (minus platform fee)
-    const platformFee = Math.floor(totalPrice * 0.2); // 20% platform fee
-    const creatorEarnings = totalPrice - platformFee;
+    const fees = await calculateFees(client, {
+      creatorId: product.creator_id,
+      revenueType: 'shop',
+      grossTokens: totalPrice
+    });
+    const creatorEarnings = fees.creatorNetTokens;
 
     await client.query(
       `INSERT INTO token_balances (user_id, balance)
@@ -415,6 +421,11 @@ router.post('/live-purchases', authenticateToken, async (req, res) => {
       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `, [streamId, buyerId, productId, quantity, totalPrice, discountApplied, purchaseType]);
+    await createJournal('live_purchase', { reference: `live_purchases:${purchaseResult.rows[0].id}` })
+      .debitUser(buyerId, totalPrice)
+      .creditUser(product.creator_id, creatorEarnings, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
     
     // Update product stock
     if (product.stock_quantity !== null) {
@@ -446,15 +457,16 @@ router.post('/live-purchases', authenticateToken, async (req, res) => {
     
     // Create token transaction records
     await client.query(`
-      INSERT INTO token_transactions (user_id, amount, transaction_type, description, metadata)
+      INSERT INTO token_transactions (user_id, amount, transaction_type, description, metadata, fee_breakdown)
       VALUES 
-        ($1, $2, 'purchase', $3, $4),
-        ($5, $6, 'sale', $7, $8)
+        ($1, $2, 'purchase', $3, $4, NULL),
+        ($5, $6, 'sale', $7, $8, $9)
     `, [
       buyerId, -totalPrice, `Purchased ${product.name} during live stream`, 
       JSON.stringify({ streamId, productId, quantity }),
       product.creator_id, creatorEarnings, `Sold ${product.name} during live stream`,
-      JSON.stringify({ streamId, productId, quantity, buyerId })
+      JSON.stringify({ streamId, productId, quantity, buyerId }),
+      JSON.stringify(fees)
     ]);
     
     await client.query('COMMIT');
@@ -0,0 +1,373 @@
+// routes/mass-messages.js
+// Segmented mass messaging (MassMessageModal / BroadcastMessageModal)
+// Audiences are built by utils/mass-messaging.js and delivered in batches by
+// jobs/mass-message-campaigns.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { param, body, query, validationResult } = require('express-validator');
+const { logger } = require('../utils/secureLogger');
+const { findUnknownPlaceholders } = require('../utils/message-templates');
+const {
+  LOYALTY_LEVELS,
+  GIFTER_TIER_NAMES,
+  previewAudience,
+  queueCampaignRecipients
+} = require('../utils/mass-messaging');
+
+const AUDIENCE_FIELDS = [
+  'membership_tier_ids', 'gifter_tiers', 'loyalty_levels',
+  'last_active_after', 'last_active_before', 'min_spend', 'max_spend'
+];
+
+const audienceValidators = [
+  body('audience').optional().isObject(),
+  body('audience.membership_tier_ids').optional().isArray({ max: 50 }),
+  body('audience.membership_tier_ids.*').isUUID(),
+  body('audience.gifter_tiers').optional().isArray(),
+  body('audience.gifter_tiers.*').isIn(GIFTER_TIER_NAMES),
+  body('audience.loyalty_levels').optional().isArray(),
+  body('audience.loyalty_levels.*').isIn(LOYALTY_LEVELS),
+  body('audience.last_active_after').optional().isISO8601(),
+  body('audience.last_active_before').optional().isISO8601(),
+  body('audience.min_spend').optional().isInt({ min: 0 }).toInt(),
+  body('audience.max_spend').optional().isInt({ min: 0 }).toInt()
+];
+
+// Per-campaign delivery report, joined as `report`
+const REPORT_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*) FILTER (WHERE r.status IN ('queued', 'processing'))::INTEGER AS queued,
+      COUNT(*) FILTER (WHERE r.status = 'sent')::INTEGER AS sent,
+      COUNT(*) FILTER (WHERE r.status = 'failed')::INTEGER AS failed,
+      COUNT(*) FILTER (WHERE r.status = 'skipped')::INTEGER AS skipped,
+      COUNT(*) FILTER (WHERE r.status = 'cancelled')::INTEGER AS cancelled,
+      COUNT(*) FILTER (WHERE m.is_read)::INTEGER AS read,
+      COUNT(*) FILTER (WHERE m.unlock_price > 0 AND m.is_unlocked)::INTEGER AS unlocked
+    FROM mass_message_recipients r
+    LEFT JOIN messages m ON m.id = r.message_id
+    WHERE r.campaign_id = c.id
+  ) report ON TRUE`;
+
+/**
+ * Keep only known audience filters
+ */
+function pickAudience(input = {}) {
+  const audience = {};
+  for (const field of AUDIENCE_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null) audience[field] = input[field];
+  }
+  return audience;
+}
+
+/**
+ * @returns {string|null}
+ */
+function validateAudienceShape(audience) {
+  if (audience.min_spend !== undefined && audience.max_spend !== undefined &&
+      audience.min_spend > audience.max_spend) {
+    return 'min_spend cannot be greater than max_spend';
+  }
+  if (audience.last_active_after && audience.last_active_before &&
+      new Date(audience.last_active_after) >= new Date(audience.last_active_before)) {
+    return 'last_active_after must be before last_active_before';
+  }
+  return null;
+}
+
+function formatCampaign(row) {
+  return {
+    id: row.id,
+    templateId: row.template_id,
+    content: row.content,
+    mediaUrl: row.media_url,
+    mediaType: row.media_type,
+    unlockPrice: row.unlock_price,
+    audience: row.audience,
+    status: row.status,
+    totalRecipients: row.total_recipients,
+    report: row.queued !== undefined
+      ? {
+        queued: row.queued,
+        sent: row.sent,
+        failed: row.failed,
+        skipped: row.skipped,
+        cancelled: row.cancelled,
+        read: row.read,
+        unlocked: row.unlocked
+      }
+      : undefined,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * GET /api/messages/mass/audience/options
+ * Filter choices for the audience picker
+ */
+router.get('/audience/options', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const tiers = await pool.query(
+      `SELECT id, name, tier_level
+       FROM membership_tiers
+       WHERE creator_id = $1 AND is_active = TRUE
+       ORDER BY tier_level`,
+      [req.user.supabase_id]
+    );
+
+    res.json({
+      success: true,
+      options: {
+        membershipTiers: tiers.rows.map(tier => ({ id: tier.id, name: tier.name, level: tier.tier_level })),
+        gifterTiers: GIFTER_TIER_NAMES,
+        loyaltyLevels: LOYALTY_LEVELS
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching mass message audience options:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch audience options' });
+  }
+});
+
+/**
+ * POST /api/messages/mass/audience/preview
+ * Count the fans an audience would reach (blocked and opted-out fans excluded)
+ */
+router.post('/audience/preview', authenticateToken, requireCreator, ...audienceValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const audience = pickAudience(req.body.audience);
+  const shapeError = validateAudienceShape(audience);
+  if (shapeError) {
+    return res.status(400).json({ success: false, error: shapeError });
+  }
+
+  try {
+    const preview = await previewAudience(req.user.supabase_id, audience);
+    res.json({ success: true, audience, recipientCount: preview.count, sample: preview.sample });
+  } catch (error) {
+    logger.error('Error previewing mass message audience:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to preview audience' });
+  }
+});
+
+/**
+ * POST /api/messages/mass
+ * Queue a mass message; delivery happens in the background
+ */
+router.post('/', authenticateToken, requireCreator, [
+  body('template_id').optional().isUUID(),
+  body('message').optional().isString().trim().isLength({ min: 1, max: 2000 }),
+  body('media_url').optional({ nullable: true }).isURL(),
+  body('media_type').optional({ nullable: true }).isIn(['image', 'video', 'audio', 'file']),
+  body('unlock_price').optional().isInt({ min: 0, max: 100000 }).toInt(),
+  ...audienceValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const creatorId = req.user.supabase_id;
+  const audience = pickAudience(req.body.audience);
+  const shapeError = validateAudienceShape(audience);
+  if (shapeError) {
+    return res.status(400).json({ success: false, error: shapeError });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    let campaign = {
+      template_id: null,
+      content: req.body.message,
+      media_url: req.body.media_url || null,
+      media_type: req.body.media_type || null,
+      unlock_price: req.body.unlock_price || 0
+    };
+
+    if (req.body.template_id) {
+      const templateResult = await client.query(
+        `SELECT * FROM message_templates
+         WHERE id = $1 AND creator_id = $2 AND is_archived = FALSE`,
+        [req.body.template_id, creatorId]
+      );
+      const template = templateResult.rows[0];
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+
+      // Explicit fields override the template's defaults
+      campaign = {
+        template_id: template.id,
+        content: req.body.message || template.content,
+        media_url: req.body.media_url !== undefined ? campaign.media_url : template.media_url,
+        media_type: req.body.media_type !== undefined ? campaign.media_type : template.media_type,
+        unlock_price: req.body.unlock_price !== undefined ? campaign.unlock_price : template.unlock_price
+      };
+    }
+
+    if (!campaign.content) {
+      return res.status(400).json({ success: false, error: 'message or template_id is required' });
+    }
+    if (campaign.unlock_price > 0 && !campaign.media_url) {
+      return res.status(400).json({ success: false, error: 'media_url is required when unlock_price is set' });
+    }
+    const unknown = findUnknownPlaceholders(campaign.content);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown placeholder(s): ${unknown.map(name => `{{${name}}}`).join(', ')}`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      `INSERT INTO mass_message_campaigns (
+         creator_id, template_id, content, media_url, media_type, unlock_price, audience
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        creatorId, campaign.template_id, campaign.content, campaign.media_url,
+        campaign.media_type, campaign.unlock_price, audience
+      ]
+    );
+
+    const queued = await queueCampaignRecipients(client, inserted.rows[0].id, creatorId, audience);
+    if (queued === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'No fans match this audience' });
+    }
+
+    const result = await client.query(
+      `UPDATE mass_message_campaigns SET total_recipients = $2 WHERE id = $1 RETURNING *`,
+      [inserted.rows[0].id, queued]
+    );
+
+    if (campaign.template_id) {
+      await client.query(
+        'UPDATE message_templates SET last_used_at = NOW() WHERE id = $1',
+        [campaign.template_id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    logger.info('Mass message queued', { campaignId: result.rows[0].id, creatorId, recipients: queued });
+    res.status(202).json({ success: true, campaign: formatCampaign(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    logger.error('Error queueing mass message:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to queue mass message' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/messages/mass
+ * List the creator's campaigns with delivery reports
+ */
+router.get('/', authenticateToken, requireCreator, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT c.*, report.*
+       FROM mass_message_campaigns c
+       ${REPORT_JOIN}
+       WHERE c.creator_id = $1
+       ORDER BY c.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.supabase_id, req.query.limit || 20, req.query.offset || 0]
+    );
+
+    res.json({ success: true, campaigns: result.rows.map(formatCampaign) });
+  } catch (error) {
+    logger.error('Error fetching mass messages:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch mass messages' });
+  }
+});
+
+/**
+ * GET /api/messages/mass/:campaignId
+ * Delivery report for one campaign (queued/sent/failed/read/unlocked)
+ */
+router.get('/:campaignId', authenticateToken, requireCreator, param('campaignId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT c.*, report.*
+       FROM mass_message_campaigns c
+       ${REPORT_JOIN}
+       WHERE c.id = $1 AND c.creator_id = $2`,
+      [req.params.campaignId, req.user.supabase_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Mass message not found' });
+    }
+
+    res.json({ success: true, campaign: formatCampaign(result.rows[0]) });
+  } catch (error) {
+    logger.error('Error fetching mass message report:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch mass message report' });
+  }
+});
+
+/**
+ * POST /api/messages/mass/:campaignId/cancel
+ * Stop delivering a campaign; fans already messaged keep their copy
+ */
+router.post('/:campaignId/cancel', authenticateToken, requireCreator, param('campaignId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE mass_message_campaigns
+       SET status = 'cancelled', completed_at = NOW()
+       WHERE id = $1 AND creator_id = $2 AND status IN ('queued', 'sending')
+       RETURNING id`,
+      [req.params.campaignId, req.user.supabase_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'Mass message not found or already finished' });
+    }
+
+    const cancelled = await pool.query(
+      `UPDATE mass_message_recipients
+       SET status = 'cancelled', processed_at = NOW()
+       WHERE campaign_id = $1 AND status = 'queued'`,
+      [req.params.campaignId]
+    );
+
+    res.json({ success: true, cancelled: cancelled.rowCount });
+  } catch (error) {
+    logger.error('Error cancelling mass message:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to cancel mass message' });
+  }
+});
+
+module.exports = router;
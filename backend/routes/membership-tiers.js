@@ -3,7 +3,9 @@ const { Pool } = require('pg');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
-const { usdToTokens, tokensToUsd, calculateCreatorEarnings } = require('../config/tokenConfig');
+const { usdToTokens, tokensToUsd } = require('../config/tokenConfig');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -228,8 +230,13 @@ router.post('/join/:tierId', authenticateToken, async (req, res) => {
           WHERE user_id = $2
         `, [tokenCost, userId]);
 
-        // Add tokens to creator (100% - no platform fee)
-        const creatorEarnings = tokenCost;
+        // Add tokens to creator, net of the platform fee
+        const fees = await calculateFees(client, {
+          creatorId: tier.creator_id,
+          revenueType: 'subscription',
+          grossTokens: tokenCost
+        });
+        const creatorEarnings = fees.creatorNetTokens;
         await client.query(`
           INSERT INTO token_balances (user_id, balance)
           VALUES ($1, $2)
@@ -263,6 +270,7 @@ router.post('/join/:tierId', authenticateToken, async (req, res) => {
         `, [userId, tierId, tier.creator_id, price, paymentMethod, tier.tokens_included]);
 
         const membership = membershipQuery.rows[0];
+        const journal = createJournal('membership_purchase', { reference: `memberships:${membership.id}` });
 
         // Give initial tokens if included in tier
         if (tier.tokens_included > 0) {
@@ -271,6 +279,7 @@ router.post('/join/:tierId', authenticateToken, async (req, res) => {
             VALUES ($1, $2)
             ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2
           `, [userId, tier.tokens_included]);
+          journal.debit('token_issuance', tier.tokens_included).creditUser(userId, tier.tokens_included);
 
           // Record token grant transaction
           await client.query(`
@@ -280,13 +289,24 @@ router.post('/join/:tierId', authenticateToken, async (req, res) => {
           `, [userId, tier.tokens_included, 0, membership.id]);
         }
 
-        // Record transaction
+        // Record transactions
         await client.query(`
           INSERT INTO token_transactions 
           (user_id, type, tokens, amount_usd, status, membership_id, created_at)
           VALUES ($1, 'membership_purchase', $2, $3, 'completed', $4, NOW())
         `, [userId, -tokenCost, -price, membership.id]);
 
+        await client.query(`
+          INSERT INTO token_transactions 
+          (user_id, type, tokens, amount_usd, status, membership_id, related_user_id, fee_breakdown, created_at)
+          VALUES ($1, 'membership_earning', $2, $3, 'completed', $4, $5, $6, NOW())
+        `, [tier.creator_id, creatorEarnings, creatorEarningsUsd, membership.id, userId, JSON.stringify(fees)]);
+        await journal
+          .debitUser(userId, tokenCost)
+          .creditUser(tier.creator_id, creatorEarnings, { account: 'creator_earnings' })
+          .credit('platform_revenue', fees.platformFeeTokens)
+          .post(client);
+
         // Create notification for creator
         await client.query(`
           INSERT INTO notifications (recipient_id, type, title, content, data, created_at)
@@ -630,6 +650,7 @@ router.post('/upgrade/:tierId', authenticateToken, async (req, res) => {
       const client = await pool.connect();
       try {
         await client.query('BEGIN');
+        const journal = createJournal('membership_upgrade', { reference: `memberships:${currentMembership.id}` });
 
         // Deduct tokens from user (only if upgrade cost > 0)
         if (upgradeCost > 0) {
@@ -639,8 +660,13 @@ router.post('/upgrade/:tierId', authenticateToken, async (req, res) => {
             WHERE user_id = $2
           `, [tokenCost, userId]);
 
-          // Add tokens to creator (100% - no platform fee)
-          const creatorEarnings = tokenCost;
+          // Add tokens to creator, net of the platform fee
+          const fees = await calculateFees(client, {
+            creatorId: targetTier.creator_id,
+            revenueType: 'subscription',
+            grossTokens: tokenCost
+          });
+          const creatorEarnings = fees.creatorNetTokens;
           await client.query(`
             INSERT INTO token_balances (user_id, balance)
             VALUES ($1, $2)
@@ -648,18 +674,31 @@ router.post('/upgrade/:tierId', authenticateToken, async (req, res) => {
           `, [targetTier.creator_id, creatorEarnings]);
 
           // Record earnings for payout system
-          const creatorEarningsUsd = creatorEarnings * 0.05; // $0.05 per token
+          const creatorEarningsUsd = tokensToUsd(creatorEarnings);
           await client.query(`
             INSERT INTO creator_earnings (creator_id, earning_type, source_id, tokens_earned, usd_value, description, fan_id)
             VALUES ($1, 'membership', $2, $3, $4, $5, $6)
           `, [targetTier.creator_id, `membership_upgrade_${Date.now()}`, creatorEarnings, creatorEarningsUsd, `Upgrade to ${targetTier.name} tier`, userId]);
 
-          // Record transaction
+          // Record transactions
           await client.query(`
             INSERT INTO token_transactions 
             (user_id, type, tokens, amount_usd, status, membership_id, created_at)
             VALUES ($1, 'membership_upgrade', $2, $3, 'completed', $4, NOW())
           `, [userId, -tokenCost, -upgradeCost, currentMembership.id]);
+
+          await client.query(`
+            INSERT INTO token_transactions 
+            (user_id, type, tokens, amount_usd, status, membership_id, related_user_id, fee_breakdown, created_at)
+            VALUES ($1, 'membership_earning', $2, $3, 'completed', $4, $5, $6, NOW())
+          `, [
+            targetTier.creator_id, creatorEarnings, creatorEarningsUsd,
+            currentMembership.id, userId, JSON.stringify(fees)
+          ]);
+          journal
+            .debitUser(userId, tokenCost)
+            .creditUser(targetTier.creator_id, creatorEarnings, { account: 'creator_earnings' })
+            .credit('platform_revenue', fees.platformFeeTokens);
         }
 
         // Update membership to new tier
@@ -677,6 +716,7 @@ router.post('/upgrade/:tierId', authenticateToken, async (req, res) => {
             VALUES ($1, $2)
             ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2
           `, [userId, targetTier.tokens_included]);
+          journal.debit('token_issuance', targetTier.tokens_included).creditUser(userId, targetTier.tokens_included);
 
           // Record token grant transaction
           await client.query(`
@@ -685,6 +725,7 @@ router.post('/upgrade/:tierId', authenticateToken, async (req, res) => {
             VALUES ($1, 'membership_upgrade_bonus', $2, $3, 'completed', $4, NOW())
           `, [userId, targetTier.tokens_included, 0, currentMembership.id]);
         }
+        await journal.post(client);
 
         // Notify creator
         await client.query(`
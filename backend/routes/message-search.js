@@ -0,0 +1,200 @@
+// routes/message-search.js
+// Full-text search across the user's conversations (MessageSearch)
+// Uses the idx_messages_content_search expression index (migration 154)
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken } = require('../middleware/auth');
+const { query, validationResult } = require('express-validator');
+const { logger } = require('../utils/secureLogger');
+const { redactLockedMedia } = require('../utils/direct-messages');
+
+// Must match the index expression exactly
+const SEARCH_VECTOR = "to_tsvector('english', COALESCE(m.content, ''))";
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
+function encodeCursor(row, sort) {
+  // created_at as text keeps microsecond precision for the keyset comparison
+  const cursor = { t: row.created_at_key, id: row.id };
+  if (sort === 'relevance') cursor.r = row.rank;
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.t === 'string' && UUID_PATTERN.test(cursor.id) ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escape message text for HTML, keeping only the <mark> tags added by ts_headline
+ */
+function escapeSnippet(snippet) {
+  return String(snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+}
+
+/**
+ * GET /api/messages/search
+ * Search messages in the user's conversations
+ *
+ * Query: q (required), conversation_id, sender_id, from, to, has_attachment,
+ * ppv_only, sort ('relevance' | 'recent'), limit, cursor
+ */
+router.get('/', authenticateToken, [
+  query('q').isString().trim().isLength({ min: 1, max: 200 }),
+  query('conversation_id').optional().isUUID(),
+  query('sender_id').optional().isUUID(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('has_attachment').optional().isBoolean().toBoolean(),
+  query('ppv_only').optional().isBoolean().toBoolean(),
+  query('sort').optional().isIn(['relevance', 'recent']),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const userId = req.user.supabase_id;
+  const sort = req.query.sort || 'relevance';
+  const limit = req.query.limit || 20;
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor || (sort === 'relevance' && typeof cursor.r !== 'number')) {
+      return res.status(400).json({ success: false, error: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    // Same participant check as GET /conversation/:conversationId
+    if (req.query.conversation_id) {
+      const conversation = await pool.query(
+        'SELECT user1_id, user2_id FROM conversations WHERE id = $1',
+        [req.query.conversation_id]
+      );
+
+      if (conversation.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+
+      const { user1_id: user1Id, user2_id: user2Id } = conversation.rows[0];
+      if (user1Id !== userId && user2Id !== userId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+    }
+
+    const values = [userId, req.query.q];
+    const addValue = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const filters = [];
+    if (req.query.conversation_id) filters.push(`m.conversation_id = ${addValue(req.query.conversation_id)}`);
+    if (req.query.sender_id) filters.push(`m.sender_id = ${addValue(req.query.sender_id)}`);
+    if (req.query.from) filters.push(`m.created_at >= ${addValue(req.query.from)}`);
+    if (req.query.to) filters.push(`m.created_at <= ${addValue(req.query.to)}`);
+    if (req.query.has_attachment === true) filters.push('m.media_url IS NOT NULL');
+    if (req.query.has_attachment === false) filters.push('m.media_url IS NULL');
+    if (req.query.ppv_only) filters.push('m.unlock_price > 0');
+
+    let cursorFilter = '';
+    if (cursor) {
+      const t = addValue(cursor.t);
+      const id = addValue(cursor.id);
+      const afterKey = `(created_at, id) < (${t}::timestamptz, ${id}::uuid)`;
+      if (sort === 'relevance') {
+        const r = addValue(cursor.r);
+        cursorFilter = `WHERE (rank < ${r}::float8 OR (rank = ${r}::float8 AND ${afterKey}))`;
+      } else {
+        cursorFilter = `WHERE ${afterKey}`;
+      }
+    }
+
+    const orderBy = sort === 'relevance'
+      ? 'rank DESC, created_at DESC, id DESC'
+      : 'created_at DESC, id DESC';
+
+    const result = await pool.query(
+      `WITH q AS (
+         SELECT websearch_to_tsquery('english', $2) AS query
+       ),
+       matches AS (
+         SELECT m.id, m.conversation_id, m.sender_id, m.recipient_id, m.content,
+                m.media_url, m.media_type, m.message_type, m.unlock_price,
+                m.is_unlocked, m.created_at, m.created_at::text AS created_at_key,
+                ts_rank(${SEARCH_VECTOR}, q.query)::float8 AS rank
+         FROM messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         CROSS JOIN q
+         WHERE (c.user1_id = $1 OR c.user2_id = $1)
+           AND m.is_deleted = FALSE
+           AND ${SEARCH_VECTOR} @@ q.query
+           ${filters.map(filter => `AND ${filter}`).join('\n           ')}
+       ),
+       page AS (
+         SELECT * FROM matches
+         ${cursorFilter}
+         ORDER BY ${orderBy}
+         LIMIT ${addValue(limit + 1)}
+       )
+       SELECT page.*,
+              ts_headline('english', COALESCE(page.content, ''), q.query, '${HEADLINE_OPTIONS}') AS snippet,
+              u.username AS sender_username,
+              u.display_name AS sender_display_name,
+              u.profile_pic_url AS sender_avatar
+       FROM page
+       CROSS JOIN q
+       LEFT JOIN users u ON u.supabase_id = page.sender_id
+       ORDER BY ${orderBy}`,
+      values
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      results: rows.map(row => {
+        const message = redactLockedMedia(row, userId);
+        return {
+          id: message.id,
+          conversationId: message.conversation_id,
+          senderId: message.sender_id,
+          sender: {
+            username: row.sender_username,
+            displayName: row.sender_display_name,
+            avatar: row.sender_avatar
+          },
+          content: message.content,
+          snippet: escapeSnippet(row.snippet),
+          mediaUrl: message.media_url,
+          mediaType: message.media_type,
+          unlockPrice: message.unlock_price,
+          isUnlocked: message.is_unlocked,
+          rank: row.rank,
+          createdAt: message.created_at
+        };
+      }),
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], sort) : null
+    });
+  } catch (error) {
+    logger.error('Error searching messages:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to search messages' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,390 @@
+// routes/message-templates.js
+// Creator message templates (MessageTemplatesModal)
+// Placeholders are rendered per recipient by utils/message-templates.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { param, body, query, validationResult } = require('express-validator');
+const { logger } = require('../utils/secureLogger');
+const {
+  PLACEHOLDERS,
+  REPLY_WINDOW_DAYS,
+  findUnknownPlaceholders,
+  renderTemplate,
+  loadRecipientContexts,
+  sendTemplateToRecipients
+} = require('../utils/message-templates');
+
+const CATEGORIES = ['general', 'greeting', 'announcement', 'promotion', 'faq', 'schedule', 'custom'];
+const MAX_DIRECT_RECIPIENTS = 100;
+
+const templateValidators = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalIfUpdate(body('title').isString().trim().isLength({ min: 1, max: 100 })),
+    optionalIfUpdate(body('content').isString().trim().isLength({ min: 1, max: 2000 })),
+    body('category').optional().isIn(CATEGORIES),
+    body('tags').optional().isArray({ max: 20 }),
+    body('tags.*').optional().isString().trim().isLength({ min: 1, max: 30 }),
+    body('media_url').optional({ nullable: true }).isURL(),
+    body('media_type').optional({ nullable: true }).isIn(['image', 'video', 'audio', 'file']),
+    body('unlock_price').optional().isInt({ min: 0, max: 100000 }).toInt(),
+    body('is_archived').optional().isBoolean().toBoolean()
+  ];
+};
+
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content,
+    category: row.category,
+    tags: row.tags,
+    mediaUrl: row.media_url,
+    mediaType: row.media_type,
+    unlockPrice: row.unlock_price,
+    isArchived: row.is_archived,
+    usageCount: row.sent_count !== undefined ? parseInt(row.sent_count, 10) : undefined,
+    lastUsed: row.last_used_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Check content placeholders and PPV shape against the merged template
+ * @returns {string|null}
+ */
+function validateTemplateShape(template) {
+  const unknown = findUnknownPlaceholders(template.content);
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.map(name => `{{${name}}}`).join(', ')}. ` +
+      `Supported: ${PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}`;
+  }
+  if (template.unlock_price > 0 && !template.media_url) {
+    return 'media_url is required when unlock_price is set';
+  }
+  return null;
+}
+
+async function findOwnTemplate(templateId, creatorId) {
+  const result = await pool.query(
+    'SELECT * FROM message_templates WHERE id = $1 AND creator_id = $2',
+    [templateId, creatorId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * GET /api/messages/templates
+ * List the creator's templates with usage counts
+ */
+router.get('/', authenticateToken, requireCreator, [
+  query('category').optional().isIn(CATEGORIES),
+  query('include_archived').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const params = [req.user.supabase_id];
+    let filters = '';
+
+    if (!req.query.include_archived) {
+      filters += ' AND t.is_archived = FALSE';
+    }
+    if (req.query.category) {
+      params.push(req.query.category);
+      filters += ` AND t.category = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT t.*, COUNT(s.id) AS sent_count
+       FROM message_templates t
+       LEFT JOIN message_template_sends s ON s.template_id = t.id
+       WHERE t.creator_id = $1${filters}
+       GROUP BY t.id
+       ORDER BY t.last_used_at DESC NULLS LAST, t.created_at DESC`,
+      params
+    );
+
+    res.json({ success: true, templates: result.rows.map(formatTemplate), placeholders: PLACEHOLDERS });
+  } catch (error) {
+    logger.error('Error fetching message templates:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch message templates' });
+  }
+});
+
+/**
+ * POST /api/messages/templates
+ * Create a template
+ */
+router.post('/', authenticateToken, requireCreator, ...templateValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const template = {
+    title: req.body.title,
+    content: req.body.content,
+    category: req.body.category || 'general',
+    tags: req.body.tags || [],
+    media_url: req.body.media_url || null,
+    media_type: req.body.media_type || null,
+    unlock_price: req.body.unlock_price || 0
+  };
+
+  const shapeError = validateTemplateShape(template);
+  if (shapeError) {
+    return res.status(400).json({ success: false, error: shapeError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO message_templates (
+         creator_id, title, content, category, tags, media_url, media_type, unlock_price
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        req.user.supabase_id, template.title, template.content, template.category,
+        template.tags, template.media_url, template.media_type, template.unlock_price
+      ]
+    );
+
+    res.status(201).json({ success: true, template: formatTemplate({ ...result.rows[0], sent_count: 0 }) });
+  } catch (error) {
+    logger.error('Error creating message template:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create message template' });
+  }
+});
+
+/**
+ * POST /api/messages/templates/preview
+ * Render content for a recipient (or with fallback values) without sending
+ */
+router.post('/preview', authenticateToken, requireCreator, [
+  body('content').isString().isLength({ min: 1, max: 2000 }),
+  body('recipient_id').optional().isUUID()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    let context = {};
+    if (req.body.recipient_id) {
+      const contexts = await loadRecipientContexts(req.user.supabase_id, [req.body.recipient_id]);
+      context = contexts.get(req.body.recipient_id) || {};
+    }
+
+    res.json({
+      success: true,
+      rendered: renderTemplate(req.body.content, context),
+      unknownPlaceholders: findUnknownPlaceholders(req.body.content)
+    });
+  } catch (error) {
+    logger.error('Error previewing message template:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to preview message template' });
+  }
+});
+
+/**
+ * GET /api/messages/templates/:templateId
+ * Get a single template
+ */
+router.get('/:templateId', authenticateToken, requireCreator, param('templateId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const template = await findOwnTemplate(req.params.templateId, req.user.supabase_id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({ success: true, template: formatTemplate(template) });
+  } catch (error) {
+    logger.error('Error fetching message template:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch message template' });
+  }
+});
+
+/**
+ * GET /api/messages/templates/:templateId/stats
+ * Usage stats: sent count, reply rate and PPV unlock rate
+ */
+router.get('/:templateId/stats', authenticateToken, requireCreator, param('templateId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const template = await findOwnTemplate(req.params.templateId, req.user.supabase_id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT
+         COUNT(*)::INTEGER AS sent_count,
+         COUNT(DISTINCT s.recipient_id)::INTEGER AS unique_recipients,
+         COUNT(*) FILTER (WHERE EXISTS (
+           SELECT 1 FROM messages r
+           WHERE r.sender_id = s.recipient_id
+             AND r.recipient_id = s.creator_id
+             AND r.created_at > s.sent_at
+             AND r.created_at <= s.sent_at + ($2 || ' days')::INTERVAL
+         ))::INTEGER AS replied_count,
+         COUNT(*) FILTER (WHERE m.unlock_price > 0)::INTEGER AS ppv_sent_count,
+         COUNT(*) FILTER (WHERE m.unlock_price > 0 AND m.is_unlocked)::INTEGER AS ppv_unlocked_count,
+         COALESCE(SUM(m.unlock_price) FILTER (WHERE m.unlock_price > 0 AND m.is_unlocked), 0)::INTEGER AS ppv_tokens_earned
+       FROM message_template_sends s
+       LEFT JOIN messages m ON m.id = s.message_id
+       WHERE s.template_id = $1`,
+      [template.id, REPLY_WINDOW_DAYS]
+    );
+
+    const stats = result.rows[0];
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+    res.json({
+      success: true,
+      stats: {
+        sentCount: stats.sent_count,
+        uniqueRecipients: stats.unique_recipients,
+        repliedCount: stats.replied_count,
+        replyRate: rate(stats.replied_count, stats.sent_count),
+        replyWindowDays: REPLY_WINDOW_DAYS,
+        ppvSentCount: stats.ppv_sent_count,
+        ppvUnlockedCount: stats.ppv_unlocked_count,
+        ppvUnlockRate: rate(stats.ppv_unlocked_count, stats.ppv_sent_count),
+        ppvTokensEarned: stats.ppv_tokens_earned,
+        lastUsed: template.last_used_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching message template stats:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to fetch message template stats' });
+  }
+});
+
+/**
+ * PUT /api/messages/templates/:templateId
+ * Update a template (partial updates allowed)
+ */
+router.put('/:templateId', authenticateToken, requireCreator, param('templateId').isUUID(), ...templateValidators(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const existing = await findOwnTemplate(req.params.templateId, req.user.supabase_id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const fields = ['title', 'content', 'category', 'tags', 'media_url', 'media_type', 'unlock_price', 'is_archived'];
+    const template = { ...existing };
+    for (const field of fields) {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    }
+
+    const shapeError = validateTemplateShape(template);
+    if (shapeError) {
+      return res.status(400).json({ success: false, error: shapeError });
+    }
+
+    const result = await pool.query(
+      `UPDATE message_templates
+       SET title = $3, content = $4, category = $5, tags = $6, media_url = $7,
+           media_type = $8, unlock_price = $9, is_archived = $10
+       WHERE id = $1 AND creator_id = $2
+       RETURNING *`,
+      [
+        req.params.templateId, req.user.supabase_id, template.title, template.content,
+        template.category, template.tags, template.media_url, template.media_type,
+        template.unlock_price, template.is_archived
+      ]
+    );
+
+    res.json({ success: true, template: formatTemplate(result.rows[0]) });
+  } catch (error) {
+    logger.error('Error updating message template:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update message template' });
+  }
+});
+
+/**
+ * DELETE /api/messages/templates/:templateId
+ * Delete a template and its usage history
+ */
+router.delete('/:templateId', authenticateToken, requireCreator, param('templateId').isUUID(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM message_templates WHERE id = $1 AND creator_id = $2 RETURNING id',
+      [req.params.templateId, req.user.supabase_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({ success: true, deleted: result.rows[0].id });
+  } catch (error) {
+    logger.error('Error deleting message template:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete message template' });
+  }
+});
+
+/**
+ * POST /api/messages/templates/:templateId/send
+ * Send a template to specific fans (BroadcastMessageModal), rendered per recipient
+ */
+router.post('/:templateId/send', authenticateToken, requireCreator, [
+  param('templateId').isUUID(),
+  body('recipient_ids').isArray({ min: 1, max: MAX_DIRECT_RECIPIENTS }),
+  body('recipient_ids.*').isUUID(),
+  body('source').optional().isIn(['direct', 'broadcast'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const template = await findOwnTemplate(req.params.templateId, req.user.supabase_id);
+    if (!template || template.is_archived) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const recipientIds = [...new Set(req.body.recipient_ids)]
+      .filter(id => id !== req.user.supabase_id);
+
+    const summary = await sendTemplateToRecipients({
+      template,
+      recipientIds,
+      source: req.body.source || 'direct'
+    });
+
+    res.json({ success: true, sent: summary.sent, failed: summary.failed });
+  } catch (error) {
+    logger.error('Error sending message template:', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to send message template' });
+  }
+});
+
+module.exports = router;
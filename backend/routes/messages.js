@@ -4,6 +4,12 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { supabase, getSupabaseAdmin } = require('../utils/supabase');
+const { pool } = require('../utils/db');
+const { InsufficientFundsError } = require('../utils/app-errors');
+const { debitTokens, creditCreator } = require('../utils/token-transfers');
+const { createJournal } = require('../utils/token-ledger');
+const { deliverDirectMessage, redactLockedMedia } = require('../utils/direct-messages');
+const { applyAutoReplies } = require('../utils/auto-replies');
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -226,7 +232,10 @@ router.get('/conversation/:conversationId', authenticateToken, async (req, res)
       p_user_id: userId
     });
 
-    res.json({ success: true, messages: messages.reverse() });
+    res.json({
+      success: true,
+      messages: messages.reverse().map(message => redactLockedMedia(message, userId))
+    });
   } catch (error) {
     console.error('❌ Error fetching messages:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch messages' });
@@ -259,104 +268,39 @@ router.post('/send', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Either content or mediaUrl is required' });
     }
 
-    // Get or create conversation
-    const { data: conversationId, error: convError } = await supabase.rpc('get_or_create_conversation', {
-      p_user1_id: userId,
-      p_user2_id: recipientId
+    const result = await deliverDirectMessage({
+      senderId: userId,
+      recipientId,
+      content,
+      mediaUrl,
+      mediaType,
+      messageType,
+      metadata,
+      isPremium,
+      unlockPrice
     });
 
-    if (convError) throw convError;
-
-    // Calculate token cost based on message type and creator settings
-    let tokensSpent = 0;
-    if (isPremium) {
-      // Fetch creator's message rate from users table
-      const { data: recipientData } = await supabase
-        .from('users')
-        .select('message_price')
-        .eq('supabase_id', recipientId)
-        .single();
-
-      tokensSpent = recipientData?.message_price || 5; // Default to 5 tokens
-
-      // Check if user has enough tokens
-      const { data: userData } = await supabase
-        .from('users')
-        .select('token_balance')
-        .eq('supabase_id', userId)
-        .single();
-
-      if (!userData || userData.token_balance < tokensSpent) {
+    if (!result.success) {
+      if (result.error === 'INSUFFICIENT_TOKENS') {
         return res.status(402).json({
           success: false,
           error: 'Insufficient tokens',
-          required: tokensSpent,
-          balance: userData?.token_balance || 0
+          required: result.required,
+          balance: result.balance
         });
       }
-
-      // Deduct tokens from sender
-      await supabase
-        .from('users')
-        .update({ token_balance: userData.token_balance - tokensSpent })
-        .eq('supabase_id', userId);
-
-      // Add tokens to recipient (creator)
-      const { data: creatorData } = await supabase
-        .from('users')
-        .select('token_balance')
-        .eq('supabase_id', recipientId)
-        .single();
-
-      await supabase
-        .from('users')
-        .update({ token_balance: (creatorData?.token_balance || 0) + tokensSpent })
-        .eq('supabase_id', recipientId);
-
-      // Record transaction
-      await supabase.from('token_transactions').insert([
-        {
-          user_id: userId,
-          type: 'deduction',
-          amount: tokensSpent,
-          description: `Message to user (${messageType})`,
-          related_user_id: recipientId
-        },
-        {
-          user_id: recipientId,
-          type: 'earning',
-          amount: tokensSpent,
-          description: `Message received (${messageType})`,
-          related_user_id: userId
-        }
-      ]);
+      if (result.error === 'RECIPIENT_BLOCKED') {
+        return res.status(403).json({ success: false, error: 'You cannot message this user' });
+      }
+      return res.status(400).json({ success: false, error: result.error });
     }
 
-    // Create message
-    const { data: message, error: messageError } = await supabase
-      .from('messages')
-      .insert({
-        conversation_id: conversationId,
-        sender_id: userId,
-        recipient_id: recipientId,
-        content,
-        media_url: mediaUrl,
-        media_type: mediaType,
-        message_type: messageType,
-        metadata,
-        tokens_spent: tokensSpent,
-        is_premium: isPremium,
-        unlock_price: unlockPrice
-      })
-      .select(`
-        *,
-        sender:sender_id(id, username, display_name, profile_pic_url)
-      `)
-      .single();
+    const { message } = result;
 
-    if (messageError) throw messageError;
+    // Creator auto-replies (welcome, keyword, office hours, away)
+    const autoReply = await applyAutoReplies({ message });
 
-    res.json({ success: true, message });
+    res.json({ success: true, message, autoReply });
   } catch (error) {
     console.error('❌ Error sending message:', error);
     res.status(500).json({ success: false, error: 'Failed to send message' });
@@ -415,6 +359,75 @@ router.patch('/:messageId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/messages/:messageId/unlock
+ * Pay a message's unlock_price to reveal its media. The creator is credited
+ * net of the PPV platform fee, the same as POST /api/ppv/unlock
+ */
+router.post('/:messageId/unlock', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.supabase_id;
+    const { messageId } = req.params;
+
+    await client.query('BEGIN');
+
+    const messageResult = await client.query(
+      'SELECT * FROM messages WHERE id = $1 FOR UPDATE',
+      [messageId]
+    );
+    const message = messageResult.rows[0];
+
+    if (!message || message.recipient_id !== userId) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    const price = message.unlock_price || 0;
+    if (message.is_unlocked || price <= 0) {
+      await client.query('ROLLBACK');
+      return res.json({ success: true, content_url: message.media_url, tokens_spent: 0, message: 'Already unlocked' });
+    }
+
+    const journal = createJournal('message_unlock', { reference: `messages:${messageId}` });
+    try {
+      await debitTokens(client, userId, price, { type: 'message_unlock', journal, relatedUserId: message.sender_id });
+    } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        await client.query('ROLLBACK');
+        return res.status(402).json({ success: false, error: 'Insufficient tokens' });
+      }
+      throw error;
+    }
+    await creditCreator(client, message.sender_id, price, {
+      type: 'message_unlock_earning',
+      revenueType: 'ppv',
+      journal,
+      relatedUserId: userId
+    });
+    await journal.post(client);
+
+    await client.query(
+      'UPDATE messages SET is_unlocked = TRUE, unlocked_at = NOW() WHERE id = $1',
+      [messageId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      content_url: message.media_url,
+      tokens_spent: price
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error unlocking message:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlock message' });
+  } finally {
+    client.release();
+  }
+});
+
 // ============================================================================
 // TYPING INDICATORS
 // ============================================================================
@@ -1,225 +1,94 @@
 const express = require('express');
-const { Pool } = require('pg');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
-// Simulated AI Content Moderation Service
-// In production, this would integrate with services like OpenAI Moderation API, AWS Comprehend, etc.
-class AIContentModerator {
-  static async moderateText(text) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 100));
-
-    const flaggedTerms = [
-      'spam', 'scam', 'hate', 'harassment', 'inappropriate', 'explicit',
-      'violence', 'drugs', 'illegal', 'harmful', 'abuse', 'threat'
-    ];
-
-    const toxicPatterns = [
-      /\b(?:kill|die|suicide)\b/i,
-      /\b(?:hate|racist|sexist)\b/i,
-      /\b(?:stupid|idiot|moron)\s+(?:fan|user|person)/i,
-      /\b(?:fuck|shit|damn)\s+(?:you|this|that)/i,
-      /(?:discord|telegram|whatsapp)\.(?:gg|com|me)/i, // External link spam
-      /\b(?:buy|purchase|click|visit)\s+(?:here|now|this)/i // Promotional spam
-    ];
-
-    let flaggedReasons = [];
-    let confidenceScore = 0;
-    let severity = 'low';
-
-    // Check for flagged terms
-    const lowerText = text.toLowerCase();
-    flaggedTerms.forEach(term => {
-      if (lowerText.includes(term)) {
-        flaggedReasons.push(`Contains flagged term: ${term}`);
-        confidenceScore += 20;
-      }
-    });
-
-    // Check for toxic patterns
-    toxicPatterns.forEach((pattern, index) => {
-      if (pattern.test(text)) {
-        flaggedReasons.push(`Matches toxic pattern ${index + 1}`);
-        confidenceScore += 30;
-      }
-    });
-
-    // Check for excessive caps (potential shouting/spam)
-    const capsRatio = (text.match(/[A-Z]/g) || []).length / text.length;
-    if (capsRatio > 0.7 && text.length > 10) {
-      flaggedReasons.push('Excessive capitalization');
-      confidenceScore += 15;
-    }
-
-    // Check for repeated characters/words (spam indicator)
-    if (/(.)\1{4,}/.test(text) || /\b(\w+)\s+\1\b/gi.test(text)) {
-      flaggedReasons.push('Repeated characters or words');
-      confidenceScore += 25;
-    }
-
-    // Determine severity based on confidence
-    if (confidenceScore >= 70) {
-      severity = 'high';
-    } else if (confidenceScore >= 40) {
-      severity = 'medium';
-    }
-
-    const isViolation = confidenceScore >= 40;
-
-    return {
-      isViolation,
-      confidence: Math.min(confidenceScore, 100),
-      severity,
-      reasons: flaggedReasons,
-      categories: this.categorizeViolations(flaggedReasons),
-      action: this.recommendAction(confidenceScore, severity),
-      timestamp: new Date().toISOString()
-    };
-  }
-
-  static async moderateImage(imageUrl) {
-    // Simulate image moderation (would use AWS Rekognition, Google Vision, etc.)
-    await new Promise(resolve => setTimeout(resolve, 200));
-
-    // Basic simulation based on filename/URL patterns
-    const inappropriatePatterns = [
-      /\b(?:nude|naked|explicit|porn|sex|adult)\b/i,
-      /\b(?:violence|weapon|gun|knife)\b/i
-    ];
-
-    let flaggedReasons = [];
-    let confidenceScore = 0;
+const { pool } = require('../utils/db');
+const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { logger } = require('../utils/secureLogger');
+const { AppError } = require('../utils/app-errors');
+const { CATEGORIES } = require('../utils/moderation-providers');
+const {
+  getThresholds,
+  updateThreshold,
+  moderateContent,
+  reviewDecision,
+  fileAppeal,
+  resolveAppeal,
+  getHistory,
+  getUserDecisions
+} = require('../utils/content-moderation');
+
+function sendError(res, error, fallback) {
+  res.status(error instanceof AppError ? error.statusCode : 500).json({
+    error: error instanceof AppError ? error.message : fallback
+  });
+}
 
-    inappropriatePatterns.forEach((pattern, index) => {
-      if (pattern.test(imageUrl)) {
-        flaggedReasons.push(`Image content violation pattern ${index + 1}`);
-        confidenceScore += 60;
-      }
-    });
+function summarize(record, decision) {
+  return {
+    id: record.id,
+    isViolation: decision.isViolation,
+    confidence: decision.confidence,
+    severity: decision.severity,
+    action: decision.action,
+    categories: decision.categories,
+    reasons: decision.reasons
+  };
+}
 
-    return {
-      isViolation: confidenceScore >= 50,
-      confidence: confidenceScore,
-      severity: confidenceScore >= 70 ? 'high' : 'medium',
-      reasons: flaggedReasons,
-      categories: ['inappropriate_imagery'],
-      action: confidenceScore >= 70 ? 'block' : 'review',
-      timestamp: new Date().toISOString()
-    };
+async function notify(userId, type, title, message, data) {
+  try {
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, type, title, message, data]
+    );
+  } catch (error) {
+    logger.error('Failed to send moderation notification:', { userId, type, error: error.message });
   }
+}
 
-  static categorizeViolations(reasons) {
-    const categories = [];
-    
-    if (reasons.some(r => r.includes('hate') || r.includes('racist') || r.includes('sexist'))) {
-      categories.push('hate_speech');
-    }
-    if (reasons.some(r => r.includes('threat') || r.includes('violence') || r.includes('kill'))) {
-      categories.push('threats_violence');
-    }
-    if (reasons.some(r => r.includes('spam') || r.includes('repeated') || r.includes('promotional'))) {
-      categories.push('spam');
-    }
-    if (reasons.some(r => r.includes('harassment') || r.includes('abuse'))) {
-      categories.push('harassment');
-    }
-    if (reasons.some(r => r.includes('explicit') || r.includes('inappropriate'))) {
-      categories.push('adult_content');
+// Tell admins about removals they should look at
+async function alertAdmins(record, decision) {
+  try {
+    const admins = await pool.query(`SELECT supabase_id FROM users WHERE role = 'admin'`);
+    for (const admin of admins.rows) {
+      await notify(admin.supabase_id, 'moderation_alert', 'High severity content removed',
+        `A ${record.content_type} was removed for ${decision.categories.join(', ')}`,
+        { moderationId: record.id, userId: record.user_id, severity: decision.severity });
     }
-
-    return categories.length > 0 ? categories : ['general_violation'];
+  } catch (error) {
+    logger.error('Failed to alert admins:', { moderationId: record.id, error: error.message });
   }
+}
 
-  static recommendAction(confidence, severity) {
-    if (confidence >= 80) return 'block';
-    if (confidence >= 60) return 'quarantine';
-    if (confidence >= 40) return 'review';
-    return 'monitor';
+async function afterDecision(record, decision) {
+  if (decision.action !== 'block') return;
+  if (decision.severity === 'high' || decision.severity === 'critical') {
+    await alertAdmins(record, decision);
   }
+  await notify(record.user_id, 'content_removed', 'Content removed',
+    'Some of your content was removed for breaking the community guidelines. You can appeal this decision.',
+    { moderationId: record.id, contentType: record.content_type });
 }
 
 // Moderate chat message
 router.post('/moderate/message', authenticateToken, async (req, res) => {
   try {
-    const { messageId, content, channel } = req.body;
-    const userId = req.user.supabase_id;
-
-    if (!content) {
-      return res.status(400).json({ error: 'Message content is required' });
-    }
+    const { messageId, content } = req.body;
 
-    // Run AI moderation
-    const moderationResult = await AIContentModerator.moderateText(content);
-
-    // Save moderation result to database
-    const moderationQuery = await pool.query(`
-      INSERT INTO content_moderation 
-      (content_type, content_id, user_id, original_content, moderation_result, 
-       is_violation, confidence_score, severity, action_taken, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
-    `, [
-      'message',
-      messageId,
-      userId,
-      content,
-      JSON.stringify(moderationResult),
-      moderationResult.isViolation,
-      moderationResult.confidence,
-      moderationResult.severity,
-      moderationResult.action,
-      moderationResult.isViolation ? 'flagged' : 'approved'
-    ]);
-
-    // Take action based on moderation result
-    if (moderationResult.isViolation) {
-      if (moderationResult.action === 'block') {
-        // Block message immediately
-        await pool.query(
-          'UPDATE chat_messages SET is_blocked = true, blocked_reason = $1 WHERE id = $2',
-          ['AI Moderation: ' + moderationResult.reasons.join(', '), messageId]
-        );
-
-        // Create admin notification for severe violations
-        if (moderationResult.severity === 'high') {
-          await pool.query(`
-            INSERT INTO notifications (recipient_id, type, title, content, data, created_at)
-            VALUES ('admin', 'moderation_alert', 'High Severity Content Violation', 
-                    $1, $2, NOW())
-          `, [
-            `User ${userId} posted high-severity violating content`,
-            JSON.stringify({
-              userId,
-              messageId,
-              channel,
-              moderationResult
-            })
-          ]);
-        }
-      }
-
-      // Apply user penalties
-      await this.applyUserPenalty(userId, moderationResult.severity);
+    if (!messageId || !content) {
+      return res.status(400).json({ error: 'messageId and content are required' });
     }
 
-    res.json({
-      success: true,
-      moderation: {
-        id: moderationQuery.rows[0].id,
-        isViolation: moderationResult.isViolation,
-        confidence: moderationResult.confidence,
-        severity: moderationResult.severity,
-        action: moderationResult.action,
-        reasons: moderationResult.reasons
-      }
+    const { record, decision } = await moderateContent({
+      contentType: 'message',
+      contentId: messageId,
+      userId: req.user.supabase_id,
+      kind: 'text',
+      content
     });
+    await afterDecision(record, decision);
 
+    res.json({ success: true, moderation: summarize(record, decision) });
   } catch (error) {
     console.error('❌ Error moderating message:', error);
     res.status(500).json({ error: 'Failed to moderate content' });
@@ -232,195 +101,103 @@ router.post('/moderate/profile', authenticateToken, async (req, res) => {
     const { profileId, bio, username } = req.body;
     const userId = req.user.supabase_id;
 
-    // Moderate bio content
-    const bioModeration = bio ? await AIContentModerator.moderateText(bio) : null;
-    const usernameModeration = username ? await AIContentModerator.moderateText(username) : null;
-
-    let overallViolation = false;
-    let overallConfidence = 0;
-    let overallSeverity = 'low';
-    let allReasons = [];
-
-    if (bioModeration?.isViolation) {
-      overallViolation = true;
-      overallConfidence = Math.max(overallConfidence, bioModeration.confidence);
-      overallSeverity = bioModeration.severity;
-      allReasons.push(...bioModeration.reasons.map(r => `Bio: ${r}`));
-    }
-
-    if (usernameModeration?.isViolation) {
-      overallViolation = true;
-      overallConfidence = Math.max(overallConfidence, usernameModeration.confidence);
-      if (usernameModeration.severity === 'high') overallSeverity = 'high';
-      allReasons.push(...usernameModeration.reasons.map(r => `Username: ${r}`));
-    }
-
-    // Save moderation result
-    if (overallViolation) {
-      await pool.query(`
-        INSERT INTO content_moderation 
-        (content_type, content_id, user_id, original_content, moderation_result, 
-         is_violation, confidence_score, severity, action_taken, status)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      `, [
-        'profile',
-        profileId,
-        userId,
-        JSON.stringify({ bio, username }),
-        JSON.stringify({ bioModeration, usernameModeration }),
-        overallViolation,
-        overallConfidence,
-        overallSeverity,
-        overallConfidence >= 70 ? 'block' : 'review',
-        'flagged'
-      ]);
-
-      // Block profile updates if severe
-      if (overallConfidence >= 70) {
-        await pool.query(
-          'UPDATE users SET profile_blocked = true, profile_block_reason = $1 WHERE supabase_id = $2',
-          ['AI Moderation: ' + allReasons.join(', '), userId]
-        );
-      }
+    if (!bio && !username) {
+      return res.status(400).json({ error: 'bio or username is required' });
     }
 
-    res.json({
-      success: true,
-      moderation: {
-        isViolation: overallViolation,
-        confidence: overallConfidence,
-        severity: overallSeverity,
-        reasons: allReasons,
-        bioModeration,
-        usernameModeration
-      }
+    // Username and bio are scored together so one decision covers the profile
+    const { record, decision } = await moderateContent({
+      contentType: 'profile',
+      contentId: profileId || userId,
+      userId,
+      kind: 'text',
+      content: [username, bio].filter(Boolean).join('\n'),
+      originalContent: JSON.stringify({ bio, username })
     });
+    await afterDecision(record, decision);
 
+    res.json({ success: true, moderation: summarize(record, decision) });
   } catch (error) {
     console.error('❌ Error moderating profile:', error);
     res.status(500).json({ error: 'Failed to moderate profile' });
   }
 });
 
-// Moderate uploaded image/video
+// Moderate uploaded image, or a video by its sampled frames
 router.post('/moderate/media', authenticateToken, async (req, res) => {
   try {
-    const { mediaUrl, mediaType, contentId } = req.body;
-    const userId = req.user.supabase_id;
+    const { mediaUrl, mediaType, contentId, frameUrls } = req.body;
 
-    if (!mediaUrl) {
-      return res.status(400).json({ error: 'Media URL is required' });
+    if (!mediaUrl || !contentId) {
+      return res.status(400).json({ error: 'Media URL and contentId are required' });
     }
-
-    // Run AI moderation on media
-    const moderationResult = mediaType === 'image' 
-      ? await AIContentModerator.moderateImage(mediaUrl)
-      : await AIContentModerator.moderateText(mediaUrl); // Basic URL-based check for videos
-
-    // Save moderation result
-    const moderationQuery = await pool.query(`
-      INSERT INTO content_moderation 
-      (content_type, content_id, user_id, original_content, moderation_result, 
-       is_violation, confidence_score, severity, action_taken, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
-    `, [
-      mediaType,
-      contentId,
-      userId,
-      mediaUrl,
-      JSON.stringify(moderationResult),
-      moderationResult.isViolation,
-      moderationResult.confidence,
-      moderationResult.severity,
-      moderationResult.action,
-      moderationResult.isViolation ? 'flagged' : 'approved'
-    ]);
-
-    // Take action if violation detected
-    if (moderationResult.isViolation) {
-      if (moderationResult.action === 'block') {
-        // Mark media as blocked
-        await pool.query(`
-          INSERT INTO blocked_content (content_type, content_id, user_id, reason, blocked_at)
-          VALUES ($1, $2, $3, $4, NOW())
-        `, [mediaType, contentId, userId, 'AI Moderation: ' + moderationResult.reasons.join(', ')]);
-      }
-
-      await this.applyUserPenalty(userId, moderationResult.severity);
+    if (!['image', 'video'].includes(mediaType)) {
+      return res.status(400).json({ error: 'mediaType must be image or video' });
+    }
+    if (mediaType === 'video' && (!Array.isArray(frameUrls) || frameUrls.length === 0)) {
+      return res.status(400).json({ error: 'frameUrls are required to moderate a video' });
     }
 
-    res.json({
-      success: true,
-      moderation: {
-        id: moderationQuery.rows[0].id,
-        isViolation: moderationResult.isViolation,
-        confidence: moderationResult.confidence,
-        severity: moderationResult.severity,
-        action: moderationResult.action,
-        reasons: moderationResult.reasons
-      }
+    const { record, decision } = await moderateContent({
+      contentType: mediaType,
+      contentId,
+      userId: req.user.supabase_id,
+      kind: mediaType,
+      content: mediaType === 'image' ? mediaUrl : frameUrls,
+      originalContent: mediaUrl
     });
+    await afterDecision(record, decision);
 
+    res.json({ success: true, moderation: summarize(record, decision) });
   } catch (error) {
     console.error('❌ Error moderating media:', error);
     res.status(500).json({ error: 'Failed to moderate media' });
   }
 });
 
-// Get moderation history for admin
-router.get('/admin/history', authenticateToken, async (req, res) => {
+// The signed-in user's held and removed content, with appeal status
+router.get('/decisions', authenticateToken, async (req, res) => {
   try {
-    const { limit = 50, offset = 0, contentType, severity, status } = req.query;
-
-    // Check admin access
-    const userQuery = await pool.query(
-      'SELECT role FROM users WHERE supabase_id = $1',
-      [req.user.supabase_id]
-    );
-
-    if (userQuery.rows.length === 0 || (userQuery.rows[0].role !== 'admin')) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
-    let query = `
-      SELECT 
-        cm.*,
-        u.username,
-        u.email
-      FROM content_moderation cm
-      JOIN users u ON cm.user_id::text = u.id::text
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramIndex = 1;
-
-    if (contentType) {
-      query += ` AND cm.content_type = $${paramIndex}`;
-      params.push(contentType);
-      paramIndex++;
-    }
-
-    if (severity) {
-      query += ` AND cm.severity = $${paramIndex}`;
-      params.push(severity);
-      paramIndex++;
-    }
+    const decisions = await getUserDecisions(req.user.supabase_id);
+    res.json({ success: true, decisions });
+  } catch (error) {
+    console.error('❌ Error fetching moderation decisions:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation decisions' });
+  }
+});
 
-    if (status) {
-      query += ` AND cm.status = $${paramIndex}`;
-      params.push(status);
-      paramIndex++;
-    }
+// Appeal a removal
+router.post('/decisions/:moderationId/appeal', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const appeal = await fileAppeal(client, {
+      moderationId: req.params.moderationId,
+      userId: req.user.supabase_id,
+      reason: req.body.reason
+    });
+    await client.query('COMMIT');
 
-    query += ` ORDER BY cm.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(parseInt(limit), parseInt(offset));
+    res.json({ success: true, appeal });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error filing appeal:', error);
+    sendError(res, error, 'Failed to file appeal');
+  } finally {
+    client.release();
+  }
+});
 
-    const moderationHistory = await pool.query(query, params);
+// Get moderation history for admin. queue=open lists the review queue,
+// oldest and most urgent first; appealStatus filters by appeal.
+router.get('/admin/history', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const { limit, offset, contentType, severity, status, queue, appealStatus } = req.query;
+    const rows = await getHistory({ contentType, severity, status, queue, appealStatus, limit, offset });
 
     res.json({
       success: true,
-      history: moderationHistory.rows.map(record => ({
+      history: rows.map(record => ({
         id: record.id,
         contentType: record.content_type,
         contentId: record.content_id,
@@ -429,11 +206,28 @@ router.get('/admin/history', authenticateToken, async (req, res) => {
         email: record.email,
         originalContent: record.original_content,
         moderationResult: record.moderation_result,
+        provider: record.provider,
+        categoryScores: record.category_scores,
+        categories: record.violation_categories,
         isViolation: record.is_violation,
         confidence: record.confidence_score,
         severity: record.severity,
         actionTaken: record.action_taken,
         status: record.status,
+        reviewedBy: record.reviewed_by,
+        reviewedAt: record.reviewed_at,
+        queue: record.queue_id ? {
+          id: record.queue_id,
+          status: record.queue_status,
+          priority: record.queue_priority,
+          reviewDeadline: record.review_deadline
+        } : null,
+        appeal: record.appeal_id ? {
+          id: record.appeal_id,
+          status: record.appeal_status,
+          reason: record.appeal_reason,
+          createdAt: record.appealed_at
+        } : null,
         createdAt: record.created_at
       }))
     });
@@ -445,99 +239,115 @@ router.get('/admin/history', authenticateToken, async (req, res) => {
 });
 
 // Review flagged content (admin)
-router.post('/admin/review/:moderationId', authenticateToken, async (req, res) => {
+router.post('/admin/review/:moderationId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  const { action, notes } = req.body; // 'approve', 'reject', 'escalate'
+  const client = await pool.connect();
   try {
-    const { moderationId } = req.params;
-    const { action, notes } = req.body; // 'approve', 'reject', 'escalate'
-    const adminId = req.user.supabase_id;
-
-    // Check admin access
-    const userQuery = await pool.query(
-      'SELECT role FROM users WHERE supabase_id = $1',
-      [adminId]
-    );
-
-    if (userQuery.rows.length === 0 || (userQuery.rows[0].role !== 'admin')) {
-      return res.status(403).json({ error: 'Admin access required' });
+    await client.query('BEGIN');
+    const record = await reviewDecision(client, {
+      moderationId: req.params.moderationId,
+      adminId: req.user.supabase_id,
+      action,
+      notes
+    });
+    if (!record) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Moderation record not found' });
     }
+    await client.query('COMMIT');
 
-    // Update moderation record
-    await pool.query(`
-      UPDATE content_moderation 
-      SET status = $1, admin_review = $2, reviewed_by = $3, reviewed_at = NOW()
-      WHERE id = $4
-    `, [
-      action === 'approve' ? 'approved' : action === 'reject' ? 'rejected' : 'escalated',
-      notes,
-      adminId,
-      moderationId
-    ]);
+    if (action === 'reject') {
+      await notify(record.user_id, 'content_removed', 'Content removed',
+        'A moderator removed some of your content. You can appeal this decision.',
+        { moderationId: record.id, contentType: record.content_type });
+    }
 
     res.json({
       success: true,
-      message: `Content ${action}ed successfully`
+      message: `Content ${record.status} successfully`
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Error reviewing content:', error);
-    res.status(500).json({ error: 'Failed to review content' });
+    sendError(res, error, 'Failed to review content');
+  } finally {
+    client.release();
   }
 });
 
-// Apply penalty to user based on violation severity
-router.applyUserPenalty = async function(userId, severity) {
-  try {
-    const userQuery = await pool.query(
-      'SELECT moderation_strikes, is_suspended FROM users WHERE supabase_id = $1',
-      [userId]
-    );
+// Resolve an appeal (admin): { decision: 'uphold' | 'overturn', notes }
+router.post('/admin/appeals/:appealId/resolve', authenticateToken, requireSuperAdmin, async (req, res) => {
+  const { decision, notes } = req.body;
+  if (!['uphold', 'overturn'].includes(decision)) {
+    return res.status(400).json({ error: 'decision must be uphold or overturn' });
+  }
 
-    if (userQuery.rows.length === 0) return;
-
-    const user = userQuery.rows[0];
-    let newStrikes = (user.moderation_strikes || 0) + 1;
-    let suspensionDays = 0;
-
-    // Determine penalty based on severity and strike count
-    if (severity === 'high') {
-      newStrikes += 2; // High severity = 3 total strikes
-      if (newStrikes >= 3) {
-        suspensionDays = 7; // 1 week suspension
-      }
-    } else if (severity === 'medium') {
-      newStrikes += 1; // Medium severity = 2 total strikes
-      if (newStrikes >= 5) {
-        suspensionDays = 3; // 3 day suspension
-      }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const resolved = await resolveAppeal(client, {
+      appealId: req.params.appealId,
+      adminId: req.user.supabase_id,
+      overturn: decision === 'overturn',
+      notes
+    });
+    if (!resolved) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Pending appeal not found' });
     }
+    await client.query('COMMIT');
 
-    const suspensionEnd = suspensionDays > 0 
-      ? new Date(Date.now() + suspensionDays * 24 * 60 * 60 * 1000)
-      : null;
-
-    await pool.query(`
-      UPDATE users 
-      SET moderation_strikes = $1, 
-          suspension_end = $2,
-          is_suspended = $3
-      WHERE supabase_id = $4
-    `, [newStrikes, suspensionEnd, suspensionEnd !== null, userId]);
-
-    // Log penalty action
-    await pool.query(`
-      INSERT INTO user_penalties (user_id, penalty_type, severity, duration_days, reason, created_at)
-      VALUES ($1, $2, $3, $4, $5, NOW())
-    `, [
-      userId,
-      suspensionEnd ? 'suspension' : 'warning',
-      severity,
-      suspensionDays,
-      `Automatic penalty for ${severity} severity content violation`
-    ]);
+    const { appeal } = resolved;
+    await notify(appeal.user_id, 'appeal_resolved',
+      appeal.status === 'overturned' ? 'Appeal accepted' : 'Appeal declined',
+      appeal.status === 'overturned'
+        ? 'Your appeal was accepted and your content has been restored.'
+        : 'Your appeal was reviewed and the decision stands.',
+      { appealId: appeal.id, moderationId: appeal.moderation_id, status: appeal.status });
+
+    res.json({ success: true, appeal });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error resolving appeal:', error);
+    res.status(500).json({ error: 'Failed to resolve appeal' });
+  } finally {
+    client.release();
+  }
+});
+
+// Per-category thresholds (admin)
+router.get('/admin/thresholds', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const thresholds = await getThresholds();
+    res.json({ success: true, thresholds, categories: CATEGORIES });
+  } catch (error) {
+    console.error('❌ Error fetching moderation thresholds:', error);
+    res.status(500).json({ error: 'Failed to fetch thresholds' });
+  }
+});
+
+// Update a category's thresholds (admin): { review, block }
+router.put('/admin/thresholds/:category', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const threshold = await updateThreshold({
+      category: req.params.category,
+      review: req.body.review,
+      block: req.body.block,
+      adminId: req.user.supabase_id
+    });
+    logger.info('Moderation threshold updated', {
+      category: threshold.category,
+      review: threshold.review_threshold,
+      block: threshold.block_threshold,
+      adminId: req.user.supabase_id
+    });
 
+    res.json({ success: true, threshold });
   } catch (error) {
-    console.error('❌ Error applying user penalty:', error);
+    console.error('❌ Error updating moderation threshold:', error);
+    sendError(res, error, 'Failed to update threshold');
   }
-};
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
+const { checkIntakeRequirement } = require('../utils/intake-forms');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
 // Supabase removed - using Supabase
 
 // Get all offers for a creator (public endpoint for fans)
@@ -399,6 +402,17 @@ router.post('/:offerId/purchase', authenticateToken, async (req, res) => {
       await client.query('ROLLBACK');
       return res.status(400).json({ error: 'This offer is no longer available' });
     }
+
+    // Offers with an attached intake form need a response before purchase
+    const intake = await checkIntakeRequirement('offer', offerId, buyerId);
+    if (!intake.completed) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Please complete the intake form before purchasing',
+        intakeRequired: true,
+        intakeFormId: intake.formId
+      });
+    }
     
     // Check buyer's token balance
     const balanceQuery = 'SELECT balance FROM token_balances WHERE user_id = $1';
@@ -427,28 +441,39 @@ router.post('/:offerId/purchase', authenticateToken, async (req, res) => {
       [offer.price_tokens, buyerId]
     );
     
-    // Add tokens to creator
+    // Add tokens to creator, net of the platform fee
+    const fees = await calculateFees(client, {
+      creatorId: offer.creator_id,
+      revenueType: 'shop',
+      grossTokens: offer.price_tokens
+    });
     await client.query(`
       INSERT INTO token_balances (user_id, balance) 
       VALUES ($1, $2)
       ON CONFLICT (user_id) 
       DO UPDATE SET balance = token_balances.balance + $2
-    `, [offer.creator_id, offer.price_tokens]);
+    `, [offer.creator_id, fees.creatorNetTokens]);
     
     // Record token transaction
     await client.query(`
       INSERT INTO token_transactions (
         user_id, amount, transaction_type, 
-        description, related_purchase_id
+        description, related_purchase_id, fee_breakdown
       ) VALUES 
-      ($1, $2, 'offer_purchase', $3, $4),
-      ($5, $6, 'offer_sale', $7, $4)
+      ($1, $2, 'offer_purchase', $3, $4, NULL),
+      ($5, $6, 'offer_sale', $7, $4, $8)
     `, [
       buyerId, -offer.price_tokens, 
       `Purchased offer: ${offer.title}`, purchaseId,
-      offer.creator_id, offer.price_tokens,
-      `Sold offer: ${offer.title}`
+      offer.creator_id, fees.creatorNetTokens,
+      `Sold offer: ${offer.title}`,
+      JSON.stringify(fees)
     ]);
+    await createJournal('offer_purchase', { reference: `offer_purchases:${purchaseId}` })
+      .debitUser(buyerId, offer.price_tokens)
+      .creditUser(offer.creator_id, fees.creatorNetTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
     
     // Create notification for creator
     await client.query(`
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { auditLog } = require('../middleware/adminAudit');
+const { logger } = require('../utils/secureLogger');
+const { AppError, ResourceNotFoundError } = require('../utils/app-errors');
+const { listDisputes, getDispute, submitEvidence } = require('../utils/payment-disputes');
+
+function sendError(res, error, fallback) {
+  res.status(error instanceof AppError ? error.statusCode : 500).json({
+    error: error instanceof AppError ? error.message : fallback
+  });
+}
+
+// Everything here is for admins
+router.use(authenticateToken, requireSuperAdmin);
+
+// Disputes, newest first: ?status=open|won|lost
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const status = ['open', 'won', 'lost'].includes(req.query.status) ? req.query.status : null;
+    const disputes = await listDisputes({ status, limit });
+    res.json({ success: true, disputes });
+  } catch (error) {
+    logger.error('Error fetching payment disputes:', error);
+    res.status(500).json({ error: 'Failed to fetch payment disputes' });
+  }
+});
+
+// One dispute with its assembled evidence and creator holds
+router.get('/:disputeId', async (req, res) => {
+  try {
+    const dispute = await getDispute(req.params.disputeId);
+    if (!dispute) throw new ResourceNotFoundError('Dispute');
+    res.json({ success: true, dispute });
+  } catch (error) {
+    logger.error('Error fetching payment dispute:', error);
+    sendError(res, error, 'Failed to fetch payment dispute');
+  }
+});
+
+// Submit the evidence to Stripe: { evidence? } overrides assembled fields
+router.post('/:disputeId/evidence', auditLog('ADMIN_SUBMIT_DISPUTE_EVIDENCE'), async (req, res) => {
+  try {
+    const dispute = await submitEvidence(req.params.disputeId, {
+      adminId: req.user.supabase_id,
+      evidence: req.body.evidence || {}
+    });
+    res.json({ success: true, dispute });
+  } catch (error) {
+    logger.error('Error submitting dispute evidence:', error);
+    sendError(res, error, 'Failed to submit dispute evidence');
+  }
+});
+
+module.exports = router;
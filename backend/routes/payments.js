@@ -4,6 +4,7 @@ const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { retryDB, retryStripe } = require('../utils/retryHelper');
+const { createJournal, PAYOUT_ORDER } = require('../utils/token-ledger');
 const router = express.Router();
 
 // Test route
@@ -591,6 +592,10 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
                updated_at = NOW()`,
             [tx.user_id, totalTokens]
           );
+          await createJournal('purchase', { reference: `stripe:${paymentIntentId}` })
+            .debit('token_issuance', totalTokens)
+            .creditUser(tx.user_id, totalTokens)
+            .post(client);
 
           // Mark transaction as completed
           await client.query(
@@ -723,6 +728,13 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
             console.log(`⚠️ Partial refund: ${currentBalance} tokens deducted, ${shortage} token debt created for ${original.user_id}`);
           }
 
+          // Refunded tokens leave circulation
+          const refunded = Math.min(currentBalance, tokensToRefund);
+          await createJournal('refund', { reference: `stripe:${paymentIntentId}` })
+            .debitUser(original.user_id, refunded)
+            .credit('token_issuance', refunded)
+            .post(client);
+
           // Update payment status
           await client.query(
             `UPDATE payments SET status = 'refunded' WHERE stripe_payment_intent_id = $1`,
@@ -1255,6 +1267,10 @@ router.post('/process-auto-withdrawals', async (req, res) => {
             'UPDATE token_balances SET balance = balance - $1, updated_at = NOW() WHERE user_id = $2',
             [withdrawableBalance, creator.supabase_id]
           );
+          await createJournal('withdrawal', { reference: `withdrawals:${withdrawalResult.rows[0].id}` })
+            .debitUser(creator.supabase_id, withdrawableBalance, { order: PAYOUT_ORDER })
+            .credit('token_issuance', withdrawableBalance)
+            .post(client);
           
           // Update last withdrawal date
           await client.query(
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireCreator, requireSuperAdmin } = require('../middleware/auth');
+const { auditLog } = require('../middleware/adminAudit');
+const { logger } = require('../utils/secureLogger');
+const { pool } = require('../utils/db');
+const { AppError, ResourceNotFoundError } = require('../utils/app-errors');
+const {
+  RISK_TIERS,
+  assessCreatorRisk,
+  getReserveSummary,
+  releaseHold,
+  listOverrides,
+  setOverride,
+  revokeOverride
+} = require('../utils/payout-risk');
+
+function sendError(res, error, fallback) {
+  res.status(error instanceof AppError ? error.statusCode : 500).json({
+    error: error instanceof AppError ? error.message : fallback
+  });
+}
+
+// The signed-in creator's reserve terms and held funds
+router.get('/mine', authenticateToken, requireCreator, async (req, res) => {
+  try {
+    const [policy, reserves] = await Promise.all([
+      assessCreatorRisk(pool, req.user.supabase_id, { record: false }),
+      getReserveSummary(req.user.supabase_id)
+    ]);
+    res.json({
+      success: true,
+      reserve: {
+        tier: policy.tier,
+        reservePercent: policy.reservePercent,
+        holdDays: policy.holdDays,
+        // What is raising the reserve, so creators know what to fix (e.g. KYC)
+        factors: policy.factors.map(({ factor, points }) => ({ factor, points }))
+      },
+      ...reserves
+    });
+  } catch (error) {
+    logger.error('Error fetching payout reserve:', error);
+    sendError(res, error, 'Failed to fetch payout reserve');
+  }
+});
+
+// Current score, signals, holds and override history for a creator (admin)
+router.get('/admin/creators/:creatorId', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const [assessment, reserves, overrides, history] = await Promise.all([
+      assessCreatorRisk(pool, req.params.creatorId, { record: false }),
+      getReserveSummary(req.params.creatorId),
+      listOverrides(req.params.creatorId),
+      pool.query(
+        `SELECT id, score, tier, reserve_percent, hold_days, override_id, factors, assessed_at
+         FROM payout_risk_assessments
+         WHERE creator_id = $1
+         ORDER BY assessed_at DESC
+         LIMIT 20`,
+        [req.params.creatorId]
+      )
+    ]);
+    res.json({
+      success: true,
+      assessment,
+      tiers: RISK_TIERS,
+      ...reserves,
+      overrides,
+      history: history.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching creator payout risk:', error);
+    sendError(res, error, 'Failed to fetch creator payout risk');
+  }
+});
+
+// Reserve overrides (admin), optionally for one creator
+router.get('/admin/overrides', authenticateToken, requireSuperAdmin, async (req, res) => {
+  try {
+    const overrides = await listOverrides(req.query.creatorId || null);
+    res.json({ success: true, overrides });
+  } catch (error) {
+    logger.error('Error fetching payout reserve overrides:', error);
+    res.status(500).json({ error: 'Failed to fetch payout reserve overrides' });
+  }
+});
+
+// Pin a creator's reserve (admin): { creatorId, reservePercent, holdDays, effectiveUntil?, reason }
+router.post('/admin/overrides', authenticateToken, requireSuperAdmin, auditLog('ADMIN_SET_PAYOUT_RESERVE_OVERRIDE'), async (req, res) => {
+  try {
+    const { override, replaced } = await setOverride({
+      creatorId: req.body.creatorId,
+      reservePercent: req.body.reservePercent,
+      holdDays: req.body.holdDays,
+      effectiveUntil: req.body.effectiveUntil,
+      reason: req.body.reason,
+      adminId: req.user.supabase_id
+    });
+    res.status(201).json({ success: true, override, replaced });
+  } catch (error) {
+    logger.error('Error setting payout reserve override:', error);
+    sendError(res, error, 'Failed to set payout reserve override');
+  }
+});
+
+router.delete('/admin/overrides/:overrideId', authenticateToken, requireSuperAdmin, auditLog('ADMIN_REVOKE_PAYOUT_RESERVE_OVERRIDE'), async (req, res) => {
+  try {
+    const override = await revokeOverride(req.params.overrideId, req.user.supabase_id);
+    if (!override) throw new ResourceNotFoundError('Active payout reserve override');
+    res.json({ success: true, override });
+  } catch (error) {
+    logger.error('Error revoking payout reserve override:', error);
+    sendError(res, error, 'Failed to revoke payout reserve override');
+  }
+});
+
+// Release a hold before its date (admin): { reason }
+router.post('/admin/holds/:holdId/release', authenticateToken, requireSuperAdmin, auditLog('ADMIN_RELEASE_PAYOUT_RESERVE'), async (req, res) => {
+  try {
+    const hold = await releaseHold(req.params.holdId, {
+      adminId: req.user.supabase_id,
+      reason: req.body.reason
+    });
+    if (!hold) throw new ResourceNotFoundError('Held reserve');
+    res.json({ success: true, hold });
+  } catch (error) {
+    logger.error('Error releasing payout reserve:', error);
+    sendError(res, error, 'Failed to release payout reserve');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { v4: uuidv4 } = require('uuid');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { logger } = require('../utils/secureLogger');
+const { AppError } = require('../utils/app-errors');
+const { authorizeModeration, recordModerationAction } = require('../utils/stream-moderators');
 const router = express.Router();
 
 // Middleware
@@ -15,7 +18,7 @@ router.use(authenticateToken);
 router.post('/create', async (req, res) => {
   try {
     const { channelId, question, options, duration = 300 } = req.body;
-    const creatorId = req.user.supabase_id;
+    const userId = req.user.supabase_id;
 
     // Validate input
     if (!channelId || !question || !options || options.length < 2) {
@@ -24,15 +27,18 @@ router.post('/create', async (req, res) => {
       });
     }
 
-    // Verify creator owns the stream
+    // The creator, or one of their moderators with manage_polls
     const streamQuery = await pool.query(
-      'SELECT stream_id FROM streams WHERE stream_id = $1 AND creator_id = $2 AND status = $3',
-      [channelId, creatorId, 'live']
+      'SELECT id, creator_id FROM streams WHERE stream_id = $1 AND status = $2',
+      [channelId, 'live']
     );
 
     if (streamQuery.rows.length === 0) {
-      return res.status(403).json({ error: 'Stream not found or you are not the creator' });
+      return res.status(404).json({ error: 'Stream not found' });
     }
+    const stream = streamQuery.rows[0];
+    const creatorId = stream.creator_id;
+    await authorizeModeration(userId, { creatorId, streamId: stream.id }, 'manage_polls');
 
     const pollId = uuidv4();
     const expiresAt = new Date(Date.now() + duration * 1000);
@@ -68,10 +74,20 @@ try {
 }
     }
 
+    await recordModerationAction({
+      creatorId,
+      actorId: userId,
+      action: 'poll_created',
+      channel: channelId,
+      details: { pollId, question }
+    });
+
     res.json({ success: true, poll });
   } catch (error) {
     console.error('Error creating poll:', error);
-    res.status(500).json({ error: 'Failed to create poll' });
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error instanceof AppError ? error.message : 'Failed to create poll'
+    });
   }
 });
 
@@ -181,18 +197,24 @@ try {
 router.post('/end', async (req, res) => {
   try {
     const { pollId } = req.body;
-    const creatorId = req.user.supabase_id;
+    const userId = req.user.supabase_id;
 
-    // Verify creator owns the poll
     const poll = await pool.query(
-      'SELECT * FROM polls WHERE poll_id = $1 AND creator_id = $2 AND status = $3',
-      [pollId, creatorId, 'active']
+      `SELECT p.*, s.id AS stream_uuid
+       FROM polls p
+       LEFT JOIN streams s ON s.stream_id = p.channel_id
+       WHERE p.poll_id = $1 AND p.status = $2`,
+      [pollId, 'active']
     );
 
     if (poll.rows.length === 0) {
-      return res.status(404).json({ error: 'Poll not found or not authorized' });
+      return res.status(404).json({ error: 'Poll not found' });
     }
 
+    // The creator, or one of their moderators with manage_polls
+    const { creator_id: creatorId, stream_uuid: streamId, channel_id: channelId } = poll.rows[0];
+    await authorizeModeration(userId, { creatorId, streamId }, 'manage_polls');
+
     // Close the poll
     await pool.query(
       'UPDATE polls SET status = $1, updated_at = NOW() WHERE poll_id = $2',
@@ -230,10 +252,20 @@ try {
 }
     }
 
+    await recordModerationAction({
+      creatorId,
+      actorId: userId,
+      action: 'poll_ended',
+      channel: channelId,
+      details: { pollId, totalVotes }
+    });
+
     res.json({ success: true, finalResults, totalVotes });
   } catch (error) {
     console.error('Error ending poll:', error);
-    res.status(500).json({ error: 'Failed to end poll' });
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error instanceof AppError ? error.message : 'Failed to end poll'
+    });
   }
 });
 
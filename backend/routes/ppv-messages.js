@@ -4,6 +4,9 @@ const { authenticateToken } = require('../middleware/auth');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const { debitTokens, creditCreator } = require('../utils/token-transfers');
+const { createJournal } = require('../utils/token-ledger');
+const { InsufficientFundsError } = require('../utils/app-errors');
 const router = express.Router();
 
 // Configure multer for file uploads
@@ -142,36 +145,101 @@ router.post('/send', authenticateToken, upload.single('file'), async (req, res)
 });
 
 // Unlock a PPV message
+// Done here rather than in unlock_ppv_message() so the creator is credited
+// net of the PPV platform fee (utils/fee-policy.js)
 router.post('/unlock', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
   try {
     const userId = req.user.supabase_id;
-    const { message_id, price } = req.body;
-    
-    // Call the unlock function
-    const result = await pool.query(
-      'SELECT unlock_ppv_message($1, $2) as result',
-      [userId, message_id]
+    const { message_id } = req.body;
+
+    await client.query('BEGIN');
+
+    const messageResult = await client.query(
+      'SELECT * FROM ppv_messages WHERE id = $1 FOR UPDATE',
+      [message_id]
     );
-    
-    const unlockResult = result.rows[0].result;
-    
-    if (unlockResult.success) {
-      res.json({
+    const message = messageResult.rows[0];
+
+    const reject = async (error) => {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error });
+    };
+
+    if (!message) return reject('Message not found');
+    if (message.expires_at && new Date(message.expires_at) < new Date()) {
+      return reject('Content has expired');
+    }
+
+    // Senders can always access their own content
+    if (message.sender_id === userId) {
+      await client.query('ROLLBACK');
+      return res.json({ success: true, content_url: message.content_url, tokens_spent: 0 });
+    }
+
+    const existing = await client.query(
+      'SELECT id FROM ppv_unlocks WHERE ppv_message_id = $1 AND user_id = $2',
+      [message_id, userId]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.json({
         success: true,
-        content_url: unlockResult.content_url,
-        unlock_id: unlockResult.unlock_id,
-        tokens_spent: unlockResult.tokens_spent
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        error: unlockResult.error
+        content_url: message.content_url,
+        unlock_id: existing.rows[0].id,
+        tokens_spent: 0
       });
     }
-    
+
+    if (message.is_exclusive && message.receiver_id && message.receiver_id !== userId) {
+      return reject('This content is exclusive');
+    }
+
+    const journal = createJournal('ppv_unlock', { reference: `ppv_messages:${message_id}` });
+    try {
+      await debitTokens(client, userId, message.price, { type: 'ppv_unlock', journal, relatedUserId: message.sender_id });
+    } catch (error) {
+      if (error instanceof InsufficientFundsError) return reject('Insufficient tokens');
+      throw error;
+    }
+    await creditCreator(client, message.sender_id, message.price, {
+      type: 'ppv_earning',
+      revenueType: 'ppv',
+      journal,
+      relatedUserId: userId
+    });
+    await journal.post(client);
+
+    const unlock = await client.query(
+      `INSERT INTO ppv_unlocks (ppv_message_id, user_id, price_paid)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [message_id, userId, message.price]
+    );
+
+    await client.query(
+      `UPDATE ppv_messages
+       SET unlock_count = unlock_count + 1,
+           total_earned = total_earned + $2,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [message_id, message.price]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      content_url: message.content_url,
+      unlock_id: unlock.rows[0].id,
+      tokens_spent: message.price
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Unlock error:', error);
     res.status(500).json({ error: 'Failed to unlock content' });
+  } finally {
+    client.release();
   }
 });
 
@@ -7,6 +7,8 @@ const db = require('../utils/db');
 const { createClient } = require('@supabase/supabase-js');
 const fetch = require('node-fetch');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { calculateFees } = require('../utils/fee-policy');
+const { creditSplitRevenue } = require('../utils/revenue-splits');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -495,11 +497,25 @@ router.post('/recordings/:recordingId/purchase', authenticateToken, async (req,
       [recording.token_price, userId]
     );
     
-    // Add to creator balance
-    await client.query(
-      'UPDATE users SET token_balance = token_balance + $1 WHERE supabase_id = $2',
-      [recording.token_price, recording.creator_id]
-    );
+    // Add to creator balance, net of the platform fee. Recordings of a
+    // co-hosted stream are shared by the stream's revenue split.
+    await creditSplitRevenue(client, {
+      hostId: recording.creator_id,
+      grossTokens: recording.token_price,
+      revenueType: 'ppv',
+      payerId: userId,
+      streamId: recording.stream_id,
+      recording: true,
+      sourceRef: recordingId,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'ppv', grossTokens: tokens });
+        await client.query(
+          'UPDATE users SET token_balance = token_balance + $1 WHERE supabase_id = $2',
+          [fees.creatorNetTokens, memberId]
+        );
+        return fees;
+      }
+    });
     
     // Record purchase
     await client.query(
@@ -0,0 +1,350 @@
+// routes/scheduled-messages.js
+// Scheduled direct messages (ScheduledMessageModal)
+// Delivery happens in jobs/scheduled-messages.js via POST /api/cron/scheduled-messages
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { param, body, query, validationResult } = require('express-validator');
+const { isBlockedByRecipient } = require('../utils/direct-messages');
+const { logger } = require('../utils/secureLogger');
+
+const REPEAT_OPTIONS = ['none', 'daily', 'weekly', 'monthly'];
+const MIN_LEAD_MS = 60 * 1000; // At least a minute in the future
+const MAX_LEAD_MS = 365 * 24 * 60 * 60 * 1000; // At most a year ahead
+
+/**
+ * Validate a requested send time
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateScheduleTime(value) {
+  const scheduledAt = new Date(value);
+  const delta = scheduledAt.getTime() - Date.now();
+
+  if (Number.isNaN(scheduledAt.getTime())) return 'scheduled_at must be a valid date';
+  if (delta < MIN_LEAD_MS) return 'scheduled_at must be at least one minute in the future';
+  if (delta > MAX_LEAD_MS) return 'scheduled_at cannot be more than a year in the future';
+  return null;
+}
+
+function formatScheduledMessage(row) {
+  return {
+    id: row.id,
+    recipientId: row.recipient_id,
+    recipientName: row.recipient_name || row.recipient_username || null,
+    content: row.content,
+    mediaUrl: row.media_url,
+    mediaType: row.media_type,
+    messageType: row.message_type,
+    unlockPrice: row.unlock_price,
+    scheduledAt: row.scheduled_at,
+    repeat: row.repeat_interval,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    sentMessageId: row.sent_message_id,
+    sentAt: row.sent_at,
+    seriesId: row.series_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * POST /api/messages/scheduled
+ * Schedule a direct message for later delivery
+ */
+router.post('/',
+  authenticateToken,
+  requireCreator,
+  body('recipient_id').isUUID(),
+  body('message').optional({ nullable: true }).isString().trim().isLength({ max: 5000 }),
+  body('media_url').optional({ nullable: true }).isURL(),
+  body('media_type').optional({ nullable: true }).isIn(['image', 'video', 'audio', 'file']),
+  body('unlock_price').optional().isInt({ min: 0, max: 100000 }).toInt(),
+  body('scheduled_at').isISO8601(),
+  body('repeat').optional().isIn(REPEAT_OPTIONS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const senderId = req.user.supabase_id;
+      const {
+        recipient_id: recipientId,
+        message,
+        media_url: mediaUrl = null,
+        media_type: mediaType = null,
+        unlock_price: unlockPrice = 0,
+        scheduled_at: scheduledAt,
+        repeat = 'none'
+      } = req.body;
+
+      if (!message && !mediaUrl) {
+        return res.status(400).json({ success: false, error: 'Either message or media_url is required' });
+      }
+
+      if (recipientId === senderId) {
+        return res.status(400).json({ success: false, error: 'Cannot schedule a message to yourself' });
+      }
+
+      const timeError = validateScheduleTime(scheduledAt);
+      if (timeError) {
+        return res.status(400).json({ success: false, error: timeError });
+      }
+
+      if (await isBlockedByRecipient(senderId, recipientId)) {
+        return res.status(403).json({ success: false, error: 'You cannot message this user' });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO scheduled_messages (
+           sender_id, recipient_id, content, media_url, media_type, message_type,
+           unlock_price, scheduled_at, repeat_interval
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          senderId, recipientId, message || null, mediaUrl, mediaType,
+          mediaUrl ? 'media' : 'text', unlockPrice, scheduledAt, repeat
+        ]
+      );
+
+      res.status(201).json({ success: true, scheduledMessage: formatScheduledMessage(result.rows[0]) });
+    } catch (error) {
+      logger.error('Error scheduling message:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to schedule message' });
+    }
+  }
+);
+
+/**
+ * GET /api/messages/scheduled
+ * List the authenticated creator's scheduled messages
+ */
+router.get('/',
+  authenticateToken,
+  query('status').optional().isIn(['pending', 'processing', 'sent', 'cancelled', 'failed', 'blocked']),
+  query('recipient_id').optional().isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const senderId = req.user.supabase_id;
+      const { status, recipient_id: recipientId, limit = 50, offset = 0 } = req.query;
+
+      const conditions = ['sm.sender_id = $1'];
+      const params = [senderId];
+
+      if (status) {
+        params.push(status);
+        conditions.push(`sm.status = $${params.length}`);
+      }
+      if (recipientId) {
+        params.push(recipientId);
+        conditions.push(`sm.recipient_id = $${params.length}`);
+      }
+
+      params.push(limit, offset);
+
+      const result = await pool.query(
+        `SELECT sm.*, u.display_name AS recipient_name, u.username AS recipient_username
+         FROM scheduled_messages sm
+         LEFT JOIN users u ON u.supabase_id = sm.recipient_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY sm.scheduled_at ASC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+
+      res.json({
+        success: true,
+        scheduledMessages: result.rows.map(formatScheduledMessage),
+        pagination: { limit, offset, count: result.rows.length }
+      });
+    } catch (error) {
+      logger.error('Error listing scheduled messages:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to fetch scheduled messages' });
+    }
+  }
+);
+
+/**
+ * GET /api/messages/scheduled/:id
+ * Get a single scheduled message
+ */
+router.get('/:id',
+  authenticateToken,
+  param('id').isUUID(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT sm.*, u.display_name AS recipient_name, u.username AS recipient_username
+         FROM scheduled_messages sm
+         LEFT JOIN users u ON u.supabase_id = sm.recipient_id
+         WHERE sm.id = $1 AND sm.sender_id = $2`,
+        [req.params.id, req.user.supabase_id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+      }
+
+      res.json({ success: true, scheduledMessage: formatScheduledMessage(result.rows[0]) });
+    } catch (error) {
+      logger.error('Error fetching scheduled message:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to fetch scheduled message' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/messages/scheduled/:id
+ * Edit a pending scheduled message (content, time, repeat, media, price)
+ */
+router.patch('/:id',
+  authenticateToken,
+  param('id').isUUID(),
+  body('message').optional({ nullable: true }).isString().trim().isLength({ max: 5000 }),
+  body('media_url').optional({ nullable: true }).isURL(),
+  body('media_type').optional({ nullable: true }).isIn(['image', 'video', 'audio', 'file']),
+  body('unlock_price').optional().isInt({ min: 0, max: 100000 }).toInt(),
+  body('scheduled_at').optional().isISO8601(),
+  body('repeat').optional().isIn(REPEAT_OPTIONS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const fieldMap = {
+        message: 'content',
+        media_url: 'media_url',
+        media_type: 'media_type',
+        unlock_price: 'unlock_price',
+        scheduled_at: 'scheduled_at',
+        repeat: 'repeat_interval'
+      };
+
+      if (req.body.scheduled_at) {
+        const timeError = validateScheduleTime(req.body.scheduled_at);
+        if (timeError) {
+          return res.status(400).json({ success: false, error: timeError });
+        }
+      }
+
+      const sets = [];
+      const params = [req.params.id, req.user.supabase_id];
+      for (const [field, column] of Object.entries(fieldMap)) {
+        if (req.body[field] !== undefined) {
+          params.push(req.body[field]);
+          sets.push(`${column} = $${params.length}`);
+        }
+      }
+
+      if (sets.length === 0) {
+        return res.status(400).json({ success: false, error: 'No changes provided' });
+      }
+
+      if (req.body.media_url !== undefined) {
+        params.push(req.body.media_url ? 'media' : 'text');
+        sets.push(`message_type = $${params.length}`);
+      }
+
+      // A new time replaces any pending retry and becomes the monthly anchor
+      if (req.body.scheduled_at) {
+        sets.push('next_attempt_at = NULL', 'anchor_day = NULL');
+      }
+
+      // Only pending rows can change; the worker may already hold the row otherwise
+      const result = await pool.query(
+        `UPDATE scheduled_messages
+         SET ${sets.join(', ')}
+         WHERE id = $1 AND sender_id = $2 AND status = 'pending'
+         RETURNING *`,
+        params
+      );
+
+      if (result.rows.length === 0) {
+        const existing = await pool.query(
+          'SELECT status FROM scheduled_messages WHERE id = $1 AND sender_id = $2',
+          [req.params.id, req.user.supabase_id]
+        );
+        if (existing.rows.length === 0) {
+          return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+        }
+        return res.status(409).json({
+          success: false,
+          error: `Cannot edit a message that is ${existing.rows[0].status}`
+        });
+      }
+
+      res.json({ success: true, scheduledMessage: formatScheduledMessage(result.rows[0]) });
+    } catch (error) {
+      // scheduled_messages_has_body: edit would leave neither text nor media
+      if (error.code === '23514') {
+        return res.status(400).json({ success: false, error: 'Either message or media_url is required' });
+      }
+      logger.error('Error updating scheduled message:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to update scheduled message' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/messages/scheduled/:id
+ * Cancel a pending scheduled message. Pass ?series=true to also cancel
+ * future occurrences of a repeating message.
+ */
+router.delete('/:id',
+  authenticateToken,
+  param('id').isUUID(),
+  query('series').optional().isBoolean().toBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const senderId = req.user.supabase_id;
+      const cancelSeries = req.query.series === true;
+
+      const result = await pool.query(
+        `UPDATE scheduled_messages
+         SET status = 'cancelled'
+         WHERE sender_id = $2
+           AND status = 'pending'
+           AND (id = $1 OR ($3 AND series_id = (
+             SELECT COALESCE(series_id, id) FROM scheduled_messages WHERE id = $1 AND sender_id = $2
+           )))
+         RETURNING id`,
+        [req.params.id, senderId, cancelSeries]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'No pending scheduled message found' });
+      }
+
+      res.json({ success: true, cancelled: result.rows.map(r => r.id) });
+    } catch (error) {
+      logger.error('Error cancelling scheduled message:', { error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to cancel scheduled message' });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,11 +2,13 @@ const router = require('express').Router();
 const { authenticateToken } = require('../middleware/auth');
 const { validateSessionInvite, handleValidationErrors } = require('../middleware/validation');
 const db = require('../utils/db');
+const { createJournal } = require('../utils/token-ledger');
 const { supabase, supabaseAdmin } = require('../utils/supabase-admin-v2');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 const { notifyUser, sendNotification } = require('../utils/notifications');
 const { getTokenFunctions } = require('../utils/tokens');
+const { checkIntakeRequirement, getIntakeResponse } = require('../utils/intake-forms');
 
 // Validation schemas
 const inviteSchema = {
@@ -26,7 +28,8 @@ const inviteSchema = {
     totalCost: { type: 'number', minimum: 0 },
     preparations: { type: 'object' },
     package: { type: 'object' },
-    requestIntakeForm: { type: 'boolean' }
+    requestIntakeForm: { type: 'boolean' },
+    intakeFormId: { type: 'string', format: 'uuid' }
   },
   required: ['type', 'fanId', 'duration', 'totalCost'],
   additionalProperties: false
@@ -45,18 +48,19 @@ router.post('/request', authenticateToken, async (req, res) => {
     price 
   });
 
+  const client = await db.pool.connect();
   try {
     // Start a transaction
-    await db.query('BEGIN');
+    await client.query('BEGIN');
 
     // 1. Check if user has enough tokens (use token_balances table)
-    const balanceResult = await db.query(
-      'SELECT balance FROM token_balances WHERE user_id = $1',
+    const balanceResult = await client.query(
+      'SELECT balance FROM token_balances WHERE user_id = $1 FOR UPDATE',
       [userId]
     );
 
     if (!balanceResult.rows[0] || balanceResult.rows[0].balance < price) {
-      await db.query('ROLLBACK');
+      await client.query('ROLLBACK');
       return res.status(400).json({
         error: 'Insufficient tokens',
         required: price,
@@ -65,17 +69,17 @@ router.post('/request', authenticateToken, async (req, res) => {
     }
 
     // Get internal user IDs for session_invites table
-    const userIdResult = await db.query(
+    const userIdResult = await client.query(
       'SELECT id FROM users WHERE supabase_id = $1',
       [userId]
     );
-    const creatorIdResult = await db.query(
+    const creatorIdResult = await client.query(
       'SELECT id FROM users WHERE supabase_id = $1',
       [creatorId]
     );
 
     if (!userIdResult.rows[0] || !creatorIdResult.rows[0]) {
-      await db.query('ROLLBACK');
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'User or creator not found' });
     }
 
@@ -83,7 +87,7 @@ router.post('/request', authenticateToken, async (req, res) => {
     const creatorIntId = creatorIdResult.rows[0].id;
 
     // 2. Create a session request in session_invites table
-    const requestResult = await db.query(
+    const requestResult = await client.query(
       `INSERT INTO session_invites
        (creator_id, fan_id, type, status, scheduled_date, scheduled_time,
         duration, message, total_cost, created_at)
@@ -98,26 +102,31 @@ router.post('/request', authenticateToken, async (req, res) => {
     // 3. For messages, we can auto-accept and deduct tokens immediately
     if (serviceType === 'message') {
       // Deduct tokens for the message (use token_balances table)
-      await db.query(
+      await client.query(
         'UPDATE token_balances SET balance = balance - $1 WHERE user_id = $2',
         [price, userId]
       );
 
       // Update request status
-      await db.query(
+      await client.query(
         "UPDATE session_invites SET status = 'accepted' WHERE id = $1",
         [requestId]
       );
 
       // Record the transaction
-      await db.query(
+      await client.query(
         `INSERT INTO token_transactions 
          (user_id, amount, type, description, related_id, created_at)
          VALUES ($1, $2, 'message', $3, $4, NOW())`,
         [userId, -price, `Message to ${creatorUsername}`, requestId]
       );
+      // No creator credit on this path, so the platform keeps the tokens
+      await createJournal('message', { reference: `session_invites:${requestId}` })
+        .debitUser(userId, Number(price))
+        .credit('platform_revenue', Number(price))
+        .post(client);
 
-      await db.query('COMMIT');
+      await client.query('COMMIT');
 
       // Notify creator
       await notifyUser(creatorId, {
@@ -135,10 +144,10 @@ router.post('/request', authenticateToken, async (req, res) => {
       });
     } else {
       // For calls, keep the request pending until creator accepts
-      await db.query('COMMIT');
+      await client.query('COMMIT');
 
       // Get fan info
-      const fanResult = await db.query(
+      const fanResult = await client.query(
         'SELECT username, display_name, profile_pic_url FROM users WHERE supabase_id = $1',
         [userId]
       );
@@ -168,12 +177,14 @@ router.post('/request', authenticateToken, async (req, res) => {
       });
     }
   } catch (error) {
-    await db.query('ROLLBACK');
+    await client.query('ROLLBACK');
     logger.error('❌ Session request error:', error);
     res.status(500).json({ 
       error: 'Failed to send request',
       details: error.message 
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -194,7 +205,8 @@ router.post('/invite', authenticateToken, validateSessionInvite, async (req, res
     totalCost,
     preparations,
     package: sessionPackage,
-    requestIntakeForm
+    requestIntakeForm,
+    intakeFormId
   } = req.body;
 
   const creatorId = req.user.supabase_id;
@@ -225,6 +237,31 @@ router.post('/invite', authenticateToken, validateSessionInvite, async (req, res
     const creator = creatorResult.rows[0];
     const ratePerMin = type === 'video' ? creator.video_price : creator.voice_price;
 
+    // Use the form picked for this invite, or the one attached to the session type
+    let resolvedIntakeFormId = null;
+    if (requestIntakeForm) {
+      const formResult = intakeFormId
+        ? await db.query(
+          `SELECT id FROM intake_forms
+           WHERE id = $1 AND creator_id = $2 AND is_archived = FALSE`,
+          [intakeFormId, creatorId]
+        )
+        : await db.query(
+          `SELECT a.form_id AS id
+           FROM intake_form_attachments a
+           JOIN intake_forms f ON f.id = a.form_id AND f.is_archived = FALSE
+           WHERE a.creator_id = $1 AND a.target_type = 'session_type' AND a.target_id = $2`,
+          [creatorId, type]
+        );
+
+      if (intakeFormId && formResult.rows.length === 0) {
+        await db.query('ROLLBACK');
+        return res.status(404).json({ error: 'Intake form not found' });
+      }
+
+      resolvedIntakeFormId = formResult.rows[0]?.id || null;
+    }
+
     // Create session invite record
     const sessionUid = uuidv4();
     const inviteResult = await db.query(
@@ -246,8 +283,9 @@ router.post('/invite', authenticateToken, validateSessionInvite, async (req, res
         recurring_count,
         preparations,
         package,
-        request_intake_form
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        request_intake_form,
+        intake_form_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
       RETURNING *`,
       [
         sessionUid,
@@ -267,7 +305,8 @@ router.post('/invite', authenticateToken, validateSessionInvite, async (req, res
         recurringCount || null,
         preparations ? JSON.stringify(preparations) : null,
         sessionPackage ? JSON.stringify(sessionPackage) : null,
-        requestIntakeForm || false
+        requestIntakeForm || false,
+        resolvedIntakeFormId
       ]
     );
 
@@ -287,7 +326,8 @@ router.post('/invite', authenticateToken, validateSessionInvite, async (req, res
         cost: totalCost,
         scheduled,
         date,
-        time
+        time,
+        intakeFormId: resolvedIntakeFormId
       }
     });
 
@@ -409,6 +449,51 @@ router.get('/invites', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a single invite with the fan's intake response
+router.get('/invites/:inviteId', authenticateToken, async (req, res) => {
+  const { inviteId } = req.params;
+  const userId = req.user.supabase_id;
+
+  try {
+    const inviteResult = await db.query(
+      `SELECT
+        si.*,
+        c.username as creator_username,
+        c.profile_pic_url as creator_profile_pic,
+        f.username as fan_username,
+        f.profile_pic_url as fan_profile_pic
+      FROM session_invites si
+      LEFT JOIN users c ON c.supabase_id = si.creator_id
+      LEFT JOIN users f ON f.supabase_id = si.fan_id
+      WHERE si.id::text = $1 AND (si.creator_id = $2 OR si.fan_id = $2)`,
+      [inviteId, userId]
+    );
+
+    if (inviteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const invite = inviteResult.rows[0];
+    const response = invite.request_intake_form
+      ? await getIntakeResponse('session_invite', invite.id, invite.fan_id)
+      : null;
+
+    res.json({
+      invite,
+      intake: {
+        required: Boolean(invite.request_intake_form && invite.intake_form_id),
+        formId: invite.intake_form_id,
+        completed: Boolean(response),
+        response
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching session invite:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
 // Accept/decline invite
 router.put('/invites/:inviteId', authenticateToken, async (req, res) => {
   const { inviteId } = req.params;
@@ -432,6 +517,18 @@ router.put('/invites/:inviteId', authenticateToken, async (req, res) => {
 
     const invite = inviteResult.rows[0];
 
+    // The intake form has to be filled in before the session is confirmed
+    if (action === 'accept') {
+      const intake = await checkIntakeRequirement('session_invite', invite.id, userId);
+      if (!intake.completed) {
+        return res.status(409).json({
+          error: 'Please complete the intake form before accepting',
+          intakeRequired: true,
+          intakeFormId: intake.formId
+        });
+      }
+    }
+
     // Update invite status
     const newStatus = action === 'accept' ? 'accepted' : 'declined';
     await db.query(
@@ -503,6 +600,15 @@ router.post('/invites/:inviteId/accept', authenticateToken, async (req, res) =>
 
     const invite = inviteResult.rows[0];
 
+    const intake = await checkIntakeRequirement('session_invite', invite.id, invite.fan_id);
+    if (!intake.completed) {
+      return res.status(409).json({
+        error: 'The fan has not completed the intake form yet',
+        intakeRequired: true,
+        intakeFormId: intake.formId
+      });
+    }
+
     // Update invite status
     await db.query(
       `UPDATE session_invites
@@ -6,6 +6,8 @@ const { pool } = require('../utils/db');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const multer = require('multer');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
 // Socket.io removed - using Ably
 // const { getIO } = require('../utils/socket');
 const upload = multer({ 
@@ -655,11 +657,17 @@ router.post('/checkout/stripe', optionalAuth, [
     }
     
     const totalAmount = item.price_usd * quantity;
-    // Apply 80/20 split for USD purchases (creator gets 80%, platform gets 20%)
-    const totalTokenValue = Math.floor(totalAmount * (item.usd_to_token_rate || 20));
-    const creatorTokens = totalTokenValue; // Creator gets 100%
-    const platformFeeTokens = 0; // No platform fee
-    const platformFeeUSD = 0;
+    const tokenRate = item.usd_to_token_rate || 20;
+    const totalTokenValue = Math.floor(totalAmount * tokenRate);
+    // Fees are locked in at checkout and carried to the webhook in the session metadata
+    const fees = await calculateFees(pool, {
+      creatorId: item.creator_id,
+      revenueType: 'shop',
+      grossTokens: totalTokenValue
+    });
+    const creatorTokens = fees.creatorNetTokens;
+    const platformFeeTokens = fees.platformFeeTokens;
+    const platformFeeUSD = Math.round(platformFeeTokens / tokenRate * 100) / 100;
     
     // Create order record
     const orderResult = await pool.query(
@@ -709,7 +717,8 @@ router.post('/checkout/stripe', optionalAuth, [
         creator_id: item.creator_id,
         creator_tokens: creatorTokens.toString(),
         platform_fee_tokens: platformFeeTokens.toString(),
-        platform_fee_usd: platformFeeUSD.toString()
+        platform_fee_usd: platformFeeUSD.toString(),
+        fee_breakdown: JSON.stringify(fees)
       }
     });
     
@@ -787,13 +796,18 @@ router.post('/checkout/tokens', authenticateToken, [
       [totalTokens, buyerId]
     );
     
-    // Add tokens to creator
+    // Add tokens to creator, net of the platform fee
+    const fees = await calculateFees(client, {
+      creatorId: item.creator_id,
+      revenueType: 'shop',
+      grossTokens: totalTokens
+    });
     await client.query(
       `INSERT INTO token_balances (user_id, balance) 
       VALUES ($1, $2)
       ON CONFLICT (user_id) 
       DO UPDATE SET balance = token_balances.balance + $2`,
-      [item.creator_id, totalTokens]
+      [item.creator_id, fees.creatorNetTokens]
     );
     
     // Record token transactions
@@ -804,10 +818,15 @@ router.post('/checkout/tokens', authenticateToken, [
     );
     
     await client.query(
-      `INSERT INTO token_transactions (user_id, amount, type, description)
-      VALUES ($1, $2, 'sale', $3)`,
-      [item.creator_id, totalTokens, `Sale: ${item.name}`]
+      `INSERT INTO token_transactions (user_id, amount, type, description, fee_breakdown)
+      VALUES ($1, $2, 'sale', $3, $4)`,
+      [item.creator_id, fees.creatorNetTokens, `Sale: ${item.name}`, JSON.stringify(fees)]
     );
+    await createJournal('shop_purchase', { reference: `shop_items:${item.id}` })
+      .debitUser(buyerId, totalTokens)
+      .creditUser(item.creator_id, fees.creatorNetTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
     
     // Get buyer info
     const buyerResult = await client.query(
@@ -822,13 +841,13 @@ router.post('/checkout/tokens', authenticateToken, [
       `INSERT INTO shop_orders (
         item_id, creator_id, buyer_id, buyer_email, buyer_name,
         quantity, payment_method, payment_status, amount_tokens,
-        shipping_address, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, 'tokens', 'completed', $7, $8, 'processing')
+        creator_net_tokens, platform_fee_tokens, shipping_address, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, 'tokens', 'completed', $7, $8, $9, $10, 'processing')
       RETURNING *`,
       [
         itemId, item.creator_id, buyerId, buyer.email, 
         buyer.display_name || buyer.username,
-        quantity, totalTokens,
+        quantity, totalTokens, fees.creatorNetTokens, fees.platformFeeTokens,
         shippingAddress ? JSON.stringify(shippingAddress) : null
       ]
     );
@@ -892,7 +911,9 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async
     
     if (event.type === 'checkout.session.completed') {
       const session = event.data.object;
-      const { order_id, item_id, creator_id, creator_tokens, platform_fee_tokens, platform_fee_usd } = session.metadata;
+      const {
+        order_id, item_id, creator_id, creator_tokens, platform_fee_tokens, platform_fee_usd, fee_breakdown
+      } = session.metadata;
       
       const client = await pool.connect();
       
@@ -910,13 +931,12 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async
           [session.payment_intent, order_id]
         );
         
-        // Credit tokens to creator (70% of value)
+        // Credit creator the net amount priced at checkout
         const creatorTokensAmount = parseInt(creator_tokens);
         const platformTokensAmount = parseInt(platform_fee_tokens);
         const platformUSDAmount = parseFloat(platform_fee_usd);
         
         if (creatorTokensAmount > 0) {
-          // Credit creator with their 70% share
           await client.query(
             `INSERT INTO token_balances (user_id, balance) 
             VALUES ($1, $2)
@@ -926,12 +946,18 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async
           );
           
           await client.query(
-            `INSERT INTO token_transactions (user_id, amount, type, description)
-            VALUES ($1, $2, 'shop_sale', $3)`,
-            [creator_id, creatorTokensAmount, `Shop sale (Order: ${order_id}) - 80% after platform fee`]
+            `INSERT INTO token_transactions (user_id, amount, type, description, fee_breakdown)
+            VALUES ($1, $2, 'shop_sale', $3, $4)`,
+            [creator_id, creatorTokensAmount, `Shop sale (Order: ${order_id})`, fee_breakdown || null]
           );
-          
-          // Record platform earnings (20% commission)
+          // Paid by card, so the creator's tokens are newly issued
+          await createJournal('shop_sale', { reference: `shop_orders:${order_id}` })
+            .debit('token_issuance', creatorTokensAmount)
+            .creditUser(creator_id, creatorTokensAmount, { account: 'creator_earnings' })
+            .post(client);
+        }
+
+        if (platformTokensAmount > 0) {
           await client.query(
             `INSERT INTO platform_earnings (
               order_id, earning_type, amount_usd, amount_tokens, 
@@ -942,7 +968,7 @@ router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async
               platformUSDAmount, 
               platformTokensAmount,
               creator_id,
-              `20% marketplace commission on shop sale`
+              'Marketplace commission on shop sale'
             ]
           );
         }
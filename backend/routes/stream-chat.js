@@ -4,6 +4,18 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { supabase } = require('../utils/supabase');
+const { pool } = require('../utils/db');
+const { AppError } = require('../utils/app-errors');
+const { authorizeModeration, recordModerationAction } = require('../utils/stream-moderators');
+const {
+  findChatStream,
+  getRuleSet,
+  saveRuleSet,
+  checkChatMessage,
+  getReviewQueue,
+  getAutomodEvent,
+  reviewHeldMessage
+} = require('../utils/chat-rules');
 
 /**
  * GET /api/v1/stream-chat/history/:streamId
@@ -122,16 +134,47 @@ router.post('/message', authenticateToken, async (req, res) => {
       });
     }
 
-    const { data: isMuted } = await supabase.rpc('is_user_moderated', {
-      p_stream_id: channel,
-      p_user_id: userId,
-      p_action: 'mute'
-    });
+    for (const action of ['mute', 'timeout']) {
+      const { data: isMuted } = await supabase.rpc('is_user_moderated', {
+        p_stream_id: channel,
+        p_user_id: userId,
+        p_action: action
+      });
+
+      if (isMuted) {
+        return res.status(403).json({
+          success: false,
+          error: action === 'timeout' ? 'You are timed out in this stream chat' : 'You are muted in this stream chat'
+        });
+      }
+    }
+
+    // Creator's chat rules run before the message is stored (and broadcast)
+    const check = await checkChatMessage({ channel, userId, message: message.trim() });
+    if (!check.allowed) {
+      if (check.type === 'gate') {
+        if (check.retryAfterSeconds) res.set('Retry-After', String(check.retryAfterSeconds));
+        return res.status(check.rule === 'slow_mode' ? 429 : 403).json({
+          success: false,
+          error: check.reason,
+          rule: check.rule,
+          retryAfterSeconds: check.retryAfterSeconds
+        });
+      }
+
+      if (check.action === 'hold') {
+        return res.status(202).json({
+          success: true,
+          held: true,
+          message: 'Your message is waiting for moderator review'
+        });
+      }
 
-    if (isMuted) {
       return res.status(403).json({
         success: false,
-        error: 'You are muted in this stream chat'
+        error: 'Message blocked by the chat rules',
+        rule: check.rule,
+        action: check.action
       });
     }
 
@@ -212,15 +255,14 @@ router.delete('/message/:messageId', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Message not found' });
     }
 
-    // Check if user is the sender or a creator (moderator)
-    const { data: user } = await supabase
-      .from('users')
-      .select('is_creator')
-      .eq('supabase_id', userId)
-      .single();
-
-    if (message.user_id !== userId && !user?.is_creator) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
+    // Senders delete their own messages; anyone else needs delete_messages
+    let stream = null;
+    if (message.user_id !== userId) {
+      stream = await findChatStream(message.stream_id);
+      if (!stream) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      await authorizeModeration(userId, { creatorId: stream.creator_id, streamId: stream.id }, 'delete_messages');
     }
 
     // Soft delete
@@ -235,10 +277,24 @@ router.delete('/message/:messageId', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    if (stream) {
+      await recordModerationAction({
+        creatorId: stream.creator_id,
+        actorId: userId,
+        action: 'delete_message',
+        targetUserId: message.user_id,
+        channel: message.stream_id,
+        details: { messageId }
+      });
+    }
+
     res.json({ success: true });
   } catch (error) {
     console.error('❌ Error deleting stream chat message:', error);
-    res.status(500).json({ success: false, error: 'Failed to delete message' });
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error instanceof AppError ? error.message : 'Failed to delete message'
+    });
   }
 });
 
@@ -262,19 +318,19 @@ router.post('/moderate', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid action' });
     }
 
-    // Check if user is a creator (has moderation rights)
-    const { data: moderator } = await supabase
-      .from('users')
-      .select('is_creator')
-      .eq('supabase_id', moderatorId)
-      .single();
-
-    if (!moderator?.is_creator) {
-      return res.status(403).json({
-        success: false,
-        error: 'Only creators can moderate chat'
-      });
+    // The stream's creator, or a moderator with the ban / timeout permission
+    const stream = await findChatStream(channel);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (targetUserId === stream.creator_id) {
+      return res.status(403).json({ success: false, error: 'The creator cannot be moderated' });
     }
+    await authorizeModeration(
+      moderatorId,
+      { creatorId: stream.creator_id, streamId: stream.id },
+      action === 'ban' ? 'ban' : 'timeout'
+    );
 
     // Calculate expiration for timeout
     const expiresAt = (action === 'timeout' && duration)
@@ -298,10 +354,22 @@ router.post('/moderate', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordModerationAction({
+      creatorId: stream.creator_id,
+      actorId: moderatorId,
+      action,
+      targetUserId,
+      channel,
+      details: { durationMinutes: duration || null, reason: reason || null }
+    });
+
     res.json({ success: true });
   } catch (error) {
     console.error('❌ Error moderating user:', error);
-    res.status(500).json({ success: false, error: 'Failed to moderate user' });
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error instanceof AppError ? error.message : 'Failed to moderate user'
+    });
   }
 });
 
@@ -314,27 +382,193 @@ router.post('/pin', authenticateToken, async (req, res) => {
     const userId = req.user.supabase_id;
     const { channel, messageId, action } = req.body;
 
-    // Check if user is creator
-    const { data: user } = await supabase
-      .from('users')
-      .select('is_creator')
-      .eq('supabase_id', userId)
-      .single();
-
-    if (!user?.is_creator) {
-      return res.status(403).json({
-        success: false,
-        error: 'Only creators can pin messages'
-      });
+    const stream = await findChatStream(channel);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
     }
+    await authorizeModeration(userId, { creatorId: stream.creator_id, streamId: stream.id }, 'pin');
 
     // TODO: Add is_pinned column to stream_chat_messages if needed
     // For now, return success
+    await recordModerationAction({
+      creatorId: stream.creator_id,
+      actorId: userId,
+      action: action === 'unpin' ? 'unpin_message' : 'pin_message',
+      channel,
+      details: { messageId }
+    });
+
     res.json({ success: true });
   } catch (error) {
     console.error('❌ Error pinning message:', error);
-    res.status(500).json({ success: false, error: 'Failed to pin message' });
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error instanceof AppError ? error.message : 'Failed to pin message'
+    });
   }
 });
 
+/**
+ * Rules are managed by the stream's creator
+ */
+async function resolveRuleScope(req, res) {
+  const creatorId = req.user.supabase_id;
+  const streamId = req.query.streamId || req.body?.streamId || null;
+  if (!streamId) return { creatorId, streamId: null };
+
+  const stream = await findChatStream(streamId);
+  if (!stream || stream.creator_id !== creatorId) {
+    res.status(404).json({ success: false, error: 'Stream not found' });
+    return null;
+  }
+  return { creatorId, streamId: stream.id };
+}
+
+/**
+ * GET /api/v1/stream-chat/rules?streamId=
+ * The creator's default chat rules, or one stream's rules
+ */
+router.get('/rules', authenticateToken, async (req, res) => {
+  try {
+    const scope = await resolveRuleScope(req, res);
+    if (!scope) return;
+
+    const rules = await getRuleSet(scope.creatorId, scope.streamId);
+    // A stream without its own rules uses the default
+    const inherited = !rules && scope.streamId ? await getRuleSet(scope.creatorId) : null;
+
+    res.json({ success: true, rules: rules || inherited, inherited: Boolean(inherited) });
+  } catch (error) {
+    console.error('❌ Error fetching chat rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch chat rules' });
+  }
+});
+
+/**
+ * PUT /api/v1/stream-chat/rules
+ * Create or update the default rules, or one stream's rules with streamId
+ */
+router.put('/rules', authenticateToken, async (req, res) => {
+  try {
+    const scope = await resolveRuleScope(req, res);
+    if (!scope) return;
+
+    const rules = await saveRuleSet(scope.creatorId, scope.streamId, req.body);
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('❌ Error saving chat rules:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error instanceof AppError ? error.message : 'Failed to save chat rules'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/stream-chat/rules?streamId=
+ * Remove a stream's own rules so it falls back to the default
+ */
+router.delete('/rules', authenticateToken, async (req, res) => {
+  try {
+    const scope = await resolveRuleScope(req, res);
+    if (!scope) return;
+
+    await pool.query(
+      'DELETE FROM stream_chat_rule_sets WHERE creator_id = $1 AND stream_id IS NOT DISTINCT FROM $2',
+      [scope.creatorId, scope.streamId]
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error deleting chat rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete chat rules' });
+  }
+});
+
+/**
+ * GET /api/v1/stream-chat/review-queue?channel=
+ * Messages held by the chat rules, oldest first
+ */
+router.get('/review-queue', authenticateToken, async (req, res) => {
+  try {
+    const { channel } = req.query;
+    let creatorId = req.user.supabase_id;
+
+    // Moderators see the queue of a stream they moderate
+    if (channel) {
+      const stream = await findChatStream(channel);
+      if (!stream) {
+        return res.status(404).json({ success: false, error: 'Stream not found' });
+      }
+      await authorizeModeration(creatorId, { creatorId: stream.creator_id, streamId: stream.id }, 'delete_messages');
+      creatorId = stream.creator_id;
+    }
+
+    const messages = await getReviewQueue(creatorId, channel || null);
+    res.json({ success: true, messages });
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error instanceof AppError ? error.message : 'Failed to fetch review queue'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/stream-chat/review-queue/:eventId/approve
+ * POST /api/v1/stream-chat/review-queue/:eventId/reject
+ * Approving posts the held message to the chat
+ */
+function reviewQueueItem(approve) {
+  return async (req, res) => {
+    const reviewerId = req.user.supabase_id;
+    let client;
+    try {
+      const held = await getAutomodEvent(req.params.eventId);
+      if (!held || held.status !== 'held') {
+        return res.status(404).json({ success: false, error: 'Held message not found' });
+      }
+      const stream = await findChatStream(held.stream_id);
+      await authorizeModeration(reviewerId, { creatorId: held.creator_id, streamId: stream?.id }, 'delete_messages');
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const event = await reviewHeldMessage(client, {
+        eventId: held.id,
+        creatorId: held.creator_id,
+        reviewerId,
+        approve
+      });
+      if (!event) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, error: 'Held message not found' });
+      }
+      await client.query('COMMIT');
+
+      await recordModerationAction({
+        creatorId: held.creator_id,
+        actorId: reviewerId,
+        action: approve ? 'approve_held_message' : 'reject_held_message',
+        targetUserId: held.user_id,
+        channel: held.stream_id,
+        details: { eventId: held.id, rule: held.rule }
+      });
+
+      res.json({ success: true, event });
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      console.error('❌ Error reviewing held message:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        success: false,
+        error: error instanceof AppError ? error.message : 'Failed to review message'
+      });
+    } finally {
+      if (client) client.release();
+    }
+  };
+}
+
+router.post('/review-queue/:eventId/approve', authenticateToken, reviewQueueItem(true));
+router.post('/review-queue/:eventId/reject', authenticateToken, reviewQueueItem(false));
+
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const db = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { calculateFees } = require('../utils/fee-policy');
 // Socket.io removed - using Ably
 // const { getIO } = require('../utils/socket');
 
@@ -193,8 +194,12 @@ router.post('/gift', authenticateToken, async (req, res) => {
       [totalCost, senderId]
     );
     
-    // Add to creator (80% after platform fee)
-    const creatorAmount = Math.floor(totalCost * 0.8);
+    // Add to creator, net of the platform fee
+    const { creatorNetTokens: creatorAmount } = await calculateFees(client, {
+      creatorId,
+      revenueType: 'gift',
+      grossTokens: totalCost
+    });
     await client.query(
       'UPDATE users SET token_balance = token_balance + $1 WHERE supabase_id = $2',
       [creatorAmount, creatorId]
@@ -291,8 +296,12 @@ router.post('/tip', authenticateToken, async (req, res) => {
       [amount, senderId]
     );
     
-    // Add to creator (90% for tips)
-    const creatorAmount = Math.floor(amount * 0.9);
+    // Add to creator, net of the platform fee
+    const { creatorNetTokens: creatorAmount } = await calculateFees(client, {
+      creatorId,
+      revenueType: 'tip',
+      grossTokens: Number(amount)
+    });
     await client.query(
       'UPDATE users SET token_balance = token_balance + $1 WHERE supabase_id = $2',
       [creatorAmount, creatorId]
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../utils/db');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { logger } = require('../utils/secureLogger');
+const { publishToChannel } = require('../utils/ably-adapter');
+const { AppError } = require('../utils/app-errors');
+const { findChatStream } = require('../utils/chat-rules');
+const {
+  PERMISSIONS,
+  getModerationRole,
+  recordModerationAction,
+  appointModerator,
+  revokeModerator,
+  listModerators,
+  listModeratedCreators,
+  getAuditLog
+} = require('../utils/stream-moderators');
+
+router.use(authenticateToken);
+
+function sendError(res, error, fallback) {
+  res.status(error instanceof AppError ? error.statusCode : 500).json({
+    error: error instanceof AppError ? error.message : fallback
+  });
+}
+
+async function notifyModerator(moderatorId, type, title, message, data) {
+  try {
+    await pool.query(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [moderatorId, type, title, message, data]
+    );
+    await publishToChannel(`user:${moderatorId}`, type, { ...data, message });
+  } catch (error) {
+    logger.error('Failed to notify moderator:', { moderatorId, type, error: error.message });
+  }
+}
+
+/**
+ * GET /api/stream-moderators
+ * The creator's moderators
+ */
+router.get('/', requireCreator, async (req, res) => {
+  try {
+    const moderators = await listModerators(req.user.supabase_id);
+    res.json({ success: true, moderators, permissions: PERMISSIONS });
+  } catch (error) {
+    logger.error('Error fetching moderators:', error);
+    res.status(500).json({ error: 'Failed to fetch moderators' });
+  }
+});
+
+/**
+ * POST /api/stream-moderators
+ * Appoint a moderator by user id or username, for all streams or one stream
+ */
+router.post('/', requireCreator, async (req, res) => {
+  try {
+    const creatorId = req.user.supabase_id;
+    const { userId, username, streamId = null, permissions } = req.body;
+
+    const user = await pool.query(
+      'SELECT supabase_id, username FROM users WHERE supabase_id::text = $1 OR username = $2',
+      [userId || null, username || null]
+    );
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const moderatorId = user.rows[0].supabase_id;
+
+    const moderator = await appointModerator({ creatorId, moderatorId, streamId, permissions });
+
+    await recordModerationAction({
+      creatorId,
+      actorId: creatorId,
+      action: 'moderator_appointed',
+      targetUserId: moderatorId,
+      details: { appointmentId: moderator.id, streamId, permissions: moderator.permissions }
+    });
+    await notifyModerator(moderatorId, 'moderator_appointed', 'You are a moderator',
+      'A creator made you a moderator for their streams', {
+        creatorId,
+        streamId,
+        permissions: moderator.permissions
+      });
+
+    res.json({ success: true, moderator });
+  } catch (error) {
+    logger.error('Error appointing moderator:', error);
+    sendError(res, error, 'Failed to appoint moderator');
+  }
+});
+
+/**
+ * DELETE /api/stream-moderators/:appointmentId
+ */
+router.delete('/:appointmentId', requireCreator, async (req, res) => {
+  try {
+    const creatorId = req.user.supabase_id;
+    const moderator = await revokeModerator(creatorId, req.params.appointmentId);
+    if (!moderator) {
+      return res.status(404).json({ error: 'Moderator not found' });
+    }
+
+    await recordModerationAction({
+      creatorId,
+      actorId: creatorId,
+      action: 'moderator_revoked',
+      targetUserId: moderator.moderator_id,
+      details: { appointmentId: moderator.id, streamId: moderator.stream_id }
+    });
+    await notifyModerator(moderator.moderator_id, 'moderator_revoked', 'Moderator role removed',
+      'You are no longer a moderator for this creator', { creatorId, streamId: moderator.stream_id });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error revoking moderator:', error);
+    res.status(500).json({ error: 'Failed to revoke moderator' });
+  }
+});
+
+/**
+ * GET /api/stream-moderators/audit-log?moderatorId=&before=&limit=
+ */
+router.get('/audit-log', requireCreator, async (req, res) => {
+  try {
+    const { moderatorId, before, limit } = req.query;
+    const entries = await getAuditLog(req.user.supabase_id, { actorId: moderatorId, before, limit });
+    res.json({ success: true, entries });
+  } catch (error) {
+    logger.error('Error fetching moderation audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+/**
+ * GET /api/stream-moderators/moderating
+ * Creators the signed-in user moderates for
+ */
+router.get('/moderating', async (req, res) => {
+  try {
+    const creators = await listModeratedCreators(req.user.supabase_id);
+    res.json({ success: true, creators });
+  } catch (error) {
+    logger.error('Error fetching moderated creators:', error);
+    res.status(500).json({ error: 'Failed to fetch moderated creators' });
+  }
+});
+
+/**
+ * GET /api/stream-moderators/me/:channel
+ * The signed-in user's role and permissions in a stream, for the stream UI
+ */
+router.get('/me/:channel', async (req, res) => {
+  try {
+    const stream = await findChatStream(req.params.channel);
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const { role, permissions } = await getModerationRole(req.user.supabase_id, stream.creator_id, stream.id);
+    res.json({ success: true, role, permissions });
+  } catch (error) {
+    logger.error('Error fetching moderation role:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation role' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,31 @@ const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const streamActivityMonitor = require('../utils/stream-activity-monitor');
 const { logger: sharedLogger } = require('../utils/secureLogger');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { bindScheduledShows } = require('../utils/ticketed-shows');
+const { getClipMedia, deleteClipMedia } = require('../utils/clip-renderer');
+const {
+  validateCountdown,
+  getRaidSettings,
+  updateRaidSettings,
+  createRaid,
+  respondToRaid,
+  cancelRaid,
+  recordArrival,
+  announceRaid,
+  getRaidAnalytics
+} = require('../utils/stream-raids');
+const { AppError } = require('../utils/app-errors');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
+const {
+  validateSplitMode,
+  validateSharePercent,
+  addCoHost,
+  removeCoHost,
+  findStreamAgreement,
+  endStreamAgreements,
+  getMemberEarnings
+} = require('../utils/revenue-splits');
 
 // Use shared logger instead of creating a new one (serverless-friendly)
 const logger = sharedLogger;
@@ -309,6 +334,7 @@ router.post('/go-live', authenticateToken, async (req, res) => {
            WHERE id = $1`,
           [stream.id]
         );
+        await endStreamAgreements(client, stream.id);
 
         logger.info(`[${requestId}] Stuck stream auto-ended, proceeding with new stream`);
         // Continue to create new stream
@@ -426,15 +452,34 @@ router.post('/go-live', authenticateToken, async (req, res) => {
       }).catch(err => logger.error('Failed to notify followers:', err));
     }
 
+    // 8. Attach ticketed shows scheduled for around now to this stream
+    const boundShows = await bindScheduledShows(client, { creatorId, streamId: stream.id });
+
     await client.query('COMMIT');
 
     logger.info(`[${requestId}] ✅ Stream created successfully`, {
       streamId: stream.id,
       channel,
       dbCreatorId,
-      supabaseId: creatorId
+      supabaseId: creatorId,
+      boundShows: boundShows.length
     });
 
+    for (const show of boundShows) {
+      const announcement = {
+        showId: show.id,
+        title: show.title,
+        tokenPrice: show.token_price,
+        earlyBirdPrice: show.early_bird_price,
+        startTime: show.start_time,
+        maxTickets: show.max_tickets
+      };
+      publishToChannel(`stream:${stream.id}`, 'ticketed_show_announced', announcement)
+        .catch(err => logger.error('Failed to announce scheduled show:', err));
+      publishToChannel(`show:${show.id}`, 'show_stream_bound', { showId: show.id, streamId: stream.id })
+        .catch(err => logger.error('Failed to publish show_stream_bound:', err));
+    }
+
     res.json({
       success: true,
       stream: {
@@ -445,6 +490,7 @@ router.post('/go-live', authenticateToken, async (req, res) => {
         status: stream.status,
         startedAt: stream.started_at
       },
+      ticketedShows: boundShows.map(show => ({ id: show.id, title: show.title, startTime: show.start_time })),
       agora: {
         appId: appID,
         token,
@@ -1113,6 +1159,10 @@ router.post('/purchase-recording/:recordingId', authenticateToken, async (req, r
           VALUES ($1, $2)
           ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2
         `, [recording.creator_id, creatorEarnings]);
+        await createJournal('recording_purchase', { reference: `stream_recordings:${recordingId}` })
+          .debitUser(userId, tokenCost)
+          .creditUser(recording.creator_id, creatorEarnings, { account: 'creator_earnings' })
+          .post(client);
 
         // Record purchase
         const purchaseQuery = await client.query(`
@@ -1238,6 +1288,10 @@ router.post('/create-clip', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Recording ID, start time, and end time are required' });
     }
 
+    if (!Number.isInteger(startTime) || !Number.isInteger(endTime) || startTime < 0) {
+      return res.status(400).json({ error: 'Start and end time must be whole seconds' });
+    }
+
     // Validate clip duration (max 60 seconds for free users, 300 for premium)
     const clipDuration = endTime - startTime;
     if (clipDuration <= 0 || clipDuration > 300) {
@@ -1276,12 +1330,16 @@ router.post('/create-clip', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Clip end time exceeds recording duration' });
     }
 
-    // Create clip record
+    if (!recording.file_url && !recording.file_path) {
+      return res.status(409).json({ error: 'Recording media is not available yet' });
+    }
+
+    // Queue the clip; jobs/clip-renders.js cuts it out of the recording
     const clipQuery = await pool.query(`
       INSERT INTO recording_clips 
       (recording_id, creator_id, created_by, title, description, start_time, end_time, 
-       duration_seconds, is_public, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       is_public, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'queued')
       RETURNING *
     `, [
       recordingId,
@@ -1291,60 +1349,11 @@ router.post('/create-clip', authenticateToken, async (req, res) => {
       description || '',
       startTime,
       endTime,
-      clipDuration,
-      isPublic !== false, // Default to public
-      'processing'
+      isPublic !== false // Default to public
     ]);
 
     const clip = clipQuery.rows[0];
 
-    // Simulate clip processing (in production, this would use FFmpeg or similar)
-    const clipProcessingResult = {
-      clipUrl: `https://clips.digis.com/clip_${clip.id}.mp4`,
-      thumbnailUrl: `https://clips.digis.com/clip_${clip.id}_thumb.jpg`,
-      fileSize: Math.floor(clipDuration * 1024 * 512), // Estimate
-      format: 'mp4',
-      resolution: '1920x1080'
-    };
-
-    // Update clip with processing result after delay
-    setTimeout(async () => {
-      try {
-        await pool.query(`
-          UPDATE recording_clips 
-          SET status = 'completed', 
-              clip_url = $1, 
-              thumbnail_url = $2, 
-              file_size = $3,
-              processing_result = $4,
-              completed_at = NOW()
-          WHERE id = $5
-        `, [
-          clipProcessingResult.clipUrl,
-          clipProcessingResult.thumbnailUrl,
-          clipProcessingResult.fileSize,
-          JSON.stringify(clipProcessingResult),
-          clip.id
-        ]);
-
-        // Notify creator if clip was created by someone else
-        if (userId !== recording.creator_id) {
-          await pool.query(`
-            INSERT INTO notifications (recipient_id, type, title, content, data, created_at)
-            VALUES ($1, 'clip_created', 'New Clip Created', 
-                    $2, $3, NOW())
-          `, [
-            recording.creator_id,
-            `A clip was created from your recording "${recording.title}"`,
-            JSON.stringify({ clipId: clip.id, createdBy: userId, title: clip.title })
-          ]);
-        }
-      } catch (error) {
-        console.error('Error finalizing clip:', error);
-        await pool.query('UPDATE recording_clips SET status = \'failed\' WHERE id = $1', [clip.id]);
-      }
-    }, 3000); // 3 second processing delay
-
     res.json({
       success: true,
       clip: {
@@ -1354,7 +1363,7 @@ router.post('/create-clip', authenticateToken, async (req, res) => {
         startTime: clip.start_time,
         endTime: clip.end_time,
         duration: clip.duration_seconds,
-        status: 'processing',
+        status: clip.status,
         isPublic: clip.is_public,
         createdAt: clip.created_at
       }
@@ -1404,27 +1413,29 @@ router.get('/my-clips', authenticateToken, async (req, res) => {
 
     const clipsQuery = await pool.query(query, params);
 
+    const clips = await Promise.all(clipsQuery.rows.map(async clip => ({
+      id: clip.id,
+      title: clip.title,
+      description: clip.description,
+      recordingTitle: clip.recording_title,
+      creatorUsername: clip.creator_username,
+      startTime: clip.start_time,
+      endTime: clip.end_time,
+      duration: clip.duration_seconds,
+      ...await getClipMedia(clip),
+      fileSize: clip.file_size,
+      status: clip.status,
+      error: clip.status === 'failed' ? clip.last_error : null,
+      isPublic: clip.is_public,
+      viewCount: parseInt(clip.view_count) || 0,
+      likeCount: parseInt(clip.like_count) || 0,
+      createdAt: clip.created_at,
+      completedAt: clip.completed_at
+    })));
+
     res.json({
       success: true,
-      clips: clipsQuery.rows.map(clip => ({
-        id: clip.id,
-        title: clip.title,
-        description: clip.description,
-        recordingTitle: clip.recording_title,
-        creatorUsername: clip.creator_username,
-        startTime: clip.start_time,
-        endTime: clip.end_time,
-        duration: clip.duration_seconds,
-        clipUrl: clip.clip_url,
-        thumbnailUrl: clip.thumbnail_url,
-        fileSize: clip.file_size,
-        status: clip.status,
-        isPublic: clip.is_public,
-        viewCount: parseInt(clip.view_count) || 0,
-        likeCount: parseInt(clip.like_count) || 0,
-        createdAt: clip.created_at,
-        completedAt: clip.completed_at
-      }))
+      clips
     });
 
   } catch (error) {
@@ -1452,7 +1463,7 @@ router.get('/clips/discover', authenticateToken, async (req, res) => {
       JOIN users u ON rc.creator_id = u.supabase_id
       LEFT JOIN clip_views cv ON rc.id = cv.clip_id
       LEFT JOIN clip_likes cl ON rc.id = cl.clip_id
-      WHERE rc.is_public = true AND rc.status = 'completed'
+      WHERE rc.is_public = true AND rc.status = 'ready'
     `;
     const params = [];
     let paramIndex = 1;
@@ -1482,23 +1493,24 @@ router.get('/clips/discover', authenticateToken, async (req, res) => {
 
     const clipsQuery = await pool.query(query, params);
 
+    const clips = await Promise.all(clipsQuery.rows.map(async clip => ({
+      id: clip.id,
+      title: clip.title,
+      description: clip.description,
+      recordingTitle: clip.recording_title,
+      creatorId: clip.creator_id,
+      creatorUsername: clip.creator_username,
+      creatorProfilePic: clip.creator_profile_pic,
+      duration: clip.duration_seconds,
+      ...await getClipMedia(clip),
+      viewCount: parseInt(clip.view_count) || 0,
+      likeCount: parseInt(clip.like_count) || 0,
+      createdAt: clip.created_at
+    })));
+
     res.json({
       success: true,
-      clips: clipsQuery.rows.map(clip => ({
-        id: clip.id,
-        title: clip.title,
-        description: clip.description,
-        recordingTitle: clip.recording_title,
-        creatorId: clip.creator_id,
-        creatorUsername: clip.creator_username,
-        creatorProfilePic: clip.creator_profile_pic,
-        duration: clip.duration_seconds,
-        clipUrl: clip.clip_url,
-        thumbnailUrl: clip.thumbnail_url,
-        viewCount: parseInt(clip.view_count) || 0,
-        likeCount: parseInt(clip.like_count) || 0,
-        createdAt: clip.created_at
-      }))
+      clips
     });
 
   } catch (error) {
@@ -1563,8 +1575,7 @@ router.get('/clip/:clipId', authenticateToken, async (req, res) => {
         startTime: clip.start_time,
         endTime: clip.end_time,
         duration: clip.duration_seconds,
-        clipUrl: clip.clip_url,
-        thumbnailUrl: clip.thumbnail_url,
+        ...await getClipMedia(clip),
         fileSize: clip.file_size,
         status: clip.status,
         isPublic: clip.is_public,
@@ -1642,6 +1653,12 @@ router.delete('/clip/:clipId', authenticateToken, async (req, res) => {
     // Delete clip and related data
     await pool.query('DELETE FROM recording_clips WHERE id = $1', [clipId]);
 
+    try {
+      await deleteClipMedia(clipQuery.rows[0]);
+    } catch (storageError) {
+      sharedLogger.error('Failed to delete clip media:', { clipId, error: storageError.message });
+    }
+
     res.json({
       success: true,
       message: 'Clip deleted successfully'
@@ -2389,64 +2406,163 @@ router.post('/goals', authenticateToken, async (req, res) => {
   }
 });
 
-// Start a raid
-router.post('/raid', authenticateToken, async (req, res) => {
+/**
+ * Run a raid state change in a transaction, then publish its events
+ */
+async function runRaidTransaction(res, action, failureMessage, change) {
+  const client = await pool.connect();
   try {
-    const { streamId, target } = req.body;
-    
-    // Get target creator
-    const targetCreator = await pool.query(
-      'SELECT supabase_id FROM users WHERE username = $1 AND is_creator = true',
-      [target]
+    await client.query('BEGIN');
+    const outcome = await change(client);
+    await client.query('COMMIT');
+
+    await announceRaid(outcome);
+    return outcome;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error ${action} raid:`, error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error instanceof AppError ? error.message : failureMessage
+    });
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// Start a raid: the target accepts or declines unless their settings auto-accept it
+router.post('/raid', authenticateToken, async (req, res) => {
+  const { streamId, target, targetStreamId, countdownSeconds } = req.body;
+
+  if (!streamId || (!target && !targetStreamId)) {
+    return res.status(400).json({ error: 'streamId and a target are required' });
+  }
+  const countdownError = validateCountdown(countdownSeconds);
+  if (countdownError) {
+    return res.status(400).json({ error: countdownError });
+  }
+
+  const outcome = await runRaidTransaction(res, 'starting', 'Failed to start raid', client =>
+    createRaid(client, {
+      raiderId: req.user.supabase_id,
+      streamId,
+      target,
+      targetStreamId,
+      countdownSeconds
+    })
+  );
+  if (!outcome) return;
+
+  const { raid, target: targetStream } = outcome;
+  res.json({
+    success: true,
+    raid,
+    message: raid.status === 'accepted'
+      ? `Raiding ${targetStream.username}!`
+      : `Waiting for ${targetStream.username} to accept the raid`
+  });
+});
+
+// Accept or decline an incoming raid
+function answerRaid(accept) {
+  return async (req, res) => {
+    const outcome = await runRaidTransaction(res, 'answering', 'Failed to answer raid', client =>
+      respondToRaid(client, { raidId: req.params.raidId, creatorId: req.user.supabase_id, accept })
     );
-    
-    if (targetCreator.rows.length === 0) {
-      return res.status(404).json({ error: 'Target creator not found' });
+    if (!outcome) return;
+
+    if (accept && outcome.raid.status !== 'accepted') {
+      return res.status(409).json({
+        error: outcome.raid.status === 'expired' ? 'Raid request has expired' : 'One of the streams has ended',
+        raid: outcome.raid
+      });
     }
-    
-    // Get current viewer count
-    const viewerCount = await pool.query(
-      `SELECT viewer_count 
-       FROM stream_analytics 
-       WHERE stream_id = $1 AND type = 'snapshot'
-       ORDER BY timestamp DESC
-       LIMIT 1`,
-      [streamId]
-    );
-    
-    // Create raid record
-    await pool.query(
-      `INSERT INTO stream_raids 
-       (stream_id, creator_id, target_channel, target_creator_id, viewer_count)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [
-        streamId,
-        req.user.supabase_id,
-        target,
-        targetCreator.rows[0].supabase_id,
-        viewerCount.rows[0]?.viewer_count || 0
-      ]
-    );
-    
-    // TODO: Emit socket event for raid
-    
-    res.json({ success: true, message: `Raiding ${target}!` });
+    res.json({ success: true, raid: outcome.raid });
+  };
+}
+
+router.post('/raid/:raidId/accept', authenticateToken, answerRaid(true));
+router.post('/raid/:raidId/decline', authenticateToken, answerRaid(false));
+
+// Call off a raid before the countdown ends
+router.post('/raid/:raidId/cancel', authenticateToken, async (req, res) => {
+  const outcome = await runRaidTransaction(res, 'cancelling', 'Failed to cancel raid', client =>
+    cancelRaid(client, { raidId: req.params.raidId, creatorId: req.user.supabase_id })
+  );
+  if (!outcome) return;
+
+  res.json({ success: true, raid: outcome.raid });
+});
+
+// Sent by a viewer's client once it has joined the raid target
+router.post('/raid/:raidId/arrived', authenticateToken, async (req, res) => {
+  try {
+    const recorded = await recordArrival({ raidId: req.params.raidId, viewerId: req.user.supabase_id });
+    res.json({ success: true, recorded });
+  } catch (error) {
+    logger.error('Error recording raid arrival:', error);
+    res.status(500).json({ error: 'Failed to record raid arrival' });
+  }
+});
+
+// Raids the creator sent and received, with retention and follows
+router.get('/raids', authenticateToken, async (req, res) => {
+  try {
+    const { direction, limit } = req.query;
+    const analytics = await getRaidAnalytics(req.user.supabase_id, { direction, limit });
+    res.json({ success: true, ...analytics });
   } catch (error) {
-    logger.error('Error starting raid:', error);
-    res.status(500).json({ error: 'Failed to start raid' });
+    logger.error('Error fetching raids:', error);
+    res.status(500).json({ error: 'Failed to fetch raids' });
+  }
+});
+
+// Who may raid the creator and which raids start without asking
+router.get('/raid-settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getRaidSettings(pool, req.user.supabase_id);
+    res.json({ success: true, settings });
+  } catch (error) {
+    logger.error('Error fetching raid settings:', error);
+    res.status(500).json({ error: 'Failed to fetch raid settings' });
+  }
+});
+
+router.put('/raid-settings', authenticateToken, async (req, res) => {
+  try {
+    const settings = await updateRaidSettings(req.user.supabase_id, req.body);
+    res.json({ success: true, settings });
+  } catch (error) {
+    logger.error('Error saving raid settings:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error instanceof AppError ? error.message : 'Failed to save raid settings'
+    });
   }
 });
 
 // Co-Host Feature Endpoints
 
-// Request to co-host a stream
+// Request to co-host a stream, optionally proposing a revenue split:
+// { streamId, split?: { mode: 'fixed' | 'time_weighted', coHostPercent? } }
 router.post('/co-host-request', authenticateToken, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     
-    const { streamId } = req.body;
+    const { streamId, split } = req.body;
     const requesterId = req.user.supabase_id;
+
+    let proposedMode = null;
+    let proposedPercent = null;
+    if (split) {
+      try {
+        proposedMode = validateSplitMode(split.mode);
+        proposedPercent = proposedMode === 'fixed' ? validateSharePercent(split.coHostPercent, 'coHostPercent') : null;
+      } catch (validationError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
     
     // Verify stream exists and get creator
     const streamQuery = await client.query(
@@ -2495,10 +2611,10 @@ router.post('/co-host-request', authenticateToken, async (req, res) => {
     // Create co-host request
     const requestResult = await client.query(
       `INSERT INTO co_host_requests 
-       (stream_id, requester_id, creator_id, status, created_at)
-       VALUES ($1, $2, $3, 'pending', NOW())
+       (stream_id, requester_id, creator_id, status, proposed_split_mode, proposed_share_percent, created_at)
+       VALUES ($1, $2, $3, 'pending', $4, $5, NOW())
        RETURNING id`,
-      [streamId, requesterId, stream.creator_id]
+      [streamId, requesterId, stream.creator_id, proposedMode, proposedPercent]
     );
     
     // Send notification to stream creator
@@ -2515,7 +2631,8 @@ router.post('/co-host-request', authenticateToken, async (req, res) => {
           requesterId,
           requesterName: requester.username,
           requesterAvatar: requester.profile_pic_url,
-          streamId
+          streamId,
+          proposedSplit: proposedMode && { mode: proposedMode, coHostPercent: proposedPercent }
         })
       ]
     );
@@ -2529,7 +2646,8 @@ router.post('/co-host-request', authenticateToken, async (req, res) => {
         requesterId,
         requesterName: requester.username,
         requesterAvatar: requester.profile_pic_url,
-        streamId
+        streamId,
+        proposedSplit: proposedMode && { mode: proposedMode, coHostPercent: proposedPercent }
       });
     } catch (ablyError) {
       logger.error('Failed to publish co_host_request to Ably:', ablyError.message);
@@ -2550,13 +2668,14 @@ router.post('/co-host-request', authenticateToken, async (req, res) => {
   }
 });
 
-// Accept co-host request
+// Accept co-host request. The revenue split is the one the co-host proposed
+// unless the host sends their own: { requestId, split?: { mode, coHostPercent? } }
 router.post('/co-host-accept', authenticateToken, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     
-    const { requestId } = req.body;
+    const { requestId, split } = req.body;
     const creatorId = req.user.supabase_id;
     
     // Verify and update request
@@ -2596,6 +2715,28 @@ router.post('/co-host-accept', authenticateToken, async (req, res) => {
        DO UPDATE SET is_active = true, joined_at = NOW()`,
       [request.stream_id, request.requester_id, creatorId]
     );
+
+    // Tips, gifts, tickets and recording sales from here on are shared
+    const streamRow = await client.query(
+      'SELECT id FROM streams WHERE $1 IN (id::text, stream_id::text)',
+      [String(request.stream_id)]
+    );
+    const terms = split || (request.proposed_split_mode && {
+      mode: request.proposed_split_mode,
+      coHostPercent: request.proposed_share_percent
+    });
+    const revenueSplit = streamRow.rows[0] && await addCoHost(client, {
+      streamId: streamRow.rows[0].id,
+      hostId: creatorId,
+      coHostId: request.requester_id,
+      mode: terms ? terms.mode : null,
+      sharePercent: terms ? terms.coHostPercent : null
+    });
+    const splitSummary = revenueSplit ? {
+      agreementId: revenueSplit.agreement.id,
+      mode: revenueSplit.agreement.mode,
+      coHostPercent: revenueSplit.member.share_percent == null ? null : Number(revenueSplit.member.share_percent)
+    } : null;
     
     // Get co-host details
     const coHostQuery = await client.query(
@@ -2614,7 +2755,7 @@ router.post('/co-host-accept', authenticateToken, async (req, res) => {
         request.requester_id,
         'Co-Host Request Accepted',
         'Your co-host request has been accepted!',
-        JSON.stringify({ streamId: request.stream_id })
+        JSON.stringify({ streamId: request.stream_id, revenueSplit: splitSummary })
       ]
     );
     
@@ -2628,7 +2769,8 @@ router.post('/co-host-accept', authenticateToken, async (req, res) => {
 try {
   await publishToChannel(`user:${request.requester_id}`, 'co_host_accepted', {
     streamId: request.stream_id,
-    message: 'Your co-host request has been accepted!'
+    message: 'Your co-host request has been accepted!',
+    revenueSplit: splitSummary
   });
 } catch (ablyError) {
   logger.error('Failed to publish co_host_accepted to Ably:', ablyError.message);
@@ -2652,11 +2794,15 @@ try {
         id: request.requester_id,
         username: coHost.username,
         avatar: coHost.profile_pic_url
-      }
+      },
+      revenueSplit: splitSummary
     });
     
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     logger.error('Error accepting co-host request:', error);
     res.status(500).json({ error: 'Failed to accept co-host request' });
   } finally {
@@ -2736,6 +2882,9 @@ router.post('/co-host-remove', authenticateToken, async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Co-host not found or already removed' });
     }
+
+    // They keep what they've earned but share in nothing from now on
+    await removeCoHost(pool, { streamId, coHostId });
     
     // Send notification to removed co-host
     await pool.query(
@@ -2834,10 +2983,33 @@ router.get('/co-hosts/:streamId', authenticateToken, async (req, res) => {
        ORDER BY sch.joined_at`,
       [streamId]
     );
+
+    // Shares are public; what each member earned is only shown to the members
+    const agreement = await findStreamAgreement(pool, streamId);
+    const members = agreement ? await getMemberEarnings(pool, agreement) : [];
+    const isMember = members.some(member => member.userId === req.user.supabase_id);
+    const withEarnings = (member) => (isMember ? member : {
+      userId: member.userId,
+      role: member.role,
+      agreedPercent: member.agreedPercent,
+      currentPercent: member.currentPercent,
+      onAir: member.onAir
+    });
     
     res.json({
       success: true,
-      coHosts: coHosts.rows
+      coHosts: coHosts.rows.map(coHost => {
+        const member = members.find(m => m.userId === coHost.co_host_id);
+        return { ...coHost, revenueSplit: member ? withEarnings(member) : null };
+      }),
+      revenueSplit: agreement ? {
+        agreementId: agreement.id,
+        mode: agreement.mode,
+        status: agreement.status,
+        startedAt: agreement.started_at,
+        endedAt: agreement.ended_at,
+        members: members.map(withEarnings)
+      } : null
     });
     
   } catch (error) {
@@ -3107,6 +3279,7 @@ router.post('/private-call-accept', authenticateToken, async (req, res) => {
        WHERE stream_id = $1 AND creator_id = $2`,
       [request.stream_id, creatorId]
     );
+    await endStreamAgreements(client, request.stream_id);
     
     // Generate Agora tokens for private call
     const { RtcTokenBuilder, RtcRole } = require('agora-access-token');
@@ -3355,8 +3528,13 @@ router.post('/private-call-end', authenticateToken, async (req, res) => {
       [tokensCharged, session.fan_id]
     );
     
-    // Add tokens to creator (90% after 10% platform fee)
-    const creatorTokens = Math.floor(tokensCharged * 0.9);
+    // Add tokens to creator, net of the platform fee
+    const fees = await calculateFees(client, {
+      creatorId: session.creator_id,
+      revenueType: 'call',
+      grossTokens: tokensCharged
+    });
+    const creatorTokens = fees.creatorNetTokens;
     await client.query(
       `INSERT INTO token_balances (user_id, balance)
        VALUES ($1::uuid, $2)
@@ -3368,15 +3546,20 @@ router.post('/private-call-end', authenticateToken, async (req, res) => {
     // Record transactions
     await client.query(
       `INSERT INTO token_transactions 
-       (user_id, type, tokens, amount_usd, session_id, status, created_at)
+       (user_id, type, tokens, amount_usd, session_id, status, fee_breakdown, created_at)
        VALUES 
-       ($1, 'private_call_payment', $2, $3, $4, 'completed', NOW()),
-       ($5, 'private_call_earnings', $6, $7, $4, 'completed', NOW())`,
+       ($1, 'private_call_payment', $2, $3, $4, 'completed', NULL, NOW()),
+       ($5, 'private_call_earnings', $6, $7, $4, 'completed', $8, NOW())`,
       [
         session.fan_id, -tokensCharged, -totalCost, sessionId,
-        session.creator_id, creatorTokens, creatorTokens * 0.05
+        session.creator_id, creatorTokens, creatorTokens * 0.05, JSON.stringify(fees)
       ]
     );
+    await createJournal('private_call', { reference: `private_call_sessions:${sessionId}` })
+      .debitUser(session.fan_id, tokensCharged)
+      .creditUser(session.creator_id, creatorTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
     
     // Update main session record
     await client.query(
@@ -3471,18 +3654,27 @@ router.post('/heartbeat/:streamId', authenticateToken, async (req, res) => {
 router.put('/settings/:streamId', authenticateToken, async (req, res) => {
   try {
     const { streamId } = req.params;
-    const { autoEndEnabled, autoEndMinutes } = req.body;
+    const { autoEndEnabled, autoEndMinutes, warningMinutes } = req.body;
     const creatorId = req.user.supabase_id;
 
-    // Update stream settings
+    if (autoEndMinutes !== undefined && (!Number.isInteger(autoEndMinutes) || autoEndMinutes < 5 || autoEndMinutes > 240)) {
+      return res.status(400).json({ error: 'autoEndMinutes must be between 5 and 240' });
+    }
+    if (warningMinutes !== undefined && (!Number.isInteger(warningMinutes) || warningMinutes < 1 || warningMinutes > 30)) {
+      return res.status(400).json({ error: 'warningMinutes must be between 1 and 30' });
+    }
+
+    // Update stream settings; a new deadline re-arms the warning
     const { rows } = await pool.query(`
       UPDATE streams 
       SET 
         auto_end_enabled = COALESCE($1, auto_end_enabled),
-        auto_end_minutes = COALESCE($2, auto_end_minutes)
+        auto_end_minutes = COALESCE($2, auto_end_minutes),
+        auto_end_warning_minutes = COALESCE($5, auto_end_warning_minutes),
+        warning_sent_at = NULL
       WHERE id = $3 AND creator_id = $4
       RETURNING *
-    `, [autoEndEnabled, autoEndMinutes, streamId, creatorId]);
+    `, [autoEndEnabled, autoEndMinutes, streamId, creatorId, warningMinutes]);
 
     if (rows.length === 0) {
       return res.status(403).json({ error: 'Stream not found or access denied' });
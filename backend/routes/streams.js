@@ -5,6 +5,8 @@ const { pool } = require('../utils/db');
 const { authenticateToken } = require('../middleware/auth');
 const { idempotency } = require('../middleware/idempotency');
 const { v4: uuidv4 } = require('uuid');
+const { calculateFees } = require('../utils/fee-policy');
+const { creditSplitRevenue, endStreamAgreements } = require('../utils/revenue-splits');
 
 // Check access for private stream
 router.get('/streams/:streamId/access', authenticateToken, async (req, res) => {
@@ -128,15 +130,6 @@ router.post('/streams/:streamId/tickets/checkout',
       [priceTokens, userId]
     );
 
-    // Creator gets 100% (Digis margin comes from token sales, not spending)
-    const creatorCut = priceTokens;
-    const platformFee = 0;
-
-    await client.query(
-      'UPDATE wallets SET balance = balance + $1, lifetime_earned = lifetime_earned + $1 WHERE user_id = $2',
-      [creatorCut, stream.creator_id]
-    );
-
     // Create ticket record
     const ticketResult = await client.query(
       `INSERT INTO stream_tickets (stream_id, user_id, price_tokens)
@@ -153,11 +146,31 @@ router.post('/streams/:streamId/tickets/checkout',
       [ticketId, userId, -priceTokens, JSON.stringify({ stream_id: streamId, creator_id: stream.creator_id })]
     );
 
-    await client.query(
-      `INSERT INTO billing_events (subject_type, subject_id, user_id, delta_tokens, reason, metadata)
-       VALUES ('ticket', $1, $2, $3, 'payout', $4)`,
-      [ticketId, stream.creator_id, creatorCut, JSON.stringify({ stream_id: streamId, platform_fee: 0, fan_id: userId })]
-    );
+    // Shared with co-hosts when the stream has a revenue split
+    await creditSplitRevenue(client, {
+      hostId: stream.creator_id,
+      grossTokens: priceTokens,
+      revenueType: 'ticket',
+      payerId: userId,
+      streamId,
+      sourceRef: ticketId,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'ticket', grossTokens: tokens });
+
+        await client.query(
+          `INSERT INTO wallets (user_id, balance, lifetime_earned) VALUES ($1, $2, $2)
+           ON CONFLICT (user_id) DO UPDATE SET balance = wallets.balance + $2, lifetime_earned = wallets.lifetime_earned + $2`,
+          [memberId, fees.creatorNetTokens]
+        );
+
+        await client.query(
+          `INSERT INTO billing_events (subject_type, subject_id, user_id, delta_tokens, reason, metadata)
+           VALUES ('ticket', $1, $2, $3, 'payout', $4)`,
+          [ticketId, memberId, fees.creatorNetTokens, JSON.stringify({ stream_id: streamId, platform_fee: fees.platformFeeTokens, fan_id: userId, fee_breakdown: fees })]
+        );
+        return fees;
+      }
+    });
 
     await client.query('COMMIT');
 
@@ -278,6 +291,9 @@ router.post('/streams/:streamId/end', authenticateToken, async (req, res) => {
       [streamId]
     );
 
+    // Co-hosts stop sharing revenue; recording sales split by final on-air time
+    await endStreamAgreements(pool, streamId);
+
     res.json({
       success: true,
       stream: result.rows[0]
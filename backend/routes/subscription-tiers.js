@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const db = require('../utils/db');
+const { createJournal } = require('../utils/token-ledger');
 
 // Token to USD conversion rate
 const TOKEN_RATE = 0.05;
@@ -144,70 +145,85 @@ router.put('/creator/price', authenticateToken, async (req, res) => {
 
 // Subscribe to a creator
 router.post('/subscribe', authenticateToken, async (req, res) => {
+  const client = await db.pool.connect();
   try {
     const fanId = req.user.id;
     const { creatorId } = req.body;
 
     // Get subscription price from users table
-    const priceResult = await db.query(
+    const priceResult = await client.query(
       `SELECT subscription_price FROM users WHERE supabase_id = $1 OR id = $1`,
       [creatorId]
     );
 
     const price = priceResult.rows[0]?.subscription_price || DEFAULT_PRICE;
 
+    await client.query('BEGIN');
+
     // Check if user has enough tokens
-    const balanceResult = await db.query(
-      'SELECT balance FROM token_balances WHERE user_id = $1',
+    const balanceResult = await client.query(
+      'SELECT balance FROM token_balances WHERE user_id = $1 FOR UPDATE',
       [fanId]
     );
 
     if (!balanceResult.rows[0] || balanceResult.rows[0].balance < price) {
+      await client.query('ROLLBACK');
       return res.status(400).json({ error: 'Insufficient tokens' });
     }
 
     // Check for existing subscription
-    const existingResult = await db.query(
+    const existingResult = await client.query(
       `SELECT id FROM subscriptions
        WHERE fan_id = $1 AND creator_id = $2 AND status = 'active'`,
       [fanId, creatorId]
     );
 
     if (existingResult.rows.length > 0) {
+      await client.query('ROLLBACK');
       return res.status(400).json({ error: 'Already subscribed to this creator' });
     }
 
     // Create new subscription
-    await db.query(
+    await client.query(
       `INSERT INTO subscriptions (fan_id, creator_id, price, status)
        VALUES ($1, $2, $3, 'active')`,
       [fanId, creatorId, price]
     );
 
     // Deduct tokens for first month
-    await db.query(
+    await client.query(
       `UPDATE token_balances
        SET balance = balance - $1
        WHERE user_id = $2`,
       [price, fanId]
     );
+    // The creator is not credited here, so the ledger books it as platform revenue
+    await createJournal('subscription', { reference: `users:${creatorId}` })
+      .debitUser(fanId, Number(price))
+      .credit('platform_revenue', Number(price))
+      .post(client);
 
     // Log transaction
-    await db.query(
+    await client.query(
       `INSERT INTO token_transactions
        (user_id, amount, type, description, metadata)
        VALUES ($1, $2, 'subscription', $3, $4)`,
       [fanId, -price, `Monthly subscription to creator`, { creatorId }]
     );
 
+    await client.query('COMMIT');
+
     res.json({
       success: true,
       message: 'Successfully subscribed',
       price
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error creating subscription:', error);
     res.status(500).json({ error: 'Failed to create subscription' });
+  } finally {
+    client.release();
   }
 });
 
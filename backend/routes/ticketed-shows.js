@@ -1,12 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db');
-const { authenticateToken } = require('../middleware/auth');
-const { logger } = require('../utils/logger');
+const { authenticateToken, requireCreator } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { logger } = require('../utils/secureLogger');
 const { publishToChannel } = require('../utils/ably-adapter');
+const { AppError } = require('../utils/app-errors');
+const {
+  DEFAULT_WAITING_ROOM_MINUTES,
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  DEFAULT_REFUND_CUTOFF_HOURS,
+  validateSchedule,
+  validateTicketPolicy,
+  getSalesClosedReason,
+  getWaitingRoomState,
+  purchaseTicket,
+  lockTicket,
+  transferTicket,
+  quoteRefund,
+  refundTicket,
+  settleShowTickets,
+  cancelAndRefundShow
+} = require('../utils/ticketed-shows');
 // Socket.io removed - using Ably
 // const { getIO } = require('../utils/socket');
 
+/**
+ * refund_policy, refund_percent, refund_cutoff_hours, allow_transfers values
+ */
+function ticketPolicyValues({ refundPolicy, refundPercent, refundCutoffHours, allowTransfers }) {
+  return [
+    refundPolicy || 'none',
+    refundPolicy === 'partial' ? refundPercent : 100,
+    refundCutoffHours ?? DEFAULT_REFUND_CUTOFF_HOURS,
+    allowTransfers ?? true
+  ];
+}
+
 // Announce a ticketed show
 router.post('/announce', authenticateToken, async (req, res) => {
   const { 
@@ -20,6 +50,11 @@ router.post('/announce', authenticateToken, async (req, res) => {
     earlyBirdDeadline
   } = req.body;
   const creatorId = req.user.supabase_id;
+
+  const policyError = validateTicketPolicy(req.body);
+  if (policyError) {
+    return res.status(400).json({ error: policyError });
+  }
   
   const client = await pool.connect();
   
@@ -50,13 +85,15 @@ router.post('/announce', authenticateToken, async (req, res) => {
     const show = await client.query(
       `INSERT INTO ticketed_shows (
         stream_id, creator_id, title, description, token_price, 
-        status, start_time, max_tickets, early_bird_price, early_bird_deadline
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
+        status, start_time, max_tickets, early_bird_price, early_bird_deadline,
+        refund_policy, refund_percent, refund_cutoff_hours, allow_transfers
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) 
       RETURNING *`,
       [
         streamId, creatorId, title || 'Private Show', description || '',
         tokenPrice, 'announced', startTime ? new Date(startTime) : null,
-        maxTickets, earlyBirdPrice, earlyBirdDeadline ? new Date(earlyBirdDeadline) : null
+        maxTickets, earlyBirdPrice, earlyBirdDeadline ? new Date(earlyBirdDeadline) : null,
+        ...ticketPolicyValues(req.body)
       ]
     );
     
@@ -97,113 +134,136 @@ router.post('/announce', authenticateToken, async (req, res) => {
   }
 });
 
-// Buy a ticket for the show
-router.post('/buy-ticket', authenticateToken, async (req, res) => {
-  const { showId } = req.body;
-  const viewerId = req.user.supabase_id;
-  
-  const client = await pool.connect();
-  
+// Schedule a ticketed show ahead of time (bound to the stream on go-live)
+router.post('/schedule', authenticateToken, requireCreator, async (req, res) => {
+  const {
+    title,
+    description,
+    tokenPrice,
+    startTime,
+    presaleStartsAt,
+    maxTickets,
+    earlyBirdPrice,
+    earlyBirdDeadline,
+    waitingRoomMinutes,
+    gracePeriodMinutes
+  } = req.body;
+  const creatorId = req.user.supabase_id;
+
+  const validationError = validateSchedule(req.body) || validateTicketPolicy(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
   try {
-    await client.query('BEGIN');
-    
-    // Get show details with lock
-    const showQuery = await client.query(
-      `SELECT ts.*, s.channel_id 
-       FROM ticketed_shows ts
-       JOIN streams s ON ts.stream_id = s.id
-       WHERE ts.id = $1 AND ts.status IN ($2, $3) 
-       FOR UPDATE`,
-      [showId, 'announced', 'started']
-    );
-    
-    if (showQuery.rows.length === 0) {
-      throw new Error('Show not available for tickets');
-    }
-    
-    const show = showQuery.rows[0];
-    
-    // Check if already has ticket
-    const existingTicket = await client.query(
-      'SELECT * FROM show_tickets WHERE show_id = $1 AND viewer_id = $2',
-      [showId, viewerId]
-    );
-    
-    if (existingTicket.rows.length > 0) {
-      throw new Error('You already have a ticket for this show');
-    }
-    
-    // Check ticket availability
-    const availabilityQuery = await client.query(
-      'SELECT check_ticket_availability($1) as available',
-      [showId]
-    );
-    
-    if (!availabilityQuery.rows[0].available) {
-      throw new Error('Show is sold out');
-    }
-    
-    // Get current ticket price (handles early bird)
-    const priceQuery = await client.query(
-      'SELECT get_current_ticket_price($1) as price',
-      [showId]
-    );
-    
-    const ticketPrice = priceQuery.rows[0].price;
-    const purchaseType = show.early_bird_deadline && new Date() < new Date(show.early_bird_deadline) 
-      ? 'early_bird' 
-      : 'regular';
-    
-    // Check viewer's token balance
-    const balanceQuery = await client.query(
-      'SELECT token_balance FROM users WHERE supabase_id = $1 FOR UPDATE',
-      [viewerId]
+    const show = await pool.query(
+      `INSERT INTO ticketed_shows (
+        stream_id, creator_id, title, description, token_price, status, start_time,
+        presale_starts_at, max_tickets, early_bird_price, early_bird_deadline,
+        waiting_room_minutes, grace_period_minutes,
+        refund_policy, refund_percent, refund_cutoff_hours, allow_transfers
+      ) VALUES (NULL, $1, $2, $3, $4, 'announced', $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *`,
+      [
+        creatorId, title || 'Private Show', description || '', tokenPrice,
+        new Date(startTime),
+        presaleStartsAt ? new Date(presaleStartsAt) : null,
+        maxTickets || null,
+        earlyBirdPrice || null,
+        earlyBirdPrice ? new Date(earlyBirdDeadline) : null,
+        waitingRoomMinutes ?? DEFAULT_WAITING_ROOM_MINUTES,
+        gracePeriodMinutes ?? DEFAULT_GRACE_PERIOD_MINUTES,
+        ...ticketPolicyValues(req.body)
+      ]
     );
-    
-    if (!balanceQuery.rows[0] || balanceQuery.rows[0].token_balance < ticketPrice) {
-      throw new Error('Insufficient tokens');
+
+    logger.info('Ticketed show scheduled', {
+      showId: show.rows[0].id,
+      creatorId,
+      startTime: show.rows[0].start_time
+    });
+
+    res.json({
+      success: true,
+      show: show.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error scheduling ticketed show:', error);
+    res.status(500).json({
+      error: 'Failed to schedule ticketed show'
+    });
+  }
+});
+
+// Upcoming scheduled shows, optionally for one creator
+router.get('/upcoming', authenticateToken, async (req, res) => {
+  const { creatorId } = req.query;
+
+  try {
+    const params = [];
+    let creatorFilter = '';
+    if (creatorId) {
+      params.push(creatorId);
+      creatorFilter = 'AND ts.creator_id = $1';
     }
-    
-    // Deduct tokens from viewer
-    await client.query(
-      'UPDATE users SET token_balance = token_balance - $1 WHERE supabase_id = $2',
-      [ticketPrice, viewerId]
-    );
-    
-    // Add tokens to creator
-    await client.query(
-      'UPDATE users SET creator_token_balance = COALESCE(creator_token_balance, 0) + $1 WHERE supabase_id = $2',
-      [ticketPrice, show.creator_id]
-    );
-    
-    // Create ticket
-    const ticket = await client.query(
-      `INSERT INTO show_tickets (show_id, viewer_id, token_price, purchase_type)
-       VALUES ($1, $2, $3, $4) 
-       RETURNING *`,
-      [showId, viewerId, ticketPrice, purchaseType]
-    );
-    
-    // Log token transaction
-    await client.query(
-      `INSERT INTO token_transactions (user_id, type, amount, description, created_at)
-       VALUES ($1, 'ticket_purchase', $2, $3, NOW())`,
-      [viewerId, -ticketPrice, `Ticket for ${show.title}`]
-    );
-    
-    await client.query(
-      `INSERT INTO token_transactions (user_id, type, amount, description, created_at)
-       VALUES ($1, 'ticket_sale', $2, $3, NOW())`,
-      [show.creator_id, ticketPrice, `Ticket sale for ${show.title}`]
+
+    const shows = await pool.query(
+      `SELECT ts.*,
+         u.display_name as creator_name,
+         u.profile_pic_url as creator_avatar,
+         get_current_ticket_price(ts.id) as current_price,
+         check_ticket_availability(ts.id) as tickets_available
+       FROM ticketed_shows ts
+       JOIN users u ON ts.creator_id = u.supabase_id
+       WHERE ts.status = 'announced'
+         AND ts.start_time IS NOT NULL
+         AND ts.start_time + make_interval(mins => ts.grace_period_minutes) > NOW()
+         ${creatorFilter}
+       ORDER BY ts.start_time
+       LIMIT 50`,
+      params
     );
-    
+
+    res.json({
+      success: true,
+      shows: shows.rows.map(show => ({
+        ...show,
+        onSale: !getSalesClosedReason(show),
+        waitingRoom: getWaitingRoomState(show)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching upcoming shows:', error);
+    res.status(500).json({
+      error: 'Failed to fetch upcoming shows'
+    });
+  }
+});
+
+/**
+ * Sell a ticket to the caller, or to recipientId when it is a gift
+ */
+async function sellTicket(req, res, recipientId) {
+  const { showId } = req.body;
+  const buyerId = req.user.supabase_id;
+  const isGift = recipientId !== buyerId;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Held until the show starts, paid out at once if it already has
+    const { show, ticket } = await purchaseTicket(client, { showId, buyerId, recipientId });
+
     await client.query('COMMIT');
 
-    // Notify viewer
+    // Notify ticket holder
     try {
-      await publishToChannel(`user:${viewerId}`, 'ticket_purchased', {
+      await publishToChannel(`user:${recipientId}`, isGift ? 'ticket_gifted' : 'ticket_purchased', {
         showId,
-        ticket: ticket.rows[0]
+        ticket,
+        giftedBy: ticket.gifted_by
       });
     } catch (ablyError) {
       logger.error('Failed to publish ticket_purchased to Ably:', ablyError.message);
@@ -212,9 +272,10 @@ router.post('/buy-ticket', authenticateToken, async (req, res) => {
     // Notify creator
     try {
       await publishToChannel(`user:${show.creator_id}`, 'ticket_sold', {
-        viewerId,
+        viewerId: recipientId,
         showId,
-        price: ticketPrice
+        price: ticket.token_price,
+        purchaseType: ticket.purchase_type
       });
     } catch (ablyError) {
       logger.error('Failed to publish ticket_sold to Ably:', ablyError.message);
@@ -223,7 +284,7 @@ router.post('/buy-ticket', authenticateToken, async (req, res) => {
     // If show already started, allow immediate access
     if (show.status === 'started') {
       try {
-        await publishToChannel(`user:${viewerId}`, 'join_private_show', {
+        await publishToChannel(`user:${recipientId}`, 'join_private_show', {
           showId,
           channelId: show.channel_id
         });
@@ -232,26 +293,156 @@ router.post('/buy-ticket', authenticateToken, async (req, res) => {
       }
     }
 
-    logger.info('Ticket purchased', { 
-      showId, 
-      viewerId, 
-      price: ticketPrice 
+    logger.info(isGift ? 'Ticket gifted' : 'Ticket purchased', {
+      showId,
+      buyerId,
+      viewerId: recipientId,
+      price: ticket.token_price
     });
-    
-    res.json({ 
+
+    res.json({
       success: true,
-      ticket: ticket.rows[0]
+      ticket
     });
   } catch (error) {
     await client.query('ROLLBACK');
     logger.error('Error buying ticket:', error);
-    res.status(500).json({ 
-      error: error.message || 'Failed to buy ticket' 
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error.message || 'Failed to buy ticket'
     });
   } finally {
     client.release();
   }
-});
+}
+
+// Buy a ticket for the show
+router.post('/buy-ticket',
+  authenticateToken,
+  idempotency({ prefix: 'show_ticket', ttlSec: 24 * 60 * 60 }),
+  (req, res) => sellTicket(req, res, req.user.supabase_id)
+);
+
+// Buy a ticket for another user
+router.post('/gift-ticket',
+  authenticateToken,
+  idempotency({ prefix: 'show_ticket_gift', ttlSec: 24 * 60 * 60 }),
+  (req, res) => {
+    const { recipientId } = req.body;
+
+    if (!recipientId || recipientId === req.user.supabase_id) {
+      return res.status(400).json({ error: 'recipientId must be another user' });
+    }
+
+    return sellTicket(req, res, recipientId);
+  }
+);
+
+// Transfer a ticket to another user
+router.post('/tickets/:ticketId/transfer',
+  authenticateToken,
+  idempotency({ prefix: 'show_ticket_transfer', ttlSec: 24 * 60 * 60 }),
+  async (req, res) => {
+    const { ticketId } = req.params;
+    const { recipientId } = req.body;
+    const holderId = req.user.supabase_id;
+
+    if (!recipientId) {
+      return res.status(400).json({ error: 'recipientId is required' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { show, ticket } = await lockTicket(client, ticketId, holderId);
+      const transferred = await transferTicket(client, show, ticket, recipientId);
+
+      await client.query('COMMIT');
+
+      try {
+        await publishToChannel(`user:${recipientId}`, 'ticket_transferred', {
+          showId: show.id,
+          ticket: transferred,
+          fromUserId: holderId
+        });
+      } catch (ablyError) {
+        logger.error('Failed to publish ticket_transferred to Ably:', ablyError.message);
+      }
+
+      if (show.status === 'started') {
+        try {
+          await publishToChannel(`user:${holderId}`, 'private_show_access_revoked', { showId: show.id });
+        } catch (ablyError) {
+          logger.error('Failed to publish private_show_access_revoked to Ably:', ablyError.message);
+        }
+      }
+
+      logger.info('Ticket transferred', { showId: show.id, ticketId, holderId, recipientId });
+
+      res.json({
+        success: true,
+        ticket: transferred
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error transferring ticket:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        error: error.message || 'Failed to transfer ticket'
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Refund a ticket under the show's refund policy
+router.post('/tickets/:ticketId/refund',
+  authenticateToken,
+  idempotency({ prefix: 'show_ticket_refund', ttlSec: 24 * 60 * 60 }),
+  async (req, res) => {
+    const { ticketId } = req.params;
+    const holderId = req.user.supabase_id;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { show, ticket } = await lockTicket(client, ticketId, holderId);
+      const refunded = await refundTicket(client, show, ticket);
+
+      await client.query('COMMIT');
+
+      try {
+        await publishToChannel(`user:${show.creator_id}`, 'ticket_refunded', {
+          showId: show.id,
+          viewerId: holderId,
+          tokens: refunded.refund_tokens
+        });
+      } catch (ablyError) {
+        logger.error('Failed to publish ticket_refunded to Ably:', ablyError.message);
+      }
+
+      logger.info('Ticket refunded', { showId: show.id, ticketId, holderId, tokens: refunded.refund_tokens });
+
+      res.json({
+        success: true,
+        ticket: refunded,
+        refundedTokens: refunded.refund_tokens,
+        refundedTo: refunded.gifted_by || refunded.viewer_id
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Error refunding ticket:', error);
+      res.status(error instanceof AppError ? error.statusCode : 500).json({
+        error: error.message || 'Failed to refund ticket'
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
 
 // Start private mode for ticketed show
 router.post('/start', authenticateToken, async (req, res) => {
@@ -265,11 +456,11 @@ router.post('/start', authenticateToken, async (req, res) => {
     
     // Get show details
     const showQuery = await client.query(
-      `SELECT ts.*, s.channel_id, s.id as stream_id
+      `SELECT ts.*, s.channel_id
        FROM ticketed_shows ts
-       JOIN streams s ON ts.stream_id = s.id
+       LEFT JOIN streams s ON ts.stream_id = s.id
        WHERE ts.id = $1 AND ts.creator_id = $2 AND ts.status = $3
-       FOR UPDATE`,
+       FOR UPDATE OF ts`,
       [showId, creatorId, 'announced']
     );
     
@@ -278,6 +469,10 @@ router.post('/start', authenticateToken, async (req, res) => {
     }
     
     const show = showQuery.rows[0];
+
+    if (!show.stream_id) {
+      throw new Error('Go live before starting the show');
+    }
     
     // Update show status
     await client.query(
@@ -286,16 +481,19 @@ router.post('/start', authenticateToken, async (req, res) => {
        WHERE id = $2`,
       ['started', showId]
     );
+
+    // Release ticket revenue held since the presale
+    await settleShowTickets(client, show);
     
     // Get all ticket holders
     const tickets = await client.query(
-      'SELECT viewer_id FROM show_tickets WHERE show_id = $1',
+      "SELECT viewer_id FROM show_tickets WHERE show_id = $1 AND status = 'active'",
       [showId]
     );
     
     // Update ticket holders' join time
     await client.query(
-      'UPDATE show_tickets SET joined_at = NOW() WHERE show_id = $1',
+      "UPDATE show_tickets SET joined_at = NOW() WHERE show_id = $1 AND status = 'active'",
       [showId]
     );
     
@@ -425,23 +623,36 @@ router.get('/:showId/details', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Show not found' });
     }
     
-    // Check if user has ticket
+    // Check if user has ticket (latest row if it was refunded or transferred)
     const ticketQuery = await pool.query(
-      'SELECT * FROM show_tickets WHERE show_id = $1 AND viewer_id = $2',
+      `SELECT * FROM show_tickets WHERE show_id = $1 AND viewer_id = $2
+       ORDER BY (status = 'active') DESC, purchased_at DESC
+       LIMIT 1`,
       [showId, viewerId]
     );
+    const ticket = ticketQuery.rows[0] || null;
+
+    let refundableTokens = null;
+    if (ticket) {
+      try {
+        refundableTokens = quoteRefund(showQuery.rows[0], ticket);
+      } catch (refundError) {
+        // Not refundable right now
+      }
+    }
     
     // Get ticket count
     const ticketCount = await pool.query(
-      'SELECT COUNT(*) as count FROM show_tickets WHERE show_id = $1',
+      "SELECT COUNT(*) as count FROM show_tickets WHERE show_id = $1 AND status = 'active'",
       [showId]
     );
     
     res.json({
       success: true,
       show: showQuery.rows[0],
-      hasTicket: ticketQuery.rows.length > 0,
-      ticket: ticketQuery.rows[0] || null,
+      hasTicket: ticket?.status === 'active',
+      ticket,
+      refundableTokens,
       ticketsSold: parseInt(ticketCount.rows[0].count)
     });
   } catch (error) {
@@ -452,6 +663,118 @@ router.get('/:showId/details', authenticateToken, async (req, res) => {
   }
 });
 
+// Waiting room for a scheduled show
+router.get('/:showId/waiting-room', authenticateToken, async (req, res) => {
+  const { showId } = req.params;
+  const userId = req.user.supabase_id;
+
+  try {
+    const showQuery = await pool.query(
+      `SELECT ts.*, s.channel_id
+       FROM ticketed_shows ts
+       LEFT JOIN streams s ON ts.stream_id = s.id
+       WHERE ts.id = $1`,
+      [showId]
+    );
+
+    if (showQuery.rows.length === 0) {
+      return res.status(404).json({ error: 'Show not found' });
+    }
+
+    const show = showQuery.rows[0];
+    const isCreator = show.creator_id === userId;
+    const ticketQuery = await pool.query(
+      "SELECT id FROM show_tickets WHERE show_id = $1 AND viewer_id = $2 AND status = 'active'",
+      [showId, userId]
+    );
+    const hasTicket = ticketQuery.rows.length > 0;
+
+    if (!isCreator && !hasTicket) {
+      return res.status(403).json({ error: 'A ticket is required to enter the waiting room' });
+    }
+
+    const waitingRoom = getWaitingRoomState(show);
+    const canEnter = ['open', 'live'].includes(waitingRoom.state);
+
+    res.json({
+      success: true,
+      ...waitingRoom,
+      streamId: canEnter ? show.stream_id : null,
+      // Video is only unlocked once the private show starts
+      channelId: waitingRoom.state === 'live' ? show.channel_id : null,
+      ticketsSold: show.total_tickets_sold
+    });
+  } catch (error) {
+    logger.error('Error fetching waiting room:', error);
+    res.status(500).json({
+      error: 'Failed to fetch waiting room'
+    });
+  }
+});
+
+// Cancel a show that has not started and refund every ticket
+router.post('/:showId/cancel', authenticateToken, async (req, res) => {
+  const { showId } = req.params;
+  const creatorId = req.user.supabase_id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const showQuery = await client.query(
+      `SELECT * FROM ticketed_shows
+       WHERE id = $1 AND creator_id = $2 AND status = 'announced'
+       FOR UPDATE`,
+      [showId, creatorId]
+    );
+
+    if (showQuery.rows.length === 0) {
+      throw new Error('Show not found or already started');
+    }
+
+    const show = showQuery.rows[0];
+    const refunded = await cancelAndRefundShow(client, show, 'creator_cancelled');
+
+    await client.query('COMMIT');
+
+    for (const ticket of refunded) {
+      try {
+        await publishToChannel(`user:${ticket.viewer_id}`, 'ticket_refunded', {
+          showId,
+          tokens: ticket.token_price
+        });
+      } catch (ablyError) {
+        logger.error('Failed to publish ticket_refunded to Ably:', ablyError.message);
+      }
+    }
+
+    if (show.stream_id) {
+      try {
+        await publishToChannel(`stream:${show.stream_id}`, 'ticketed_show_cancelled', { showId });
+      } catch (ablyError) {
+        logger.error('Failed to publish ticketed_show_cancelled to Ably:', ablyError.message);
+      }
+    }
+
+    logger.info('Ticketed show cancelled', { showId, creatorId, refunded: refunded.length });
+
+    res.json({
+      success: true,
+      refundedTickets: refunded.length,
+      refundedTokens: refunded.reduce((sum, ticket) => sum + ticket.token_price, 0)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error cancelling ticketed show:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error.message || 'Failed to cancel ticketed show'
+    });
+  } finally {
+    client.release();
+  }
+});
+
 // Get analytics for creator
 router.get('/:showId/analytics', authenticateToken, async (req, res) => {
   const { showId } = req.params;
@@ -472,19 +795,30 @@ router.get('/:showId/analytics', authenticateToken, async (req, res) => {
     const analytics = await pool.query(
       `SELECT 
          ts.*,
-         COUNT(DISTINCT st.viewer_id) as total_buyers,
-         SUM(st.token_price) as total_revenue,
-         AVG(st.watch_duration) as avg_watch_time,
-         COUNT(CASE WHEN st.purchase_type = 'early_bird' THEN 1 END) as early_bird_sales,
-         COUNT(CASE WHEN st.purchase_type = 'gift' THEN 1 END) as gifted_tickets,
-         json_agg(
+         COUNT(DISTINCT st.viewer_id) FILTER (WHERE st.status = 'active') as total_buyers,
+         COALESCE(SUM(st.token_price) FILTER (WHERE st.status = 'active'), 0) as total_revenue,
+         AVG(st.watch_duration) FILTER (WHERE st.status = 'active') as avg_watch_time,
+         COUNT(CASE WHEN st.purchase_type = 'early_bird' AND st.transferred_from IS NULL THEN 1 END) as early_bird_sales,
+         COUNT(CASE WHEN st.purchase_type = 'gift' AND st.transferred_from IS NULL THEN 1 END) as gifted_tickets,
+         COUNT(CASE WHEN st.status = 'transferred' THEN 1 END) as transferred_tickets,
+         COUNT(CASE WHEN st.status = 'refunded' THEN 1 END) as refunded_tickets,
+         COALESCE(SUM(st.refund_tokens) FILTER (WHERE st.status = 'refunded'), 0) as refunded_tokens,
+         COALESCE(SUM(st.token_price - st.refund_tokens) FILTER (WHERE st.status = 'refunded'), 0) as refund_fees_retained,
+         COALESCE(json_agg(
            json_build_object(
+             'ticket_id', st.id,
              'viewer_id', st.viewer_id,
              'purchase_time', st.purchased_at,
              'price_paid', st.token_price,
-             'type', st.purchase_type
+             'type', st.purchase_type,
+             'status', st.status,
+             'gifted_by', st.gifted_by,
+             'transferred_from', st.transferred_from,
+             'transferred_at', st.transferred_at,
+             'refunded_at', st.refunded_at,
+             'refund_tokens', st.refund_tokens
            ) ORDER BY st.purchased_at DESC
-         ) as buyers
+         ) FILTER (WHERE st.id IS NOT NULL), '[]') as buyers
        FROM ticketed_shows ts
        LEFT JOIN show_tickets st ON ts.id = st.show_id
        WHERE ts.id = $1
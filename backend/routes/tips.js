@@ -4,6 +4,9 @@ const { authenticateToken, requireTokens } = require('../middleware/auth');
 const { idempotency } = require('../middleware/idempotency');
 const { presets: rateLimitPresets } = require('../middleware/dual-tier-rate-limiter');
 const { v4: uuidv4 } = require('uuid');
+const { calculateFees } = require('../utils/fee-policy');
+const { creditSplitRevenue } = require('../utils/revenue-splits');
+const { createJournal } = require('../utils/token-ledger');
 const router = express.Router();
 
 // NOTE: Rate limiting is now handled by dual-tier middleware (Redis-based)
@@ -94,12 +97,8 @@ router.post('/send',
       'UPDATE token_balances SET balance = balance - $1, updated_at = NOW() WHERE user_id = $2',
       [amount, tipperId]
     );
-
-    // Add to creator's balance (use standardized user_id column)
-    await client.query(
-      'UPDATE token_balances SET balance = balance + $1, updated_at = NOW() WHERE user_id = $2',
-      [amount, creatorInfo.supabase_id]
-    );
+    const journal = createJournal('tip', { reference: `tips:${tipId}` });
+    journal.debitUser(tipperId, Number(amount));
 
     // Record the tip (use standardized tipper_id column)
     const tipResult = await client.query(
@@ -127,29 +126,53 @@ router.post('/send',
       ]
     );
 
-    // Record token transaction for creator (use standardized user_id column)
-    const creatorBalanceResult = await client.query(
-      'SELECT balance FROM token_balances WHERE user_id = $1',
-      [creatorInfo.supabase_id]
-    );
-    const creatorNewBalance = creatorBalanceResult.rows[0]?.balance || amount;
+    // Credit the creator net of the platform fee, shared with their
+    // collaborators or co-hosts when a revenue split is active
+    const split = await creditSplitRevenue(client, {
+      hostId: creatorInfo.supabase_id,
+      grossTokens: Number(amount),
+      revenueType: 'tip',
+      payerId: tipperId,
+      streamId: context.streamId || null,
+      sourceRef: tipId,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'tip', grossTokens: tokens });
+
+        // Use standardized user_id column
+        const memberBalance = await client.query(
+          `INSERT INTO token_balances (user_id, balance, updated_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()
+           RETURNING balance`,
+          [memberId, fees.creatorNetTokens]
+        );
 
-    await client.query(
-      `INSERT INTO token_transactions (
-        transaction_id, user_id, type, amount, balance_after,
-        description, reference_id, reference_type, created_at
-      ) VALUES (
-        $1, $2, 'tip_received', $3, $4, $5, $6, 'tip', NOW()
-      )`,
-      [
-        `txn_${Date.now()}_${uuidv4()}`,
-        creatorInfo.supabase_id,
-        amount,
-        creatorNewBalance,
-        `Tip received from @${tipperInfo.username}`,
-        tipId
-      ]
-    );
+        await client.query(
+          `INSERT INTO token_transactions (
+            transaction_id, user_id, type, amount, balance_after,
+            description, reference_id, reference_type, fee_breakdown, created_at
+          ) VALUES (
+            $1, $2, 'tip_received', $3, $4, $5, $6, 'tip', $7, NOW()
+          )`,
+          [
+            `txn_${Date.now()}_${uuidv4()}`,
+            memberId,
+            fees.creatorNetTokens,
+            memberBalance.rows[0].balance,
+            memberId === creatorInfo.supabase_id
+              ? `Tip received from @${tipperInfo.username}`
+              : `Split of a tip from @${tipperInfo.username} to @${creatorInfo.username}`,
+            tipId,
+            JSON.stringify(fees)
+          ]
+        );
+        journal
+          .creditUser(memberId, fees.creatorNetTokens, { account: 'creator_earnings' })
+          .credit('platform_revenue', fees.platformFeeTokens);
+        return fees;
+      }
+    });
+    await journal.post(client);
 
     // Create notification for creator
     await client.query(
@@ -210,8 +233,13 @@ router.post('/send',
       new_balance: balance - amount,
       tipId,
       amountTokens: amount,
-      creatorCut: amount,     // 100% to creator
-      platformFee: 0          // Digis margin comes only from token sales
+      creatorCut: split.creatorNetTokens,
+      platformFee: split.platformFeeTokens,
+      revenueSplit: split.agreementId ? split.allocations.map(a => ({
+        userId: a.userId,
+        sharePercent: a.sharePercent,
+        netTokens: a.netTokens
+      })) : null
     });
 
   } catch (error) {
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { auditLog } = require('../middleware/adminAudit');
+const { logger } = require('../utils/secureLogger');
+const { AppError, ResourceNotFoundError, ResourceConflictError } = require('../utils/app-errors');
+const {
+  runReconciliation,
+  listReconciliations,
+  getReconciliation,
+  resolveDrift,
+  getAccountStatement,
+  getPlatformBalances
+} = require('../utils/token-ledger');
+
+function sendError(res, error, fallback) {
+  res.status(error instanceof AppError ? error.statusCode : 500).json({
+    error: error instanceof AppError ? error.message : fallback
+  });
+}
+
+// Everything here is for admins
+router.use(authenticateToken, requireSuperAdmin);
+
+// Recent reconciliation runs, newest first
+router.get('/reconciliations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+    const reconciliations = await listReconciliations(limit);
+    res.json({ success: true, reconciliations });
+  } catch (error) {
+    logger.error('Error fetching ledger reconciliations:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger reconciliations' });
+  }
+});
+
+// One run with its drift report, largest drift first
+router.get('/reconciliations/:runId', async (req, res) => {
+  try {
+    const reconciliation = await getReconciliation(req.params.runId);
+    if (!reconciliation) throw new ResourceNotFoundError('Ledger reconciliation');
+    res.json({ success: true, reconciliation });
+  } catch (error) {
+    logger.error('Error fetching ledger reconciliation:', error);
+    sendError(res, error, 'Failed to fetch ledger reconciliation');
+  }
+});
+
+// Run a reconciliation now rather than waiting for the nightly job
+router.post('/reconciliations', auditLog('ADMIN_RUN_LEDGER_RECONCILIATION'), async (req, res) => {
+  try {
+    const reconciliation = await runReconciliation({ triggeredBy: req.user.supabase_id });
+    res.status(201).json({ success: true, reconciliation });
+  } catch (error) {
+    logger.error('Error running ledger reconciliation:', error);
+    sendError(res, error, 'Failed to run ledger reconciliation');
+  }
+});
+
+// Close a drift row: { note, adjust? }. adjust posts a journal that brings
+// the user's ledger accounts in line with their balance.
+router.post('/drift/:driftId/resolve', auditLog('ADMIN_RESOLVE_LEDGER_DRIFT'), async (req, res) => {
+  try {
+    const drift = await resolveDrift(req.params.driftId, {
+      adminId: req.user.supabase_id,
+      note: req.body.note,
+      adjust: req.body.adjust === true
+    });
+    if (!drift) throw new ResourceConflictError('This drift has already been resolved');
+    res.json({ success: true, drift });
+  } catch (error) {
+    logger.error('Error resolving ledger drift:', error);
+    sendError(res, error, 'Failed to resolve ledger drift');
+  }
+});
+
+// A user's ledger accounts and recent entries
+router.get('/accounts/:userId', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const statement = await getAccountStatement(req.params.userId, limit);
+    res.json({ success: true, ...statement });
+  } catch (error) {
+    logger.error('Error fetching ledger statement:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger statement' });
+  }
+});
+
+// Balances of the platform accounts (revenue, escrow, refunds, ...)
+router.get('/platform', async (req, res) => {
+  try {
+    const balances = await getPlatformBalances();
+    res.json({ success: true, balances });
+  } catch (error) {
+    logger.error('Error fetching platform ledger balances:', error);
+    res.status(500).json({ error: 'Failed to fetch platform ledger balances' });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,9 @@ const { logger } = require('../utils/secureLogger');
 const { observability, analyticsClient } = require('../utils/supabase-admin-v2');
 const { GIFT_CATALOG, getGiftById } = require('../utils/giftCatalog');
 const { updateUserTier } = require('../utils/gifterTiers');
+const { calculateFees } = require('../utils/fee-policy');
+const { creditSplitRevenue } = require('../utils/revenue-splits');
+const { createJournal, PAYOUT_ORDER } = require('../utils/token-ledger');
 const router = express.Router();
 
 const TOKEN_VALUE = 0.05; // $0.05 per token
@@ -280,6 +283,10 @@ router.post('/quick-purchase', authenticateToken, async (req, res) => {
          RETURNING balance`,
         [req.user.supabase_id, tokenAmount]
       );
+      await createJournal('quick_purchase', { reference: `stripe:${paymentIntent.id}` })
+        .debit('token_issuance', tokenAmount)
+        .creditUser(req.user.supabase_id, tokenAmount)
+        .post(client);
       
       // Emit real-time balance update
       const newBalance = balanceResult.rows[0].balance;
@@ -494,7 +501,7 @@ router.post('/purchase', authenticateToken, purchaseLimiter, async (req, res) =>
 router.post('/tip', authenticateToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { creatorId, amountTokens, clientIdempotencyKey } = req.body;
+    const { creatorId, amountTokens, clientIdempotencyKey, streamId } = req.body;
 
     const tip = parseInt(amountTokens, 10);
     if (!creatorId || !Number.isInteger(tip) || tip <= 0) {
@@ -544,37 +551,61 @@ router.post('/tip', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Balance update failed' });
     }
 
-    // 3) Credit creator
-    await client.query(
-      `INSERT INTO token_balances (user_id, balance, total_earned, updated_at)
-       VALUES ($1, $2, $2, NOW())
-       ON CONFLICT (user_id)
-       DO UPDATE SET
-         balance = token_balances.balance + EXCLUDED.balance,
-         total_earned = token_balances.total_earned + EXCLUDED.total_earned,
-         updated_at = NOW()`,
-      [creatorId, tip]
-    );
-
-    // 4) Dual ledger rows (fan debit, creator credit)
+    // 3) Dual ledger rows (fan debit, creator credit)
     const baseTx = `
       INSERT INTO token_transactions
-        (user_id, type, tokens, amount_usd, status, related_user_id, client_idempotency_key, created_at)
+        (user_id, type, tokens, amount_usd, status, related_user_id, client_idempotency_key, fee_breakdown, created_at)
       VALUES
-        ($1, 'tip', $2, $3, 'completed', $4, $5, NOW())
+        ($1, 'tip', $2, $3, 'completed', $4, $5, $6, NOW())
+      RETURNING id
     `;
     // USD estimate for analytics only (do not rely on for accounting)
     const usd = tip * TOKEN_VALUE;
 
-    await client.query(baseTx, [fanId, -tip, usd, creatorId, idemKey]);
-    await client.query(baseTx, [creatorId, tip, usd, fanId, idemKey]);
+    const fanTx = await client.query(baseTx, [fanId, -tip, usd, creatorId, idemKey, null]);
+    const journal = createJournal('tip', { reference: `token_transactions:${fanTx.rows[0].id}` });
+    journal.debitUser(fanId, tip);
+
+    // 4) Credit creator net of the platform fee, shared with their
+    //    collaborators or co-hosts when a revenue split is active
+    const split = await creditSplitRevenue(client, {
+      hostId: creatorId,
+      grossTokens: tip,
+      revenueType: 'tip',
+      payerId: fanId,
+      streamId: streamId || null,
+      sourceRef: fanTx.rows[0].id,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'tip', grossTokens: tokens });
+        await client.query(
+          `INSERT INTO token_balances (user_id, balance, total_earned, updated_at)
+           VALUES ($1, $2, $2, NOW())
+           ON CONFLICT (user_id)
+           DO UPDATE SET
+             balance = token_balances.balance + EXCLUDED.balance,
+             total_earned = token_balances.total_earned + EXCLUDED.total_earned,
+             updated_at = NOW()`,
+          [memberId, fees.creatorNetTokens]
+        );
+        await client.query(baseTx, [
+          memberId, fees.creatorNetTokens, fees.creatorNetTokens * TOKEN_VALUE, fanId, idemKey, JSON.stringify(fees)
+        ]);
+        journal
+          .creditUser(memberId, fees.creatorNetTokens, { account: 'creator_earnings' })
+          .credit('platform_revenue', fees.platformFeeTokens);
+        return fees;
+      }
+    });
+    await journal.post(client);
 
     await client.query('COMMIT');
 
     // Notify both parties of balance update
     try {
       await publishToChannel(`user:${fanId}`, 'balance_updated', { tip: -tip });
-      await publishToChannel(`user:${creatorId}`, 'balance_updated', { tip: tip });
+      for (const allocation of split.allocations) {
+        await publishToChannel(`user:${allocation.userId}`, 'balance_updated', { tip: allocation.netTokens });
+      }
     } catch (ablyError) {
       console.error('Failed to publish balance updates to Ably:', ablyError.message);
     }
@@ -641,7 +672,8 @@ router.post('/calls/deduct', authenticateToken, async (req, res) => {
       return res.status(500).json({ error: 'Balance update failed' });
     }
 
-    // 3) Credit counterparty (creator or host)
+    // 3) Credit counterparty (creator or host), net of the platform fee
+    const fees = await calculateFees(client, { creatorId: counterpartyId, revenueType: 'call', grossTokens: amt });
     await client.query(
       `INSERT INTO token_balances (user_id, balance, total_earned, updated_at)
        VALUES ($1, $2, $2, NOW())
@@ -650,26 +682,33 @@ router.post('/calls/deduct', authenticateToken, async (req, res) => {
          balance = token_balances.balance + EXCLUDED.balance,
          total_earned = token_balances.total_earned + EXCLUDED.total_earned,
          updated_at = NOW()`,
-      [counterpartyId, amt]
+      [counterpartyId, fees.creatorNetTokens]
     );
 
     // 4) Dual ledger rows with session linkage
     const baseTx = `
       INSERT INTO token_transactions
-        (user_id, type, tokens, amount_usd, status, related_user_id, client_idempotency_key, session_id, created_at)
+        (user_id, type, tokens, amount_usd, status, related_user_id, client_idempotency_key, session_id, fee_breakdown, created_at)
       VALUES
-        ($1, 'call', $2, $3, 'completed', $4, $5, $6, NOW())
+        ($1, 'call', $2, $3, 'completed', $4, $5, $6, $7, NOW())
     `;
     const usd = amt * TOKEN_VALUE;
-    await client.query(baseTx, [payerId, -amt, usd, counterpartyId, idemKey, sessionId]);
-    await client.query(baseTx, [counterpartyId,  amt, usd, payerId, idemKey, sessionId]);
+    await client.query(baseTx, [payerId, -amt, usd, counterpartyId, idemKey, sessionId, null]);
+    await client.query(baseTx, [
+      counterpartyId, fees.creatorNetTokens, fees.creatorNetTokens * TOKEN_VALUE, payerId, idemKey, sessionId, JSON.stringify(fees)
+    ]);
+    await createJournal('call', { reference: `sessions:${sessionId}` })
+      .debitUser(payerId, amt)
+      .creditUser(counterpartyId, fees.creatorNetTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
 
     await client.query('COMMIT');
 
     // Notify both parties of balance update
     try {
       await publishToChannel(`user:${payerId}`, 'balance_updated', { call_deduct: -amt });
-      await publishToChannel(`user:${counterpartyId}`, 'balance_updated', { call_credit: amt });
+      await publishToChannel(`user:${counterpartyId}`, 'balance_updated', { call_credit: fees.creatorNetTokens });
     } catch (ablyError) {
       console.error('Failed to publish balance updates to Ably:', ablyError.message);
     }
@@ -1074,6 +1113,11 @@ router.post('/payout', authenticateToken, async (req, res) => {
        WHERE user_id = $2`,
       [tokenAmount, req.user.supabase_id]
     );
+    // Paid-out tokens leave circulation
+    await createJournal('payout', { reference: `stripe:${payout.id}` })
+      .debitUser(req.user.supabase_id, tokenAmount, { order: PAYOUT_ORDER })
+      .credit('token_issuance', tokenAmount)
+      .post(client);
 
     await client.query(
       `INSERT INTO payouts (creator_id, tokens_redeemed, payout_amount, status, stripe_payout_id, created_at)
@@ -1348,6 +1392,10 @@ router.post('/smart-refill/trigger', authenticateToken, async (req, res) => {
          DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()`,
         [req.user.supabase_id, totalTokens]
       );
+      await createJournal('smart_refill', { reference: `stripe:${paymentIntent.id}` })
+        .debit('token_issuance', totalTokens)
+        .creditUser(req.user.supabase_id, totalTokens)
+        .post(client);
 
       // Record transaction
       await client.query(
@@ -1483,10 +1531,6 @@ router.post('/gift', authenticateToken, async (req, res) => {
       });
     }
 
-    // No platform fee - creators get 100%
-    const platformFee = 0;
-    const netTokens = tokenAmount;
-
     // Deduct tokens from sender
     await client.query(
       `UPDATE token_balances 
@@ -1495,17 +1539,10 @@ router.post('/gift', authenticateToken, async (req, res) => {
       [tokenAmount, req.user.supabase_id]
     );
 
-    // Add tokens to recipient
-    await client.query(
-      `INSERT INTO token_balances (user_id, balance, updated_at)
-       VALUES ($1, $2, NOW())
-       ON CONFLICT (user_id)
-       DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()`,
-      [recipientId, netTokens]
-    );
-
     // Record gift transaction
     const transactionId = crypto.randomUUID();
+    const journal = createJournal('gift', { reference: `token_gifts:${transactionId}` });
+    journal.debitUser(req.user.supabase_id, tokenAmount);
     
     // Store gift metadata in JSON format
     const giftMetadata = {
@@ -1515,6 +1552,38 @@ router.post('/gift', authenticateToken, async (req, res) => {
       giftType: giftType,
       channel: channel || null
     };
+
+    // Add tokens to recipient, net of the platform fee and shared with
+    // their collaborators or co-hosts when a revenue split is active
+    const split = await creditSplitRevenue(client, {
+      hostId: recipientId,
+      grossTokens: tokenAmount,
+      revenueType: 'gift',
+      payerId: req.user.supabase_id,
+      sourceRef: transactionId,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'gift', grossTokens: tokens });
+        await client.query(
+          `INSERT INTO token_balances (user_id, balance, updated_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (user_id)
+           DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()`,
+          [memberId, fees.creatorNetTokens]
+        );
+        await client.query(
+          `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, gift_id, metadata, fee_breakdown, created_at)
+           VALUES ($1, 'gift_received', $2, $3, 'completed', $4, $5, $6, NOW())`,
+          [memberId, fees.creatorNetTokens, fees.creatorNetTokens * TOKEN_VALUE, transactionId, JSON.stringify(giftMetadata), JSON.stringify(fees)]
+        );
+        journal
+          .creditUser(memberId, fees.creatorNetTokens, { account: 'creator_earnings' })
+          .credit('platform_revenue', fees.platformFeeTokens);
+        return fees;
+      }
+    });
+    await journal.post(client);
+    const platformFee = split.platformFeeTokens;
+    const netTokens = split.creatorNetTokens;
     
     await client.query(
       `INSERT INTO token_gifts (id, sender_id, recipient_id, token_amount, net_tokens, 
@@ -1524,19 +1593,12 @@ router.post('/gift', authenticateToken, async (req, res) => {
       [transactionId, req.user.supabase_id, recipientId, tokenAmount, netTokens, platformFee, message, giftType, JSON.stringify(giftMetadata)]
     );
 
-    // Record transactions for both users
     await client.query(
       `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, gift_id, metadata, created_at)
        VALUES ($1, 'gift_sent', $2, $3, 'completed', $4, $5, NOW())`,
       [req.user.supabase_id, -tokenAmount, tokenAmount * TOKEN_VALUE, transactionId, JSON.stringify(giftMetadata)]
     );
 
-    await client.query(
-      `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, gift_id, metadata, created_at)
-       VALUES ($1, 'gift_received', $2, $3, 'completed', $4, $5, NOW())`,
-      [recipientId, netTokens, netTokens * TOKEN_VALUE, transactionId, JSON.stringify(giftMetadata)]
-    );
-
     await client.query('COMMIT');
 
     // Send notification if enabled
@@ -1695,6 +1757,11 @@ router.post('/gift-card', authenticateToken, async (req, res) => {
        WHERE user_id = $2`,
       [tokenAmount, req.user.supabase_id]
     );
+    // Held in escrow until the card is redeemed
+    await createJournal('gift_card_created', { reference: `gift_cards:${giftCardCode}` })
+      .debitUser(req.user.supabase_id, tokenAmount)
+      .credit('escrow', tokenAmount)
+      .post(client);
 
     // Create gift card
     await client.query(
@@ -1785,6 +1852,10 @@ router.post('/redeem-gift-card', authenticateToken, async (req, res) => {
        DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()`,
       [req.user.supabase_id, giftCard.token_amount]
     );
+    await createJournal('gift_card_redeemed', { reference: `gift_cards:${giftCard.code}` })
+      .debit('escrow', giftCard.token_amount)
+      .creditUser(req.user.supabase_id, giftCard.token_amount)
+      .post(client);
 
     // Mark gift card as redeemed
     await client.query(
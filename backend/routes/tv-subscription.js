@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { pool } = require('../utils/db');
+const { createJournal } = require('../utils/token-ledger');
 
 // Check TV subscription status (including 60-day free trial)
 // Uses optional auth - returns basic info for non-authenticated requests
@@ -240,6 +241,10 @@ router.post('/subscribe', authenticateToken, async (req, res) => {
        VALUES ($1, $2, 'tv_subscription', 'Digis TV Monthly Subscription', 'completed')`,
       [userId, -subscriptionCost]
     );
+    await createJournal('tv_subscription', { reference: `tv_subscriptions:${subscriptionResult.rows[0].id}` })
+      .debitUser(userId, subscriptionCost)
+      .credit('platform_revenue', subscriptionCost)
+      .post(client);
 
     await client.query('COMMIT');
 
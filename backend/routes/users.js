@@ -10,6 +10,10 @@ const multer = require('multer');
 const { validateUsername, checkUsernameAvailability } = require('../utils/usernameValidation');
 const { profileUpdateSchema, validate } = require('../validators/schemas');
 const { logger } = require('../utils/secureLogger');
+const { AppError } = require('../utils/app-errors');
+const { authorizeModeration, recordModerationAction } = require('../utils/stream-moderators');
+const { calculateFees } = require('../utils/fee-policy');
+const { createJournal } = require('../utils/token-ledger');
 // Socket.io removed - using Ably via publish helper
 // Socket.io removed - using Ably
 // // const { sendNotification } = require('../utils/socket');
@@ -1556,13 +1560,16 @@ router.put('/session/:sessionId/end', authenticateToken, async (req, res) => {
         [tokenAmount, req.user.supabase_id]
       );
 
-      // Add tokens to creator
+      // Add tokens to creator, net of the platform fee
+      const fees = await calculateFees(client, { creatorId: creatorUid, revenueType: 'call', grossTokens: tokenAmount });
+      const creatorTokens = fees.creatorNetTokens;
+      const creatorUsd = creatorTokens * TOKEN_REDEMPTION_VALUE;
       await client.query(
         `INSERT INTO token_balances (user_id, balance, updated_at)
          VALUES ($1, $2, NOW())
          ON CONFLICT (user_id)
          DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()`,
-        [creatorUid, tokenAmount]
+        [creatorUid, creatorTokens]
       );
 
       // Record transaction for member
@@ -1574,23 +1581,28 @@ router.put('/session/:sessionId/end', authenticateToken, async (req, res) => {
 
       // Record transaction for creator
       await client.query(
-        `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, session_id, created_at)
-         VALUES ($1, 'call', $2, $3, 'completed', $4, NOW())`,
-        [creatorUid, tokenAmount, totalAmount, sessionId]
+        `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, session_id, fee_breakdown, created_at)
+         VALUES ($1, 'call', $2, $3, 'completed', $4, $5, NOW())`,
+        [creatorUid, creatorTokens, creatorUsd, sessionId, JSON.stringify(fees)]
       );
+      await createJournal('call', { reference: `sessions:${sessionId}` })
+        .debitUser(req.user.supabase_id, tokenAmount)
+        .creditUser(creatorUid, creatorTokens, { account: 'creator_earnings' })
+        .credit('platform_revenue', fees.platformFeeTokens)
+        .post(client);
 
       // Record earnings for payout system
       await client.query(
         `INSERT INTO creator_earnings (creator_id, earning_type, source_id, tokens_earned, usd_value, description, fan_id)
          VALUES ($1, 'session', $2, $3, $4, $5, $6)`,
-        [creatorUid, sessionId, tokenAmount, totalAmount, `${session.type} session - ${durationMinutes} minutes`, req.user.supabase_id]
+        [creatorUid, sessionId, creatorTokens, creatorUsd, `${session.type} session - ${durationMinutes} minutes`, req.user.supabase_id]
       );
 
       // Update user stats
       await client.query(
         `UPDATE users SET total_earnings = total_earnings + $1, total_sessions = total_sessions + 1
          WHERE supabase_id = $2`,
-        [totalAmount, creatorUid]
+        [creatorUsd, creatorUid]
       );
 
       await client.query(
@@ -1889,7 +1901,7 @@ router.post('/send-tip', authenticateToken, async (req, res) => {
 
     // Find recipient by username
     const recipientResult = await client.query(
-      'SELECT supabase_id, username FROM users WHERE username = $1',
+      'SELECT supabase_id, username, is_creator FROM users WHERE username = $1',
       [recipientUsername]
     );
 
@@ -1938,13 +1950,23 @@ router.post('/send-tip', authenticateToken, async (req, res) => {
       [amount, req.user.supabase_id]
     );
 
+    // Creators receive the amount net of the platform fee
+    const fees = recipientResult.rows[0].is_creator
+      ? await calculateFees(client, {
+        creatorId: recipientUid,
+        revenueType: type === 'gift' ? 'gift' : 'tip',
+        grossTokens: Number(amount)
+      })
+      : null;
+    const received = fees ? fees.creatorNetTokens : amount;
+
     // Add tokens to recipient (create balance if doesn't exist)
     await client.query(
       `INSERT INTO token_balances (user_id, balance, updated_at)
        VALUES ($1, $2, NOW())
        ON CONFLICT (user_id) 
        DO UPDATE SET balance = token_balances.balance + $2, updated_at = NOW()`,
-      [recipientUid, amount]
+      [recipientUid, received]
     );
 
     // Record transaction for sender
@@ -1956,10 +1978,15 @@ router.post('/send-tip', authenticateToken, async (req, res) => {
 
     // Record transaction for recipient
     await client.query(
-      `INSERT INTO token_transactions (user_id, type, tokens, description, created_at, status)
-       VALUES ($1, 'credit', $2, $3, NOW(), 'completed')`,
-      [recipientUid, amount, `${type} received from sender: ${message || 'No message'}`]
+      `INSERT INTO token_transactions (user_id, type, tokens, description, fee_breakdown, created_at, status)
+       VALUES ($1, 'credit', $2, $3, $4, NOW(), 'completed')`,
+      [recipientUid, received, `${type} received from sender: ${message || 'No message'}`, fees && JSON.stringify(fees)]
     );
+    const journal = createJournal(type, { memo: message || null })
+      .debitUser(req.user.supabase_id, Number(amount))
+      .creditUser(recipientUid, Number(received), { account: fees ? 'creator_earnings' : 'fan_wallet' });
+    if (fees) journal.credit('platform_revenue', fees.platformFeeTokens);
+    await journal.post(client);
 
     await client.query('COMMIT');
 
@@ -4449,7 +4476,10 @@ router.get('/warnings', authenticateToken, async (req, res) => {
 // Timeout user (temporary restriction)
 router.post('/timeout-user', authenticateToken, async (req, res) => {
   try {
-    const { targetUserId, duration = 5 } = req.body;
+    // creatorId: a moderator timing out a viewer on a creator's behalf
+    const { targetUserId, duration = 5, creatorId: onBehalfOf } = req.body;
+    const actorId = req.user.supabase_id;
+    const creatorSupabaseId = onBehalfOf || actorId;
 
     if (!targetUserId) {
       return res.status(400).json({
@@ -4458,9 +4488,13 @@ router.post('/timeout-user', authenticateToken, async (req, res) => {
       });
     }
 
+    if (creatorSupabaseId !== actorId) {
+      await authorizeModeration(actorId, { creatorId: creatorSupabaseId }, 'timeout');
+    }
+
     // Check if user is creator
     const creatorQuery = `SELECT id FROM users WHERE supabase_id = $1 AND is_creator = TRUE`;
-    const creatorResult = await pool.query(creatorQuery, [req.user.supabase_id]);
+    const creatorResult = await pool.query(creatorQuery, [creatorSupabaseId]);
     
     if (creatorResult.rows.length === 0) {
       return res.status(403).json({
@@ -4497,6 +4531,14 @@ router.post('/timeout-user', authenticateToken, async (req, res) => {
     
     const result = await pool.query(insertQuery, [creatorId, targetUserDbId, duration, expiresAt]);
 
+    await recordModerationAction({
+      creatorId: creatorSupabaseId,
+      actorId,
+      action: 'timeout',
+      targetUserId,
+      details: { durationMinutes: duration }
+    });
+
     res.json({
       success: true,
       timeout: {
@@ -4507,8 +4549,8 @@ router.post('/timeout-user', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error timing out user:', error);
-    res.status(500).json({
-      error: 'Failed to timeout user',
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      error: error instanceof AppError ? error.message : 'Failed to timeout user',
       timestamp: new Date().toISOString()
     });
   }
@@ -19,8 +19,14 @@ const realtimeRoutes = require('../realtime');
 const shopRoutes = require('../shop');
 const adminRoutes = require('../admin');
 const messagesRoutes = require('../messages');
+const scheduledMessagesRoutes = require('../scheduled-messages');
+const autoRepliesRoutes = require('../auto-replies');
+const messageTemplatesRoutes = require('../message-templates');
+const massMessagesRoutes = require('../mass-messages');
+const messageSearchRoutes = require('../message-search');
 const subscriptionTiersRoutes = require('../subscription-tiers');
 const contentRoutes = require('../content-supabase');
+const cardsRoutes = require('../cards');
 
 // Mount v1 routes
 router.use('/auth', authRoutes);
@@ -39,9 +45,15 @@ router.use('/tv-subscription', tvSubscriptionRoutes);
 router.use('/realtime', realtimeRoutes);
 router.use('/shop', shopRoutes);
 router.use('/admin', adminRoutes);
+router.use('/messages/scheduled', scheduledMessagesRoutes);
+router.use('/messages/auto-replies', autoRepliesRoutes);
+router.use('/messages/templates', messageTemplatesRoutes);
+router.use('/messages/mass', massMessagesRoutes);
+router.use('/messages/search', messageSearchRoutes);
 router.use('/messages', messagesRoutes);
 router.use('/subscription-tiers', subscriptionTiersRoutes);
 router.use('/content', contentRoutes);
+router.use('/cards', cardsRoutes);
 
 // v1 specific endpoints
 router.get('/status', (req, res) => {
@@ -4,7 +4,45 @@ const { authenticateToken } = require('../middleware/auth');
 const { pool } = require('../utils/db');
 const { getUserId } = require('../utils/auth-helpers');
 const { getNumericConfig, CONFIG_KEYS } = require('../utils/config');
+const storageManager = require('../utils/storage-manager');
+const { HLS_LADDER, SEGMENT_PATTERN } = require('../utils/hls-packager');
+const {
+  getVodAccess,
+  createPlaybackToken,
+  verifyPlaybackToken,
+  verifySegmentSignature,
+  buildMasterPlaylist,
+  signMediaPlaylist
+} = require('../utils/vod-playback');
+const { MIN_RESUME_SECONDS, recordProgress, getResumePosition } = require('../utils/vod-progress');
 const crypto = require('crypto');
+const { calculateFees } = require('../utils/fee-policy');
+const { creditSplitRevenue } = require('../utils/revenue-splits');
+const { createJournal } = require('../utils/token-ledger');
+
+const HLS_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+const RENDITION_NAMES = HLS_LADDER.map(rung => rung.name);
+// Segment redirects only need to live long enough for the player to follow them
+const SEGMENT_URL_TTL = 5 * 60;
+
+// Playlist requests carry a playback token instead of an auth header
+async function authorizePlaylist(req, res) {
+  const { recordingId } = req.params;
+  const claims = verifyPlaybackToken(req.query.token, recordingId);
+  if (!claims) {
+    res.status(403).json({ error: 'Playback link is invalid or has expired' });
+    return null;
+  }
+
+  // Re-check so refunds and expired rentals stop playback
+  const access = await getVodAccess(claims.userId, recordingId);
+  if (!access || !access.hasAccess || access.recording.hls_status !== 'ready') {
+    res.status(403).json({ error: 'No access to this VOD' });
+    return null;
+  }
+
+  return claims;
+}
 
 // Get VOD (replay) details with pricing and access info
 router.get('/recording/:recordingId', authenticateToken, async (req, res) => {
@@ -47,9 +85,14 @@ router.get('/recording/:recordingId', authenticateToken, async (req, res) => {
     const accessResult = await pool.query(accessQuery, [userId, recordingId]);
     const access = accessResult.rows[0];
 
+    // Playback goes through GET /watch/:recordingId; only the creator sees the source file
+    const { file_url: fileUrl, file_path: filePath, ...publicRecording } = recording;
+    const isCreator = recording.creator_id === userId;
+
     res.json({
       recording: {
-        ...recording,
+        ...publicRecording,
+        ...(isCreator && { file_url: fileUrl, file_path: filePath }),
         price_in_tokens: recording.price_in_tokens || 50
       },
       access: {
@@ -84,6 +127,7 @@ router.post('/purchase/:recordingId', authenticateToken, async (req, res) => {
         sr.price_in_tokens,
         sr.is_free,
         sr.creator_id,
+        sr.stream_id,
         vp.id as purchase_id,
         vp.expires_at,
         vp.expires_at > NOW() as is_valid
@@ -178,26 +222,52 @@ router.post('/purchase/:recordingId', authenticateToken, async (req, res) => {
        VALUES ($1, 'vod_purchase', $2, $3, $4)`,
       [userId, -vodPrice, `VOD purchase: ${recordingId}`, tokenBalance - vodPrice]
     );
-
-    // Update creator earnings (creator gets 100% of VOD revenue)
-    // Digis makes money on the token purchase margin, not on creator earnings
-    const creatorShare = vodPrice; // 100% to creator
-    await client.query(
-      `UPDATE creator_earnings 
-       SET vod_earnings = COALESCE(vod_earnings, 0) + $1,
-           total_earnings = COALESCE(total_earnings, 0) + $1,
-           updated_at = NOW()
-       WHERE creator_id = $2`,
-      [creatorShare, recording.creator_id]
-    );
-
-    // Add to creator's token balance (100% of the tokens)
-    await client.query(
-      `UPDATE token_balances 
-       SET balance = balance + $1 
-       WHERE user_id = $2`,
-      [creatorShare, recording.creator_id]
-    );
+    const journal = createJournal('vod_purchase', { reference: `stream_recordings:${recordingId}` });
+    journal.debitUser(userId, Number(vodPrice));
+
+    // Update creator earnings, net of the platform fee. Recordings of a
+    // co-hosted stream are shared by the stream's revenue split.
+    await creditSplitRevenue(client, {
+      hostId: recording.creator_id,
+      grossTokens: vodPrice,
+      revenueType: 'ppv',
+      payerId: userId,
+      streamId: recording.stream_id,
+      recording: true,
+      sourceRef: recordingId,
+      credit: async (memberId, tokens) => {
+        const fees = await calculateFees(client, { creatorId: memberId, revenueType: 'ppv', grossTokens: tokens });
+        const creatorShare = fees.creatorNetTokens;
+        await client.query(
+          `UPDATE creator_earnings 
+           SET vod_earnings = COALESCE(vod_earnings, 0) + $1,
+               total_earnings = COALESCE(total_earnings, 0) + $1,
+               updated_at = NOW()
+           WHERE creator_id = $2`,
+          [creatorShare, memberId]
+        );
+
+        // Add to creator's token balance
+        await client.query(
+          `INSERT INTO token_balances (user_id, balance)
+           VALUES ($1, $2)
+           ON CONFLICT (user_id) DO UPDATE SET balance = token_balances.balance + $2`,
+          [memberId, creatorShare]
+        );
+
+        await client.query(
+          `INSERT INTO token_transactions 
+           (user_id, type, amount, description, fee_breakdown)
+           VALUES ($1, 'vod_sale', $2, $3, $4)`,
+          [memberId, creatorShare, `VOD sale: ${recordingId}`, JSON.stringify(fees)]
+        );
+        journal
+          .creditUser(memberId, creatorShare, { account: 'creator_earnings' })
+          .credit('platform_revenue', fees.platformFeeTokens);
+        return fees;
+      }
+    });
+    await journal.post(client);
 
     // Increment purchase count on recording
     await client.query(
@@ -302,6 +372,14 @@ router.post('/watch/:recordingId', authenticateToken, async (req, res) => {
       [userId, recordingId]
     );
 
+    // Start watch history; the player's progress reports fill it in
+    await pool.query(
+      `INSERT INTO vod_watch_progress (user_id, recording_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, recording_id) DO UPDATE SET updated_at = NOW()`,
+      [userId, recordingId]
+    );
+
     res.json({ success: true });
 
   } catch (error) {
@@ -310,4 +388,266 @@ router.post('/watch/:recordingId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a signed HLS manifest for playback
+router.get('/watch/:recordingId', authenticateToken, async (req, res) => {
+  try {
+    const { recordingId } = req.params;
+    const userId = getUserId(req);
+
+    const access = await getVodAccess(userId, recordingId);
+    if (!access) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (!access.hasAccess) {
+      return res.status(403).json({ error: 'No access to this VOD' });
+    }
+    if (access.recording.hls_status !== 'ready') {
+      return res.status(409).json({
+        error: 'This replay is still being prepared',
+        status: access.recording.hls_status
+      });
+    }
+
+    const renditions = await pool.query(
+      `SELECT name, width, height, bandwidth FROM recording_renditions
+       WHERE recording_id = $1
+       ORDER BY bandwidth DESC`,
+      [recordingId]
+    );
+
+    const progress = await pool.query(
+      'SELECT last_position_seconds, duration_seconds FROM vod_watch_progress WHERE user_id = $1 AND recording_id = $2',
+      [userId, recordingId]
+    );
+
+    const { token, expiresAt } = createPlaybackToken({
+      userId,
+      recordingId,
+      accessExpiresAt: access.accessExpiresAt
+    });
+    const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.json({
+      manifestUrl: `${baseUrl}${req.baseUrl}/hls/${recordingId}/master.m3u8?token=${encodeURIComponent(token)}`,
+      expiresAt,
+      duration: access.recording.duration_seconds,
+      resumePosition: getResumePosition(progress.rows[0]),
+      renditions: renditions.rows
+    });
+
+  } catch (error) {
+    console.error('Error creating VOD playback:', error);
+    res.status(500).json({ error: 'Failed to start playback' });
+  }
+});
+
+// Report playback progress (sent periodically by the player)
+router.post('/progress/:recordingId', authenticateToken, async (req, res) => {
+  try {
+    const { recordingId } = req.params;
+    const userId = getUserId(req);
+    const { position, elapsedSeconds = 0 } = req.body;
+
+    if (!Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'position must be a number of seconds' });
+    }
+    if (!Number.isFinite(elapsedSeconds) || elapsedSeconds < 0) {
+      return res.status(400).json({ error: 'elapsedSeconds must be a number of seconds' });
+    }
+
+    const access = await getVodAccess(userId, recordingId);
+    if (!access) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (!access.hasAccess) {
+      return res.status(403).json({ error: 'No access to this VOD' });
+    }
+
+    const progress = await recordProgress({
+      userId,
+      recordingId,
+      position,
+      elapsedSeconds,
+      durationSeconds: access.recording.duration_seconds
+    });
+
+    res.json({
+      progress: {
+        last_position: progress.last_position_seconds,
+        percent_watched: parseFloat(progress.percent_watched),
+        completed: progress.completed
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording VOD progress:', error);
+    res.status(500).json({ error: 'Failed to record progress' });
+  }
+});
+
+// Partly watched VODs for the fan dashboard
+router.get('/continue-watching', authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 12, 50);
+
+    const result = await pool.query(
+      `SELECT
+         p.recording_id,
+         p.last_position_seconds,
+         p.percent_watched,
+         p.updated_at,
+         COALESCE(sr.duration_seconds, p.duration_seconds) AS duration_seconds,
+         sr.title,
+         sr.thumbnail_url,
+         u.display_name AS creator_name,
+         u.username AS creator_username,
+         u.profile_pic_url AS creator_avatar,
+         (
+           sr.creator_id = p.user_id
+           OR sr.is_free
+           OR EXISTS (SELECT 1 FROM recording_purchases rp WHERE rp.user_id = p.user_id AND rp.recording_id = sr.id)
+           OR EXISTS (
+             SELECT 1 FROM vod_purchases vp
+             WHERE vp.user_id = p.user_id AND vp.recording_id = sr.id AND vp.expires_at > NOW()
+           )
+         ) AS has_access
+       FROM vod_watch_progress p
+       JOIN stream_recordings sr ON sr.id = p.recording_id
+       JOIN users u ON u.supabase_id = sr.creator_id
+       WHERE p.user_id = $1 AND p.completed = false AND p.last_position_seconds >= $2
+       ORDER BY p.updated_at DESC
+       LIMIT $3`,
+      [userId, MIN_RESUME_SECONDS, limit]
+    );
+
+    res.json({
+      recordings: result.rows.map(row => ({
+        ...row,
+        percent_watched: parseFloat(row.percent_watched),
+        resume_position: getResumePosition(row)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching continue watching:', error);
+    res.status(500).json({ error: 'Failed to fetch continue watching' });
+  }
+});
+
+// Watch history, most recent first
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const result = await pool.query(
+      `SELECT
+         p.recording_id,
+         p.last_position_seconds,
+         p.percent_watched,
+         p.completed,
+         p.completed_at,
+         p.started_at,
+         p.updated_at AS last_watched_at,
+         COALESCE(sr.duration_seconds, p.duration_seconds) AS duration_seconds,
+         sr.title,
+         sr.thumbnail_url,
+         u.display_name AS creator_name,
+         u.username AS creator_username
+       FROM vod_watch_progress p
+       JOIN stream_recordings sr ON sr.id = p.recording_id
+       JOIN users u ON u.supabase_id = sr.creator_id
+       WHERE p.user_id = $1
+       ORDER BY p.updated_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    res.json({
+      history: result.rows.map(row => ({
+        ...row,
+        percent_watched: parseFloat(row.percent_watched)
+      })),
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Error fetching watch history:', error);
+    res.status(500).json({ error: 'Failed to fetch watch history' });
+  }
+});
+
+// HLS master playlist
+router.get('/hls/:recordingId/master.m3u8', async (req, res) => {
+  try {
+    if (!(await authorizePlaylist(req, res))) return;
+
+    const renditions = await pool.query(
+      'SELECT name, width, height, bandwidth FROM recording_renditions WHERE recording_id = $1',
+      [req.params.recordingId]
+    );
+
+    res.set({ 'Content-Type': HLS_CONTENT_TYPE, 'Cache-Control': 'private, no-store' });
+    res.send(buildMasterPlaylist(renditions.rows, req.query.token));
+
+  } catch (error) {
+    console.error('Error serving HLS master playlist:', error);
+    res.status(500).json({ error: 'Failed to load playlist' });
+  }
+});
+
+// HLS media playlist with signed segment URLs
+router.get('/hls/:recordingId/:rendition/index.m3u8', async (req, res) => {
+  try {
+    const claims = await authorizePlaylist(req, res);
+    if (!claims) return;
+
+    const { recordingId, rendition } = req.params;
+    const result = await pool.query(
+      'SELECT playlist FROM recording_renditions WHERE recording_id = $1 AND name = $2',
+      [recordingId, rendition]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rendition not found' });
+    }
+
+    res.set({ 'Content-Type': HLS_CONTENT_TYPE, 'Cache-Control': 'private, no-store' });
+    res.send(signMediaPlaylist(result.rows[0].playlist, { recordingId, rendition, exp: claims.exp }));
+
+  } catch (error) {
+    console.error('Error serving HLS media playlist:', error);
+    res.status(500).json({ error: 'Failed to load playlist' });
+  }
+});
+
+// HLS segment: verify the signature, then redirect to short-lived storage
+router.get('/hls/:recordingId/:rendition/:segment', async (req, res) => {
+  try {
+    const { recordingId, rendition, segment } = req.params;
+
+    if (!RENDITION_NAMES.includes(rendition) || !SEGMENT_PATTERN.test(segment)) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    if (!verifySegmentSignature({ recordingId, rendition, segment, exp: req.query.exp, sig: req.query.sig })) {
+      return res.status(403).json({ error: 'Segment link is invalid or has expired' });
+    }
+
+    const url = await storageManager.generateSignedUrl(
+      storageManager.buckets.VOD_HLS,
+      `${recordingId}/${rendition}/${segment}`,
+      SEGMENT_URL_TTL
+    );
+
+    res.set('Cache-Control', 'private, no-store');
+    res.redirect(302, url);
+
+  } catch (error) {
+    console.error('Error serving HLS segment:', error);
+    res.status(500).json({ error: 'Failed to load segment' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@ const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../utils/db');
 const { logger } = require('../utils/secureLogger');
+const { createJournal } = require('../utils/token-ledger');
+const { openDispute, closeDispute } = require('../utils/payment-disputes');
 const router = express.Router();
 
 // Middleware to capture raw body for Stripe webhook verification
@@ -109,6 +111,10 @@ const handleStripeEvent = async (event) => {
         await handleChargeDisputeCreated(client, event.data.object);
         break;
         
+      case 'charge.dispute.closed':
+        await handleChargeDisputeClosed(client, event.data.object);
+        break;
+        
       default:
         logger.info(`ℹ️ Unhandled event type: ${event.type}`);
     }
@@ -161,6 +167,10 @@ const handlePaymentIntentSucceeded = async (client, paymentIntent) => {
        VALUES ($1, 'purchase', $2, $3, $4, 'completed')`,
       [user_id, tokenAmount, amount / 100, id]
     );
+    await createJournal('purchase', { reference: `stripe:${id}` })
+      .debit('token_issuance', tokenAmount)
+      .creditUser(user_id, tokenAmount)
+      .post(client);
     
     logger.info(`✅ Added ${tokenAmount} tokens for user ${user_id}`);
   }
@@ -314,26 +324,30 @@ const handleCheckoutSessionCompleted = async (client, session) => {
   }
 };
 
-// Handle charge dispute created
+// Handle charge dispute created: claw back the purchase's tokens and flag the fan
 const handleChargeDisputeCreated = async (client, dispute) => {
   logger.info('⚠️ Charge dispute created:', dispute.id);
   
-  const { id, charge, amount } = dispute;
+  const record = await openDispute(client, dispute);
+  if (!record) {
+    logger.info(`⏭️ Dispute already recorded: ${dispute.id}`);
+    return;
+  }
   
-  // Create fraud alert
-  await client.query(
-    `INSERT INTO fraud_alerts (user_id, alert_type, details, created_at)
-     VALUES (NULL, 'chargeback', $1, NOW())`,
-    [JSON.stringify({ dispute_id: id, charge_id: charge, amount: amount })]
-  );
+  logger.info(`✅ Dispute ${dispute.id} opened: ${record.tokens_disputed} tokens held, ${record.tokens_spent} already spent`);
+};
+
+// Handle charge dispute closed: release or void the held tokens
+const handleChargeDisputeClosed = async (client, dispute) => {
+  logger.info('⚖️ Charge dispute closed:', dispute.id, dispute.status);
   
-  // Update payment status
-  await client.query(
-    `UPDATE payments 
-     SET status = 'disputed', updated_at = NOW() 
-     WHERE stripe_charge_id = $1`,
-    [charge]
-  );
+  const record = await closeDispute(client, dispute);
+  if (!record) {
+    logger.info(`⏭️ Dispute already closed: ${dispute.id}`);
+    return;
+  }
+  
+  logger.info(`✅ Dispute ${dispute.id} ${record.status}`);
 };
 
 // Health check endpoint
@@ -1,5 +1,6 @@
 const { pool } = require('../utils/db');
 const { logger } = require('../utils/secureLogger');
+const { calculateFees } = require('../utils/fee-policy');
 
 // Billing block duration (30 seconds)
 const BLOCK_SECONDS = 30;
@@ -84,9 +85,13 @@ async function meterCallBlock(callId) {
       [blockCost, call.fan_id]
     );
 
-    // Creator gets 100% (Digis margin comes from token sales, not spending)
-    const creatorCut = blockCost;
-    const platformFee = 0;
+    const fees = await calculateFees(client, {
+      creatorId: call.creator_id,
+      revenueType: 'call',
+      grossTokens: blockCost
+    });
+    const creatorCut = fees.creatorNetTokens;
+    const platformFee = fees.platformFeeTokens;
 
     // Credit creator
     await client.query(
@@ -119,8 +124,9 @@ async function meterCallBlock(callId) {
         creatorCut,
         JSON.stringify({
           block_seconds: BLOCK_SECONDS,
-          platform_fee: 0, // No fee - creators get 100%
-          fan_id: call.fan_id
+          platform_fee: platformFee,
+          fan_id: call.fan_id,
+          fee_breakdown: fees
         })
       ]
     );
@@ -1,5 +1,6 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../utils/db');
+const { withholdReserve } = require('../utils/payout-risk');
 
 class StripeConnectService {
   // Create a connected account for a creator
@@ -126,7 +127,32 @@ class StripeConnectService {
     try {
       await client.query('BEGIN');
 
-      const { payoutId, creatorId, amount, stripeAccountId, currency = 'usd', cycleDate } = payoutData;
+      const { payoutId, creatorId, stripeAccountId, currency = 'usd', cycleDate } = payoutData;
+
+      // Hold back the creator's risk reserve and add reserves released since
+      // their last payout
+      const reserve = await withholdReserve(client, {
+        creatorId,
+        payoutId,
+        amount: payoutData.amount,
+        currency
+      });
+      const amount = reserve.payoutAmount;
+
+      if (amount <= 0) {
+        // Everything is held; nothing goes to Stripe this cycle
+        await client.query(
+          `UPDATE creator_payouts
+           SET status = 'cancelled',
+               skip_reason = 'reserve_hold',
+               reserve_held_amount = $1,
+               updated_at = NOW()
+           WHERE id = $2`,
+          [reserve.reserveAmount, payoutId]
+        );
+        await client.query('COMMIT');
+        return { success: true, payoutId: null, amount: 0, reserveHeld: reserve.reserveAmount };
+      }
 
       // Generate idempotency key for this payout (prevents duplicates)
       const idempotencyKey = `payout:${stripeAccountId}:${cycleDate || new Date().toISOString().split('T')[0]}:${currency}`;
@@ -162,10 +188,12 @@ class StripeConnectService {
         `UPDATE creator_payouts
          SET stripe_payout_id = $1,
              status = 'processing',
+             reserve_held_amount = $3,
+             reserve_released_amount = $4,
              processed_at = NOW(),
              updated_at = NOW()
          WHERE id = $2`,
-        [payout.id, payoutId]
+        [payout.id, payoutId, reserve.reserveAmount, reserve.releasedAmount]
       );
 
       // Create notification
@@ -177,13 +205,25 @@ class StripeConnectService {
         [creatorId, payoutId, (amount / 100).toFixed(2)]
       );
 
+      if (reserve.reserveAmount > 0) {
+        await client.query(
+          `INSERT INTO payout_notifications
+           (creator_id, payout_id, notification_type, title, message)
+           VALUES ($1, $2, 'reserve_held', 'Reserve Held',
+                   '$' || $3 || ' of this payout is held in reserve for ' || $4 || ' days and will be added to a later payout.')`,
+          [creatorId, payoutId, (reserve.reserveAmount / 100).toFixed(2), reserve.policy.holdDays]
+        );
+      }
+
       await client.query('COMMIT');
 
       return {
         success: true,
         payoutId: payout.id,
         arrivalDate: payout.arrival_date,
-        amount: payout.amount / 100
+        amount: payout.amount / 100,
+        reserveHeld: reserve.reserveAmount,
+        reserveReleased: reserve.releasedAmount
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -0,0 +1,270 @@
+/**
+ * Creator Auto-Replies
+ *
+ * Evaluates a creator's auto_reply_rules when a fan message lands in
+ * POST /api/messages/send and sends at most one reply per incoming message.
+ *
+ * Rule precedence (first match wins, then by rule priority):
+ *   welcome > keyword > office_hours > away
+ *
+ * Each rule reaches a given fan at most once per cooldown_hours; the check and
+ * the delivery log insert run under an advisory lock so two quick messages
+ * cannot both trigger the same reply.
+ */
+
+const { pool } = require('./db');
+const { logger } = require('./secureLogger');
+const { deliverDirectMessage } = require('./direct-messages');
+
+const RULE_TYPE_ORDER = ['welcome', 'keyword', 'office_hours', 'away'];
+
+/**
+ * Get weekday (0 = Sunday) and minutes since midnight in a timezone
+ */
+function getLocalTime(date, timezone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    day: weekdays.indexOf(get('weekday')),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(n => parseInt(n, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Check whether a date falls inside an office-hours schedule
+ *
+ * Windows may wrap past midnight (start "22:00", end "02:00"); the day of an
+ * overnight window is the day it starts.
+ *
+ * @param {Object} schedule - { timezone, windows: [{ days, start, end }] }
+ * @param {Date} [date=new Date()]
+ * @returns {boolean}
+ */
+function isWithinOfficeHours(schedule, date = new Date()) {
+  if (!schedule || !Array.isArray(schedule.windows)) return false;
+
+  const { day, minutes } = getLocalTime(date, schedule.timezone || 'UTC');
+  const previousDay = (day + 6) % 7;
+
+  return schedule.windows.some(window => {
+    const start = parseClock(window.start);
+    const end = parseClock(window.end);
+    const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+
+    if (start <= end) {
+      return days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window
+    return (days.includes(day) && minutes >= start) ||
+      (days.includes(previousDay) && minutes < end);
+  });
+}
+
+const WORD_CHAR = /\w/;
+
+/**
+ * Check whether `needle` occurs in `text` with no word character on either side
+ */
+function containsWord(text, needle) {
+  for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + 1)) {
+    const before = text.charAt(index - 1);
+    const after = text.charAt(index + needle.length);
+    if (!WORD_CHAR.test(before) && !WORD_CHAR.test(after)) return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether message content hits any keyword (case-insensitive, whole words)
+ */
+function matchesKeywords(keywords, content) {
+  if (!content || !Array.isArray(keywords) || keywords.length === 0) return false;
+
+  const text = content.toLowerCase();
+  return keywords.some(keyword => {
+    const needle = String(keyword).trim().toLowerCase();
+    return needle !== '' && containsWord(text, needle);
+  });
+}
+
+/**
+ * Check whether a single rule applies to an incoming message
+ *
+ * @param {Object} rule - auto_reply_rules row
+ * @param {Object} context - { content, isFirstMessage, now }
+ * @returns {boolean}
+ */
+function ruleMatches(rule, { content, isFirstMessage, now = new Date() }) {
+  if (!rule.is_enabled) return false;
+
+  switch (rule.rule_type) {
+    case 'welcome':
+      return isFirstMessage === true;
+    case 'keyword':
+      return matchesKeywords(rule.keywords, content);
+    case 'office_hours':
+      return !isWithinOfficeHours(rule.schedule, now);
+    case 'away':
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Order matching rules by precedence
+ *
+ * @param {Array<Object>} rules - auto_reply_rules rows
+ * @param {Object} context - { content, isFirstMessage, now }
+ * @returns {Array<Object>} Matching rules, best candidate first
+ */
+function rankMatchingRules(rules, context) {
+  return rules
+    .filter(rule => ruleMatches(rule, context))
+    .sort((a, b) =>
+      RULE_TYPE_ORDER.indexOf(a.rule_type) - RULE_TYPE_ORDER.indexOf(b.rule_type) ||
+      (b.priority || 0) - (a.priority || 0)
+    );
+}
+
+/**
+ * Reserve a rule for a fan if it is outside its cooldown window
+ *
+ * @returns {Promise<string|null>} auto_reply_deliveries id, or null when rate limited
+ */
+async function claimDelivery(rule, fanId, triggerMessageId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      [`auto-reply:${rule.id}:${fanId}`]
+    );
+
+    const result = await client.query(
+      `INSERT INTO auto_reply_deliveries (rule_id, creator_id, fan_id, trigger_message_id)
+       SELECT $1, $2, $3, $4
+       WHERE NOT EXISTS (
+         SELECT 1 FROM auto_reply_deliveries
+         WHERE rule_id = $1
+           AND fan_id = $3
+           AND sent_at > NOW() - ($5 || ' hours')::INTERVAL
+       )
+       RETURNING id`,
+      [rule.id, rule.creator_id, fanId, triggerMessageId, rule.cooldown_hours]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0]?.id || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Evaluate and send a creator auto-reply for an incoming fan message
+ *
+ * Never throws: auto-replies must not break the original send.
+ *
+ * @param {Object} params
+ * @param {Object} params.message - The fan's delivered messages row
+ * @returns {Promise<Object|null>} The reply message, or null when nothing was sent
+ */
+async function applyAutoReplies({ message }) {
+  const fanId = message.sender_id;
+  const creatorId = message.recipient_id;
+
+  // Auto-replies never answer other auto-replies
+  if (message.metadata?.autoReply) return null;
+
+  try {
+    const rulesResult = await pool.query(
+      `SELECT r.*
+       FROM auto_reply_rules r
+       JOIN users u ON u.supabase_id = r.creator_id
+       WHERE r.creator_id = $1
+         AND r.is_enabled = TRUE
+         AND u.is_creator = TRUE`,
+      [creatorId]
+    );
+
+    if (rulesResult.rows.length === 0) return null;
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::INTEGER AS count
+       FROM messages
+       WHERE conversation_id = $1 AND sender_id = $2`,
+      [message.conversation_id, fanId]
+    );
+
+    const candidates = rankMatchingRules(rulesResult.rows, {
+      content: message.content,
+      isFirstMessage: countResult.rows[0].count <= 1
+    });
+
+    for (const rule of candidates) {
+      const deliveryId = await claimDelivery(rule, fanId, message.id);
+      if (!deliveryId) continue; // Rate limited for this fan, try the next rule
+
+      const reply = await deliverDirectMessage({
+        senderId: creatorId,
+        recipientId: fanId,
+        content: rule.message,
+        mediaUrl: rule.ppv_media_url || undefined,
+        mediaType: rule.ppv_media_type || undefined,
+        messageType: rule.ppv_media_url ? 'media' : 'text',
+        metadata: { autoReply: true, autoReplyRuleId: rule.id, ruleType: rule.rule_type },
+        unlockPrice: rule.ppv_price || 0
+      });
+
+      if (!reply.success) {
+        await pool.query('DELETE FROM auto_reply_deliveries WHERE id = $1', [deliveryId]);
+        return null;
+      }
+
+      await pool.query(
+        'UPDATE auto_reply_deliveries SET reply_message_id = $2 WHERE id = $1',
+        [deliveryId, reply.message.id]
+      );
+
+      return reply.message;
+    }
+
+    return null;
+  } catch (error) {
+    logger.error('Auto-reply evaluation failed', {
+      creatorId,
+      fanId,
+      messageId: message.id,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  applyAutoReplies,
+  rankMatchingRules,
+  ruleMatches,
+  matchesKeywords,
+  isWithinOfficeHours
+};
@@ -11,6 +11,8 @@
 const db = require('./db');
 const logger = require('./logger');
 const { publishToChannel } = require('./ably-adapter');
+const { calculateFees } = require('./fee-policy');
+const { createJournal } = require('./token-ledger');
 
 /**
  * Bill a single minute for an active call
@@ -168,7 +170,12 @@ async function billCallMinute(callId, minuteToBill) {
       newBalance: fanNewBalance
     });
 
-    // Step 3: Credit creator
+    // Step 3: Credit creator, net of the platform fee
+    const fees = await calculateFees(client, {
+      creatorId: call.creator_id,
+      revenueType: 'call',
+      grossTokens: tokensPerMin
+    });
     const creatorCreditResult = await client.query(
       `UPDATE token_balances
        SET balance = balance + $1,
@@ -177,7 +184,7 @@ async function billCallMinute(callId, minuteToBill) {
            updated_at = NOW()
        WHERE user_id = $2
        RETURNING balance, total_earned`,
-      [tokensPerMin, call.creator_id]
+      [fees.creatorNetTokens, call.creator_id]
     );
 
     if (creatorCreditResult.rows.length === 0) {
@@ -187,11 +194,12 @@ async function billCallMinute(callId, minuteToBill) {
     }
 
     const creatorNewBalance = creatorCreditResult.rows[0].balance;
-    const creatorOldBalance = creatorNewBalance - tokensPerMin;
+    const creatorOldBalance = creatorNewBalance - fees.creatorNetTokens;
 
     logger.info('✅ Creator tokens credited:', {
       creatorId: call.creator_id,
-      tokensCredited: tokensPerMin,
+      tokensCredited: fees.creatorNetTokens,
+      platformFee: fees.platformFeeTokens,
       oldBalance: creatorOldBalance,
       newBalance: creatorNewBalance
     });
@@ -220,20 +228,28 @@ async function billCallMinute(callId, minuteToBill) {
       `INSERT INTO token_transactions (
         transaction_id, user_id, type, amount,
         balance_before, balance_after, description,
-        group_id, created_at
+        group_id, fee_breakdown, created_at
       )
-      VALUES ($1, $2, 'earn', $3, $4, $5, $6, $7, NOW())`,
+      VALUES ($1, $2, 'earn', $3, $4, $5, $6, $7, $8, NOW())`,
       [
         `call_${callId}_min_${minuteToBill}_creator`,
         call.creator_id,
-        tokensPerMin,
+        fees.creatorNetTokens,
         creatorOldBalance,
         creatorNewBalance,
         `Call minute ${minuteToBill} earnings`,
-        billingGroupId
+        billingGroupId,
+        JSON.stringify(fees)
       ]
     );
 
+    // Step 6: Ledger journal for the minute
+    await createJournal('call', { reference: `calls:${callId}:${minuteToBill}` })
+      .debitUser(call.fan_id, tokensPerMin)
+      .creditUser(call.creator_id, fees.creatorNetTokens, { account: 'creator_earnings' })
+      .credit('platform_revenue', fees.platformFeeTokens)
+      .post(client);
+
     // Commit transaction
     await client.query('COMMIT');
 
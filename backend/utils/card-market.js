@@ -0,0 +1,537 @@
+/**
+ * Card Market
+ *
+ * Resale of owned collectible cards. Each card edition has an order book:
+ * asks are active card_listings for a specific card, bids are open card_bids
+ * for any card of the edition. A new order fills against the best resting
+ * order on the other side at the resting order's price.
+ *
+ * Settlement goes through the token ledger (utils/token-transfers.js):
+ *   - buying a listing debits the buyer directly
+ *   - bids are escrowed when placed and refunded on cancel, or by the
+ *     difference when they fill below the bid price
+ *   - the seller is credited the price minus the creator royalty, and the
+ *     creator the royalty (card_editions.royalty_percent, rounded down) net
+ *     of the 'card' platform fee (utils/fee-policy.js)
+ *
+ * Wash trading checks reuse the fraud signals from middleware/antifraud.js:
+ * large amounts far outside the seller's history raise a fraud alert, and
+ * rapid trading between the same pair of users is blocked, as are round trips
+ * of a card back to a previous owner.
+ */
+
+const { pool } = require('./db');
+const { ResourceNotFoundError, ResourceConflictError, BusinessLogicError } = require('./app-errors');
+const { debitTokens, creditTokens, creditCreator } = require('./token-transfers');
+const { createJournal } = require('./token-ledger');
+const {
+  RAPID_TRANSFER_MAX_COUNT,
+  RAPID_TRANSFER_MAX_TOKENS,
+  checkAmountAnomaly,
+  recordFraudAlert
+} = require('../middleware/antifraud');
+
+const MAX_ROYALTY_PERCENT = 25;
+// Resales between the same two users allowed per day
+const MAX_PAIR_TRADES_PER_DAY = 3;
+// A card may not return to a previous owner within this window
+const ROUND_TRIP_WINDOW_DAYS = 30;
+// Resting orders considered when matching a new order
+const MATCH_CANDIDATES = 10;
+
+const PRICE_HISTORY_INTERVALS = ['hour', 'day', 'week'];
+
+/**
+ * Split a resale price between the seller and the creator
+ *
+ * @param {number} price - Tokens paid by the buyer
+ * @param {number} royaltyPercent - 0-25
+ * @returns {{ royalty: number, sellerProceeds: number }}
+ */
+function splitResale(price, royaltyPercent) {
+  const percent = Math.min(MAX_ROYALTY_PERCENT, Math.max(0, royaltyPercent || 0));
+  const royalty = Math.floor(price * percent / 100);
+  return { royalty, sellerProceeds: price - royalty };
+}
+
+/**
+ * Wash trading checks for a resale between two users
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} trade - { cardId, sellerId, buyerId, price }
+ * @returns {Promise<string|null>} Reason the trade is blocked, null when allowed
+ */
+async function checkWashTrading(client, { cardId, sellerId, buyerId, price }) {
+  if (sellerId === buyerId) {
+    return 'You cannot trade with yourself';
+  }
+
+  const pair = await client.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE traded_at >= NOW() - INTERVAL '1 hour') AS hour_count,
+       COALESCE(SUM(trade_value) FILTER (WHERE traded_at >= NOW() - INTERVAL '1 hour'), 0) AS hour_tokens,
+       COUNT(*) AS day_count
+     FROM card_trades
+     WHERE status = 'completed'
+       AND traded_at >= NOW() - INTERVAL '1 day'
+       AND ((from_user_id = $1 AND to_user_id = $2) OR (from_user_id = $2 AND to_user_id = $1))`,
+    [sellerId, buyerId]
+  );
+  const hourCount = parseInt(pair.rows[0]?.hour_count || 0, 10);
+  const hourTokens = parseInt(pair.rows[0]?.hour_tokens || 0, 10);
+  const dayCount = parseInt(pair.rows[0]?.day_count || 0, 10);
+
+  if (hourCount >= RAPID_TRANSFER_MAX_COUNT || hourTokens + price > RAPID_TRANSFER_MAX_TOKENS ||
+      dayCount >= MAX_PAIR_TRADES_PER_DAY) {
+    await recordFraudAlert(buyerId, 'card_wash_trading', {
+      reason: 'repeated_pair', cardId, sellerId, price, hourCount, hourTokens, dayCount
+    });
+    return 'Too many recent trades between these accounts';
+  }
+
+  const roundTrip = await client.query(
+    `SELECT 1 FROM card_trades
+     WHERE card_id = $1 AND from_user_id = $2 AND status = 'completed'
+       AND traded_at >= NOW() - make_interval(days => $3::int)
+     LIMIT 1`,
+    [cardId, buyerId, ROUND_TRIP_WINDOW_DAYS]
+  );
+
+  if (roundTrip.rows.length > 0) {
+    await recordFraudAlert(buyerId, 'card_wash_trading', { reason: 'round_trip', cardId, sellerId, price });
+    return `You sold this card in the last ${ROUND_TRIP_WINDOW_DAYS} days and cannot buy it back yet`;
+  }
+
+  // Unusual prices are flagged for review but not blocked
+  const anomaly = await checkAmountAnomaly(sellerId, 'card_resale', price);
+  if (anomaly.suspicious) {
+    await recordFraudAlert(sellerId, 'suspicious_card_resale', {
+      cardId, buyerId, price, avgResale: anomaly.average, maxResale: anomaly.max
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Move a card to its buyer and pay the seller and creator
+ *
+ * The buyer's tokens must already be debited (directly or from bid escrow)
+ * on the same journal.
+ */
+async function settleTrade(client, { card, listing, bid = null, buyerId, price, journal }) {
+  const { royalty, sellerProceeds } = splitResale(price, card.royalty_percent);
+
+  await creditTokens(client, listing.seller_id, sellerProceeds, {
+    type: 'card_resale',
+    journal,
+    relatedUserId: buyerId
+  });
+  await creditCreator(client, card.edition_creator_id, royalty, {
+    type: 'card_royalty',
+    revenueType: 'card',
+    journal,
+    relatedUserId: listing.seller_id
+  });
+
+  await client.query(
+    'UPDATE cards SET user_id = $2, value = $3, acquired_at = NOW() WHERE id = $1',
+    [card.id, buyerId, price]
+  );
+
+  await client.query(
+    `UPDATE card_listings SET status = 'sold', buyer_id = $2, sold_at = NOW()
+     WHERE id = $1`,
+    [listing.id, buyerId]
+  );
+
+  if (bid) {
+    await client.query(
+      `UPDATE card_bids SET status = 'filled', card_id = $2, filled_at = NOW()
+       WHERE id = $1`,
+      [bid.id, card.id]
+    );
+  }
+
+  const trade = await client.query(
+    `INSERT INTO card_trades (
+       from_user_id, to_user_id, card_id, trade_value, status, traded_at,
+       edition_id, royalty_tokens, listing_id, bid_id
+     ) VALUES ($1, $2, $3, $4, 'completed', NOW(), $5, $6, $7, $8)
+     RETURNING *`,
+    [listing.seller_id, buyerId, card.id, price, card.edition_id, royalty, listing.id, bid?.id || null]
+  );
+
+  return { ...trade.rows[0], seller_proceeds: sellerProceeds };
+}
+
+/**
+ * Lock a card together with its edition's royalty terms
+ */
+async function lockCard(client, cardId) {
+  const result = await client.query(
+    `SELECT c.*, e.royalty_percent, e.creator_id AS edition_creator_id
+     FROM cards c
+     JOIN card_editions e ON e.id = c.edition_id
+     WHERE c.id = $1
+     FOR UPDATE OF c`,
+    [cardId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List an owned card for resale, filling the best matching bid if any
+ *
+ * @param {Object} params
+ * @param {string} params.cardId
+ * @param {string} params.sellerId - Card owner supabase_id
+ * @param {number} params.priceTokens - Asking price
+ * @returns {Promise<{ listing: Object, trade: Object|null }>}
+ * @throws {ResourceNotFoundError|ResourceConflictError}
+ */
+async function createListing({ cardId, sellerId, priceTokens }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const card = await lockCard(client, cardId);
+    if (!card || card.user_id !== sellerId) {
+      throw new ResourceNotFoundError('Card');
+    }
+
+    const existing = await client.query(
+      "SELECT id FROM card_listings WHERE card_id = $1 AND status = 'active'",
+      [cardId]
+    );
+    if (existing.rows.length > 0) {
+      throw new ResourceConflictError('This card is already listed');
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO card_listings (card_id, edition_id, seller_id, price_tokens)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [cardId, card.edition_id, sellerId, priceTokens]
+    );
+    const listing = inserted.rows[0];
+
+    const bids = await client.query(
+      `SELECT * FROM card_bids
+       WHERE edition_id = $1 AND status = 'open' AND price_tokens >= $2 AND bidder_id != $3
+       ORDER BY price_tokens DESC, created_at
+       LIMIT $4
+       FOR UPDATE SKIP LOCKED`,
+      [card.edition_id, priceTokens, sellerId, MATCH_CANDIDATES]
+    );
+
+    let trade = null;
+    for (const bid of bids.rows) {
+      const blocked = await checkWashTrading(client, {
+        cardId, sellerId, buyerId: bid.bidder_id, price: bid.price_tokens
+      });
+      if (blocked) continue;
+
+      // The bid rests at its own price, which is already in escrow
+      const journal = createJournal('card_resale', { reference: `card_listings:${listing.id}` });
+      journal.debit('escrow', bid.price_tokens);
+      trade = await settleTrade(client, {
+        card, listing, bid, buyerId: bid.bidder_id, price: bid.price_tokens, journal
+      });
+      await journal.post(client);
+      break;
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      listing: trade ? { ...listing, status: 'sold', buyer_id: trade.to_user_id } : listing,
+      trade
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Buy a listed card at its asking price
+ *
+ * @param {Object} params
+ * @param {string} params.listingId
+ * @param {string} params.buyerId
+ * @returns {Promise<Object>} The card_trades row
+ * @throws {ResourceNotFoundError|ResourceConflictError|BusinessLogicError|InsufficientFundsError}
+ */
+async function buyListing({ listingId, buyerId }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM card_listings WHERE id = $1 FOR UPDATE',
+      [listingId]
+    );
+    const listing = result.rows[0];
+
+    if (!listing) throw new ResourceNotFoundError('Listing');
+    if (listing.status !== 'active') throw new ResourceConflictError('This listing is no longer available');
+
+    const card = await lockCard(client, listing.card_id);
+    if (!card || card.user_id !== listing.seller_id) {
+      throw new ResourceConflictError('This listing is no longer available');
+    }
+
+    const blocked = await checkWashTrading(client, {
+      cardId: card.id, sellerId: listing.seller_id, buyerId, price: listing.price_tokens
+    });
+    if (blocked) throw new BusinessLogicError(blocked);
+
+    const journal = createJournal('card_resale', { reference: `card_listings:${listing.id}` });
+    await debitTokens(client, buyerId, listing.price_tokens, {
+      type: 'card_resale_purchase',
+      journal,
+      relatedUserId: listing.seller_id
+    });
+
+    const trade = await settleTrade(client, { card, listing, buyerId, price: listing.price_tokens, journal });
+    await journal.post(client);
+
+    await client.query('COMMIT');
+    return trade;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Bid on any card of an edition, filling the cheapest matching listing if any
+ *
+ * The full bid is escrowed up front; when it fills below the bid price the
+ * difference is refunded immediately.
+ *
+ * @param {Object} params
+ * @param {string} params.editionId
+ * @param {string} params.bidderId
+ * @param {number} params.priceTokens - Highest price the bidder will pay
+ * @returns {Promise<{ bid: Object, trade: Object|null }>}
+ * @throws {ResourceNotFoundError|InsufficientFundsError}
+ */
+async function placeBid({ editionId, bidderId, priceTokens }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const edition = await client.query('SELECT id FROM card_editions WHERE id = $1', [editionId]);
+    if (edition.rows.length === 0) {
+      throw new ResourceNotFoundError('Card edition');
+    }
+
+    const journal = createJournal('card_bid', { reference: `card_editions:${editionId}` });
+    await debitTokens(client, bidderId, priceTokens, { type: 'card_bid_escrow', journal });
+    journal.credit('escrow', priceTokens);
+
+    const inserted = await client.query(
+      `INSERT INTO card_bids (edition_id, bidder_id, price_tokens)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [editionId, bidderId, priceTokens]
+    );
+    const bid = inserted.rows[0];
+
+    const listings = await client.query(
+      `SELECT * FROM card_listings
+       WHERE edition_id = $1 AND status = 'active' AND price_tokens <= $2 AND seller_id != $3
+       ORDER BY price_tokens, created_at
+       LIMIT $4
+       FOR UPDATE SKIP LOCKED`,
+      [editionId, priceTokens, bidderId, MATCH_CANDIDATES]
+    );
+
+    let trade = null;
+    for (const listing of listings.rows) {
+      const card = await lockCard(client, listing.card_id);
+      if (!card || card.user_id !== listing.seller_id) continue;
+
+      const blocked = await checkWashTrading(client, {
+        cardId: card.id, sellerId: listing.seller_id, buyerId: bidderId, price: listing.price_tokens
+      });
+      if (blocked) continue;
+
+      journal.debit('escrow', priceTokens);
+      trade = await settleTrade(client, {
+        card, listing, bid, buyerId: bidderId, price: listing.price_tokens, journal
+      });
+
+      if (priceTokens > listing.price_tokens) {
+        await creditTokens(client, bidderId, priceTokens - listing.price_tokens, { type: 'card_bid_refund', journal });
+      }
+      break;
+    }
+
+    await journal.post(client);
+    await client.query('COMMIT');
+
+    return {
+      bid: trade ? { ...bid, status: 'filled', card_id: trade.card_id } : bid,
+      trade
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Withdraw an active listing
+ *
+ * @throws {ResourceNotFoundError|ResourceConflictError}
+ */
+async function cancelListing({ listingId, sellerId }) {
+  const result = await pool.query(
+    `UPDATE card_listings SET status = 'cancelled'
+     WHERE id = $1 AND seller_id = $2 AND status = 'active'
+     RETURNING *`,
+    [listingId, sellerId]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await pool.query(
+      'SELECT status FROM card_listings WHERE id = $1 AND seller_id = $2',
+      [listingId, sellerId]
+    );
+    if (existing.rows.length === 0) throw new ResourceNotFoundError('Listing');
+    throw new ResourceConflictError(`This listing is already ${existing.rows[0].status}`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Cancel an open bid and release its escrow
+ *
+ * @throws {ResourceNotFoundError|ResourceConflictError}
+ */
+async function cancelBid({ bidId, bidderId }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM card_bids WHERE id = $1 AND bidder_id = $2 FOR UPDATE',
+      [bidId, bidderId]
+    );
+    const bid = result.rows[0];
+
+    if (!bid) throw new ResourceNotFoundError('Bid');
+    if (bid.status !== 'open') throw new ResourceConflictError(`This bid is already ${bid.status}`);
+
+    const updated = await client.query(
+      "UPDATE card_bids SET status = 'cancelled' WHERE id = $1 RETURNING *",
+      [bidId]
+    );
+    const journal = createJournal('card_bid_refund', { reference: `card_bids:${bid.id}` });
+    journal.debit('escrow', bid.price_tokens);
+    await creditTokens(client, bidderId, bid.price_tokens, { type: 'card_bid_refund', journal });
+    await journal.post(client);
+
+    await client.query('COMMIT');
+    return updated.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Aggregated order book for an edition
+ *
+ * @param {string} editionId
+ * @param {number} [depth=20] - Price levels per side
+ * @returns {Promise<{ asks: Array, bids: Array }>} Levels of { price, quantity }
+ */
+async function getOrderBook(editionId, depth = 20) {
+  const [asks, bids] = await Promise.all([
+    pool.query(
+      `SELECT price_tokens AS price, COUNT(*)::int AS quantity
+       FROM card_listings
+       WHERE edition_id = $1 AND status = 'active'
+       GROUP BY price_tokens
+       ORDER BY price_tokens
+       LIMIT $2`,
+      [editionId, depth]
+    ),
+    pool.query(
+      `SELECT price_tokens AS price, COUNT(*)::int AS quantity
+       FROM card_bids
+       WHERE edition_id = $1 AND status = 'open'
+       GROUP BY price_tokens
+       ORDER BY price_tokens DESC
+       LIMIT $2`,
+      [editionId, depth]
+    )
+  ]);
+
+  return { asks: asks.rows, bids: bids.rows };
+}
+
+/**
+ * Resale price history for charts
+ *
+ * @param {string} editionId
+ * @param {Object} [options]
+ * @param {string} [options.interval='day'] - hour, day or week buckets
+ * @param {number} [options.days=30] - How far back to look
+ * @returns {Promise<Array<Object>>} [{ period, open, high, low, close, average, volume, trades }]
+ */
+async function getPriceHistory(editionId, { interval = 'day', days = 30 } = {}) {
+  if (!PRICE_HISTORY_INTERVALS.includes(interval)) {
+    throw new BusinessLogicError(`interval must be one of ${PRICE_HISTORY_INTERVALS.join(', ')}`);
+  }
+
+  const result = await pool.query(
+    `SELECT date_trunc($2, traded_at) AS period,
+            (array_agg(trade_value ORDER BY traded_at))[1] AS open,
+            MAX(trade_value) AS high,
+            MIN(trade_value) AS low,
+            (array_agg(trade_value ORDER BY traded_at DESC))[1] AS close,
+            ROUND(AVG(trade_value))::int AS average,
+            SUM(trade_value)::int AS volume,
+            COUNT(*)::int AS trades
+     FROM card_trades
+     WHERE edition_id = $1 AND status = 'completed'
+       AND traded_at >= NOW() - make_interval(days => $3::int)
+     GROUP BY 1
+     ORDER BY 1`,
+    [editionId, interval, days]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  MAX_ROYALTY_PERCENT,
+  PRICE_HISTORY_INTERVALS,
+  splitResale,
+  checkWashTrading,
+  createListing,
+  buyListing,
+  placeBid,
+  cancelListing,
+  cancelBid,
+  getOrderBook,
+  getPriceHistory
+};
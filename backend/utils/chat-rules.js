@@ -0,0 +1,525 @@
+/**
+ * Stream Chat Rules
+ *
+ * Creator-defined rules checked by POST /stream-chat/message before a message
+ * is stored and broadcast. A creator has a default rule set and can replace it
+ * for a single stream.
+ *
+ * Gates decide who may chat at all: chat mode (followers / subscribers only),
+ * minimum account age and slow mode. Content rules (blocked terms, regex
+ * patterns, links, caps, emoji) look at the message itself; a violation takes
+ * the action configured for its rule:
+ *
+ *   delete   the message is dropped
+ *   timeout  dropped, and the sender is timed out for timeout_minutes
+ *   ban      dropped, and the sender is banned from the stream's chat
+ *   hold     queued for the creator to approve or reject
+ *
+ * The stream's creator and their moderators are exempt from every rule.
+ */
+
+const { RE2JS } = require('re2js');
+const { pool } = require('./db');
+const { BusinessLogicError } = require('./app-errors');
+
+const CONTENT_RULES = ['blocked_terms', 'blocked_patterns', 'links', 'caps', 'emoji'];
+const ACTIONS = ['delete', 'timeout', 'ban', 'hold'];
+const LINK_POLICIES = ['allow', 'block', 'allowlist'];
+const CHAT_MODES = ['everyone', 'followers', 'subscribers'];
+
+const MAX_TERMS = 500;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_CACHED_PATTERNS = 1000;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s]+|\b[a-z0-9-]+\.(?:com|net|org|io|gg|tv|me|co|ly|xyz|app|link|site)\b[^\s]*/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+const DEFAULT_RULES = {
+  blocked_terms: [],
+  blocked_patterns: [],
+  link_policy: 'allow',
+  allowed_domains: [],
+  slow_mode_seconds: 0,
+  chat_mode: 'everyone',
+  min_account_age_hours: 0,
+  caps_max_percent: null,
+  caps_min_length: 10,
+  emoji_max_count: null,
+  actions: {},
+  timeout_minutes: 10
+};
+
+function integerInRange(value, field, min, max, { nullable = false } = {}) {
+  if (value === null && nullable) return null;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new BusinessLogicError(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function stringList(value, field, max) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new BusinessLogicError(`${field} must be a list of strings`);
+  }
+  const items = [...new Set(value.map(item => item.trim().toLowerCase()).filter(Boolean))];
+  if (items.length > max) {
+    throw new BusinessLogicError(`${field} can have at most ${max} entries`);
+  }
+  return items;
+}
+
+// Creator patterns run on every chat message, so they are compiled with
+// RE2 semantics (re2js): matching is linear in the message length and there
+// is no backtracking for a pattern like ^(a|a)*$ to blow up. RE2 has no
+// lookaround or backreferences; patterns using them are rejected.
+const compiledPatterns = new Map();
+
+function compilePattern(pattern) {
+  let compiled = compiledPatterns.get(pattern);
+  if (!compiled) {
+    compiled = RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+    if (compiledPatterns.size >= MAX_CACHED_PATTERNS) compiledPatterns.clear();
+    compiledPatterns.set(pattern, compiled);
+  }
+  return compiled;
+}
+
+function validatePatterns(patterns) {
+  if (!Array.isArray(patterns) || patterns.length > MAX_PATTERNS) {
+    throw new BusinessLogicError(`blockedPatterns can have at most ${MAX_PATTERNS} entries`);
+  }
+
+  return patterns.map(pattern => {
+    if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_PATTERN_LENGTH) {
+      throw new BusinessLogicError(`Patterns must be 1-${MAX_PATTERN_LENGTH} characters`);
+    }
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      throw new BusinessLogicError(`Pattern "${pattern}" is not a supported regular expression`);
+    }
+    return pattern;
+  });
+}
+
+/**
+ * Validate a rule set from the request body (camelCase) and convert it to
+ * columns. Omitted fields keep their current value.
+ *
+ * @param {Object} body
+ * @param {Object} [current] - Existing rule set columns
+ * @returns {Object} Rule set columns
+ */
+function normalizeRules(body, current = DEFAULT_RULES) {
+  const rules = { ...DEFAULT_RULES, ...current };
+
+  if (body.blockedTerms !== undefined) rules.blocked_terms = stringList(body.blockedTerms, 'blockedTerms', MAX_TERMS);
+  if (body.blockedPatterns !== undefined) rules.blocked_patterns = validatePatterns(body.blockedPatterns);
+  if (body.linkPolicy !== undefined) {
+    if (!LINK_POLICIES.includes(body.linkPolicy)) {
+      throw new BusinessLogicError(`linkPolicy must be one of ${LINK_POLICIES.join(', ')}`);
+    }
+    rules.link_policy = body.linkPolicy;
+  }
+  if (body.allowedDomains !== undefined) rules.allowed_domains = stringList(body.allowedDomains, 'allowedDomains', 100);
+  if (body.slowModeSeconds !== undefined) rules.slow_mode_seconds = integerInRange(body.slowModeSeconds, 'slowModeSeconds', 0, 600);
+  if (body.chatMode !== undefined) {
+    if (!CHAT_MODES.includes(body.chatMode)) {
+      throw new BusinessLogicError(`chatMode must be one of ${CHAT_MODES.join(', ')}`);
+    }
+    rules.chat_mode = body.chatMode;
+  }
+  if (body.minAccountAgeHours !== undefined) {
+    rules.min_account_age_hours = integerInRange(body.minAccountAgeHours, 'minAccountAgeHours', 0, 24 * 365);
+  }
+  if (body.capsMaxPercent !== undefined) {
+    rules.caps_max_percent = integerInRange(body.capsMaxPercent, 'capsMaxPercent', 1, 100, { nullable: true });
+  }
+  if (body.capsMinLength !== undefined) rules.caps_min_length = integerInRange(body.capsMinLength, 'capsMinLength', 1, 500);
+  if (body.emojiMaxCount !== undefined) {
+    rules.emoji_max_count = integerInRange(body.emojiMaxCount, 'emojiMaxCount', 0, 100, { nullable: true });
+  }
+  if (body.timeoutMinutes !== undefined) rules.timeout_minutes = integerInRange(body.timeoutMinutes, 'timeoutMinutes', 1, 10080);
+  if (body.actions !== undefined) {
+    if (!body.actions || typeof body.actions !== 'object') {
+      throw new BusinessLogicError('actions must be an object');
+    }
+    for (const [rule, action] of Object.entries(body.actions)) {
+      if (!CONTENT_RULES.includes(rule) || !ACTIONS.includes(action)) {
+        throw new BusinessLogicError(`actions maps ${CONTENT_RULES.join(', ')} to one of ${ACTIONS.join(', ')}`);
+      }
+    }
+    rules.actions = { ...body.actions };
+  }
+
+  return rules;
+}
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Whole-word match, so a blocked "ass" doesn't catch "class"
+ */
+function containsTerm(text, term) {
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    const before = text[index - 1];
+    const after = text[index + term.length];
+    if ((!before || !WORD_CHAR.test(before)) && (!after || !WORD_CHAR.test(after))) return true;
+    index = text.indexOf(term, index + 1);
+  }
+  return false;
+}
+
+function countCapsPercent(message, minLength) {
+  const letters = message.replace(/[^\p{L}]/gu, '');
+  if (letters.length < minLength) return 0;
+  const upper = letters.replace(/[^\p{Lu}]/gu, '').length;
+  return Math.round((upper / letters.length) * 100);
+}
+
+function linkDomain(link) {
+  const host = link.replace(/^https?:\/\//i, '').split(/[/?#:]/)[0].toLowerCase();
+  return host.replace(/^www\./, '');
+}
+
+function isAllowedDomain(domain, allowed) {
+  return allowed.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+/**
+ * The first content rule a message breaks
+ *
+ * @returns {Object|null} { rule, detail }
+ */
+function findContentViolation(rules, message) {
+  const text = message.toLowerCase();
+
+  const term = rules.blocked_terms.find(t => containsTerm(text, t));
+  if (term) return { rule: 'blocked_terms', detail: term };
+
+  const pattern = rules.blocked_patterns.find(p => compilePattern(p).test(message));
+  if (pattern) return { rule: 'blocked_patterns', detail: pattern };
+
+  if (rules.link_policy !== 'allow') {
+    const links = message.match(LINK_PATTERN) || [];
+    const blocked = rules.link_policy === 'block'
+      ? links[0]
+      : links.find(link => !isAllowedDomain(linkDomain(link), rules.allowed_domains));
+    if (blocked) return { rule: 'links', detail: linkDomain(blocked) };
+  }
+
+  if (rules.caps_max_percent) {
+    const percent = countCapsPercent(message, rules.caps_min_length);
+    if (percent > rules.caps_max_percent) return { rule: 'caps', detail: `${percent}% caps` };
+  }
+
+  if (rules.emoji_max_count !== null && rules.emoji_max_count !== undefined) {
+    const emoji = (message.match(EMOJI_PATTERN) || []).length;
+    if (emoji > rules.emoji_max_count) return { rule: 'emoji', detail: `${emoji} emoji` };
+  }
+
+  return null;
+}
+
+/**
+ * Check a message against a rule set
+ *
+ * @param {Object} rules - Rule set columns
+ * @param {string} message
+ * @param {Object} sender
+ * @param {boolean} sender.isExempt - Creator or one of their moderators
+ * @param {boolean} sender.isFollower
+ * @param {boolean} sender.isSubscriber
+ * @param {Date|null} sender.accountCreatedAt
+ * @param {Date|null} sender.lastMessageAt - Sender's previous message in this chat
+ * @param {Date} [now]
+ * @returns {Object|null} null if allowed; a gate { type: 'gate', rule, reason,
+ *   retryAfterSeconds? } or a violation { type: 'violation', rule, detail, action }
+ */
+function evaluateMessage(rules, message, sender, now = new Date()) {
+  if (sender.isExempt) return null;
+
+  if (rules.chat_mode === 'followers' && !sender.isFollower && !sender.isSubscriber) {
+    return { type: 'gate', rule: 'chat_mode', reason: 'Chat is in followers-only mode' };
+  }
+  if (rules.chat_mode === 'subscribers' && !sender.isSubscriber) {
+    return { type: 'gate', rule: 'chat_mode', reason: 'Chat is in subscribers-only mode' };
+  }
+
+  if (rules.min_account_age_hours > 0 && sender.accountCreatedAt) {
+    const ageHours = (now - new Date(sender.accountCreatedAt)) / (60 * 60 * 1000);
+    if (ageHours < rules.min_account_age_hours) {
+      return {
+        type: 'gate',
+        rule: 'min_account_age',
+        reason: `Accounts must be at least ${rules.min_account_age_hours} hours old to chat here`
+      };
+    }
+  }
+
+  if (rules.slow_mode_seconds > 0 && sender.lastMessageAt) {
+    const waited = (now - new Date(sender.lastMessageAt)) / 1000;
+    if (waited < rules.slow_mode_seconds) {
+      return {
+        type: 'gate',
+        rule: 'slow_mode',
+        reason: `Slow mode is on: one message every ${rules.slow_mode_seconds} seconds`,
+        retryAfterSeconds: Math.ceil(rules.slow_mode_seconds - waited)
+      };
+    }
+  }
+
+  const violation = findContentViolation(rules, message);
+  if (!violation) return null;
+
+  return { type: 'violation', ...violation, action: rules.actions?.[violation.rule] || 'delete' };
+}
+
+/**
+ * The live (or most recent) stream behind a chat channel
+ */
+async function findChatStream(channel) {
+  const result = await pool.query(
+    `SELECT id, creator_id, channel FROM streams
+     WHERE channel = $1 OR id::text = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [channel]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The rules in force for a stream: its own rule set, else the creator's default
+ *
+ * @returns {Promise<Object|null>} Rule set row, or null if the creator has none
+ */
+async function getRulesForStream(stream) {
+  const result = await pool.query(
+    `SELECT * FROM stream_chat_rule_sets
+     WHERE creator_id = $1 AND (stream_id = $2 OR stream_id IS NULL)
+     ORDER BY stream_id NULLS LAST
+     LIMIT 1`,
+    [stream.creator_id, stream.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The creator's rule set for one stream, or their default when streamId is null
+ */
+async function getRuleSet(creatorId, streamId = null) {
+  const result = await pool.query(
+    `SELECT * FROM stream_chat_rule_sets
+     WHERE creator_id = $1 AND stream_id IS NOT DISTINCT FROM $2`,
+    [creatorId, streamId]
+  );
+  return result.rows[0] || null;
+}
+
+async function saveRuleSet(creatorId, streamId, body) {
+  if (streamId) {
+    const stream = await pool.query('SELECT 1 FROM streams WHERE id = $1 AND creator_id = $2', [streamId, creatorId]);
+    if (stream.rows.length === 0) throw new BusinessLogicError('Stream not found');
+  }
+
+  const current = await getRuleSet(creatorId, streamId);
+  const rules = normalizeRules(body, current || undefined);
+  const values = [
+    rules.blocked_terms, rules.blocked_patterns, rules.link_policy, rules.allowed_domains,
+    rules.slow_mode_seconds, rules.chat_mode, rules.min_account_age_hours, rules.caps_max_percent,
+    rules.caps_min_length, rules.emoji_max_count, JSON.stringify(rules.actions), rules.timeout_minutes
+  ];
+
+  const result = current
+    ? await pool.query(
+      `UPDATE stream_chat_rule_sets SET
+         blocked_terms = $2, blocked_patterns = $3, link_policy = $4, allowed_domains = $5,
+         slow_mode_seconds = $6, chat_mode = $7, min_account_age_hours = $8, caps_max_percent = $9,
+         caps_min_length = $10, emoji_max_count = $11, actions = $12, timeout_minutes = $13,
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [current.id, ...values]
+    )
+    : await pool.query(
+      `INSERT INTO stream_chat_rule_sets (
+         creator_id, stream_id, blocked_terms, blocked_patterns, link_policy, allowed_domains,
+         slow_mode_seconds, chat_mode, min_account_age_hours, caps_max_percent,
+         caps_min_length, emoji_max_count, actions, timeout_minutes
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING *`,
+      [creatorId, streamId, ...values]
+    );
+
+  return result.rows[0];
+}
+
+/**
+ * What the gates need to know about the sender
+ */
+async function loadSender(stream, userId) {
+  const result = await pool.query(
+    `SELECT u.created_at AS account_created_at,
+       EXISTS (
+         SELECT 1 FROM follows f
+         JOIN users creator ON creator.id = f.followed_id
+         WHERE f.follower_id = u.id AND creator.supabase_id = $2
+       ) AS is_follower,
+       EXISTS (
+         SELECT 1 FROM creator_subscriptions cs
+         WHERE cs.subscriber_id = u.supabase_id AND cs.creator_id = $2 AND cs.status = 'active'
+       ) AS is_subscriber,
+       EXISTS (
+         SELECT 1 FROM creator_moderators m
+         WHERE m.moderator_id = u.supabase_id AND m.creator_id = $2 AND m.revoked_at IS NULL
+           AND (m.stream_id IS NULL OR m.stream_id = $4)
+       ) AS is_moderator,
+       (
+         SELECT MAX(created_at) FROM stream_chat_messages
+         WHERE stream_id = $3 AND user_id = u.supabase_id
+       ) AS last_message_at
+     FROM users u
+     WHERE u.supabase_id = $1`,
+    [userId, stream.creator_id, stream.channel, stream.id]
+  );
+  const row = result.rows[0] || {};
+
+  return {
+    isExempt: userId === stream.creator_id || Boolean(row.is_moderator),
+    isFollower: Boolean(row.is_follower),
+    isSubscriber: Boolean(row.is_subscriber),
+    accountCreatedAt: row.account_created_at || null,
+    lastMessageAt: row.last_message_at || null
+  };
+}
+
+/**
+ * Check a chat message and carry out the action for any violation
+ *
+ * @param {Object} params
+ * @param {string} params.channel - Chat channel (stream_chat_messages.stream_id)
+ * @param {string} params.userId
+ * @param {string} params.message
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, ...gate or violation, event? }
+ */
+async function checkChatMessage({ channel, userId, message }) {
+  const stream = await findChatStream(channel);
+  if (!stream) return { allowed: true };
+
+  const rules = await getRulesForStream(stream);
+  if (!rules) return { allowed: true };
+
+  const sender = await loadSender(stream, userId);
+  const outcome = evaluateMessage(rules, message, sender);
+  if (!outcome) return { allowed: true };
+  if (outcome.type === 'gate') return { allowed: false, ...outcome };
+
+  const event = await pool.query(
+    `INSERT INTO stream_chat_automod_events
+     (stream_id, creator_id, user_id, message, rule, detail, action, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      channel,
+      stream.creator_id,
+      userId,
+      message,
+      outcome.rule,
+      outcome.detail,
+      outcome.action,
+      outcome.action === 'hold' ? 'held' : 'actioned'
+    ]
+  );
+
+  if (outcome.action === 'timeout' || outcome.action === 'ban') {
+    const minutes = outcome.action === 'timeout' ? rules.timeout_minutes : null;
+    await pool.query(
+      `INSERT INTO stream_chat_moderation
+       (stream_id, user_id, action, duration_minutes, reason, moderator_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6,
+               CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(mins => $4::int) END)
+       ON CONFLICT (stream_id, user_id, action) DO UPDATE SET
+         duration_minutes = EXCLUDED.duration_minutes,
+         reason = EXCLUDED.reason,
+         moderator_id = EXCLUDED.moderator_id,
+         expires_at = EXCLUDED.expires_at,
+         created_at = NOW()`,
+      [channel, userId, outcome.action, minutes, `Chat rules: ${outcome.rule}`, stream.creator_id]
+    );
+  }
+
+  return { allowed: false, ...outcome, event: event.rows[0] };
+}
+
+/**
+ * Held messages waiting for review, oldest first
+ */
+async function getReviewQueue(creatorId, channel = null) {
+  const result = await pool.query(
+    `SELECT e.*, u.username, u.display_name, u.profile_pic_url
+     FROM stream_chat_automod_events e
+     JOIN users u ON u.supabase_id = e.user_id
+     WHERE e.creator_id = $1 AND e.status = 'held'
+       AND ($2::text IS NULL OR e.stream_id = $2)
+     ORDER BY e.created_at
+     LIMIT 200`,
+    [creatorId, channel]
+  );
+  return result.rows;
+}
+
+async function getAutomodEvent(eventId) {
+  const result = await pool.query('SELECT * FROM stream_chat_automod_events WHERE id = $1', [eventId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Approve or reject a held message. Approving posts it to the chat. Runs
+ * inside the caller's transaction.
+ *
+ * @returns {Promise<Object|null>} The updated event, or null if it isn't held
+ *   for this creator
+ */
+async function reviewHeldMessage(client, { eventId, creatorId, reviewerId, approve }) {
+  const result = await client.query(
+    `UPDATE stream_chat_automod_events
+     SET status = $4, reviewed_by = $3, reviewed_at = NOW()
+     WHERE id = $1 AND creator_id = $2 AND status = 'held'
+     RETURNING *`,
+    [eventId, creatorId, reviewerId, approve ? 'approved' : 'rejected']
+  );
+  const event = result.rows[0];
+  if (!event || !approve) return event || null;
+
+  const posted = await client.query(
+    `INSERT INTO stream_chat_messages (stream_id, user_id, message, user_role)
+     VALUES ($1, $2, $3, 'viewer')
+     RETURNING id`,
+    [event.stream_id, event.user_id, event.message]
+  );
+  const linked = await client.query(
+    'UPDATE stream_chat_automod_events SET chat_message_id = $2 WHERE id = $1 RETURNING *',
+    [event.id, posted.rows[0].id]
+  );
+  return linked.rows[0];
+}
+
+module.exports = {
+  CONTENT_RULES,
+  ACTIONS,
+  DEFAULT_RULES,
+  normalizeRules,
+  evaluateMessage,
+  findChatStream,
+  getRulesForStream,
+  getRuleSet,
+  saveRuleSet,
+  checkChatMessage,
+  getReviewQueue,
+  getAutomodEvent,
+  reviewHeldMessage
+};
@@ -0,0 +1,592 @@
+/**
+ * Class Series
+ *
+ * Recurring classes defined by an RFC 5545 rule (see utils/rrule.js) and
+ * materialized as rows in `classes`, one per occurrence.
+ *
+ * Edits follow calendar semantics:
+ *   this       - only the chosen occurrence; it becomes an exception
+ *   following  - split the series at the chosen occurrence; the original
+ *                series ends just before it and a new series takes over
+ *   all        - the whole series; only upcoming occurrences are changed
+ *
+ * When an edit changes the schedule, upcoming occurrences are moved in order
+ * onto the new occurrence times, so enrollments follow their class. Surplus
+ * classes that already have participants are skipped rather than deleted.
+ *
+ * Series enrollment buys every upcoming occurrence at the bundle price.
+ * Skipping an occurrence refunds each series enrollee their per-class share.
+ *
+ * All functions take a client that is already inside a transaction; the
+ * caller owns BEGIN / COMMIT / ROLLBACK. Creator and participant ids are
+ * users.id, as in the rest of routes/classes.js.
+ */
+
+const { ResourceNotFoundError, ResourceConflictError, BusinessLogicError } = require('./app-errors');
+const { parseRRule, formatRRule, expandRRule } = require('./rrule');
+const { debitTokens, creditTokens, creditCreator } = require('./token-transfers');
+const { createJournal, PAYOUT_ORDER } = require('./token-ledger');
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Request body field -> column, shared by series and their classes
+const TEMPLATE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  category: 'category',
+  duration: 'duration_minutes',
+  maxParticipants: 'max_participants',
+  tokenPrice: 'token_price',
+  tags: 'tags',
+  requirements: 'requirements',
+  whatToExpect: 'what_to_expect',
+  coverImage: 'cover_image_url'
+};
+const TEMPLATE_COLUMNS = Object.values(TEMPLATE_FIELDS);
+
+/**
+ * Pick template columns from a request body
+ *
+ * @param {Object} body
+ * @returns {Object} Column values for the fields present in the body
+ */
+function templateFromBody(body) {
+  const template = {};
+  for (const [field, column] of Object.entries(TEMPLATE_FIELDS)) {
+    if (body[field] !== undefined) {
+      template[column] = column === 'tags' ? JSON.stringify(body[field] || []) : body[field];
+    }
+  }
+  return template;
+}
+
+async function syncCalendar(client, classRow) {
+  const start = new Date(classRow.start_time);
+  const scheduledDate = start.toISOString().split('T')[0];
+  const scheduledTime = start.toTimeString().split(' ')[0].substring(0, 5);
+
+  // Calendar sync must not fail the schedule change
+  await client.query('SAVEPOINT class_calendar_sync');
+  try {
+    const updated = await client.query(
+      `UPDATE calendar_events
+       SET scheduled_date = $2, scheduled_time = $3, duration_minutes = $4, title = $5, updated_at = NOW()
+       WHERE reference_id = $1 AND reference_type IN ('class', 'class_enrollment')`,
+      [classRow.id, scheduledDate, scheduledTime, classRow.duration_minutes, classRow.title]
+    );
+
+    if (updated.rowCount === 0) {
+      await client.query(
+        `INSERT INTO calendar_events (
+          creator_id, event_type, title, description,
+          scheduled_date, scheduled_time, duration_minutes,
+          status, reference_id, reference_type
+        ) VALUES ($1, 'class', $2, $3, $4, $5, $6, 'scheduled', $7, 'class')`,
+        [
+          classRow.creator_id, classRow.title, classRow.description,
+          scheduledDate, scheduledTime, classRow.duration_minutes, classRow.id
+        ]
+      );
+    }
+    await client.query('RELEASE SAVEPOINT class_calendar_sync');
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT class_calendar_sync');
+  }
+}
+
+async function cancelCalendar(client, classId) {
+  await client.query(
+    `UPDATE calendar_events
+     SET status = 'cancelled', updated_at = NOW()
+     WHERE reference_id = $1 AND reference_type IN ('class', 'class_enrollment')`,
+    [classId]
+  );
+}
+
+/**
+ * Insert one occurrence and enroll the series' bundle holders in it
+ */
+async function insertOccurrence(client, series, start) {
+  const result = await client.query(
+    `INSERT INTO classes (
+      creator_id, title, description, category, start_time,
+      duration_minutes, max_participants, token_price, tags,
+      requirements, what_to_expect, cover_image_url, created_at,
+      series_id, occurrence_start
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), $13, $5)
+    RETURNING *`,
+    [
+      series.creator_id, series.title, series.description, series.category, start,
+      series.duration_minutes, series.max_participants, series.token_price, JSON.stringify(series.tags || []),
+      series.requirements || '', series.what_to_expect || '', series.cover_image_url || null,
+      series.id
+    ]
+  );
+  const classRow = result.rows[0];
+
+  await client.query(
+    `INSERT INTO class_participants (class_id, user_id, status, joined_at, series_enrollment_id)
+     SELECT $1, e.user_id, 'enrolled', NOW(), e.id
+     FROM class_series_enrollments e
+     WHERE e.series_id = ANY($2::uuid[])
+     ON CONFLICT (class_id, user_id) DO NOTHING`,
+    [classRow.id, [series.id, series.parent_series_id].filter(Boolean)]
+  );
+
+  await syncCalendar(client, classRow);
+  return classRow;
+}
+
+/**
+ * Create a series and its classes
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {string} params.creatorId - users.id
+ * @param {string} params.rrule
+ * @param {string} params.startTime - First occurrence
+ * @param {string} [params.timezone='UTC']
+ * @param {Array<string>} [params.exdates]
+ * @param {number} [params.bundlePrice] - Whole-series price in tokens
+ * @param {Object} params.template - Column values from templateFromBody
+ * @returns {Promise<{ series: Object, classes: Array<Object> }>}
+ * @throws {BusinessLogicError} When the rule is invalid or yields no classes
+ */
+async function createSeries(client, { creatorId, rrule, startTime, timezone = 'UTC', exdates = [], bundlePrice = null, template, parentSeriesId = null }) {
+  const rule = parseRRule(rrule);
+  const starts = expandRRule({ rrule: rule, dtstart: startTime, timezone, exdates });
+
+  if (starts.length === 0) {
+    throw new BusinessLogicError('This rule does not produce any classes');
+  }
+
+  const result = await client.query(
+    `INSERT INTO class_series (
+      creator_id, parent_series_id, rrule, dtstart, timezone, exdates, bundle_price,
+      ${TEMPLATE_COLUMNS.join(', ')}
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, ${TEMPLATE_COLUMNS.map((_, i) => `$${i + 8}`).join(', ')})
+    RETURNING *`,
+    [
+      creatorId, parentSeriesId, formatRRule(rule), new Date(startTime), timezone,
+      exdates.map(date => new Date(date)), bundlePrice,
+      ...TEMPLATE_COLUMNS.map(column => (template[column] !== undefined ? template[column] : null))
+    ]
+  );
+  const series = result.rows[0];
+
+  const classes = [];
+  for (const start of starts) {
+    classes.push(await insertOccurrence(client, series, start));
+  }
+
+  return { series, classes };
+}
+
+/**
+ * Load a series owned by a creator, locked for the rest of the transaction
+ *
+ * @throws {ResourceNotFoundError}
+ */
+async function lockSeries(client, seriesId, creatorId = null) {
+  const result = await client.query(
+    'SELECT * FROM class_series WHERE id = $1 FOR UPDATE',
+    [seriesId]
+  );
+  const series = result.rows[0];
+
+  if (!series || (creatorId && series.creator_id !== creatorId)) {
+    throw new ResourceNotFoundError('Class series');
+  }
+  return series;
+}
+
+async function getOccurrence(client, series, classId) {
+  const result = await client.query(
+    'SELECT * FROM classes WHERE id = $1 AND series_id = $2 FOR UPDATE',
+    [classId, series.id]
+  );
+  if (!result.rows[0]) {
+    throw new ResourceNotFoundError('Class');
+  }
+  return result.rows[0];
+}
+
+function assertUpcoming(classRow) {
+  if (new Date(classRow.start_time) <= new Date()) {
+    throw new ResourceConflictError('This class has already started');
+  }
+}
+
+async function updateClassRow(client, classId, changes) {
+  const columns = Object.keys(changes);
+  if (columns.length === 0) {
+    const result = await client.query('SELECT * FROM classes WHERE id = $1', [classId]);
+    return result.rows[0];
+  }
+
+  const result = await client.query(
+    `UPDATE classes SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [classId, ...columns.map(column => changes[column])]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Skip one occurrence without touching its enrollments
+ *
+ * The class keeps its participants and is marked skipped, its start is added
+ * to the series EXDATEs, and each series enrollee is refunded their share of
+ * the bundle. The creator gives back what they netted from that share and the
+ * platform its fee, in the proportions the bundle was split at purchase.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} series - Locked class_series row
+ * @param {Object} classRow - Locked classes row
+ * @returns {Promise<{ class: Object, refunded: number }>}
+ * @throws {ResourceConflictError|InsufficientFundsError}
+ */
+async function skipOccurrence(client, series, classRow) {
+  if (classRow.skipped_at) {
+    throw new ResourceConflictError('This class is already skipped');
+  }
+  assertUpcoming(classRow);
+
+  const skipped = await client.query(
+    'UPDATE classes SET skipped_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *',
+    [classRow.id]
+  );
+
+  await client.query(
+    `UPDATE class_series
+     SET exdates = array_append(exdates, $2)
+     WHERE id = $1 AND NOT ($2 = ANY(exdates))`,
+    [series.id, classRow.occurrence_start || classRow.start_time]
+  );
+
+  await cancelCalendar(client, classRow.id);
+
+  const enrollees = await client.query(
+    `SELECT e.id, e.price_paid, e.occurrence_count, e.platform_fee_tokens, u.supabase_id
+     FROM class_participants cp
+     JOIN class_series_enrollments e ON e.id = cp.series_enrollment_id
+     JOIN users u ON u.id = e.user_id
+     WHERE cp.class_id = $1`,
+    [classRow.id]
+  );
+
+  let refunded = 0;
+  if (enrollees.rows.length > 0) {
+    const creator = await client.query('SELECT supabase_id FROM users WHERE id = $1', [series.creator_id]);
+    const creatorSupabaseId = creator.rows[0].supabase_id;
+
+    const journal = createJournal('class_series_refund', { reference: `classes:${classRow.id}` });
+    for (const enrollee of enrollees.rows) {
+      const share = Math.floor(enrollee.price_paid / enrollee.occurrence_count);
+      if (share <= 0) continue;
+      const feeShare = Math.floor(share * enrollee.platform_fee_tokens / enrollee.price_paid);
+
+      if (share > feeShare) {
+        await debitTokens(client, creatorSupabaseId, share - feeShare, {
+          type: 'class_series_refund',
+          journal,
+          relatedUserId: enrollee.supabase_id,
+          order: PAYOUT_ORDER
+        });
+      }
+      journal.debit('platform_revenue', feeShare);
+      await creditTokens(client, enrollee.supabase_id, share, {
+        type: 'class_series_refund',
+        journal,
+        relatedUserId: creatorSupabaseId
+      });
+      await client.query(
+        'UPDATE class_series_enrollments SET refunded_tokens = refunded_tokens + $2 WHERE id = $1',
+        [enrollee.id, share]
+      );
+      refunded += 1;
+    }
+    await journal.post(client);
+  }
+
+  return { class: skipped.rows[0], refunded };
+}
+
+/**
+ * Move upcoming classes onto a new list of start times, in order
+ *
+ * Classes without a slot are deleted when nobody enrolled, otherwise skipped.
+ * New slots without a class get one.
+ */
+async function reschedule(client, series, classes, starts, template) {
+  const result = [];
+
+  for (let i = 0; i < Math.max(classes.length, starts.length); i++) {
+    const classRow = classes[i];
+    const start = starts[i];
+
+    if (classRow && start) {
+      const moved = await updateClassRow(client, classRow.id, {
+        ...template,
+        series_id: series.id,
+        start_time: start,
+        occurrence_start: start,
+        is_exception: false
+      });
+      await syncCalendar(client, moved);
+      result.push(moved);
+    } else if (start) {
+      result.push(await insertOccurrence(client, series, start));
+    } else {
+      const participants = await client.query(
+        'SELECT COUNT(*)::int AS count FROM class_participants WHERE class_id = $1',
+        [classRow.id]
+      );
+      if (participants.rows[0].count > 0) {
+        await skipOccurrence(client, series, classRow);
+      } else {
+        await cancelCalendar(client, classRow.id);
+        await client.query('DELETE FROM classes WHERE id = $1', [classRow.id]);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Edit one occurrence, it and the following ones, or the whole series
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {Object} params.series - Locked class_series row
+ * @param {string} params.classId - Occurrence the edit was made from
+ * @param {string} params.scope - this, following or all
+ * @param {Object} params.template - Column values from templateFromBody
+ * @param {string} [params.startTime] - New start (of the occurrence, or of the series)
+ * @param {string} [params.rrule] - New rule (following / all only)
+ * @param {string} [params.timezone]
+ * @returns {Promise<{ series: Object, classes: Array<Object> }>} Series now owning the edited classes
+ * @throws {ResourceNotFoundError|ResourceConflictError|BusinessLogicError}
+ */
+async function updateOccurrences(client, { series, classId, scope, template, startTime, rrule, timezone }) {
+  if (!EDIT_SCOPES.includes(scope)) {
+    throw new BusinessLogicError(`scope must be one of ${EDIT_SCOPES.join(', ')}`);
+  }
+
+  const pivot = await getOccurrence(client, series, classId);
+
+  if (scope === 'this') {
+    if (rrule) {
+      throw new BusinessLogicError('The recurrence rule can only be changed for following or all classes');
+    }
+    assertUpcoming(pivot);
+
+    const changes = { ...template };
+    if (startTime) {
+      changes.start_time = new Date(startTime);
+      changes.is_exception = true;
+    }
+    const updated = await updateClassRow(client, pivot.id, changes);
+    await syncCalendar(client, updated);
+    return { series, classes: [updated] };
+  }
+
+  const fromTime = scope === 'following' ? pivot.occurrence_start || pivot.start_time : new Date();
+  if (scope === 'following') assertUpcoming(pivot);
+
+  // Upcoming, not skipped classes of this series that the edit applies to
+  const affected = await client.query(
+    `SELECT * FROM classes
+     WHERE series_id = $1 AND skipped_at IS NULL
+       AND start_time > NOW() AND COALESCE(occurrence_start, start_time) >= $2
+     ORDER BY COALESCE(occurrence_start, start_time)
+     FOR UPDATE`,
+    [series.id, fromTime]
+  );
+
+  const scheduleChanged = Boolean(rrule || startTime || (timezone && timezone !== series.timezone));
+  let target = series;
+
+  if (scope === 'following' && new Date(fromTime) > new Date(series.dtstart)) {
+    // End the original series just before the pivot and continue in a new one
+    const oldRule = parseRRule(series.rrule);
+    const before = expandRRule({ rrule: oldRule, dtstart: series.dtstart, timezone: series.timezone })
+      .filter(start => start < new Date(fromTime)).length;
+
+    let nextRule = rrule;
+    if (!nextRule) {
+      const continued = { ...oldRule };
+      if (continued.count) continued.count -= before;
+      nextRule = formatRRule(continued);
+    }
+
+    const ended = { ...oldRule, count: null, until: new Date(new Date(fromTime).getTime() - 1000) };
+    await client.query(
+      `UPDATE class_series SET rrule = $2, status = 'ended'
+       WHERE id = $1`,
+      [series.id, formatRRule(ended)]
+    );
+
+    const merged = { ...series, ...template };
+    const inserted = await client.query(
+      `INSERT INTO class_series (
+        creator_id, parent_series_id, rrule, dtstart, timezone, exdates, bundle_price,
+        ${TEMPLATE_COLUMNS.join(', ')}
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, ${TEMPLATE_COLUMNS.map((_, i) => `$${i + 8}`).join(', ')})
+      RETURNING *`,
+      [
+        series.creator_id, series.id, formatRRule(parseRRule(nextRule)),
+        startTime ? new Date(startTime) : fromTime, timezone || series.timezone,
+        (series.exdates || []).filter(date => new Date(date) >= new Date(fromTime)), series.bundle_price,
+        ...TEMPLATE_COLUMNS.map(column => (column === 'tags' && typeof merged.tags !== 'string'
+          ? JSON.stringify(merged.tags || [])
+          : merged[column]))
+      ]
+    );
+    target = inserted.rows[0];
+  } else {
+    const changes = { ...template };
+    if (rrule) changes.rrule = formatRRule(parseRRule(rrule));
+    if (startTime) changes.dtstart = new Date(startTime);
+    if (timezone) changes.timezone = timezone;
+
+    const columns = Object.keys(changes);
+    if (columns.length > 0) {
+      const updated = await client.query(
+        `UPDATE class_series SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [series.id, ...columns.map(column => changes[column])]
+      );
+      target = updated.rows[0];
+    }
+  }
+
+  if (!scheduleChanged) {
+    const classes = [];
+    for (const classRow of affected.rows) {
+      const updated = await updateClassRow(client, classRow.id, {
+        ...template, series_id: target.id, is_exception: false
+      });
+      await syncCalendar(client, updated);
+      classes.push(updated);
+    }
+    return { series: target, classes };
+  }
+
+  const starts = expandRRule({
+    rrule: target.rrule,
+    dtstart: target.dtstart,
+    timezone: target.timezone,
+    exdates: target.exdates || []
+  }).filter(start => start > new Date());
+
+  const classes = await reschedule(client, target, affected.rows, starts, template);
+  return { series: target, classes };
+}
+
+/**
+ * Enroll a fan in every upcoming occurrence at the bundle price
+ *
+ * Existing unpaid single-class enrollments in the series become prepaid.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {Object} params.series - Locked class_series row
+ * @param {string} params.userDbId - Fan users.id
+ * @param {string} params.userSupabaseId - Fan supabase_id, for the token ledger
+ * @returns {Promise<{ enrollment: Object, classIds: Array<string> }>}
+ * @throws {BusinessLogicError|ResourceConflictError|InsufficientFundsError}
+ */
+async function enrollInSeries(client, { series, userDbId, userSupabaseId }) {
+  if (!series.bundle_price) {
+    throw new BusinessLogicError('This series is not sold as a bundle');
+  }
+  if (series.creator_id === userDbId) {
+    throw new BusinessLogicError('You cannot enroll in your own series');
+  }
+
+  const existing = await client.query(
+    'SELECT id FROM class_series_enrollments WHERE series_id = $1 AND user_id = $2',
+    [series.id, userDbId]
+  );
+  if (existing.rows.length > 0) {
+    throw new ResourceConflictError('Already enrolled in this series');
+  }
+
+  const upcoming = await client.query(
+    `SELECT c.id, c.max_participants,
+            COUNT(cp.id) FILTER (WHERE cp.user_id != $2)::int AS participants
+     FROM classes c
+     LEFT JOIN class_participants cp ON cp.class_id = c.id
+     WHERE c.series_id = $1 AND c.skipped_at IS NULL AND c.start_time > NOW()
+     GROUP BY c.id
+     ORDER BY c.start_time`,
+    [series.id, userDbId]
+  );
+
+  if (upcoming.rows.length === 0) {
+    throw new ResourceConflictError('This series has no upcoming classes');
+  }
+  if (upcoming.rows.some(row => row.participants >= row.max_participants)) {
+    throw new ResourceConflictError('Some classes in this series are full');
+  }
+
+  const enrollment = await client.query(
+    `INSERT INTO class_series_enrollments (series_id, user_id, price_paid, occurrence_count)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [series.id, userDbId, series.bundle_price, upcoming.rows.length]
+  );
+
+  const creator = await client.query('SELECT supabase_id FROM users WHERE id = $1', [series.creator_id]);
+  const creatorSupabaseId = creator.rows[0].supabase_id;
+
+  const journal = createJournal('class_series_purchase', { reference: `class_series_enrollments:${enrollment.rows[0].id}` });
+  await debitTokens(client, userSupabaseId, series.bundle_price, {
+    type: 'class_series_purchase',
+    journal,
+    relatedUserId: creatorSupabaseId
+  });
+  const fees = await creditCreator(client, creatorSupabaseId, series.bundle_price, {
+    type: 'class_series_sale',
+    revenueType: 'ticket',
+    journal,
+    relatedUserId: userSupabaseId
+  });
+  await journal.post(client);
+
+  await client.query(
+    'UPDATE class_series_enrollments SET platform_fee_tokens = $2 WHERE id = $1',
+    [enrollment.rows[0].id, fees.platformFeeTokens]
+  );
+
+  const classIds = upcoming.rows.map(row => row.id);
+  await client.query(
+    `INSERT INTO class_participants (class_id, user_id, status, joined_at, series_enrollment_id)
+     SELECT class_id, $2, 'enrolled', NOW(), $3
+     FROM unnest($1::uuid[]) AS class_id
+     ON CONFLICT (class_id, user_id)
+     DO UPDATE SET series_enrollment_id = EXCLUDED.series_enrollment_id
+     WHERE class_participants.attended IS NOT TRUE`,
+    [classIds, userDbId, enrollment.rows[0].id]
+  );
+
+  return { enrollment: enrollment.rows[0], classIds };
+}
+
+module.exports = {
+  EDIT_SCOPES,
+  templateFromBody,
+  createSeries,
+  lockSeries,
+  getOccurrence,
+  skipOccurrence,
+  updateOccurrences,
+  enrollInSeries
+};
@@ -0,0 +1,254 @@
+/**
+ * Clip Renderer
+ *
+ * Cuts a clip out of a stored stream recording with ffmpeg and uploads the
+ * results to the private stream-clips bucket:
+ *
+ *   clip.mp4     H.264/AAC re-encode of [start_time, end_time)
+ *   thumb.jpg    frame from the middle of the clip
+ *   preview.gif  short, small animated preview for clip grids
+ *
+ * ffmpeg reads the recording straight from its URL and only seeks to the
+ * requested segment, so nothing but the outputs touches local disk, in a
+ * scratch directory from createWorkDir(). The binary comes from FFMPEG_PATH
+ * (default: ffmpeg on PATH).
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const storageManager = require('./storage-manager');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.CLIP_RENDER_TIMEOUT_MS || '', 10) || 5 * 60 * 1000;
+const PREVIEW_SECONDS = 3;
+const SIGNED_URL_TTL = 60 * 60;
+
+// Plain names only: no separators, and no '.' or '..'
+const WORK_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+const OUTPUTS = {
+  clip: { file: 'clip.mp4', contentType: 'video/mp4' },
+  thumbnail: { file: 'thumb.jpg', contentType: 'image/jpeg' },
+  preview: { file: 'preview.gif', contentType: 'image/gif' }
+};
+
+/**
+ * Create a private scratch directory under the OS temp dir
+ *
+ * Local paths are only ever built by file(), which accepts a plain file name,
+ * so nothing read through the returned helper can live outside the directory.
+ *
+ * @param {string} prefix - Directory name prefix, e.g. `clip-${clip.id}-`
+ * @returns {Promise<Object>} { dir, file(name), read(name, encoding?), remove() }
+ */
+async function createWorkDir(prefix) {
+  if (!WORK_NAME_PATTERN.test(prefix)) throw new Error(`Invalid work directory prefix: ${prefix}`);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+
+  const file = (name) => {
+    if (!WORK_NAME_PATTERN.test(name)) throw new Error(`Invalid work file name: ${name}`);
+    return path.join(dir, name);
+  };
+
+  return {
+    dir,
+    file,
+    read: async (name, encoding) => fs.readFile(file(name), encoding),
+    remove: () => fs.rm(dir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Build the ffmpeg argument lists for a clip
+ *
+ * @param {Object} params
+ * @param {string} params.input - Recording URL or path
+ * @param {number} params.startTime - Clip start in seconds
+ * @param {number} params.duration - Clip length in seconds
+ * @param {string} params.workDir - Directory the outputs are written to
+ * @returns {Object} Argument lists keyed like OUTPUTS
+ */
+function buildRenderCommands({ input, startTime, duration, workDir }) {
+  const output = (key) => path.join(workDir, OUTPUTS[key].file);
+  // Input-side seek is fast and frame accurate when re-encoding
+  const seek = (offset) => ['-hide_banner', '-loglevel', 'error', '-y', '-ss', String(offset), '-i', input];
+
+  return {
+    clip: [
+      ...seek(startTime),
+      '-t', String(duration),
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-movflags', '+faststart',
+      output('clip')
+    ],
+    thumbnail: [
+      ...seek(startTime + duration / 2),
+      '-frames:v', '1',
+      '-vf', 'scale=640:-2',
+      '-q:v', '3',
+      output('thumbnail')
+    ],
+    preview: [
+      ...seek(startTime),
+      '-t', String(Math.min(duration, PREVIEW_SECONDS)),
+      '-an',
+      '-vf', 'fps=10,scale=320:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse',
+      '-loop', '0',
+      output('preview')
+    ]
+  };
+}
+
+/**
+ * Run ffmpeg, rejecting on a non-zero exit or after the timeout
+ */
+function runFfmpeg(args, { timeoutMs = FFMPEG_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`ffmpeg timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    child.stderr.on('data', (chunk) => {
+      // Keep the tail; that's where ffmpeg reports the failure
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`ffmpeg could not be started: ${error.message}`));
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+/**
+ * Where ffmpeg should read the recording from
+ *
+ * @param {Object} recording - stream_recordings row
+ * @param {number} expiresIn - Lifetime of a signed storage URL; must outlast the read
+ */
+async function resolveRecordingSource(recording, expiresIn = SIGNED_URL_TTL) {
+  if (recording.file_path) {
+    return storageManager.generateSignedUrl(
+      storageManager.buckets.STREAM_RECORDINGS,
+      recording.file_path,
+      expiresIn
+    );
+  }
+  if (recording.file_url) return recording.file_url;
+  throw new Error('Recording has no stored media');
+}
+
+/**
+ * Render a clip and upload its media
+ *
+ * @param {Object} clip - recording_clips row
+ * @param {Object} recording - stream_recordings row
+ * @returns {Promise<Object>} { clipPath, thumbnailPath, previewPath, fileSize }
+ */
+async function renderClip(clip, recording) {
+  const input = await resolveRecordingSource(recording);
+  const work = await createWorkDir(`clip-${clip.id}-`);
+
+  try {
+    const commands = buildRenderCommands({
+      input,
+      startTime: clip.start_time,
+      duration: clip.end_time - clip.start_time,
+      workDir: work.dir
+    });
+
+    // One at a time: each encode already uses every core
+    for (const key of Object.keys(OUTPUTS)) {
+      await runFfmpeg(commands[key]);
+    }
+
+    const folder = `${clip.creator_id}/clips/${clip.id}`;
+    const uploaded = {};
+    let fileSize = 0;
+
+    for (const [key, { file, contentType }] of Object.entries(OUTPUTS)) {
+      const buffer = await work.read(file);
+      const result = await storageManager.uploadFile(
+        storageManager.buckets.STREAM_CLIPS,
+        `${folder}/${file}`,
+        buffer,
+        { contentType, cacheControl: '86400', upsert: true }
+      );
+      uploaded[key] = result.path;
+      if (key === 'clip') fileSize = buffer.length;
+    }
+
+    return {
+      clipPath: uploaded.clip,
+      thumbnailPath: uploaded.thumbnail,
+      previewPath: uploaded.preview,
+      fileSize
+    };
+  } finally {
+    await work.remove();
+  }
+}
+
+/**
+ * Signed URLs for a clip's media
+ *
+ * Clips rendered before the render jobs existed only have clip_url and
+ * thumbnail_url, which are passed through.
+ *
+ * @returns {Promise<Object>} { clipUrl, thumbnailUrl, previewUrl }
+ */
+async function getClipMedia(clip, expiresIn = SIGNED_URL_TTL) {
+  if (clip.status !== 'ready') {
+    return { clipUrl: null, thumbnailUrl: null, previewUrl: null };
+  }
+
+  const sign = (filePath) => (filePath
+    ? storageManager.generateSignedUrl(storageManager.buckets.STREAM_CLIPS, filePath, expiresIn)
+    : null);
+
+  const [clipUrl, thumbnailUrl, previewUrl] = await Promise.all([
+    sign(clip.clip_path),
+    sign(clip.thumbnail_path),
+    sign(clip.preview_path)
+  ]);
+
+  return {
+    clipUrl: clipUrl || clip.clip_url || null,
+    thumbnailUrl: thumbnailUrl || clip.thumbnail_url || null,
+    previewUrl
+  };
+}
+
+/**
+ * Remove a clip's stored media
+ */
+async function deleteClipMedia(clip) {
+  const paths = [clip.clip_path, clip.thumbnail_path, clip.preview_path].filter(Boolean);
+
+  for (const filePath of paths) {
+    await storageManager.deleteFile(storageManager.buckets.STREAM_CLIPS, filePath);
+  }
+
+  return paths.length;
+}
+
+module.exports = {
+  createWorkDir,
+  buildRenderCommands,
+  runFfmpeg,
+  resolveRecordingSource,
+  renderClip,
+  getClipMedia,
+  deleteClipMedia
+};
@@ -0,0 +1,216 @@
+/**
+ * Collectible Cards
+ *
+ * Limited card editions minted by creators (CollectibleCardsMarketplace) and
+ * the perks they grant to holders. Purchases mint the next serial of an
+ * edition into the `cards` inventory table.
+ *
+ * Perks (card_edition_perks.config):
+ *   call_discount          { percent }    - off the creator's per-minute call rate
+ *   private_stream_access  { stream_id }  - join the creator's private streams
+ *                                           (every private stream when stream_id is null)
+ *
+ * Holding several discount cards for the same creator does not stack; the
+ * largest discount applies.
+ */
+
+const { pool } = require('./db');
+const { ResourceNotFoundError, ResourceConflictError, BusinessLogicError } = require('./app-errors');
+const { debitTokens, creditCreator } = require('./token-transfers');
+const { createJournal } = require('./token-ledger');
+
+const RARITIES = ['common', 'rare', 'epic', 'legendary'];
+const PERK_TYPES = ['call_discount', 'private_stream_access'];
+const MAX_CALL_DISCOUNT_PERCENT = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate a perk definition
+ *
+ * @param {Object} perk - { perk_type, config, description }
+ * @returns {string|null} Error message
+ */
+function validatePerk(perk) {
+  if (!perk || !PERK_TYPES.includes(perk.perk_type)) {
+    return `perk_type must be one of ${PERK_TYPES.join(', ')}`;
+  }
+
+  const config = perk.config || {};
+
+  if (perk.perk_type === 'call_discount') {
+    const percent = config.percent;
+    if (!Number.isInteger(percent) || percent < 1 || percent > MAX_CALL_DISCOUNT_PERCENT) {
+      return `call_discount percent must be a whole number between 1 and ${MAX_CALL_DISCOUNT_PERCENT}`;
+    }
+  }
+
+  if (perk.perk_type === 'private_stream_access' &&
+      config.stream_id !== undefined && config.stream_id !== null && !UUID_PATTERN.test(config.stream_id)) {
+    return 'private_stream_access stream_id must be a stream id or null';
+  }
+
+  return null;
+}
+
+/**
+ * Buy the next serial of an edition
+ *
+ * The serial is claimed with a conditional increment, which row-locks the
+ * edition until the transaction ends, so concurrent buyers queue up and the
+ * supply cap can never be exceeded. A failed token debit rolls the claim back.
+ *
+ * @param {Object} params
+ * @param {string} params.editionId
+ * @param {string} params.buyerId - Fan supabase_id
+ * @returns {Promise<Object>} The minted cards row joined with edition fields
+ * @throws {ResourceNotFoundError|ResourceConflictError|BusinessLogicError|InsufficientFundsError}
+ */
+async function purchaseCard({ editionId, buyerId }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const claim = await client.query(
+      `UPDATE card_editions
+       SET minted_count = minted_count + 1
+       WHERE id = $1
+         AND status = 'active'
+         AND minted_count < supply_cap
+         AND (sale_ends_at IS NULL OR sale_ends_at > NOW())
+         AND creator_id != $2
+       RETURNING *`,
+      [editionId, buyerId]
+    );
+
+    if (claim.rows.length === 0) {
+      const existing = await client.query(
+        'SELECT creator_id, status, minted_count, supply_cap, sale_ends_at FROM card_editions WHERE id = $1',
+        [editionId]
+      );
+      const edition = existing.rows[0];
+
+      if (!edition) throw new ResourceNotFoundError('Card edition');
+      if (edition.creator_id === buyerId) throw new BusinessLogicError('You cannot buy your own cards');
+      if (edition.minted_count >= edition.supply_cap) throw new ResourceConflictError('This edition is sold out');
+      throw new ResourceConflictError('This edition is not on sale');
+    }
+
+    const edition = claim.rows[0];
+
+    const journal = createJournal('card_purchase', { reference: `card_editions:${editionId}` });
+    await debitTokens(client, buyerId, edition.price_tokens, {
+      type: 'card_purchase',
+      journal,
+      relatedUserId: edition.creator_id
+    });
+    await creditCreator(client, edition.creator_id, edition.price_tokens, {
+      type: 'card_sale',
+      revenueType: 'card',
+      journal,
+      relatedUserId: buyerId
+    });
+    await journal.post(client);
+
+    const creator = await client.query(
+      'SELECT COALESCE(display_name, username) AS name FROM users WHERE supabase_id = $1',
+      [edition.creator_id]
+    );
+
+    const card = await client.query(
+      `INSERT INTO cards (
+         user_id, creator_id, creator_name, card_number, rarity, category,
+         value, edition_id, purchase_price
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $7)
+       RETURNING *`,
+      [
+        buyerId, edition.creator_id, creator.rows[0]?.name || null, edition.minted_count,
+        edition.rarity, edition.category, edition.price_tokens, edition.id
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    return { ...card.rows[0], edition };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Perks a fan holds for a creator through owned cards
+ *
+ * @param {string} fanId - Fan supabase_id
+ * @param {string} creatorId - Creator supabase_id
+ * @returns {Promise<Array<Object>>} [{ perk_type, config, edition_id }]
+ */
+async function getHolderPerks(fanId, creatorId) {
+  if (!fanId || !creatorId) return [];
+
+  const result = await pool.query(
+    `SELECT DISTINCT p.id, p.perk_type, p.config, p.description, e.id AS edition_id, e.title
+     FROM cards c
+     JOIN card_editions e ON e.id = c.edition_id
+     JOIN card_edition_perks p ON p.edition_id = e.id
+     WHERE c.user_id = $1 AND e.creator_id = $2`,
+    [fanId, creatorId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Largest call discount a fan holds for a creator
+ *
+ * @returns {Promise<number>} Percent, 0 when none
+ */
+async function getCallDiscountPercent(fanId, creatorId) {
+  const perks = await getHolderPerks(fanId, creatorId);
+  return perks
+    .filter(perk => perk.perk_type === 'call_discount')
+    .reduce((best, perk) => Math.max(best, Math.min(MAX_CALL_DISCOUNT_PERCENT, perk.config.percent || 0)), 0);
+}
+
+/**
+ * Apply a percentage discount to a per-minute token rate
+ *
+ * @param {number} tokensPerMinute
+ * @param {number} percent
+ * @returns {number} Discounted rate, never below 1 token
+ */
+function applyCallDiscount(tokensPerMinute, percent) {
+  if (!percent) return tokensPerMinute;
+  return Math.max(1, Math.ceil(tokensPerMinute * (100 - percent) / 100));
+}
+
+/**
+ * Whether a fan's cards unlock one of the creator's private streams
+ *
+ * @param {string} fanId
+ * @param {string} creatorId
+ * @param {string} streamId
+ * @returns {Promise<boolean>}
+ */
+async function hasPrivateStreamAccess(fanId, creatorId, streamId) {
+  const perks = await getHolderPerks(fanId, creatorId);
+  return perks.some(perk =>
+    perk.perk_type === 'private_stream_access' &&
+    (!perk.config.stream_id || perk.config.stream_id === streamId)
+  );
+}
+
+module.exports = {
+  RARITIES,
+  PERK_TYPES,
+  MAX_CALL_DISCOUNT_PERCENT,
+  validatePerk,
+  purchaseCard,
+  getHolderPerks,
+  getCallDiscountPercent,
+  applyCallDiscount,
+  hasPrivateStreamAccess
+};
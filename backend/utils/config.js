@@ -132,9 +132,6 @@ const CONFIG_KEYS = {
   // Token settings
   TOKEN_USD_RATE: 'token_usd_rate',
 
-  // Platform settings
-  PLATFORM_FEE_PERCENTAGE: 'platform_fee_percentage',
-
   // VOD settings
   VOD_DEFAULT_PRICE: 'vod_default_price',
   VOD_PURCHASE_EXPIRY_HOURS: 'vod_purchase_expiry_hours',
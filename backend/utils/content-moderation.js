@@ -0,0 +1,560 @@
+/**
+ * Content Moderation
+ *
+ * Scores content with the configured provider (utils/moderation-providers.js)
+ * and turns the scores into a decision with the per-category thresholds in
+ * moderation_thresholds:
+ *
+ *   none    below every review threshold; recorded as approved
+ *   review  at or above a review threshold; held in moderation_queue
+ *   block   at or above a block threshold; content removed, user penalised,
+ *           and the user may appeal
+ *
+ * Every decision is a content_moderation row. Admin reviews and appeals are
+ * resolved through moderation_queue, which feeds GET /moderation/admin/history.
+ */
+
+const { pool } = require('./db');
+const { logger } = require('./secureLogger');
+const {
+  BusinessLogicError,
+  ResourceConflictError,
+  ResourceNotFoundError
+} = require('./app-errors');
+const { CATEGORIES, getProvider, localProvider } = require('./moderation-providers');
+
+const DEFAULT_THRESHOLDS = {
+  hate_speech: { review: 40, block: 80 },
+  harassment: { review: 40, block: 80 },
+  threats_violence: { review: 35, block: 75 },
+  self_harm: { review: 30, block: 90 },
+  adult_content: { review: 40, block: 80 },
+  spam: { review: 50, block: 90 }
+};
+
+const MAX_VIDEO_FRAMES = 20;
+const REVIEW_DEADLINE_HOURS = 24;
+const APPEAL_DEADLINE_HOURS = 72;
+const MAX_APPEAL_LENGTH = 1000;
+
+// Decision -> content_moderation status / action_taken
+const DECISION_STATUS = { none: 'approved', review: 'pending', block: 'rejected' };
+const DECISION_ACTION = { none: 'none', review: 'pending_review', block: 'content_removed' };
+
+async function getThresholds(db = pool) {
+  const result = await db.query('SELECT category, review_threshold, block_threshold FROM moderation_thresholds');
+  const thresholds = JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+  for (const row of result.rows) {
+    if (!thresholds[row.category]) continue;
+    thresholds[row.category] = { review: row.review_threshold, block: row.block_threshold };
+  }
+  return thresholds;
+}
+
+async function updateThreshold({ category, review, block, adminId }) {
+  if (!CATEGORIES.includes(category)) {
+    throw new BusinessLogicError(`category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  const reviewThreshold = parseInt(review, 10);
+  const blockThreshold = parseInt(block, 10);
+  if (![reviewThreshold, blockThreshold].every(t => Number.isInteger(t) && t >= 1 && t <= 100)) {
+    throw new BusinessLogicError('Thresholds must be whole numbers between 1 and 100');
+  }
+  if (reviewThreshold > blockThreshold) {
+    throw new BusinessLogicError('The review threshold cannot be above the block threshold');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO moderation_thresholds (category, review_threshold, block_threshold, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (category) DO UPDATE SET
+       review_threshold = EXCLUDED.review_threshold,
+       block_threshold = EXCLUDED.block_threshold,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [category, reviewThreshold, blockThreshold, adminId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Apply thresholds to a provider result
+ *
+ * @param {Object} result - { provider, categories: { [category]: score }, reasons }
+ * @param {Object} thresholds - { [category]: { review, block } }
+ * @returns {Object} { action, isViolation, confidence, severity, categories, reasons }
+ */
+function decide(result, thresholds) {
+  const flagged = [];
+  let blocked = false;
+
+  for (const [category, score] of Object.entries(result.categories)) {
+    const threshold = thresholds[category];
+    if (!threshold) continue;
+    if (score >= threshold.review) flagged.push(category);
+    if (score >= threshold.block) blocked = true;
+  }
+
+  const confidence = Math.max(0, ...Object.values(result.categories));
+  const action = blocked ? 'block' : flagged.length > 0 ? 'review' : 'none';
+  let severity = 'low';
+  if (action === 'block') severity = confidence >= 95 ? 'critical' : 'high';
+  else if (action === 'review') severity = 'medium';
+
+  return {
+    action,
+    isViolation: action !== 'none',
+    confidence,
+    severity,
+    categories: flagged,
+    reasons: result.reasons
+  };
+}
+
+/**
+ * Score content with the configured provider. A video is scored on its
+ * frames and keeps the worst score per category. Falls back to the local
+ * heuristics when an external provider fails.
+ *
+ * @param {string} kind - 'text' | 'image' | 'video'
+ * @param {string|Array<string>} content - Text, image URL or frame URLs
+ */
+async function scoreContent(kind, content) {
+  const provider = getProvider();
+  const run = async (p) => {
+    if (kind === 'text') return p.moderateText(content);
+    if (kind === 'image') return p.moderateImage(content);
+
+    const frames = content.slice(0, MAX_VIDEO_FRAMES);
+    const results = [];
+    for (const [index, frameUrl] of frames.entries()) {
+      results.push(await p.moderateVideoFrame(frameUrl, { frameIndex: index }));
+    }
+    const categories = {};
+    for (const category of CATEGORIES) {
+      categories[category] = Math.max(0, ...results.map(r => r.categories[category] || 0));
+    }
+    return { provider: p.name, categories, reasons: [...new Set(results.flatMap(r => r.reasons))] };
+  };
+
+  try {
+    return await run(provider);
+  } catch (error) {
+    if (provider === localProvider) throw error;
+    logger.error('Moderation provider failed, using local heuristics:', { provider: provider.name, error: error.message });
+    return run(localProvider);
+  }
+}
+
+/**
+ * Remove content after a block decision or a rejected review
+ */
+async function removeContent(db, record, reason) {
+  if (record.content_type === 'message') {
+    await db.query(
+      'UPDATE chat_messages SET is_blocked = true, blocked_reason = $1 WHERE id::text = $2',
+      [reason, record.content_id]
+    );
+  } else if (record.content_type === 'profile') {
+    await db.query(
+      'UPDATE users SET profile_blocked = true, profile_block_reason = $1 WHERE supabase_id = $2',
+      [reason, record.user_id]
+    );
+  } else {
+    await db.query(
+      `INSERT INTO blocked_content (content_type, content_id, user_id, original_content, reason, severity, moderation_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [record.content_type, record.content_id, record.user_id, record.original_content, reason, record.severity, record.id]
+    );
+  }
+}
+
+/**
+ * Undo removeContent after an approved review or an overturned appeal
+ */
+async function restoreContent(db, record) {
+  if (record.content_type === 'message') {
+    await db.query(
+      'UPDATE chat_messages SET is_blocked = false, blocked_reason = NULL WHERE id::text = $1',
+      [record.content_id]
+    );
+  } else if (record.content_type === 'profile') {
+    await db.query(
+      'UPDATE users SET profile_blocked = false, profile_block_reason = NULL WHERE supabase_id = $1',
+      [record.user_id]
+    );
+  } else {
+    await db.query(
+      `UPDATE blocked_content SET expires_at = NOW(), appeal_status = 'approved'
+       WHERE moderation_id = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
+      [record.id]
+    );
+  }
+}
+
+/**
+ * Strike the user, suspending them after repeated medium or high severity
+ * violations. Never fails the moderation request.
+ */
+async function applyUserPenalty(userId, severity, moderationId) {
+  try {
+    const userQuery = await pool.query(
+      'SELECT moderation_strikes FROM users WHERE supabase_id = $1',
+      [userId]
+    );
+    if (userQuery.rows.length === 0) return;
+
+    let newStrikes = (userQuery.rows[0].moderation_strikes || 0) + 1;
+    let suspensionDays = 0;
+
+    if (severity === 'high' || severity === 'critical') {
+      newStrikes += 2;
+      if (newStrikes >= 3) suspensionDays = 7;
+    } else if (severity === 'medium') {
+      newStrikes += 1;
+      if (newStrikes >= 5) suspensionDays = 3;
+    }
+
+    const suspensionEnd = suspensionDays > 0
+      ? new Date(Date.now() + suspensionDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    await pool.query(
+      `UPDATE users
+       SET moderation_strikes = $1,
+           suspension_end = COALESCE($2, suspension_end),
+           is_suspended = is_suspended OR $3
+       WHERE supabase_id = $4`,
+      [newStrikes, suspensionEnd, suspensionEnd !== null, userId]
+    );
+
+    await pool.query(
+      `INSERT INTO user_penalties (user_id, penalty_type, severity, duration_days, reason, related_content_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        userId,
+        suspensionEnd ? 'suspension' : 'warning',
+        severity,
+        suspensionDays,
+        `Automatic penalty for ${severity} severity content violation`,
+        moderationId,
+        suspensionEnd
+      ]
+    );
+  } catch (error) {
+    logger.error('Error applying user penalty:', { userId, error: error.message });
+  }
+}
+
+/**
+ * Score, decide, record and act on a piece of content
+ *
+ * @param {Object} params
+ * @param {string} params.contentType - content_moderation.content_type
+ * @param {string} params.contentId
+ * @param {string} params.userId - Author of the content
+ * @param {string} params.kind - 'text' | 'image' | 'video'
+ * @param {string|Array<string>} params.content - Text, image URL or video frame URLs
+ * @param {string} [params.originalContent] - Stored for reviewers; defaults to content
+ * @returns {Promise<Object>} { record, decision }
+ */
+async function moderateContent({ contentType, contentId, userId, kind, content, originalContent }) {
+  const result = await scoreContent(kind, content);
+  const decision = decide(result, await getThresholds());
+  const stored = originalContent ?? (Array.isArray(content) ? content.join('\n') : content);
+
+  const inserted = await pool.query(
+    `INSERT INTO content_moderation
+     (content_type, content_id, user_id, original_content, moderation_result, is_violation,
+      confidence_score, severity, violation_categories, action_taken, status, provider, category_scores)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      contentType,
+      contentId,
+      userId,
+      stored,
+      JSON.stringify({ ...result, decision: decision.action }),
+      decision.isViolation,
+      decision.confidence,
+      decision.severity,
+      decision.categories,
+      DECISION_ACTION[decision.action],
+      DECISION_STATUS[decision.action],
+      result.provider,
+      JSON.stringify(result.categories)
+    ]
+  );
+  const record = inserted.rows[0];
+
+  if (decision.action === 'review') {
+    await pool.query(
+      `INSERT INTO moderation_queue (moderation_id, priority, review_deadline)
+       VALUES ($1, 'normal', NOW() + make_interval(hours => $2))`,
+      [record.id, REVIEW_DEADLINE_HOURS]
+    );
+  } else if (decision.action === 'block') {
+    await removeContent(pool, record, `Moderation: ${decision.categories.join(', ')}`);
+    await applyUserPenalty(userId, decision.severity, record.id);
+  }
+
+  return { record, decision };
+}
+
+/**
+ * Admin decision on a held item. Runs inside the caller's transaction.
+ *
+ * @param {string} action - 'approve' | 'reject' | 'escalate'
+ * @returns {Promise<Object|null>} The updated record, or null if it doesn't exist
+ */
+async function reviewDecision(client, { moderationId, adminId, action, notes = null }) {
+  if (!['approve', 'reject', 'escalate'].includes(action)) {
+    throw new BusinessLogicError('action must be approve, reject or escalate');
+  }
+
+  const current = await client.query('SELECT * FROM content_moderation WHERE id = $1 FOR UPDATE', [moderationId]);
+  const before = current.rows[0];
+  if (!before) return null;
+
+  const status = { approve: 'approved', reject: 'rejected', escalate: 'escalated' }[action];
+  const actionTaken = { approve: 'none', reject: 'content_removed', escalate: before.action_taken }[action];
+  const updated = await client.query(
+    `UPDATE content_moderation
+     SET status = $1, action_taken = $2, admin_review = $3, reviewed_by = $4, reviewed_at = NOW(),
+         auto_moderated = false, updated_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [status, actionTaken, notes, adminId, moderationId]
+  );
+  const record = updated.rows[0];
+
+  if (action === 'escalate') {
+    await client.query(
+      `UPDATE moderation_queue SET status = 'escalated', priority = 'urgent'
+       WHERE moderation_id = $1 AND appeal_id IS NULL AND status IN ('pending', 'in_review')`,
+      [moderationId]
+    );
+    return record;
+  }
+
+  await client.query(
+    `UPDATE moderation_queue SET status = 'completed', completed_by = $2, completed_at = NOW()
+     WHERE moderation_id = $1 AND appeal_id IS NULL AND status IN ('pending', 'in_review', 'escalated')`,
+    [moderationId, adminId]
+  );
+
+  const wasRemoved = before.action_taken === 'content_removed';
+  if (action === 'reject' && !wasRemoved) {
+    await removeContent(client, record, `Moderation review: ${notes || 'rejected'}`);
+  } else if (action === 'approve' && wasRemoved) {
+    await restoreContent(client, record);
+  }
+
+  return record;
+}
+
+/**
+ * Contest a removal. One appeal per decision. Runs inside the caller's
+ * transaction.
+ */
+async function fileAppeal(client, { moderationId, userId, reason }) {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) throw new BusinessLogicError('Tell us why the decision was wrong');
+  if (text.length > MAX_APPEAL_LENGTH) {
+    throw new BusinessLogicError(`Appeals are limited to ${MAX_APPEAL_LENGTH} characters`);
+  }
+
+  const decision = await client.query(
+    'SELECT id, action_taken FROM content_moderation WHERE id = $1 AND user_id = $2',
+    [moderationId, userId]
+  );
+  if (decision.rows.length === 0) throw new ResourceNotFoundError('Moderation decision');
+  if (decision.rows[0].action_taken !== 'content_removed') {
+    throw new BusinessLogicError('Only removed content can be appealed');
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO moderation_appeals (moderation_id, user_id, reason)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (moderation_id) DO NOTHING
+     RETURNING *`,
+    [moderationId, userId, text]
+  );
+  if (inserted.rows.length === 0) {
+    throw new ResourceConflictError('This decision has already been appealed');
+  }
+  const appeal = inserted.rows[0];
+
+  await client.query(
+    `INSERT INTO moderation_queue (moderation_id, appeal_id, priority, review_deadline)
+     VALUES ($1, $2, 'high', NOW() + make_interval(hours => $3))`,
+    [moderationId, appeal.id, APPEAL_DEADLINE_HOURS]
+  );
+
+  return appeal;
+}
+
+/**
+ * Uphold or overturn an appeal. Overturning restores the content and lifts
+ * the penalties issued for it. Runs inside the caller's transaction.
+ *
+ * @returns {Promise<Object|null>} { appeal, record }, or null if the appeal isn't pending
+ */
+async function resolveAppeal(client, { appealId, adminId, overturn, notes = null }) {
+  const updated = await client.query(
+    `UPDATE moderation_appeals
+     SET status = $2, resolved_by = $3, resolved_at = NOW(), resolution_notes = $4
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [appealId, overturn ? 'overturned' : 'upheld', adminId, notes]
+  );
+  const appeal = updated.rows[0];
+  if (!appeal) return null;
+
+  await client.query(
+    `UPDATE moderation_queue SET status = 'completed', completed_by = $2, completed_at = NOW()
+     WHERE appeal_id = $1 AND status IN ('pending', 'in_review', 'escalated')`,
+    [appeal.id, adminId]
+  );
+
+  if (!overturn) {
+    const record = await client.query('SELECT * FROM content_moderation WHERE id = $1', [appeal.moderation_id]);
+    return { appeal, record: record.rows[0] };
+  }
+
+  const record = (await client.query(
+    `UPDATE content_moderation
+     SET status = 'approved', action_taken = 'none', admin_review = $2, reviewed_by = $3, reviewed_at = NOW(),
+         auto_moderated = false, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [appeal.moderation_id, notes || 'Appeal overturned', adminId]
+  )).rows[0];
+
+  await restoreContent(client, record);
+
+  await client.query(
+    `UPDATE user_penalties
+     SET is_active = false, lifted_by = $2, lifted_at = NOW(), lifted_reason = 'Appeal overturned'
+     WHERE related_content_id = $1 AND is_active = true`,
+    [record.id, adminId]
+  );
+  // Lift the suspension unless another active one still applies
+  await client.query(
+    `UPDATE users SET is_suspended = false, suspension_end = NULL
+     WHERE supabase_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM user_penalties
+         WHERE user_id = $1 AND penalty_type = 'suspension' AND is_active = true
+           AND (expires_at IS NULL OR expires_at > NOW())
+       )`,
+    [record.user_id]
+  );
+
+  return { appeal, record };
+}
+
+/**
+ * Decisions for the admin history, newest first
+ *
+ * @param {Object} filters - contentType, severity, status, queue ('open'),
+ *   appealStatus, limit, offset
+ */
+async function getHistory({ contentType, severity, status, queue, appealStatus, limit = 50, offset = 0 } = {}) {
+  let query = `
+    SELECT
+      cm.*,
+      u.username,
+      u.email,
+      q.id AS queue_id,
+      q.status AS queue_status,
+      q.priority AS queue_priority,
+      q.review_deadline,
+      a.id AS appeal_id,
+      a.status AS appeal_status,
+      a.reason AS appeal_reason,
+      a.created_at AS appealed_at
+    FROM content_moderation cm
+    JOIN users u ON u.supabase_id = cm.user_id
+    LEFT JOIN LATERAL (
+      SELECT * FROM moderation_queue
+      WHERE moderation_id = cm.id
+      ORDER BY created_at DESC
+      LIMIT 1
+    ) q ON true
+    LEFT JOIN moderation_appeals a ON a.moderation_id = cm.id
+    WHERE 1=1
+  `;
+  const params = [];
+  let paramIndex = 1;
+
+  if (contentType) {
+    query += ` AND cm.content_type = $${paramIndex}`;
+    params.push(contentType);
+    paramIndex++;
+  }
+
+  if (severity) {
+    query += ` AND cm.severity = $${paramIndex}`;
+    params.push(severity);
+    paramIndex++;
+  }
+
+  if (status) {
+    query += ` AND cm.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  if (appealStatus) {
+    query += ` AND a.status = $${paramIndex}`;
+    params.push(appealStatus);
+    paramIndex++;
+  }
+
+  if (queue === 'open') {
+    query += ` AND q.status IN ('pending', 'in_review', 'escalated')`;
+    query += ` ORDER BY CASE q.priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END, q.created_at`;
+  } else {
+    query += ' ORDER BY cm.created_at DESC';
+  }
+
+  query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+  params.push(Math.min(Math.max(parseInt(limit) || 50, 1), 200), Math.max(parseInt(offset) || 0, 0));
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * The user's own held and removed content, with any appeal
+ */
+async function getUserDecisions(userId) {
+  const result = await pool.query(
+    `SELECT cm.id, cm.content_type, cm.content_id, cm.original_content, cm.violation_categories,
+            cm.severity, cm.action_taken, cm.status, cm.created_at,
+            a.id AS appeal_id, a.status AS appeal_status, a.resolution_notes, a.resolved_at
+     FROM content_moderation cm
+     LEFT JOIN moderation_appeals a ON a.moderation_id = cm.id
+     WHERE cm.user_id = $1 AND cm.is_violation = true
+     ORDER BY cm.created_at DESC
+     LIMIT 100`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  updateThreshold,
+  decide,
+  scoreContent,
+  moderateContent,
+  reviewDecision,
+  fileAppeal,
+  resolveAppeal,
+  getHistory,
+  getUserDecisions
+};
@@ -0,0 +1,264 @@
+/**
+ * Direct Message Delivery
+ *
+ * Shared delivery path for 1:1 messages. Used by POST /api/messages/send and
+ * by background senders (scheduled messages) so pricing, block checks and
+ * realtime fan-out behave the same no matter who triggers the send.
+ */
+
+const { supabase } = require('./supabase');
+const { pool } = require('./db');
+const { InsufficientFundsError } = require('./app-errors');
+const { debitTokens, creditCreator } = require('./token-transfers');
+const { createJournal } = require('./token-ledger');
+const { publishToChannel } = require('./ably-adapter');
+const { logger } = require('./secureLogger');
+
+/**
+ * Check whether the recipient has blocked the sender
+ *
+ * Covers both block stores: creator_blocked_users (POST /users/block-user)
+ * and the older user_blocks table keyed by users.id.
+ *
+ * @param {string} senderId - Sender supabase_id
+ * @param {string} recipientId - Recipient supabase_id
+ * @returns {Promise<boolean>}
+ */
+async function isBlockedByRecipient(senderId, recipientId) {
+  const result = await pool.query(
+    `SELECT
+       EXISTS (
+         SELECT 1 FROM creator_blocked_users
+         WHERE creator_id = $2 AND blocked_user_id = $1
+       ) OR EXISTS (
+         SELECT 1
+         FROM user_blocks ub
+         JOIN users blocker ON ub.blocker_id = blocker.id
+         JOIN users blocked ON ub.blocked_id = blocked.id
+         WHERE blocker.supabase_id = $2 AND blocked.supabase_id = $1
+       ) AS blocked`,
+    [senderId, recipientId]
+  );
+
+  return result.rows[0]?.blocked === true;
+}
+
+/**
+ * Hide the media of a pay-to-unlock message from a recipient who has not paid
+ *
+ * @param {Object} message - messages row
+ * @param {string} viewerId - supabase_id of the user the message is shown to
+ * @returns {Object} The message, or a copy without media_url
+ */
+function redactLockedMedia(message, viewerId) {
+  if (message.is_unlocked === false && message.recipient_id === viewerId) {
+    return { ...message, media_url: null };
+  }
+  return message;
+}
+
+/**
+ * Charge the sender for a premium message and credit the recipient
+ *
+ * The recipient is credited net of the PPV platform fee on the caller's
+ * transaction, the same as POST /messages/:messageId/unlock.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @returns {Promise<number>} Tokens charged
+ * @throws {InsufficientFundsError}
+ */
+async function chargePremiumMessage(client, { senderId, recipientId, messageType, messageId }) {
+  // Fetch creator's message rate from users table
+  const recipientResult = await client.query(
+    'SELECT message_price FROM users WHERE supabase_id = $1',
+    [recipientId]
+  );
+  const tokensSpent = recipientResult.rows[0]?.message_price || 5; // Default to 5 tokens
+
+  const journal = createJournal('premium_message', {
+    reference: `messages:${messageId}`,
+    memo: `Premium ${messageType} message`
+  });
+  await debitTokens(client, senderId, tokensSpent, { type: 'premium_message', journal, relatedUserId: recipientId });
+  await creditCreator(client, recipientId, tokensSpent, {
+    type: 'premium_message_earning',
+    revenueType: 'ppv',
+    journal,
+    relatedUserId: senderId
+  });
+  await journal.post(client);
+
+  return tokensSpent;
+}
+
+/**
+ * Insert a message and charge for it in one transaction
+ *
+ * Messages sent from the scheduled queue are keyed on their scheduled row, so
+ * delivering the same row twice returns the first message without charging
+ * again.
+ *
+ * @returns {Promise<Object>} { success, message, duplicate } or { success: false, error, required, balance }
+ */
+async function insertMessage(row, { isPremium, messageType }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const inserted = await client.query(
+      `INSERT INTO messages (
+         conversation_id, sender_id, recipient_id, content, media_url, media_type,
+         message_type, metadata, is_premium, unlock_price, is_unlocked, scheduled_message_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (scheduled_message_id) DO NOTHING
+       RETURNING *`,
+      [
+        row.conversation_id, row.sender_id, row.recipient_id, row.content, row.media_url,
+        row.media_type, messageType, row.metadata, isPremium, row.unlock_price,
+        row.is_unlocked, row.scheduled_message_id
+      ]
+    );
+
+    if (inserted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      const existing = await pool.query(
+        'SELECT * FROM messages WHERE scheduled_message_id = $1',
+        [row.scheduled_message_id]
+      );
+      return { success: true, message: existing.rows[0], duplicate: true };
+    }
+
+    let message = inserted.rows[0];
+
+    if (isPremium) {
+      let tokensSpent;
+      try {
+        tokensSpent = await chargePremiumMessage(client, {
+          senderId: row.sender_id,
+          recipientId: row.recipient_id,
+          messageType,
+          messageId: message.id
+        });
+      } catch (error) {
+        if (error instanceof InsufficientFundsError) {
+          await client.query('ROLLBACK');
+          return {
+            success: false,
+            error: 'INSUFFICIENT_TOKENS',
+            required: error.required,
+            balance: error.available || 0
+          };
+        }
+        throw error;
+      }
+
+      const charged = await client.query(
+        'UPDATE messages SET tokens_spent = $2 WHERE id = $1 RETURNING *',
+        [message.id, tokensSpent]
+      );
+      message = charged.rows[0];
+    }
+
+    await client.query('COMMIT');
+
+    return { success: true, message, duplicate: false };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Deliver a direct message
+ *
+ * Gets or creates the conversation, inserts and charges the message in one
+ * transaction and publishes it to the recipient's realtime channel.
+ *
+ * @param {Object} params
+ * @param {string} params.senderId - Sender supabase_id
+ * @param {string} params.recipientId - Recipient supabase_id
+ * @param {string} [params.content] - Text content
+ * @param {string} [params.mediaUrl] - Attached media URL
+ * @param {string} [params.mediaType] - 'image', 'video', 'audio', 'file'
+ * @param {string} [params.messageType='text'] - Message type
+ * @param {Object} [params.metadata={}] - Extra message metadata
+ * @param {boolean} [params.isPremium=false] - Sender pays recipient's message rate
+ * @param {number} [params.unlockPrice=0] - PPV unlock price in tokens
+ * @param {string} [params.scheduledMessageId] - scheduled_messages row being delivered
+ * @returns {Promise<Object>} { success, message } or { success: false, error, ... }
+ */
+async function deliverDirectMessage({
+  senderId,
+  recipientId,
+  content,
+  mediaUrl,
+  mediaType,
+  messageType = 'text',
+  metadata = {},
+  isPremium = false,
+  unlockPrice = 0,
+  scheduledMessageId = null
+}) {
+  if (await isBlockedByRecipient(senderId, recipientId)) {
+    return { success: false, error: 'RECIPIENT_BLOCKED' };
+  }
+
+  // Get or create conversation
+  const { data: conversationId, error: convError } = await supabase.rpc('get_or_create_conversation', {
+    p_user1_id: senderId,
+    p_user2_id: recipientId
+  });
+
+  if (convError) throw convError;
+
+  const result = await insertMessage({
+    conversation_id: conversationId,
+    sender_id: senderId,
+    recipient_id: recipientId,
+    content,
+    media_url: mediaUrl,
+    media_type: mediaType,
+    metadata,
+    unlock_price: unlockPrice,
+    is_unlocked: !(unlockPrice > 0),
+    scheduled_message_id: scheduledMessageId
+  }, { isPremium, messageType });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const senderResult = await pool.query(
+    'SELECT id, username, display_name, profile_pic_url FROM users WHERE id = $1',
+    [senderId]
+  );
+  const message = { ...result.message, sender: senderResult.rows[0] || null };
+
+  // An earlier attempt already delivered this scheduled message
+  if (result.duplicate) {
+    return { success: true, message, duplicate: true };
+  }
+
+  // Realtime is best-effort: the message is already persisted
+  try {
+    await publishToChannel(`user:${recipientId}`, 'message:new', {
+      conversationId,
+      message: redactLockedMedia(message, recipientId)
+    });
+  } catch (error) {
+    logger.warn('Failed to publish direct message', {
+      messageId: message.id,
+      error: error.message
+    });
+  }
+
+  return { success: true, message };
+}
+
+module.exports = {
+  isBlockedByRecipient,
+  redactLockedMedia,
+  deliverDirectMessage
+};
@@ -0,0 +1,250 @@
+/**
+ * Fee Policy
+ *
+ * The one place platform fees on creator revenue are decided. Every route
+ * that credits a creator asks calculateFees() for a breakdown, credits the
+ * net amount and stores the breakdown on the creator's token_transactions row
+ * (fee_breakdown) so any payout can be traced back to the rule that priced it.
+ *
+ * Rates come from, in order:
+ *   1. creator_fee_overrides - negotiated rates for one creator, for one
+ *      revenue type or all of them, inside an effective window
+ *   2. fee_policy_rules      - the platform rate per revenue type; a new row
+ *      with a later effective_from supersedes the previous one
+ *   3. DEFAULT_FEE_PERCENT   - when no rule has been configured
+ *
+ * Fees are rounded down, so rounding always favours the creator.
+ */
+
+const { pool } = require('./db');
+const { BusinessLogicError } = require('./app-errors');
+
+const REVENUE_TYPES = ['tip', 'gift', 'ppv', 'shop', 'call', 'subscription', 'ticket', 'card'];
+const DEFAULT_FEE_PERCENT = 0;
+
+function validateRevenueType(revenueType, { allowAll = false } = {}) {
+  if (allowAll && revenueType == null) return null;
+  if (!REVENUE_TYPES.includes(revenueType)) {
+    throw new BusinessLogicError(`revenueType must be one of ${REVENUE_TYPES.join(', ')}`);
+  }
+  return revenueType;
+}
+
+function validatePercent(percent) {
+  const value = Number(percent);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    throw new BusinessLogicError('platformFeePercent must be between 0 and 100');
+  }
+  return Math.round(value * 100) / 100;
+}
+
+function validateDate(value, field) {
+  if (value == null) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new BusinessLogicError(`${field} must be a date`);
+  return date;
+}
+
+/**
+ * The fee rate that applies to a creator's revenue at a point in time
+ *
+ * @param {Object} db - pool or client
+ * @returns {Promise<Object>} { percent, source: 'override' | 'rule' | 'default', id, effectiveFrom }
+ */
+async function resolveFeePercent(db, { creatorId, revenueType, at = new Date() }) {
+  validateRevenueType(revenueType);
+
+  const override = await db.query(
+    `SELECT id, platform_fee_percent, effective_from
+     FROM creator_fee_overrides
+     WHERE creator_id = $1
+       AND (revenue_type = $2 OR revenue_type IS NULL)
+       AND revoked_at IS NULL
+       AND effective_from <= $3
+       AND (effective_until IS NULL OR effective_until > $3)
+     ORDER BY (revenue_type IS NOT NULL) DESC, effective_from DESC
+     LIMIT 1`,
+    [creatorId, revenueType, at]
+  );
+  if (override.rows[0]) {
+    const row = override.rows[0];
+    return { percent: Number(row.platform_fee_percent), source: 'override', id: row.id, effectiveFrom: row.effective_from };
+  }
+
+  const rule = await db.query(
+    `SELECT id, platform_fee_percent, effective_from
+     FROM fee_policy_rules
+     WHERE revenue_type = $1 AND effective_from <= $2
+     ORDER BY effective_from DESC
+     LIMIT 1`,
+    [revenueType, at]
+  );
+  if (rule.rows[0]) {
+    const row = rule.rows[0];
+    return { percent: Number(row.platform_fee_percent), source: 'rule', id: row.id, effectiveFrom: row.effective_from };
+  }
+
+  return { percent: DEFAULT_FEE_PERCENT, source: 'default', id: null, effectiveFrom: null };
+}
+
+/**
+ * Split a gross amount into platform fee and creator net
+ *
+ * @param {Object} db - pool or client
+ * @param {Object} params
+ * @param {string} params.creatorId
+ * @param {string} params.revenueType - One of REVENUE_TYPES
+ * @param {number} params.grossTokens - What the fan paid
+ * @param {Date} [params.at] - When the revenue was earned
+ * @returns {Promise<Object>} The fee breakdown stored on the transaction
+ */
+async function calculateFees(db, { creatorId, revenueType, grossTokens, at = new Date() }) {
+  const policy = await resolveFeePercent(db, { creatorId, revenueType, at });
+  const platformFeeTokens = Math.floor(grossTokens * policy.percent / 100);
+
+  return {
+    revenueType,
+    grossTokens,
+    platformFeePercent: policy.percent,
+    platformFeeTokens,
+    creatorNetTokens: grossTokens - platformFeeTokens,
+    policySource: policy.source,
+    policyId: policy.id,
+    policyEffectiveFrom: policy.effectiveFrom,
+    calculatedAt: at.toISOString()
+  };
+}
+
+/**
+ * Current rate per revenue type for a creator, for their earnings page and
+ * the admin creator view
+ */
+async function getEffectiveFees(creatorId, at = new Date()) {
+  const fees = {};
+  for (const revenueType of REVENUE_TYPES) {
+    fees[revenueType] = await resolveFeePercent(pool, { creatorId, revenueType, at });
+  }
+  return fees;
+}
+
+/**
+ * Platform rules, newest first per revenue type, including scheduled ones
+ */
+async function listRules() {
+  const result = await pool.query(
+    `SELECT r.*, (r.effective_from <= NOW()) AS started
+     FROM fee_policy_rules r
+     ORDER BY r.revenue_type, r.effective_from DESC`
+  );
+  return result.rows;
+}
+
+/**
+ * Schedule a platform rate. Rules are never edited: a later rule supersedes
+ * an earlier one from its effective date, which keeps past breakdowns
+ * reproducible.
+ */
+async function addRule({ revenueType, platformFeePercent, effectiveFrom, notes = null, adminId }) {
+  const result = await pool.query(
+    `INSERT INTO fee_policy_rules (revenue_type, platform_fee_percent, effective_from, notes, created_by)
+     VALUES ($1, $2, COALESCE($3, NOW()), $4, $5)
+     RETURNING *`,
+    [
+      validateRevenueType(revenueType),
+      validatePercent(platformFeePercent),
+      validateDate(effectiveFrom, 'effectiveFrom'),
+      notes,
+      adminId
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Delete a rule that has not taken effect yet
+ *
+ * @returns {Promise<boolean>} false if the rule doesn't exist or already started
+ */
+async function deleteScheduledRule(ruleId) {
+  const result = await pool.query(
+    'DELETE FROM fee_policy_rules WHERE id = $1 AND effective_from > NOW()',
+    [ruleId]
+  );
+  return result.rowCount > 0;
+}
+
+async function listOverrides(creatorId = null) {
+  const result = await pool.query(
+    `SELECT o.*, u.username AS creator_username
+     FROM creator_fee_overrides o
+     JOIN users u ON u.supabase_id = o.creator_id
+     WHERE ($1::uuid IS NULL OR o.creator_id = $1)
+     ORDER BY o.creator_id, o.effective_from DESC`,
+    [creatorId]
+  );
+  return result.rows;
+}
+
+/**
+ * Record a negotiated rate for a creator
+ *
+ * @param {string|null} revenueType - null applies to every revenue type
+ */
+async function addOverride({ creatorId, revenueType = null, platformFeePercent, effectiveFrom, effectiveUntil, reason, adminId }) {
+  if (!reason || !String(reason).trim()) {
+    throw new BusinessLogicError('A reason is required for a negotiated rate');
+  }
+  const from = validateDate(effectiveFrom, 'effectiveFrom') || new Date();
+  const until = validateDate(effectiveUntil, 'effectiveUntil');
+  if (until && until <= from) {
+    throw new BusinessLogicError('effectiveUntil must be after effectiveFrom');
+  }
+
+  const creator = await pool.query('SELECT 1 FROM users WHERE supabase_id = $1 AND is_creator = true', [creatorId]);
+  if (creator.rows.length === 0) throw new BusinessLogicError('Overrides can only be set for creators');
+
+  const result = await pool.query(
+    `INSERT INTO creator_fee_overrides
+     (creator_id, revenue_type, platform_fee_percent, effective_from, effective_until, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      creatorId,
+      validateRevenueType(revenueType, { allowAll: true }),
+      validatePercent(platformFeePercent),
+      from,
+      until,
+      String(reason).trim(),
+      adminId
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * @returns {Promise<Object|null>} The revoked override, or null if it wasn't active
+ */
+async function revokeOverride(overrideId, adminId) {
+  const result = await pool.query(
+    `UPDATE creator_fee_overrides
+     SET revoked_at = NOW(), revoked_by = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING *`,
+    [overrideId, adminId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  REVENUE_TYPES,
+  DEFAULT_FEE_PERCENT,
+  resolveFeePercent,
+  calculateFees,
+  getEffectiveFees,
+  listRules,
+  addRule,
+  deleteScheduledRule,
+  listOverrides,
+  addOverride,
+  revokeOverride
+};
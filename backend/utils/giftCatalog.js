@@ -118,12 +118,6 @@ function canAffordGift(giftId, userTokens) {
   return gift && userTokens >= gift.cost;
 }
 
-// Calculate creator earnings from gift (after platform fee)
-function calculateCreatorEarnings(giftCost, platformFeePercent = 20) {
-  const platformFee = (giftCost * platformFeePercent) / 100;
-  return giftCost - platformFee;
-}
-
 // Get gift leaderboard stats
 function calculateGiftStats(giftTransactions) {
   const stats = {};
@@ -167,6 +161,5 @@ module.exports = {
   getGiftById,
   getGiftsByRarity,
   canAffordGift,
-  calculateCreatorEarnings,
   calculateGiftStats
 };
\ No newline at end of file
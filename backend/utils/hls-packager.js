@@ -0,0 +1,167 @@
+/**
+ * HLS Packager
+ *
+ * Transcodes a stream recording into an adaptive HLS ladder and uploads the
+ * segments to the private vod-hls bucket at <recording_id>/<rendition>/.
+ *
+ * Renditions taller than the source are skipped, so a 720p recording gets
+ * 720p/480p/360p. Each rendition is encoded in its own ffmpeg run with fixed
+ * two-second GOPs, so segment boundaries line up across renditions and players
+ * can switch cleanly. Media playlists are returned (not uploaded): they are
+ * stored in recording_renditions and signed per viewer by utils/vod-playback.js.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const storageManager = require('./storage-manager');
+const { createWorkDir, runFfmpeg, resolveRecordingSource } = require('./clip-renderer');
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const TRANSCODE_TIMEOUT_MS = parseInt(process.env.HLS_TRANSCODE_TIMEOUT_MS || '', 10) || 2 * 60 * 60 * 1000;
+const SEGMENT_SECONDS = 6;
+const AUDIO_KBPS = 128;
+// Enough for ffmpeg to read every rendition of a long recording
+const SOURCE_URL_TTL = 12 * 60 * 60;
+
+const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoKbps: 5000 },
+  { name: '720p', height: 720, videoKbps: 2800 },
+  { name: '480p', height: 480, videoKbps: 1400 },
+  { name: '360p', height: 360, videoKbps: 800 }
+];
+
+const PLAYLIST_FILE = 'index.m3u8';
+const SEGMENT_PATTERN = /^seg_\d{5}\.ts$/;
+
+/**
+ * Renditions to produce for a source of the given size
+ *
+ * @returns {Array<Object>} { name, width, height, videoKbps, bandwidth }
+ */
+function selectLadder({ width, height }) {
+  const fitting = HLS_LADDER.filter(rung => rung.height <= height);
+  const rungs = fitting.length > 0 ? fitting : [HLS_LADDER[HLS_LADDER.length - 1]];
+
+  return rungs.map(rung => ({
+    ...rung,
+    // Even dimensions, as libx264 requires
+    width: Math.round((rung.height * width) / height / 2) * 2,
+    // Peak rate: maxrate plus audio
+    bandwidth: Math.round((rung.videoKbps * 1.07 + AUDIO_KBPS) * 1000)
+  }));
+}
+
+/**
+ * ffmpeg arguments for one rendition
+ */
+function buildHlsCommand({ input, rendition, outDir }) {
+  const kbps = (n) => `${Math.round(n)}k`;
+
+  return [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', input,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main',
+    '-b:v', kbps(rendition.videoKbps),
+    '-maxrate', kbps(rendition.videoKbps * 1.07),
+    '-bufsize', kbps(rendition.videoKbps * 1.5),
+    '-force_key_frames', 'expr:gte(t,n_forced*2)',
+    '-sc_threshold', '0',
+    '-c:a', 'aac', '-b:a', kbps(AUDIO_KBPS), '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outDir, 'seg_%05d.ts'),
+    path.join(outDir, PLAYLIST_FILE)
+  ];
+}
+
+/**
+ * Width and height of the first video stream
+ */
+function probeVideo(input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFPROBE_PATH, [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height',
+      '-of', 'json',
+      input
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-2000); });
+    child.on('error', (error) => reject(new Error(`ffprobe could not be started: ${error.message}`)));
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim()}`));
+      try {
+        const [stream] = JSON.parse(stdout).streams || [];
+        if (!stream || !stream.width || !stream.height) {
+          return reject(new Error('Recording has no video stream'));
+        }
+        resolve({ width: stream.width, height: stream.height });
+      } catch (error) {
+        reject(new Error(`Unreadable ffprobe output: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Package a recording as HLS and upload its segments
+ *
+ * @param {Object} recording - stream_recordings row
+ * @returns {Promise<Array<Object>>} Renditions: { name, width, height, bandwidth, playlist, segmentCount }
+ */
+async function packageRecording(recording) {
+  const input = await resolveRecordingSource(recording, SOURCE_URL_TTL);
+  const ladder = selectLadder(await probeVideo(input));
+  const renditions = [];
+
+  for (const rendition of ladder) {
+    // One scratch directory per rendition, removed before the next one starts
+    const work = await createWorkDir(`hls-${recording.id}-${rendition.name}-`);
+
+    try {
+      await runFfmpeg(buildHlsCommand({ input, rendition, outDir: work.dir }), { timeoutMs: TRANSCODE_TIMEOUT_MS });
+
+      // The playlist names every segment ffmpeg wrote, in order
+      const playlist = await work.read(PLAYLIST_FILE, 'utf8');
+      const segments = playlist.split('\n').map(line => line.trim()).filter(line => SEGMENT_PATTERN.test(line));
+
+      for (const segment of segments) {
+        await storageManager.uploadFile(
+          storageManager.buckets.VOD_HLS,
+          `${recording.id}/${rendition.name}/${segment}`,
+          await work.read(segment),
+          { contentType: 'video/mp2t', cacheControl: '31536000', upsert: true }
+        );
+      }
+
+      renditions.push({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: rendition.bandwidth,
+        playlist,
+        segmentCount: segments.length
+      });
+    } finally {
+      await work.remove();
+    }
+  }
+
+  return renditions;
+}
+
+module.exports = {
+  HLS_LADDER,
+  SEGMENT_PATTERN,
+  selectLadder,
+  buildHlsCommand,
+  probeVideo,
+  packageRecording
+};
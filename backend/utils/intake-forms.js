@@ -0,0 +1,351 @@
+/**
+ * Intake Forms
+ *
+ * Field validation, conditional-field evaluation and response gating for
+ * creator intake forms (IntakeFormsManager / ClientIntakeForm).
+ *
+ * A form version is an array of fields:
+ *   {
+ *     id: 'primary_goal',             // unique key, used in answers
+ *     type: 'select',                 // see FIELD_TYPES
+ *     label: 'What is your main goal?',
+ *     required: true,
+ *     options: ['Strength', 'Mobility'], // select / multiselect only
+ *     help_text, placeholder,         // optional display hints
+ *     min, max,                       // number / rating bounds
+ *     show_if: { field: 'has_injury', equals: true }
+ *   }
+ *
+ * show_if supports `equals`, `in` (array) or `not_empty: true`, and may only
+ * reference a field defined earlier in the form. Hidden fields are never
+ * required and their answers are dropped.
+ */
+
+const { pool } = require('./db');
+
+const FIELD_TYPES = [
+  'text',
+  'textarea',
+  'email',
+  'phone',
+  'number',
+  'date',
+  'select',
+  'multiselect',
+  'checkbox',
+  'consent',
+  'rating'
+];
+
+const MAX_FIELDS = 50;
+const MAX_TEXT_LENGTH = 5000;
+const FIELD_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[0-9+()\-.\s]{5,30}$/;
+
+// What a response can gate, and what a form can be attached to
+const SUBJECT_TYPES = ['session_invite', 'class', 'offer'];
+const TARGET_TYPES = ['session_type', 'class', 'offer'];
+const SESSION_TYPES = ['video', 'voice'];
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validate a form definition
+ *
+ * @param {Array<Object>} fields
+ * @returns {Array<string>} Error messages, empty when valid
+ */
+function validateFormFields(fields) {
+  if (!Array.isArray(fields)) return ['fields must be an array'];
+  if (fields.length > MAX_FIELDS) return [`A form can have at most ${MAX_FIELDS} fields`];
+
+  const errors = [];
+  const seen = new Map();
+
+  fields.forEach((field, index) => {
+    const where = `fields[${index}]`;
+
+    if (!field || typeof field !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!FIELD_ID_PATTERN.test(field.id || '')) {
+      errors.push(`${where}.id must be lowercase letters, numbers or underscores`);
+    } else if (seen.has(field.id)) {
+      errors.push(`${where}.id "${field.id}" is used more than once`);
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`${where}.type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (typeof field.label !== 'string' || field.label.trim().length === 0 || field.label.length > 200) {
+      errors.push(`${where}.label is required (max 200 characters)`);
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      errors.push(`${where}.required must be a boolean`);
+    }
+
+    if (['select', 'multiselect'].includes(field.type)) {
+      const options = field.options;
+      if (!Array.isArray(options) || options.length === 0 ||
+          !options.every(option => typeof option === 'string' && option.trim().length > 0)) {
+        errors.push(`${where}.options must be a non-empty list of strings`);
+      } else if (new Set(options).size !== options.length) {
+        errors.push(`${where}.options must be unique`);
+      }
+    }
+
+    if (field.show_if !== undefined) {
+      const condition = field.show_if;
+      const source = condition && seen.get(condition.field);
+      if (!source) {
+        errors.push(`${where}.show_if must reference a field defined before it`);
+      } else if (!('equals' in condition) && !Array.isArray(condition.in) && condition.not_empty !== true) {
+        errors.push(`${where}.show_if needs equals, in or not_empty`);
+      }
+    }
+
+    if (FIELD_ID_PATTERN.test(field.id || '') && !seen.has(field.id)) {
+      seen.set(field.id, field);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Whether a field is shown for the given answers
+ *
+ * A field is hidden when its condition fails or the field it depends on is
+ * itself hidden.
+ *
+ * @param {Object} field
+ * @param {Object} answers
+ * @param {Map<string, Object>} fieldsById
+ * @returns {boolean}
+ */
+function isFieldVisible(field, answers, fieldsById) {
+  const condition = field.show_if;
+  if (!condition) return true;
+
+  const source = fieldsById.get(condition.field);
+  if (!source || !isFieldVisible(source, answers, fieldsById)) return false;
+
+  const value = answers[condition.field];
+  if (condition.not_empty) return !isEmpty(value);
+  if (Array.isArray(condition.in)) {
+    return Array.isArray(value)
+      ? value.some(item => condition.in.includes(item))
+      : condition.in.includes(value);
+  }
+  return Array.isArray(value) ? value.includes(condition.equals) : value === condition.equals;
+}
+
+function validateAnswer(field, value) {
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+      return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH ? null : 'must be text';
+    case 'email':
+      return typeof value === 'string' && EMAIL_PATTERN.test(value) ? null : 'must be an email address';
+    case 'phone':
+      return typeof value === 'string' && PHONE_PATTERN.test(value) ? null : 'must be a phone number';
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be a date';
+    case 'number':
+    case 'rating': {
+      const min = field.min ?? (field.type === 'rating' ? 1 : undefined);
+      const max = field.max ?? (field.type === 'rating' ? 5 : undefined);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (min !== undefined && value < min) return `must be at least ${min}`;
+      if (max !== undefined && value > max) return `must be at most ${max}`;
+      return null;
+    }
+    case 'select':
+      return field.options.includes(value) ? null : 'must be one of the options';
+    case 'multiselect':
+      return Array.isArray(value) && value.every(item => field.options.includes(item))
+        ? null
+        : 'must be a list of the options';
+    case 'checkbox':
+    case 'consent':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    default:
+      return 'has an unknown type';
+  }
+}
+
+/**
+ * Validate fan answers against a form version
+ *
+ * @param {Array<Object>} fields - Form version fields
+ * @param {Object} answers - { [fieldId]: value }
+ * @returns {Object} { errors: [{ field, message }], answers } - answers keeps visible fields only
+ */
+function validateAnswers(fields, answers) {
+  const input = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+  const fieldsById = new Map(fields.map(field => [field.id, field]));
+  const errors = [];
+  const cleaned = {};
+
+  for (const field of fields) {
+    if (!isFieldVisible(field, input, fieldsById)) continue;
+
+    const value = input[field.id];
+    if (isEmpty(value)) {
+      // An unticked checkbox counts as empty, so required consent must be given
+      if (field.required) errors.push({ field: field.id, message: `${field.label} is required` });
+      continue;
+    }
+
+    const problem = validateAnswer(field, value);
+    if (problem) {
+      errors.push({ field: field.id, message: `${field.label} ${problem}` });
+    } else {
+      cleaned[field.id] = value;
+    }
+  }
+
+  return { errors, answers: cleaned };
+}
+
+/**
+ * Find the form a fan has to fill in for a session invite, class or offer
+ *
+ * Session invites use the form picked when the invite was sent; classes and
+ * offers use the form attached to them.
+ *
+ * @param {string} subjectType - 'session_invite' | 'class' | 'offer'
+ * @param {string|number} subjectId
+ * @returns {Promise<Object|null>} { formId, title, description, creatorId, fanId, subjectStatus, versionId, version, fields }
+ */
+async function resolveIntakeForm(subjectType, subjectId) {
+  let subject;
+
+  if (subjectType === 'session_invite') {
+    const result = await pool.query(
+      `SELECT intake_form_id AS form_id, creator_id, fan_id, status
+       FROM session_invites
+       WHERE id::text = $1 AND request_intake_form = TRUE`,
+      [String(subjectId)]
+    );
+    subject = result.rows[0];
+  } else if (subjectType === 'class' || subjectType === 'offer') {
+    const table = subjectType === 'class' ? 'classes' : 'creator_offers';
+    const result = await pool.query(
+      `SELECT a.form_id, s.creator_id, NULL AS fan_id, NULL AS status
+       FROM ${table} s
+       JOIN intake_form_attachments a
+         ON a.creator_id::text = s.creator_id::text
+        AND a.target_type = $2
+        AND a.target_id = s.id::text
+       WHERE s.id::text = $1`,
+      [String(subjectId), subjectType]
+    );
+    subject = result.rows[0];
+  } else {
+    return null;
+  }
+
+  if (!subject || !subject.form_id) return null;
+
+  const result = await pool.query(
+    `SELECT f.id, f.title, f.description, v.id AS version_id, v.version, v.fields
+     FROM intake_forms f
+     JOIN intake_form_versions v ON v.form_id = f.id AND v.version = f.current_version
+     WHERE f.id = $1 AND f.is_archived = FALSE`,
+    [subject.form_id]
+  );
+
+  const form = result.rows[0];
+  if (!form) return null;
+
+  return {
+    formId: form.id,
+    title: form.title,
+    description: form.description,
+    creatorId: subject.creator_id,
+    fanId: subject.fan_id,
+    // Invite status; responses are only accepted while it is pending
+    subjectStatus: subject.status,
+    versionId: form.version_id,
+    version: form.version,
+    fields: form.fields
+  };
+}
+
+/**
+ * Load a fan's response together with the fields it was answered against
+ *
+ * @param {string} subjectType
+ * @param {string|number} subjectId
+ * @param {string} fanId - Fan supabase_id
+ * @returns {Promise<Object|null>}
+ */
+async function getIntakeResponse(subjectType, subjectId, fanId) {
+  const result = await pool.query(
+    `SELECT r.id, r.form_id, r.answers, r.submitted_at, r.updated_at,
+            f.title, f.current_version, v.version, v.fields
+     FROM intake_form_responses r
+     JOIN intake_forms f ON f.id = r.form_id
+     JOIN intake_form_versions v ON v.id = r.form_version_id
+     WHERE r.subject_type = $1 AND r.subject_id = $2 AND r.fan_id = $3`,
+    [subjectType, String(subjectId), fanId]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    formId: row.form_id,
+    formTitle: row.title,
+    version: row.version,
+    currentVersion: row.current_version,
+    // The creator edited the form after this response was submitted
+    isOutdated: row.version < row.current_version,
+    fields: row.fields,
+    answers: row.answers,
+    submittedAt: row.submitted_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Check whether a fan still owes an intake response before confirmation
+ *
+ * @param {string} subjectType
+ * @param {string|number} subjectId
+ * @param {string} fanId - Fan supabase_id
+ * @returns {Promise<Object>} { required, completed, formId }
+ */
+async function checkIntakeRequirement(subjectType, subjectId, fanId) {
+  const form = await resolveIntakeForm(subjectType, subjectId);
+  if (!form) return { required: false, completed: true, formId: null };
+
+  const result = await pool.query(
+    `SELECT 1 FROM intake_form_responses
+     WHERE subject_type = $1 AND subject_id = $2 AND fan_id = $3 AND form_id = $4`,
+    [subjectType, String(subjectId), fanId, form.formId]
+  );
+
+  return { required: true, completed: result.rows.length > 0, formId: form.formId };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  SUBJECT_TYPES,
+  TARGET_TYPES,
+  SESSION_TYPES,
+  validateFormFields,
+  isFieldVisible,
+  validateAnswers,
+  resolveIntakeForm,
+  getIntakeResponse,
+  checkIntakeRequirement
+};
@@ -0,0 +1,216 @@
+/**
+ * Segmented Mass Messaging
+ *
+ * Audience selection for creator mass messages (MassMessageModal /
+ * BroadcastMessageModal). A creator's fan base is everyone with an active
+ * membership, a purchase from the creator or an existing conversation; the
+ * audience filters then narrow it down.
+ *
+ * Fans are never selected when either side has blocked the other
+ * (POST /users/block-user or user_blocks), when they turned off message
+ * notifications, or when they muted announcements from this creator.
+ */
+
+const { pool } = require('./db');
+const { getAllTiers } = require('./gifterTiers');
+
+const LOYALTY_LEVELS = ['bronze', 'silver', 'gold', 'diamond'];
+const GIFTER_TIER_NAMES = getAllTiers().map(tier => tier.name);
+
+// Tokens `fan` has spent with creator $1. Spends are negative `tokens`
+// (utils/token-transfers.js), so refunds and other credits are left out;
+// legacy rows only have `amount`.
+const fanSpendSql = (fan) => `(
+  SELECT COALESCE(SUM(-tt.tokens) FILTER (WHERE tt.tokens < 0), 0)
+       + COALESCE(SUM(ABS(tt.amount)) FILTER (WHERE tt.tokens IS NULL AND tt.type != 'refund'), 0)
+  FROM token_transactions tt
+  WHERE tt.user_id = ${fan} AND tt.related_user_id = $1
+)`;
+
+// Fan eligibility for creator $1; `fan` is the fan's supabase_id expression
+const eligibleFanSql = (fan) => `
+  NOT EXISTS (
+    SELECT 1 FROM creator_blocked_users b
+    WHERE (b.creator_id = $1 AND b.blocked_user_id = ${fan})
+       OR (b.creator_id = ${fan} AND b.blocked_user_id = $1)
+  )
+  AND NOT EXISTS (
+    SELECT 1
+    FROM user_blocks ub
+    JOIN users ua ON ua.id = ub.blocker_id
+    JOIN users ub2 ON ub2.id = ub.blocked_id
+    WHERE (ua.supabase_id = $1 AND ub2.supabase_id = ${fan})
+       OR (ua.supabase_id = ${fan} AND ub2.supabase_id = $1)
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM notification_preferences np
+    WHERE np.user_id = ${fan}
+      AND np.preferences->>'messages' = 'false'
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM creator_notification_preferences cnp
+    WHERE cnp.fan_id = ${fan}
+      AND cnp.creator_id = $1
+      AND (cnp.notifications_enabled = FALSE OR cnp.announcement_notifications = FALSE)
+  )`;
+
+/**
+ * Build the audience query for a creator
+ *
+ * @param {string} creatorId - Creator supabase_id
+ * @param {Object} [audience={}] - Filters, see migrations/153_create_mass_message_campaigns.sql
+ * @returns {Object} { text, values } selecting one fan_id per row
+ */
+function buildAudienceQuery(creatorId, audience = {}) {
+  const values = [creatorId];
+  const conditions = ['f.fan_id != $1'];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (audience.membership_tier_ids?.length) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM memberships m
+      WHERE m.user_id = f.fan_id
+        AND m.creator_id = $1
+        AND m.status = 'active'
+        AND m.tier_id = ANY(${addValue(audience.membership_tier_ids)}::uuid[])
+    )`);
+  }
+
+  if (audience.gifter_tiers?.length) {
+    conditions.push(`COALESCE(u.gifter_tier, 'Supporter') = ANY(${addValue(audience.gifter_tiers)}::text[])`);
+  }
+
+  if (audience.loyalty_levels?.length) {
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM loyalty_badges lb
+      JOIN users lc ON lc.id = lb.creator_id
+      WHERE lb.user_id = u.id
+        AND lc.supabase_id = $1
+        AND lb.level = ANY(${addValue(audience.loyalty_levels)}::text[])
+    )`);
+  }
+
+  if (audience.last_active_after) {
+    conditions.push(`GREATEST(u.last_active, u.last_seen_at) >= ${addValue(audience.last_active_after)}`);
+  }
+
+  if (audience.last_active_before) {
+    conditions.push(`GREATEST(u.last_active, u.last_seen_at) < ${addValue(audience.last_active_before)}`);
+  }
+
+  const filtersBySpend = audience.min_spend !== undefined || audience.max_spend !== undefined;
+  if (audience.min_spend !== undefined) {
+    conditions.push(`spend.total >= ${addValue(audience.min_spend)}`);
+  }
+  if (audience.max_spend !== undefined) {
+    conditions.push(`spend.total <= ${addValue(audience.max_spend)}`);
+  }
+
+  const text = `
+    WITH fans AS (
+      SELECT m.user_id AS fan_id
+      FROM memberships m
+      WHERE m.creator_id = $1 AND m.status = 'active'
+      UNION
+      SELECT tt.user_id
+      FROM token_transactions tt
+      WHERE tt.related_user_id = $1 AND tt.type != 'refund'
+      UNION
+      SELECT CASE WHEN c.user1_id = $1 THEN c.user2_id ELSE c.user1_id END
+      FROM conversations c
+      WHERE c.user1_id = $1 OR c.user2_id = $1
+    )
+    SELECT f.fan_id
+    FROM fans f
+    JOIN users u ON u.supabase_id = f.fan_id
+    ${filtersBySpend ? `LEFT JOIN LATERAL (SELECT ${fanSpendSql('f.fan_id')} AS total) spend ON TRUE` : ''}
+    WHERE ${conditions.join('\n      AND ')}
+      AND ${eligibleFanSql('f.fan_id')}`;
+
+  return { text, values };
+}
+
+/**
+ * Count an audience and return a few sample fans for the preview
+ *
+ * @returns {Promise<Object>} { count, sample: [{ id, username, displayName }] }
+ */
+async function previewAudience(creatorId, audience, sampleSize = 5) {
+  const { text, values } = buildAudienceQuery(creatorId, audience);
+
+  const [countResult, sampleResult] = await Promise.all([
+    pool.query(`SELECT COUNT(*)::INTEGER AS count FROM (${text}) audience`, values),
+    pool.query(
+      `SELECT u.supabase_id AS id, u.username, u.display_name
+       FROM (${text}) audience
+       JOIN users u ON u.supabase_id = audience.fan_id
+       ORDER BY u.username
+       LIMIT ${parseInt(sampleSize, 10)}`,
+      values
+    )
+  ]);
+
+  return {
+    count: countResult.rows[0].count,
+    sample: sampleResult.rows.map(row => ({
+      id: row.id,
+      username: row.username,
+      displayName: row.display_name
+    }))
+  };
+}
+
+/**
+ * Snapshot a campaign's audience into its delivery queue
+ *
+ * @param {Object} client - pg client (inside the campaign's transaction)
+ * @returns {Promise<number>} Number of queued recipients
+ */
+async function queueCampaignRecipients(client, campaignId, creatorId, audience) {
+  const { text, values } = buildAudienceQuery(creatorId, audience);
+  values.push(campaignId);
+
+  const result = await client.query(
+    `INSERT INTO mass_message_recipients (campaign_id, recipient_id)
+     SELECT $${values.length}, audience.fan_id FROM (${text}) audience
+     ON CONFLICT (campaign_id, recipient_id) DO NOTHING`,
+    values
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Of the given fans, return the ones a creator may still mass message
+ *
+ * Re-checked at delivery time because blocks and preferences can change
+ * after the campaign was queued.
+ *
+ * @returns {Promise<Set<string>>}
+ */
+async function filterEligibleRecipients(creatorId, recipientIds) {
+  if (recipientIds.length === 0) return new Set();
+
+  const result = await pool.query(
+    `SELECT fan_id
+     FROM unnest($2::uuid[]) AS fan_id
+     WHERE ${eligibleFanSql('fan_id')}`,
+    [creatorId, recipientIds]
+  );
+
+  return new Set(result.rows.map(row => row.fan_id));
+}
+
+module.exports = {
+  LOYALTY_LEVELS,
+  GIFTER_TIER_NAMES,
+  fanSpendSql,
+  buildAudienceQuery,
+  previewAudience,
+  queueCampaignRecipients,
+  filterEligibleRecipients
+};
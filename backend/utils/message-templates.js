@@ -0,0 +1,234 @@
+/**
+ * Message Templates
+ *
+ * Placeholder rendering and templated sends for creator message templates
+ * (MessageTemplatesModal). Templates are rendered once per recipient so mass
+ * messages and broadcasts read as personal DMs.
+ *
+ * Supported placeholders:
+ *   {{fan_name}}      - display name, falling back to username
+ *   {{tier}}          - highest active membership tier with the creator
+ *   {{last_purchase}} - what the fan last spent tokens on with the creator
+ */
+
+const { pool } = require('./db');
+const { logger } = require('./secureLogger');
+const { deliverDirectMessage } = require('./direct-messages');
+
+const PLACEHOLDERS = ['fan_name', 'tier', 'last_purchase'];
+
+// Used when a recipient has no value for a placeholder
+const PLACEHOLDER_FALLBACKS = {
+  fan_name: 'there',
+  tier: 'fan',
+  last_purchase: 'your last unlock'
+};
+
+// {{last_purchase}} labels by token_transactions.type of the fan's spend.
+// Types without a label use the placeholder fallback
+const PURCHASE_LABELS = {
+  ppv_unlock: 'the pay-per-view unlock',
+  message_unlock: 'the message unlock',
+  premium_message: 'your message',
+  ticket_purchase: 'your show ticket',
+  card_purchase: 'your collectible card',
+  card_resale_purchase: 'your collectible card',
+  class_series_purchase: 'your class series',
+  tip: 'your tip',
+  tip_sent: 'your tip',
+  gift: 'your gift',
+  gift_sent: 'your gift',
+  call: 'our call',
+  private_call_payment: 'our call',
+  subscription: 'your subscription',
+  membership_purchase: 'your membership',
+  membership_upgrade: 'your membership upgrade',
+  shop_purchase: 'your shop order',
+  offer_purchase: 'your offer purchase',
+  vod_purchase: 'the video',
+  recording_purchase: 'the recording',
+  experience_join: 'joining the experience'
+};
+
+// A fan message to the creator within this window counts as a reply
+const REPLY_WINDOW_DAYS = 7;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+
+/**
+ * List placeholders used in content that are not supported
+ *
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+function findUnknownPlaceholders(content) {
+  const unknown = new Set();
+  for (const [, name] of String(content || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS.includes(name.toLowerCase())) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+/**
+ * Replace placeholders with recipient values
+ *
+ * Unknown placeholders are left untouched; missing values use the fallbacks.
+ *
+ * @param {string} content - Template content
+ * @param {Object} [values={}] - { fan_name, tier, last_purchase }
+ * @returns {string}
+ */
+function renderTemplate(content, values = {}) {
+  return String(content || '').replace(PLACEHOLDER_PATTERN, (match, rawName) => {
+    const name = rawName.toLowerCase();
+    if (!PLACEHOLDERS.includes(name)) return match;
+
+    const value = values[name];
+    return value !== undefined && value !== null && String(value).trim() !== ''
+      ? String(value)
+      : PLACEHOLDER_FALLBACKS[name];
+  });
+}
+
+/**
+ * Load placeholder values for a set of recipients
+ *
+ * @param {string} creatorId - Creator supabase_id
+ * @param {Array<string>} recipientIds - Fan supabase_ids
+ * @returns {Promise<Map<string, Object>>} recipientId -> { fan_name, tier, last_purchase }
+ */
+async function loadRecipientContexts(creatorId, recipientIds) {
+  const contexts = new Map();
+  if (!recipientIds || recipientIds.length === 0) return contexts;
+
+  const result = await pool.query(
+    `SELECT
+       u.supabase_id AS recipient_id,
+       COALESCE(NULLIF(u.display_name, ''), u.username) AS fan_name,
+       (
+         SELECT mt.name
+         FROM memberships m
+         JOIN membership_tiers mt ON m.tier_id = mt.id
+         WHERE m.user_id = u.supabase_id
+           AND m.creator_id = $1
+           AND m.status = 'active'
+         ORDER BY mt.tier_level DESC
+         LIMIT 1
+       ) AS tier,
+       (
+         SELECT tt.type
+         FROM token_transactions tt
+         WHERE tt.user_id = u.supabase_id
+           AND tt.related_user_id = $1
+           AND (tt.tokens < 0 OR (tt.tokens IS NULL AND tt.type != 'refund'))
+         ORDER BY tt.created_at DESC
+         LIMIT 1
+       ) AS last_purchase_type
+     FROM users u
+     WHERE u.supabase_id = ANY($2::uuid[])`,
+    [creatorId, recipientIds]
+  );
+
+  for (const row of result.rows) {
+    contexts.set(row.recipient_id, {
+      fan_name: row.fan_name,
+      tier: row.tier,
+      last_purchase: PURCHASE_LABELS[row.last_purchase_type] || null
+    });
+  }
+
+  return contexts;
+}
+
+/**
+ * Render and deliver a template to one recipient, logging the send for stats
+ *
+ * @param {Object} params
+ * @param {Object} params.template - message_templates row
+ * @param {string} params.recipientId - Fan supabase_id
+ * @param {Object} [params.context] - Placeholder values from loadRecipientContexts
+ * @param {string} [params.source='direct'] - 'direct', 'mass' or 'broadcast'
+ * @param {Object} [params.metadata={}] - Extra message metadata
+ * @returns {Promise<Object>} deliverDirectMessage result
+ */
+async function sendTemplatedMessage({ template, recipientId, context = {}, source = 'direct', metadata = {} }) {
+  const result = await deliverDirectMessage({
+    senderId: template.creator_id,
+    recipientId,
+    content: renderTemplate(template.content, context),
+    mediaUrl: template.media_url || undefined,
+    mediaType: template.media_type || undefined,
+    messageType: template.media_url ? 'media' : 'text',
+    metadata: { ...metadata, templateId: template.id },
+    unlockPrice: template.unlock_price || 0
+  });
+
+  if (result.success) {
+    await pool.query(
+      `INSERT INTO message_template_sends (template_id, creator_id, recipient_id, message_id, source)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [template.id, template.creator_id, recipientId, result.message.id, source]
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Send a template to a list of recipients, one rendered message each
+ *
+ * Failures for one recipient (blocked, etc.) never stop the rest.
+ *
+ * @param {Object} params
+ * @param {Object} params.template - message_templates row
+ * @param {Array<string>} params.recipientIds - Fan supabase_ids
+ * @param {string} [params.source='direct']
+ * @returns {Promise<Object>} { sent, failed: [{ recipientId, error }] }
+ */
+async function sendTemplateToRecipients({ template, recipientIds, source = 'direct' }) {
+  const contexts = await loadRecipientContexts(template.creator_id, recipientIds);
+  const summary = { sent: 0, failed: [] };
+
+  for (const recipientId of recipientIds) {
+    try {
+      const result = await sendTemplatedMessage({
+        template,
+        recipientId,
+        context: contexts.get(recipientId),
+        source
+      });
+
+      if (result.success) {
+        summary.sent++;
+      } else {
+        summary.failed.push({ recipientId, error: result.error });
+      }
+    } catch (error) {
+      logger.error('Templated message send failed', {
+        templateId: template.id,
+        recipientId,
+        error: error.message
+      });
+      summary.failed.push({ recipientId, error: 'SEND_FAILED' });
+    }
+  }
+
+  if (summary.sent > 0) {
+    await pool.query(
+      'UPDATE message_templates SET last_used_at = NOW() WHERE id = $1',
+      [template.id]
+    );
+  }
+
+  return summary;
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  REPLY_WINDOW_DAYS,
+  findUnknownPlaceholders,
+  renderTemplate,
+  loadRecipientContexts,
+  sendTemplatedMessage,
+  sendTemplateToRecipients
+};
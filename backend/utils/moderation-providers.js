@@ -0,0 +1,251 @@
+/**
+ * Content Moderation Providers
+ *
+ * A provider classifies text, images and video frames and returns a score
+ * from 0 to 100 for each of CATEGORIES:
+ *
+ *   { provider, categories: { hate_speech: 0, spam: 45, ... }, reasons: [] }
+ *
+ * Providers only score content. What happens at a given score is decided by
+ * the admin-configured thresholds in utils/content-moderation.js.
+ *
+ * MODERATION_PROVIDER selects the provider:
+ *   local   (default) keyword and pattern heuristics, no external calls
+ *   openai  OpenAI moderation endpoint (OPENAI_API_KEY)
+ *   http    any classifier behind MODERATION_HTTP_URL that answers with the
+ *           shape above (MODERATION_HTTP_TOKEN is sent as a bearer token)
+ *
+ * Another classifier is added by registering a factory with registerProvider().
+ */
+
+const { logger } = require('./secureLogger');
+
+const CATEGORIES = ['hate_speech', 'harassment', 'threats_violence', 'self_harm', 'adult_content', 'spam'];
+
+const EXTERNAL_TIMEOUT_MS = 10000;
+
+function emptyScores() {
+  return Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+}
+
+function clampScore(score) {
+  return Math.max(0, Math.min(100, Math.round(Number(score) || 0)));
+}
+
+// ---------------------------------------------------------------------------
+// Local heuristics
+// ---------------------------------------------------------------------------
+
+const TEXT_RULES = [
+  { category: 'hate_speech', score: 60, pattern: /\b(?:racist|sexist|nazi|bigot)s?\b/i, reason: 'Hateful language' },
+  { category: 'harassment', score: 50, pattern: /\b(?:stupid|idiot|moron|loser)\s+(?:fan|user|person|creator)\b/i, reason: 'Insult aimed at a person' },
+  { category: 'harassment', score: 45, pattern: /\b(?:fuck|screw)\s+(?:you|off)\b/i, reason: 'Abusive language' },
+  { category: 'threats_violence', score: 85, pattern: /\b(?:i(?:'ll| will)|gonna|going to)\s+(?:kill|hurt|shoot|stab|find)\s+(?:you|u)\b/i, reason: 'Threat of violence' },
+  { category: 'threats_violence', score: 40, pattern: /\b(?:kill|shoot|stab)\s+(?:yourself|him|her|them)\b/i, reason: 'Violent language' },
+  { category: 'self_harm', score: 70, pattern: /\b(?:kill myself|suicide|self[- ]harm|cut myself)\b/i, reason: 'Self-harm reference' },
+  { category: 'adult_content', score: 45, pattern: /\b(?:nudes?|porn|onlyfans|explicit pics?)\b/i, reason: 'Sexual content' },
+  { category: 'spam', score: 45, pattern: /(?:discord\.gg|t\.me|wa\.me|telegram\.me)\//i, reason: 'Off-platform invite link' },
+  { category: 'spam', score: 40, pattern: /\b(?:buy|cheap|free)\s+(?:followers|tokens|views|subs)\b/i, reason: 'Promotional spam' },
+  { category: 'spam', score: 30, pattern: /\b(?:click|visit|dm me)\s+(?:here|now|for)\b/i, reason: 'Call to action' }
+];
+
+const MEDIA_RULES = [
+  { category: 'adult_content', score: 60, pattern: /(?:^|[^a-z])(?:nude|naked|explicit|porn|nsfw)(?:[^a-z]|$)/i, reason: 'Adult file name' },
+  { category: 'threats_violence', score: 40, pattern: /(?:^|[^a-z])(?:gore|weapon|gun)(?:[^a-z]|$)/i, reason: 'Violent file name' }
+];
+
+// The same word three or more times in a row
+function hasRepeatedWords(text) {
+  const words = text.toLowerCase().split(/\s+/);
+  let run = 1;
+  for (let i = 1; i < words.length; i++) {
+    run = words[i] && words[i] === words[i - 1] ? run + 1 : 1;
+    if (run >= 3) return true;
+  }
+  return false;
+}
+
+function applyRules(rules, input, categories, reasons) {
+  for (const rule of rules) {
+    if (rule.pattern.test(input)) {
+      categories[rule.category] = clampScore(categories[rule.category] + rule.score);
+      reasons.push(rule.reason);
+    }
+  }
+}
+
+/**
+ * The default provider. Text gets keyword, pattern, shouting and repetition
+ * checks; media can only be judged by its URL, so real image and frame
+ * classification needs an external provider.
+ */
+const localProvider = {
+  name: 'local',
+
+  async moderateText(text) {
+    const categories = emptyScores();
+    const reasons = [];
+    applyRules(TEXT_RULES, text, categories, reasons);
+
+    const letters = text.replace(/[^a-z]/gi, '');
+    if (letters.length > 10 && (text.match(/[A-Z]/g) || []).length / letters.length > 0.7) {
+      categories.spam = clampScore(categories.spam + 15);
+      reasons.push('Excessive capitalization');
+    }
+    if (/(.)\1{5,}/.test(text) || hasRepeatedWords(text)) {
+      categories.spam = clampScore(categories.spam + 25);
+      reasons.push('Repeated characters or words');
+    }
+
+    return { provider: 'local', categories, reasons };
+  },
+
+  async moderateImage(imageUrl) {
+    const categories = emptyScores();
+    const reasons = [];
+    let name = imageUrl;
+    try {
+      name = decodeURIComponent(imageUrl);
+    } catch (error) {
+      // Malformed escapes: match against the raw URL
+    }
+    applyRules(MEDIA_RULES, name, categories, reasons);
+    return { provider: 'local', categories, reasons };
+  },
+
+  async moderateVideoFrame(frameUrl) {
+    return localProvider.moderateImage(frameUrl);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// External adapters
+// ---------------------------------------------------------------------------
+
+async function postJson(url, headers, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(EXTERNAL_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Moderation provider responded with ${response.status}`);
+  }
+  return response.json();
+}
+
+// OpenAI category -> our category
+const OPENAI_CATEGORIES = {
+  hate: 'hate_speech',
+  'hate/threatening': 'hate_speech',
+  harassment: 'harassment',
+  'harassment/threatening': 'threats_violence',
+  violence: 'threats_violence',
+  'violence/graphic': 'threats_violence',
+  'self-harm': 'self_harm',
+  'self-harm/intent': 'self_harm',
+  'self-harm/instructions': 'self_harm',
+  sexual: 'adult_content',
+  'sexual/minors': 'adult_content',
+  illicit: 'spam'
+};
+
+function createOpenAIProvider({ apiKey, model = 'omni-moderation-latest' }) {
+  async function classify(input) {
+    const data = await postJson('https://api.openai.com/v1/moderations',
+      { Authorization: `Bearer ${apiKey}` },
+      { model, input });
+
+    const categories = emptyScores();
+    const reasons = [];
+    const result = data.results[0];
+    for (const [openaiCategory, score] of Object.entries(result.category_scores || {})) {
+      const category = OPENAI_CATEGORIES[openaiCategory];
+      if (!category) continue;
+      categories[category] = Math.max(categories[category], clampScore(score * 100));
+      if (result.categories?.[openaiCategory]) reasons.push(`Flagged by OpenAI: ${openaiCategory}`);
+    }
+    return { provider: 'openai', categories, reasons };
+  }
+
+  return {
+    name: 'openai',
+    moderateText: text => classify(text),
+    moderateImage: url => classify([{ type: 'image_url', image_url: { url } }]),
+    moderateVideoFrame: url => classify([{ type: 'image_url', image_url: { url } }])
+  };
+}
+
+function createHttpProvider({ url, token }) {
+  async function classify(body) {
+    const data = await postJson(url, token ? { Authorization: `Bearer ${token}` } : {}, body);
+    const categories = emptyScores();
+    for (const category of CATEGORIES) {
+      categories[category] = clampScore(data.categories?.[category]);
+    }
+    return { provider: 'http', categories, reasons: Array.isArray(data.reasons) ? data.reasons : [] };
+  }
+
+  return {
+    name: 'http',
+    moderateText: text => classify({ type: 'text', text }),
+    moderateImage: imageUrl => classify({ type: 'image', url: imageUrl }),
+    moderateVideoFrame: (frameUrl, { timestampSeconds } = {}) =>
+      classify({ type: 'video_frame', url: frameUrl, timestampSeconds })
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+const factories = {
+  local: () => localProvider,
+  openai: () => {
+    if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+    return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODERATION_MODEL });
+  },
+  http: () => {
+    if (!process.env.MODERATION_HTTP_URL) throw new Error('MODERATION_HTTP_URL is not set');
+    return createHttpProvider({ url: process.env.MODERATION_HTTP_URL, token: process.env.MODERATION_HTTP_TOKEN });
+  }
+};
+
+let activeProvider = null;
+
+/**
+ * Add a provider. `factory` returns an object with moderateText,
+ * moderateImage and moderateVideoFrame.
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  activeProvider = null;
+}
+
+/**
+ * The configured provider, falling back to the local heuristics when it
+ * is unknown or misconfigured
+ */
+function getProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = process.env.MODERATION_PROVIDER || 'local';
+  try {
+    if (!factories[name]) throw new Error(`Unknown moderation provider "${name}"`);
+    activeProvider = factories[name]();
+  } catch (error) {
+    logger.warn('Falling back to local moderation provider:', { provider: name, error: error.message });
+    activeProvider = localProvider;
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  CATEGORIES,
+  localProvider,
+  createOpenAIProvider,
+  createHttpProvider,
+  registerProvider,
+  getProvider
+};
@@ -0,0 +1,495 @@
+/**
+ * Payment Disputes
+ *
+ * What happens to tokens when a fan disputes a token purchase with their bank
+ * (Stripe charge.dispute.created / charge.dispute.closed, routes/webhook.js).
+ *
+ * When the dispute opens:
+ *   - the purchase's tokens are clawed back from the fan into the ledger's
+ *     escrow account, as far as their wallet covers them. Tokens already spent
+ *     become debt (payment_disputes.tokens_owed, users.debt_amount) instead,
+ *     the way routes/payments.js handles refunds, so balances never go below
+ *     zero.
+ *   - the creator earnings those spent tokens paid for are traced (the
+ *     fan's payments since the purchase, oldest first) and held in escrow,
+ *     as far as the creator still has them
+ *   - evidence for Stripe is assembled from the purchase, the account and
+ *     what the fan did with the tokens
+ *   - the fan gets a chargeback fraud alert and account_status 'debt' if they
+ *     owe anything; each creator gets a chargeback alert, which raises their
+ *     payout reserve (utils/payout-risk.js)
+ *
+ * When it closes:
+ *   - won: the fan's tokens and the held earnings are released and the debt
+ *     is cancelled
+ *   - lost: the purchase's tokens are voided. So are the held earnings, since
+ *     the spend they came from is undone, which pays down the fan's debt.
+ *
+ * Handlers take a client that is already inside a transaction; the caller
+ * owns BEGIN / COMMIT / ROLLBACK.
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { pool } = require('./db');
+const { createJournal, PAYOUT_ORDER } = require('./token-ledger');
+const { ResourceNotFoundError, ResourceConflictError } = require('./app-errors');
+
+// Matches utils/token-transfers.js
+const TOKEN_VALUE = 0.05;
+
+// Most activity lines sent to Stripe as evidence
+const ACTIVITY_LOG_LIMIT = 50;
+
+// token_transactions types that credit tokens bought by card (routes/tokens.js)
+const PURCHASE_TYPES = ['purchase', 'quick_purchase', 'smart_refill'];
+
+/**
+ * Change a locked balance and record why
+ *
+ * Callers never take more than the balance they locked, so the balance >= 0
+ * check on token_balances holds.
+ */
+async function adjustBalance(client, userId, tokens, { type, disputeId, relatedUserId = null }) {
+  await client.query(
+    `INSERT INTO token_balances (user_id, balance, updated_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET balance = token_balances.balance + EXCLUDED.balance, updated_at = NOW()`,
+    [userId, tokens]
+  );
+
+  await client.query(
+    `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, related_user_id, metadata, created_at)
+     VALUES ($1, $2, $3, $4, 'completed', $5, $6, NOW())`,
+    [userId, type, tokens, Math.abs(tokens) * TOKEN_VALUE, relatedUserId, JSON.stringify({ dispute_id: disputeId })]
+  );
+}
+
+async function lockBalance(client, userId) {
+  const result = await client.query(
+    'SELECT balance FROM token_balances WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  return parseInt(result.rows[0]?.balance || 0, 10);
+}
+
+/**
+ * Move users.debt_amount by a dispute's change in what the fan owes
+ *
+ * By the change rather than to a total, so debt recorded elsewhere (refunds
+ * in routes/payments.js) is kept.
+ */
+async function updateDebt(client, userId, change) {
+  if (change === 0) return;
+
+  await client.query(
+    `UPDATE users
+     SET debt_amount = GREATEST(COALESCE(debt_amount, 0) + $2, 0),
+         account_status = CASE
+           WHEN COALESCE(debt_amount, 0) + $2 > 0 THEN 'debt'
+           WHEN account_status = 'debt' THEN 'active'
+           ELSE account_status
+         END,
+         updated_at = NOW()
+     WHERE supabase_id = $1`,
+    [userId, change]
+  );
+}
+
+/**
+ * Split spent tokens across the payments they went to, oldest first
+ *
+ * A credit's share of the spend is measured against what the fan paid for
+ * it (fee_breakdown.grossTokens), and the creator's part of that share is
+ * what they earned from it.
+ *
+ * @param {Array<Object>} credits - token_transactions rows credited to others
+ * @param {number} spentTokens
+ * @returns {Array<Object>} [{ creatorId, tokensEarned }], one per creator
+ */
+function traceEarnings(credits, spentTokens) {
+  const earned = new Map();
+  let remaining = spentTokens;
+
+  for (const credit of credits) {
+    if (remaining <= 0) break;
+
+    const net = parseInt(credit.tokens, 10);
+    const gross = parseInt(credit.fee_breakdown?.grossTokens, 10) || net;
+    const share = Math.min(remaining, gross);
+    remaining -= share;
+
+    const tokens = Math.floor(share * net / gross);
+    if (tokens > 0) earned.set(credit.user_id, (earned.get(credit.user_id) || 0) + tokens);
+  }
+
+  return [...earned.entries()].map(([creatorId, tokensEarned]) => ({ creatorId, tokensEarned }));
+}
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Evidence for Stripe from the purchase, the account and its activity since
+ *
+ * @returns {Promise<Object>} Stripe dispute evidence fields
+ */
+async function assembleEvidence(client, { fanId, purchase }) {
+  const account = await client.query(
+    'SELECT email, username, display_name, created_at FROM users WHERE supabase_id = $1',
+    [fanId]
+  );
+  const spends = await client.query(
+    `SELECT type, tokens, created_at,
+            COUNT(*) OVER () AS total_count, SUM(-tokens) OVER () AS total_tokens
+     FROM token_transactions
+     WHERE user_id = $1 AND tokens < 0 AND created_at >= $2 AND type NOT LIKE 'chargeback%'
+     ORDER BY created_at
+     LIMIT $3`,
+    [fanId, purchase.created_at, ACTIVITY_LOG_LIMIT]
+  );
+  const sessions = await client.query(
+    `SELECT s.type, s.start_time, s.duration_minutes, COUNT(*) OVER () AS total_count
+     FROM sessions s
+     JOIN users u ON u.id = s.fan_id
+     WHERE u.supabase_id = $1 AND s.start_time >= $2
+     ORDER BY s.start_time
+     LIMIT $3`,
+    [fanId, purchase.created_at, ACTIVITY_LOG_LIMIT]
+  );
+
+  const user = account.rows[0] || {};
+  const activity = [
+    ...spends.rows.map(row => ({
+      at: new Date(row.created_at),
+      line: `${row.type}: ${-parseInt(row.tokens, 10)} tokens`
+    })),
+    ...sessions.rows.map(row => ({
+      at: new Date(row.start_time),
+      line: `${row.type} session: ${row.duration_minutes || 0} min`
+    }))
+  ]
+    .sort((a, b) => a.at - b.at)
+    .slice(0, ACTIVITY_LOG_LIMIT)
+    .map(({ at, line }) => `${at.toISOString()} ${line}`);
+
+  const tokens = parseInt(purchase.tokens, 10);
+  // Totals cover all activity, not just the rows in the log
+  const spendCount = parseInt(spends.rows[0]?.total_count || 0, 10);
+  const tokensSpent = parseInt(spends.rows[0]?.total_tokens || 0, 10);
+  const sessionCount = parseInt(sessions.rows[0]?.total_count || 0, 10);
+
+  return {
+    customer_email_address: user.email || null,
+    customer_name: user.display_name || user.username || null,
+    product_description: `${tokens} platform tokens, credited to the customer's account on purchase`,
+    service_date: formatDate(purchase.created_at),
+    access_activity_log: activity.join('\n'),
+    uncategorized_text: [
+      user.created_at ? `Account opened ${formatDate(user.created_at)}.` : null,
+      `${tokens} tokens purchased ${formatDate(purchase.created_at)} and credited immediately.`,
+      `The customer spent ${tokensSpent} tokens in ${spendCount} transactions and joined ${sessionCount} sessions afterwards.`
+    ].filter(Boolean).join(' ')
+  };
+}
+
+/**
+ * Handle charge.dispute.created
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} dispute - Stripe dispute object
+ * @returns {Promise<Object|null>} The payment_disputes row, or null if this
+ *   dispute was already recorded
+ */
+async function openDispute(client, dispute) {
+  const purchase = dispute.payment_intent
+    ? (await client.query(
+      `SELECT id, user_id, tokens, created_at
+       FROM token_transactions
+       WHERE stripe_payment_intent_id = $1 AND type = ANY($2)
+       LIMIT 1`,
+      [dispute.payment_intent, PURCHASE_TYPES]
+    )).rows[0]
+    : null;
+
+  const inserted = await client.query(
+    `INSERT INTO payment_disputes
+       (stripe_dispute_id, stripe_charge_id, stripe_payment_intent_id, fan_id, amount_cents,
+        currency, reason, stripe_status, tokens_disputed, evidence_due_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (stripe_dispute_id) DO NOTHING
+     RETURNING *`,
+    [
+      dispute.id,
+      dispute.charge,
+      dispute.payment_intent || null,
+      purchase ? purchase.user_id : null,
+      dispute.amount,
+      dispute.currency,
+      dispute.reason,
+      dispute.status,
+      purchase ? parseInt(purchase.tokens, 10) : 0,
+      dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000) : null
+    ]
+  );
+  if (inserted.rows.length === 0) return null;
+  const record = inserted.rows[0];
+
+  await client.query(
+    `UPDATE payments
+     SET status = 'disputed', updated_at = NOW()
+     WHERE stripe_charge_id = $1`,
+    [dispute.charge]
+  );
+
+  const alert = { dispute_id: dispute.id, charge_id: dispute.charge, amount: dispute.amount, reason: dispute.reason };
+
+  // Not a token purchase (e.g. a subscription): nothing to claw back
+  if (!purchase) {
+    await client.query(
+      `INSERT INTO fraud_alerts (user_id, alert_type, details, created_at)
+       VALUES (NULL, 'chargeback', $1, NOW())`,
+      [JSON.stringify(alert)]
+    );
+    return record;
+  }
+
+  const fanId = purchase.user_id;
+  const tokens = record.tokens_disputed;
+  const journal = createJournal('chargeback', { reference: `payment_disputes:${record.id}` });
+
+  const taken = Math.min(tokens, await lockBalance(client, fanId));
+  await adjustBalance(client, fanId, -taken, { type: 'chargeback', disputeId: record.id });
+  journal.debitUser(fanId, taken).credit('escrow', taken);
+
+  // Whatever the wallet can't cover was spent, and earned someone else tokens
+  const tokensSpent = tokens - taken;
+  const credits = tokensSpent > 0
+    ? (await client.query(
+      `SELECT user_id, tokens, fee_breakdown
+       FROM token_transactions
+       WHERE related_user_id::text = $1::text AND user_id::text <> $1::text
+         AND tokens > 0 AND created_at >= $2 AND type NOT LIKE 'chargeback%'
+       ORDER BY created_at, id`,
+      [fanId, purchase.created_at]
+    )).rows
+    : [];
+
+  // Creators are locked in a fixed order so concurrent disputes can't deadlock
+  const earnings = traceEarnings(credits, tokensSpent)
+    .sort((a, b) => String(a.creatorId).localeCompare(String(b.creatorId)));
+
+  for (const { creatorId, tokensEarned } of earnings) {
+    // Paid-out earnings can't be held; the creator's chargeback alert raises
+    // the reserve on their next payouts instead
+    const held = Math.min(tokensEarned, await lockBalance(client, creatorId));
+    if (held > 0) {
+      await adjustBalance(client, creatorId, -held, { type: 'chargeback_hold', disputeId: record.id, relatedUserId: fanId });
+      journal.debitUser(creatorId, held, { order: PAYOUT_ORDER }).credit('escrow', held);
+    }
+
+    await client.query(
+      `INSERT INTO payment_dispute_holds (dispute_id, creator_id, tokens_earned, tokens_held)
+       VALUES ($1, $2, $3, $4)`,
+      [record.id, creatorId, tokensEarned, held]
+    );
+    await client.query(
+      `INSERT INTO fraud_alerts (user_id, alert_type, details, created_at)
+       VALUES ($1, 'chargeback', $2, NOW())`,
+      [creatorId, JSON.stringify({ ...alert, fan_id: fanId, creator_id: creatorId, tokens_earned: tokensEarned, tokens_held: held })]
+    );
+  }
+
+  await journal.post(client);
+
+  await client.query(
+    `INSERT INTO fraud_alerts (user_id, alert_type, details, created_at)
+     VALUES ($1, 'chargeback', $2, NOW())`,
+    [fanId, JSON.stringify({ ...alert, tokens, tokens_spent: tokensSpent })]
+  );
+  await updateDebt(client, fanId, tokensSpent);
+
+  const evidence = await assembleEvidence(client, { fanId, purchase });
+  const updated = await client.query(
+    `UPDATE payment_disputes
+     SET tokens_spent = $2, tokens_owed = $2, evidence = $3
+     WHERE id = $1
+     RETURNING *`,
+    [record.id, tokensSpent, JSON.stringify(evidence)]
+  );
+  return updated.rows[0];
+}
+
+/**
+ * Handle charge.dispute.closed
+ *
+ * Stripe's 'lost' is the only outcome that keeps the money with the fan;
+ * anything else (won, warning_closed) releases the tokens.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} dispute - Stripe dispute object
+ * @returns {Promise<Object|null>} The closed payment_disputes row, or null if
+ *   it was already closed
+ */
+async function closeDispute(client, dispute) {
+  const find = () => client.query(
+    'SELECT * FROM payment_disputes WHERE stripe_dispute_id = $1 FOR UPDATE',
+    [dispute.id]
+  );
+
+  let found = await find();
+  // The created event never arrived or failed; open it first
+  if (found.rows.length === 0) {
+    await openDispute(client, dispute);
+    found = await find();
+  }
+  const record = found.rows[0];
+  if (record.status !== 'open') return null;
+
+  const outcome = dispute.status === 'lost' ? 'lost' : 'won';
+  const holds = await client.query(
+    `SELECT * FROM payment_dispute_holds
+     WHERE dispute_id = $1 AND status = 'held'
+     ORDER BY creator_id`,
+    [record.id]
+  );
+
+  let owed = 0;
+  if (record.fan_id) {
+    const fanId = record.fan_id;
+    const journal = createJournal(`chargeback_${outcome}`, { reference: `payment_disputes:${record.id}` });
+    // What the clawback took from the wallet
+    const taken = record.tokens_disputed - record.tokens_spent;
+
+    if (outcome === 'won') {
+      await lockBalance(client, fanId);
+      await adjustBalance(client, fanId, taken, { type: 'chargeback_reversal', disputeId: record.id });
+      journal.debit('escrow', taken).creditUser(fanId, taken);
+    } else {
+      // The card payment was returned, so the purchase's tokens never existed
+      journal.debit('escrow', taken).credit('token_issuance', taken);
+      owed = record.tokens_owed;
+    }
+
+    for (const hold of holds.rows) {
+      if (hold.tokens_held === 0) continue;
+      journal.debit('escrow', hold.tokens_held);
+
+      if (outcome === 'won') {
+        await lockBalance(client, hold.creator_id);
+        await adjustBalance(client, hold.creator_id, hold.tokens_held, {
+          type: 'chargeback_release',
+          disputeId: record.id,
+          relatedUserId: fanId
+        });
+        journal.creditUser(hold.creator_id, hold.tokens_held, { account: 'creator_earnings' });
+      } else {
+        // Voided along with the spend they came from, so the fan no longer owes them
+        journal.credit('token_issuance', hold.tokens_held);
+        owed = Math.max(owed - hold.tokens_held, 0);
+      }
+    }
+
+    await journal.post(client);
+    await updateDebt(client, fanId, owed - record.tokens_owed);
+  }
+
+  await client.query(
+    `UPDATE payment_dispute_holds
+     SET status = $2, settled_at = NOW()
+     WHERE dispute_id = $1 AND status = 'held'`,
+    [record.id, outcome === 'won' ? 'released' : 'reversed']
+  );
+
+  await client.query(
+    `UPDATE payments
+     SET status = $2, updated_at = NOW()
+     WHERE stripe_charge_id = $1`,
+    [dispute.charge, outcome === 'won' ? 'completed' : 'refunded']
+  );
+
+  const closed = await client.query(
+    `UPDATE payment_disputes
+     SET status = $2, stripe_status = $3, tokens_owed = $4, closed_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [record.id, outcome, dispute.status, owed]
+  );
+  return closed.rows[0];
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - 'open', 'won' or 'lost'
+ */
+async function listDisputes({ status = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT d.*, u.username AS fan_username
+     FROM payment_disputes d
+     LEFT JOIN users u ON u.supabase_id = d.fan_id
+     WHERE $1::text IS NULL OR d.status = $1
+     ORDER BY d.opened_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * @returns {Promise<Object|null>} The dispute with its creator holds
+ */
+async function getDispute(disputeId) {
+  const dispute = await pool.query('SELECT * FROM payment_disputes WHERE id = $1', [disputeId]);
+  if (dispute.rows.length === 0) return null;
+
+  const holds = await pool.query(
+    `SELECT h.*, u.username AS creator_username
+     FROM payment_dispute_holds h
+     LEFT JOIN users u ON u.supabase_id = h.creator_id
+     WHERE h.dispute_id = $1
+     ORDER BY h.tokens_earned DESC`,
+    [disputeId]
+  );
+  return { ...dispute.rows[0], holds: holds.rows };
+}
+
+/**
+ * Send the assembled evidence to Stripe and submit it for review
+ *
+ * @param {string} disputeId - payment_disputes.id
+ * @param {Object} options
+ * @param {string} options.adminId
+ * @param {Object} [options.evidence] - Fields replacing the assembled ones
+ * @throws {ResourceNotFoundError}
+ * @throws {ResourceConflictError} If the dispute is closed or already submitted
+ */
+async function submitEvidence(disputeId, { adminId, evidence = {} }) {
+  const found = await pool.query('SELECT * FROM payment_disputes WHERE id = $1', [disputeId]);
+  const dispute = found.rows[0];
+  if (!dispute) throw new ResourceNotFoundError('Dispute');
+  if (dispute.status !== 'open') throw new ResourceConflictError('This dispute is already closed');
+  if (dispute.evidence_submitted_at) throw new ResourceConflictError('Evidence was already submitted for this dispute');
+
+  const fields = Object.fromEntries(
+    Object.entries({ ...dispute.evidence, ...evidence }).filter(([, value]) => value !== null && value !== '')
+  );
+  await stripe.disputes.update(dispute.stripe_dispute_id, { evidence: fields, submit: true });
+
+  const submitted = await pool.query(
+    `UPDATE payment_disputes
+     SET evidence = $2, evidence_submitted_at = NOW(), evidence_submitted_by = $3
+     WHERE id = $1
+     RETURNING *`,
+    [disputeId, JSON.stringify(fields), adminId]
+  );
+  return submitted.rows[0];
+}
+
+module.exports = {
+  traceEarnings,
+  assembleEvidence,
+  openDispute,
+  closeDispute,
+  listDisputes,
+  getDispute,
+  submitEvidence
+};
@@ -13,7 +13,8 @@ const { config } = require('../config/payout-config');
  * @param {Array} availableBalances - Array of {currency, amount} from Stripe balance
  * @param {string} currency - Target currency (default: 'usd')
  * @param {Object} options - Override policy options
- * @param {number} options.reservePercent - Percentage to hold back (0-100)
+ * @param {number} options.reservePercent - Percentage to hold back (0-100); the
+ *   creator's risk-scored rate from utils/payout-risk.js, or the global floor
  * @param {number} options.minThreshold - Minimum payout in cents
  * @returns {Object} - {amount, reserve_amount, threshold, reason}
  */
@@ -86,14 +87,16 @@ function computePayoutAmount(
  *
  * @param {Array} availableBalances - Array of {currency, amount} from Stripe
  * @param {Array} enabledCurrencies - List of currencies to process (default: ['usd'])
+ * @param {Object} options - Passed to computePayoutAmount, e.g. the creator's reservePercent
  * @returns {Array} - Array of {currency, amount, reserve_amount, reason}
  */
 function computeMultiCurrencyPayouts(
   availableBalances,
-  enabledCurrencies = [config.platform.defaultCurrency]
+  enabledCurrencies = [config.platform.defaultCurrency],
+  options = {}
 ) {
   return enabledCurrencies.map((currency) => {
-    const result = computePayoutAmount(availableBalances, currency);
+    const result = computePayoutAmount(availableBalances, currency, options);
     return {
       currency,
       ...result,
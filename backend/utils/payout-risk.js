@@ -0,0 +1,438 @@
+/**
+ * Payout Risk Reserves
+ *
+ * Decides how much of each creator payout is held back and for how long.
+ * Before a payout, the creator is scored from:
+ *
+ *   - account age
+ *   - KYC status (routes/kyc-verification.js)
+ *   - refund and chargeback rate over the last 90 days
+ *   - a spike in the last week's earnings against their usual week
+ *   - unresolved fraud alerts (middleware/antifraud.js)
+ *
+ * The score's tier sets a reserve percentage and hold duration; the global
+ * PAYOUT_RESERVE_PERCENT is the floor. An admin override replaces both.
+ *
+ * Each payout's reserve becomes a hold with its own release_at, so held funds
+ * roll off on schedule: jobs/payout-reserves.js releases due holds and the
+ * creator's next payout includes them.
+ */
+
+const { pool } = require('./db');
+const { config } = require('../config/payout-config');
+const { computePayoutAmount } = require('./payout-policy');
+const { BusinessLogicError, ResourceNotFoundError } = require('./app-errors');
+
+// Ordered by minScore; a creator gets the last tier their score reaches
+const RISK_TIERS = [
+  { tier: 'low', minScore: 0, reservePercent: 0, holdDays: 0 },
+  { tier: 'elevated', minScore: 20, reservePercent: 10, holdDays: 14 },
+  { tier: 'high', minScore: 40, reservePercent: 25, holdDays: 30 },
+  { tier: 'severe', minScore: 60, reservePercent: 50, holdDays: 60 }
+];
+
+// Creator debits that give revenue back to a fan
+const REFUND_TYPES = ['refund', 'ticket_refund', 'class_series_refund'];
+
+const KYC_POINTS = { verified: 0, pending: 10, failed: 30 };
+const KYC_UNVERIFIED_POINTS = 20;
+
+// A week below this is never treated as a spike
+const SPIKE_MIN_TOKENS = 2000;
+
+const MAX_HOLD_DAYS = 180;
+
+function validatePercent(percent) {
+  const value = Number(percent);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    throw new BusinessLogicError('reservePercent must be between 0 and 100');
+  }
+  return Math.round(value * 100) / 100;
+}
+
+function validateHoldDays(days) {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_HOLD_DAYS) {
+    throw new BusinessLogicError(`holdDays must be a whole number between 0 and ${MAX_HOLD_DAYS}`);
+  }
+  return value;
+}
+
+/**
+ * Score a creator's risk signals
+ *
+ * @param {Object} signals - From gatherRiskSignals()
+ * @returns {Object} { score: 0-100, factors: [{ factor, points, value }] }
+ */
+function scoreRisk(signals) {
+  const factors = [];
+  const add = (factor, points, value) => {
+    if (points > 0) factors.push({ factor, points, value });
+  };
+
+  const ageDays = Math.floor(signals.accountAgeDays);
+  add('account_age', ageDays < 30 ? 20 : ageDays < 90 ? 10 : 0, ageDays);
+
+  const kycStatus = signals.kycStatus || 'not_started';
+  add('kyc', KYC_POINTS[kycStatus] ?? KYC_UNVERIFIED_POINTS, kycStatus);
+
+  if (signals.earnedTokens > 0) {
+    const refundRate = Math.round(signals.refundedTokens / signals.earnedTokens * 10000) / 100;
+    add('refund_rate', refundRate >= 10 ? 25 : refundRate >= 5 ? 15 : refundRate >= 2 ? 5 : 0, refundRate);
+  }
+
+  add('chargebacks', Math.min(signals.chargebacks * 10, 20), signals.chargebacks);
+
+  if (signals.recentTokens >= SPIKE_MIN_TOKENS) {
+    const ratio = signals.baselineWeeklyTokens > 0
+      ? Math.round(signals.recentTokens / signals.baselineWeeklyTokens * 10) / 10
+      : null;
+    // No earning history at all counts as the largest spike
+    add('earnings_spike', ratio === null || ratio >= 5 ? 20 : ratio >= 3 ? 10 : 0, ratio);
+  }
+
+  add('fraud_alerts', Math.min(signals.openFraudAlerts * 10, 30), signals.openFraudAlerts);
+
+  return {
+    score: Math.min(factors.reduce((sum, f) => sum + f.points, 0), 100),
+    factors
+  };
+}
+
+function tierForScore(score) {
+  return RISK_TIERS.filter(tier => score >= tier.minScore).pop();
+}
+
+/**
+ * Read the signals scoreRisk() needs
+ *
+ * @param {Object} db - pool or client
+ * @throws {ResourceNotFoundError}
+ */
+async function gatherRiskSignals(db, creatorId, at = new Date()) {
+  // Earnings are credits from another user, which leaves out token purchases.
+  // Released chargeback holds (utils/payment-disputes.js) were earned already.
+  const earned = `FROM token_transactions
+    WHERE user_id = $1 AND tokens > 0 AND related_user_id IS NOT NULL AND type <> ALL($3)
+      AND type NOT LIKE 'chargeback%'`;
+
+  const result = await db.query(
+    `SELECT
+       EXTRACT(EPOCH FROM ($2::timestamptz - u.created_at)) / 86400 AS account_age_days,
+       u.kyc_status,
+       (SELECT COALESCE(SUM(tokens), 0) ${earned}
+          AND created_at >= $2::timestamptz - interval '90 days') AS earned_tokens,
+       (SELECT COALESCE(SUM(-tokens), 0) FROM token_transactions
+        WHERE user_id = $1 AND tokens < 0 AND type = ANY($3)
+          AND created_at >= $2::timestamptz - interval '90 days') AS refunded_tokens,
+       (SELECT COALESCE(SUM(tokens), 0) ${earned}
+          AND created_at >= $2::timestamptz - interval '7 days') AS recent_tokens,
+       (SELECT COALESCE(SUM(tokens), 0) / 8.0 ${earned}
+          AND created_at >= $2::timestamptz - interval '63 days'
+          AND created_at < $2::timestamptz - interval '7 days') AS baseline_weekly_tokens,
+       (SELECT COUNT(*) FROM fraud_alerts
+        WHERE alert_type = 'chargeback' AND details->>'creator_id' = $1::text
+          AND created_at >= $2::timestamptz - interval '90 days') AS chargebacks,
+       (SELECT COUNT(*) FROM fraud_alerts
+        WHERE user_id::text = $1::text AND alert_type <> 'chargeback'
+          AND resolved IS NOT TRUE) AS open_fraud_alerts
+     FROM users u
+     WHERE u.supabase_id = $1`,
+    [creatorId, at, REFUND_TYPES]
+  );
+
+  const row = result.rows[0];
+  if (!row) throw new ResourceNotFoundError('Creator');
+
+  return {
+    accountAgeDays: Number(row.account_age_days) || 0,
+    kycStatus: row.kyc_status,
+    earnedTokens: Number(row.earned_tokens),
+    refundedTokens: Number(row.refunded_tokens),
+    recentTokens: Number(row.recent_tokens),
+    baselineWeeklyTokens: Number(row.baseline_weekly_tokens),
+    chargebacks: parseInt(row.chargebacks, 10),
+    openFraudAlerts: parseInt(row.open_fraud_alerts, 10)
+  };
+}
+
+async function findActiveOverride(db, creatorId, at = new Date()) {
+  const result = await db.query(
+    `SELECT * FROM payout_reserve_overrides
+     WHERE creator_id = $1 AND revoked_at IS NULL
+       AND (effective_until IS NULL OR effective_until > $2)`,
+    [creatorId, at]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Score a creator and decide their reserve terms
+ *
+ * @param {Object} db - pool or client
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - Store the assessment
+ * @returns {Promise<Object>} { score, tier, reservePercent, holdDays, source: 'score' | 'override', overrideId, factors, signals, assessmentId }
+ */
+async function assessCreatorRisk(db, creatorId, { at = new Date(), record = true } = {}) {
+  const signals = await gatherRiskSignals(db, creatorId, at);
+  const { score, factors } = scoreRisk(signals);
+  const tier = tierForScore(score);
+
+  let reservePercent = tier.reservePercent;
+  let holdDays = tier.holdDays;
+  const floor = config.payout.reservePercent;
+  if (floor > reservePercent) {
+    reservePercent = floor;
+    holdDays = Math.max(holdDays, config.payout.reserveHoldDays);
+  }
+
+  const override = await findActiveOverride(db, creatorId, at);
+  if (override) {
+    reservePercent = Number(override.reserve_percent);
+    holdDays = override.hold_days;
+  }
+
+  let assessmentId = null;
+  if (record) {
+    const inserted = await db.query(
+      `INSERT INTO payout_risk_assessments
+       (creator_id, score, tier, reserve_percent, hold_days, override_id, factors, assessed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [creatorId, score, tier.tier, reservePercent, holdDays, override?.id || null, JSON.stringify(factors), at]
+    );
+    assessmentId = inserted.rows[0].id;
+  }
+
+  return {
+    creatorId,
+    score,
+    tier: tier.tier,
+    reservePercent,
+    holdDays,
+    source: override ? 'override' : 'score',
+    overrideId: override?.id || null,
+    factors,
+    signals,
+    assessmentId,
+    assessedAt: at
+  };
+}
+
+/**
+ * Hold back a payout's reserve and add any released reserve to it
+ *
+ * Call inside the payout's transaction, before money moves: released holds
+ * are claimed for this payout and revert if the transaction rolls back.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} payout
+ * @param {number|string} payout.amount - creator_payouts.net_payout_amount
+ * @returns {Promise<Object>} { payoutAmount, reserveAmount, releasedAmount, holdId, policy }
+ */
+async function withholdReserve(client, { creatorId, payoutId, amount, currency = 'usd', at = new Date() }) {
+  const policy = await assessCreatorRisk(client, creatorId, { at });
+
+  const released = await client.query(
+    `UPDATE payout_reserve_holds
+     SET status = 'paid_out', paid_payout_id = $2
+     WHERE creator_id = $1 AND status = 'released'
+     RETURNING amount`,
+    [creatorId, payoutId]
+  );
+  // computePayoutAmount works in integer hundredths
+  const releasedHundredths = released.rows.reduce((sum, hold) => sum + Math.round(Number(hold.amount) * 100), 0);
+
+  const decision = computePayoutAmount(
+    [{ currency, amount: Math.round(Number(amount) * 100) }],
+    currency,
+    { reservePercent: policy.reservePercent, minThreshold: 0 }
+  );
+
+  let holdId = null;
+  if (decision.reserve_amount > 0) {
+    const releaseAt = new Date(at.getTime() + policy.holdDays * 24 * 60 * 60 * 1000);
+    const hold = await client.query(
+      `INSERT INTO payout_reserve_holds
+       (creator_id, payout_id, assessment_id, amount, reserve_percent, release_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [creatorId, payoutId, policy.assessmentId, decision.reserve_amount / 100, policy.reservePercent, releaseAt]
+    );
+    holdId = hold.rows[0].id;
+  }
+
+  return {
+    payoutAmount: (decision.amount + releasedHundredths) / 100,
+    reserveAmount: decision.reserve_amount / 100,
+    releasedAmount: releasedHundredths / 100,
+    holdId,
+    policy
+  };
+}
+
+/**
+ * Release every hold whose release_at has passed
+ *
+ * @param {Object} db - pool or client
+ * @returns {Promise<Array>} Released holds: { id, creator_id, amount }
+ */
+async function releaseDueReserves(db, at = new Date()) {
+  const result = await db.query(
+    `UPDATE payout_reserve_holds
+     SET status = 'released', released_at = $1
+     WHERE status = 'held' AND release_at <= $1
+     RETURNING id, creator_id, amount`,
+    [at]
+  );
+  return result.rows;
+}
+
+/**
+ * Release one hold early (admin)
+ *
+ * @returns {Promise<Object|null>} The hold, or null if it wasn't held
+ */
+async function releaseHold(holdId, { adminId, reason }) {
+  if (!reason || !String(reason).trim()) {
+    throw new BusinessLogicError('A reason is required to release a reserve early');
+  }
+
+  const result = await pool.query(
+    `UPDATE payout_reserve_holds
+     SET status = 'released', released_at = NOW(), released_by = $2, release_reason = $3
+     WHERE id = $1 AND status = 'held'
+     RETURNING *`,
+    [holdId, adminId, String(reason).trim()]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Totals and recent holds for a creator
+ */
+async function getReserveSummary(creatorId) {
+  const [totals, holds] = await Promise.all([
+    pool.query(
+      `SELECT
+         COALESCE(SUM(amount) FILTER (WHERE status = 'held'), 0) AS held_amount,
+         COALESCE(SUM(amount) FILTER (WHERE status = 'released'), 0) AS released_amount,
+         MIN(release_at) FILTER (WHERE status = 'held') AS next_release_at
+       FROM payout_reserve_holds
+       WHERE creator_id = $1`,
+      [creatorId]
+    ),
+    pool.query(
+      `SELECT id, payout_id, amount, reserve_percent, status, release_at, released_at,
+              release_reason, paid_payout_id, created_at
+       FROM payout_reserve_holds
+       WHERE creator_id = $1
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [creatorId]
+    )
+  ]);
+
+  const row = totals.rows[0];
+  return {
+    heldAmount: Number(row.held_amount),
+    // Released but not yet paid; added to the next payout
+    releasedAmount: Number(row.released_amount),
+    nextReleaseAt: row.next_release_at,
+    holds: holds.rows
+  };
+}
+
+async function listOverrides(creatorId = null) {
+  const result = await pool.query(
+    `SELECT o.*, u.username AS creator_username
+     FROM payout_reserve_overrides o
+     JOIN users u ON u.supabase_id = o.creator_id
+     WHERE ($1::uuid IS NULL OR o.creator_id = $1)
+     ORDER BY o.created_at DESC`,
+    [creatorId]
+  );
+  return result.rows;
+}
+
+/**
+ * Pin a creator's reserve terms, replacing any active override
+ *
+ * @returns {Promise<Object>} { override, replaced } - replaced is the revoked override, if any
+ */
+async function setOverride({ creatorId, reservePercent, holdDays, effectiveUntil, reason, adminId }) {
+  if (!reason || !String(reason).trim()) {
+    throw new BusinessLogicError('A reason is required for a reserve override');
+  }
+  const percent = validatePercent(reservePercent);
+  const days = validateHoldDays(holdDays);
+  let until = null;
+  if (effectiveUntil != null) {
+    until = new Date(effectiveUntil);
+    if (Number.isNaN(until.getTime())) throw new BusinessLogicError('effectiveUntil must be a date');
+    if (until <= new Date()) throw new BusinessLogicError('effectiveUntil must be in the future');
+  }
+
+  const creator = await pool.query('SELECT 1 FROM users WHERE supabase_id = $1 AND is_creator = true', [creatorId]);
+  if (creator.rows.length === 0) throw new BusinessLogicError('Overrides can only be set for creators');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const replaced = await client.query(
+      `UPDATE payout_reserve_overrides
+       SET revoked_at = NOW(), revoked_by = $2
+       WHERE creator_id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [creatorId, adminId]
+    );
+
+    const inserted = await client.query(
+      `INSERT INTO payout_reserve_overrides
+       (creator_id, reserve_percent, hold_days, reason, effective_until, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [creatorId, percent, days, String(reason).trim(), until, adminId]
+    );
+
+    await client.query('COMMIT');
+    return { override: inserted.rows[0], replaced: replaced.rows[0] || null };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} The revoked override, or null if it wasn't active
+ */
+async function revokeOverride(overrideId, adminId) {
+  const result = await pool.query(
+    `UPDATE payout_reserve_overrides
+     SET revoked_at = NOW(), revoked_by = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING *`,
+    [overrideId, adminId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  RISK_TIERS,
+  REFUND_TYPES,
+  scoreRisk,
+  tierForScore,
+  gatherRiskSignals,
+  assessCreatorRisk,
+  withholdReserve,
+  releaseDueReserves,
+  releaseHold,
+  getReserveSummary,
+  listOverrides,
+  setOverride,
+  revokeOverride
+};
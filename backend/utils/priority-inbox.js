@@ -0,0 +1,124 @@
+/**
+ * Priority Inbox Scoring
+ *
+ * Ranks a creator's conversations by fan value so the most valuable fans are
+ * answered first (PriorityInboxModal). Every score is the sum of explainable
+ * components, each capped so no single signal dominates:
+ *
+ *   lifetime_tokens  up to 35  tokens the fan has spent with the creator (log scale)
+ *   subscription     up to 20  highest active membership tier level
+ *   vip              20        fan is in vip_fans (PUT /conversations/:participantId/vip)
+ *   waiting          up to 15  hours the oldest unanswered fan message has waited
+ *   paid_messages    up to 10  tokens paid for messages still waiting on a reply
+ *
+ * The maximum score is 100.
+ */
+
+// Fans at or above this lifetime spend are "high value" in the inbox filters
+const HIGH_VALUE_TOKENS = 2000;
+
+const PRIORITY_LEVELS = [
+  { level: 'urgent', minScore: 70 },
+  { level: 'high', minScore: 45 },
+  { level: 'medium', minScore: 20 },
+  { level: 'low', minScore: 0 }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Score one conversation
+ *
+ * @param {Object} signals
+ * @param {number} [signals.lifetimeTokens=0] - Tokens spent with the creator
+ * @param {number} [signals.tierLevel=0] - Active membership tier level (0 = none)
+ * @param {string} [signals.tierName] - Active membership tier name
+ * @param {boolean} [signals.isVIP=false]
+ * @param {Date|string|null} [signals.waitingSince] - Oldest unanswered fan message
+ * @param {number} [signals.paidTokens=0] - Tokens paid for unanswered messages
+ * @param {Date} [now=new Date()]
+ * @returns {Object} { score, priority, components: [{ key, label, value, points, maxPoints }] }
+ */
+function scoreConversation(signals, now = new Date()) {
+  const {
+    lifetimeTokens = 0,
+    tierLevel = 0,
+    tierName = null,
+    isVIP = false,
+    waitingSince = null,
+    paidTokens = 0
+  } = signals;
+
+  const hoursWaiting = waitingSince
+    ? Math.max(0, (now.getTime() - new Date(waitingSince).getTime()) / (60 * 60 * 1000))
+    : 0;
+
+  const components = [
+    {
+      key: 'lifetime_tokens',
+      label: `Spent ${lifetimeTokens} tokens with you`,
+      value: lifetimeTokens,
+      // 10 tokens = 7 points, 1,000 = 21, 100,000 = 35
+      points: Math.min(35, 7 * Math.log10(1 + Math.max(0, lifetimeTokens))),
+      maxPoints: 35
+    },
+    {
+      key: 'subscription',
+      label: tierName ? `${tierName} subscriber` : 'Not subscribed',
+      value: tierLevel,
+      points: Math.min(20, Math.max(0, tierLevel) * 5),
+      maxPoints: 20
+    },
+    {
+      key: 'vip',
+      label: isVIP ? 'Marked as VIP' : 'Not a VIP',
+      value: isVIP,
+      points: isVIP ? 20 : 0,
+      maxPoints: 20
+    },
+    {
+      key: 'waiting',
+      label: waitingSince ? `Waiting ${Math.floor(hoursWaiting)}h for a reply` : 'No unanswered messages',
+      value: round(hoursWaiting),
+      // Full weight after two days
+      points: Math.min(15, hoursWaiting * (15 / 48)),
+      maxPoints: 15
+    },
+    {
+      key: 'paid_messages',
+      label: paidTokens > 0 ? `Paid ${paidTokens} tokens for unanswered messages` : 'No paid messages waiting',
+      value: paidTokens,
+      points: Math.min(10, Math.max(0, paidTokens) / 5),
+      maxPoints: 10
+    }
+  ].map(component => ({ ...component, points: round(component.points) }));
+
+  const score = round(components.reduce((sum, component) => sum + component.points, 0));
+  const { level } = PRIORITY_LEVELS.find(p => score >= p.minScore);
+
+  return { score, priority: level, components };
+}
+
+/**
+ * Score and order conversations, highest score first
+ *
+ * Ties go to the fan who has waited longest.
+ *
+ * @param {Array<Object>} conversations - Objects with a `signals` property
+ * @param {Date} [now=new Date()]
+ * @returns {Array<Object>} Conversations with `score`, `priority` and `components`
+ */
+function rankConversations(conversations, now = new Date()) {
+  return conversations
+    .map(conversation => ({ ...conversation, ...scoreConversation(conversation.signals, now) }))
+    .sort((a, b) =>
+      b.score - a.score ||
+      new Date(a.signals.waitingSince || now) - new Date(b.signals.waitingSince || now)
+    );
+}
+
+module.exports = {
+  HIGH_VALUE_TOKENS,
+  scoreConversation,
+  rankConversations
+};
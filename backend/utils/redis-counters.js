@@ -1,9 +1,16 @@
 /**
  * Redis-based counters for fast active session counts
  * Replaces slow COUNT(*) queries with cached values
+ *
+ * Also tracks live stream viewers as one Redis set per stream, shared by every
+ * backend instance (see utils/stream-activity-monitor.js).
  */
 
-const redis = require('./redis');
+const { redis } = require('./redis');
+const { breaker } = require('./redis-circuit-breaker');
+
+// Viewer sets outlive any realistic stream, then clean themselves up
+const STREAM_VIEWERS_TTL = 24 * 60 * 60;
 
 class SessionCounters {
   constructor() {
@@ -19,7 +26,7 @@ class SessionCounters {
    */
   async incrementActive(sessionId, creatorId, fanId) {
     try {
-      const multi = redis.client.multi();
+      const multi = redis.multi();
 
       // Increment total active sessions
       multi.incr(this.KEYS.ACTIVE_SESSIONS);
@@ -47,7 +54,7 @@ class SessionCounters {
    */
   async decrementActive(sessionId, creatorId, fanId) {
     try {
-      const multi = redis.client.multi();
+      const multi = redis.multi();
 
       // Decrement total active sessions
       multi.decr(this.KEYS.ACTIVE_SESSIONS);
@@ -81,9 +88,9 @@ class SessionCounters {
   async getCounts() {
     try {
       const [total, creators, fans] = await Promise.all([
-        redis.client.get(this.KEYS.ACTIVE_SESSIONS),
-        redis.client.scard(this.KEYS.ACTIVE_CREATORS),
-        redis.client.scard(this.KEYS.ACTIVE_FANS)
+        redis.get(this.KEYS.ACTIVE_SESSIONS),
+        redis.scard(this.KEYS.ACTIVE_CREATORS),
+        redis.scard(this.KEYS.ACTIVE_FANS)
       ]);
 
       return {
@@ -157,7 +164,7 @@ class SessionCounters {
       const dbCounts = await this.getCountsFromDB();
 
       // Update Redis with accurate counts from DB
-      const multi = redis.client.multi();
+      const multi = redis.multi();
       multi.set(this.KEYS.ACTIVE_SESSIONS, dbCounts.activeSessions);
 
       // Rebuild active creator/fan sets
@@ -192,4 +199,75 @@ class SessionCounters {
   }
 }
 
+class StreamViewerCounters {
+  key(streamId) {
+    return `stream:activity:${streamId}:viewers`;
+  }
+
+  /**
+   * Add a viewer to a stream. Joining twice counts once.
+   *
+   * @returns {Promise<number|null>} Viewer count, or null when Redis is unavailable
+   */
+  async addViewer(streamId, viewerId) {
+    return breaker.execute('STREAM_VIEWER_ADD', async () => {
+      const key = this.key(streamId);
+      const pipeline = redis.pipeline();
+      pipeline.sadd(key, viewerId);
+      pipeline.expire(key, STREAM_VIEWERS_TTL);
+      pipeline.scard(key);
+      const results = await pipeline.exec();
+      return results[2];
+    }, null);
+  }
+
+  /**
+   * Remove a viewer from a stream
+   *
+   * @returns {Promise<number|null>} Viewer count, or null when Redis is unavailable
+   */
+  async removeViewer(streamId, viewerId) {
+    return breaker.execute('STREAM_VIEWER_REMOVE', async () => {
+      const key = this.key(streamId);
+      const pipeline = redis.pipeline();
+      pipeline.srem(key, viewerId);
+      pipeline.scard(key);
+      const results = await pipeline.exec();
+      return results[1];
+    }, null);
+  }
+
+  /**
+   * @returns {Promise<number|null>} Viewer count, or null when Redis is unavailable
+   */
+  async getViewerCount(streamId) {
+    return breaker.execute('STREAM_VIEWER_COUNT', () => redis.scard(this.key(streamId)), null);
+  }
+
+  /**
+   * How many of the given viewers are watching a stream right now
+   *
+   * @returns {Promise<number|null>} Count, or null when Redis is unavailable
+   */
+  async countWatching(streamId, viewerIds) {
+    if (viewerIds.length === 0) return 0;
+
+    return breaker.execute('STREAM_VIEWER_MEMBERS', async () => {
+      const key = this.key(streamId);
+      const pipeline = redis.pipeline();
+      viewerIds.forEach(viewerId => pipeline.sismember(key, viewerId));
+      const results = await pipeline.exec();
+      return results.filter(Boolean).length;
+    }, null);
+  }
+
+  async clear(streamId) {
+    return breaker.execute('STREAM_VIEWER_CLEAR', async () => {
+      await redis.del(this.key(streamId));
+      return true;
+    }, false);
+  }
+}
+
 module.exports = new SessionCounters();
+module.exports.streamViewers = new StreamViewerCounters();
@@ -0,0 +1,589 @@
+/**
+ * Revenue Splits
+ *
+ * Shares a host's revenue with the creators on air with them. Terms are
+ * agreed before any money moves - collaborators accept a collaboration's
+ * split (routes/collaborations.js) and hosts confirm a co-host's proposed
+ * split on /co-host-accept (routes/streaming.js) - and every tip, gift,
+ * ticket and recording sale earned under an active agreement is divided in
+ * the same transaction that takes the fan's tokens.
+ *
+ * Modes:
+ *   fixed         - each member keeps their agreed percentage; in a co-hosted
+ *                   stream the host keeps whatever the co-hosts don't
+ *   time_weighted - members on air share in proportion to their on-air time
+ *
+ * Each member's slice is priced under their own fee policy
+ * (utils/fee-policy.js) and logged in revenue_split_allocations. Rounding
+ * remainders go to the host.
+ *
+ * Functions that take a client expect it to be inside a transaction; the
+ * caller owns BEGIN / COMMIT / ROLLBACK.
+ */
+
+const { BusinessLogicError, ResourceConflictError } = require('./app-errors');
+const { creditCreator } = require('./token-transfers');
+
+const SPLIT_MODES = ['fixed', 'time_weighted'];
+
+// Folds the current on-air stretch into on_air_seconds
+const GO_OFF_AIR = `on_air_seconds = on_air_seconds
+      + COALESCE(GREATEST(0, EXTRACT(EPOCH FROM (NOW() - on_air_since)))::int, 0),
+    on_air_since = NULL`;
+
+function validateSplitMode(mode) {
+  if (!SPLIT_MODES.includes(mode)) {
+    throw new BusinessLogicError(`split mode must be one of ${SPLIT_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function validateSharePercent(percent, field = 'sharePercent') {
+  const value = Number(percent);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    throw new BusinessLogicError(`${field} must be between 0 and 100`);
+  }
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check a collaboration's fixed split: one percentage per participant,
+ * adding up to 100
+ *
+ * @param {Object} shares - { [userId]: percent }
+ * @param {string[]} participantIds - Host and collaborators
+ * @returns {Object} The shares rounded to two decimals
+ */
+function validateFixedShares(shares, participantIds) {
+  if (!shares || typeof shares !== 'object') {
+    throw new BusinessLogicError('revenueSharing is required for a fixed split');
+  }
+
+  const normalized = {};
+  for (const participantId of participantIds) {
+    if (!(participantId in shares)) {
+      throw new BusinessLogicError(`Missing revenue sharing percentage for participant: ${participantId}`);
+    }
+    normalized[participantId] = validateSharePercent(shares[participantId], 'Revenue sharing percentages');
+  }
+
+  const extra = Object.keys(shares).find(userId => !participantIds.includes(userId));
+  if (extra) {
+    throw new BusinessLogicError(`${extra} is not a participant in this collaboration`);
+  }
+
+  const total = Object.values(normalized).reduce((sum, pct) => sum + pct, 0);
+  if (Math.abs(total - 100) > 0.01) {
+    throw new BusinessLogicError('Revenue sharing percentages must add up to 100%');
+  }
+  return normalized;
+}
+
+function onAirSeconds(member, at) {
+  const current = member.on_air_since
+    ? Math.max(0, (new Date(at) - new Date(member.on_air_since)) / 1000)
+    : 0;
+  return (parseInt(member.on_air_seconds, 10) || 0) + current;
+}
+
+/**
+ * Each member's percentage of revenue earned at a point in time
+ *
+ * @param {Object} agreement - revenue_split_agreements row
+ * @param {Object[]} members - revenue_split_members rows
+ * @param {Date} [at]
+ * @returns {Object[]} [{ userId, role, percent }], host first
+ */
+function computeShares(agreement, members, at = new Date()) {
+  const host = members.find(member => member.role === 'host');
+  const others = members.filter(member => member.role !== 'host');
+  let shares;
+
+  if (agreement.mode === 'fixed') {
+    shares = others
+      .filter(member => !member.left_at)
+      .map(member => ({ userId: member.user_id, role: member.role, percent: Number(member.share_percent) || 0 }));
+  } else {
+    // Share among whoever is on air now; once everyone is off air (the
+    // stream ended) fall back to the whole session
+    const onAir = members.filter(member => member.on_air_since);
+    const weighted = (onAir.length > 0 ? onAir : members)
+      .map(member => ({ member, seconds: onAirSeconds(member, at) }));
+    const totalSeconds = weighted.reduce((sum, entry) => sum + entry.seconds, 0);
+
+    shares = totalSeconds > 0
+      ? weighted
+        .filter(entry => entry.member.role !== 'host' && entry.seconds > 0)
+        .map(entry => ({
+          userId: entry.member.user_id,
+          role: entry.member.role,
+          percent: Math.round(entry.seconds / totalSeconds * 10000) / 100
+        }))
+      : [];
+  }
+
+  const othersPercent = shares.reduce((sum, share) => sum + share.percent, 0);
+  const hostPercent = Math.max(0, Math.round((100 - othersPercent) * 100) / 100);
+  return [{ userId: host ? host.user_id : agreement.host_id, role: 'host', percent: hostPercent }, ...shares];
+}
+
+/**
+ * Divide whole tokens by percentage. Members are rounded down and the host
+ * takes the remainder, so the parts always add up to the gross.
+ *
+ * @returns {Object[]} [{ userId, role, percent, tokens }], members with 0 tokens omitted
+ */
+function allocateTokens(grossTokens, shares) {
+  const allocations = shares.map(share => ({
+    ...share,
+    tokens: share.role === 'host' ? 0 : Math.floor(grossTokens * share.percent / 100)
+  }));
+  const host = allocations.find(allocation => allocation.role === 'host');
+  host.tokens = grossTokens - allocations.reduce((sum, allocation) => sum + allocation.tokens, 0);
+  return allocations.filter(allocation => allocation.tokens > 0);
+}
+
+/**
+ * The agreement that covers revenue a host earns now, or for a recording
+ * of one of their streams
+ *
+ * @param {Object} client
+ * @param {Object} params
+ * @param {string} params.hostId
+ * @param {string} [params.streamId] - streams.id or streams.stream_id
+ * @param {boolean} [params.recording] - Match the stream's agreement even after it ended
+ * @param {string} [params.agreementId] - A specific agreement, active or ended
+ * @returns {Promise<Object|null>}
+ */
+async function findAgreement(client, { hostId, streamId = null, recording = false, agreementId = null }) {
+  if (agreementId) {
+    const result = await client.query(
+      `SELECT * FROM revenue_split_agreements
+       WHERE id = $1 AND host_id = $2
+       FOR SHARE`,
+      [agreementId, hostId]
+    );
+    return result.rows[0] || null;
+  }
+
+  if (recording) {
+    if (!streamId) return null;
+    const result = await client.query(
+      `SELECT a.*, s.ended_at AS stream_ended_at
+       FROM revenue_split_agreements a
+       JOIN streams s ON s.id = a.stream_id
+       WHERE a.host_id = $1 AND $2 IN (s.id::text, s.stream_id::text)
+       ORDER BY a.started_at DESC
+       LIMIT 1
+       FOR SHARE OF a`,
+      [hostId, String(streamId)]
+    );
+    return result.rows[0] || null;
+  }
+
+  // FOR SHARE lets concurrent tips through but keeps the agreement from being
+  // ended or joined (both lock it for update) halfway through a payment
+  const result = await client.query(
+    `SELECT a.*
+     FROM revenue_split_agreements a
+     LEFT JOIN streams s ON s.id = a.stream_id
+     WHERE a.host_id = $1
+       AND a.status = 'active'
+       AND (a.source_type = 'collaboration' OR s.status = 'live')
+       AND ($2::text IS NULL OR a.stream_id IS NULL OR $2::text IN (s.id::text, s.stream_id::text))
+     ORDER BY a.started_at DESC
+     LIMIT 1
+     FOR SHARE OF a`,
+    [hostId, streamId == null ? null : String(streamId)]
+  );
+  return result.rows[0] || null;
+}
+
+async function getMembers(db, agreementId) {
+  const result = await db.query(
+    `SELECT * FROM revenue_split_members
+     WHERE agreement_id = $1
+     ORDER BY (role = 'host') DESC, joined_at`,
+    [agreementId]
+  );
+  return result.rows;
+}
+
+/**
+ * Credit revenue a host earned, split with the creators sharing their
+ * session when an agreement covers it
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {string} params.hostId - The creator the fan paid
+ * @param {number} params.grossTokens - What the fan paid
+ * @param {string} params.revenueType - 'tip' | 'gift' | 'ticket' | 'ppv' | 'session'
+ * @param {string} [params.type] - token_transactions.type for the default credit
+ * @param {string} [params.payerId] - Fan supabase_id
+ * @param {string} [params.streamId] - Stream the revenue was earned in
+ * @param {boolean} [params.recording] - A recording sale, split by the stream's agreement
+ * @param {string} [params.sourceRef] - Tip, gift, ticket or recording id
+ * @param {string} [params.agreementId] - Split under this agreement rather than looking one up
+ * @param {Object} [params.journal] - Ledger journal for the default credit
+ * @param {Function} [params.credit] - async (userId, grossTokens) => fee breakdown,
+ *   for routes that keep balances outside token_balances; defaults to creditCreator.
+ *   A custom credit that writes token_balances adds its own ledger legs.
+ * @returns {Promise<Object>} { agreementId, platformFeeTokens, creatorNetTokens, allocations }
+ */
+async function creditSplitRevenue(client, {
+  hostId,
+  grossTokens,
+  revenueType,
+  type,
+  payerId = null,
+  streamId = null,
+  recording = false,
+  sourceRef = null,
+  agreementId = null,
+  journal,
+  credit
+}) {
+  const creditMember = credit
+    || ((userId, tokens) => creditCreator(client, userId, tokens, { type, revenueType, journal, relatedUserId: payerId }));
+
+  const agreement = await findAgreement(client, { hostId, streamId, recording, agreementId });
+  const shares = agreement
+    ? allocateTokens(grossTokens, computeShares(
+      agreement,
+      await getMembers(client, agreement.id),
+      agreement.ended_at || agreement.stream_ended_at || new Date()
+    ))
+    : [{ userId: hostId, role: 'host', percent: 100, tokens: grossTokens }];
+
+  const allocations = [];
+  for (const share of shares) {
+    const fees = await creditMember(share.userId, share.tokens);
+
+    if (agreement) {
+      await client.query(
+        `INSERT INTO revenue_split_allocations
+         (agreement_id, user_id, revenue_type, source_ref, payer_id, event_gross_tokens,
+          share_percent, gross_tokens, platform_fee_tokens, net_tokens, fee_breakdown)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          agreement.id,
+          share.userId,
+          revenueType,
+          sourceRef == null ? null : String(sourceRef),
+          payerId,
+          grossTokens,
+          share.percent,
+          share.tokens,
+          fees.platformFeeTokens,
+          fees.creatorNetTokens,
+          JSON.stringify(fees)
+        ]
+      );
+    }
+
+    allocations.push({
+      userId: share.userId,
+      role: share.role,
+      sharePercent: share.percent,
+      grossTokens: share.tokens,
+      platformFeeTokens: fees.platformFeeTokens,
+      netTokens: fees.creatorNetTokens,
+      feeBreakdown: fees
+    });
+  }
+
+  return {
+    agreementId: agreement ? agreement.id : null,
+    platformFeeTokens: allocations.reduce((sum, allocation) => sum + allocation.platformFeeTokens, 0),
+    creatorNetTokens: allocations.reduce((sum, allocation) => sum + allocation.netTokens, 0),
+    allocations
+  };
+}
+
+/**
+ * Open an agreement with everyone on air from the start
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {Object[]} params.members - [{ userId, role, sharePercent }], including the host
+ * @returns {Promise<Object>} The agreement row
+ */
+async function createAgreement(client, {
+  sourceType,
+  collaborationId = null,
+  streamId = null,
+  hostId,
+  mode,
+  termsVersion = 1,
+  members
+}) {
+  const result = await client.query(
+    `INSERT INTO revenue_split_agreements
+     (source_type, collaboration_id, stream_id, host_id, mode, terms_version)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [sourceType, collaborationId, streamId, hostId, validateSplitMode(mode), termsVersion]
+  );
+  const agreement = result.rows[0];
+
+  for (const member of members) {
+    await client.query(
+      `INSERT INTO revenue_split_members (agreement_id, user_id, role, share_percent, on_air_since)
+       VALUES ($1, $2, $3, $4, NOW())`,
+      [agreement.id, member.userId, member.role, member.sharePercent == null ? null : member.sharePercent]
+    );
+  }
+  return agreement;
+}
+
+/**
+ * Add an accepted co-host to the stream's agreement, opening one if this is
+ * the first co-host with split terms
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {string} params.streamId - streams.id
+ * @param {string|null} params.mode - Agreed mode; null joins an existing agreement on its terms
+ * @param {number} [params.sharePercent] - Fixed mode only
+ * @returns {Promise<Object|null>} { agreement, member }, or null when nothing was agreed
+ * @throws {ResourceConflictError} When the stream already splits under the other mode
+ */
+async function addCoHost(client, { streamId, hostId, coHostId, mode = null, sharePercent = null }) {
+  const existing = await client.query(
+    `SELECT * FROM revenue_split_agreements
+     WHERE stream_id = $1 AND source_type = 'co_host' AND status = 'active'
+     FOR UPDATE`,
+    [streamId]
+  );
+  let agreement = existing.rows[0];
+
+  if (!agreement && !mode) return null;
+  if (agreement && mode && mode !== agreement.mode) {
+    throw new ResourceConflictError(`This stream already splits revenue ${agreement.mode.replace('_', '-')}`);
+  }
+  const splitMode = agreement ? agreement.mode : validateSplitMode(mode);
+  const share = splitMode === 'fixed' ? validateSharePercent(sharePercent || 0, 'coHostPercent') : null;
+
+  if (share !== null) {
+    const others = await client.query(
+      `SELECT COALESCE(SUM(share_percent), 0) AS total
+       FROM revenue_split_members
+       WHERE agreement_id = $1 AND role = 'co_host' AND left_at IS NULL AND user_id <> $2`,
+      [agreement ? agreement.id : null, coHostId]
+    );
+    if (Number(others.rows[0].total) + share > 100) {
+      throw new BusinessLogicError('Co-host shares cannot add up to more than 100%');
+    }
+  }
+
+  if (!agreement) {
+    agreement = await createAgreement(client, {
+      sourceType: 'co_host',
+      streamId,
+      hostId,
+      mode: splitMode,
+      members: [{ userId: hostId, role: 'host', sharePercent: null }]
+    });
+  }
+
+  const member = await client.query(
+    `INSERT INTO revenue_split_members (agreement_id, user_id, role, share_percent, on_air_since)
+     VALUES ($1, $2, 'co_host', $3, NOW())
+     ON CONFLICT (agreement_id, user_id)
+     DO UPDATE SET
+       share_percent = EXCLUDED.share_percent,
+       left_at = NULL,
+       on_air_since = COALESCE(revenue_split_members.on_air_since, NOW())
+     RETURNING *`,
+    [agreement.id, coHostId, share]
+  );
+  return { agreement, member: member.rows[0] };
+}
+
+/**
+ * Take a co-host off the stream's agreement. They keep what they earned but
+ * share in nothing from now on.
+ *
+ * @param {string} params.streamId - streams.id or streams.stream_id
+ * @returns {Promise<boolean>} false if the stream has no agreement with them in it
+ */
+async function removeCoHost(db, { streamId, coHostId }) {
+  const result = await db.query(
+    `UPDATE revenue_split_members m
+     SET ${GO_OFF_AIR}, left_at = NOW()
+     FROM revenue_split_agreements a
+     JOIN streams s ON s.id = a.stream_id
+     WHERE a.id = m.agreement_id
+       AND $1 IN (s.id::text, s.stream_id::text)
+       AND a.source_type = 'co_host' AND a.status = 'active'
+       AND m.user_id = $2 AND m.left_at IS NULL`,
+    [String(streamId), coHostId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * The latest co-host agreement of a stream, active or ended
+ *
+ * @param {string} streamId - streams.id or streams.stream_id
+ * @returns {Promise<Object|null>}
+ */
+async function findStreamAgreement(db, streamId) {
+  const result = await db.query(
+    `SELECT a.*
+     FROM revenue_split_agreements a
+     JOIN streams s ON s.id = a.stream_id
+     WHERE $1 IN (s.id::text, s.stream_id::text) AND a.source_type = 'co_host'
+     ORDER BY a.started_at DESC
+     LIMIT 1`,
+    [String(streamId)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a member as on or off air, which drives time-weighted shares
+ *
+ * @returns {Promise<Object|null>} The member row, or null if they aren't an active member
+ */
+async function setOnAir(db, { agreementId, userId, onAir }) {
+  const result = await db.query(
+    `UPDATE revenue_split_members
+     SET ${onAir ? 'on_air_since = COALESCE(on_air_since, NOW())' : GO_OFF_AIR}
+     WHERE agreement_id = $1 AND user_id = $2 AND left_at IS NULL
+     RETURNING *`,
+    [agreementId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Close an agreement and stop everyone's on-air clock. Later sales of the
+ * stream's recording are split by the final on-air totals.
+ */
+async function endAgreement(db, agreementId) {
+  await db.query(
+    `WITH ended AS (
+       UPDATE revenue_split_agreements
+       SET status = 'ended', ended_at = NOW()
+       WHERE id = $1 AND status = 'active'
+       RETURNING id
+     )
+     UPDATE revenue_split_members
+     SET ${GO_OFF_AIR}
+     WHERE agreement_id IN (SELECT id FROM ended) AND on_air_since IS NOT NULL`,
+    [agreementId]
+  );
+}
+
+/**
+ * Close the co-host agreement of a stream that ended
+ *
+ * @param {string} streamId - streams.id or streams.stream_id
+ */
+async function endStreamAgreements(db, streamId) {
+  await db.query(
+    `WITH ended AS (
+       UPDATE revenue_split_agreements a
+       SET status = 'ended', ended_at = NOW()
+       FROM streams s
+       WHERE s.id = a.stream_id
+         AND $1 IN (s.id::text, s.stream_id::text)
+         AND a.status = 'active'
+       RETURNING a.id
+     )
+     UPDATE revenue_split_members
+     SET ${GO_OFF_AIR}
+     WHERE agreement_id IN (SELECT id FROM ended) AND on_air_since IS NOT NULL`,
+    [String(streamId)]
+  );
+}
+
+/**
+ * Per-member view of an agreement: agreed and current share, on-air time
+ * and what they earned, by revenue type
+ *
+ * @param {Object} db - pool or client
+ * @param {Object} agreement - revenue_split_agreements row
+ * @returns {Promise<Object[]>}
+ */
+async function getMemberEarnings(db, agreement) {
+  const [membersResult, earningsResult] = await Promise.all([
+    db.query(
+      `SELECT m.*, u.username, u.profile_pic_url
+       FROM revenue_split_members m
+       JOIN users u ON u.supabase_id = m.user_id
+       WHERE m.agreement_id = $1
+       ORDER BY (m.role = 'host') DESC, m.joined_at`,
+      [agreement.id]
+    ),
+    db.query(
+      `SELECT user_id, revenue_type, COUNT(*) AS payments,
+              SUM(gross_tokens) AS gross_tokens,
+              SUM(platform_fee_tokens) AS platform_fee_tokens,
+              SUM(net_tokens) AS net_tokens
+       FROM revenue_split_allocations
+       WHERE agreement_id = $1
+       GROUP BY user_id, revenue_type`,
+      [agreement.id]
+    )
+  ]);
+
+  const members = membersResult.rows;
+  const at = agreement.ended_at || new Date();
+  const currentShares = new Map(computeShares(agreement, members, at).map(share => [share.userId, share.percent]));
+
+  return members.map(member => {
+    const byRevenueType = {};
+    let grossTokens = 0;
+    let platformFeeTokens = 0;
+    let netTokens = 0;
+
+    for (const row of earningsResult.rows.filter(earning => earning.user_id === member.user_id)) {
+      byRevenueType[row.revenue_type] = {
+        payments: parseInt(row.payments, 10),
+        grossTokens: parseInt(row.gross_tokens, 10),
+        platformFeeTokens: parseInt(row.platform_fee_tokens, 10),
+        netTokens: parseInt(row.net_tokens, 10)
+      };
+      grossTokens += parseInt(row.gross_tokens, 10);
+      platformFeeTokens += parseInt(row.platform_fee_tokens, 10);
+      netTokens += parseInt(row.net_tokens, 10);
+    }
+
+    return {
+      userId: member.user_id,
+      username: member.username,
+      profilePic: member.profile_pic_url,
+      role: member.role,
+      agreedPercent: member.share_percent == null ? null : Number(member.share_percent),
+      currentPercent: currentShares.get(member.user_id) || 0,
+      onAir: Boolean(member.on_air_since),
+      onAirSeconds: Math.round(onAirSeconds(member, at)),
+      leftAt: member.left_at,
+      grossTokens,
+      platformFeeTokens,
+      netTokens,
+      byRevenueType
+    };
+  });
+}
+
+module.exports = {
+  SPLIT_MODES,
+  validateSplitMode,
+  validateSharePercent,
+  validateFixedShares,
+  computeShares,
+  allocateTokens,
+  findAgreement,
+  creditSplitRevenue,
+  createAgreement,
+  addCoHost,
+  removeCoHost,
+  findStreamAgreement,
+  setOnAir,
+  endAgreement,
+  endStreamAgreements,
+  getMemberEarnings
+};
@@ -0,0 +1,319 @@
+/**
+ * Recurrence Rules (RFC 5545)
+ *
+ * Parses and expands the subset of RRULE used for class series:
+ *
+ *   FREQ        DAILY, WEEKLY or MONTHLY
+ *   INTERVAL    every n days / weeks / months (default 1)
+ *   COUNT       number of occurrences, counted before EXDATE removal
+ *   UNTIL       last possible start, inclusive (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ *   BYDAY       MO..SU; monthly rules also accept ordinals (1MO, -1FR)
+ *   BYMONTHDAY  1..31 or -31..-1, monthly rules only
+ *
+ * Occurrences are expanded in the series timezone, so a class at 18:00
+ * stays at 18:00 local time across DST changes. Weeks start on Monday.
+ *
+ * Every rule must end (COUNT or UNTIL) and expand to at most
+ * MAX_OCCURRENCES classes, because occurrences are stored as class rows.
+ */
+
+const { BusinessLogicError } = require('./app-errors');
+
+const MAX_OCCURRENCES = 104;
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on candidate periods scanned, so sparse rules cannot spin forever
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse an RRULE string
+ *
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {Object} { freq, interval, count, until, byDay, byMonthDay }
+ * @throws {BusinessLogicError} When the rule is invalid or unsupported
+ */
+function parseRRule(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new BusinessLogicError('rrule is required');
+  }
+
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+  const text = value.trim().replace(/^RRULE:/i, '');
+
+  for (const part of text.split(';').filter(Boolean)) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const val = (rawValue || '').toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw new BusinessLogicError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(val, 10);
+        if (!/^\d+$/.test(val) || rule.interval < 1 || rule.interval > 52) {
+          throw new BusinessLogicError('INTERVAL must be between 1 and 52');
+        }
+        break;
+      case 'COUNT':
+        rule.count = parseInt(val, 10);
+        if (!/^\d+$/.test(val) || rule.count < 1) {
+          throw new BusinessLogicError('COUNT must be a positive number');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseDateTime(val);
+        if (!rule.until) {
+          throw new BusinessLogicError('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map((day) => {
+          const weekday = WEEKDAYS.indexOf(day.slice(-2));
+          const prefix = day.slice(0, -2);
+          const ordinal = prefix ? parseInt(prefix, 10) : null;
+          if (weekday === -1 || !/^[+-]?\d{0,2}$/.test(prefix) || ordinal === 0 || Math.abs(ordinal) > 5) {
+            throw new BusinessLogicError(`Invalid BYDAY value: ${day}`);
+          }
+          return { weekday, ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map((day) => {
+          const n = parseInt(day, 10);
+          if (!/^[+-]?\d{1,2}$/.test(day) || n === 0 || Math.abs(n) > 31) {
+            throw new BusinessLogicError(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return n;
+        });
+        break;
+      case 'WKST':
+        break;
+      default:
+        throw new BusinessLogicError(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new BusinessLogicError('rrule must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new BusinessLogicError('rrule cannot have both COUNT and UNTIL');
+  }
+  if (!rule.count && !rule.until) {
+    throw new BusinessLogicError('rrule must end with COUNT or UNTIL');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byMonthDay.length > 0) {
+    throw new BusinessLogicError('BYMONTHDAY is only supported for monthly rules');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    throw new BusinessLogicError('BYDAY ordinals are only supported for monthly rules');
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a parsed rule back to an RRULE string
+ *
+ * @param {Object} rule - As returned by parseRRule
+ * @returns {string}
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatDateTime(rule.until)}`);
+  return parts.join(';');
+}
+
+function parseDateTime(value) {
+  const dateOnly = /^\d{8}$/.test(value);
+  if (!dateOnly && !/^\d{8}T\d{6}Z?$/.test(value)) return null;
+
+  const field = (from, to) => parseInt(value.slice(from, to), 10);
+  // A date-only UNTIL includes the whole day
+  const date = dateOnly
+    ? new Date(Date.UTC(field(0, 4), field(4, 6) - 1, field(6, 8), 23, 59, 59))
+    : new Date(Date.UTC(field(0, 4), field(4, 6) - 1, field(6, 8), field(9, 11), field(11, 13), field(13, 15)));
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Check an IANA timezone name
+ *
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a timezone
+function toZonedFields(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return {
+    year: get('year'), month: get('month') - 1, day: get('day'),
+    hour: get('hour'), minute: get('minute'), second: get('second')
+  };
+}
+
+// Instant for wall-clock fields in a timezone
+function fromZonedFields({ year, month, day, hour, minute, second }, timezone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute, second);
+  const offsetAt = (instant) => {
+    const zoned = toZonedFields(new Date(instant), timezone);
+    return Date.UTC(zoned.year, zoned.month, zoned.day, zoned.hour, zoned.minute, zoned.second) - instant;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  // Second pass settles instants near a DST transition
+  return new Date(wallClock - offsetAt(guess));
+}
+
+// Days of a month matching BYMONTHDAY / BYDAY, or the start day by default
+function monthlyDays(rule, year, month, startDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = new Set();
+
+  for (const n of rule.byMonthDay) {
+    const day = n > 0 ? n : daysInMonth + n + 1;
+    if (day >= 1 && day <= daysInMonth) days.add(day);
+  }
+
+  for (const { weekday, ordinal } of rule.byDay) {
+    const matching = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matching.push(day);
+    }
+    if (ordinal === null) {
+      matching.forEach(day => days.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) days.add(day);
+    }
+  }
+
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0 && startDay <= daysInMonth) {
+    days.add(startDay);
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+// Candidate dates (UTC midnight of the local date) for the nth period
+function periodDates(rule, start, period) {
+  const n = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    const date = new Date(Date.UTC(start.year, start.month, start.day + n));
+    const weekdays = rule.byDay.map(day => day.weekday);
+    return weekdays.length === 0 || weekdays.includes(date.getUTCDay()) ? [date] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const startDate = Date.UTC(start.year, start.month, start.day);
+    const startWeekday = new Date(startDate).getUTCDay();
+    const monday = startDate - ((startWeekday + 6) % 7) * DAY_MS + n * 7 * DAY_MS;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [startWeekday];
+
+    return [...new Set(weekdays)]
+      .map(weekday => (weekday + 6) % 7)
+      .sort((a, b) => a - b)
+      .map(offset => new Date(monday + offset * DAY_MS));
+  }
+
+  const firstOfMonth = new Date(Date.UTC(start.year, start.month + n, 1));
+  const year = firstOfMonth.getUTCFullYear();
+  const month = firstOfMonth.getUTCMonth();
+  return monthlyDays(rule, year, month, start.day).map(day => new Date(Date.UTC(year, month, day)));
+}
+
+/**
+ * Expand a rule into occurrence start times
+ *
+ * @param {Object} params
+ * @param {string|Object} params.rrule - RRULE string or parsed rule
+ * @param {Date|string} params.dtstart - First occurrence; sets the time of day
+ * @param {string} [params.timezone='UTC'] - IANA timezone the rule repeats in
+ * @param {Array<Date|string>} [params.exdates] - Occurrence starts to leave out
+ * @returns {Date[]} Occurrence starts in order
+ * @throws {BusinessLogicError} When the rule expands past MAX_OCCURRENCES
+ */
+function expandRRule({ rrule, dtstart, timezone = 'UTC', exdates = [] }) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const startInstant = new Date(dtstart);
+
+  if (isNaN(startInstant.getTime())) {
+    throw new BusinessLogicError('A valid start time is required');
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new BusinessLogicError(`Unknown timezone: ${timezone}`);
+  }
+
+  const start = toZonedFields(startInstant, timezone);
+  const excluded = new Set(exdates.map(date => new Date(date).getTime()));
+  const occurrences = [];
+  let generated = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const dates = periodDates(rule, start, period);
+
+    for (const date of dates) {
+      const instant = fromZonedFields({
+        year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(),
+        hour: start.hour, minute: start.minute, second: start.second
+      }, timezone);
+
+      if (instant < startInstant) continue;
+      if (rule.until && instant > rule.until) return occurrences;
+
+      generated += 1;
+      if (!excluded.has(instant.getTime())) {
+        if (occurrences.length >= MAX_OCCURRENCES) {
+          throw new BusinessLogicError(`A series can have at most ${MAX_OCCURRENCES} classes`);
+        }
+        occurrences.push(instant);
+      }
+
+      if (rule.count && generated >= rule.count) return occurrences;
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  WEEKDAYS,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  isValidTimezone
+};
@@ -26,6 +26,8 @@ class StorageManager {
       CREATOR_CONTENT: 'creator-content',
       MESSAGE_ATTACHMENTS: 'message-attachments',
       STREAM_RECORDINGS: 'stream-recordings',
+      STREAM_CLIPS: 'stream-clips',
+      VOD_HLS: 'vod-hls',
       SESSION_RECORDINGS: 'session-recordings',
       IDENTITY_VERIFICATION: 'identity-verification',
       ANALYTICS_REPORTS: 'analytics-reports',
@@ -84,6 +86,7 @@ class StorageManager {
         'image/webp',
         'video/mp4',
         'video/webm',
+        'video/mp2t',
         'audio/mpeg',
         'audio/wav',
         'application/pdf'
@@ -512,6 +515,8 @@ class StorageManager {
       this.buckets.CREATOR_CONTENT,
       this.buckets.MESSAGE_ATTACHMENTS,
       this.buckets.STREAM_RECORDINGS,
+      this.buckets.STREAM_CLIPS,
+      this.buckets.VOD_HLS,
       this.buckets.SESSION_RECORDINGS,
       this.buckets.TICKETED_SHOWS,
       this.buckets.SHOP_PRODUCTS // Premium shop items need access control
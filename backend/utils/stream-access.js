@@ -6,6 +6,7 @@
  */
 
 const { pool } = require('./db');
+const { hasPrivateStreamAccess } = require('./collectible-cards');
 
 /**
  * Check if a user can access a stream
@@ -15,7 +16,7 @@ const { pool } = require('./db');
  * 2. Creator's own stream: always allowed
  * 3. Follower-only streams: must be following creator
  * 4. Ticketed streams: must have purchased ticket
- * 5. Private streams: creator only
+ * 5. Private streams: creator, or holders of a card with private stream access
  *
  * @param {string} userId - User's supabase_id (null for anonymous)
  * @param {string} streamId - Stream ID to check access for
@@ -64,8 +65,11 @@ async function canUserJoinStream(userId, streamId) {
       return { allowed: true };
     }
 
-    // Rule 3: Private streams - creator only
+    // Rule 3: Private streams - creator, or card holders with the access perk
     if (stream.is_private) {
+      if (await hasPrivateStreamAccess(userId, stream.creator_id, stream.id)) {
+        return { allowed: true };
+      }
       return { allowed: false, reason: 'STREAM_PRIVATE' };
     }
 
@@ -134,8 +138,9 @@ async function getUserStreamRole(userId, streamId) {
         CASE
           WHEN s.creator_id = $1 THEN 'creator'
           WHEN EXISTS(
-            SELECT 1 FROM stream_moderators
-            WHERE stream_id = s.id AND user_id = $1 AND is_active = true
+            SELECT 1 FROM creator_moderators
+            WHERE creator_id = s.creator_id AND moderator_id = $1 AND revoked_at IS NULL
+              AND (stream_id IS NULL OR stream_id = s.id)
           ) THEN 'moderator'
           WHEN EXISTS(
             SELECT 1 FROM subscriptions
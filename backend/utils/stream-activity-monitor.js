@@ -1,23 +1,91 @@
+/**
+ * Stream Activity Monitor
+ *
+ * Warns creators about inactive streams and ends them automatically.
+ *
+ * Nothing is kept in process memory, so every backend instance (and every
+ * serverless invocation) sees the same state:
+ *   - viewer presence: one Redis set per stream (utils/redis-counters.js),
+ *     mirrored to streams.viewer_count; plain SQL increments when Redis is down
+ *   - last activity: streams.last_fan_interaction_at (set by the
+ *     stream_activity_log trigger) and streams.creator_keepalive_at
+ *   - warning state: streams.warning_sent_at
+ *
+ * Sweeps run from the cron route POST /api/cron/stream-activity-check, or
+ * every minute on long-running servers via start(). A sweep only runs on the
+ * instance holding a Postgres advisory lock, and each warning or auto-end is
+ * claimed with a conditional UPDATE, so neither fires twice.
+ */
+
 const { pool } = require('./db');
-const { logger } = require('./logger');
+const { logger } = require('./secureLogger');
 const { publishToChannel } = require('./ably-adapter');
-// Socket.io removed - using Ably
-// const { io } = require('./socket');
+const { streamViewers } = require('./redis-counters');
+const { endStreamAgreements } = require('./revenue-splits');
+
+// pg_try_advisory_xact_lock key for the sweep
+const SWEEP_LOCK_ID = 114001;
+
+const STARTUP_GRACE_MINUTES = 5;
+const DEFAULT_AUTO_END_MINUTES = 10;
+const DEFAULT_WARNING_MINUTES = 5;
+// With viewers watching, a stream is only idle after this long without interaction
+const VIEWER_IDLE_MINUTES = 15;
+
+const INTERACTION_TYPES = ['chat_message', 'gift_sent', 'fan_joined'];
+
+/**
+ * Decide what a sweep should do with a live stream
+ *
+ * @param {Object} stream - streams row
+ * @param {Date} [now]
+ * @returns {{ action: 'warn'|'end', reason: string, autoEndAt: Date }|null}
+ */
+function evaluateStream(stream, now = new Date()) {
+  if (stream.auto_end_enabled === false) return null;
+
+  const liveSince = new Date(stream.started_at || stream.created_at);
+  if (now - liveSince < STARTUP_GRACE_MINUTES * 60000) return null;
+
+  const lastInteraction = Math.max(
+    liveSince.getTime(),
+    stream.last_fan_interaction_at ? new Date(stream.last_fan_interaction_at).getTime() : 0,
+    stream.creator_keepalive_at ? new Date(stream.creator_keepalive_at).getTime() : 0
+  );
+
+  const hasViewers = stream.viewer_count > 0;
+  const idleMinutes = hasViewers
+    ? VIEWER_IDLE_MINUTES
+    : (stream.auto_end_minutes || DEFAULT_AUTO_END_MINUTES);
+  const warningMinutes = Math.min(stream.auto_end_warning_minutes || DEFAULT_WARNING_MINUTES, idleMinutes);
+  const reason = hasViewers ? 'no_interaction' : 'no_viewers';
+  const autoEndAt = new Date(lastInteraction + idleMinutes * 60000);
+
+  if (now >= autoEndAt) {
+    return { action: 'end', reason, autoEndAt };
+  }
+  if (!stream.warning_sent_at && now >= autoEndAt.getTime() - warningMinutes * 60000) {
+    return { action: 'warn', reason, autoEndAt };
+  }
+  return null;
+}
 
 class StreamActivityMonitor {
   constructor() {
     this.checkInterval = null;
-    this.activeStreams = new Map(); // streamId -> { lastActivity, viewerCount, warningState }
   }
 
-  // Start monitoring all active streams
+  // Sweep every minute on long-running servers; serverless relies on the cron route
   start() {
-    // Check every minute for inactive streams
+    if (this.checkInterval) return;
+
     this.checkInterval = setInterval(() => {
-      this.checkInactiveStreams();
-    }, 60000); // 1 minute
+      this.checkInactiveStreams().catch(error => {
+        logger.error('Stream activity sweep failed:', { error: error.message });
+      });
+    }, 60000);
 
-    console.log('Stream activity monitor started');
+    logger.info('Stream activity monitor started');
   }
 
   // Stop monitoring
@@ -26,7 +94,7 @@ class StreamActivityMonitor {
       clearInterval(this.checkInterval);
       this.checkInterval = null;
     }
-    console.log('Stream activity monitor stopped');
+    logger.info('Stream activity monitor stopped');
   }
 
   // Log stream activity
@@ -38,47 +106,43 @@ class StreamActivityMonitor {
         [streamId, activityType, fanId, details]
       );
 
-      // Update in-memory tracking
-      if (!this.activeStreams.has(streamId)) {
-        this.activeStreams.set(streamId, {
-          lastActivity: new Date(),
-          viewerCount: 0,
-          warningState: 'none'
-        });
-      }
-
-      const streamData = this.activeStreams.get(streamId);
-      streamData.lastActivity = new Date();
-
-      // Update viewer count for join/leave
-      if (activityType === 'fan_joined') {
-        streamData.viewerCount++;
-        await this.updateViewerCount(streamId, streamData.viewerCount);
-      } else if (activityType === 'fan_left') {
-        streamData.viewerCount = Math.max(0, streamData.viewerCount - 1);
-        await this.updateViewerCount(streamId, streamData.viewerCount);
+      if (fanId && activityType === 'fan_joined') {
+        await this.updateViewerCount(streamId, await streamViewers.addViewer(streamId, fanId), 1);
+      } else if (fanId && activityType === 'fan_left') {
+        await this.updateViewerCount(streamId, await streamViewers.removeViewer(streamId, fanId), -1);
       }
 
       // Reset warning state on fan interaction
-      if (['chat_message', 'gift_sent', 'fan_joined'].includes(activityType)) {
-        streamData.warningState = 'none';
+      if (INTERACTION_TYPES.includes(activityType)) {
         await this.clearWarning(streamId);
       }
-
     } catch (error) {
-      console.error('Error logging stream activity:', error);
+      logger.error('Error logging stream activity:', { streamId, activityType, error: error.message });
     }
   }
 
-  // Update viewer count in database
-  async updateViewerCount(streamId, count) {
+  /**
+   * Mirror the shared viewer count to streams.viewer_count
+   *
+   * @param {string} streamId
+   * @param {number|null} count - Count from Redis, null when Redis is unavailable
+   * @param {number} delta - Applied in SQL when there is no Redis count
+   */
+  async updateViewerCount(streamId, count, delta) {
     try {
-      await pool.query(
-        `UPDATE streams SET viewer_count = $1 WHERE id = $2`,
-        [count, streamId]
-      );
+      if (count === null) {
+        await pool.query(
+          'UPDATE streams SET viewer_count = GREATEST(COALESCE(viewer_count, 0) + $1, 0) WHERE id = $2',
+          [delta, streamId]
+        );
+      } else {
+        await pool.query(
+          'UPDATE streams SET viewer_count = $1 WHERE id = $2',
+          [count, streamId]
+        );
+      }
     } catch (error) {
-      console.error('Error updating viewer count:', error);
+      logger.error('Error updating viewer count:', { streamId, error: error.message });
     }
   }
 
@@ -86,168 +150,195 @@ class StreamActivityMonitor {
   async clearWarning(streamId) {
     try {
       await pool.query(
-        `UPDATE streams SET warning_sent_at = NULL WHERE id = $1`,
+        'UPDATE streams SET warning_sent_at = NULL WHERE id = $1 AND warning_sent_at IS NOT NULL',
         [streamId]
       );
     } catch (error) {
-      console.error('Error clearing warning:', error);
+      logger.error('Error clearing warning:', { streamId, error: error.message });
     }
   }
 
-  // Check for inactive streams
-  async checkInactiveStreams() {
+  /**
+   * Sweep live streams for inactivity
+   *
+   * Only one instance sweeps at a time; the others return { skipped: true }.
+   *
+   * @returns {Promise<Object>} { checked, warned, ended } or { skipped: true }
+   */
+  async checkInactiveStreams(now = new Date()) {
+    const lockClient = await pool.connect();
+
     try {
-      // Get all active streams
-      const { rows: streams } = await pool.query(`
-        SELECT 
-          s.id,
-          s.creator_id,
-          s.title,
-          s.viewer_count,
-          s.created_at,
-          s.started_at,
-          u.username as creator_username,
-          30 as stream_warning_minutes
-        FROM streams s
-        JOIN users u ON s.creator_id = u.supabase_id
-        WHERE s.is_live = true
-      `);
-
-      for (const stream of streams) {
-        await this.checkStreamActivity(stream);
+      await lockClient.query('BEGIN');
+      const lock = await lockClient.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [SWEEP_LOCK_ID]);
+
+      if (!lock.rows[0].acquired) {
+        await lockClient.query('ROLLBACK');
+        return { skipped: true };
+      }
+
+      const summary = await this.sweep(now);
+      await lockClient.query('COMMIT');
+
+      if (summary.warned > 0 || summary.ended > 0) {
+        logger.info('Stream activity sweep', summary);
       }
+      return summary;
     } catch (error) {
-      console.error('Error checking inactive streams:', error);
+      await lockClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      lockClient.release();
     }
   }
 
-  // Check individual stream activity
-  async checkStreamActivity(stream) {
-    const now = new Date();
-    const lastInteraction = stream.last_fan_interaction_at || stream.created_at;
-    const minutesSinceInteraction = Math.floor((now - new Date(lastInteraction)) / 60000);
-    const warningMinutes = stream.stream_warning_minutes || 5;
-    const autoEndMinutes = stream.auto_end_minutes || 10;
-
-    // If no viewers and been live for more than 5 minutes
-    if (stream.viewer_count === 0) {
-      const minutesSinceLive = Math.floor((now - new Date(stream.created_at)) / 60000);
-      
-      // Give creators 5 minutes grace period when starting
-      if (minutesSinceLive < 5) {
-        return;
-      }
-
-      // Check if it's time to warn
-      if (minutesSinceInteraction >= (autoEndMinutes - warningMinutes) && !stream.warning_sent_at) {
-        await this.sendInactivityWarning(stream, warningMinutes);
-      }
-      
-      // Check if it's time to auto-end
-      if (minutesSinceInteraction >= autoEndMinutes) {
-        await this.autoEndStream(stream, 'no_viewers');
-      }
-    } 
-    // If has viewers but no interaction for extended period (15 minutes)
-    else if (minutesSinceInteraction >= 15) {
-      // Fixed 15 minute timeout when viewers are present
-      if (!stream.warning_sent_at && minutesSinceInteraction >= (15 - warningMinutes)) {
-        await this.sendInactivityWarning(stream, warningMinutes);
-      }
-      
-      if (minutesSinceInteraction >= 15) {
-        await this.autoEndStream(stream, 'no_interaction');
+  async sweep(now) {
+    // streams.creator_id is users.id for go-live streams and supabase_id for older ones
+    const { rows: streams } = await pool.query(`
+      SELECT
+        s.id,
+        s.title,
+        s.viewer_count,
+        s.created_at,
+        s.started_at,
+        s.last_fan_interaction_at,
+        s.creator_keepalive_at,
+        s.warning_sent_at,
+        s.auto_end_enabled,
+        s.auto_end_minutes,
+        s.auto_end_warning_minutes,
+        u.supabase_id as creator_id,
+        u.username as creator_username
+      FROM streams s
+      JOIN users u ON u.id = s.creator_id OR u.supabase_id = s.creator_id
+      WHERE s.status = 'live'
+        AND s.auto_end_enabled IS DISTINCT FROM false
+    `);
+
+    const summary = { checked: streams.length, warned: 0, ended: 0 };
+
+    for (const stream of streams) {
+      try {
+        await this.syncViewerCount(stream);
+
+        const decision = evaluateStream(stream, now);
+        if (!decision) continue;
+
+        if (decision.action === 'warn' && await this.sendInactivityWarning(stream, decision, now)) {
+          summary.warned += 1;
+        } else if (decision.action === 'end' && await this.autoEndStream(stream, decision.reason)) {
+          summary.ended += 1;
+        }
+      } catch (error) {
+        logger.error('Error checking stream activity:', { streamId: stream.id, error: error.message });
       }
     }
+
+    return summary;
   }
 
-  // Send inactivity warning to creator
-  async sendInactivityWarning(stream, minutesRemaining) {
-    try {
-      // Update warning sent timestamp
-      await pool.query(
-        `UPDATE streams SET warning_sent_at = CURRENT_TIMESTAMP WHERE id = $1`,
-        [stream.id]
-      );
+  // Correct streams.viewer_count from the shared viewer set
+  async syncViewerCount(stream) {
+    const count = await streamViewers.getViewerCount(stream.id);
+    if (count === null || count === stream.viewer_count) return;
 
-      // Send socket notification to creator
-      // STANDARDIZED: Use user:${id} format consistently
-      try {
-        await publishToChannel(`user:${stream.creator_id}`, 'stream_inactivity_warning', {
-          streamId: stream.id,
-          message: `Your stream will end in ${minutesRemaining} minutes due to inactivity`,
-          minutesRemaining,
-          viewerCount: stream.viewer_count
-        });
-      } catch (ablyError) {
-        console.error('Failed to publish stream_inactivity_warning to Ably:', ablyError.message);
-      }
+    await pool.query('UPDATE streams SET viewer_count = $1 WHERE id = $2', [count, stream.id]);
+    stream.viewer_count = count;
+  }
 
-      // Log the warning
-      await this.logActivity(stream.id, 'inactivity_warning', null, {
+  /**
+   * Send inactivity warning to creator
+   *
+   * @returns {Promise<boolean>} Whether this call sent it
+   */
+  async sendInactivityWarning(stream, { autoEndAt }, now = new Date()) {
+    const claimed = await pool.query(
+      `UPDATE streams SET warning_sent_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'live' AND warning_sent_at IS NULL
+       RETURNING id`,
+      [stream.id]
+    );
+    if (claimed.rows.length === 0) return false;
+
+    const minutesRemaining = Math.max(1, Math.ceil((autoEndAt - now) / 60000));
+
+    // STANDARDIZED: Use user:${id} format consistently
+    try {
+      await publishToChannel(`user:${stream.creator_id}`, 'stream_inactivity_warning', {
+        streamId: stream.id,
+        message: `Your stream will end in ${minutesRemaining} minutes due to inactivity`,
         minutesRemaining,
+        autoEndAt: autoEndAt.toISOString(),
         viewerCount: stream.viewer_count
       });
-
-      console.log(`Inactivity warning sent for stream ${stream.id}`, {
-        streamId: stream.id,
-        creatorUsername: stream.creator_username,
-        minutesRemaining
-      });
-    } catch (error) {
-      console.error('Error sending inactivity warning:', error);
+    } catch (ablyError) {
+      logger.error('Failed to publish stream_inactivity_warning to Ably:', ablyError.message);
     }
+
+    await this.logActivity(stream.id, 'inactivity_warning', null, {
+      minutesRemaining,
+      viewerCount: stream.viewer_count
+    });
+
+    logger.info('Inactivity warning sent', {
+      streamId: stream.id,
+      creatorUsername: stream.creator_username,
+      minutesRemaining
+    });
+    return true;
   }
 
-  // Auto-end inactive stream
+  /**
+   * Auto-end inactive stream
+   *
+   * @returns {Promise<boolean>} Whether this call ended it
+   */
   async autoEndStream(stream, reason) {
+    const ended = await pool.query(`
+      UPDATE streams
+      SET
+        status = 'ended',
+        is_live = false,
+        ended_at = CURRENT_TIMESTAMP,
+        auto_ended = true,
+        auto_end_reason = $1
+      WHERE id = $2 AND status = 'live'
+      RETURNING id
+    `, [reason, stream.id]);
+    if (ended.rows.length === 0) return false;
+    await endStreamAgreements(pool, stream.id);
+
+    const duration = Math.floor((new Date() - new Date(stream.started_at || stream.created_at)) / 60000);
+
+    await streamViewers.clear(stream.id);
+    await this.logActivity(stream.id, 'auto_ended', null, {
+      reason,
+      viewerCount: stream.viewer_count,
+      duration
+    });
+
+    // Notify creator and viewers
     try {
-      // End the stream
-      await pool.query(`
-        UPDATE streams 
-        SET 
-          status = 'ended',
-          ended_at = CURRENT_TIMESTAMP,
-          auto_ended = true,
-          auto_end_reason = $1
-        WHERE id = $2
-      `, [reason, stream.id]);
-
-      // Log the auto-end
-      await this.logActivity(stream.id, 'auto_ended', null, {
-        reason,
-        viewerCount: stream.viewer_count,
-        duration: Math.floor((new Date() - new Date(stream.created_at)) / 60000)
-      });
-
-      // Notify creator and viewers
-      try {
-        await publishToChannel(`stream_${stream.id}`, 'stream_auto_ended', {
-          streamId: stream.id,
-          reason: reason === 'no_viewers'
-            ? 'Stream ended due to no viewers'
-            : 'Stream ended due to inactivity',
-          message: this.getAutoEndMessage(reason)
-        });
-      } catch (ablyError) {
-        console.error('Failed to publish stream_auto_ended to Ably:', ablyError.message);
-      }
-
-      // Clean up from active streams
-      this.activeStreams.delete(stream.id);
-
-      console.log(`Stream auto-ended: ${stream.id}`, {
+      await publishToChannel(`stream_${stream.id}`, 'stream_auto_ended', {
         streamId: stream.id,
-        creatorUsername: stream.creator_username,
-        reason,
-        duration: Math.floor((new Date() - new Date(stream.created_at)) / 60000)
+        reason: reason === 'no_viewers'
+          ? 'Stream ended due to no viewers'
+          : 'Stream ended due to inactivity',
+        message: this.getAutoEndMessage(reason)
       });
-
-      // Send notification to creator
-      await this.notifyCreatorStreamEnded(stream, reason);
-    } catch (error) {
-      console.error('Error auto-ending stream:', error);
+    } catch (ablyError) {
+      logger.error('Failed to publish stream_auto_ended to Ably:', ablyError.message);
     }
+
+    logger.info('Stream auto-ended', {
+      streamId: stream.id,
+      creatorUsername: stream.creator_username,
+      reason,
+      duration
+    });
+
+    await this.notifyCreatorStreamEnded(stream, reason);
+    return true;
   }
 
   // Get user-friendly auto-end message
@@ -264,7 +355,6 @@ class StreamActivityMonitor {
   // Notify creator about stream ending
   async notifyCreatorStreamEnded(stream, reason) {
     try {
-      // Create a notification in the database
       await pool.query(`
         INSERT INTO notifications (user_id, type, title, message, data)
         VALUES ($1, $2, $3, $4, $5)
@@ -276,24 +366,20 @@ class StreamActivityMonitor {
         { streamId: stream.id, reason }
       ]);
     } catch (error) {
-      console.error('Error notifying creator about stream end:', error);
+      logger.error('Error notifying creator about stream end:', { streamId: stream.id, error: error.message });
     }
   }
 
-  // Manual activity ping from creator (heartbeat)
+  // Manual activity ping from creator (heartbeat); restarts the inactivity clock
   async creatorHeartbeat(streamId, creatorId) {
     try {
       await this.logActivity(streamId, 'creator_heartbeat', creatorId);
-      
-      // Reset any warning state
-      const streamData = this.activeStreams.get(streamId);
-      if (streamData) {
-        streamData.warningState = 'none';
-      }
-      
-      await this.clearWarning(streamId);
+      await pool.query(
+        'UPDATE streams SET creator_keepalive_at = CURRENT_TIMESTAMP, warning_sent_at = NULL WHERE id = $1',
+        [streamId]
+      );
     } catch (error) {
-      console.error('Error processing creator heartbeat:', error);
+      logger.error('Error processing creator heartbeat:', { streamId, error: error.message });
     }
   }
 
@@ -301,7 +387,7 @@ class StreamActivityMonitor {
   async getStreamActivityStats(streamId) {
     try {
       const { rows } = await pool.query(`
-        SELECT 
+        SELECT
           activity_type,
           COUNT(*) as count,
           MAX(created_at) as last_occurrence
@@ -313,7 +399,7 @@ class StreamActivityMonitor {
 
       return rows;
     } catch (error) {
-      console.error('Error getting stream activity stats:', error);
+      logger.error('Error getting stream activity stats:', { streamId, error: error.message });
       return [];
     }
   }
@@ -322,4 +408,5 @@ class StreamActivityMonitor {
 // Create singleton instance
 const streamActivityMonitor = new StreamActivityMonitor();
 
-module.exports = streamActivityMonitor;
\ No newline at end of file
+module.exports = streamActivityMonitor;
+module.exports.evaluateStream = evaluateStream;
@@ -0,0 +1,204 @@
+/**
+ * Stream Moderators
+ *
+ * Creators appoint moderators for all their streams or for one stream, each
+ * with a set of PERMISSIONS. Every moderation route resolves the stream it
+ * acts on and calls authorizeModeration(), which lets the creator through and
+ * checks a moderator's appointment for everyone else. Actions are written to
+ * moderation_audit_log with recordModerationAction().
+ */
+
+const { pool } = require('./db');
+const { logger } = require('./secureLogger');
+const {
+  BusinessLogicError,
+  InsufficientPermissionsError,
+  ResourceNotFoundError
+} = require('./app-errors');
+
+const PERMISSIONS = ['delete_messages', 'timeout', 'ban', 'pin', 'manage_polls'];
+const DEFAULT_PERMISSIONS = ['delete_messages', 'timeout'];
+
+function validatePermissions(permissions) {
+  if (permissions === undefined) return DEFAULT_PERMISSIONS;
+  if (!Array.isArray(permissions) || permissions.length === 0 ||
+      permissions.some(p => !PERMISSIONS.includes(p))) {
+    throw new BusinessLogicError(`permissions must be a non-empty list of ${PERMISSIONS.join(', ')}`);
+  }
+  return [...new Set(permissions)];
+}
+
+/**
+ * Permissions a user holds in a creator's stream
+ *
+ * @param {string} userId
+ * @param {string} creatorId
+ * @param {string|null} streamId - streams.id; null only matches global appointments
+ * @returns {Promise<Object>} { role: 'creator' | 'moderator' | null, permissions: Array<string> }
+ */
+async function getModerationRole(userId, creatorId, streamId = null) {
+  if (userId === creatorId) return { role: 'creator', permissions: [...PERMISSIONS] };
+
+  const result = await pool.query(
+    `SELECT DISTINCT unnest(permissions) AS permission
+     FROM creator_moderators
+     WHERE creator_id = $1 AND moderator_id = $2 AND revoked_at IS NULL
+       AND (stream_id IS NULL OR stream_id = $3)`,
+    [creatorId, userId, streamId]
+  );
+  if (result.rows.length === 0) return { role: null, permissions: [] };
+
+  return { role: 'moderator', permissions: result.rows.map(r => r.permission) };
+}
+
+/**
+ * Throw unless the user may take `permission` in the creator's stream
+ *
+ * @returns {Promise<string>} 'creator' or 'moderator'
+ */
+async function authorizeModeration(userId, { creatorId, streamId = null }, permission) {
+  const { role, permissions } = await getModerationRole(userId, creatorId, streamId);
+  if (!role || !permissions.includes(permission)) {
+    throw new InsufficientPermissionsError(`You don't have the ${permission} permission for this stream`, permission);
+  }
+  return role;
+}
+
+/**
+ * Write a moderation action to the audit log. Never fails the action itself.
+ */
+async function recordModerationAction({ creatorId, actorId, action, targetUserId = null, channel = null, details = {} }) {
+  try {
+    await pool.query(
+      `INSERT INTO moderation_audit_log
+       (creator_id, actor_id, actor_role, action, target_user_id, channel, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        creatorId,
+        actorId,
+        actorId === creatorId ? 'creator' : 'moderator',
+        action,
+        targetUserId,
+        channel,
+        JSON.stringify(details)
+      ]
+    );
+  } catch (error) {
+    logger.error('Failed to record moderation action:', { creatorId, actorId, action, error: error.message });
+  }
+}
+
+/**
+ * Appoint a moderator, or replace the permissions of an existing appointment
+ * with the same scope
+ *
+ * @returns {Promise<Object>} The creator_moderators row
+ */
+async function appointModerator({ creatorId, moderatorId, streamId = null, permissions }) {
+  if (moderatorId === creatorId) {
+    throw new BusinessLogicError('You are already the moderator of your own streams');
+  }
+  const granted = validatePermissions(permissions);
+
+  if (streamId) {
+    const stream = await pool.query('SELECT 1 FROM streams WHERE id = $1 AND creator_id = $2', [streamId, creatorId]);
+    if (stream.rows.length === 0) throw new ResourceNotFoundError('Stream');
+  }
+
+  const updated = await pool.query(
+    `UPDATE creator_moderators
+     SET permissions = $4, updated_at = NOW()
+     WHERE creator_id = $1 AND moderator_id = $2 AND stream_id IS NOT DISTINCT FROM $3
+       AND revoked_at IS NULL
+     RETURNING *`,
+    [creatorId, moderatorId, streamId, granted]
+  );
+  if (updated.rows[0]) return updated.rows[0];
+
+  const result = await pool.query(
+    `INSERT INTO creator_moderators (creator_id, moderator_id, stream_id, permissions)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [creatorId, moderatorId, streamId, granted]
+  );
+  return result.rows[0];
+}
+
+/**
+ * @returns {Promise<Object|null>} The revoked appointment, or null if there was none
+ */
+async function revokeModerator(creatorId, appointmentId) {
+  const result = await pool.query(
+    `UPDATE creator_moderators
+     SET revoked_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND creator_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [appointmentId, creatorId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listModerators(creatorId) {
+  const result = await pool.query(
+    `SELECT m.id, m.moderator_id, m.stream_id, m.permissions, m.appointed_at, m.updated_at,
+            u.username, u.display_name, u.profile_pic_url
+     FROM creator_moderators m
+     JOIN users u ON u.supabase_id = m.moderator_id
+     WHERE m.creator_id = $1 AND m.revoked_at IS NULL
+     ORDER BY m.appointed_at`,
+    [creatorId]
+  );
+  return result.rows;
+}
+
+/**
+ * Creators the user moderates for
+ */
+async function listModeratedCreators(moderatorId) {
+  const result = await pool.query(
+    `SELECT m.id, m.creator_id, m.stream_id, m.permissions, m.appointed_at,
+            u.username, u.display_name, u.profile_pic_url
+     FROM creator_moderators m
+     JOIN users u ON u.supabase_id = m.creator_id
+     WHERE m.moderator_id = $1 AND m.revoked_at IS NULL
+     ORDER BY m.appointed_at`,
+    [moderatorId]
+  );
+  return result.rows;
+}
+
+/**
+ * @param {string} creatorId
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - Only this moderator's actions
+ * @param {string} [options.before] - Cursor: created_at of the last row seen
+ * @param {number} [options.limit]
+ */
+async function getAuditLog(creatorId, { actorId = null, before = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT a.*, actor.username AS actor_username, target.username AS target_username
+     FROM moderation_audit_log a
+     JOIN users actor ON actor.supabase_id = a.actor_id
+     LEFT JOIN users target ON target.supabase_id = a.target_user_id
+     WHERE a.creator_id = $1
+       AND ($2::uuid IS NULL OR a.actor_id = $2)
+       AND ($3::timestamptz IS NULL OR a.created_at < $3)
+     ORDER BY a.created_at DESC
+     LIMIT $4`,
+    [creatorId, actorId, before, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_PERMISSIONS,
+  getModerationRole,
+  authorizeModeration,
+  recordModerationAction,
+  appointModerator,
+  revokeModerator,
+  listModerators,
+  listModeratedCreators,
+  getAuditLog
+};
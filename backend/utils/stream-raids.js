@@ -0,0 +1,532 @@
+/**
+ * Stream Raids
+ *
+ * A raid sends a creator's viewers to another live stream at the end of their
+ * broadcast. The raider picks a live target (POST /streaming/raid); the target
+ * has RAID_RESPONSE_SECONDS to accept or decline, unless their
+ * creator_raid_settings auto-accept it (by default, raids from creators they
+ * follow). Once accepted, the raiding stream shows a countdown and at
+ * launch_at every viewer's client joins the target channel and reports its
+ * arrival (POST /streaming/raid/:raidId/arrived).
+ *
+ * Ably events:
+ *   user:{target}          raid_request, raid_cancelled
+ *   user:{raider}          raid_pending, raid_accepted, raid_declined, raid_expired
+ *   stream:{raider stream} raid_countdown, raid_cancelled
+ *   stream:{target stream} raid_incoming, raid_cancelled
+ *
+ * jobs/stream-raids.js expires unanswered requests and fills in the raid's
+ * analytics: arrivals still watching after 5 and 15 minutes, and how many of
+ * them followed the target.
+ */
+
+const { pool } = require('./db');
+const { logger } = require('./secureLogger');
+const { publishToChannel } = require('./ably-adapter');
+const { streamViewers } = require('./redis-counters');
+const { BusinessLogicError, ResourceConflictError, ResourceNotFoundError } = require('./app-errors');
+
+const RAID_RESPONSE_SECONDS = 60;
+const DEFAULT_COUNTDOWN_SECONDS = 10;
+const MIN_COUNTDOWN_SECONDS = 5;
+const MAX_COUNTDOWN_SECONDS = 30;
+// Viewers whose client reports arriving later than this weren't moved by the raid
+const ARRIVAL_WINDOW_MINUTES = 5;
+const RETENTION_CHECKPOINTS = [5, 15];
+const AUTO_ACCEPT_MODES = ['none', 'followed', 'everyone'];
+
+const DEFAULT_SETTINGS = { allow_raids: true, auto_accept: 'followed' };
+
+/**
+ * @returns {string|null} Error message
+ */
+function validateCountdown(countdownSeconds) {
+  if (countdownSeconds === undefined || countdownSeconds === null) return null;
+  if (!Number.isInteger(countdownSeconds) ||
+      countdownSeconds < MIN_COUNTDOWN_SECONDS ||
+      countdownSeconds > MAX_COUNTDOWN_SECONDS) {
+    return `countdownSeconds must be a whole number between ${MIN_COUNTDOWN_SECONDS} and ${MAX_COUNTDOWN_SECONDS}`;
+  }
+  return null;
+}
+
+/**
+ * Ably channels a stream's viewers may be subscribed to. Viewers join by
+ * Agora channel name; some backend events use the stream id.
+ */
+function streamChannels(stream) {
+  const channels = [`stream:${stream.id}`];
+  if (stream.channel && stream.channel !== stream.id) channels.unshift(`stream:${stream.channel}`);
+  return channels;
+}
+
+async function getRaidSettings(db, creatorId) {
+  const result = await db.query(
+    'SELECT allow_raids, auto_accept FROM creator_raid_settings WHERE creator_id = $1',
+    [creatorId]
+  );
+  return result.rows[0] || { ...DEFAULT_SETTINGS };
+}
+
+async function updateRaidSettings(creatorId, { allowRaids, autoAccept }) {
+  if (autoAccept !== undefined && !AUTO_ACCEPT_MODES.includes(autoAccept)) {
+    throw new BusinessLogicError(`autoAccept must be one of ${AUTO_ACCEPT_MODES.join(', ')}`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO creator_raid_settings (creator_id, allow_raids, auto_accept)
+     VALUES ($1, COALESCE($2, $4), COALESCE($3, $5))
+     ON CONFLICT (creator_id) DO UPDATE SET
+       allow_raids = COALESCE($2, creator_raid_settings.allow_raids),
+       auto_accept = COALESCE($3, creator_raid_settings.auto_accept),
+       updated_at = NOW()
+     RETURNING allow_raids, auto_accept`,
+    [
+      creatorId,
+      typeof allowRaids === 'boolean' ? allowRaids : null,
+      autoAccept ?? null,
+      DEFAULT_SETTINGS.allow_raids,
+      DEFAULT_SETTINGS.auto_accept
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Whether the target's settings start this raid without asking them
+ */
+async function shouldAutoAccept(db, settings, targetCreatorId, raiderId) {
+  if (settings.auto_accept === 'everyone') return true;
+  if (settings.auto_accept !== 'followed') return false;
+
+  // follows is keyed on users.id
+  const result = await db.query(
+    `SELECT 1
+     FROM follows f
+     JOIN users follower ON follower.id = f.follower_id
+     JOIN users followed ON followed.id = f.followed_id
+     WHERE follower.supabase_id = $1 AND followed.supabase_id = $2
+     LIMIT 1`,
+    [targetCreatorId, raiderId]
+  );
+  return result.rows.length > 0;
+}
+
+const STREAM_COLUMNS = `s.id, s.channel, s.status, s.creator_id, s.viewer_count,
+       u.username, u.display_name, u.profile_pic_url`;
+
+/**
+ * The live stream being raided, by stream id or by the creator's username
+ */
+async function findTargetStream(db, { targetStreamId, target }) {
+  const result = targetStreamId
+    ? await db.query(
+      `SELECT ${STREAM_COLUMNS}
+       FROM streams s JOIN users u ON u.supabase_id = s.creator_id
+       WHERE s.id = $1 AND s.status = 'live'`,
+      [targetStreamId]
+    )
+    : await db.query(
+      `SELECT ${STREAM_COLUMNS}
+       FROM streams s JOIN users u ON u.supabase_id = s.creator_id
+       WHERE u.username = $1 AND u.is_creator = true AND s.status = 'live'
+       ORDER BY s.started_at DESC
+       LIMIT 1`,
+      [target]
+    );
+
+  if (result.rows.length === 0) {
+    throw new ResourceNotFoundError('Live stream for the target creator');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Both streams of a raid, keyed as { source, target }
+ */
+async function loadRaidStreams(db, raid) {
+  const result = await db.query(
+    `SELECT ${STREAM_COLUMNS}
+     FROM streams s JOIN users u ON u.supabase_id = s.creator_id
+     WHERE s.id = ANY($1::uuid[])`,
+    [[raid.stream_id, raid.target_stream_id]]
+  );
+  const byId = new Map(result.rows.map(row => [row.id, row]));
+  return { source: byId.get(raid.stream_id), target: byId.get(raid.target_stream_id) };
+}
+
+async function currentViewerCount(stream) {
+  const count = await streamViewers.getViewerCount(stream.id);
+  return count ?? (stream.viewer_count || 0);
+}
+
+/**
+ * Start a raid from the raider's live stream. Runs inside the caller's
+ * transaction; publish the events with announceRaid after COMMIT.
+ *
+ * @returns {Promise<Object>} { raid, source, target }
+ */
+async function createRaid(client, { raiderId, streamId, target, targetStreamId, countdownSeconds }) {
+  const sourceResult = await client.query(
+    `SELECT ${STREAM_COLUMNS}
+     FROM streams s JOIN users u ON u.supabase_id = s.creator_id
+     WHERE s.id = $1 AND s.creator_id = $2
+     FOR UPDATE OF s`,
+    [streamId, raiderId]
+  );
+  const source = sourceResult.rows[0];
+  if (!source) throw new ResourceNotFoundError('Stream');
+  if (source.status !== 'live') {
+    throw new BusinessLogicError('You can only raid from a live stream');
+  }
+
+  const targetStream = await findTargetStream(client, { targetStreamId, target });
+  if (targetStream.creator_id === raiderId) {
+    throw new BusinessLogicError('You cannot raid your own stream');
+  }
+
+  const settings = await getRaidSettings(client, targetStream.creator_id);
+  if (!settings.allow_raids) {
+    throw new BusinessLogicError('This creator is not accepting raids');
+  }
+
+  const open = await client.query(
+    `SELECT id FROM stream_raids WHERE stream_id = $1 AND status IN ('pending', 'accepted')`,
+    [source.id]
+  );
+  if (open.rows.length > 0) {
+    throw new ResourceConflictError('This stream already has a raid in progress');
+  }
+
+  const autoAccepted = await shouldAutoAccept(client, settings, targetStream.creator_id, raiderId);
+  const viewerCount = await currentViewerCount(source);
+
+  const result = await client.query(
+    `INSERT INTO stream_raids (
+       stream_id, creator_id, target_channel, target_creator_id, target_stream_id,
+       viewer_count, status, auto_accepted, countdown_seconds, expires_at,
+       responded_at, launch_at, viewers_sent
+     )
+     VALUES (
+       $1, $2, $3, $4, $5, $6,
+       CASE WHEN $7 THEN 'accepted' ELSE 'pending' END,
+       $7, $8, NOW() + make_interval(secs => $9),
+       CASE WHEN $7 THEN NOW() END,
+       CASE WHEN $7 THEN NOW() + make_interval(secs => $8) END,
+       CASE WHEN $7 THEN $6 END
+     )
+     RETURNING *`,
+    [
+      source.id,
+      raiderId,
+      targetStream.channel,
+      targetStream.creator_id,
+      targetStream.id,
+      viewerCount,
+      autoAccepted,
+      countdownSeconds || DEFAULT_COUNTDOWN_SECONDS,
+      RAID_RESPONSE_SECONDS
+    ]
+  );
+
+  return { raid: result.rows[0], source, target: targetStream };
+}
+
+async function lockRaid(client, raidId) {
+  const result = await client.query('SELECT * FROM stream_raids WHERE id = $1 FOR UPDATE', [raidId]);
+  if (result.rows.length === 0) throw new ResourceNotFoundError('Raid');
+  return result.rows[0];
+}
+
+/**
+ * Accept or decline a pending raid as its target
+ *
+ * @returns {Promise<Object>} { raid, source, target }
+ */
+async function respondToRaid(client, { raidId, creatorId, accept }) {
+  const raid = await lockRaid(client, raidId);
+  if (raid.target_creator_id !== creatorId) throw new ResourceNotFoundError('Raid');
+  if (raid.status !== 'pending') {
+    throw new ResourceConflictError(`Raid is already ${raid.status}`);
+  }
+
+  const streams = await loadRaidStreams(client, raid);
+
+  if (new Date(raid.expires_at) <= new Date()) {
+    const expired = await client.query(
+      `UPDATE stream_raids SET status = 'expired' WHERE id = $1 RETURNING *`,
+      [raid.id]
+    );
+    return { raid: expired.rows[0], ...streams };
+  }
+
+  if (!accept) {
+    const declined = await client.query(
+      `UPDATE stream_raids SET status = 'declined', responded_at = NOW() WHERE id = $1 RETURNING *`,
+      [raid.id]
+    );
+    return { raid: declined.rows[0], ...streams };
+  }
+
+  if (streams.source?.status !== 'live' || streams.target?.status !== 'live') {
+    const cancelled = await client.query(
+      `UPDATE stream_raids SET status = 'cancelled', responded_at = NOW() WHERE id = $1 RETURNING *`,
+      [raid.id]
+    );
+    return { raid: cancelled.rows[0], ...streams };
+  }
+
+  const accepted = await client.query(
+    `UPDATE stream_raids
+     SET status = 'accepted',
+         responded_at = NOW(),
+         launch_at = NOW() + make_interval(secs => countdown_seconds),
+         viewers_sent = $2
+     WHERE id = $1
+     RETURNING *`,
+    [raid.id, await currentViewerCount(streams.source)]
+  );
+  return { raid: accepted.rows[0], ...streams };
+}
+
+/**
+ * Call off a raid before its viewers are sent
+ *
+ * @returns {Promise<Object>} { raid, source, target }
+ */
+async function cancelRaid(client, { raidId, creatorId }) {
+  const raid = await lockRaid(client, raidId);
+  if (raid.creator_id !== creatorId) throw new ResourceNotFoundError('Raid');
+
+  const launched = raid.status === 'accepted' && new Date(raid.launch_at) <= new Date();
+  if (!['pending', 'accepted'].includes(raid.status) || launched) {
+    throw new ResourceConflictError('Raid can no longer be cancelled');
+  }
+
+  const result = await client.query(
+    `UPDATE stream_raids SET status = 'cancelled' WHERE id = $1 RETURNING *`,
+    [raid.id]
+  );
+  return { raid: result.rows[0], ...(await loadRaidStreams(client, raid)) };
+}
+
+/**
+ * Record a viewer who followed a raid to the target stream
+ *
+ * @returns {Promise<boolean>} false if the raid isn't running or the viewer
+ *   already arrived
+ */
+async function recordArrival({ raidId, viewerId }) {
+  const result = await pool.query(
+    `INSERT INTO stream_raid_viewers (raid_id, viewer_id)
+     SELECT id, $2 FROM stream_raids
+     WHERE id = $1
+       AND status IN ('accepted', 'completed')
+       AND target_creator_id <> $2
+       AND launch_at <= NOW() + INTERVAL '5 seconds'
+       AND launch_at > NOW() - make_interval(mins => $3)
+     ON CONFLICT DO NOTHING
+     RETURNING raid_id`,
+    [raidId, viewerId, ARRIVAL_WINDOW_MINUTES]
+  );
+  return result.rows.length > 0;
+}
+
+function creatorSummary(stream) {
+  return stream && {
+    streamId: stream.id,
+    channel: stream.channel,
+    username: stream.username,
+    displayName: stream.display_name || stream.username,
+    avatar: stream.profile_pic_url
+  };
+}
+
+async function publish(channel, event, payload) {
+  try {
+    await publishToChannel(channel, event, payload);
+  } catch (error) {
+    logger.error(`Failed to publish ${event}:`, { channel, error: error.message });
+  }
+}
+
+/**
+ * Publish the events for a raid's current status
+ */
+async function announceRaid({ raid, source, target }) {
+  const base = { raidId: raid.id, from: creatorSummary(source), to: creatorSummary(target) };
+  const sourceChannels = source ? streamChannels(source) : [];
+  const targetChannels = target ? streamChannels(target) : [];
+
+  switch (raid.status) {
+    case 'pending':
+      await publish(`user:${raid.target_creator_id}`, 'raid_request', {
+        ...base,
+        viewerCount: raid.viewer_count,
+        expiresAt: raid.expires_at
+      });
+      await publish(`user:${raid.creator_id}`, 'raid_pending', { ...base, expiresAt: raid.expires_at });
+      break;
+
+    case 'accepted': {
+      const countdown = {
+        ...base,
+        countdownSeconds: raid.countdown_seconds,
+        launchAt: raid.launch_at
+      };
+      // Viewers' clients show the countdown and join `to.channel` at launchAt
+      for (const channel of sourceChannels) {
+        await publish(channel, 'raid_countdown', countdown);
+      }
+      for (const channel of targetChannels) {
+        await publish(channel, 'raid_incoming', { ...countdown, viewerCount: raid.viewers_sent });
+      }
+      await publish(`user:${raid.creator_id}`, 'raid_accepted', { ...countdown, autoAccepted: raid.auto_accepted });
+      break;
+    }
+
+    case 'declined':
+    case 'expired':
+      await publish(`user:${raid.creator_id}`, `raid_${raid.status}`, base);
+      break;
+
+    case 'cancelled':
+      for (const channel of [...sourceChannels, ...targetChannels]) {
+        await publish(channel, 'raid_cancelled', base);
+      }
+      await publish(`user:${raid.target_creator_id}`, 'raid_cancelled', base);
+      await publish(`user:${raid.creator_id}`, 'raid_cancelled', base);
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Arrivals still watching the target stream
+ *
+ * @returns {Promise<number|null>} null when viewer presence is unavailable
+ */
+async function countRetainedViewers(raid) {
+  const stream = await pool.query('SELECT status FROM streams WHERE id = $1', [raid.target_stream_id]);
+  if (stream.rows[0]?.status !== 'live') return 0;
+
+  const arrivals = await pool.query(
+    'SELECT viewer_id FROM stream_raid_viewers WHERE raid_id = $1',
+    [raid.id]
+  );
+  return streamViewers.countWatching(raid.target_stream_id, arrivals.rows.map(r => r.viewer_id));
+}
+
+/**
+ * Arrivals who followed the target within the last retention checkpoint
+ */
+async function countFollowsGained(raid) {
+  const minutes = RETENTION_CHECKPOINTS[RETENTION_CHECKPOINTS.length - 1];
+  const result = await pool.query(
+    `SELECT COUNT(*) AS follows
+     FROM stream_raid_viewers rv
+     JOIN users follower ON follower.supabase_id = rv.viewer_id
+     JOIN users followed ON followed.supabase_id = $2
+     JOIN follows f ON f.follower_id = follower.id AND f.followed_id = followed.id
+     WHERE rv.raid_id = $1
+       AND f.created_at >= $3
+       AND f.created_at < $3::timestamptz + make_interval(mins => $4)`,
+    [raid.id, raid.target_creator_id, raid.launch_at, minutes]
+  );
+  return Number(result.rows[0].follows);
+}
+
+function formatRaid(row) {
+  const arrived = Number(row.viewers_arrived || 0);
+  const rate = (value) => (value === null || value === undefined || arrived === 0)
+    ? null
+    : Math.round((value / arrived) * 1000) / 10;
+
+  return {
+    id: row.id,
+    status: row.status,
+    autoAccepted: row.auto_accepted,
+    createdAt: row.created_at,
+    launchAt: row.launch_at,
+    completedAt: row.completed_at,
+    from: { creatorId: row.creator_id, username: row.raider_username, displayName: row.raider_display_name },
+    to: { creatorId: row.target_creator_id, username: row.target_username, displayName: row.target_display_name },
+    viewersSent: row.viewers_sent ?? row.viewer_count,
+    viewersArrived: arrived,
+    retained5m: row.viewers_retained_5m,
+    retained15m: row.viewers_retained_15m,
+    retention5m: rate(row.viewers_retained_5m),
+    retention15m: rate(row.viewers_retained_15m),
+    followsGained: row.follows_gained
+  };
+}
+
+/**
+ * Raids a creator sent and received, newest first
+ *
+ * @param {string} creatorId
+ * @param {Object} [options]
+ * @param {string} [options.direction] - 'outgoing', 'incoming' or both when omitted
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} { raids, totals }
+ */
+async function getRaidAnalytics(creatorId, { direction, limit = 20 } = {}) {
+  const conditions = {
+    outgoing: 'r.creator_id = $1',
+    incoming: 'r.target_creator_id = $1'
+  };
+  const where = conditions[direction] || `(${conditions.outgoing} OR ${conditions.incoming})`;
+
+  const result = await pool.query(
+    `SELECT r.*,
+            raider.username AS raider_username, raider.display_name AS raider_display_name,
+            target.username AS target_username, target.display_name AS target_display_name,
+            (SELECT COUNT(*) FROM stream_raid_viewers rv WHERE rv.raid_id = r.id) AS viewers_arrived
+     FROM stream_raids r
+     JOIN users raider ON raider.supabase_id = r.creator_id
+     LEFT JOIN users target ON target.supabase_id = r.target_creator_id
+     WHERE ${where}
+     ORDER BY r.created_at DESC
+     LIMIT $2`,
+    [creatorId, Math.min(Math.max(parseInt(limit) || 20, 1), 100)]
+  );
+
+  const raids = result.rows.map(formatRaid);
+  const totals = { outgoing: emptyTotals(), incoming: emptyTotals() };
+  for (const raid of raids) {
+    if (!['accepted', 'completed'].includes(raid.status)) continue;
+    const bucket = raid.from.creatorId === creatorId ? totals.outgoing : totals.incoming;
+    bucket.raids++;
+    bucket.viewersSent += raid.viewersSent || 0;
+    bucket.viewersArrived += raid.viewersArrived;
+    bucket.retained15m += raid.retained15m || 0;
+    bucket.followsGained += raid.followsGained || 0;
+  }
+
+  return { raids, totals };
+}
+
+function emptyTotals() {
+  return { raids: 0, viewersSent: 0, viewersArrived: 0, retained15m: 0, followsGained: 0 };
+}
+
+module.exports = {
+  RAID_RESPONSE_SECONDS,
+  DEFAULT_COUNTDOWN_SECONDS,
+  RETENTION_CHECKPOINTS,
+  validateCountdown,
+  streamChannels,
+  getRaidSettings,
+  updateRaidSettings,
+  shouldAutoAccept,
+  createRaid,
+  respondToRaid,
+  cancelRaid,
+  recordArrival,
+  announceRaid,
+  countRetainedViewers,
+  countFollowsGained,
+  getRaidAnalytics
+};
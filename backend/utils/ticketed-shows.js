@@ -0,0 +1,553 @@
+/**
+ * Ticketed Shows
+ *
+ * Scheduling, escrow and refund helpers for ticketed shows.
+ *
+ * Shows either start from a live stream (POST /ticketed-shows/announce) or
+ * are scheduled ahead of time (POST /ticketed-shows/schedule) with a presale
+ * window, a waiting room and a grace period. Ticket tokens are debited from
+ * the fan at purchase and held in the ledger's escrow account until the show starts; starting the show
+ * releases them to the creator, and a show that never starts is cancelled
+ * and refunded from what is held (see jobs/ticketed-shows.js).
+ *
+ * Tickets can be gifted (the gifter pays), transferred to another fan, or
+ * refunded before the show under the creator's refund policy. Refunds always
+ * go back to whoever paid: the gifter for a gifted ticket, otherwise the
+ * holder. Transfers move no tokens; the original row is kept as
+ * 'transferred' so the ticket's history stays in the analytics.
+ */
+
+const { debitTokens, creditTokens, creditCreator } = require('./token-transfers');
+const { createJournal, PAYOUT_ORDER } = require('./token-ledger');
+const { creditSplitRevenue } = require('./revenue-splits');
+const { BusinessLogicError, ResourceConflictError, ResourceNotFoundError } = require('./app-errors');
+
+const DEFAULT_WAITING_ROOM_MINUTES = 15;
+const DEFAULT_GRACE_PERIOD_MINUTES = 30;
+const MAX_SCHEDULE_DAYS = 90;
+const REFUND_POLICIES = ['none', 'full', 'partial'];
+const DEFAULT_REFUND_CUTOFF_HOURS = 24;
+
+/**
+ * Validate the schedule of a show created ahead of time
+ *
+ * @param {Object} body - Request body
+ * @param {Date} [now]
+ * @returns {string|null} Error message
+ */
+function validateSchedule(body, now = new Date()) {
+  const { tokenPrice, startTime, presaleStartsAt, maxTickets, earlyBirdPrice, earlyBirdDeadline } = body;
+  const start = new Date(startTime);
+
+  if (!Number.isInteger(tokenPrice) || tokenPrice < 1) {
+    return 'tokenPrice must be a positive whole number of tokens';
+  }
+  if (!startTime || isNaN(start.getTime())) {
+    return 'startTime is required';
+  }
+  if (start <= now) {
+    return 'startTime must be in the future';
+  }
+  if (start - now > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return `Shows can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`;
+  }
+  if (presaleStartsAt && !(new Date(presaleStartsAt) < start)) {
+    return 'presaleStartsAt must be before startTime';
+  }
+  if (maxTickets !== undefined && maxTickets !== null && (!Number.isInteger(maxTickets) || maxTickets < 1)) {
+    return 'maxTickets must be a positive whole number';
+  }
+  if (earlyBirdPrice !== undefined && earlyBirdPrice !== null) {
+    if (!Number.isInteger(earlyBirdPrice) || earlyBirdPrice < 1 || earlyBirdPrice >= tokenPrice) {
+      return 'earlyBirdPrice must be lower than tokenPrice';
+    }
+    const deadline = new Date(earlyBirdDeadline);
+    if (!earlyBirdDeadline || isNaN(deadline.getTime()) || deadline > start) {
+      return 'earlyBirdDeadline is required and must be before startTime';
+    }
+    if (presaleStartsAt && deadline <= new Date(presaleStartsAt)) {
+      return 'earlyBirdDeadline must be after presaleStartsAt';
+    }
+  }
+  if (body.waitingRoomMinutes !== undefined &&
+      (!Number.isInteger(body.waitingRoomMinutes) || body.waitingRoomMinutes < 0 || body.waitingRoomMinutes > 120)) {
+    return 'waitingRoomMinutes must be between 0 and 120';
+  }
+  if (body.gracePeriodMinutes !== undefined &&
+      (!Number.isInteger(body.gracePeriodMinutes) || body.gracePeriodMinutes < 5 || body.gracePeriodMinutes > 240)) {
+    return 'gracePeriodMinutes must be between 5 and 240';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the refund and transfer settings of a show
+ *
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message
+ */
+function validateTicketPolicy(body) {
+  const { refundPolicy, refundPercent, refundCutoffHours, allowTransfers } = body;
+
+  if (refundPolicy !== undefined && !REFUND_POLICIES.includes(refundPolicy)) {
+    return `refundPolicy must be one of ${REFUND_POLICIES.join(', ')}`;
+  }
+  if (refundPolicy === 'partial' &&
+      (!Number.isInteger(refundPercent) || refundPercent < 1 || refundPercent > 99)) {
+    return 'refundPercent must be between 1 and 99 for a partial refund policy';
+  }
+  if (refundCutoffHours !== undefined &&
+      (!Number.isInteger(refundCutoffHours) || refundCutoffHours < 0 || refundCutoffHours > 720)) {
+    return 'refundCutoffHours must be between 0 and 720';
+  }
+  if (allowTransfers !== undefined && typeof allowTransfers !== 'boolean') {
+    return 'allowTransfers must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Whether tickets can be bought right now
+ *
+ * @param {Object} show - ticketed_shows row
+ * @param {Date} [now]
+ * @returns {string|null} Reason sales are closed
+ */
+function getSalesClosedReason(show, now = new Date()) {
+  if (!['announced', 'started'].includes(show.status)) {
+    return 'Show not available for tickets';
+  }
+  if (show.presale_starts_at && new Date(show.presale_starts_at) > now) {
+    return 'Ticket sales have not opened yet';
+  }
+  return null;
+}
+
+/**
+ * Waiting room state for a show
+ *
+ * @param {Object} show - ticketed_shows row
+ * @param {Date} [now]
+ * @returns {{ state: string, opensAt: Date|null, startsAt: Date|null }}
+ *   state: scheduled, open, live, ended or cancelled
+ */
+function getWaitingRoomState(show, now = new Date()) {
+  const startsAt = show.start_time ? new Date(show.start_time) : null;
+  const minutes = show.waiting_room_minutes ?? DEFAULT_WAITING_ROOM_MINUTES;
+  const opensAt = startsAt ? new Date(startsAt.getTime() - minutes * 60 * 1000) : null;
+
+  let state = 'scheduled';
+  if (show.status === 'started') state = 'live';
+  else if (show.status === 'ended' || show.status === 'cancelled') state = show.status;
+  else if (!opensAt || opensAt <= now) state = 'open';
+
+  return { state, opensAt, startsAt };
+}
+
+/**
+ * Take payment for a ticket
+ *
+ * Tickets for a show that is already running are paid to the creator at once,
+ * shared with their co-hosts under the stream's revenue split; otherwise the
+ * tokens are held until the show starts.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} show - Locked ticketed_shows row
+ * @param {string} viewerId - Buyer supabase_id
+ * @param {number} price - Tokens
+ * @returns {Promise<boolean>} Whether the ticket is settled
+ * @throws {InsufficientFundsError}
+ */
+async function chargeTicket(client, show, viewerId, price) {
+  const journal = createJournal('ticket_purchase', { reference: `ticketed_shows:${show.id}` });
+  await debitTokens(client, viewerId, price, { type: 'ticket_purchase', journal, relatedUserId: show.creator_id });
+
+  const settled = show.status === 'started';
+  if (settled) {
+    await creditSplitRevenue(client, {
+      hostId: show.creator_id,
+      grossTokens: price,
+      revenueType: 'ticket',
+      type: 'ticket_sale',
+      payerId: viewerId,
+      streamId: show.stream_id,
+      sourceRef: show.id,
+      journal
+    });
+  } else {
+    journal.credit('escrow', price);
+  }
+
+  await journal.post(client);
+  return settled;
+}
+
+/**
+ * Buy a ticket for yourself or as a gift
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} params
+ * @param {string} params.showId
+ * @param {string} params.buyerId - Payer supabase_id
+ * @param {string} [params.recipientId] - Ticket holder, defaults to the buyer
+ * @returns {Promise<{ show: Object, ticket: Object }>}
+ * @throws {ResourceNotFoundError|BusinessLogicError|ResourceConflictError|InsufficientFundsError}
+ */
+async function purchaseTicket(client, { showId, buyerId, recipientId = buyerId }) {
+  const isGift = recipientId !== buyerId;
+
+  // Scheduled shows have no stream yet
+  const showQuery = await client.query(
+    `SELECT ts.*, s.channel_id
+     FROM ticketed_shows ts
+     LEFT JOIN streams s ON ts.stream_id = s.id
+     WHERE ts.id = $1
+     FOR UPDATE OF ts`,
+    [showId]
+  );
+  const show = showQuery.rows[0];
+
+  if (!show) {
+    throw new ResourceNotFoundError('Show');
+  }
+
+  const closedReason = getSalesClosedReason(show);
+  if (closedReason) {
+    throw new BusinessLogicError(closedReason);
+  }
+
+  if (isGift) {
+    await assertRecipient(client, show, recipientId);
+  } else {
+    const existing = await client.query(
+      "SELECT id FROM show_tickets WHERE show_id = $1 AND viewer_id = $2 AND status = 'active'",
+      [showId, buyerId]
+    );
+    if (existing.rows.length > 0) {
+      throw new ResourceConflictError('You already have a ticket for this show');
+    }
+  }
+
+  const availability = await client.query(
+    'SELECT check_ticket_availability($1) as available',
+    [showId]
+  );
+  if (!availability.rows[0].available) {
+    throw new ResourceConflictError('Show is sold out');
+  }
+
+  // Handles early bird pricing
+  const priceQuery = await client.query(
+    'SELECT get_current_ticket_price($1) as price',
+    [showId]
+  );
+  const price = priceQuery.rows[0].price;
+
+  let purchaseType = 'regular';
+  if (isGift) purchaseType = 'gift';
+  else if (show.early_bird_deadline && new Date() < new Date(show.early_bird_deadline)) purchaseType = 'early_bird';
+
+  const settled = await chargeTicket(client, show, buyerId, price);
+
+  const ticket = await client.query(
+    `INSERT INTO show_tickets (show_id, viewer_id, token_price, purchase_type, gifted_by, settled_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [showId, recipientId, price, purchaseType, isGift ? buyerId : null, settled ? new Date() : null]
+  );
+
+  return { show, ticket: ticket.rows[0] };
+}
+
+/**
+ * Check that a gift or transfer recipient exists and has no ticket yet
+ */
+async function assertRecipient(client, show, recipientId) {
+  const user = await client.query('SELECT supabase_id FROM users WHERE supabase_id = $1', [recipientId]);
+  if (user.rows.length === 0) {
+    throw new ResourceNotFoundError('Recipient');
+  }
+
+  const existing = await client.query(
+    "SELECT id FROM show_tickets WHERE show_id = $1 AND viewer_id = $2 AND status = 'active'",
+    [show.id, recipientId]
+  );
+  if (existing.rows.length > 0) {
+    throw new ResourceConflictError('Recipient already has a ticket for this show');
+  }
+}
+
+/**
+ * Lock a ticket and its show (show first, like purchases and cancellation)
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} ticketId
+ * @param {string} holderId - Must be the ticket holder
+ * @returns {Promise<{ show: Object, ticket: Object }>}
+ * @throws {ResourceNotFoundError}
+ */
+async function lockTicket(client, ticketId, holderId) {
+  const showQuery = await client.query(
+    `SELECT ts.* FROM ticketed_shows ts
+     JOIN show_tickets st ON st.show_id = ts.id
+     WHERE st.id = $1
+     FOR UPDATE OF ts`,
+    [ticketId]
+  );
+  const ticketQuery = await client.query(
+    'SELECT * FROM show_tickets WHERE id = $1 AND viewer_id = $2 FOR UPDATE',
+    [ticketId, holderId]
+  );
+
+  if (showQuery.rows.length === 0 || ticketQuery.rows.length === 0) {
+    throw new ResourceNotFoundError('Ticket');
+  }
+
+  return { show: showQuery.rows[0], ticket: ticketQuery.rows[0] };
+}
+
+/**
+ * Give a ticket to another fan
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} show - Locked ticketed_shows row
+ * @param {Object} ticket - Locked show_tickets row
+ * @param {string} recipientId - Recipient supabase_id
+ * @returns {Promise<Object>} The recipient's ticket
+ * @throws {BusinessLogicError|ResourceConflictError|ResourceNotFoundError}
+ */
+async function transferTicket(client, show, ticket, recipientId) {
+  if (!show.allow_transfers) {
+    throw new BusinessLogicError('Tickets for this show cannot be transferred');
+  }
+  if (!['announced', 'started'].includes(show.status)) {
+    throw new BusinessLogicError('Show is no longer running');
+  }
+  if (ticket.status !== 'active') {
+    throw new ResourceConflictError('Ticket is no longer active');
+  }
+  if (ticket.joined_at) {
+    throw new BusinessLogicError('Ticket has already been used');
+  }
+  if (recipientId === ticket.viewer_id) {
+    throw new BusinessLogicError('You already hold this ticket');
+  }
+
+  await assertRecipient(client, show, recipientId);
+
+  await client.query(
+    "UPDATE show_tickets SET status = 'transferred', transferred_at = NOW() WHERE id = $1",
+    [ticket.id]
+  );
+
+  const transferred = await client.query(
+    `INSERT INTO show_tickets (
+      show_id, viewer_id, token_price, purchase_type, gifted_by, settled_at, transferred_from
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *`,
+    [show.id, recipientId, ticket.token_price, ticket.purchase_type, ticket.gifted_by, ticket.settled_at, ticket.id]
+  );
+
+  return transferred.rows[0];
+}
+
+/**
+ * Tokens a fan gets back for refunding a ticket now
+ *
+ * @param {Object} show - ticketed_shows row
+ * @param {Object} ticket - show_tickets row
+ * @param {Date} [now]
+ * @returns {number} Tokens
+ * @throws {BusinessLogicError|ResourceConflictError} When the ticket cannot be refunded
+ */
+function quoteRefund(show, ticket, now = new Date()) {
+  if (ticket.status !== 'active') {
+    throw new ResourceConflictError('Ticket is no longer active');
+  }
+  // Tickets settle when the show starts, so a refundable ticket is still in escrow
+  if (show.status !== 'announced' || ticket.settled_at) {
+    throw new BusinessLogicError('Refunds close once the show starts');
+  }
+  if (!show.refund_policy || show.refund_policy === 'none') {
+    throw new BusinessLogicError('This show does not offer refunds');
+  }
+
+  const cutoffHours = show.refund_cutoff_hours ?? DEFAULT_REFUND_CUTOFF_HOURS;
+  if (show.start_time && new Date(show.start_time).getTime() - cutoffHours * 60 * 60 * 1000 <= now.getTime()) {
+    throw new BusinessLogicError(`Refunds close ${cutoffHours} hours before the show`);
+  }
+
+  if (show.refund_policy === 'full') return ticket.token_price;
+  return Math.floor(ticket.token_price * show.refund_percent / 100);
+}
+
+/**
+ * Refund a ticket under the show's refund policy
+ *
+ * The ticket is refunded from escrow and the part kept under a partial
+ * policy is released to the creator.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} show - Locked ticketed_shows row
+ * @param {Object} ticket - Locked show_tickets row
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Refunded ticket
+ * @throws {BusinessLogicError|ResourceConflictError}
+ */
+async function refundTicket(client, show, ticket, now = new Date()) {
+  const tokens = quoteRefund(show, ticket, now);
+  const payerId = ticket.gifted_by || ticket.viewer_id;
+  const journal = createJournal('ticket_refund', { reference: `show_tickets:${ticket.id}` });
+
+  journal.debit('escrow', ticket.token_price);
+  await creditCreator(client, show.creator_id, ticket.token_price - tokens, {
+    type: 'ticket_sale',
+    revenueType: 'ticket',
+    journal,
+    relatedUserId: payerId
+  });
+  await creditTokens(client, payerId, tokens, { type: 'ticket_refund', journal, relatedUserId: show.creator_id });
+  await journal.post(client);
+
+  const refunded = await client.query(
+    `UPDATE show_tickets
+     SET status = 'refunded', refunded_at = NOW(), refund_tokens = $2, settled_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [ticket.id, tokens]
+  );
+
+  return refunded.rows[0];
+}
+
+/**
+ * Release held ticket revenue to the creator when the show starts
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} show - Locked ticketed_shows row
+ * @returns {Promise<number>} Tokens released
+ */
+async function settleShowTickets(client, show) {
+  const settled = await client.query(
+    `UPDATE show_tickets SET settled_at = NOW()
+     WHERE show_id = $1 AND status = 'active' AND settled_at IS NULL
+     RETURNING viewer_id, token_price`,
+    [show.id]
+  );
+
+  const total = settled.rows.reduce((sum, ticket) => sum + ticket.token_price, 0);
+  const journal = createJournal('ticket_settlement', { reference: `ticketed_shows:${show.id}` });
+  journal.debit('escrow', total);
+  await creditSplitRevenue(client, {
+    hostId: show.creator_id,
+    grossTokens: total,
+    revenueType: 'ticket',
+    type: 'ticket_sale',
+    streamId: show.stream_id,
+    sourceRef: show.id,
+    journal
+  });
+  await journal.post(client);
+  return total;
+}
+
+/**
+ * Cancel a show that has not started and refund every ticket
+ *
+ * Unsettled tickets are refunded from escrow. A settled ticket can only exist
+ * for a show that already started, so it is refunded by the creator.
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} show - Locked ticketed_shows row
+ * @param {string} reason - e.g. 'creator_cancelled', 'not_started'
+ * @returns {Promise<Array<Object>>} Refunded tickets { viewer_id, gifted_by, token_price }
+ */
+async function cancelAndRefundShow(client, show, reason) {
+  await client.query(
+    `UPDATE ticketed_shows
+     SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = $2, updated_at = NOW()
+     WHERE id = $1`,
+    [show.id, reason]
+  );
+
+  const tickets = await client.query(
+    `UPDATE show_tickets SET status = 'refunded', refunded_at = NOW(), refund_tokens = token_price
+     WHERE show_id = $1 AND status = 'active'
+     RETURNING viewer_id, gifted_by, token_price, settled_at`,
+    [show.id]
+  );
+
+  const journal = createJournal('ticket_refund', { reference: `ticketed_shows:${show.id}`, memo: reason });
+  for (const ticket of tickets.rows) {
+    const payerId = ticket.gifted_by || ticket.viewer_id;
+    if (ticket.settled_at) {
+      await debitTokens(client, show.creator_id, ticket.token_price, {
+        type: 'ticket_refund',
+        journal,
+        relatedUserId: payerId,
+        order: PAYOUT_ORDER
+      });
+    } else {
+      journal.debit('escrow', ticket.token_price);
+    }
+    await creditTokens(client, payerId, ticket.token_price, {
+      type: 'ticket_refund',
+      journal,
+      relatedUserId: show.creator_id
+    });
+  }
+  await journal.post(client);
+
+  return tickets.rows;
+}
+
+/**
+ * Bind the creator's scheduled shows to the stream they just started
+ *
+ * Only shows whose waiting room is open and whose grace period has not run
+ * out are bound.
+ *
+ * @param {Object} client - pg client (or pool)
+ * @param {Object} params
+ * @param {string} params.creatorId - Creator supabase_id
+ * @param {string} params.streamId
+ * @returns {Promise<Array<Object>>} Bound shows
+ */
+async function bindScheduledShows(client, { creatorId, streamId }) {
+  const result = await client.query(
+    `UPDATE ticketed_shows
+     SET stream_id = $2, updated_at = NOW()
+     WHERE creator_id = $1
+       AND stream_id IS NULL
+       AND status = 'announced'
+       AND start_time IS NOT NULL
+       AND start_time - make_interval(mins => waiting_room_minutes) <= NOW()
+       AND start_time + make_interval(mins => grace_period_minutes) > NOW()
+     RETURNING *`,
+    [creatorId, streamId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  DEFAULT_WAITING_ROOM_MINUTES,
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  MAX_SCHEDULE_DAYS,
+  REFUND_POLICIES,
+  DEFAULT_REFUND_CUTOFF_HOURS,
+  validateSchedule,
+  validateTicketPolicy,
+  getSalesClosedReason,
+  getWaitingRoomState,
+  chargeTicket,
+  purchaseTicket,
+  lockTicket,
+  transferTicket,
+  quoteRefund,
+  refundTicket,
+  settleShowTickets,
+  cancelAndRefundShow,
+  bindScheduledShows
+};
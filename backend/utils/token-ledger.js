@@ -0,0 +1,493 @@
+/**
+ * Token Ledger
+ *
+ * Double-entry record of every token movement. token_balances stays the
+ * balance routes read and lock; each write to it is mirrored by a journal
+ * here, posted in the same transaction, so the two can be proven equal
+ * (runReconciliation) and every token can be traced to where it came from.
+ *
+ * Accounts:
+ *   fan_wallet       - per user: tokens they bought, were refunded or gifted
+ *   creator_earnings - per creator: revenue credited net of platform fees
+ *   platform_revenue - platform fees
+ *   escrow           - tokens held until an event settles (e.g. ticketed shows)
+ *   refunds          - refunds the platform funds itself
+ *   token_issuance   - source of purchased and bonus tokens; its balance is
+ *                      minus the tokens in circulation
+ *   adjustments      - admin corrections
+ *
+ * A user's token_balances.balance equals fan_wallet + creator_earnings.
+ * Spending draws from fan_wallet first; payouts draw from creator_earnings.
+ *
+ * Amounts are signed from the account's side: a credit adds tokens to an
+ * account and a debit removes them. Every journal sums to zero.
+ *
+ * Platform accounts are not locked and keep no running balance: every
+ * payment touches them, and locking would serialize all payments. Their
+ * balance is the sum of their entries.
+ */
+
+const { pool } = require('./db');
+const { TransactionError, BusinessLogicError, ResourceNotFoundError } = require('./app-errors');
+
+const USER_ACCOUNTS = ['fan_wallet', 'creator_earnings'];
+const PLATFORM_ACCOUNTS = ['platform_revenue', 'escrow', 'refunds', 'token_issuance', 'adjustments'];
+
+const SPEND_ORDER = ['fan_wallet', 'creator_earnings'];
+const PAYOUT_ORDER = ['creator_earnings', 'fan_wallet'];
+
+function validateTokens(tokens) {
+  if (!Number.isInteger(tokens) || tokens < 0) {
+    throw new TransactionError(`Ledger amounts must be whole tokens, got ${tokens}`);
+  }
+  return tokens;
+}
+
+/**
+ * Legs of one token movement, posted together
+ */
+class Journal {
+  /**
+   * @param {string} type - What happened, usually the token_transactions.type
+   * @param {Object} [options]
+   * @param {string} [options.reference] - e.g. 'token_transactions:123', 'show_tickets:<id>'
+   * @param {string} [options.memo]
+   * @param {string} [options.createdBy] - Admin supabase_id for manual journals
+   */
+  constructor(type, { reference = null, memo = null, createdBy = null } = {}) {
+    this.type = type;
+    this.reference = reference;
+    this.memo = memo;
+    this.createdBy = createdBy;
+    this.legs = [];
+  }
+
+  /**
+   * Take tokens from a user, from fan_wallet then creator_earnings by default
+   *
+   * @param {Array<string>} [options.order] - PAYOUT_ORDER for withdrawals
+   */
+  debitUser(userId, tokens, { order = SPEND_ORDER } = {}) {
+    if (validateTokens(tokens) > 0) this.legs.push({ userId: String(userId), order, tokens: -tokens });
+    return this;
+  }
+
+  /**
+   * @param {string} [options.account] - 'fan_wallet', or 'creator_earnings' for revenue
+   */
+  creditUser(userId, tokens, { account = 'fan_wallet' } = {}) {
+    if (!USER_ACCOUNTS.includes(account)) throw new TransactionError(`Unknown user account ${account}`);
+    if (validateTokens(tokens) > 0) this.legs.push({ kind: account, ownerId: String(userId), tokens });
+    return this;
+  }
+
+  debit(account, tokens) {
+    if (!PLATFORM_ACCOUNTS.includes(account)) throw new TransactionError(`Unknown platform account ${account}`);
+    if (validateTokens(tokens) > 0) this.legs.push({ kind: account, ownerId: null, tokens: -tokens });
+    return this;
+  }
+
+  credit(account, tokens) {
+    if (!PLATFORM_ACCOUNTS.includes(account)) throw new TransactionError(`Unknown platform account ${account}`);
+    if (validateTokens(tokens) > 0) this.legs.push({ kind: account, ownerId: null, tokens });
+    return this;
+  }
+
+  /**
+   * Write the journal. Call inside the transaction that changed token_balances.
+   *
+   * @param {Object} client - pg client inside a transaction
+   * @returns {Promise<number|null>} Journal id, or null when nothing moved
+   * @throws {TransactionError} If the legs don't sum to zero
+   */
+  async post(client) {
+    if (this.legs.length === 0) return null;
+
+    const total = this.legs.reduce((sum, leg) => sum + leg.tokens, 0);
+    if (total !== 0) {
+      throw new TransactionError(`Ledger journal '${this.type}' does not balance (off by ${total})`);
+    }
+
+    const userIds = [...new Set(this.legs.filter(leg => leg.ownerId || leg.userId).map(leg => leg.ownerId || leg.userId))];
+    const accounts = await lockUserAccounts(client, userIds);
+    const legs = resolveLegs(this.legs, accounts);
+
+    const journal = await client.query(
+      `INSERT INTO token_ledger_journals (type, reference, memo, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [this.type, this.reference, this.memo, this.createdBy]
+    );
+    const journalId = journal.rows[0].id;
+
+    const platform = await client.query(
+      'SELECT id, kind FROM token_ledger_accounts WHERE owner_id IS NULL AND kind = ANY($1)',
+      [[...new Set(legs.filter(leg => !leg.ownerId).map(leg => leg.kind))]]
+    );
+    const platformIds = Object.fromEntries(platform.rows.map(row => [row.kind, row.id]));
+
+    const touched = [];
+    const entries = legs.map((leg) => {
+      if (!leg.ownerId) return { accountId: platformIds[leg.kind], tokens: leg.tokens, balanceAfter: null };
+      const account = accounts[leg.ownerId][leg.kind];
+      account.balance += leg.tokens;
+      touched.push(account);
+      return { accountId: account.id, tokens: leg.tokens, balanceAfter: account.balance };
+    });
+
+    await client.query(
+      `INSERT INTO token_ledger_entries (journal_id, account_id, tokens, balance_after)
+       SELECT $1, * FROM unnest($2::bigint[], $3::bigint[], $4::bigint[])`,
+      [journalId, entries.map(e => e.accountId), entries.map(e => e.tokens), entries.map(e => e.balanceAfter)]
+    );
+
+    if (touched.length > 0) {
+      await client.query(
+        `UPDATE token_ledger_accounts a
+         SET balance = v.balance, updated_at = NOW()
+         FROM unnest($1::bigint[], $2::bigint[]) AS v(id, balance)
+         WHERE a.id = v.id`,
+        [touched.map(a => a.id), touched.map(a => a.balance)]
+      );
+    }
+
+    return journalId;
+  }
+}
+
+/**
+ * Create (if needed) and lock both accounts of each user, in id order
+ *
+ * @returns {Promise<Object>} { [userId]: { fan_wallet: { id, balance }, creator_earnings: {...} } }
+ */
+async function lockUserAccounts(client, userIds) {
+  if (userIds.length === 0) return {};
+
+  const owners = userIds.flatMap(id => USER_ACCOUNTS.map(() => id));
+  const kinds = userIds.flatMap(() => USER_ACCOUNTS);
+
+  await client.query(
+    `INSERT INTO token_ledger_accounts (kind, owner_id)
+     SELECT * FROM unnest($1::text[], $2::text[])
+     ON CONFLICT DO NOTHING`,
+    [kinds, owners]
+  );
+
+  const result = await client.query(
+    `SELECT id, kind, owner_id, balance
+     FROM token_ledger_accounts
+     WHERE owner_id = ANY($1::text[]) AND kind = ANY($2)
+     ORDER BY id
+     FOR UPDATE`,
+    [userIds, USER_ACCOUNTS]
+  );
+
+  const accounts = {};
+  for (const row of result.rows) {
+    accounts[row.owner_id] = accounts[row.owner_id] || {};
+    accounts[row.owner_id][row.kind] = { id: row.id, balance: Number(row.balance) };
+  }
+  return accounts;
+}
+
+/**
+ * Split debitUser legs across the user's accounts and merge legs per account
+ */
+function resolveLegs(legs, accounts) {
+  // Running balances, so two debits from one user in a journal don't both
+  // draw on the same tokens
+  const available = {};
+  for (const [userId, userAccounts] of Object.entries(accounts)) {
+    for (const [kind, account] of Object.entries(userAccounts)) {
+      available[`${userId}:${kind}`] = account.balance;
+    }
+  }
+
+  const merged = new Map();
+  const add = (kind, ownerId, tokens) => {
+    const key = `${ownerId || ''}:${kind}`;
+    const leg = merged.get(key) || { kind, ownerId, tokens: 0 };
+    leg.tokens += tokens;
+    merged.set(key, leg);
+    if (ownerId) available[`${ownerId}:${kind}`] += tokens;
+  };
+
+  for (const leg of legs) {
+    if (!leg.userId) {
+      add(leg.kind, leg.ownerId, leg.tokens);
+      continue;
+    }
+
+    let remaining = -leg.tokens;
+    for (const kind of leg.order) {
+      const take = Math.min(remaining, Math.max(available[`${leg.userId}:${kind}`], 0));
+      if (take > 0) {
+        add(kind, leg.userId, -take);
+        remaining -= take;
+      }
+    }
+    // More than the ledger holds for them: the first account goes negative
+    // and reconciliation reports the difference
+    if (remaining > 0) add(leg.order[0], leg.userId, -remaining);
+  }
+
+  return [...merged.values()].filter(leg => leg.tokens !== 0);
+}
+
+function createJournal(type, options) {
+  return new Journal(type, options);
+}
+
+/**
+ * Compare every user's token_balances.balance with their ledger accounts
+ * and record the result
+ *
+ * Runs in one REPEATABLE READ snapshot so in-flight payments can't show up
+ * on one side only.
+ *
+ * @returns {Promise<Object>} The token_ledger_reconciliations row
+ */
+async function runReconciliation({ triggeredBy = null } = {}) {
+  const run = await pool.query(
+    `INSERT INTO token_ledger_reconciliations (status, triggered_by)
+     VALUES ('running', $1)
+     RETURNING *`,
+    [triggeredBy]
+  );
+  const runId = run.rows[0].id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    // A user's ledger balance is the sum of their entries, not the cached
+    // running balance, so a bad cache shows up as drift too
+    const drift = await client.query(
+      `WITH ledger AS (
+         SELECT a.owner_id AS user_id, COALESCE(SUM(e.tokens), 0) AS ledger_tokens
+         FROM token_ledger_accounts a
+         LEFT JOIN token_ledger_entries e ON e.account_id = a.id
+         WHERE a.owner_id IS NOT NULL
+         GROUP BY a.owner_id
+       )
+       SELECT COALESCE(tb.user_id::text, l.user_id) AS user_id,
+              COALESCE(l.ledger_tokens, 0) AS ledger_tokens,
+              COALESCE(tb.balance, 0) AS balance_tokens
+       FROM token_balances tb
+       FULL OUTER JOIN ledger l ON l.user_id = tb.user_id::text
+       WHERE COALESCE(l.ledger_tokens, 0) <> COALESCE(tb.balance, 0)`
+    );
+
+    const totals = await client.query(
+      `SELECT
+         (SELECT COUNT(*) FROM token_balances) AS accounts_checked,
+         (SELECT COALESCE(SUM(tokens), 0) FROM token_ledger_entries) AS ledger_sum,
+         (SELECT COUNT(*) FROM (
+            SELECT journal_id FROM token_ledger_entries
+            GROUP BY journal_id HAVING SUM(tokens) <> 0
+          ) unbalanced) AS unbalanced_journals`
+    );
+
+    await client.query('COMMIT');
+
+    const { accounts_checked: accountsChecked, ledger_sum: ledgerSum, unbalanced_journals: unbalanced } = totals.rows[0];
+    const rows = drift.rows.map(row => ({
+      userId: row.user_id,
+      ledgerTokens: Number(row.ledger_tokens),
+      balanceTokens: Number(row.balance_tokens)
+    }));
+
+    if (rows.length > 0) {
+      await pool.query(
+        `INSERT INTO token_ledger_drift (reconciliation_id, user_id, ledger_tokens, balance_tokens)
+         SELECT $1, * FROM unnest($2::text[], $3::bigint[], $4::bigint[])`,
+        [runId, rows.map(r => r.userId), rows.map(r => r.ledgerTokens), rows.map(r => r.balanceTokens)]
+      );
+    }
+
+    const clean = rows.length === 0 && Number(ledgerSum) === 0 && Number(unbalanced) === 0;
+    const finished = await pool.query(
+      `UPDATE token_ledger_reconciliations
+       SET status = $2, finished_at = NOW(), accounts_checked = $3, drift_count = $4,
+           drift_tokens = $5, ledger_sum = $6, unbalanced_journals = $7
+       WHERE id = $1
+       RETURNING *`,
+      [
+        runId,
+        clean ? 'balanced' : 'drift',
+        accountsChecked,
+        rows.length,
+        rows.reduce((sum, r) => sum + Math.abs(r.balanceTokens - r.ledgerTokens), 0),
+        ledgerSum,
+        unbalanced
+      ]
+    );
+    return finished.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    await pool.query(
+      `UPDATE token_ledger_reconciliations
+       SET status = 'failed', finished_at = NOW(), error = $2
+       WHERE id = $1`,
+      [runId, error.message]
+    );
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listReconciliations(limit = 30) {
+  const result = await pool.query(
+    'SELECT * FROM token_ledger_reconciliations ORDER BY started_at DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * @returns {Promise<Object|null>} The run and its drift rows
+ */
+async function getReconciliation(runId) {
+  const run = await pool.query('SELECT * FROM token_ledger_reconciliations WHERE id = $1', [runId]);
+  if (run.rows.length === 0) return null;
+
+  const drift = await pool.query(
+    `SELECT d.*, u.username
+     FROM token_ledger_drift d
+     LEFT JOIN users u ON u.supabase_id::text = d.user_id
+     WHERE d.reconciliation_id = $1
+     ORDER BY ABS(d.drift_tokens) DESC`,
+    [runId]
+  );
+  return { ...run.rows[0], drift: drift.rows };
+}
+
+/**
+ * Close a drift row, optionally posting an adjustment that brings the
+ * ledger in line with token_balances
+ *
+ * The adjustment is for drift the admin has traced to a write that missed
+ * the ledger; balances themselves are never changed here.
+ *
+ * @returns {Promise<Object|null>} The resolved row, or null if it was already resolved
+ */
+async function resolveDrift(driftId, { adminId, note, adjust = false }) {
+  if (!note || !String(note).trim()) {
+    throw new BusinessLogicError('A note is required to resolve ledger drift');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(
+      'SELECT * FROM token_ledger_drift WHERE id = $1 FOR UPDATE',
+      [driftId]
+    );
+    const drift = found.rows[0];
+    if (!drift) throw new ResourceNotFoundError('Ledger drift');
+    if (drift.resolved_at) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let journalId = null;
+    if (adjust) {
+      // Re-read both sides now; the drift may have changed since the run
+      const current = await client.query(
+        `SELECT
+           COALESCE((SELECT balance FROM token_balances WHERE user_id::text = $1), 0) AS balance_tokens,
+           COALESCE((SELECT SUM(e.tokens) FROM token_ledger_entries e
+                     JOIN token_ledger_accounts a ON a.id = e.account_id
+                     WHERE a.owner_id = $1), 0) AS ledger_tokens`,
+        [drift.user_id]
+      );
+      const difference = Number(current.rows[0].balance_tokens) - Number(current.rows[0].ledger_tokens);
+      const journal = createJournal('adjustment', {
+        reference: `token_ledger_drift:${drift.id}`,
+        memo: String(note).trim(),
+        createdBy: adminId
+      });
+      if (difference > 0) {
+        journal.debit('adjustments', difference).creditUser(drift.user_id, difference);
+      } else if (difference < 0) {
+        journal.debitUser(drift.user_id, -difference).credit('adjustments', -difference);
+      }
+      journalId = await journal.post(client);
+    }
+
+    const resolved = await client.query(
+      `UPDATE token_ledger_drift
+       SET resolved_at = NOW(), resolved_by = $2, resolution_note = $3, adjustment_journal_id = $4
+       WHERE id = $1
+       RETURNING *`,
+      [driftId, adminId, String(note).trim(), journalId]
+    );
+
+    await client.query('COMMIT');
+    return resolved.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * A user's ledger accounts and most recent entries
+ */
+async function getAccountStatement(userId, limit = 100) {
+  const [accounts, entries] = await Promise.all([
+    pool.query(
+      `SELECT id, kind, balance, updated_at
+       FROM token_ledger_accounts
+       WHERE owner_id = $1
+       ORDER BY kind`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT e.id, e.tokens, e.balance_after, e.created_at, a.kind AS account,
+              j.id AS journal_id, j.type, j.reference, j.memo
+       FROM token_ledger_entries e
+       JOIN token_ledger_accounts a ON a.id = e.account_id
+       JOIN token_ledger_journals j ON j.id = e.journal_id
+       WHERE a.owner_id = $1
+       ORDER BY e.id DESC
+       LIMIT $2`,
+      [userId, limit]
+    )
+  ]);
+  return { accounts: accounts.rows, entries: entries.rows };
+}
+
+/**
+ * Platform account balances (sums of their entries)
+ */
+async function getPlatformBalances() {
+  const result = await pool.query(
+    `SELECT a.kind, COALESCE(SUM(e.tokens), 0) AS balance
+     FROM token_ledger_accounts a
+     LEFT JOIN token_ledger_entries e ON e.account_id = a.id
+     WHERE a.owner_id IS NULL
+     GROUP BY a.kind
+     ORDER BY a.kind`
+  );
+  return Object.fromEntries(result.rows.map(row => [row.kind, Number(row.balance)]));
+}
+
+module.exports = {
+  USER_ACCOUNTS,
+  PLATFORM_ACCOUNTS,
+  SPEND_ORDER,
+  PAYOUT_ORDER,
+  Journal,
+  createJournal,
+  runReconciliation,
+  listReconciliations,
+  getReconciliation,
+  resolveDrift,
+  getAccountStatement,
+  getPlatformBalances
+};
@@ -0,0 +1,140 @@
+/**
+ * Token Transfers
+ *
+ * Race-safe token debits and credits for purchases paid from token_balances.
+ * Follows the hardened tip flow in routes/tokens.js: lock the payer's balance
+ * row, deduct conditionally, credit the payee, and write one token_transactions
+ * row per side.
+ *
+ * Each function also adds its leg to a ledger journal (utils/token-ledger.js).
+ * The caller adds any platform legs (e.g. escrow) and posts the journal.
+ *
+ * All functions take a client that is already inside a transaction; the
+ * caller owns BEGIN / COMMIT / ROLLBACK.
+ */
+
+const { InsufficientFundsError } = require('./app-errors');
+const { calculateFees } = require('./fee-policy');
+
+// USD estimate for analytics only, same rate as routes/tokens.js
+const TOKEN_VALUE = 0.05;
+
+/**
+ * Deduct tokens from a user
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} userId - Payer supabase_id
+ * @param {number} tokens - Positive integer amount
+ * @param {Object} options
+ * @param {string} options.type - token_transactions.type
+ * @param {Object} options.journal - Ledger journal from utils/token-ledger.js
+ * @param {string} [options.relatedUserId] - Counterparty supabase_id
+ * @param {Array<string>} [options.order] - Ledger accounts to draw from; PAYOUT_ORDER
+ *   when reversing creator revenue
+ * @returns {Promise<number>} Balance after the debit
+ * @throws {InsufficientFundsError}
+ */
+async function debitTokens(client, userId, tokens, { type, journal, relatedUserId = null, order }) {
+  const lock = await client.query(
+    'SELECT balance FROM token_balances WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  const current = parseInt(lock.rows[0]?.balance || 0, 10);
+
+  if (current < tokens) {
+    throw new InsufficientFundsError('Insufficient token balance', tokens, current);
+  }
+
+  const deduct = await client.query(
+    `UPDATE token_balances
+     SET balance = balance - $1, total_spent = total_spent + $1, updated_at = NOW()
+     WHERE user_id = $2 AND balance >= $1
+     RETURNING balance`,
+    [tokens, userId]
+  );
+
+  if (deduct.rowCount === 0) {
+    throw new InsufficientFundsError('Insufficient token balance', tokens, current);
+  }
+
+  await client.query(
+    `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, related_user_id, created_at)
+     VALUES ($1, $2, $3, $4, 'completed', $5, NOW())`,
+    [userId, type, -tokens, tokens * TOKEN_VALUE, relatedUserId]
+  );
+  journal.debitUser(userId, tokens, { order });
+
+  return parseInt(deduct.rows[0].balance, 10);
+}
+
+/**
+ * Add tokens to a user, creating their balance row if needed
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} userId - Payee supabase_id
+ * @param {number} tokens - Positive integer amount
+ * @param {Object} options
+ * @param {string} options.type - token_transactions.type
+ * @param {Object} options.journal - Ledger journal from utils/token-ledger.js
+ * @param {string} [options.relatedUserId] - Counterparty supabase_id
+ * @param {Object} [options.feeBreakdown] - From utils/fee-policy.js, for creator revenue
+ * @param {string} [options.account] - Ledger account, 'creator_earnings' for revenue
+ * @returns {Promise<void>}
+ */
+async function creditTokens(client, userId, tokens, { type, journal, relatedUserId = null, feeBreakdown = null, account = 'fan_wallet' }) {
+  if (tokens <= 0) return;
+
+  await client.query(
+    `INSERT INTO token_balances (user_id, balance, total_earned, updated_at)
+     VALUES ($1, $2, $2, NOW())
+     ON CONFLICT (user_id)
+     DO UPDATE SET
+       balance = token_balances.balance + EXCLUDED.balance,
+       total_earned = token_balances.total_earned + EXCLUDED.total_earned,
+       updated_at = NOW()`,
+    [userId, tokens]
+  );
+
+  await client.query(
+    `INSERT INTO token_transactions (user_id, type, tokens, amount_usd, status, related_user_id, fee_breakdown, created_at)
+     VALUES ($1, $2, $3, $4, 'completed', $5, $6, NOW())`,
+    [userId, type, tokens, tokens * TOKEN_VALUE, relatedUserId, feeBreakdown && JSON.stringify(feeBreakdown)]
+  );
+  journal.creditUser(userId, tokens, { account });
+}
+
+/**
+ * Credit a creator's revenue net of the platform fee for its revenue type
+ *
+ * The fee is credited to the ledger's platform_revenue account, so the
+ * journal balances against the gross taken from the payer (or escrow).
+ *
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} creatorId - Creator supabase_id
+ * @param {number} grossTokens - What the fan paid
+ * @param {Object} options
+ * @param {string} options.type - token_transactions.type
+ * @param {string} options.revenueType - utils/fee-policy.js REVENUE_TYPES
+ * @param {Object} options.journal - Ledger journal from utils/token-ledger.js
+ * @param {string} [options.relatedUserId] - Paying fan supabase_id
+ * @returns {Promise<Object>} The fee breakdown
+ */
+async function creditCreator(client, creatorId, grossTokens, { type, revenueType, journal, relatedUserId = null }) {
+  const feeBreakdown = await calculateFees(client, { creatorId, revenueType, grossTokens });
+  await creditTokens(client, creatorId, feeBreakdown.creatorNetTokens, {
+    type,
+    journal,
+    relatedUserId,
+    feeBreakdown,
+    account: 'creator_earnings'
+  });
+  journal.credit('platform_revenue', feeBreakdown.platformFeeTokens);
+  return feeBreakdown;
+}
+
+module.exports = {
+  TOKEN_VALUE,
+  debitTokens,
+  creditTokens,
+  creditCreator
+};
@@ -0,0 +1,172 @@
+/**
+ * VOD Playback
+ *
+ * Access checks and signed HLS playlists for packaged recordings.
+ *
+ * A viewer may watch a recording they created, a free recording, one bought
+ * outright (recording_purchases) or one with an unexpired rental
+ * (vod_purchases). GET /vod/watch/:recordingId checks that and issues a
+ * playback token that expires after PLAYBACK_TTL_SECONDS or when the rental
+ * does, whichever comes first.
+ *
+ * HLS players can't attach auth headers to every request, so the token rides
+ * in the playlist URLs and every segment URL carries its own expiring HMAC
+ * signature. Playlists re-check access on each fetch; segments only verify
+ * the signature so they stay cheap.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('./db');
+
+const PLAYBACK_TTL_SECONDS = 4 * 60 * 60;
+
+function getSigningSecret() {
+  const secret = process.env.VOD_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('VOD_SIGNING_SECRET is not configured');
+  }
+  return secret;
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Look up a recording and whether the user may watch it
+ *
+ * @returns {Promise<Object|null>} { recording, hasAccess, accessExpiresAt } or null if not found
+ */
+async function getVodAccess(userId, recordingId) {
+  const result = await pool.query(
+    `SELECT
+       sr.id, sr.creator_id, sr.is_free, sr.hls_status, sr.duration_seconds,
+       (
+         SELECT vp.expires_at FROM vod_purchases vp
+         WHERE vp.user_id = $1 AND vp.recording_id = sr.id AND vp.expires_at > NOW()
+       ) AS rental_expires_at,
+       EXISTS (
+         SELECT 1 FROM recording_purchases rp
+         WHERE rp.user_id = $1 AND rp.recording_id = sr.id
+       ) AS is_purchased
+     FROM stream_recordings sr
+     WHERE sr.id = $2`,
+    [userId, recordingId]
+  );
+
+  const recording = result.rows[0];
+  if (!recording) return null;
+
+  const permanent = recording.creator_id === userId || recording.is_free || recording.is_purchased;
+
+  return {
+    recording,
+    hasAccess: permanent || Boolean(recording.rental_expires_at),
+    // Only rentals run out
+    accessExpiresAt: permanent ? null : recording.rental_expires_at
+  };
+}
+
+/**
+ * Issue a playback token
+ *
+ * @returns {Object} { token, expiresAt }
+ */
+function createPlaybackToken({ userId, recordingId, accessExpiresAt = null }, now = new Date()) {
+  let exp = Math.floor(now.getTime() / 1000) + PLAYBACK_TTL_SECONDS;
+  if (accessExpiresAt) {
+    exp = Math.min(exp, Math.floor(new Date(accessExpiresAt).getTime() / 1000));
+  }
+
+  const payload = Buffer.from(JSON.stringify({ u: userId, r: recordingId, exp })).toString('base64url');
+
+  return {
+    token: `${payload}.${hmac(payload)}`,
+    expiresAt: new Date(exp * 1000)
+  };
+}
+
+/**
+ * Verify a playback token for a recording
+ *
+ * @returns {Object|null} { userId, recordingId, exp } when valid
+ */
+function verifyPlaybackToken(token, recordingId, now = new Date()) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, hmac(payload))) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (claims.r !== recordingId || claims.exp * 1000 <= now.getTime()) return null;
+
+  return { userId: claims.u, recordingId: claims.r, exp: claims.exp };
+}
+
+function segmentSignature(recordingId, rendition, segment, exp) {
+  return hmac(`${recordingId}/${rendition}/${segment}:${exp}`);
+}
+
+/**
+ * Verify a signed segment URL
+ */
+function verifySegmentSignature({ recordingId, rendition, segment, exp, sig }, now = new Date()) {
+  const expiry = parseInt(exp, 10);
+  if (!expiry || expiry * 1000 <= now.getTime() || !sig) return false;
+  return safeEqual(sig, segmentSignature(recordingId, rendition, segment, expiry));
+}
+
+/**
+ * Master playlist; rendition URIs are relative to it and carry the token
+ */
+function buildMasterPlaylist(renditions, token) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  const query = `token=${encodeURIComponent(token)}`;
+
+  // Highest quality first
+  for (const rendition of [...renditions].sort((a, b) => b.bandwidth - a.bandwidth)) {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="avc1.4d401f,mp4a.40.2"`,
+      `${rendition.name}/index.m3u8?${query}`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Media playlist with every segment URI signed until `exp`
+ */
+function signMediaPlaylist(playlist, { recordingId, rendition, exp }) {
+  return playlist
+    .split('\n')
+    .map((line) => {
+      const segment = line.trim();
+      if (!segment || segment.startsWith('#')) return line;
+      const sig = segmentSignature(recordingId, rendition, segment, exp);
+      return `${segment}?exp=${exp}&sig=${sig}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  PLAYBACK_TTL_SECONDS,
+  getVodAccess,
+  createPlaybackToken,
+  verifyPlaybackToken,
+  verifySegmentSignature,
+  buildMasterPlaylist,
+  signMediaPlaylist
+};
@@ -0,0 +1,198 @@
+/**
+ * VOD Watch Progress
+ *
+ * The player reports its position every few seconds along with how many
+ * seconds it has played since the previous report. Each report:
+ *
+ *   - moves the viewer's resume position (seeks included)
+ *   - marks the minutes played since the last report in vod_watch_minutes,
+ *     which drives percent watched and the creator's retention curves
+ *   - flags the recording completed once playback reaches the last
+ *     (1 - COMPLETION_RATIO) of it
+ *
+ * Reported playback time is capped per report, so a misbehaving client can't
+ * mark a whole recording watched in one request.
+ */
+
+const { pool } = require('./db');
+
+const MAX_REPORT_SECONDS = 60;
+const COMPLETION_RATIO = 0.95;
+// Positions this close to the start aren't worth resuming from
+const MIN_RESUME_SECONDS = 10;
+
+/**
+ * Minutes of the recording covered by the playback that ended at `position`
+ *
+ * @returns {Array<number>|null} [firstMinute, lastMinute] or null if nothing was played
+ */
+function minutesPlayed(position, elapsedSeconds, durationSeconds = null) {
+  if (elapsedSeconds <= 0) return null;
+
+  let last = Math.floor(position / 60);
+  if (durationSeconds) {
+    // Reaching the very end counts toward the final (partial) minute
+    last = Math.min(last, Math.ceil(durationSeconds / 60) - 1);
+  }
+  const first = Math.min(Math.floor(Math.max(position - elapsedSeconds, 0) / 60), last);
+
+  return [first, last];
+}
+
+/**
+ * Where a viewer should pick the recording back up
+ */
+function getResumePosition(progress) {
+  if (!progress) return 0;
+
+  const position = progress.last_position_seconds || 0;
+  const duration = progress.duration_seconds;
+  if (position < MIN_RESUME_SECONDS) return 0;
+  // Finished: start over
+  if (duration && position >= duration * COMPLETION_RATIO) return 0;
+
+  return position;
+}
+
+/**
+ * Record a progress report
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.recordingId
+ * @param {number} params.position - Current playback position in seconds
+ * @param {number} params.elapsedSeconds - Seconds played since the last report
+ * @param {number|null} params.durationSeconds - Recording length, if known
+ * @returns {Promise<Object>} The vod_watch_progress row
+ */
+async function recordProgress({ userId, recordingId, position, elapsedSeconds = 0, durationSeconds = null }) {
+  const duration = durationSeconds > 0 ? Math.round(durationSeconds) : null;
+  const elapsed = Math.min(Math.max(Math.round(elapsedSeconds) || 0, 0), MAX_REPORT_SECONDS);
+  let current = Math.max(Math.round(position) || 0, 0);
+  if (duration) current = Math.min(current, duration);
+
+  const minutes = minutesPlayed(current, elapsed, duration);
+  if (minutes) {
+    await pool.query(
+      `INSERT INTO vod_watch_minutes (recording_id, user_id, minute)
+       SELECT $1, $2, generate_series($3::int, $4::int)
+       ON CONFLICT DO NOTHING`,
+      [recordingId, userId, minutes[0], minutes[1]]
+    );
+  }
+
+  const completed = Boolean(duration && elapsed > 0 && current >= duration * COMPLETION_RATIO);
+  const totalMinutes = duration ? Math.ceil(duration / 60) : null;
+
+  const result = await pool.query(
+    `INSERT INTO vod_watch_progress (
+       user_id, recording_id, last_position_seconds, max_position_seconds,
+       watched_seconds, duration_seconds, percent_watched, completed, completed_at
+     )
+     VALUES (
+       $1, $2, $3, $3, $4, $5,
+       CASE WHEN $7::int > 0 THEN LEAST(100, ROUND(100.0 * (
+         SELECT COUNT(*) FROM vod_watch_minutes WHERE recording_id = $2 AND user_id = $1
+       ) / $7::int, 2)) ELSE 0 END,
+       $6, CASE WHEN $6 THEN NOW() END
+     )
+     ON CONFLICT (user_id, recording_id) DO UPDATE SET
+       last_position_seconds = EXCLUDED.last_position_seconds,
+       max_position_seconds = GREATEST(vod_watch_progress.max_position_seconds, EXCLUDED.max_position_seconds),
+       watched_seconds = vod_watch_progress.watched_seconds + EXCLUDED.watched_seconds,
+       duration_seconds = COALESCE(EXCLUDED.duration_seconds, vod_watch_progress.duration_seconds),
+       percent_watched = GREATEST(vod_watch_progress.percent_watched, EXCLUDED.percent_watched),
+       completed = vod_watch_progress.completed OR EXCLUDED.completed,
+       completed_at = COALESCE(vod_watch_progress.completed_at, EXCLUDED.completed_at),
+       updated_at = NOW()
+     RETURNING *`,
+    [userId, recordingId, current, elapsed, duration, completed, totalMinutes]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Share of viewers who watched each minute
+ *
+ * @param {Array<Object>} minuteRows - { minute, viewers } for one recording
+ * @param {number} viewers - Viewers who started the recording
+ * @param {number|null} durationSeconds - Recording length; sets the curve length
+ * @returns {Array<Object>} { minute, viewers, retention } with retention 0-100
+ */
+function buildRetentionCurve(minuteRows, viewers, durationSeconds = null) {
+  const counts = new Map(minuteRows.map(row => [Number(row.minute), Number(row.viewers)]));
+  const length = durationSeconds
+    ? Math.ceil(durationSeconds / 60)
+    : Math.max(-1, ...counts.keys()) + 1;
+
+  return Array.from({ length }, (_, minute) => {
+    const watched = counts.get(minute) || 0;
+    return {
+      minute,
+      viewers: watched,
+      retention: viewers > 0 ? Math.round((watched / viewers) * 1000) / 10 : 0
+    };
+  });
+}
+
+/**
+ * Retention summaries for a creator's recordings
+ *
+ * @param {Array<Object>} recordings - { id, duration_seconds }
+ * @returns {Promise<Object>} Keyed by recording id:
+ *   { viewers, completionRate, averagePercentWatched, curve }
+ */
+async function getRetention(recordings) {
+  if (recordings.length === 0) return {};
+
+  const ids = recordings.map(r => r.id);
+  const [summaryResult, minutesResult] = await Promise.all([
+    pool.query(
+      `SELECT recording_id,
+              COUNT(*) AS viewers,
+              COUNT(*) FILTER (WHERE completed) AS completions,
+              AVG(percent_watched) AS average_percent
+       FROM vod_watch_progress
+       WHERE recording_id = ANY($1::uuid[])
+       GROUP BY recording_id`,
+      [ids]
+    ),
+    pool.query(
+      `SELECT recording_id, minute, COUNT(*) AS viewers
+       FROM vod_watch_minutes
+       WHERE recording_id = ANY($1::uuid[])
+       GROUP BY recording_id, minute
+       ORDER BY recording_id, minute`,
+      [ids]
+    )
+  ]);
+
+  const summaries = new Map(summaryResult.rows.map(row => [row.recording_id, row]));
+  const retention = {};
+
+  for (const recording of recordings) {
+    const summary = summaries.get(recording.id);
+    const viewers = summary ? Number(summary.viewers) : 0;
+    const minuteRows = minutesResult.rows.filter(row => row.recording_id === recording.id);
+
+    retention[recording.id] = {
+      viewers,
+      completionRate: viewers > 0 ? Math.round((Number(summary.completions) / viewers) * 1000) / 10 : 0,
+      averagePercentWatched: summary ? Math.round(Number(summary.average_percent) * 10) / 10 : 0,
+      curve: buildRetentionCurve(minuteRows, viewers, recording.duration_seconds)
+    };
+  }
+
+  return retention;
+}
+
+module.exports = {
+  MAX_REPORT_SECONDS,
+  MIN_RESUME_SECONDS,
+  minutesPlayed,
+  getResumePosition,
+  recordProgress,
+  buildRetentionCurve,
+  getRetention
+};
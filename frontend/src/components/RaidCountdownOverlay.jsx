@@ -0,0 +1,101 @@
+/**
+ * RaidCountdownOverlay
+ *
+ * Shows the countdown when the creator raids another stream and, for viewers,
+ * joins the target stream when it reaches zero. StreamPage reports the
+ * arrival once the target stream has loaded.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { BoltIcon } from '@heroicons/react/24/solid';
+import toast from 'react-hot-toast';
+import socketService from '../services/socketServiceWrapper';
+
+const RaidCountdownOverlay = ({ channel, isCreator = false }) => {
+  const navigate = useNavigate();
+  const [raid, setRaid] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (!channel) return;
+
+    const isOwnRaid = (data) => data.from?.channel === channel || data.from?.streamId === channel;
+
+    const handleCountdown = (data) => {
+      if (isOwnRaid(data)) setRaid(data);
+    };
+
+    const handleCancelled = (data) => {
+      if (!isOwnRaid(data)) return;
+      setRaid(null);
+      toast('The raid was called off', { icon: '🛑' });
+    };
+
+    socketService.on('raid_countdown', handleCountdown);
+    socketService.on('raid_cancelled', handleCancelled);
+
+    return () => {
+      socketService.off('raid_countdown', handleCountdown);
+      socketService.off('raid_cancelled', handleCancelled);
+    };
+  }, [channel]);
+
+  useEffect(() => {
+    if (!raid) return;
+
+    const launchAt = new Date(raid.launchAt).getTime();
+    let interval;
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((launchAt - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+
+      if (remaining === 0) {
+        clearInterval(interval);
+        setRaid(null);
+        if (!isCreator) {
+          navigate(`/stream/${raid.to.channel}`, { state: { raidId: raid.raidId } });
+        } else {
+          toast.success(`Your viewers are on their way to ${raid.to.displayName}!`);
+        }
+      }
+    };
+
+    interval = setInterval(tick, 250);
+    tick();
+
+    return () => clearInterval(interval);
+  }, [raid, isCreator, navigate]);
+
+  return (
+    <AnimatePresence>
+      {raid && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 pointer-events-none"
+        >
+          <div className="text-center text-white">
+            <BoltIcon className="w-16 h-16 mx-auto mb-4 text-orange-400" />
+            <p className="text-lg mb-2">
+              {isCreator ? 'Raiding' : `${raid.from?.displayName} is raiding`}
+            </p>
+            <p className="text-3xl font-bold mb-6">{raid.to.displayName}</p>
+            <motion.p
+              key={secondsLeft}
+              initial={{ scale: 1.4, opacity: 0.5 }}
+              animate={{ scale: 1, opacity: 1 }}
+              className="text-7xl font-extrabold text-orange-400"
+            >
+              {secondsLeft}
+            </motion.p>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RaidCountdownOverlay;
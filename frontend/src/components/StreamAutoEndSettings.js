@@ -55,7 +55,8 @@ const StreamAutoEndSettings = ({ creatorId, streamId = null }) => {
       if (streamId) {
         await api.put(`/streaming/settings/${streamId}`, {
           autoEndEnabled: settings.autoEndEnabled,
-          autoEndMinutes: settings.autoEndMinutes
+          autoEndMinutes: settings.autoEndMinutes,
+          warningMinutes: settings.warningMinutes
         });
       }
 
@@ -16,7 +16,10 @@ const StreamInactivityWarning = ({ streamId, onKeepAlive }) => {
     const handleInactivityWarning = (data) => {
       if (data.streamId === streamId) {
         setWarning(data);
-        setCountdown(data.minutesRemaining * 60); // Convert to seconds
+        // Count down to the server's deadline so every tab shows the same time
+        setCountdown(data.autoEndAt
+          ? Math.max(0, Math.round((new Date(data.autoEndAt) - Date.now()) / 1000))
+          : data.minutesRemaining * 60);
       }
     };
 
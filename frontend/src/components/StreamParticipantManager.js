@@ -6,7 +6,8 @@ import {
   NoSymbolIcon,
   EllipsisVerticalIcon,
   XMarkIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ShieldCheckIcon
 } from '@heroicons/react/24/outline';
 import { Menu } from '@headlessui/react';
 import toast from 'react-hot-toast';
@@ -20,6 +21,8 @@ const StreamParticipantManager = ({
   isCreator,
   onKickUser,
   onBlockUser,
+  moderators = [],
+  onToggleModerator,
   className = ''
 }) => {
   const [showManager, setShowManager] = useState(false);
@@ -65,9 +68,20 @@ const StreamParticipantManager = ({
     }
   };
 
+  // Appoint or remove a moderator for all of the creator's streams
+  const handleToggleModerator = async (participant, isModerator) => {
+    try {
+      await onToggleModerator(participant, !isModerator);
+    } catch (error) {
+      console.error('Error updating moderator:', error);
+      toast.error(isModerator ? 'Failed to remove moderator' : 'Failed to add moderator');
+    }
+  };
+
   // Participant item component
   const ParticipantItem = ({ participant }) => {
     const isBlocked = blockedUsers.has(participant.uid);
+    const isModerator = moderators.some(m => m.moderator_id === participant.uid && !m.stream_id);
 
     return (
       <motion.div
@@ -96,6 +110,12 @@ const StreamParticipantManager = ({
               {participant.role || 'Viewer'} • Joined {participant.joinTime || 'recently'}
             </p>
           </div>
+          {isModerator && (
+            <span className="flex items-center gap-1 px-2 py-1 text-xs bg-green-100 text-green-700 rounded-full">
+              <ShieldCheckIcon className="w-3 h-3" />
+              Moderator
+            </span>
+          )}
           {isBlocked && (
             <span className="px-2 py-1 text-xs bg-red-100 text-red-600 rounded-full">
               Blocked
@@ -123,6 +143,21 @@ const StreamParticipantManager = ({
                   </button>
                 )}
               </Menu.Item>
+              {onToggleModerator && (
+                <Menu.Item>
+                  {({ active }) => (
+                    <button
+                      onClick={() => handleToggleModerator(participant, isModerator)}
+                      className={`${
+                        active ? 'bg-gray-100 dark:bg-gray-700' : ''
+                      } flex items-center gap-2 w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300`}
+                    >
+                      <ShieldCheckIcon className="w-4 h-4" />
+                      {isModerator ? 'Remove Moderator' : 'Make Moderator'}
+                    </button>
+                  )}
+                </Menu.Item>
+              )}
               <Menu.Item>
                 {({ active }) => (
                   <button
@@ -83,6 +83,7 @@ const StreamingLayout = ({
   const [showStreamEnded, setShowStreamEnded] = useState(false);
   const [showSaveStreamModal, setShowSaveStreamModal] = useState(false);
   const [streamParticipants, setStreamParticipants] = useState([]);
+  const [moderators, setModerators] = useState([]);
   const [streamRecordingData, setStreamRecordingData] = useState(null);
   const [videoVisible, setVideoVisible] = useState(true);
   const [privateShowActive, setPrivateShowActive] = useState(false);
@@ -542,6 +543,61 @@ const StreamingLayout = ({
     }
   };
 
+  // Load the creator's moderators for the participant manager
+  useEffect(() => {
+    if (!isCreator) return;
+
+    const fetchModerators = async () => {
+      try {
+        const authToken = await getAuthToken();
+        const response = await fetch(`${import.meta.env.VITE_BACKEND_URL}/stream-moderators`, {
+          headers: { Authorization: `Bearer ${authToken}` }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          setModerators(data.moderators || []);
+        }
+      } catch (error) {
+        console.error('Error fetching moderators:', error);
+      }
+    };
+
+    fetchModerators();
+  }, [isCreator]);
+
+  // Appoint a participant as a moderator of all the creator's streams, or remove them
+  const handleToggleModerator = async (participant, makeModerator) => {
+    const authToken = await getAuthToken();
+
+    if (makeModerator) {
+      const response = await fetch(`${import.meta.env.VITE_BACKEND_URL}/stream-moderators`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${authToken}`,
+        },
+        body: JSON.stringify({ userId: participant.uid }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to add moderator');
+
+      setModerators(prev => [...prev.filter(m => m.id !== data.moderator.id), data.moderator]);
+      toast.success(`${participant.name || 'User'} is now a moderator`);
+      return;
+    }
+
+    const appointment = moderators.find(m => m.moderator_id === participant.uid && !m.stream_id);
+    if (!appointment) return;
+
+    const response = await fetch(`${import.meta.env.VITE_BACKEND_URL}/stream-moderators/${appointment.id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${authToken}` },
+    });
+    if (!response.ok) throw new Error('Failed to remove moderator');
+
+    setModerators(prev => prev.filter(m => m.id !== appointment.id));
+  };
+
   // Handle save stream
   const handleSaveStream = async (saveData) => {
     try {
@@ -766,6 +822,8 @@ const StreamingLayout = ({
               isCreator={isCreator}
               onKickUser={handleKickUser}
               onBlockUser={handleBlockUser}
+              moderators={moderators}
+              onToggleModerator={handleToggleModerator}
             />
           )}
           
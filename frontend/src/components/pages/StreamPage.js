@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import HybridStreamingLayout from '../HybridStreamingLayout';
-import { apiGet } from '../../lib/api';
+import RaidCountdownOverlay from '../RaidCountdownOverlay';
+import { apiGet, apiPost } from '../../lib/api';
 import LoadingSpinner from '../ui/LoadingSpinner';
 import toast from 'react-hot-toast';
 
@@ -79,6 +80,13 @@ const StreamPage = ({ user }) => {
           streamDescription: data.stream.description,
           isHost: data.stream.creator_id === user?.id,
         });
+
+        // Arrived through a raid: count the viewer toward the raid's analytics
+        if (location.state?.raidId) {
+          apiPost(`/streaming/raid/${location.state.raidId}/arrived`).catch(err =>
+            console.warn('⚠️ StreamPage: Failed to report raid arrival:', err)
+          );
+        }
       } else {
         console.warn('⚠️ StreamPage: No stream in API response');
         setError('Stream not found or is no longer live');
@@ -167,21 +175,24 @@ const StreamPage = ({ user }) => {
   });
 
   return (
-    <HybridStreamingLayout
-      user={user}
-      channel={streamData.channel}
-      token={streamData.token}
-      chatToken={streamData.chatToken}
-      uid={streamData.uid}
-      isHost={streamData.isHost}
-      isStreaming={true}
-      streamConfig={{
-        title: streamData.streamTitle,
-        category: streamData.streamCategory,
-        description: streamData.streamDescription
-      }}
-      onSessionEnd={handleStreamEnd}
-    />
+    <>
+      <RaidCountdownOverlay channel={streamData.channel} isCreator={streamData.isHost} />
+      <HybridStreamingLayout
+        user={user}
+        channel={streamData.channel}
+        token={streamData.token}
+        chatToken={streamData.chatToken}
+        uid={streamData.uid}
+        isHost={streamData.isHost}
+        isStreaming={true}
+        streamConfig={{
+          title: streamData.streamTitle,
+          category: streamData.streamCategory,
+          description: streamData.streamDescription
+        }}
+        onSessionEnd={handleStreamEnd}
+      />
+    </>
   );
 };
 